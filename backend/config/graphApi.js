@@ -0,0 +1,48 @@
+/**
+ * Graph API Endpoint Configuration
+ *
+ * Single place that decides which host the Marketing API calls go to.
+ * In production this is always https://graph.facebook.com. For local
+ * end-to-end runs set FB_GRAPH_BASE_URL to the offline stand-in started by
+ * `npm run fake-graph` (e.g. http://localhost:5055) and every service that
+ * builds Graph URLs through this module will talk to it instead.
+ */
+
+const DEFAULT_GRAPH_HOST = 'https://graph.facebook.com';
+
+/**
+ * Get the Graph API host without a version segment
+ * @returns {String} Host URL without trailing slash
+ */
+function getGraphHost() {
+  const override = process.env.FB_GRAPH_BASE_URL;
+  if (override && override.trim()) {
+    return override.trim().replace(/\/+$/, '');
+  }
+  return DEFAULT_GRAPH_HOST;
+}
+
+/**
+ * Get the versioned Graph API base URL
+ * @param {String} version - API version (e.g. 'v18.0'), defaults to FB_API_VERSION
+ * @returns {String} Base URL such as https://graph.facebook.com/v18.0
+ */
+function getGraphBaseUrl(version) {
+  const apiVersion = version || process.env.FB_API_VERSION || 'v18.0';
+  return `${getGraphHost()}/${apiVersion}`;
+}
+
+/**
+ * Whether calls are currently routed to a non-Facebook host
+ * @returns {Boolean} True when FB_GRAPH_BASE_URL overrides the default host
+ */
+function isGraphOverridden() {
+  return getGraphHost() !== DEFAULT_GRAPH_HOST;
+}
+
+module.exports = {
+  DEFAULT_GRAPH_HOST,
+  getGraphHost,
+  getGraphBaseUrl,
+  isGraphOverridden
+};
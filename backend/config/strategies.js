@@ -0,0 +1,298 @@
+/**
+ * Strategy Definitions
+ *
+ * Campaign structures described as data and executed by services/StrategyEngine.js.
+ * Adding a structure a media buyer asks for (1-20-3, 2-25-1, ...) is a new entry
+ * here - no new route file.
+ *
+ * Used by POST /api/campaigns/strategies/:key/create, bulk launches, deferred
+ * launches and split tests. The strategy-150, strategy-for-all and strategy-for-ads
+ * routes look up their LEGACY_ROUTES entry below: /duplicate and /multiply run
+ * through StrategyEngine with it, while /create still runs the route's own
+ * pipeline. Their aliases let bulk launch sheets and API callers keep the old
+ * names for the equivalent engine structure.
+ *
+ * Fields:
+ * - campaigns:    Campaigns created per launch
+ * - adSets:       Ad sets per campaign
+ * - adsPerAdSet:  Ads in every ad set
+ * - budgetLevel:  'adset' (ABO), 'campaign' (CBO) or null to use the form's choice
+ * - postReuse:    true  = every ad reuses the first ad's post (shared social proof)
+ *                 false = every ad gets its own creative built from the same media
+ * - adjustable:   Fields the request may override: [min, max] for counts,
+ *                 postReuse: true when the request may switch it
+ * - naming:       Name templates - {name} is the submitted campaign name,
+ *                 {campaign} the final campaign name, {n} the 1-based number
+ * - trackingType: CampaignTracking.strategy_type for launched campaigns
+ * - aliases:      Older identifiers (route/bulk launch names) for the equivalent structure
+ *
+ * The first ad set and ad of each campaign are created by
+ * FacebookAPI.createStrategy150Campaign and keep the names it gives them.
+ */
+
+const MAX_CAMPAIGNS = 10;
+const MAX_AD_SETS = 50;
+// Meta's recommended maximum ads per ad set; also keeps an ad set and its ads in one batch
+const MAX_ADS_PER_AD_SET = 6;
+
+const FIELD_LABELS = {
+  adSets: 'Ad set count',
+  adsPerAdSet: 'Ads per ad set'
+};
+
+const DEFAULT_NAMING = {
+  campaign: '{name}',
+  adSet: '{campaign} - Ad Set {n}',
+  ad: '{campaign} - Ad {n}'
+};
+
+const STRATEGY_DEFINITIONS = {
+  '1-1-1': {
+    label: 'Single 1-1-1',
+    description: '1 campaign, 1 ad set, 1 ad (also used for each split test cell)',
+    campaigns: 1,
+    adSets: 1,
+    adsPerAdSet: 1,
+    budgetLevel: null,
+    postReuse: true,
+    adjustable: {},
+    trackingType: 'for-all'
+  },
+  '1-50-1': {
+    label: 'Strategy 1-50-1',
+    description: '1 campaign, 50 ad sets, 1 ad each sharing one post',
+    campaigns: 1,
+    adSets: 50,
+    adsPerAdSet: 1,
+    budgetLevel: null,
+    postReuse: true,
+    adjustable: { adSets: [1, MAX_AD_SETS] },
+    trackingType: '1-50-1',
+    aliases: ['strategy-150']
+  },
+  'for-all': {
+    label: 'Strategy for All',
+    description: '1 campaign with the requested number of ad sets, 1 ad each sharing one post',
+    campaigns: 1,
+    adSets: 1,
+    adsPerAdSet: 1,
+    budgetLevel: null,
+    postReuse: true,
+    adjustable: { adSets: [1, MAX_AD_SETS] },
+    trackingType: 'for-all',
+    aliases: ['strategy-for-all', 'strategy-for-ads']
+  },
+  '1-3-3': {
+    label: 'Strategy 1-3-3',
+    description: '1 campaign, 3 ad sets, 3 ads each with their own post',
+    campaigns: 1,
+    adSets: 3,
+    adsPerAdSet: 3,
+    budgetLevel: 'adset',
+    postReuse: false,
+    adjustable: {},
+    trackingType: 'for-all'
+  },
+  '1-20-3': {
+    label: 'Strategy 1-20-3',
+    description: '1 campaign, 20 ad sets, 3 ads each sharing one post',
+    campaigns: 1,
+    adSets: 20,
+    adsPerAdSet: 3,
+    budgetLevel: 'adset',
+    postReuse: true,
+    adjustable: {},
+    trackingType: 'for-all'
+  },
+  '2-25-1': {
+    label: 'Strategy 2-25-1',
+    description: '2 campaigns, 25 ad sets each, 1 ad per ad set sharing one post',
+    campaigns: 2,
+    adSets: 25,
+    adsPerAdSet: 1,
+    budgetLevel: null,
+    postReuse: true,
+    adjustable: {},
+    naming: { campaign: '{name} - C{n}' },
+    trackingType: 'for-all'
+  },
+  '1-N-M': {
+    label: 'Custom 1-N-M',
+    description: '1 campaign with any number of ad sets and ads per ad set',
+    campaigns: 1,
+    adSets: 1,
+    adsPerAdSet: 1,
+    budgetLevel: null,
+    postReuse: true,
+    adjustable: {
+      adSets: [1, MAX_AD_SETS],
+      adsPerAdSet: [1, MAX_ADS_PER_AD_SET],
+      postReuse: true
+    },
+    trackingType: 'for-all'
+  }
+};
+
+/**
+ * The older per-strategy routes, mounted at /api/campaigns/<route key>
+ *
+ * Fields:
+ * - strategy:     STRATEGY_DEFINITIONS key of the equivalent structure
+ * - label:        Name used in logs and messages
+ * - auditAction:  Prefix of the route's audit actions ('<prefix>.multiply')
+ * - trackingType: CampaignTracking / FailureTracker strategy type
+ * - jobTypes:     JobStore job types for the route's duplicate and multiply jobs
+ * - duplicate:    How /duplicate runs:
+ *                 runner 'batch' (BatchDuplicationService) or 'existingPost'
+ *                 (FacebookAPI.duplicateAdSetsWithExistingPost); countIncludesOriginal
+ *                 when `count` is the campaign's total ad sets rather than the copies;
+ *                 waitForResult to answer once the copies exist instead of with 'in_progress';
+ *                 attributionSetting applied when the form data has none
+ */
+const LEGACY_ROUTES = {
+  'strategy-150': {
+    strategy: '1-50-1',
+    label: 'Strategy 150',
+    auditAction: 'strategy150',
+    trackingType: '1-50-1',
+    jobTypes: { duplicate: 'strategy150_duplicate', multiply: 'strategy150_multiply' },
+    duplicate: { runner: 'batch', countIncludesOriginal: false, waitForResult: true }
+  },
+  'strategy-for-all': {
+    strategy: 'for-all',
+    label: 'Strategy For All',
+    auditAction: 'strategyForAll',
+    trackingType: 'for-all',
+    jobTypes: { duplicate: 'strategy_for_all_duplicate', multiply: 'strategy_for_all_multiply' },
+    duplicate: { runner: 'batch', countIncludesOriginal: false, waitForResult: false }
+  },
+  'strategy-for-ads': {
+    strategy: 'for-all',
+    label: 'Strategy for Ads',
+    auditAction: 'strategyForAll', // Audited with for-all since the route was split from it
+    trackingType: 'for-all',
+    jobTypes: { duplicate: 'strategy_for_ads_duplicate', multiply: 'strategy_for_ads_multiply' },
+    duplicate: {
+      runner: 'existingPost',
+      countIncludesOriginal: true,
+      waitForResult: false,
+      attributionSetting: '1_day_click_1_day_view'
+    }
+  }
+};
+
+/**
+ * Find a definition by key or alias
+ * @param {String} key - e.g. '1-50-1' or 'strategy-150'
+ * @returns {Object|null} Definition with its canonical key
+ */
+function getStrategy(key) {
+  if (STRATEGY_DEFINITIONS[key]) {
+    return { key, ...STRATEGY_DEFINITIONS[key] };
+  }
+
+  const match = Object.entries(STRATEGY_DEFINITIONS)
+    .find(([, definition]) => (definition.aliases || []).includes(key));
+
+  return match ? { key: match[0], ...match[1] } : null;
+}
+
+/**
+ * All definitions, for pickers and API listings
+ * @returns {Array} [{ key, label, description, campaigns, adSets, adsPerAdSet, ... }]
+ */
+function listStrategies() {
+  return Object.keys(STRATEGY_DEFINITIONS).map(getStrategy);
+}
+
+/**
+ * Look up a legacy route's entry
+ * @param {String} routeKey - e.g. 'strategy-150'
+ * @returns {Object} Entry with its routeKey and the structure's definition
+ * @throws {Error} Unknown route
+ */
+function getLegacyRoute(routeKey) {
+  const entry = LEGACY_ROUTES[routeKey];
+  if (!entry) {
+    throw new Error(`Unknown strategy route "${routeKey}"`);
+  }
+  return { routeKey, ...entry, definition: getStrategy(entry.strategy) };
+}
+
+/**
+ * Resolve the structure to launch: the definition plus any allowed overrides
+ *
+ * @param {String} key - Strategy key or alias
+ * @param {Object} overrides - { adSets, adsPerAdSet, postReuse } from the request
+ * @returns {Object} { key, label, campaigns, adSets, adsPerAdSet, budgetLevel, postReuse, naming, trackingType }
+ * @throws {Error} Unknown strategy or an override outside the allowed range
+ */
+function resolveStrategy(key, overrides = {}) {
+  const definition = getStrategy(key);
+  if (!definition) {
+    throw new Error(`Unknown strategy "${key}". Use one of: ${Object.keys(STRATEGY_DEFINITIONS).join(', ')}`);
+  }
+
+  const structure = {
+    key: definition.key,
+    label: definition.label,
+    campaigns: definition.campaigns,
+    adSets: definition.adSets,
+    adsPerAdSet: definition.adsPerAdSet,
+    budgetLevel: definition.budgetLevel,
+    postReuse: definition.postReuse,
+    naming: { ...DEFAULT_NAMING, ...(definition.naming || {}) },
+    trackingType: definition.trackingType
+  };
+
+  for (const field of ['adSets', 'adsPerAdSet']) {
+    const value = overrides[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    const range = definition.adjustable?.[field];
+    if (!range) {
+      throw new Error(`${FIELD_LABELS[field]} is fixed at ${definition[field]} for ${definition.label}`);
+    }
+
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < range[0] || parsed > range[1]) {
+      throw new Error(`${FIELD_LABELS[field]} must be a whole number between ${range[0]} and ${range[1]}`);
+    }
+    structure[field] = parsed;
+  }
+
+  if (overrides.postReuse !== undefined && definition.adjustable?.postReuse) {
+    structure.postReuse = overrides.postReuse === true || overrides.postReuse === 'true';
+  }
+
+  if (structure.campaigns > MAX_CAMPAIGNS) {
+    throw new Error(`${definition.label} would create more than ${MAX_CAMPAIGNS} campaigns`);
+  }
+
+  return structure;
+}
+
+/**
+ * Fill a name template
+ * @param {String} template - e.g. '{campaign} - Ad Set {n}'
+ * @param {Object} values - { name, campaign, n }
+ * @returns {String} Name
+ */
+function formatName(template, values) {
+  return template.replace(/\{(\w+)\}/g, (token, field) =>
+    values[field] !== undefined ? String(values[field]) : token
+  );
+}
+
+module.exports = {
+  STRATEGY_DEFINITIONS,
+  LEGACY_ROUTES,
+  MAX_CAMPAIGNS,
+  MAX_AD_SETS,
+  MAX_ADS_PER_AD_SET,
+  getStrategy,
+  listStrategies,
+  getLegacyRoute,
+  resolveStrategy,
+  formatName
+};
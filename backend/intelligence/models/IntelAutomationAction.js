@@ -71,7 +71,8 @@ module.exports = (sequelize, DataTypes) => {
         'rejected',
         'executed',
         'failed',
-        'expired'
+        'expired',
+        'blocked'
       ),
       defaultValue: 'pending_approval'
     },
@@ -201,6 +202,19 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  /**
+   * Mark as blocked by a guardrail (never executed)
+   * @param {Object} block - { guardrail, scope, reason, ... } from GuardrailService
+   */
+  IntelAutomationAction.prototype.markBlocked = async function(block) {
+    return this.update({
+      status: 'blocked',
+      executed_at: new Date(),
+      error_message: block.reason,
+      execution_result: { blocked: true, ...block }
+    });
+  };
+
   /**
    * Check if action is still valid (not expired)
    */
@@ -8,7 +8,192 @@
  *
  * ISOLATION: Rules only CREATE action records; they never directly
  * call Facebook API to modify campaigns.
+ *
+ * CONDITIONS: a list combined with condition_logic. Each entry is either a
+ * group { logic: 'AND'|'OR', conditions: [...] } or a condition:
+ *
+ *   { metric, operator, value }                      latest snapshot
+ *   { metric, operator, value, window_days: 3 }      total over the last 3 days
+ *   { metric, operator, value, window_days: 3,
+ *     change: 'percent' }                            % change vs the 3 days before
+ *   { metric, operator, compare_to: { metric: 'cpc' } }
+ *   { metric, operator, compare_to: 'account_average', multiplier: 1.5 }
+ *
+ * compare_to compares against another metric of the entity, or the average
+ * entity of the same level in the account, over the same window.
+ */
+
+const NUMERIC_METRICS = [
+  'spend', 'impressions', 'clicks', 'reach', 'conversions', 'revenue',
+  'cpm', 'ctr', 'cpc', 'cpa', 'roas', 'frequency', 'days_since_creation'
+];
+const STATUS_METRICS = ['learning_phase', 'effective_status'];
+const OPERATORS = ['>', '>=', '<', '<=', '==', '=', '!=', 'between'];
+const ACTION_TYPES = [
+  'pause', 'activate', 'increase_budget', 'decrease_budget', 'adjust_bid',
+  'notify', 'create_report', 'duplicate', 'archive'
+];
+const MAX_WINDOW_DAYS = 30;
+const MAX_GROUP_DEPTH = 4;
+
+const isGroup = (condition) => Array.isArray(condition?.conditions);
+
+function compareValues(actual, operator, value) {
+  switch (operator) {
+    case '>':
+      return actual > value;
+    case '>=':
+      return actual >= value;
+    case '<':
+      return actual < value;
+    case '<=':
+      return actual <= value;
+    case '==':
+    case '=':
+      return actual == value;
+    case '!=':
+      return actual != value;
+    case 'between':
+      return actual >= value[0] && actual <= value[1];
+    default:
+      return false;
+  }
+}
+
+function percentChange(current, previous) {
+  if (typeof current !== 'number' || typeof previous !== 'number' || previous === 0) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+/**
+ * Both sides of a condition for an entity
+ * @returns {Object|null} { actual, expected }, null when the data isn't there
  */
+function resolveCondition(condition, metrics, context) {
+  const { metric, window_days: days, change, compare_to: compareTo, multiplier = 1 } = condition;
+  const period = days ? context.windows?.[days] : { current: metrics };
+  if (!period?.current) return null;
+
+  let actual = period.current[metric];
+  if (change === 'percent') actual = percentChange(actual, period.previous?.[metric]);
+  if (actual === undefined || actual === null) return null;
+
+  if (!compareTo) return { actual, expected: condition.value };
+
+  const compared = compareTo === 'account_average'
+    ? (days ? context.account?.windows?.[days]?.current : context.account?.latest)?.[metric]
+    : period.current[compareTo.metric];
+  if (typeof compared !== 'number') return null;
+
+  return { actual, expected: compared * multiplier };
+}
+
+function evaluateGroup(conditions, logic, metrics, context, triggeredConditions) {
+  // Every condition is evaluated so all the ones that held are reported
+  const results = conditions.map(condition => {
+    if (isGroup(condition)) {
+      return evaluateGroup(condition.conditions, condition.logic || 'AND', metrics, context, triggeredConditions);
+    }
+
+    const resolved = resolveCondition(condition, metrics, context);
+    if (!resolved || !compareValues(resolved.actual, condition.operator, resolved.expected)) return false;
+
+    triggeredConditions.push({
+      ...condition,
+      actual_value: resolved.actual,
+      ...(condition.compare_to ? { compared_value: resolved.expected } : {})
+    });
+    return true;
+  });
+
+  return logic === 'OR' ? results.some(Boolean) : results.every(Boolean);
+}
+
+function validateCondition(condition, path, depth, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${path} must be a condition or a group`);
+    return;
+  }
+
+  if (isGroup(condition)) {
+    if (depth > MAX_GROUP_DEPTH) {
+      errors.push(`${path}: groups can be nested at most ${MAX_GROUP_DEPTH} levels deep`);
+      return;
+    }
+    if (condition.logic !== undefined && !['AND', 'OR'].includes(condition.logic)) {
+      errors.push(`${path}.logic must be AND or OR`);
+    }
+    if (condition.conditions.length === 0) {
+      errors.push(`${path}.conditions must not be empty`);
+    }
+    condition.conditions.forEach((child, i) => validateCondition(child, `${path}.conditions[${i}]`, depth + 1, errors));
+    return;
+  }
+
+  const { metric, operator, value, window_days: days, change, compare_to: compareTo, multiplier } = condition;
+  const isNumeric = NUMERIC_METRICS.includes(metric);
+
+  if (!isNumeric && !STATUS_METRICS.includes(metric)) {
+    errors.push(`${path}.metric must be one of: ${[...NUMERIC_METRICS, ...STATUS_METRICS].join(', ')}`);
+    return;
+  }
+  if (!OPERATORS.includes(operator)) {
+    errors.push(`${path}.operator must be one of: ${OPERATORS.join(', ')}`);
+    return;
+  }
+
+  if (!isNumeric) {
+    if (days !== undefined || change !== undefined || compareTo !== undefined) {
+      errors.push(`${path}: ${metric} can't be used with window_days, change or compare_to`);
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      errors.push(`${path}.value is required`);
+    }
+    return;
+  }
+
+  if (days !== undefined && !(Number.isInteger(days) && days >= 1 && days <= MAX_WINDOW_DAYS)) {
+    errors.push(`${path}.window_days must be a whole number of days from 1 to ${MAX_WINDOW_DAYS}`);
+  }
+  if (change !== undefined) {
+    if (change !== 'percent') errors.push(`${path}.change must be "percent"`);
+    if (days === undefined) errors.push(`${path}: change needs window_days (the period compared with the one before it)`);
+    if (compareTo !== undefined) errors.push(`${path}: change can't be combined with compare_to`);
+  }
+
+  if (compareTo !== undefined) {
+    const validTarget = compareTo === 'account_average' ||
+      (compareTo && typeof compareTo === 'object' && NUMERIC_METRICS.includes(compareTo.metric));
+    if (!validTarget) {
+      errors.push(`${path}.compare_to must be "account_average" or { metric } with a numeric metric`);
+    }
+    if (operator === 'between') errors.push(`${path}: between can't be used with compare_to`);
+    if (multiplier !== undefined && !(typeof multiplier === 'number' && multiplier > 0)) {
+      errors.push(`${path}.multiplier must be a positive number`);
+    }
+    return;
+  }
+
+  if (operator === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite) || value[0] > value[1]) {
+      errors.push(`${path}.value must be [min, max] for between`);
+    }
+  } else if (!Number.isFinite(value)) {
+    errors.push(`${path}.value must be a number`);
+  }
+}
+
+function collectRequirements(conditions, requirements) {
+  conditions.forEach(condition => {
+    if (isGroup(condition)) {
+      collectRequirements(condition.conditions, requirements);
+      return;
+    }
+    if (condition.window_days) requirements.windows.add(condition.window_days);
+    if (condition.compare_to === 'account_average') requirements.accountAverage = true;
+  });
+  return requirements;
+}
 
 module.exports = (sequelize, DataTypes) => {
   const IntelAutomationRule = sequelize.define('IntelAutomationRule', {
@@ -115,72 +300,37 @@ module.exports = (sequelize, DataTypes) => {
 
   /**
    * Evaluate conditions against metrics data
-   * @param {Object} metrics - Current metrics for the entity
+   * @param {Object} metrics - Latest metrics for the entity
+   * @param {Object} context - Windowed metrics for window_days / account_average conditions:
+   *   { windows: { [days]: { current, previous } }, account: { latest, windows: { [days]: { current } } } }
    * @returns {Object} - { passes: boolean, triggeredConditions: [] }
    */
-  IntelAutomationRule.prototype.evaluateConditions = function(metrics) {
+  IntelAutomationRule.prototype.evaluateConditions = function(metrics, context = {}) {
     const triggeredConditions = [];
-
-    for (const condition of this.conditions) {
-      const { metric, operator, value } = condition;
-      const actualValue = metrics[metric];
-
-      if (actualValue === undefined) continue;
-
-      let passes = false;
-      switch (operator) {
-        case '>':
-          passes = actualValue > value;
-          break;
-        case '>=':
-          passes = actualValue >= value;
-          break;
-        case '<':
-          passes = actualValue < value;
-          break;
-        case '<=':
-          passes = actualValue <= value;
-          break;
-        case '==':
-        case '=':
-          passes = actualValue == value;
-          break;
-        case '!=':
-          passes = actualValue != value;
-          break;
-        case 'between':
-          passes = actualValue >= value[0] && actualValue <= value[1];
-          break;
-        default:
-          passes = false;
-      }
-
-      if (passes) {
-        triggeredConditions.push({
-          ...condition,
-          actual_value: actualValue
-        });
-      }
-    }
-
-    const allPass = this.condition_logic === 'AND'
-      ? triggeredConditions.length === this.conditions.length
-      : triggeredConditions.length > 0;
+    const passes = evaluateGroup(this.conditions, this.condition_logic || 'AND', metrics, context, triggeredConditions);
 
     return {
-      passes: allPass,
+      passes,
       triggeredConditions
     };
   };
 
+  /**
+   * Data the conditions need besides the latest snapshot
+   * @returns {Object} { windows: [days], accountAverage: boolean }
+   */
+  IntelAutomationRule.prototype.getDataRequirements = function() {
+    const { windows, accountAverage } = collectRequirements(this.conditions || [], { windows: new Set(), accountAverage: false });
+    return { windows: [...windows].sort((a, b) => a - b), accountAverage };
+  };
+
   /**
    * Check if rule is on cooldown for an entity
    */
   IntelAutomationRule.prototype.isOnCooldown = async function(entityId, IntelAutomationAction) {
     if (!this.cooldown_hours) return false;
 
-    const cooldownStart = new Date();
-    cooldownStart.setHours(cooldownStart.getHours() - this.cooldown_hours);
+    const cooldownStart = this.getCooldownStart(new Date());
 
     const recentAction = await IntelAutomationAction.findOne({
       where: {
@@ -195,6 +345,15 @@ module.exports = (sequelize, DataTypes) => {
     return !!recentAction;
   };
 
+  /**
+   * Earliest action time that still puts an entity on cooldown at a given time
+   */
+  IntelAutomationRule.prototype.getCooldownStart = function(at) {
+    const cooldownStart = new Date(at);
+    cooldownStart.setHours(cooldownStart.getHours() - this.cooldown_hours);
+    return cooldownStart;
+  };
+
   /**
    * Increment trigger count
    */
@@ -229,6 +388,46 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  /**
+   * Validate a rule's conditions, condition_logic and actions
+   *
+   * @param {Object} ruleData - Submitted rule
+   * @param {Object} options - { partial: true } only checks the fields present (updates)
+   * @returns {Array} Error messages (empty when valid)
+   */
+  IntelAutomationRule.validateDefinition = function(ruleData, { partial = false } = {}) {
+    const errors = [];
+    const { conditions, condition_logic: conditionLogic, actions } = ruleData || {};
+
+    if (conditionLogic !== undefined && !['AND', 'OR'].includes(conditionLogic)) {
+      errors.push('condition_logic must be AND or OR');
+    }
+
+    if (!partial || conditions !== undefined) {
+      if (!Array.isArray(conditions) || conditions.length === 0) {
+        errors.push('At least one condition is required');
+      } else {
+        conditions.forEach((condition, i) => validateCondition(condition, `conditions[${i}]`, 1, errors));
+      }
+    }
+
+    if (!partial || actions !== undefined) {
+      if (!Array.isArray(actions) || actions.length === 0) {
+        errors.push('At least one action is required');
+      } else {
+        actions.forEach((action, i) => {
+          if (!ACTION_TYPES.includes(action?.action)) {
+            errors.push(`actions[${i}].action must be one of: ${ACTION_TYPES.join(', ')}`);
+          } else if (action.params !== undefined && (typeof action.params !== 'object' || Array.isArray(action.params))) {
+            errors.push(`actions[${i}].params must be an object`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  };
+
   /**
    * Get default rules for a rule type
    */
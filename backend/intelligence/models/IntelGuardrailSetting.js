@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * IntelGuardrailSetting Model
+ *
+ * Limits ActionExecutor checks before running an approved action.
+ * One row per scope:
+ * - global:  the kill switch (freezes all execution) and a global dry run
+ * - user:    limits on all of a user's actions (user_id)
+ * - account: limits on all actions in an ad account (ad_account_id), whoever created them
+ *
+ * A null limit means "no limit". User and account limits apply independently;
+ * an action has to pass both.
+ *
+ * ISOLATION: Settings only decide whether ActionExecutor may act; they never
+ * call the Facebook API themselves.
+ */
+
+module.exports = (sequelize, DataTypes) => {
+  const IntelGuardrailSetting = sequelize.define('IntelGuardrailSetting', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    scope: {
+      type: DataTypes.ENUM('global', 'user', 'account'),
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Set for user scope'
+    },
+    ad_account_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Set for account scope (without act_)'
+    },
+    // Kill switch (global scope)
+    kill_switch: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    kill_switch_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    kill_switch_by_user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    kill_switch_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Limits (user / account scope)
+    max_budget_increase_per_day: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: 'Total budget increase allowed in the last 24 hours, in account currency',
+      get() {
+        const value = this.getDataValue('max_budget_increase_per_day');
+        return value === null || value === undefined ? null : parseFloat(value);
+      }
+    },
+    max_pauses_per_hour: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Entities that may be paused in the last 60 minutes'
+    },
+    allow_learning_phase: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      comment: 'Allow actions on ad sets still in the learning phase (default: no)'
+    },
+    dry_run: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Record what would have happened instead of executing'
+    },
+    updated_by_user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'intel_guardrail_settings',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Class methods
+
+  /**
+   * Settings row for a scope, created with defaults when missing
+   */
+  IntelGuardrailSetting.getForScope = async function(scope, { userId = null, adAccountId = null } = {}) {
+    const where = { scope };
+    if (scope === 'user') where.user_id = userId;
+    if (scope === 'account') where.ad_account_id = String(adAccountId).replace('act_', '');
+
+    const [setting] = await this.findOrCreate({ where, defaults: where });
+    return setting;
+  };
+
+  /**
+   * Global, user and account settings that apply to an action (missing ones are null)
+   */
+  IntelGuardrailSetting.getForAction = async function(action) {
+    const [global, user, account] = await Promise.all([
+      this.findOne({ where: { scope: 'global' } }),
+      this.findOne({ where: { scope: 'user', user_id: action.user_id } }),
+      action.ad_account_id
+        ? this.findOne({ where: { scope: 'account', ad_account_id: String(action.ad_account_id).replace('act_', '') } })
+        : null
+    ]);
+
+    return { global, user, account };
+  };
+
+  return IntelGuardrailSetting;
+};
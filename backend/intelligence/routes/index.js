@@ -23,13 +23,17 @@ const {
   PatternLearningService,
   NotificationService,
   IntelligenceScheduler,
-  ActionExecutor
+  ActionExecutor,
+  GuardrailService
 } = require('../services');
 
 const ExpertRulesService = require('../services/ExpertRulesService');
 
 // Import models
 const intelModels = require('../models');
+const { getGraphBaseUrl } = require('../../config/graphApi');
+const JobEvents = require('../../services/JobEvents');
+const NamingService = require('../../services/NamingService');
 
 // Middleware to check if intelligence is enabled
 const checkEnabled = (req, res, next) => {
@@ -267,6 +271,11 @@ router.put('/rules/:ruleId', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Rule not found' });
     }
 
+    const errors = intelModels.IntelAutomationRule.validateDefinition(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
     await rule.update(req.body);
     res.json({ success: true, rule });
   } catch (error) {
@@ -316,6 +325,57 @@ router.get('/rules/stats', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/intelligence/rules/backtest
+ * Simulate an unsaved rule over the last N days of snapshots
+ * Body: { rule: { ...same fields as POST /rules }, days }
+ */
+router.post('/rules/backtest', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { rule: ruleData, days = 14 } = req.body;
+
+    const errors = intelModels.IntelAutomationRule.validateDefinition(ruleData);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    const rule = intelModels.IntelAutomationRule.build({ ...ruleData, user_id: userId });
+    const backtest = await AutomationRulesEngine.backtestRule(rule, { days: parseInt(days, 10) });
+    res.json({ success: true, backtest });
+  } catch (error) {
+    console.error('[Intelligence] Rule backtest error for user', req.user?.id, ':', error.message, error.stack);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/intelligence/rules/:ruleId/backtest
+ * Simulate a saved rule over the last N days of snapshots
+ * Body: { days }
+ */
+router.post('/rules/:ruleId/backtest', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { ruleId } = req.params;
+
+    const rule = await intelModels.IntelAutomationRule.findOne({
+      where: { id: ruleId, user_id: userId }
+    });
+
+    if (!rule) {
+      console.error('[Intelligence] Rule backtest error: Rule not found for user', userId, 'ruleId', ruleId);
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    const backtest = await AutomationRulesEngine.backtestRule(rule, { days: parseInt(req.body.days || 14, 10) });
+    res.json({ success: true, backtest });
+  } catch (error) {
+    console.error('[Intelligence] Rule backtest error for user', req.user?.id, 'ruleId', req.params?.ruleId, ':', error.message, error.stack);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // Actions Endpoints
 // ============================================
@@ -408,6 +468,84 @@ router.get('/actions/stats', async (req, res) => {
   }
 });
 
+// ============================================
+// Guardrails Endpoints
+// ============================================
+
+/**
+ * GET /api/intelligence/guardrails
+ * Kill switch state and the global, user and account guardrail settings
+ * (blocked actions: GET /actions/history?status=blocked)
+ */
+router.get('/guardrails', async (req, res) => {
+  try {
+    const guardrails = await GuardrailService.getSettings(req.user.id);
+    res.json({ success: true, guardrails });
+  } catch (error) {
+    console.error('[Intelligence] Guardrails fetch error for user', req.user?.id, ':', error.message, error.stack);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/intelligence/guardrails/:scope
+ * Update guardrail settings for a scope
+ * - global:  { dry_run }
+ * - user:    { max_budget_increase_per_day, max_pauses_per_hour, allow_learning_phase, dry_run } (the current user)
+ * - account: same fields plus ad_account_id
+ */
+router.put('/guardrails/:scope', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { scope } = req.params;
+    const { ad_account_id: adAccountId, ...values } = req.body;
+
+    if (!['global', 'user', 'account'].includes(scope)) {
+      return res.status(400).json({ success: false, error: 'scope must be global, user or account' });
+    }
+    if (scope === 'account' && !adAccountId) {
+      return res.status(400).json({ success: false, error: 'ad_account_id is required for the account scope' });
+    }
+
+    const errors = GuardrailService.validateSettings(scope, values);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    const setting = await GuardrailService.updateSettings(scope, { userId, adAccountId }, values, userId);
+    res.json({ success: true, setting });
+  } catch (error) {
+    console.error('[Intelligence] Guardrails update error for user', req.user?.id, 'scope', req.params?.scope, ':', error.message, error.stack);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/intelligence/guardrails/kill-switch
+ * Freeze (or resume) all automated execution
+ * Body: { enabled: true|false, reason }
+ */
+router.post('/guardrails/kill-switch', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { enabled, reason } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'enabled must be true or false' });
+    }
+
+    const setting = await GuardrailService.setKillSwitch(enabled, userId, reason || null);
+    res.json({
+      success: true,
+      setting,
+      message: enabled ? 'Automated execution frozen' : 'Automated execution resumed'
+    });
+  } catch (error) {
+    console.error('[Intelligence] Kill switch error for user', req.user?.id, 'enabled:', req.body?.enabled, ':', error.message, error.stack);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // Notifications Endpoints
 // ============================================
@@ -839,6 +977,10 @@ router.post('/backfill/start', async (req, res) => {
       });
     }
 
+    // Live progress: GET /api/jobs/backfill_<id>/events
+    const jobId = `backfill_${record.id}`;
+    JobEvents.register(jobId, userId);
+
     // Start backfill in background
     setImmediate(async () => {
       try {
@@ -850,11 +992,25 @@ router.post('/backfill/start', async (req, res) => {
             endDate,
             progressCallback: async (day, current) => {
               await record.updateProgress(day, current);
+              JobEvents.publish(jobId, JobEvents.EVENT_TYPES.PROGRESS, {
+                jobType: 'backfill',
+                status: 'in_progress',
+                completed: day,
+                total: days,
+                currentOperation: `Collecting insights for ${current}`
+              });
             }
           });
         }
 
         if (type === 'all' || type === 'pixel') {
+          JobEvents.publish(jobId, JobEvents.EVENT_TYPES.PROGRESS, {
+            jobType: 'backfill',
+            status: 'in_progress',
+            completed: type === 'all' ? days : 0,
+            total: days,
+            currentOperation: 'Collecting pixel health history'
+          });
           await PixelHealthService.backfillAccount(userId, adAccountId, {
             startDate,
             endDate
@@ -867,6 +1023,13 @@ router.post('/backfill/start', async (req, res) => {
           days_completed: days
         });
 
+        JobEvents.publish(jobId, JobEvents.EVENT_TYPES.COMPLETED, {
+          jobType: 'backfill',
+          status: 'completed',
+          completed: days,
+          total: days
+        });
+
         // Auto-trigger pattern learning after successful backfill
         console.log('🧠 [Intelligence] Auto-triggering pattern learning after backfill completion...');
         try {
@@ -884,6 +1047,11 @@ router.post('/backfill/start', async (req, res) => {
       } catch (error) {
         console.error('[Intelligence] Backfill background task error for user', userId, 'adAccountId:', adAccountId, ':', error.message, error.stack);
         await record.markFailed(error.message);
+        JobEvents.publish(jobId, JobEvents.EVENT_TYPES.FAILED, {
+          jobType: 'backfill',
+          status: 'failed',
+          error: error.message
+        });
       }
     });
 
@@ -891,6 +1059,7 @@ router.post('/backfill/start', async (req, res) => {
       success: true,
       message: 'Backfill started',
       backfill: {
+        job_id: jobId,
         ad_account_id: adAccountId,
         type,
         days,
@@ -1454,6 +1623,94 @@ router.get('/top-performers', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/intelligence/performance-by-name
+ * Performance grouped by a naming convention token (editor, vertical, state, ...)
+ * Entity names are parsed with the user's conventions, then legacy launcher names
+ */
+router.get('/performance-by-name', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      group_by = 'editor',    // Any naming token
+      entity_type = 'campaign', // campaign, adset, ad
+      days = 30
+    } = req.query;
+
+    if (!NamingService.getTokens().includes(group_by)) {
+      return res.status(400).json({
+        success: false,
+        error: `group_by must be one of: ${NamingService.getTokens().join(', ')}`
+      });
+    }
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(days));
+    const startDateStr = startDate.toISOString().split('T')[0];
+
+    const entities = await intelModels.sequelize.query(`
+      SELECT
+        entity_id,
+        entity_name,
+        SUM(spend) as total_spend,
+        SUM(revenue) as total_revenue,
+        SUM(conversions) as total_conversions,
+        SUM(impressions) as total_impressions,
+        SUM(clicks) as total_clicks
+      FROM intel_performance_snapshots
+      WHERE user_id = :userId
+        AND entity_type = :entityType
+        AND snapshot_date >= :startDate
+      GROUP BY entity_id, entity_name
+    `, {
+      replacements: { userId, entityType: entity_type, startDate: startDateStr },
+      type: intelModels.sequelize.QueryTypes.SELECT
+    });
+
+    // ad sets are stored as 'adset' in snapshots, 'adSet' in conventions
+    const level = entity_type === 'adset' ? 'adSet' : entity_type;
+    const conventions = await NamingService.getVisibleConventions(userId);
+    const groups = {};
+
+    entities.forEach(entity => {
+      const parsed = NamingService.parse(entity.entity_name, conventions, { level });
+      const value = parsed.values[group_by] ?? 'unknown';
+      const group = groups[value] = groups[value] || {
+        value, entities: 0, spend: 0, revenue: 0, conversions: 0, impressions: 0, clicks: 0
+      };
+
+      group.entities += 1;
+      group.spend += parseFloat(entity.total_spend) || 0;
+      group.revenue += parseFloat(entity.total_revenue) || 0;
+      group.conversions += parseInt(entity.total_conversions) || 0;
+      group.impressions += parseInt(entity.total_impressions) || 0;
+      group.clicks += parseInt(entity.total_clicks) || 0;
+    });
+
+    const results = Object.values(groups)
+      .map(group => ({
+        ...group,
+        spend: group.spend.toFixed(2),
+        revenue: group.revenue.toFixed(2),
+        roas: group.spend > 0 ? (group.revenue / group.spend).toFixed(2) : '0.00',
+        cpa: group.conversions > 0 ? (group.spend / group.conversions).toFixed(2) : 'N/A',
+        ctr: group.impressions > 0 ? ((group.clicks / group.impressions) * 100).toFixed(2) : '0.00'
+      }))
+      .sort((a, b) => parseFloat(b.spend) - parseFloat(a.spend));
+
+    res.json({
+      success: true,
+      group_by,
+      entity_type,
+      time_period_days: parseInt(days),
+      groups: results
+    });
+  } catch (error) {
+    console.error('[Intelligence] Performance by name error for user', req.user?.id, ':', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/intelligence/campaigns-list
  * Get list of all campaigns with their ad accounts for creative analysis
@@ -1612,7 +1869,7 @@ router.post('/pixel/fetch-batch', async (req, res) => {
     const accessToken = fbAuth.accessToken;
     const axios = require('axios');
     const apiVersion = process.env.FB_API_VERSION || 'v18.0';
-    const baseUrl = `https://graph.facebook.com/${apiVersion}`;
+    const baseUrl = getGraphBaseUrl(apiVersion);
 
     const results = {
       started: [],
@@ -1826,7 +2083,7 @@ router.post('/pixel/fetch', async (req, res) => {
     // Fetch pixel info to get associated ad account
     const axios = require('axios');
     const apiVersion = process.env.FB_API_VERSION || 'v18.0';
-    const baseUrl = `https://graph.facebook.com/${apiVersion}`;
+    const baseUrl = getGraphBaseUrl(apiVersion);
 
     let pixelInfo;
     try {
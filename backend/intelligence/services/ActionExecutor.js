@@ -13,19 +13,23 @@
  * - All executions are logged and auditable
  *
  * SAFETY FEATURES:
- * - Dry-run mode available
+ * - Dry-run mode available (INTEL_DRY_RUN, or per scope in guardrail settings)
  * - Execution requires explicit approval
+ * - Guardrails checked before every action (see GuardrailService):
+ *   kill switch, learning phase, pauses per hour, budget increase per day
  * - Rate limiting applied
- * - All actions logged
+ * - All actions logged, blocked ones with the reason
  */
 
 const axios = require('axios');
 const intelModels = require('../models');
+const GuardrailService = require('./GuardrailService');
+const { getGraphBaseUrl } = require('../../config/graphApi');
 
 class ActionExecutor {
   constructor() {
     this.apiVersion = process.env.FB_API_VERSION || 'v18.0';
-    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.baseUrl = getGraphBaseUrl(this.apiVersion);
     this.executing = false;
     this.dryRunMode = process.env.INTEL_DRY_RUN === 'true';
   }
@@ -52,12 +56,12 @@ class ActionExecutor {
 
       console.log(`  Found ${approvedActions.length} approved actions`);
 
-      const results = { processed: 0, success: 0, failed: 0 };
+      const results = { processed: 0, success: 0, failed: 0, blocked: 0 };
 
       for (const action of approvedActions) {
         try {
-          await this.executeAction(action);
-          results.success++;
+          const result = await this.executeAction(action);
+          results[result?.blocked ? 'blocked' : 'success']++;
         } catch (error) {
           console.error(`  ❌ Failed to execute action ${action.id}:`, error.message);
           await action.markFailed(error.message);
@@ -66,7 +70,7 @@ class ActionExecutor {
         results.processed++;
       }
 
-      console.log(`✅ [ActionExecutor] Complete: ${results.success} success, ${results.failed} failed`);
+      console.log(`✅ [ActionExecutor] Complete: ${results.success} success, ${results.failed} failed, ${results.blocked} blocked`);
       return results;
 
     } finally {
@@ -80,6 +84,12 @@ class ActionExecutor {
   async executeAction(action) {
     console.log(`  🔧 Executing: ${action.action_type} on ${action.entity_type} ${action.entity_id}`);
 
+    // Nothing is read or changed while execution is frozen
+    const frozen = await GuardrailService.checkKillSwitch();
+    if (frozen) {
+      return this.blockAction(action, frozen);
+    }
+
     // Get access token for the user
     const mainDb = require('../../models');
     const fbAuth = await mainDb.FacebookAuth.findOne({
@@ -93,10 +103,18 @@ class ActionExecutor {
 
     const accessToken = fbAuth.accessToken;
 
+    // Read what the action would change, then check it against the guardrails
+    const plan = await this.planAction(action, accessToken);
+    const { block, dryRun } = await GuardrailService.checkAction(action, plan);
+
+    if (block) {
+      return this.blockAction(action, block);
+    }
+
     // Dry run mode - log but don't execute
-    if (this.dryRunMode) {
+    if (this.dryRunMode || dryRun) {
       console.log(`    [DRY RUN] Would execute: ${action.action_type} on ${action.entity_id}`);
-      await action.markExecuted({ dry_run: true, would_execute: action.action_type });
+      await action.markExecuted({ dry_run: true, would_execute: action.action_type, ...plan });
       return;
     }
 
@@ -112,11 +130,8 @@ class ActionExecutor {
         break;
 
       case 'increase_budget':
-        result = await this.adjustBudget(action.entity_id, action.action_params, 'increase', accessToken);
-        break;
-
       case 'decrease_budget':
-        result = await this.adjustBudget(action.entity_id, action.action_params, 'decrease', accessToken);
+        result = await this.applyBudget(action.entity_id, plan, accessToken);
         break;
 
       case 'notify':
@@ -149,6 +164,63 @@ class ActionExecutor {
     return result;
   }
 
+  /**
+   * Record an action a guardrail stopped, and tell the user why
+   */
+  async blockAction(action, block) {
+    console.log(`    🛡️ Blocked (${block.guardrail}): ${block.reason}`);
+    await action.markBlocked(block);
+
+    await intelModels.IntelNotification.create({
+      user_id: action.user_id,
+      type: 'action_failed',
+      priority: block.guardrail === 'kill_switch' ? 'high' : 'medium',
+      title: 'Action Blocked by Guardrail',
+      message: `${action.getDescription()} was not executed: ${block.reason}`,
+      entity_type: action.entity_type,
+      entity_id: action.entity_id,
+      metadata: { action_id: action.id, block }
+    });
+
+    return { blocked: block };
+  }
+
+  /**
+   * What an action would change, read before the guardrails are checked
+   * @returns {Promise<Object>} { learning_stage, budget_field, previous_budget, new_budget, change }
+   */
+  async planAction(action, accessToken) {
+    const plan = {};
+
+    if (action.entity_type === 'adset' && ['pause', 'activate', 'increase_budget', 'decrease_budget'].includes(action.action_type)) {
+      plan.learning_stage = await this.getLearningStage(action.entity_id, accessToken);
+    }
+
+    if (action.action_type === 'increase_budget' || action.action_type === 'decrease_budget') {
+      const direction = action.action_type === 'increase_budget' ? 'increase' : 'decrease';
+      Object.assign(plan, await this.planBudget(action.entity_id, action.action_params || {}, direction, accessToken));
+    }
+
+    return plan;
+  }
+
+  /**
+   * Learning stage of an ad set (LEARNING, SUCCESS, FAIL), null when Facebook doesn't report one
+   */
+  async getLearningStage(adSetId, accessToken) {
+    const response = await axios.get(
+      `${this.baseUrl}/${adSetId}`,
+      {
+        params: {
+          access_token: accessToken,
+          fields: 'learning_stage_info'
+        }
+      }
+    );
+
+    return response.data.learning_stage_info?.status || null;
+  }
+
   /**
    * Pause an entity (campaign, ad set, or ad)
    */
@@ -186,9 +258,9 @@ class ActionExecutor {
   }
 
   /**
-   * Adjust budget for an entity
+   * New budget for an entity (nothing is changed)
    */
-  async adjustBudget(entityId, params, direction, accessToken) {
+  async planBudget(entityId, params, direction, accessToken) {
     // First, get current budget
     const entityResponse = await axios.get(
       `${this.baseUrl}/${entityId}`,
@@ -233,15 +305,25 @@ class ActionExecutor {
     // Ensure positive budget
     newBudget = Math.max(100, newBudget); // Minimum $1
 
-    // Update the budget
-    const budgetField = entity.daily_budget ? 'daily_budget' : 'lifetime_budget';
+    return {
+      budget_field: entity.daily_budget ? 'daily_budget' : 'lifetime_budget',
+      previous_budget: currentBudget / 100,
+      new_budget: newBudget / 100,
+      change: (newBudget - currentBudget) / 100
+    };
+  }
+
+  /**
+   * Adjust budget for an entity to a planBudget() result
+   */
+  async applyBudget(entityId, plan, accessToken) {
     const response = await axios.post(
       `${this.baseUrl}/${entityId}`,
       null,
       {
         params: {
           access_token: accessToken,
-          [budgetField]: newBudget.toString()
+          [plan.budget_field]: Math.round(plan.new_budget * 100).toString()
         }
       }
     );
@@ -249,9 +331,9 @@ class ActionExecutor {
     return {
       success: response.data.success,
       action: 'budget_adjusted',
-      previous_budget: currentBudget / 100,
-      new_budget: newBudget / 100,
-      change: (newBudget - currentBudget) / 100
+      previous_budget: plan.previous_budget,
+      new_budget: plan.new_budget,
+      change: plan.change
     };
   }
 
@@ -15,6 +15,26 @@
 
 const intelModels = require('../models');
 const InsightsCollectorService = require('./InsightsCollectorService');
+const MetricsCalculator = require('../../services/metricsCalculator');
+
+// Metrics that add up across days / entities; the rest are recomputed from them
+const ADDITIVE_METRICS = ['spend', 'impressions', 'clicks', 'reach', 'conversions', 'revenue'];
+
+// Snapshots are day-to-date totals, so only the last one of each day is used
+const SNAPSHOT_ATTRIBUTES = [
+  'ad_account_id', 'entity_type', 'entity_id', 'entity_name', 'snapshot_date', 'snapshot_hour',
+  ...ADDITIVE_METRICS, 'learning_phase', 'effective_status', 'days_since_creation'
+];
+
+const MAX_BACKTEST_DAYS = 90;
+
+const toDateString = (value) => (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
 
 class AutomationRulesEngine {
   constructor() {
@@ -141,11 +161,19 @@ class AutomationRulesEngine {
       }
     });
 
+    // Windowed conditions need daily totals (twice the window for % change)
+    const requirements = rule.getDataRequirements();
+    const today = toDateString(new Date());
+    const dailyByEntity = requirements.windows.length > 0
+      ? await this.loadDailySnapshots(whereClause, shiftDate(today, -2 * Math.max(...requirements.windows) + 1), today)
+      : new Map();
+    const contexts = this.buildConditionContexts(requirements, latestByEntity, dailyByEntity, today);
+
     // Evaluate each entity against the rule
     for (const [key, snapshot] of latestByEntity) {
       try {
         const metrics = this.extractMetrics(snapshot);
-        const evaluation = rule.evaluateConditions(metrics);
+        const evaluation = rule.evaluateConditions(metrics, contexts.get(key));
 
         if (evaluation.passes) {
           // Check cooldown
@@ -171,6 +199,150 @@ class AutomationRulesEngine {
     return actionsCreated;
   }
 
+  /**
+   * Simulate a rule over the last N days of snapshots without creating anything
+   *
+   * The rule is evaluated once per day on each entity's last snapshot of that
+   * day, with the same conditions (evaluateConditions) and cooldown as
+   * evaluateRule - the cooldown starts with the first non-notify action, since
+   * notify creates no action record. A paused entity isn't evaluated again.
+   *
+   * Impact is estimated from the entity's actual spend on the following days,
+   * up to a simulated pause: all of it is saved by a pause, a budget change
+   * saves or adds its percentage of it (or its amount per day with spend).
+   *
+   * @param {IntelAutomationRule} rule - Saved or built (unsaved) rule
+   * @param {Object} options - { days }
+   * @returns {Promise<Object>} { rule, days, from, to, summary, events }
+   */
+  async backtestRule(rule, { days = 14 } = {}) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_BACKTEST_DAYS) {
+      throw new Error(`days must be a whole number from 1 to ${MAX_BACKTEST_DAYS}`);
+    }
+
+    const to = toDateString(new Date());
+    const from = shiftDate(to, -days + 1);
+    const requirements = rule.getDataRequirements();
+    const lookback = requirements.windows.length > 0 ? 2 * Math.max(...requirements.windows) - 1 : 0;
+
+    const whereClause = { user_id: rule.user_id };
+    if (rule.ad_account_id) whereClause.ad_account_id = rule.ad_account_id;
+    if (rule.entity_type !== 'all') whereClause.entity_type = rule.entity_type;
+
+    const dailyByEntity = await this.loadDailySnapshots(whereClause, shiftDate(from, -lookback), to);
+    const actionTypes = rule.actions.map(action => action.action);
+    const lastActedAt = new Map();
+    const pausedOn = new Map();
+    const events = [];
+    let evaluations = 0;
+    let cooldownSkips = 0;
+
+    for (let date = from; date <= to; date = shiftDate(date, 1)) {
+      const at = new Date(`${date}T23:59:59Z`);
+
+      const latestByEntity = new Map();
+      dailyByEntity.forEach((snapshots, key) => {
+        const snapshot = snapshots.find(s => s.snapshot_date === date);
+        if (snapshot && !pausedOn.has(key)) latestByEntity.set(key, snapshot);
+      });
+      const contexts = this.buildConditionContexts(requirements, latestByEntity, dailyByEntity, date);
+
+      for (const [key, snapshot] of latestByEntity) {
+        evaluations++;
+        const evaluation = rule.evaluateConditions(this.aggregateMetrics([snapshot]), contexts.get(key));
+        if (!evaluation.passes) continue;
+
+        if (rule.cooldown_hours && lastActedAt.get(key) > rule.getCooldownStart(at)) {
+          cooldownSkips++;
+          continue;
+        }
+
+        if (actionTypes.some(type => type !== 'notify')) lastActedAt.set(key, at);
+        if (actionTypes.includes('pause')) pausedOn.set(key, date);
+
+        events.push({
+          date,
+          key,
+          ad_account_id: snapshot.ad_account_id,
+          entity_type: snapshot.entity_type,
+          entity_id: snapshot.entity_id,
+          entity_name: snapshot.entity_name,
+          trigger_reason: this.generateTriggerReason(rule, evaluation),
+          triggered_conditions: evaluation.triggeredConditions,
+          spend_that_day: Number(snapshot.spend) || 0
+        });
+      }
+    }
+
+    const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+    const summary = {
+      evaluations,
+      triggers: events.length,
+      cooldown_skips: cooldownSkips,
+      entities: new Set(events.map(event => event.key)).size,
+      actions: {},
+      spend_saved: 0,
+      spend_added: 0
+    };
+
+    events.forEach(event => {
+      // Spend the entity actually had after the action, up to the day the rule would have paused it
+      const pauseDate = pausedOn.get(event.key);
+      const until = pauseDate && pauseDate > event.date ? pauseDate : to;
+      const after = (dailyByEntity.get(event.key) || []).filter(s => s.snapshot_date > event.date && s.snapshot_date <= until);
+      const spendAfter = after.reduce((sum, s) => sum + (Number(s.spend) || 0), 0);
+
+      event.spend_after = round(spendAfter);
+      event.impact = rule.actions.map(({ action, params }) => {
+        const impact = this.estimateImpact(action, params || {}, spendAfter, after.length);
+        summary.actions[action] = (summary.actions[action] || 0) + 1;
+        summary.spend_saved += impact.spend_saved || 0;
+        summary.spend_added += impact.spend_added || 0;
+        return { action, params: params || null, spend_saved: round(impact.spend_saved), spend_added: round(impact.spend_added) };
+      });
+      delete event.key;
+    });
+
+    summary.spend_saved = round(summary.spend_saved);
+    summary.spend_added = round(summary.spend_added);
+
+    return {
+      rule: { id: rule.id || null, name: rule.name },
+      days,
+      from,
+      to,
+      summary,
+      events
+    };
+  }
+
+  /**
+   * Spend an action would have saved / added, from the spend that followed it
+   * @returns {Object} { spend_saved, spend_added } (null when it can't be estimated)
+   */
+  estimateImpact(action, params, spendAfter, daysAfter) {
+    let change = null;
+    if (params.percentage) {
+      change = spendAfter * (params.percentage / 100);
+    } else if (params.amount) {
+      change = params.amount * daysAfter; // Daily budget amount, on days the entity spent
+    }
+
+    switch (action) {
+      case 'pause':
+        return { spend_saved: spendAfter, spend_added: 0 };
+      case 'decrease_budget':
+        return { spend_saved: change === null ? null : Math.min(change, spendAfter), spend_added: 0 };
+      case 'increase_budget':
+        return { spend_saved: 0, spend_added: change };
+      case 'notify':
+        return { spend_saved: 0, spend_added: 0 };
+      default:
+        // activate, adjust_bid, ...: no spend history to estimate from
+        return { spend_saved: null, spend_added: null };
+    }
+  }
+
   /**
    * Extract metrics from a snapshot for rule evaluation
    */
@@ -194,6 +366,129 @@ class AutomationRulesEngine {
     };
   }
 
+  /**
+   * Last snapshot of each day per entity between two dates
+   * @returns {Promise<Map>} `${entity_type}:${entity_id}` → snapshots, oldest first
+   */
+  async loadDailySnapshots(whereClause, fromDate, toDate) {
+    const snapshots = await intelModels.IntelPerformanceSnapshot.findAll({
+      where: {
+        ...whereClause,
+        snapshot_date: {
+          [intelModels.Sequelize.Op.between]: [fromDate, toDate]
+        }
+      },
+      attributes: SNAPSHOT_ATTRIBUTES,
+      order: [['snapshot_date', 'ASC'], ['snapshot_hour', 'ASC']],
+      raw: true
+    });
+
+    const byEntityDay = new Map();
+    snapshots.forEach(snapshot => {
+      const date = toDateString(snapshot.snapshot_date);
+      byEntityDay.set(`${snapshot.entity_type}:${snapshot.entity_id}:${date}`, { ...snapshot, snapshot_date: date });
+    });
+
+    const dailyByEntity = new Map();
+    byEntityDay.forEach(snapshot => {
+      const key = `${snapshot.entity_type}:${snapshot.entity_id}`;
+      if (!dailyByEntity.has(key)) dailyByEntity.set(key, []);
+      dailyByEntity.get(key).push(snapshot);
+    });
+
+    return dailyByEntity;
+  }
+
+  /**
+   * Metrics of several snapshots added up, ratios recomputed from the totals
+   *
+   * Reach is summed per day, so windowed frequency is a lower bound.
+   *
+   * @param {Array} snapshots - Oldest first (status fields come from the last)
+   * @param {Number} entityCount - Divide totals by this to get a per-entity average
+   * @returns {Object|null} Same shape as extractMetrics(), null without snapshots
+   */
+  aggregateMetrics(snapshots, entityCount = 1) {
+    if (snapshots.length === 0) return null;
+
+    const totals = {};
+    ADDITIVE_METRICS.forEach(metric => {
+      totals[metric] = snapshots.reduce((sum, snapshot) => sum + (Number(snapshot[metric]) || 0), 0) / entityCount;
+    });
+
+    const calculated = MetricsCalculator.calculateAllMetrics({ ...totals, results: totals.conversions });
+    const last = snapshots[snapshots.length - 1];
+
+    return {
+      ...totals,
+      cpm: calculated.cpm,
+      ctr: calculated.ctr,
+      cpc: calculated.cpc,
+      cpa: calculated.cost_per_result,
+      roas: calculated.roas,
+      frequency: calculated.frequency,
+      learning_phase: last.learning_phase,
+      effective_status: last.effective_status,
+      days_since_creation: last.days_since_creation
+    };
+  }
+
+  /**
+   * Per-entity context for rule.evaluateConditions()
+   *
+   * The last N days end on asOf (inclusive); the prior period is the N days before.
+   * Account averages cover every entity of the same level in the account.
+   *
+   * @param {Object} requirements - rule.getDataRequirements()
+   * @param {Map} latestByEntity - Key → latest snapshot
+   * @param {Map} dailyByEntity - Key → daily snapshots (loadDailySnapshots)
+   * @param {String} asOf - YYYY-MM-DD
+   * @returns {Map} Key → { windows, account }
+   */
+  buildConditionContexts(requirements, latestByEntity, dailyByEntity, asOf) {
+    const periods = requirements.windows.map(days => ({
+      days,
+      current: [shiftDate(asOf, -days + 1), asOf],
+      previous: [shiftDate(asOf, -2 * days + 1), shiftDate(asOf, -days)]
+    }));
+    const within = (snapshots, [from, to]) => snapshots.filter(s => s.snapshot_date >= from && s.snapshot_date <= to);
+    const accountKey = (snapshot) => `${snapshot.ad_account_id}:${snapshot.entity_type}`;
+
+    const accounts = new Map();
+    if (requirements.accountAverage) {
+      const group = (key) => {
+        if (!accounts.has(key)) accounts.set(key, { latest: [], daily: [] });
+        return accounts.get(key);
+      };
+      latestByEntity.forEach(snapshot => group(accountKey(snapshot)).latest.push(snapshot));
+      dailyByEntity.forEach(snapshots => group(accountKey(snapshots[0])).daily.push(snapshots));
+
+      accounts.forEach((account, key) => {
+        const windows = {};
+        periods.forEach(({ days, current }) => {
+          const inPeriod = account.daily.map(snapshots => within(snapshots, current)).filter(s => s.length > 0);
+          windows[days] = { current: this.aggregateMetrics(inPeriod.flat(), inPeriod.length) };
+        });
+        accounts.set(key, { latest: this.aggregateMetrics(account.latest, account.latest.length), windows });
+      });
+    }
+
+    const contexts = new Map();
+    latestByEntity.forEach((snapshot, key) => {
+      const daily = dailyByEntity.get(key) || [];
+      const windows = {};
+      periods.forEach(({ days, current, previous }) => {
+        windows[days] = {
+          current: this.aggregateMetrics(within(daily, current)),
+          previous: this.aggregateMetrics(within(daily, previous))
+        };
+      });
+      contexts.set(key, { windows, account: accounts.get(accountKey(snapshot)) || null });
+    });
+
+    return contexts;
+  }
+
   /**
    * Create action records from a triggered rule
    * THIS IS THE ONLY WAY RULES AFFECT CAMPAIGNS - BY CREATING ACTION RECORDS
@@ -258,35 +553,37 @@ class AutomationRulesEngine {
    * Generate human-readable trigger reason
    */
   generateTriggerReason(rule, evaluation) {
-    const conditions = evaluation.triggeredConditions.map(c => {
-      const value = typeof c.actual_value === 'number'
-        ? c.actual_value.toFixed(2)
-        : c.actual_value;
-      return `${c.metric} ${c.operator} ${c.value} (actual: ${value})`;
-    });
-
+    const conditions = evaluation.triggeredConditions.map(c => this.describeCondition(c));
     return `Rule "${rule.name}" triggered: ${conditions.join(', ')}`;
   }
 
   /**
-   * Create a new rule
+   * e.g. "spend (last 3d) > 150 (actual: 212.40)", "cpa > 1.5x account average (actual: 41.00 vs 27.30)"
    */
-  async createRule(userId, ruleData) {
-    // Validate conditions
-    if (!ruleData.conditions || ruleData.conditions.length === 0) {
-      throw new Error('At least one condition is required');
+  describeCondition(c) {
+    const format = (value) => (typeof value === 'number' ? value.toFixed(2) : value);
+    const window = c.window_days ? ` (last ${c.window_days}d)` : '';
+    const subject = c.change === 'percent'
+      ? `${c.metric} % change${window} vs prior ${c.window_days}d`
+      : `${c.metric}${window}`;
+
+    if (c.compare_to) {
+      const multiplier = c.multiplier && c.multiplier !== 1 ? `${c.multiplier}x ` : '';
+      const target = c.compare_to === 'account_average' ? 'account average' : c.compare_to.metric;
+      return `${subject} ${c.operator} ${multiplier}${target} (actual: ${format(c.actual_value)} vs ${format(c.compared_value)})`;
     }
 
-    // Validate actions
-    if (!ruleData.actions || ruleData.actions.length === 0) {
-      throw new Error('At least one action is required');
-    }
+    const value = Array.isArray(c.value) ? c.value.join('-') : c.value;
+    return `${subject} ${c.operator} ${value} (actual: ${format(c.actual_value)})`;
+  }
 
-    // Validate condition format
-    for (const condition of ruleData.conditions) {
-      if (!condition.metric || !condition.operator || condition.value === undefined) {
-        throw new Error('Invalid condition format. Required: metric, operator, value');
-      }
+  /**
+   * Create a new rule
+   */
+  async createRule(userId, ruleData) {
+    const errors = intelModels.IntelAutomationRule.validateDefinition(ruleData);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
     }
 
     return intelModels.IntelAutomationRule.create({
@@ -368,6 +665,47 @@ class AutomationRulesEngine {
         cooldown_hours: 48,
         evaluation_window_hours: 168 // 7 days
       },
+      {
+        name: 'No Conversions in 3 Days',
+        description: 'Pause ad sets that spent over $150 in the last 3 days without a conversion',
+        rule_type: 'loss_prevention',
+        entity_type: 'adset',
+        conditions: [
+          { metric: 'spend', window_days: 3, operator: '>', value: 150 },
+          { metric: 'conversions', window_days: 3, operator: '==', value: 0 }
+        ],
+        condition_logic: 'AND',
+        actions: [
+          { action: 'pause' },
+          { action: 'notify' }
+        ],
+        requires_approval: true,
+        cooldown_hours: 72,
+        evaluation_window_hours: 24
+      },
+      {
+        name: 'CPA Above Account Average',
+        description: 'Alert when an ad set\'s 7-day CPA is 50% above the account average or rose 30% week over week',
+        rule_type: 'loss_prevention',
+        entity_type: 'adset',
+        conditions: [
+          { metric: 'spend', window_days: 7, operator: '>=', value: 100 },
+          {
+            logic: 'OR',
+            conditions: [
+              { metric: 'cpa', window_days: 7, operator: '>', compare_to: 'account_average', multiplier: 1.5 },
+              { metric: 'cpa', window_days: 7, change: 'percent', operator: '>', value: 30 }
+            ]
+          }
+        ],
+        condition_logic: 'AND',
+        actions: [
+          { action: 'notify' }
+        ],
+        requires_approval: false,
+        cooldown_hours: 72,
+        evaluation_window_hours: 24
+      },
       {
         name: 'Zero Conversion Alert',
         description: 'Alert on high spend with zero conversions',
@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * GuardrailService
+ *
+ * Decides whether ActionExecutor may run an approved action, using the
+ * IntelGuardrailSetting rows that apply to it:
+ * - kill switch (global): nothing is executed while it is on
+ * - learning phase: no action on an ad set still in learning unless the
+ *   account / user setting allows it
+ * - max_pauses_per_hour: entities paused in the last 60 minutes
+ * - max_budget_increase_per_day: budget added in the last 24 hours
+ * - dry run (any scope): the action is recorded, not executed
+ *
+ * User and account limits are checked separately; counts only include real
+ * executions (not dry runs). A blocked action is terminal - it is recorded
+ * with the guardrail and the reason, and has to be created again to run.
+ *
+ * ISOLATION PRINCIPLE:
+ * - Only reads intel_* tables; never calls the Facebook API
+ */
+
+const intelModels = require('../models');
+
+// Action types that change a campaign; notify and the others only record
+const CAMPAIGN_ACTIONS = ['pause', 'activate', 'increase_budget', 'decrease_budget'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class GuardrailService {
+  accountIds(adAccountId) {
+    const id = String(adAccountId).replace('act_', '');
+    return [id, `act_${id}`];
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Block when the kill switch is on
+   */
+  async checkKillSwitch() {
+    const global = await intelModels.IntelGuardrailSetting.findOne({ where: { scope: 'global' } });
+    return global?.kill_switch ? this.killSwitchBlock(global) : null;
+  }
+
+  killSwitchBlock(global) {
+    return {
+      guardrail: 'kill_switch',
+      scope: 'global',
+      reason: `Automated execution is frozen by the kill switch${global.kill_switch_reason ? `: ${global.kill_switch_reason}` : ''}`,
+      frozen_at: global.kill_switch_at,
+      frozen_by_user_id: global.kill_switch_by_user_id
+    };
+  }
+
+  /**
+   * Check an action against every guardrail that applies to it
+   *
+   * @param {IntelAutomationAction} action
+   * @param {Object} plan - ActionExecutor.planAction() result ({ learning_stage, change, ... })
+   * @returns {Promise<Object>} { block, dryRun } (block is null when the action may run)
+   */
+  async checkAction(action, plan = {}) {
+    const settings = await intelModels.IntelGuardrailSetting.getForAction(action);
+    const dryRun = [settings.global, settings.user, settings.account].some(setting => setting?.dry_run);
+
+    if (settings.global?.kill_switch) {
+      return { block: this.killSwitchBlock(settings.global), dryRun };
+    }
+    if (!CAMPAIGN_ACTIONS.includes(action.action_type)) {
+      return { block: null, dryRun };
+    }
+
+    const block = this.checkLearningPhase(settings, plan) ||
+      (action.action_type === 'pause' && await this.checkPauseLimit(action, settings)) ||
+      (action.action_type === 'increase_budget' && await this.checkBudgetLimit(action, settings, plan)) ||
+      null;
+
+    return { block, dryRun };
+  }
+
+  checkLearningPhase(settings, plan) {
+    if (plan.learning_stage !== 'LEARNING') return null;
+
+    // The account setting wins over the user's; neither set means not allowed
+    const decidedBy = [settings.account, settings.user].find(setting =>
+      setting && setting.allow_learning_phase !== null && setting.allow_learning_phase !== undefined
+    );
+    if (decidedBy?.allow_learning_phase) return null;
+
+    return {
+      guardrail: 'learning_phase',
+      scope: decidedBy?.scope || 'default',
+      reason: 'Ad set is in the learning phase and actions on learning ad sets are not allowed' +
+        (decidedBy ? ` for this ${decidedBy.scope}` : ' (set allow_learning_phase to allow them)')
+    };
+  }
+
+  /**
+   * User and account limits with the actions they count
+   */
+  limitScopes(action, settings, field) {
+    return [
+      { scope: 'user', setting: settings.user, where: { user_id: action.user_id } },
+      action.ad_account_id
+        ? { scope: 'account', setting: settings.account, where: { ad_account_id: { [intelModels.Sequelize.Op.in]: this.accountIds(action.ad_account_id) } } }
+        : null
+    ].filter(limit => limit && limit.setting && limit.setting[field] !== null && limit.setting[field] !== undefined);
+  }
+
+  /**
+   * Real (not dry-run) executions of an action type since a time
+   */
+  async getRecentExecutions(actionType, where, since) {
+    const actions = await intelModels.IntelAutomationAction.findAll({
+      where: {
+        ...where,
+        action_type: actionType,
+        status: 'executed',
+        executed_at: { [intelModels.Sequelize.Op.gte]: since }
+      },
+      attributes: ['id', 'execution_result']
+    });
+    return actions.filter(action => !action.execution_result?.dry_run);
+  }
+
+  async checkPauseLimit(action, settings) {
+    const since = new Date(Date.now() - HOUR_MS);
+
+    for (const { scope, setting, where } of this.limitScopes(action, settings, 'max_pauses_per_hour')) {
+      const paused = (await this.getRecentExecutions('pause', where, since)).length;
+      if (paused >= setting.max_pauses_per_hour) {
+        return {
+          guardrail: 'max_pauses_per_hour',
+          scope,
+          limit: setting.max_pauses_per_hour,
+          current: paused,
+          reason: `Pause limit reached for this ${scope}: ${paused} of ${setting.max_pauses_per_hour} entities already paused in the last hour`
+        };
+      }
+    }
+    return null;
+  }
+
+  async checkBudgetLimit(action, settings, plan) {
+    const since = new Date(Date.now() - 24 * HOUR_MS);
+    const requested = plan.change || 0;
+
+    for (const { scope, setting, where } of this.limitScopes(action, settings, 'max_budget_increase_per_day')) {
+      const executed = await this.getRecentExecutions('increase_budget', where, since);
+      const used = executed.reduce((sum, item) => sum + Math.max(0, Number(item.execution_result?.change) || 0), 0);
+
+      if (used + requested > setting.max_budget_increase_per_day) {
+        return {
+          guardrail: 'max_budget_increase_per_day',
+          scope,
+          limit: setting.max_budget_increase_per_day,
+          current: Math.round(used * 100) / 100,
+          requested,
+          reason: `Budget increase limit for this ${scope}: ${used.toFixed(2)} of ${setting.max_budget_increase_per_day.toFixed(2)} ` +
+            `already added in the last 24 hours, this action would add ${requested.toFixed(2)}`
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Turn the kill switch on or off
+   */
+  async setKillSwitch(enabled, userId, reason = null) {
+    const global = await intelModels.IntelGuardrailSetting.getForScope('global');
+    await global.update({
+      kill_switch: enabled,
+      kill_switch_reason: enabled ? reason : null,
+      kill_switch_by_user_id: userId,
+      kill_switch_at: new Date(),
+      updated_by_user_id: userId
+    });
+
+    console.log(enabled
+      ? `🛑 [Guardrails] Kill switch ON by user ${userId}${reason ? `: ${reason}` : ''} - automated execution frozen`
+      : `▶️ [Guardrails] Kill switch OFF by user ${userId} - automated execution resumed`);
+    return global;
+  }
+
+  /**
+   * Validate guardrail values for a scope
+   * @returns {Array} Error messages (empty when valid)
+   */
+  validateSettings(scope, values) {
+    const errors = [];
+    const fields = scope === 'global'
+      ? ['dry_run']
+      : ['max_budget_increase_per_day', 'max_pauses_per_hour', 'allow_learning_phase', 'dry_run'];
+
+    Object.keys(values).filter(field => !fields.includes(field)).forEach(field => {
+      errors.push(`${field} can't be set for the ${scope} scope${field === 'kill_switch' ? ' (use the kill switch endpoint)' : ''}`);
+    });
+
+    const { max_budget_increase_per_day: maxIncrease, max_pauses_per_hour: maxPauses, allow_learning_phase: allowLearning, dry_run: dryRun } = values;
+    if (maxIncrease !== undefined && maxIncrease !== null && !(typeof maxIncrease === 'number' && maxIncrease >= 0)) {
+      errors.push('max_budget_increase_per_day must be a non-negative number or null');
+    }
+    if (maxPauses !== undefined && maxPauses !== null && !(Number.isInteger(maxPauses) && maxPauses >= 0)) {
+      errors.push('max_pauses_per_hour must be a non-negative whole number or null');
+    }
+    if (allowLearning !== undefined && allowLearning !== null && typeof allowLearning !== 'boolean') {
+      errors.push('allow_learning_phase must be true, false or null');
+    }
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      errors.push('dry_run must be true or false');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Update the settings of a scope
+   *
+   * @param {String} scope - 'global', 'user' or 'account'
+   * @param {Object} target - { userId, adAccountId }
+   * @param {Object} values - Fields to change
+   * @param {Number} updatedBy - User making the change
+   */
+  async updateSettings(scope, target, values, updatedBy) {
+    const setting = await intelModels.IntelGuardrailSetting.getForScope(scope, target);
+    await setting.update({ ...values, updated_by_user_id: updatedBy });
+
+    console.log(`🛡️ [Guardrails] ${scope} settings updated by user ${updatedBy}:`, JSON.stringify(values));
+    return setting;
+  }
+
+  /**
+   * Settings that apply to a user: global, their own and every account's
+   */
+  async getSettings(userId) {
+    const [global, user, accounts] = await Promise.all([
+      intelModels.IntelGuardrailSetting.findOne({ where: { scope: 'global' } }),
+      intelModels.IntelGuardrailSetting.findOne({ where: { scope: 'user', user_id: userId } }),
+      intelModels.IntelGuardrailSetting.findAll({ where: { scope: 'account' }, order: [['ad_account_id', 'ASC']] })
+    ]);
+
+    return { global, user, accounts };
+  }
+}
+
+module.exports = new GuardrailService();
@@ -15,11 +15,12 @@
 const axios = require('axios');
 const intelModels = require('../models');
 const MetricsCalculator = require('../../services/metricsCalculator');
+const { getGraphBaseUrl } = require('../../config/graphApi');
 
 class InsightsCollectorService {
   constructor() {
     this.apiVersion = process.env.FB_API_VERSION || 'v18.0';
-    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.baseUrl = getGraphBaseUrl(this.apiVersion);
   }
 
   /**
@@ -208,6 +209,43 @@ class InsightsCollectorService {
     }
   }
 
+  /**
+   * Fetch insights for specific campaigns over a date range
+   * Used for split test results - nothing is stored
+   *
+   * @param {Array} campaignIds - Campaign IDs
+   * @param {String} accessToken - User access token
+   * @param {String} since - YYYY-MM-DD
+   * @param {String} until - YYYY-MM-DD
+   * @returns {Promise<Object>} Parsed metrics (see parseInsights) keyed by campaign ID, null when no data
+   */
+  async fetchCampaignResults(campaignIds, accessToken, since, until) {
+    const results = {};
+
+    for (const campaignId of campaignIds) {
+      try {
+        const response = await axios.get(`${this.baseUrl}/${campaignId}/insights`, {
+          params: {
+            access_token: accessToken,
+            fields: 'spend,impressions,clicks,reach,actions,action_values,cpm,cpc,ctr,frequency',
+            time_range: JSON.stringify({ since, until })
+          }
+        });
+
+        const insights = response.data.data?.[0];
+        results[campaignId] = insights ? this.parseInsights(insights) : null;
+      } catch (error) {
+        if (error.response?.data?.error?.code === 190) {
+          throw error; // Token error - rethrow
+        }
+        console.error(`Error fetching insights for campaign ${campaignId}:`, error.response?.data || error.message);
+        results[campaignId] = null;
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Collect and store campaign insights
    */
@@ -17,11 +17,12 @@
 
 const axios = require('axios');
 const intelModels = require('../models');
+const { getGraphBaseUrl } = require('../../config/graphApi');
 
 class PixelHealthService {
   constructor() {
     this.apiVersion = process.env.FB_API_VERSION || 'v18.0';
-    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.baseUrl = getGraphBaseUrl(this.apiVersion);
   }
 
   /**
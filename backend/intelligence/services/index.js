@@ -19,6 +19,7 @@ const NotificationService = require('./NotificationService');
 const IntelligenceScheduler = require('./IntelligenceScheduler');
 const ActionExecutor = require('./ActionExecutor');
 const ExpertRulesService = require('./ExpertRulesService');
+const GuardrailService = require('./GuardrailService');
 
 module.exports = {
   InsightsCollectorService,
@@ -29,5 +30,6 @@ module.exports = {
   NotificationService,
   IntelligenceScheduler,
   ActionExecutor,
-  ExpertRulesService
+  ExpertRulesService,
+  GuardrailService
 };
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Migration: Make campaign_creation_jobs a durable store for background jobs
+ *
+ * Multiply, duplicate, ad duplication and deployment jobs used to live in
+ * in-memory Maps and were lost on every deploy/restart. These columns let the
+ * same table hold them, so progress survives restarts and interrupted jobs can
+ * be resumed on boot from their last created entity.
+ *
+ * - job_key:             Public job ID returned to the frontend (e.g. job_1736..._abc)
+ * - job_type:            campaign_creation | strategy150_multiply | strategy_for_all_duplicate | deployment | ...
+ * - requested_campaigns: Number of campaigns the job should produce (multiply copies, deploy targets)
+ * - job_state:           Last persisted progress payload served by the status endpoints
+ * - job_params:          Input needed to resume the job after a restart
+ * - resume_count:        How many times the job has been resumed (guards against crash loops)
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = await queryInterface.describeTable('campaign_creation_jobs');
+
+    const columns = {
+      job_key: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Public job ID used by progress/status endpoints'
+      },
+      job_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'campaign_creation',
+        comment: 'Kind of background job stored in this row'
+      },
+      requested_campaigns: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Total number of campaigns requested (multiply copies, deployment targets)'
+      },
+      job_state: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Latest progress payload for status endpoints'
+      },
+      job_params: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Parameters required to resume the job after a restart'
+      },
+      resume_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Number of times the job was resumed after a restart'
+      }
+    };
+
+    for (const [name, definition] of Object.entries(columns)) {
+      if (!table[name]) {
+        await queryInterface.addColumn('campaign_creation_jobs', name, definition);
+        console.log(`✅ Added campaign_creation_jobs.${name}`);
+      }
+    }
+
+    const indexNames = (await queryInterface.showIndex('campaign_creation_jobs')).map(index => index.name);
+
+    if (!indexNames.includes('idx_campaign_creation_jobs_job_key')) {
+      await queryInterface.addIndex('campaign_creation_jobs', ['job_key'], {
+        name: 'idx_campaign_creation_jobs_job_key',
+        unique: true
+      });
+    }
+
+    if (!indexNames.includes('idx_campaign_creation_jobs_type_status')) {
+      await queryInterface.addIndex('campaign_creation_jobs', ['job_type', 'status'], {
+        name: 'idx_campaign_creation_jobs_type_status'
+      });
+    }
+
+    console.log('✅ campaign_creation_jobs is now a durable job store');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('campaign_creation_jobs', 'idx_campaign_creation_jobs_type_status');
+    await queryInterface.removeIndex('campaign_creation_jobs', 'idx_campaign_creation_jobs_job_key');
+
+    for (const name of ['resume_count', 'job_params', 'job_state', 'requested_campaigns', 'job_type', 'job_key']) {
+      await queryInterface.removeColumn('campaign_creation_jobs', name);
+    }
+  }
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Migration: Spreadsheet-driven bulk launches
+ *
+ * - bulk_launches: one row per uploaded CSV/XLSX, with the validated rows and the
+ *   request_queue entry each row was queued as
+ * - request_queue.action_type gains 'launch_campaign' (one full campaign per row)
+ */
+
+const ACTION_TYPES = [
+  'create_campaign',
+  'create_adset',
+  'create_ad',
+  'update_campaign',
+  'update_adset',
+  'update_ad',
+  'duplicate_campaign',
+  'batch_operation'
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('bulk_launches', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      ad_account_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Ad account every row is launched into (without act_ prefix)'
+      },
+      strategy: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'strategy-150 | strategy-for-all | strategy-for-ads'
+      },
+      file_name: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Original name of the uploaded spreadsheet'
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'processing', 'completed', 'partial', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      total_rows: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      rows: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Per-row { rowNumber, campaignName, queueId }'
+      },
+      settings: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Shared campaign settings applied to every row'
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('bulk_launches', ['user_id', 'created_at'], {
+      name: 'idx_bulk_launches_user_created'
+    });
+
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_request_queue_action_type"
+        ADD VALUE IF NOT EXISTS 'launch_campaign'
+      `);
+    } else {
+      await queryInterface.changeColumn('request_queue', 'action_type', {
+        type: Sequelize.ENUM(...ACTION_TYPES, 'launch_campaign'),
+        allowNull: false
+      });
+    }
+
+    console.log('✅ bulk_launches table created');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('bulk_launches');
+
+    // PostgreSQL can't drop a single enum value; MySQL can be narrowed again
+    if (queryInterface.sequelize.getDialect() === 'mysql') {
+      await queryInterface.changeColumn('request_queue', 'action_type', {
+        type: Sequelize.ENUM(...ACTION_TYPES),
+        allowNull: false
+      });
+    }
+  }
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Migration: Facebook split tests (ad studies)
+ *
+ * - split_tests: one row per A/B test launch - the cells (one campaign each),
+ *   the Facebook ad study they were grouped into, and the last pulled results
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('split_tests', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      ad_account_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Ad account the cells were launched into (without act_ prefix)'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      variable: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'creative | audience | placement | optimization'
+      },
+      status: {
+        type: Sequelize.ENUM('creating', 'active', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'creating'
+      },
+      study_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Facebook ad study ID'
+      },
+      business_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Business Manager the ad study belongs to'
+      },
+      confidence_level: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 90
+      },
+      start_time: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      end_time: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      cells: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Per-cell { name, treatmentPercentage, overrides, campaignId, jobId }'
+      },
+      results: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Last pulled per-cell metrics and the winning cell'
+      },
+      results_updated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('split_tests', ['user_id', 'created_at'], {
+      name: 'idx_split_tests_user_created'
+    });
+
+    console.log('✅ split_tests table created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('split_tests');
+  }
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Migration: Instant Forms (lead forms) and retrieved leads
+ *
+ * - lead_forms: every Facebook Instant Form created from the app. Facebook forms
+ *   can't be edited, so an edit creates a new form; versions of the same form
+ *   share root_form_id
+ * - leads: submissions pulled from Facebook on a schedule (one row per lead)
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('lead_forms', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      page_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      facebook_form_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      root_form_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'lead_forms.id of version 1 - shared by every version of the form'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'archived'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      locale: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: 'en_US'
+      },
+      questions: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      privacy_policy_url: {
+        type: Sequelize.STRING(1000),
+        allowNull: false
+      },
+      privacy_policy_link_text: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      thank_you_page: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Leads created after this time are pulled on the next sync'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('lead_forms', ['user_id', 'page_id'], {
+      name: 'idx_lead_forms_user_page'
+    });
+    await queryInterface.addIndex('lead_forms', ['root_form_id', 'version'], {
+      name: 'idx_lead_forms_root_version'
+    });
+
+    await queryInterface.createTable('leads', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      lead_form_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'lead_forms',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      facebook_lead_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      campaign_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      ad_set_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      ad_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      is_organic: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      field_data: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Answers keyed by question key'
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('leads', ['user_id', 'campaign_id'], {
+      name: 'idx_leads_user_campaign'
+    });
+    await queryInterface.addIndex('leads', ['lead_form_id', 'submitted_at'], {
+      name: 'idx_leads_form_submitted'
+    });
+
+    console.log('✅ lead_forms and leads tables created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('leads');
+    await queryInterface.dropTable('lead_forms');
+  }
+};
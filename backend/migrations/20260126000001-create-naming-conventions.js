@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Migration: naming conventions
+ *
+ * - naming_conventions: campaign / ad set / ad name templates built from tokens
+ *   ({date}, {vertical}, {state}, {editor}, {strategy}, {copy}, {bid}, ...).
+ *   A convention belongs to its creator and optionally a team; the team's
+ *   default convention applies when a launch doesn't pick one.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('naming_conventions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      team: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Team the convention is shared with (null = personal)'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      campaign_template: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      ad_set_template: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Null keeps the launcher\'s own ad set names'
+      },
+      ad_template: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Null keeps the launcher\'s own ad names'
+      },
+      empty_value: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'NA',
+        comment: 'Written for tokens without a value so names stay parseable'
+      },
+      is_default: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('naming_conventions', ['user_id'], {
+      name: 'idx_naming_conventions_user'
+    });
+    await queryInterface.addIndex('naming_conventions', ['team'], {
+      name: 'idx_naming_conventions_team'
+    });
+
+    console.log('✅ naming_conventions table created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('naming_conventions');
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Migration: Store each launch's URL parameter rules on campaign_tracking
+ *
+ * url_params holds the rules from utils/urlParams ({ target, params, values })
+ * so multiply, duplication and cross-account deployment can rebuild the ads'
+ * url_tags for every copy instead of copying (or losing) the source's tags.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = await queryInterface.describeTable('campaign_tracking');
+
+    if (!table.url_params) {
+      await queryInterface.addColumn('campaign_tracking', 'url_params', {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'UTM/tracker parameter rules re-applied when the campaign is copied'
+      });
+      console.log('✅ Added campaign_tracking.url_params');
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('campaign_tracking', 'url_params');
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Migration: Multiple time windows and date exceptions for campaign schedules
+ *
+ * - time_windows:   [{ start, end, days }] several windows per day, per weekday
+ * - date_ranges:    [{ start_date, end_date, windows }] one-off periods
+ * - blackout_dates: ['YYYY-MM-DD' | { start_date, end_date, reason }]
+ *
+ * Existing schedules keep using start_time/end_time/days_of_week while
+ * time_windows is empty.
+ */
+
+const COLUMNS = {
+  time_windows: 'Weekly run windows [{ start, end, days }] (empty = start_time/end_time)',
+  date_ranges: 'One-off date ranges [{ start_date, end_date, windows }]',
+  blackout_dates: 'Dates the campaign never runs'
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = await queryInterface.describeTable('campaign_schedules');
+
+    for (const [column, comment] of Object.entries(COLUMNS)) {
+      if (!table[column]) {
+        await queryInterface.addColumn('campaign_schedules', column, {
+          type: Sequelize.JSON,
+          allowNull: true,
+          defaultValue: '[]',
+          comment
+        });
+        console.log(`✅ Added campaign_schedules.${column}`);
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const column of Object.keys(COLUMNS)) {
+      await queryInterface.removeColumn('campaign_schedules', column);
+    }
+  }
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Migration: Scheduled budget changes on campaign schedules
+ *
+ * - campaign_schedules.budget_actions: [{ time, days, type, amount|percent, min_budget, max_budget }]
+ * - campaign_schedules.next_budget_action_at / last_budget_action_at
+ * - campaign_schedule_logs.action gains 'budget'
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = await queryInterface.describeTable('campaign_schedules');
+
+    if (!table.budget_actions) {
+      await queryInterface.addColumn('campaign_schedules', 'budget_actions', {
+        type: Sequelize.JSON,
+        allowNull: true,
+        defaultValue: '[]',
+        comment: 'Scheduled budget changes (see utils/scheduleWindows)'
+      });
+      console.log('✅ Added campaign_schedules.budget_actions');
+    }
+
+    if (!table.next_budget_action_at) {
+      await queryInterface.addColumn('campaign_schedules', 'next_budget_action_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Next scheduled budget change (UTC)'
+      });
+      await queryInterface.addIndex('campaign_schedules', ['next_budget_action_at', 'is_enabled'], {
+        name: 'idx_next_budget_action'
+      });
+      console.log('✅ Added campaign_schedules.next_budget_action_at');
+    }
+
+    if (!table.last_budget_action_at) {
+      await queryInterface.addColumn('campaign_schedules', 'last_budget_action_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Last time the scheduler changed the budget'
+      });
+      console.log('✅ Added campaign_schedules.last_budget_action_at');
+    }
+
+    await queryInterface.changeColumn('campaign_schedule_logs', 'action', {
+      type: Sequelize.ENUM('start', 'pause', 'budget'),
+      allowNull: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('campaign_schedule_logs', { action: 'budget' });
+    await queryInterface.changeColumn('campaign_schedule_logs', 'action', {
+      type: Sequelize.ENUM('start', 'pause'),
+      allowNull: false
+    });
+    await queryInterface.removeIndex('campaign_schedules', 'idx_next_budget_action');
+    await queryInterface.removeColumn('campaign_schedules', 'last_budget_action_at');
+    await queryInterface.removeColumn('campaign_schedules', 'next_budget_action_at');
+    await queryInterface.removeColumn('campaign_schedules', 'budget_actions');
+  }
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Migration: Ad set and ad level schedules
+ *
+ * A schedule now targets one entity (entity_type + entity_id); campaign_id
+ * stays the campaign the entity belongs to. Existing rows are campaign
+ * schedules, so entity_id is backfilled from campaign_id.
+ * The unique (user_id, campaign_id) index becomes (user_id, entity_type, entity_id)
+ * so a campaign can have schedules on several of its ad sets and ads.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = await queryInterface.describeTable('campaign_schedules');
+
+    if (!table.entity_type) {
+      await queryInterface.addColumn('campaign_schedules', 'entity_type', {
+        type: Sequelize.ENUM('campaign', 'adset', 'ad'),
+        allowNull: false,
+        defaultValue: 'campaign',
+        comment: 'What the schedule starts/pauses'
+      });
+      console.log('✅ Added campaign_schedules.entity_type');
+    }
+
+    if (!table.entity_id) {
+      await queryInterface.addColumn('campaign_schedules', 'entity_id', {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Facebook ID of the campaign, ad set or ad'
+      });
+      await queryInterface.sequelize.query(
+        'UPDATE campaign_schedules SET entity_id = campaign_id WHERE entity_id IS NULL'
+      );
+      await queryInterface.changeColumn('campaign_schedules', 'entity_id', {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Facebook ID of the campaign, ad set or ad'
+      });
+      console.log('✅ Added campaign_schedules.entity_id');
+    }
+
+    if (!table.entity_name) {
+      await queryInterface.addColumn('campaign_schedules', 'entity_name', {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Ad set / ad name for easy reference'
+      });
+      console.log('✅ Added campaign_schedules.entity_name');
+    }
+
+    const indexes = await queryInterface.showIndex('campaign_schedules');
+    if (indexes.some(index => index.name === 'idx_user_campaign')) {
+      await queryInterface.removeIndex('campaign_schedules', 'idx_user_campaign');
+      await queryInterface.addIndex('campaign_schedules', ['user_id', 'campaign_id'], {
+        name: 'idx_user_campaign'
+      });
+    }
+    if (!indexes.some(index => index.name === 'idx_user_entity')) {
+      await queryInterface.addIndex('campaign_schedules', ['user_id', 'entity_type', 'entity_id'], {
+        name: 'idx_user_entity',
+        unique: true
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.bulkDelete('campaign_schedules', { entity_type: ['adset', 'ad'] });
+    await queryInterface.removeIndex('campaign_schedules', 'idx_user_entity');
+    await queryInterface.removeIndex('campaign_schedules', 'idx_user_campaign');
+    await queryInterface.addIndex('campaign_schedules', ['user_id', 'campaign_id'], {
+      name: 'idx_user_campaign',
+      unique: true
+    });
+    await queryInterface.removeColumn('campaign_schedules', 'entity_name');
+    await queryInterface.removeColumn('campaign_schedules', 'entity_id');
+    await queryInterface.removeColumn('campaign_schedules', 'entity_type');
+  }
+};
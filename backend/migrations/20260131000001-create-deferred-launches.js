@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Migration: Deferred strategy launches
+ *
+ * - deferred_launches: a strategy create request stored with a future launch
+ *   time (launch_at, UTC) and run by DeferredLaunchService when it's due
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('deferred_launches', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      strategy: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Submitting route: strategy-150, strategy-for-all or strategy-for-ads'
+      },
+      ad_account_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      page_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      pixel_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      campaign_name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      campaign_data: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      ad_set_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      number_of_campaigns: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      media_files: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: '[]'
+      },
+      launch_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      timezone: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC'
+      },
+      status: {
+        type: Sequelize.ENUM('scheduled', 'launching', 'launched', 'failed', 'blocked', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'scheduled'
+      },
+      result: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      launched_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('deferred_launches', ['status', 'launch_at'], {
+      name: 'idx_deferred_launches_status_launch_at'
+    });
+    await queryInterface.addIndex('deferred_launches', ['user_id', 'status'], {
+      name: 'idx_deferred_launches_user_status'
+    });
+
+    console.log('✅ deferred_launches table created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('deferred_launches');
+  }
+};
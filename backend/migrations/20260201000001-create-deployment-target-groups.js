@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Migration: Saved deployment target groups
+ *
+ * - deployment_target_groups: named lists of ad account/page/pixel targets
+ *   (with per-target naming overrides) a deployment can be sent to
+ * - campaign_deployments.targetGroupId: group a deployment was sent to
+ *
+ * Same camelCase column style as the other deployment tables.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('deployment_target_groups', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      targets: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: '[]',
+        comment: 'Array of { adAccountId, pageId, pixelId, customCampaignName, namingValues }'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('deployment_target_groups', ['userId', 'name'], {
+      name: 'deployment_target_groups_userId_name_idx',
+      unique: true
+    });
+
+    const table = await queryInterface.describeTable('campaign_deployments');
+    if (!table.targetGroupId) {
+      await queryInterface.addColumn('campaign_deployments', 'targetGroupId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Saved target group the deployment was sent to'
+      });
+      console.log('✅ Added campaign_deployments.targetGroupId');
+    }
+
+    console.log('✅ deployment_target_groups table created');
+  },
+
+  down: async (queryInterface) => {
+    const table = await queryInterface.describeTable('campaign_deployments');
+    if (table.targetGroupId) {
+      await queryInterface.removeColumn('campaign_deployments', 'targetGroupId');
+    }
+    await queryInterface.dropTable('deployment_target_groups');
+  }
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Migration: Deployment sync history
+ *
+ * - deployment_syncs: every push of source campaign changes to a
+ *   deployment's copies, with per-target results
+ * - deployed_campaigns.lastSyncedAt: last successful push to that copy
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('deployment_syncs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      deploymentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'campaign_deployments',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      fields: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: '[]',
+        comment: 'Categories pushed: status, budget, schedule, copy, url'
+      },
+      status: {
+        type: Sequelize.ENUM('processing', 'completed', 'partial', 'failed'),
+        allowNull: false,
+        defaultValue: 'processing'
+      },
+      totalTargets: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      appliedChanges: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      failedChanges: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      skippedChanges: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      results: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('deployment_syncs', ['deploymentId'], {
+      name: 'deployment_syncs_deploymentId_idx'
+    });
+
+    const table = await queryInterface.describeTable('deployed_campaigns');
+    if (!table.lastSyncedAt) {
+      await queryInterface.addColumn('deployed_campaigns', 'lastSyncedAt', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Last successful push of source campaign changes'
+      });
+      console.log('✅ Added deployed_campaigns.lastSyncedAt');
+    }
+
+    console.log('✅ deployment_syncs table created');
+  },
+
+  down: async (queryInterface) => {
+    const table = await queryInterface.describeTable('deployed_campaigns');
+    if (table.lastSyncedAt) {
+      await queryInterface.removeColumn('deployed_campaigns', 'lastSyncedAt');
+    }
+    await queryInterface.dropTable('deployment_syncs');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Migration: Deployment rollback
+ *
+ * - campaign_deployments.rolledBackAt / rollbackResults: last rollback of
+ *   the deployment with its per-target results
+ * - deployed_campaigns.rollbackAction / rolledBackAt: what happened to each copy
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const deployments = await queryInterface.describeTable('campaign_deployments');
+    if (!deployments.rolledBackAt) {
+      await queryInterface.addColumn('campaign_deployments', 'rolledBackAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      console.log('✅ Added campaign_deployments.rolledBackAt');
+    }
+    if (!deployments.rollbackResults) {
+      await queryInterface.addColumn('campaign_deployments', 'rollbackResults', {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Last rollback: { action, rolledBack, skipped, failed, targets }'
+      });
+      console.log('✅ Added campaign_deployments.rollbackResults');
+    }
+
+    const copies = await queryInterface.describeTable('deployed_campaigns');
+    if (!copies.rollbackAction) {
+      await queryInterface.addColumn('deployed_campaigns', 'rollbackAction', {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'deleted or paused when the deployment was rolled back'
+      });
+      console.log('✅ Added deployed_campaigns.rollbackAction');
+    }
+    if (!copies.rolledBackAt) {
+      await queryInterface.addColumn('deployed_campaigns', 'rolledBackAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      console.log('✅ Added deployed_campaigns.rolledBackAt');
+    }
+  },
+
+  down: async (queryInterface) => {
+    const deployments = await queryInterface.describeTable('campaign_deployments');
+    if (deployments.rollbackResults) await queryInterface.removeColumn('campaign_deployments', 'rollbackResults');
+    if (deployments.rolledBackAt) await queryInterface.removeColumn('campaign_deployments', 'rolledBackAt');
+
+    const copies = await queryInterface.describeTable('deployed_campaigns');
+    if (copies.rolledBackAt) await queryInterface.removeColumn('deployed_campaigns', 'rolledBackAt');
+    if (copies.rollbackAction) await queryInterface.removeColumn('deployed_campaigns', 'rollbackAction');
+  }
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Migration: Content-addressed creative store
+ *
+ * - creative_assets: one row per distinct media file (SHA-256 of its bytes)
+ * - creative_asset_accounts: the image hash / video ID that file has in each
+ *   ad account it was uploaded to (or was read from as a deployment source)
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('creative_assets', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      file_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the file contents'
+      },
+      media_type: {
+        type: Sequelize.ENUM('image', 'video'),
+        allowNull: false
+      },
+      file_size: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      storage_path: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Path under the store directory; null once the file has been pruned'
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('creative_asset_accounts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      asset_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'creative_assets',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      ad_account_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Without the act_ prefix'
+      },
+      media_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Image hash (images) or video ID (videos) in this account'
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('creative_asset_accounts', ['asset_id', 'ad_account_id'], {
+      name: 'idx_creative_asset_accounts_asset_account',
+      unique: true
+    });
+    await queryInterface.addIndex('creative_asset_accounts', ['ad_account_id', 'media_id'], {
+      name: 'idx_creative_asset_accounts_account_media'
+    });
+
+    console.log('✅ creative_assets and creative_asset_accounts tables created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('creative_asset_accounts');
+    await queryInterface.dropTable('creative_assets');
+  }
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Migration: Automation guardrails
+ *
+ * - intel_guardrail_settings: kill switch (global scope) and execution limits
+ *   per user / ad account, checked by ActionExecutor
+ * - intel_automation_actions.status 'blocked': actions a guardrail stopped
+ *   (the reason is in error_message, the details in execution_result)
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // PostgreSQL doesn't allow ALTER TYPE ADD VALUE inside a transaction
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_intel_automation_actions_status"
+        ADD VALUE IF NOT EXISTS 'blocked';
+      `);
+      console.log('✅ Added intel_automation_actions.status blocked');
+    }
+
+    await queryInterface.createTable('intel_guardrail_settings', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      scope: {
+        type: Sequelize.ENUM('global', 'user', 'account'),
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Set for user scope'
+      },
+      ad_account_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Set for account scope (without act_)'
+      },
+      kill_switch: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      kill_switch_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      kill_switch_by_user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      kill_switch_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      max_budget_increase_per_day: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Total budget increase allowed in the last 24 hours, in account currency'
+      },
+      max_pauses_per_hour: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Entities that may be paused in the last 60 minutes'
+      },
+      allow_learning_phase: {
+        type: Sequelize.BOOLEAN,
+        allowNull: true,
+        comment: 'Allow actions on ad sets still in the learning phase (default: no)'
+      },
+      dry_run: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        comment: 'Record what would have happened instead of executing'
+      },
+      updated_by_user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('intel_guardrail_settings', ['scope', 'user_id'], {
+      name: 'idx_intel_guardrails_scope_user'
+    });
+    await queryInterface.addIndex('intel_guardrail_settings', ['scope', 'ad_account_id'], {
+      name: 'idx_intel_guardrails_scope_account'
+    });
+
+    console.log('✅ intel_guardrail_settings table created');
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('intel_guardrail_settings');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_intel_guardrail_settings_scope";');
+    // PostgreSQL can't remove the 'blocked' enum value; it is left in place
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Migration: Deployed campaign entity map
+ *
+ * - deployed_campaigns.entityMap: source -> copy ad set and ad IDs recorded when
+ *   the copy was created, so syncs match entities by ID instead of position
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const copies = await queryInterface.describeTable('deployed_campaigns');
+    if (!copies.entityMap) {
+      await queryInterface.addColumn('deployed_campaigns', 'entityMap', {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: '{ adSets: { sourceId: copyId }, ads: { sourceId: copyId } }'
+      });
+      console.log('✅ Added deployed_campaigns.entityMap');
+    }
+  },
+
+  down: async (queryInterface) => {
+    const copies = await queryInterface.describeTable('deployed_campaigns');
+    if (copies.entityMap) await queryInterface.removeColumn('deployed_campaigns', 'entityMap');
+  }
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Migration: Remember where a capped lead sync stopped
+ *
+ * A sync stops after MAX_LEAD_PAGES pages. sync_cursor keeps the Graph `after`
+ * cursor of the next page so the following run continues with the older leads,
+ * and sync_window_started_at the time the interrupted sync began, which becomes
+ * last_synced_at once the backlog has been read.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const table = await queryInterface.describeTable('lead_forms');
+
+    if (!table.sync_cursor) {
+      await queryInterface.addColumn('lead_forms', 'sync_cursor', {
+        type: Sequelize.STRING(512),
+        allowNull: true,
+        comment: 'Graph paging cursor of the next lead page when the last sync hit the page cap'
+      });
+      console.log('✅ Added lead_forms.sync_cursor');
+    }
+
+    if (!table.sync_window_started_at) {
+      await queryInterface.addColumn('lead_forms', 'sync_window_started_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Start of the sync the cursor belongs to'
+      });
+      console.log('✅ Added lead_forms.sync_window_started_at');
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('lead_forms', 'sync_window_started_at');
+    await queryInterface.removeColumn('lead_forms', 'sync_cursor');
+  }
+};
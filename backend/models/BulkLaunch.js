@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * A spreadsheet upload where each row is launched as one campaign.
+ * Rows are queued as 'launch_campaign' RequestQueue entries; per-row status
+ * is read back from those entries (see BulkLaunchService.getBulkLaunch).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const BulkLaunch = sequelize.define('BulkLaunch', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id'
+    },
+    adAccountId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'ad_account_id'
+    },
+    strategy: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'file_name'
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'processing', 'completed', 'partial', 'failed'),
+      defaultValue: 'queued'
+    },
+    totalRows: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      field: 'total_rows'
+    },
+    rows: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    settings: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at'
+    }
+  }, {
+    tableName: 'bulk_launches',
+    underscored: true,
+    timestamps: true
+  });
+
+  BulkLaunch.associate = function(models) {
+    BulkLaunch.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return BulkLaunch;
+};
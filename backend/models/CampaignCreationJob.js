@@ -6,6 +6,9 @@
  * Tracks the overall state of a campaign creation request from start to finish.
  * Provides job-level isolation to prevent concurrent requests from interfering.
  *
+ * Also serves as the durable store for background jobs (multiply, duplicate,
+ * ad duplication, deployment) via jobKey/jobType/jobState - see services/JobStore.js.
+ *
  * Status flow:
  * pending → in_progress → completed
  *                      ↓
@@ -138,6 +141,47 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(255),
       allowNull: true,
       field: 'facebook_campaign_id'
+    },
+
+    // Durable background job fields
+    jobKey: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      unique: true,
+      field: 'job_key',
+      comment: 'Public job ID used by progress/status endpoints'
+    },
+    jobType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'campaign_creation',
+      field: 'job_type',
+      comment: 'campaign_creation, strategy150_multiply, strategy_for_all_duplicate, deployment, ...'
+    },
+    requestedCampaigns: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'requested_campaigns',
+      comment: 'Total number of campaigns requested (multiply copies, deployment targets)'
+    },
+    jobState: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'job_state',
+      comment: 'Latest progress payload served by status endpoints'
+    },
+    jobParams: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'job_params',
+      comment: 'Parameters required to resume the job after a restart'
+    },
+    resumeCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'resume_count'
     }
   }, {
     tableName: 'campaign_creation_jobs',
@@ -155,6 +199,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['facebook_campaign_id']
+      },
+      {
+        fields: ['job_type', 'status']
       }
     ]
   });
@@ -42,6 +42,11 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: [],
       comment: 'Array of target account/page combinations'
     },
+    targetGroupId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Saved target group the deployment was sent to'
+    },
     status: {
       type: DataTypes.ENUM('pending', 'processing', 'completed', 'partial', 'failed'),
       allowNull: false,
@@ -80,6 +85,15 @@ module.exports = (sequelize, DataTypes) => {
     completedAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    rolledBackAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    rollbackResults: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Last rollback: { action, rolledBack, skipped, failed, targets }'
     }
   }, {
     tableName: 'campaign_deployments',
@@ -93,10 +107,20 @@ module.exports = (sequelize, DataTypes) => {
       as: 'user'
     });
 
+    CampaignDeployment.belongsTo(models.DeploymentTargetGroup, {
+      foreignKey: 'targetGroupId',
+      as: 'targetGroup'
+    });
+
     CampaignDeployment.hasMany(models.DeployedCampaign, {
       foreignKey: 'deploymentId',
       as: 'deployedCampaigns'
     });
+
+    CampaignDeployment.hasMany(models.DeploymentSync, {
+      foreignKey: 'deploymentId',
+      as: 'syncs'
+    });
   };
 
   return CampaignDeployment;
@@ -17,6 +17,23 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       field: 'campaign_name'
     },
+    // What the schedule targets; campaign_id is the entity's campaign
+    entity_type: {
+      type: DataTypes.ENUM('campaign', 'adset', 'ad'),
+      allowNull: false,
+      defaultValue: 'campaign',
+      field: 'entity_type'
+    },
+    entity_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'entity_id'
+    },
+    entity_name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'entity_name'
+    },
     user_id: {
       type: DataTypes.BIGINT,
       allowNull: false,
@@ -51,6 +68,31 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
       field: 'days_of_week'
     },
+    // Extra windows and date exceptions (see utils/scheduleWindows)
+    time_windows: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      field: 'time_windows'
+    },
+    date_ranges: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      field: 'date_ranges'
+    },
+    blackout_dates: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      field: 'blackout_dates'
+    },
+    budget_actions: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      field: 'budget_actions'
+    },
 
     // Control
     is_enabled: {
@@ -81,6 +123,16 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'next_scheduled_pause'
     },
+    last_budget_action_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_budget_action_at'
+    },
+    next_budget_action_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'next_budget_action_at'
+    },
 
     // Error Handling
     consecutive_failures: {
@@ -103,7 +155,15 @@ module.exports = (sequelize, DataTypes) => {
     timestamps: true,
     underscored: true,
     createdAt: 'created_at',
-    updatedAt: 'updated_at'
+    updatedAt: 'updated_at',
+    hooks: {
+      beforeValidate: (schedule) => {
+        // Campaign schedules target the campaign itself
+        if (!schedule.entity_id && schedule.entity_type === 'campaign') {
+          schedule.entity_id = schedule.campaign_id;
+        }
+      }
+    }
   });
 
   CampaignSchedule.associate = function(models) {
@@ -130,6 +190,12 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   // Instance methods
+  CampaignSchedule.prototype.getLabel = function() {
+    if (this.entity_type === 'adset') return `ad set ${this.entity_name || this.entity_id}`;
+    if (this.entity_type === 'ad') return `ad ${this.entity_name || this.entity_id}`;
+    return this.campaign_name;
+  };
+
   CampaignSchedule.prototype.recordSuccess = async function(action) {
     const updateData = {
       consecutive_failures: 0,
@@ -141,6 +207,8 @@ module.exports = (sequelize, DataTypes) => {
       updateData.last_started_at = new Date();
     } else if (action === 'pause') {
       updateData.last_paused_at = new Date();
+    } else if (action === 'budget') {
+      updateData.last_budget_action_at = new Date();
     }
 
     return this.update(updateData);
@@ -178,9 +246,14 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   CampaignSchedule.findByCampaignId = function(campaignId, userId) {
+    return this.findByEntity('campaign', campaignId, userId);
+  };
+
+  CampaignSchedule.findByEntity = function(entityType, entityId, userId) {
     return this.findOne({
       where: {
-        campaign_id: campaignId,
+        entity_type: entityType,
+        entity_id: entityId,
         user_id: userId
       }
     });
@@ -220,6 +293,13 @@ module.exports = (sequelize, DataTypes) => {
           { [Op.ne]: null }
         ]
       };
+    } else if (action === 'budget') {
+      whereClause.next_budget_action_at = {
+        [Op.and]: [
+          { [Op.lte]: now },
+          { [Op.ne]: null }
+        ]
+      };
     }
 
     return this.findAll({
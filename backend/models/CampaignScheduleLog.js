@@ -13,7 +13,7 @@ module.exports = (sequelize, DataTypes) => {
       field: 'campaign_schedule_id'
     },
     action: {
-      type: DataTypes.ENUM('start', 'pause'),
+      type: DataTypes.ENUM('start', 'pause', 'budget'),
       allowNull: false,
       field: 'action'
     },
@@ -57,6 +57,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.JSON,
       defaultValue: {},
       field: 'learning_phase_summary'
+    },
+    url_params: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'url_params'
     }
   }, {
     tableName: 'campaign_tracking',
@@ -101,5 +106,14 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  // URL parameter rules of a launched campaign, for re-applying to its copies
+  CampaignTracking.getUrlParams = async function(campaignId) {
+    const tracking = await this.findOne({
+      where: { campaign_id: campaignId },
+      attributes: ['url_params']
+    });
+    return tracking?.url_params || null;
+  };
+
   return CampaignTracking;
 };
\ No newline at end of file
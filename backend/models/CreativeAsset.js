@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * A media file in the content-addressed creative store, keyed by the
+ * SHA-256 of its bytes. The file is kept under uploads/creative-store/ until
+ * it goes unused (CreativeStore.prune); the per-account image hashes and
+ * video IDs it was uploaded as are CreativeAssetAccount rows.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const CreativeAsset = sequelize.define('CreativeAsset', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    fileHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'file_hash',
+      comment: 'SHA-256 of the file contents'
+    },
+    mediaType: {
+      type: DataTypes.ENUM('image', 'video'),
+      allowNull: false,
+      field: 'media_type'
+    },
+    fileSize: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      field: 'file_size'
+    },
+    storagePath: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'storage_path',
+      comment: 'Path under the store directory; null once the file has been pruned'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'last_used_at'
+    }
+  }, {
+    tableName: 'creative_assets',
+    underscored: true,
+    timestamps: true
+  });
+
+  CreativeAsset.associate = function(models) {
+    CreativeAsset.hasMany(models.CreativeAssetAccount, {
+      foreignKey: 'assetId',
+      as: 'accounts'
+    });
+  };
+
+  return CreativeAsset;
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * The image hash or video ID a creative store asset has in one ad account.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const CreativeAssetAccount = sequelize.define('CreativeAssetAccount', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    assetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'asset_id'
+    },
+    adAccountId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'ad_account_id',
+      comment: 'Without the act_ prefix'
+    },
+    mediaId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'media_id',
+      comment: 'Image hash (images) or video ID (videos) in this account'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'last_used_at'
+    }
+  }, {
+    tableName: 'creative_asset_accounts',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['asset_id', 'ad_account_id'] },
+      { fields: ['ad_account_id', 'media_id'] }
+    ]
+  });
+
+  CreativeAssetAccount.associate = function(models) {
+    CreativeAssetAccount.belongsTo(models.CreativeAsset, {
+      foreignKey: 'assetId',
+      as: 'asset'
+    });
+  };
+
+  return CreativeAssetAccount;
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * A strategy launch submitted with a future launch time.
+ * The built campaign data is stored as submitted (media copied under
+ * uploads/deferred/<id>/) and DeferredLaunchService creates it at launchAt
+ * after the same pre-creation verification the create routes run.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const DeferredLaunch = sequelize.define('DeferredLaunch', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id'
+    },
+    strategy: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Submitting route: strategy-150, strategy-for-all or strategy-for-ads'
+    },
+    adAccountId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'ad_account_id'
+    },
+    pageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'page_id'
+    },
+    pixelId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'pixel_id'
+    },
+    campaignName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'campaign_name'
+    },
+    campaignData: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      field: 'campaign_data'
+    },
+    adSetCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'ad_set_count'
+    },
+    numberOfCampaigns: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'number_of_campaigns'
+    },
+    mediaFiles: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      field: 'media_files'
+    },
+    launchAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'launch_at'
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC'
+    },
+    status: {
+      type: DataTypes.ENUM('scheduled', 'launching', 'launched', 'failed', 'blocked', 'cancelled'),
+      defaultValue: 'scheduled'
+    },
+    result: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'started_at'
+    },
+    launchedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'launched_at'
+    }
+  }, {
+    tableName: 'deferred_launches',
+    underscored: true,
+    timestamps: true
+  });
+
+  DeferredLaunch.associate = function(models) {
+    DeferredLaunch.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return DeferredLaunch;
+};
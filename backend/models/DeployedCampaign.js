@@ -79,6 +79,25 @@ module.exports = (sequelize, DataTypes) => {
     deployedAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Last successful push of source campaign changes'
+    },
+    rollbackAction: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'deleted or paused when the deployment was rolled back'
+    },
+    rolledBackAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    entityMap: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '{ adSets: { sourceId: copyId }, ads: { sourceId: copyId } }'
     }
   }, {
     tableName: 'deployed_campaigns',
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * One push of source campaign changes to a deployment's copies.
+ * results holds the per-target, per-change outcome (see DeploymentSyncService).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const DeploymentSync = sequelize.define('DeploymentSync', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    deploymentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'campaign_deployments',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    fields: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Categories pushed: status, budget, schedule, copy, url'
+    },
+    status: {
+      type: DataTypes.ENUM('processing', 'completed', 'partial', 'failed'),
+      allowNull: false,
+      defaultValue: 'processing'
+    },
+    totalTargets: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    appliedChanges: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    failedChanges: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    skippedChanges: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    results: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      comment: 'Per target: { deployedCampaignId, targetCampaignId, changes: [{ keys, success, error }] }'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'deployment_syncs',
+    timestamps: true,
+    underscored: false
+  });
+
+  DeploymentSync.associate = function(models) {
+    DeploymentSync.belongsTo(models.CampaignDeployment, {
+      foreignKey: 'deploymentId',
+      as: 'deployment'
+    });
+
+    DeploymentSync.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return DeploymentSync;
+};
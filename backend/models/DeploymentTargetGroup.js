@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * A saved, named list of deployment targets (e.g. "Insurance BM accounts").
+ * Each target carries its own page, pixel and naming overrides; see
+ * DeploymentTargetGroupService for the target shape.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const DeploymentTargetGroup = sequelize.define('DeploymentTargetGroup', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'e.g. "Insurance BM accounts"'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    targets: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Array of { adAccountId, pageId, pixelId, customCampaignName, namingValues, conversionMapping }'
+    }
+  }, {
+    tableName: 'deployment_target_groups',
+    timestamps: true,
+    underscored: false
+  });
+
+  DeploymentTargetGroup.associate = function(models) {
+    DeploymentTargetGroup.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    DeploymentTargetGroup.hasMany(models.CampaignDeployment, {
+      foreignKey: 'targetGroupId',
+      as: 'deployments'
+    });
+  };
+
+  return DeploymentTargetGroup;
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * A lead submitted through a LeadForm, pulled from Facebook by
+ * LeadFormService.syncLeads (one row per Facebook lead ID).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Lead = sequelize.define('Lead', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id'
+    },
+    leadFormId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'lead_form_id'
+    },
+    facebookLeadId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      field: 'facebook_lead_id'
+    },
+    campaignId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'campaign_id'
+    },
+    adSetId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'ad_set_id'
+    },
+    adId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'ad_id'
+    },
+    isOrganic: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      field: 'is_organic'
+    },
+    fieldData: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      field: 'field_data'
+    },
+    submittedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'submitted_at'
+    }
+  }, {
+    tableName: 'leads',
+    underscored: true,
+    timestamps: true
+  });
+
+  Lead.associate = function(models) {
+    Lead.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+    Lead.belongsTo(models.LeadForm, {
+      foreignKey: 'leadFormId',
+      as: 'leadForm'
+    });
+  };
+
+  return Lead;
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * A Facebook Instant Form created from the app.
+ * Facebook forms are immutable, so editing a form creates a new version
+ * (a new Facebook form) and archives the previous one; all versions share
+ * rootFormId. Leads are pulled into the Lead model by LeadFormService.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const LeadForm = sequelize.define('LeadForm', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id'
+    },
+    pageId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'page_id'
+    },
+    facebookFormId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      field: 'facebook_form_id'
+    },
+    rootFormId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'root_form_id'
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'archived'),
+      defaultValue: 'active'
+    },
+    locale: {
+      type: DataTypes.STRING(10),
+      defaultValue: 'en_US'
+    },
+    questions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    privacyPolicyUrl: {
+      type: DataTypes.STRING(1000),
+      allowNull: false,
+      field: 'privacy_policy_url'
+    },
+    privacyPolicyLinkText: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'privacy_policy_link_text'
+    },
+    thankYouPage: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'thank_you_page'
+    },
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_synced_at'
+    },
+    // Set while a sync that hit the page cap still has older leads to read
+    syncCursor: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'sync_cursor'
+    },
+    syncWindowStartedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'sync_window_started_at'
+    }
+  }, {
+    tableName: 'lead_forms',
+    underscored: true,
+    timestamps: true
+  });
+
+  LeadForm.associate = function(models) {
+    LeadForm.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+    LeadForm.hasMany(models.Lead, {
+      foreignKey: 'leadFormId',
+      as: 'leads'
+    });
+  };
+
+  return LeadForm;
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * A naming convention: token templates for campaign, ad set and ad names.
+ * Rendered and parsed back into metadata by services/NamingService.js.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const NamingConvention = sequelize.define('NamingConvention', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id'
+    },
+    // Role name the convention is shared with; null for a personal convention
+    team: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    campaignTemplate: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      field: 'campaign_template'
+    },
+    adSetTemplate: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'ad_set_template'
+    },
+    adTemplate: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'ad_template'
+    },
+    emptyValue: {
+      type: DataTypes.STRING(20),
+      defaultValue: 'NA',
+      field: 'empty_value'
+    },
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      field: 'is_default'
+    }
+  }, {
+    tableName: 'naming_conventions',
+    underscored: true,
+    timestamps: true
+  });
+
+  NamingConvention.associate = function(models) {
+    NamingConvention.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return NamingConvention;
+};
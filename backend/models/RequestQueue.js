@@ -27,7 +27,8 @@ module.exports = (sequelize, DataTypes) => {
         'update_adset',
         'update_ad',
         'duplicate_campaign',
-        'batch_operation'
+        'batch_operation',
+        'launch_campaign'
       ),
       allowNull: false,
       field: 'action_type'
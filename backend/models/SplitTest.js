@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * A Facebook split test (ad study) launched from the app.
+ * Each cell is its own campaign built by StrategyEngine; the ad study splits
+ * the audience between them so results don't overlap. Results are pulled
+ * through InsightsCollectorService (see SplitTestService.getResults).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const SplitTest = sequelize.define('SplitTest', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id'
+    },
+    adAccountId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'ad_account_id'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    variable: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('creating', 'active', 'completed', 'failed'),
+      defaultValue: 'creating'
+    },
+    studyId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'study_id'
+    },
+    businessId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'business_id'
+    },
+    confidenceLevel: {
+      type: DataTypes.INTEGER,
+      defaultValue: 90,
+      field: 'confidence_level'
+    },
+    startTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'start_time'
+    },
+    endTime: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'end_time'
+    },
+    cells: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    results: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    resultsUpdatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'results_updated_at'
+    },
+    errorMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'error_message'
+    }
+  }, {
+    tableName: 'split_tests',
+    underscored: true,
+    timestamps: true
+  });
+
+  SplitTest.associate = function(models) {
+    SplitTest.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return SplitTest;
+};
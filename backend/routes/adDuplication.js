@@ -7,9 +7,12 @@ const { authenticate } = require('../middleware/auth');
 const { requireFacebookAuth } = require('../middleware/facebookAuth');
 const { decryptToken } = require('./facebookSDKAuth');
 const { FacebookAuth } = require('../models');
+const JobStore = require('../services/JobStore');
 
-// In-memory storage for ad duplication jobs (same pattern as ad set duplication)
-const adDuplicationJobs = new Map();
+// Ad duplication jobs (same pattern as ad set duplication), persisted so progress survives restarts.
+// Not resumable: created ads are only known per finished ad set, so a restart could create them twice.
+// Jobs interrupted by a restart are marked failed on boot (no resume handler, no job params).
+const adDuplicationJobs = JobStore.collection('ad_duplication');
 
 /**
  * @route   POST /api/campaigns/strategy-for-all/ads/duplicate
@@ -112,6 +115,13 @@ router.post(
         errors: [],
         startedAt: Date.now(),
         completedAt: null
+      }, {
+        userId,
+        adAccountId: resources.selectedAdAccountId,
+        campaignName: `Duplicate ads in ${campaignId}`,
+        facebookCampaignId: campaignId,
+        requestedCampaigns: 0,
+        requestedAds: totalAdsToCreate
       });
 
       console.log(`✅ Job created: ${jobId}`);
@@ -207,7 +217,7 @@ router.get('/progress/:jobId', authenticate, async (req, res) => {
     const { jobId } = req.params;
     const userId = req.user?.id || req.userId;
 
-    const job = adDuplicationJobs.get(jobId);
+    const job = adDuplicationJobs.get(jobId) || await adDuplicationJobs.load(jobId);
 
     if (!job) {
       return res.status(404).json({
@@ -251,7 +261,7 @@ router.delete('/progress/:jobId', authenticate, async (req, res) => {
     const { jobId } = req.params;
     const userId = req.user?.id || req.userId;
 
-    const job = adDuplicationJobs.get(jobId);
+    const job = adDuplicationJobs.get(jobId) || await adDuplicationJobs.load(jobId);
 
     if (!job) {
       return res.status(404).json({
@@ -268,7 +278,7 @@ router.delete('/progress/:jobId', authenticate, async (req, res) => {
       });
     }
 
-    // Delete job
+    // Delete job from memory (the database row is kept as history)
     adDuplicationJobs.delete(jobId);
 
     res.json({
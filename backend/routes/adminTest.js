@@ -156,7 +156,8 @@ router.get('/status', authenticate, adminOnly, async (req, res) => {
           videoFiles: media.videos
         },
         activeTests,
-        recentResults
+        recentResults,
+        graphMode: TestRunnerService.getGraphMode()
       }
     });
   } catch (error) {
@@ -584,6 +585,72 @@ router.post('/clear-results', authenticate, adminOnly, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/test/fake-graph
+ * Get the offline Graph API entity tree and active fault injection
+ */
+router.get('/fake-graph', authenticate, adminOnly, async (req, res) => {
+  try {
+    const state = await TestRunnerService.callFakeGraph('GET', 'state');
+
+    res.json({
+      success: true,
+      data: {
+        ...TestRunnerService.getGraphMode(),
+        ...state
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to read offline Graph API state',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/test/fake-graph/faults
+ * Configure rate limit (codes 4/17/613/80004) and partial batch failure injection
+ */
+router.post('/fake-graph/faults', authenticate, adminOnly, async (req, res) => {
+  try {
+    const faults = await TestRunnerService.callFakeGraph('POST', 'faults', req.body);
+
+    res.json({
+      success: true,
+      data: faults
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to configure fault injection',
+      message: error.response?.data?.error || error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/test/fake-graph/reset
+ * Clear all entities and faults in the offline Graph API
+ */
+router.post('/fake-graph/reset', authenticate, adminOnly, async (req, res) => {
+  try {
+    await TestRunnerService.callFakeGraph('POST', 'reset');
+
+    res.json({
+      success: true,
+      message: 'Offline Graph API reset'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to reset offline Graph API',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/admin/test/media
  * Get available media files for testing
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const facebookApi = require('../services/facebookApi');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 router.post('/create-variation', async (req, res) => {
   try {
@@ -47,7 +48,7 @@ router.post('/create-variation', async (req, res) => {
 router.get('/adsets/:campaignId', async (req, res) => {
   try {
     const axios = require('axios');
-    const url = `https://graph.facebook.com/${process.env.FB_API_VERSION}/${req.params.campaignId}/adsets`;
+    const url = `${getGraphBaseUrl()}/${req.params.campaignId}/adsets`;
     
     const response = await axios.get(url, {
       params: {
@@ -72,7 +73,7 @@ router.get('/adsets/:campaignId', async (req, res) => {
 router.get('/ads/:adsetId', async (req, res) => {
   try {
     const axios = require('axios');
-    const url = `https://graph.facebook.com/${process.env.FB_API_VERSION}/${req.params.adsetId}/ads`;
+    const url = `${getGraphBaseUrl()}/${req.params.adsetId}/ads`;
     
     const response = await axios.get(url, {
       params: {
@@ -0,0 +1,248 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const db = require('../models');
+const BulkLaunchService = require('../services/BulkLaunchService');
+const ResourceHelper = require('../services/ResourceHelper');
+const AuditService = require('../services/AuditService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
+const { validateLeadForm } = require('../utils/campaignRequest');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xls', '.xlsx'];
+const MEDIA_EXTENSIONS = [
+  '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff', '.tif',
+  '.mp4', '.mpeg', '.mpg', '.mov', '.avi', '.wmv', '.webm', '.ogv', '.3gp', '.3g2'
+];
+
+// Spreadsheet in "file", media referenced by its rows in "media"
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, uploadsDir),
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `bulk-${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`);
+    }
+  }),
+  limits: {
+    fileSize: 4 * 1024 * 1024 * 1024, // 4GB max for videos
+    files: 101
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const allowed = file.fieldname === 'file' ? SPREADSHEET_EXTENSIONS : MEDIA_EXTENSIONS;
+    if (allowed.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type for ${file.fieldname}: ${file.originalname}`));
+    }
+  }
+});
+
+const uploadBulkFiles = (req, res, next) => {
+  upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'media', maxCount: 100 }
+  ])(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next();
+  });
+};
+
+const removeFiles = (files = []) => {
+  files.forEach(file => fs.unlink(file.path, () => {}));
+};
+
+/**
+ * Download a CSV template with every supported column
+ * GET /api/campaigns/bulk-launch/template?strategy=strategy-150
+ */
+router.get('/template', authenticate, (req, res) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename="bulk-launch-template.csv"');
+  res.send(BulkLaunchService.getTemplateCsv(req.query.strategy));
+});
+
+/**
+ * Upload a spreadsheet and queue one campaign per row
+ * POST /api/campaigns/bulk-launch
+ *
+ * multipart/form-data:
+ * - file:         CSV/XLSX, one campaign per row
+ * - media:        Files referenced by name in the Media column (optional when rows use URLs)
+ * - strategy:     Key from config/strategies.js (1-50-1, 1-20-3, ...) or strategy-150 | strategy-for-all | strategy-for-ads
+ * - defaults:     JSON with settings shared by every row (objective, bidStrategy, targeting, ...)
+ * - validateOnly: 'true' to only validate the rows
+ */
+router.post('/', authenticate, requireFacebookAuth, refreshFacebookToken, requirePermission('campaign', 'create'), uploadBulkFiles, async (req, res) => {
+  const spreadsheet = req.files?.file?.[0];
+  const mediaFiles = req.files?.media || [];
+
+  try {
+    if (!spreadsheet) {
+      removeFiles(mediaFiles);
+      return res.status(400).json({
+        success: false,
+        error: 'Spreadsheet file is required'
+      });
+    }
+
+    let defaults = {};
+    if (req.body.defaults) {
+      try {
+        defaults = typeof req.body.defaults === 'string' ? JSON.parse(req.body.defaults) : req.body.defaults;
+      } catch (parseError) {
+        removeFiles([spreadsheet, ...mediaFiles]);
+        return res.status(400).json({
+          success: false,
+          error: 'defaults must be valid JSON'
+        });
+      }
+    }
+
+    const leadFormErrors = validateLeadForm(defaults);
+    if (leadFormErrors.length > 0) {
+      removeFiles([spreadsheet, ...mediaFiles]);
+      return res.status(400).json({ success: false, error: leadFormErrors[0], errors: leadFormErrors });
+    }
+
+    const facebookAuth = await db.FacebookAuth.findOne({
+      where: { userId: req.user.id, isActive: true }
+    });
+
+    // The model getter already decrypts the token
+    const accessToken = facebookAuth?.accessToken;
+    if (!accessToken) {
+      removeFiles([spreadsheet, ...mediaFiles]);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing access token. Please reconnect your Facebook account.',
+        requiresReauth: true
+      });
+    }
+
+    const activeResources = await ResourceHelper.getActiveResourcesWithFallback(req.user.id);
+    if (!activeResources.selectedAdAccountId || !activeResources.selectedPageId) {
+      removeFiles([spreadsheet, ...mediaFiles]);
+      return res.status(400).json({
+        success: false,
+        error: 'Please select an ad account and a Facebook page before launching campaigns'
+      });
+    }
+
+    const validateOnly = req.body.validateOnly === true || req.body.validateOnly === 'true';
+    const buffer = fs.readFileSync(spreadsheet.path);
+    removeFiles([spreadsheet]);
+
+    const result = await BulkLaunchService.createBulkLaunch({
+      userId: req.user.id,
+      accessToken,
+      adAccountId: activeResources.selectedAdAccountId.replace('act_', ''),
+      pageId: activeResources.selectedPageId,
+      pixelId: defaults.pixel || activeResources.selectedPixelId,
+      strategy: req.body.strategy || 'strategy-150',
+      fileName: spreadsheet.originalname,
+      buffer,
+      mediaFiles,
+      defaults,
+      validateOnly
+    });
+
+    // Nothing will be launched, so the uploaded media is not needed
+    if (!result.bulkLaunch) {
+      removeFiles(mediaFiles);
+    }
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some rows are invalid - nothing was launched',
+        rows: result.rows,
+        unknownColumns: result.unknownColumns
+      });
+    }
+
+    if (validateOnly) {
+      return res.json({
+        success: true,
+        message: `All ${result.rows.length} rows are valid`,
+        rows: result.rows,
+        unknownColumns: result.unknownColumns
+      });
+    }
+
+    await AuditService.logRequest(req, 'bulkLaunch.create', 'bulk_launch', String(result.bulkLaunch.id));
+
+    res.status(202).json({
+      success: true,
+      message: `${result.bulkLaunch.totalRows} campaigns queued for launch`,
+      data: result.bulkLaunch,
+      unknownColumns: result.unknownColumns
+    });
+  } catch (error) {
+    console.error('❌ Bulk launch failed:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to process bulk launch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List the user's bulk launches
+ * GET /api/campaigns/bulk-launch
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const bulkLaunches = await db.BulkLaunch.findAll({
+      where: { userId: req.user.id },
+      order: [['created_at', 'DESC']],
+      limit: 50,
+      attributes: ['id', 'strategy', 'fileName', 'status', 'totalRows', 'createdAt', 'completedAt']
+    });
+
+    res.json({ success: true, data: bulkLaunches });
+  } catch (error) {
+    console.error('Error listing bulk launches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list bulk launches',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Bulk launch status with per-row results
+ * GET /api/campaigns/bulk-launch/:id
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const bulkLaunch = await BulkLaunchService.getBulkLaunch(req.params.id, req.user.id);
+
+    if (!bulkLaunch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bulk launch not found'
+      });
+    }
+
+    res.json({ success: true, data: bulkLaunch });
+  } catch (error) {
+    console.error('Error fetching bulk launch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bulk launch',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
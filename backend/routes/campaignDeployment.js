@@ -2,9 +2,18 @@ const express = require('express');
 const router = express.Router();
 const db = require('../models');
 const CrossAccountDeploymentService = require('../services/CrossAccountDeploymentService');
+const DeploymentTargetGroupService = require('../services/DeploymentTargetGroupService');
+const DeploymentSyncService = require('../services/DeploymentSyncService');
+const RollbackManager = require('../services/RollbackManager');
+const ConversionMappingService = require('../services/ConversionMappingService');
+const { validateCategories } = require('../utils/deploymentDiff');
+const AuditService = require('../services/AuditService');
+const JobEvents = require('../services/JobEvents');
 const { authenticate } = require('../middleware/auth');
 const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
 
+const ROLLBACK_ACTIONS = ['delete', 'pause'];
+
 /**
  * Get available deployment targets (accounts and pages)
  * GET /api/campaigns/deployment/targets
@@ -101,45 +110,183 @@ router.get('/targets', authenticate, requireFacebookAuth, async (req, res) => {
   }
 });
 
+/**
+ * List saved target groups
+ * GET /api/campaigns/deployment/target-groups
+ */
+router.get('/target-groups', authenticate, async (req, res) => {
+  try {
+    const groups = await DeploymentTargetGroupService.list(req.user.id);
+    res.json({ success: true, data: groups });
+  } catch (error) {
+    console.error('❌ Error listing target groups:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Save a named target group
+ * POST /api/campaigns/deployment/target-groups
+ * Body: { name, description?, targets: [{ adAccountId, pageId, pixelId?, customCampaignName?, namingValues? }] }
+ */
+router.post('/target-groups', authenticate, async (req, res) => {
+  try {
+    const { values, errors } = await DeploymentTargetGroupService.validate(req.user.id, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    const group = await db.DeploymentTargetGroup.create({ userId: req.user.id, ...values });
+    await AuditService.logRequest(req, 'deployment_target_group.create', 'deployment_target_group', group.id);
+
+    res.status(201).json({ success: true, data: group });
+  } catch (error) {
+    console.error('❌ Error creating target group:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replace a target group's name, description and targets
+ * PUT /api/campaigns/deployment/target-groups/:id
+ */
+router.put('/target-groups/:id', authenticate, async (req, res) => {
+  try {
+    const group = await DeploymentTargetGroupService.get(req.params.id, req.user.id);
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Target group not found' });
+    }
+
+    const { values, errors } = await DeploymentTargetGroupService.validate(req.user.id, req.body, group.id);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    await group.update(values);
+    await AuditService.logRequest(req, 'deployment_target_group.update', 'deployment_target_group', group.id);
+
+    res.json({ success: true, data: group });
+  } catch (error) {
+    console.error('❌ Error updating target group:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a target group (past deployments keep their targets)
+ * DELETE /api/campaigns/deployment/target-groups/:id
+ */
+router.delete('/target-groups/:id', authenticate, async (req, res) => {
+  try {
+    const group = await DeploymentTargetGroupService.get(req.params.id, req.user.id);
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Target group not found' });
+    }
+
+    await group.destroy();
+    await AuditService.logRequest(req, 'deployment_target_group.delete', 'deployment_target_group', group.id);
+
+    res.json({ success: true, message: `Target group "${group.name}" deleted` });
+  } catch (error) {
+    console.error('❌ Error deleting target group:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Check each target's pixel against the source campaign's conversion events
+ * POST /api/campaigns/deployment/:campaignId/deploy/validate
+ * Body: { targets?, targetGroupId? }
+ */
+router.post('/:campaignId/deploy/validate', authenticate, requireFacebookAuth, async (req, res) => {
+  try {
+    const { group, targets, errors: targetErrors } = await DeploymentTargetGroupService.resolveTargets(req.user.id, {
+      targetGroupId: req.body.targetGroupId,
+      targets: req.body.targets
+    });
+
+    if (targetErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: targetErrors[0],
+        errors: targetErrors
+      });
+    }
+
+    const facebookAuth = await db.FacebookAuth.findOne({
+      where: { userId: req.user.id, isActive: true }
+    });
+    const sourceAccount = {
+      adAccountId: facebookAuth.selectedAdAccount?.id,
+      pixelId: facebookAuth.selectedPixel?.id
+    };
+
+    const validation = await ConversionMappingService.validateDeployment(req.user.id, req.params.campaignId, sourceAccount, targets);
+
+    res.json({
+      success: true,
+      data: { targetGroupId: group?.id || null, ...validation }
+    });
+  } catch (error) {
+    console.error('❌ Error validating deployment conversions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Create a new deployment
- * POST /api/campaigns/:campaignId/deploy
+ * POST /api/campaigns/deployment/:campaignId/deploy
+ * Body: { targets?, targetGroupId?, deploymentName?, processingMode?, skipEventValidation? }
+ *
+ * Targets come from the saved group (targetGroupId) followed by any inline
+ * targets. Answers 202 with the deployment and job IDs once the deployment is
+ * created; targets are deployed in the background (large parallel deployments
+ * in throttled chunks).
+ * Each target's pixel must be receiving the source ad sets' conversion
+ * events (after its conversionMapping) or the deployment is rejected.
  */
 router.post('/:campaignId/deploy', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
   try {
     const { campaignId } = req.params;
-    const { targets, deploymentName, processingMode = 'parallel' } = req.body;
+    const { targetGroupId, processingMode = 'parallel' } = req.body;
+
+    const { group, targets, errors: targetErrors } = await DeploymentTargetGroupService.resolveTargets(req.user.id, {
+      targetGroupId,
+      targets: req.body.targets
+    });
 
     console.log(`\n🚀 DEPLOYMENT REQUEST RECEIVED`);
     console.log(`  User: ${req.user.id}`);
     console.log(`  Campaign: ${campaignId}`);
-    console.log(`  Targets: ${targets?.length || 0}`);
+    console.log(`  Target group: ${group ? `${group.name} (${group.id})` : 'none'}`);
+    console.log(`  Targets: ${targets.length}`);
     console.log(`  Mode: ${processingMode}`);
 
     // Validation
-    if (!targets || !Array.isArray(targets) || targets.length === 0) {
+    if (targetErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'At least one target is required'
+        error: targetErrors[0],
+        errors: targetErrors
       });
     }
 
-    if (targets.length > 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum 10 targets allowed per deployment'
-      });
-    }
-
-    // Validate each target has required fields
-    for (const target of targets) {
-      if (!target.adAccountId || !target.pageId) {
-        return res.status(400).json({
-          success: false,
-          error: 'Each target must have adAccountId and pageId'
-        });
-      }
-    }
+    const deploymentName = req.body.deploymentName || (group ? `${group.name} - ${new Date().toLocaleString()}` : null);
 
     // Get source account info
     const facebookAuth = await db.FacebookAuth.findOne({
@@ -162,32 +309,46 @@ router.post('/:campaignId/deploy', authenticate, requireFacebookAuth, refreshFac
     console.log(`\n📋 Source Account:`, sourceAccount);
     console.log(`📋 Targets:`, JSON.stringify(targets, null, 2));
 
-    // Start deployment (async)
-    const result = await CrossAccountDeploymentService.deployToMultipleTargets(
+    // Targets whose pixel isn't receiving the optimization event would launch ad sets that can't optimize
+    if (req.body.skipEventValidation !== true) {
+      const validation = await ConversionMappingService.validateDeployment(req.user.id, campaignId, sourceAccount, targets);
+      if (!validation.valid) {
+        const validationErrors = validation.targets.flatMap(target => target.errors);
+        return res.status(400).json({
+          success: false,
+          error: validationErrors[0],
+          errors: validationErrors,
+          validation
+        });
+      }
+    }
+
+    // Targets are deployed in the background; progress at GET /api/jobs/:jobId/events
+    // (optional client-generated jobId, defaults to deployment_<id>) or the status endpoint
+    const result = await CrossAccountDeploymentService.startDeployment(
       req.user.id,
       campaignId,
       sourceAccount,
       targets,
-      processingMode
+      processingMode,
+      null,
+      {
+        jobId: JobEvents.parseClientJobId(req.body.jobId),
+        deploymentName,
+        targetGroupId: group?.id
+      }
     );
 
-    console.log(`\n✅ Deployment completed:`, {
-      deploymentId: result.deploymentId,
-      status: result.status,
-      successful: result.successful,
-      failed: result.failed
-    });
+    console.log(`\n✅ Deployment ${result.deploymentId} started (job ${result.jobId})`);
 
-    res.json({
+    res.status(202).json({
       success: true,
+      message: `Deploying to ${result.totalTargets} target(s)`,
       deployment: {
         id: result.deploymentId,
+        jobId: result.jobId,
         status: result.status,
-        totalTargets: result.totalTargets,
-        successful: result.successful,
-        failed: result.failed,
-        results: result.results,
-        errors: result.errors
+        totalTargets: result.totalTargets
       }
     });
 
@@ -242,6 +403,7 @@ router.get('/deployment/:deploymentId/status', authenticate, async (req, res) =>
         sourceAdAccountId: deployment.sourceAdAccountId,
         sourcePageId: deployment.sourcePageId,
         deploymentName: deployment.deploymentName,
+        targetGroupId: deployment.targetGroupId,
         status: deployment.status,
         totalTargets: deployment.totalTargets,
         successfulDeployments: deployment.successfulDeployments,
@@ -249,6 +411,7 @@ router.get('/deployment/:deploymentId/status', authenticate, async (req, res) =>
         processingMode: deployment.processingMode,
         createdAt: deployment.createdAt,
         completedAt: deployment.completedAt,
+        rolledBackAt: deployment.rolledBackAt,
         deployedCampaigns: deployment.deployedCampaigns.map(dc => ({
           id: dc.id,
           targetCampaignId: dc.targetCampaignId,
@@ -259,7 +422,9 @@ router.get('/deployment/:deploymentId/status', authenticate, async (req, res) =>
           adSetsCount: dc.adSetsCount,
           adsCount: dc.adsCount,
           errorMessage: dc.errorMessage,
-          deployedAt: dc.deployedAt
+          deployedAt: dc.deployedAt,
+          rollbackAction: dc.rollbackAction,
+          rolledBackAt: dc.rolledBackAt
         }))
       }
     });
@@ -273,6 +438,181 @@ router.get('/deployment/:deploymentId/status', authenticate, async (req, res) =>
   }
 });
 
+/**
+ * Differences between the source campaign and each deployed copy
+ * GET /api/campaigns/deployment/:deploymentId/sync?deployedCampaignIds=1,2
+ */
+router.get('/deployment/:deploymentId/sync', authenticate, requireFacebookAuth, async (req, res) => {
+  try {
+    const deployment = await DeploymentSyncService.getDeployment(req.params.deploymentId, req.user.id);
+    if (!deployment) {
+      return res.status(404).json({ success: false, error: 'Deployment not found' });
+    }
+    if (!deployment.sourceCampaignId) {
+      return res.status(400).json({ success: false, error: 'Deployment has no source campaign to sync from' });
+    }
+
+    const deployedCampaignIds = req.query.deployedCampaignIds
+      ? String(req.query.deployedCampaignIds).split(',')
+      : null;
+    const diff = await DeploymentSyncService.diffDeployment(deployment, { deployedCampaignIds });
+
+    res.json({ success: true, data: diff });
+  } catch (error) {
+    console.error('❌ Error comparing deployed copies:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Push source campaign changes to the deployed copies
+ * POST /api/campaigns/deployment/:deploymentId/sync
+ * Body: { fields: ['status', 'budget', 'schedule', 'copy', 'url'], deployedCampaignIds? }
+ *
+ * Answers 202 with the 'processing' sync; the push runs in the background and
+ * its results show up in GET /deployment/:deploymentId/syncs.
+ */
+router.post('/deployment/:deploymentId/sync', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
+  try {
+    const { fields, deployedCampaignIds } = req.body;
+
+    const fieldErrors = validateCategories(fields);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ success: false, error: fieldErrors[0] });
+    }
+
+    const deployment = await DeploymentSyncService.getDeployment(req.params.deploymentId, req.user.id);
+    if (!deployment) {
+      return res.status(404).json({ success: false, error: 'Deployment not found' });
+    }
+    if (!deployment.sourceCampaignId) {
+      return res.status(400).json({ success: false, error: 'Deployment has no source campaign to sync from' });
+    }
+
+    const sync = await DeploymentSyncService.startSync(deployment, { fields, deployedCampaignIds });
+    await AuditService.logRequest(req, 'deployment.sync', 'deployment', deployment.id);
+
+    res.status(202).json({
+      success: true,
+      message: `Pushing ${fields.join(', ')} to ${sync.totalTargets} cop${sync.totalTargets === 1 ? 'y' : 'ies'}`,
+      data: sync
+    });
+  } catch (error) {
+    console.error('❌ Error syncing deployed copies:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Sync history of a deployment
+ * GET /api/campaigns/deployment/:deploymentId/syncs
+ */
+router.get('/deployment/:deploymentId/syncs', authenticate, async (req, res) => {
+  try {
+    const deployment = await db.CampaignDeployment.findOne({
+      where: { id: req.params.deploymentId, userId: req.user.id }
+    });
+    if (!deployment) {
+      return res.status(404).json({ success: false, error: 'Deployment not found' });
+    }
+
+    const syncs = await DeploymentSyncService.listSyncs(deployment.id);
+    res.json({ success: true, data: syncs });
+  } catch (error) {
+    console.error('❌ Error fetching sync history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Preview rolling back a deployment
+ * GET /api/campaigns/deployment/:deploymentId/rollback?action=delete|pause&deployedCampaignIds=1,2
+ */
+router.get('/deployment/:deploymentId/rollback', authenticate, requireFacebookAuth, async (req, res) => {
+  try {
+    const action = req.query.action || 'delete';
+    if (!ROLLBACK_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `action must be one of: ${ROLLBACK_ACTIONS.join(', ')}` });
+    }
+
+    const deployment = await DeploymentSyncService.getDeployment(req.params.deploymentId, req.user.id);
+    if (!deployment) {
+      return res.status(404).json({ success: false, error: 'Deployment not found' });
+    }
+
+    const deployedCampaignIds = req.query.deployedCampaignIds
+      ? String(req.query.deployedCampaignIds).split(',')
+      : null;
+    const preview = await RollbackManager.getDeploymentRollbackPreview(deployment, { action, deployedCampaignIds });
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('❌ Error previewing deployment rollback:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Roll back a deployment: delete or pause every deployed copy
+ * POST /api/campaigns/deployment/:deploymentId/rollback
+ * Body: { action: 'delete' | 'pause', confirm: true, deployedCampaignIds? }
+ */
+router.post('/deployment/:deploymentId/rollback', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
+  try {
+    const { action = 'delete', confirm, deployedCampaignIds } = req.body;
+
+    if (!ROLLBACK_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `action must be one of: ${ROLLBACK_ACTIONS.join(', ')}` });
+    }
+    if (confirm !== true) {
+      return res.status(400).json({
+        success: false,
+        error: 'Review the preview (GET .../rollback) and send confirm: true to roll back'
+      });
+    }
+
+    const deployment = await DeploymentSyncService.getDeployment(req.params.deploymentId, req.user.id);
+    if (!deployment) {
+      return res.status(404).json({ success: false, error: 'Deployment not found' });
+    }
+    if (['pending', 'processing'].includes(deployment.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Deployment is still running - cancel it or wait for it to finish before rolling back'
+      });
+    }
+
+    const result = await RollbackManager.rollbackDeployment(deployment, { action, deployedCampaignIds });
+    await AuditService.logRequest(req, `deployment.rollback.${action}`, 'deployment', deployment.id,
+      result.success ? 'success' : (result.rolledBack > 0 ? 'partial' : 'failure'),
+      result.success ? null : `${result.failed} target(s) failed`);
+
+    res.json({
+      success: result.success,
+      message: `Rollback ${result.success ? 'completed' : 'finished with errors'}: ${result.rolledBack} ${action === 'pause' ? 'paused' : 'deleted'}, ${result.skipped} skipped, ${result.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error rolling back deployment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Get pixels accessible by a specific ad account
  * GET /api/campaigns/deployment/pixels?adAccountId=act_xxx
@@ -6,6 +6,8 @@ const { authenticate } = require('../middleware/auth');
 const { decryptToken } = require('./facebookSDKAuth');
 const AuditService = require('../services/AuditService');
 const MetricsCalculator = require('../services/metricsCalculator');
+const NamingService = require('../services/NamingService');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 /**
  * @route   GET /api/campaigns/manage/tracked
@@ -154,7 +156,7 @@ router.get('/details/:campaignId', authenticate, async (req, res) => {
     }
 
     // Fetch campaign details with ad sets and learning info from Facebook
-    const url = `https://graph.facebook.com/v19.0/${campaignId}`;
+    const url = `${getGraphBaseUrl('v19.0')}/${campaignId}`;
     const params = {
       fields: `id,name,status,effective_status,configured_status,issues_info,recommendations,objective,created_time,daily_budget,lifetime_budget,spend_cap,bid_strategy,adsets.limit(200){id,name,status,effective_status,configured_status,issues_info,recommendations,daily_budget,lifetime_budget,optimization_goal,billing_event,learning_stage_info,targeting,attribution_spec,${insightsFilter}{impressions,clicks,spend,conversions,cost_per_conversion,ctr,cpm,actions,cost_per_action_type,frequency,reach}}`,
       access_token: accessToken
@@ -300,6 +302,7 @@ router.get('/all', authenticate, async (req, res) => {
       limit = 50,
       after,  // Pagination cursor
       search,  // Search query for campaign name or ID
+      group_by  // Optional naming token (editor, vertical, state, ...) to count campaigns by
     } = req.query;
 
     if (!userId) {
@@ -363,7 +366,7 @@ router.get('/all', authenticate, async (req, res) => {
     }
 
     // Fetch all campaigns from the ad account with date filtering
-    const url = `https://graph.facebook.com/v19.0/${adAccountId}/campaigns`;
+    const url = `${getGraphBaseUrl('v19.0')}/${adAccountId}/campaigns`;
     const params = {
       fields: 'id,name,status,effective_status,configured_status,issues_info,recommendations,objective,created_time,daily_budget,lifetime_budget,spend_cap,bid_strategy,special_ad_categories,insights.date_preset(' + date_preset + '){impressions,clicks,spend,ctr,cpm,reach,frequency,actions,cost_per_action_type}',
       limit: limit,
@@ -391,6 +394,9 @@ router.get('/all', authenticate, async (req, res) => {
     }
 
     // Process campaigns to extract Results based on objective
+    // Names are parsed back into naming convention tokens for filtering/grouping
+    const conventions = await NamingService.getVisibleConventions(userId);
+
     if (campaignsData.data) {
       campaignsData.data = campaignsData.data.map(campaign => {
         const insights = campaign.insights?.data?.[0];
@@ -442,11 +448,21 @@ router.get('/all', authenticate, async (req, res) => {
           configured_status: campaign.configured_status,
           issues_info: campaign.issues_info,  // Include issues for debugging
           recommendations: campaign.recommendations || [],
-          metrics: calculatedMetrics
+          metrics: calculatedMetrics,
+          parsed_name: NamingService.parse(campaign.name, conventions, { level: 'campaign' })
         };
       });
     }
 
+    const groups = group_by
+      ? Object.entries(NamingService.groupBy(campaignsData.data || [], group_by, conventions))
+        .map(([value, campaigns]) => ({
+          value,
+          campaigns: campaigns.length,
+          spend: campaigns.reduce((sum, c) => sum + (c.metrics?.spend || 0), 0)
+        }))
+      : undefined;
+
     res.json({
       success: true,
       campaigns: campaignsData.data || [],
@@ -457,6 +473,7 @@ router.get('/all', authenticate, async (req, res) => {
         paused_campaigns: campaignsData.data?.filter(c => c.status === 'PAUSED').length || 0,
         date_range: date_preset
       },
+      groups,
       accountInfo: {
         adAccountId: adAccountId,
         adAccountName: accountName
@@ -508,7 +525,7 @@ router.post('/status', authenticate, async (req, res) => {
     }
 
     // Update campaign status on Facebook
-    const url = `https://graph.facebook.com/v19.0/${campaignId}`;
+    const url = `${getGraphBaseUrl('v19.0')}/${campaignId}`;
     const params = {
       status: status,
       access_token: accessToken
@@ -519,7 +536,7 @@ router.post('/status', authenticate, async (req, res) => {
     await axios.post(url, null, { params });
 
     // Get campaign details for ad account info
-    const campaignDetailsUrl = `https://graph.facebook.com/v19.0/${campaignId}`;
+    const campaignDetailsUrl = `${getGraphBaseUrl('v19.0')}/${campaignId}`;
     const campaignDetailsParams = {
       fields: 'id,name,account_id',
       access_token: accessToken
@@ -600,7 +617,7 @@ router.post('/track', authenticate, async (req, res) => {
     const accessToken = facebookAuth.accessToken;
 
     // Fetch campaign info from Facebook to verify access
-    const url = `https://graph.facebook.com/v19.0/${campaignId}`;
+    const url = `${getGraphBaseUrl('v19.0')}/${campaignId}`;
     const params = {
       fields: 'id,name,status,objective',
       access_token: accessToken
@@ -734,7 +751,7 @@ router.get('/adset/:adsetId/ads', authenticate, async (req, res) => {
     }
 
     // Fetch ads for the ad set
-    const url = `https://graph.facebook.com/v19.0/${adsetId}/ads`;
+    const url = `${getGraphBaseUrl('v19.0')}/${adsetId}/ads`;
     const params = {
       fields: 'id,name,status,effective_status,configured_status,issues_info,recommendations,creative{id,title,body,image_url,video_id,thumbnail_url,object_story_spec},insights.date_preset(last_14d){impressions,clicks,spend,ctr,cpm,reach,frequency,actions,cost_per_action_type}',
       access_token: accessToken,
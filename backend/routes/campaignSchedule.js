@@ -3,54 +3,193 @@ const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const db = require('../models');
 const schedulerService = require('../services/CampaignSchedulerService');
+const { parseScheduleConfig } = require('../utils/scheduleWindows');
 
 /**
- * POST /api/campaigns/:campaignId/schedule
- * Create or update campaign schedule
+ * Schedules start/pause (and change the budget of) a campaign, ad set or ad.
+ *
+ * Campaign routes:  /api/campaigns/:campaignId/schedule[...]
+ * Any entity:       /api/campaigns/schedule/:entityType/:entityId[...]  (campaign | adset | ad)
+ * Bulk:             POST /api/campaigns/schedule/bulk
  */
-router.post('/:campaignId/schedule', authenticate, async (req, res) => {
-  const { campaignId } = req.params;
-  const userId = req.user.id;
 
-  console.log(`📅 [SCHEDULE] Creating/updating schedule for campaign: ${campaignId}`);
+const ENTITY_TYPES = ['campaign', 'adset', 'ad'];
+const MAX_BULK_ENTITIES = 200;
+
+function formatSchedule(schedule) {
+  return {
+    id: schedule.id,
+    entityType: schedule.entity_type,
+    entityId: schedule.entity_id,
+    entityName: schedule.entity_name,
+    campaignId: schedule.campaign_id,
+    campaignName: schedule.campaign_name,
+    timezone: schedule.timezone,
+    startTime: schedule.start_time.substring(0, 5), // Remove seconds
+    endTime: schedule.end_time.substring(0, 5),
+    daysOfWeek: schedule.days_of_week,
+    timeWindows: schedule.time_windows || [],
+    dateRanges: schedule.date_ranges || [],
+    blackoutDates: schedule.blackout_dates || [],
+    budgetActions: schedule.budget_actions || [],
+    isEnabled: schedule.is_enabled,
+    nextScheduledStart: schedule.next_scheduled_start,
+    nextScheduledPause: schedule.next_scheduled_pause,
+    nextBudgetActionAt: schedule.next_budget_action_at,
+    lastStartedAt: schedule.last_started_at,
+    lastPausedAt: schedule.last_paused_at,
+    lastBudgetActionAt: schedule.last_budget_action_at,
+    consecutiveFailures: schedule.consecutive_failures,
+    lastError: schedule.last_error,
+    createdAt: schedule.created_at,
+    updatedAt: schedule.updated_at
+  };
+}
 
-  try {
-    const {
-      campaignName,
-      timezone,
-      startTime,
-      endTime,
-      daysOfWeek,
-      isEnabled = true
-    } = req.body;
-
-    // Validate required fields
-    if (!timezone || !startTime || !endTime || !daysOfWeek) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: timezone, startTime, endTime, daysOfWeek'
-      });
-    }
+/**
+ * Entity a request targets: /:campaignId/... routes are campaign schedules
+ */
+function getEntity(req) {
+  return {
+    entityType: req.params.entityType || 'campaign',
+    entityId: req.params.entityId || req.params.campaignId
+  };
+}
+
+function validateEntityType(req, res, next) {
+  if (!ENTITY_TYPES.includes(req.params.entityType)) {
+    return res.status(400).json({
+      success: false,
+      error: `entityType must be one of: ${ENTITY_TYPES.join(', ')}`
+    });
+  }
+  next();
+}
 
-    // Validate days of week
-    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'daysOfWeek must be a non-empty array'
-      });
+/**
+ * Validate the schedule part of a request
+ * timezone 'account' = the entity's ad account timezone
+ *
+ * @throws {Error} Validation error (respond 400)
+ */
+async function buildScheduleConfig(body, entityType, entityId, accessToken) {
+  let timezone = body.timezone;
+  if (timezone === 'account') {
+    timezone = await schedulerService.getAccountTimezone(entityId, accessToken);
+    if (!timezone) {
+      throw new Error('Could not read the ad account timezone, please pick a timezone');
     }
+  }
 
-    // Validate time format (HH:MM)
-    const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid time format. Use HH:MM (e.g., 09:00, 17:30)'
-      });
-    }
+  // Single window (startTime/endTime/daysOfWeek) or timeWindows/dateRanges/blackoutDates,
+  // plus optional budgetActions
+  const config = parseScheduleConfig({ ...body, timezone });
+
+  if (entityType === 'ad' && config.budget_actions.length > 0) {
+    throw new Error('Budget actions are only available on campaign and ad set schedules');
+  }
+
+  return config;
+}
+
+function logConfig(config) {
+  const windows = config.time_windows.length > 0
+    ? config.time_windows.map(window => `${window.start}-${window.end}`).join(', ')
+    : `${config.start_time.substring(0, 5)} - ${config.end_time.substring(0, 5)}`;
+  console.log(`   ⏰ Schedule: ${windows} (${config.timezone})`);
+  console.log(`   📆 Days: ${config.days_of_week.join(', ') || 'date ranges only'}`);
+  if (config.date_ranges.length > 0 || config.blackout_dates.length > 0) {
+    console.log(`   🗓️  ${config.date_ranges.length} date range(s), ${config.blackout_dates.length} blackout(s)`);
+  }
+  if (config.budget_actions.length > 0) {
+    console.log(`   💰 ${config.budget_actions.length} budget action(s)`);
+  }
+}
 
-    console.log(`   ⏰ Schedule: ${startTime} - ${endTime} (${timezone})`);
-    console.log(`   📆 Days: ${daysOfWeek.join(', ')}`);
+/**
+ * Create or update one entity's schedule and calculate its next execution times
+ *
+ * @param {Object} entity - { entityType, entityId, entityName, campaignId, campaignName }
+ */
+async function saveSchedule(userId, facebookAuth, entity, config, isEnabled) {
+  const { entityType, entityId } = entity;
+  let { entityName, campaignId, campaignName } = entity;
+
+  if (entityType === 'campaign') {
+    campaignId = entityId;
+    campaignName = campaignName || entityName;
+  } else if (!campaignId || !entityName) {
+    // Ad set / ad schedules need the parent campaign; look it up when not sent
+    const info = await schedulerService.getEntityInfo(entityType, entityId, facebookAuth.accessToken);
+    campaignId = campaignId || info.campaignId;
+    campaignName = campaignName || info.campaignName;
+    entityName = entityName || info.name;
+  }
+
+  let schedule = await db.CampaignSchedule.findByEntity(entityType, entityId, userId);
+
+  if (schedule) {
+    // Update existing schedule
+    console.log(`   🔄 Updating existing schedule ID: ${schedule.id}`);
+
+    await schedule.update({
+      campaign_name: campaignName || schedule.campaign_name,
+      entity_name: entityName || schedule.entity_name,
+      ...config,
+      is_enabled: isEnabled,
+      // Reset error tracking on update
+      consecutive_failures: 0,
+      last_error: null,
+      last_error_at: null
+    });
+  } else {
+    // Create new schedule
+    console.log(`   ✨ Creating new ${entityType} schedule`);
+
+    schedule = await db.CampaignSchedule.create({
+      campaign_id: campaignId,
+      campaign_name: campaignName || `Campaign ${campaignId}`,
+      entity_type: entityType,
+      entity_id: entityId,
+      entity_name: entityType === 'campaign' ? null : entityName || null,
+      user_id: userId,
+      facebook_auth_id: facebookAuth.id,
+      ...config,
+      is_enabled: isEnabled
+    });
+  }
+
+  // The entity's status may have been changed by hand since it was cached
+  schedulerService.clearStatusCache(entityType, entityId);
+
+  // Calculate next execution times
+  const { nextStart, nextPause, nextBudgetAction } = await schedulerService.setInitialExecutionTimes(schedule);
+
+  // Reload to get updated values
+  await schedule.reload();
+
+  console.log(`   ✅ Schedule saved successfully`);
+  console.log(`   📅 Next start: ${nextStart ? nextStart.toISOString() : 'N/A'}`);
+  console.log(`   📅 Next pause: ${nextPause ? nextPause.toISOString() : 'N/A'}`);
+  console.log(`   📅 Next budget action: ${nextBudgetAction ? nextBudgetAction.toISOString() : 'N/A'}`);
+
+  return schedule;
+}
+
+/**
+ * Create or update a schedule
+ * POST /api/campaigns/:campaignId/schedule
+ * POST /api/campaigns/schedule/:entityType/:entityId
+ * Ad set / ad bodies may include campaignId and entityName (looked up otherwise)
+ */
+async function handleSaveSchedule(req, res) {
+  const { entityType, entityId } = getEntity(req);
+  const userId = req.user.id;
+
+  console.log(`📅 [SCHEDULE] Creating/updating schedule for ${entityType}: ${entityId}`);
+
+  try {
+    const { campaignName, entityName, campaignId, isEnabled = true } = req.body;
 
     // Get user's active Facebook auth
     const facebookAuth = await db.FacebookAuth.findOne({
@@ -64,75 +203,30 @@ router.post('/:campaignId/schedule', authenticate, async (req, res) => {
       });
     }
 
-    // Check if schedule already exists
-    let schedule = await db.CampaignSchedule.findOne({
-      where: { campaign_id: campaignId, user_id: userId }
-    });
-
-    if (schedule) {
-      // Update existing schedule
-      console.log(`   🔄 Updating existing schedule ID: ${schedule.id}`);
-
-      await schedule.update({
-        campaign_name: campaignName || schedule.campaign_name,
-        timezone,
-        start_time: startTime + ':00', // Add seconds for TIME format
-        end_time: endTime + ':00',
-        days_of_week: daysOfWeek,
-        is_enabled: isEnabled,
-        // Reset error tracking on update
-        consecutive_failures: 0,
-        last_error: null,
-        last_error_at: null
-      });
-    } else {
-      // Create new schedule
-      console.log(`   ✨ Creating new schedule`);
-
-      schedule = await db.CampaignSchedule.create({
-        campaign_id: campaignId,
-        campaign_name: campaignName || `Campaign ${campaignId}`,
-        user_id: userId,
-        facebook_auth_id: facebookAuth.id,
-        timezone,
-        start_time: startTime + ':00',
-        end_time: endTime + ':00',
-        days_of_week: daysOfWeek,
-        is_enabled: isEnabled
+    let config;
+    try {
+      config = await buildScheduleConfig(req.body, entityType, entityId, facebookAuth.accessToken);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
       });
     }
+    logConfig(config);
 
-    // Calculate next execution times
-    const { nextStart, nextPause } = await schedulerService.setInitialExecutionTimes(schedule);
-
-    // Reload to get updated values
-    await schedule.reload();
+    const schedule = await saveSchedule(userId, facebookAuth, {
+      entityType,
+      entityId,
+      entityName,
+      campaignId,
+      campaignName
+    }, config, isEnabled);
 
-    console.log(`   ✅ Schedule saved successfully`);
-    console.log(`   📅 Next start: ${nextStart ? nextStart.toISOString() : 'N/A'}`);
-    console.log(`   📅 Next pause: ${nextPause ? nextPause.toISOString() : 'N/A'}`);
     console.log(`   🔍 DEBUG: Schedule ID: ${schedule.id}, is_enabled: ${schedule.is_enabled}, user_id: ${schedule.user_id}, fb_auth_id: ${schedule.facebook_auth_id}`);
 
     res.json({
       success: true,
-      schedule: {
-        id: schedule.id,
-        campaignId: schedule.campaign_id,
-        campaignName: schedule.campaign_name,
-        timezone: schedule.timezone,
-        startTime: schedule.start_time.substring(0, 5), // Remove seconds
-        endTime: schedule.end_time.substring(0, 5),
-        daysOfWeek: schedule.days_of_week,
-        isEnabled: schedule.is_enabled,
-        nextScheduledStart: schedule.next_scheduled_start,
-        nextScheduledPause: schedule.next_scheduled_pause,
-        lastStartedAt: schedule.last_started_at,
-        lastPausedAt: schedule.last_paused_at,
-        consecutiveFailures: schedule.consecutive_failures,
-        lastError: schedule.last_error,
-        createdAt: schedule.created_at,
-        updatedAt: schedule.updated_at
-      }
+      schedule: formatSchedule(schedule)
     });
 
   } catch (error) {
@@ -142,22 +236,21 @@ router.post('/:campaignId/schedule', authenticate, async (req, res) => {
       error: error.message || 'Failed to create/update schedule'
     });
   }
-});
+}
 
 /**
+ * Get the schedule of one campaign, ad set or ad
  * GET /api/campaigns/:campaignId/schedule
- * Get schedule for a specific campaign
+ * GET /api/campaigns/schedule/:entityType/:entityId
  */
-router.get('/:campaignId/schedule', authenticate, async (req, res) => {
-  const { campaignId } = req.params;
+async function handleGetSchedule(req, res) {
+  const { entityType, entityId } = getEntity(req);
   const userId = req.user.id;
 
-  console.log(`📋 [SCHEDULE] Fetching schedule for campaign: ${campaignId}`);
+  console.log(`📋 [SCHEDULE] Fetching schedule for ${entityType}: ${entityId}`);
 
   try {
-    const schedule = await db.CampaignSchedule.findOne({
-      where: { campaign_id: campaignId, user_id: userId }
-    });
+    const schedule = await db.CampaignSchedule.findByEntity(entityType, entityId, userId);
 
     if (!schedule) {
       return res.json({
@@ -170,24 +263,7 @@ router.get('/:campaignId/schedule', authenticate, async (req, res) => {
     res.json({
       success: true,
       hasSchedule: true,
-      schedule: {
-        id: schedule.id,
-        campaignId: schedule.campaign_id,
-        campaignName: schedule.campaign_name,
-        timezone: schedule.timezone,
-        startTime: schedule.start_time.substring(0, 5),
-        endTime: schedule.end_time.substring(0, 5),
-        daysOfWeek: schedule.days_of_week,
-        isEnabled: schedule.is_enabled,
-        nextScheduledStart: schedule.next_scheduled_start,
-        nextScheduledPause: schedule.next_scheduled_pause,
-        lastStartedAt: schedule.last_started_at,
-        lastPausedAt: schedule.last_paused_at,
-        consecutiveFailures: schedule.consecutive_failures,
-        lastError: schedule.last_error,
-        createdAt: schedule.created_at,
-        updatedAt: schedule.updated_at
-      }
+      schedule: formatSchedule(schedule)
     });
 
   } catch (error) {
@@ -197,18 +273,19 @@ router.get('/:campaignId/schedule', authenticate, async (req, res) => {
       error: error.message || 'Failed to fetch schedule'
     });
   }
-});
+}
 
 /**
- * PATCH /api/campaigns/:campaignId/schedule/toggle
  * Enable or disable schedule
+ * PATCH /api/campaigns/:campaignId/schedule/toggle
+ * PATCH /api/campaigns/schedule/:entityType/:entityId/toggle
  */
-router.patch('/:campaignId/schedule/toggle', authenticate, async (req, res) => {
-  const { campaignId } = req.params;
+async function handleToggleSchedule(req, res) {
+  const { entityType, entityId } = getEntity(req);
   const userId = req.user.id;
   const { isEnabled } = req.body;
 
-  console.log(`🔄 [SCHEDULE] Toggling schedule for campaign: ${campaignId} to ${isEnabled ? 'ENABLED' : 'DISABLED'}`);
+  console.log(`🔄 [SCHEDULE] Toggling schedule for ${entityType}: ${entityId} to ${isEnabled ? 'ENABLED' : 'DISABLED'}`);
 
   try {
     if (typeof isEnabled !== 'boolean') {
@@ -218,9 +295,7 @@ router.patch('/:campaignId/schedule/toggle', authenticate, async (req, res) => {
       });
     }
 
-    const schedule = await db.CampaignSchedule.findOne({
-      where: { campaign_id: campaignId, user_id: userId }
-    });
+    const schedule = await db.CampaignSchedule.findByEntity(entityType, entityId, userId);
 
     if (!schedule) {
       return res.status(404).json({
@@ -230,6 +305,7 @@ router.patch('/:campaignId/schedule/toggle', authenticate, async (req, res) => {
     }
 
     await schedule.update({ is_enabled: isEnabled });
+    schedulerService.clearStatusCache(entityType, entityId);
 
     console.log(`   ✅ Schedule ${isEnabled ? 'enabled' : 'disabled'}`);
 
@@ -237,6 +313,8 @@ router.patch('/:campaignId/schedule/toggle', authenticate, async (req, res) => {
       success: true,
       schedule: {
         id: schedule.id,
+        entityType: schedule.entity_type,
+        entityId: schedule.entity_id,
         campaignId: schedule.campaign_id,
         isEnabled: schedule.is_enabled,
         nextScheduledStart: schedule.next_scheduled_start,
@@ -251,22 +329,21 @@ router.patch('/:campaignId/schedule/toggle', authenticate, async (req, res) => {
       error: error.message || 'Failed to toggle schedule'
     });
   }
-});
+}
 
 /**
- * DELETE /api/campaigns/:campaignId/schedule
  * Delete schedule permanently
+ * DELETE /api/campaigns/:campaignId/schedule
+ * DELETE /api/campaigns/schedule/:entityType/:entityId
  */
-router.delete('/:campaignId/schedule', authenticate, async (req, res) => {
-  const { campaignId } = req.params;
+async function handleDeleteSchedule(req, res) {
+  const { entityType, entityId } = getEntity(req);
   const userId = req.user.id;
 
-  console.log(`🗑️  [SCHEDULE] Deleting schedule for campaign: ${campaignId}`);
+  console.log(`🗑️  [SCHEDULE] Deleting schedule for ${entityType}: ${entityId}`);
 
   try {
-    const schedule = await db.CampaignSchedule.findOne({
-      where: { campaign_id: campaignId, user_id: userId }
-    });
+    const schedule = await db.CampaignSchedule.findByEntity(entityType, entityId, userId);
 
     if (!schedule) {
       return res.status(404).json({
@@ -276,6 +353,7 @@ router.delete('/:campaignId/schedule', authenticate, async (req, res) => {
     }
 
     await schedule.destroy();
+    schedulerService.clearStatusCache(entityType, entityId);
 
     console.log(`   ✅ Schedule deleted successfully`);
 
@@ -291,120 +369,262 @@ router.delete('/:campaignId/schedule', authenticate, async (req, res) => {
       error: error.message || 'Failed to delete schedule'
     });
   }
-});
+}
 
 /**
- * GET /api/campaigns/schedule/upcoming
- * Get all upcoming scheduled actions for user
+ * Get execution history for a schedule
+ * GET /api/campaigns/:campaignId/schedule/logs
+ * GET /api/campaigns/schedule/:entityType/:entityId/logs
  */
-router.get('/schedule/upcoming', authenticate, async (req, res) => {
+async function handleScheduleLogs(req, res) {
+  const { entityType, entityId } = getEntity(req);
   const userId = req.user.id;
+  const limit = parseInt(req.query.limit) || 50;
 
-  console.log(`📅 [SCHEDULE] Fetching upcoming schedules for user: ${userId}`);
+  console.log(`📜 [SCHEDULE] Fetching logs for ${entityType}: ${entityId}`);
 
   try {
-    const schedules = await db.CampaignSchedule.findAll({
-      where: { user_id: userId, is_enabled: true },
-      order: [['next_scheduled_start', 'ASC']]
+    const schedule = await db.CampaignSchedule.findByEntity(entityType, entityId, userId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    const logs = await db.CampaignScheduleLog.findAll({
+      where: { campaign_schedule_id: schedule.id },
+      order: [['executed_at', 'DESC']],
+      limit
     });
 
-    const upcomingActions = [];
+    console.log(`   ✅ Found ${logs.length} log entries`);
 
-    for (const schedule of schedules) {
-      if (schedule.next_scheduled_start) {
-        upcomingActions.push({
-          campaignId: schedule.campaign_id,
-          campaignName: schedule.campaign_name,
-          action: 'start',
-          scheduledAt: schedule.next_scheduled_start,
-          timezone: schedule.timezone
-        });
-      }
+    res.json({
+      success: true,
+      logs: logs.map(log => ({
+        id: log.id,
+        action: log.action,
+        status: log.status,
+        executedAt: log.executed_at,
+        errorMessage: log.error_message,
+        fbResponse: log.fb_response
+      }))
+    });
 
-      if (schedule.next_scheduled_pause) {
-        upcomingActions.push({
-          campaignId: schedule.campaign_id,
-          campaignName: schedule.campaign_name,
-          action: 'pause',
-          scheduledAt: schedule.next_scheduled_pause,
-          timezone: schedule.timezone
-        });
+  } catch (error) {
+    console.error('❌ [SCHEDULE] Error fetching logs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch logs'
+    });
+  }
+}
+
+/**
+ * POST /api/campaigns/schedule/bulk
+ * Apply one schedule to many campaigns, ad sets or ads
+ *
+ * Body: { entityType, entities: [{ id, name, campaignId, campaignName }] | entityIds: [...], ...schedule }
+ */
+router.post('/schedule/bulk', authenticate, async (req, res) => {
+  const userId = req.user.id;
+  const { entityType = 'campaign', isEnabled = true } = req.body;
+  const entities = Array.isArray(req.body.entities)
+    ? req.body.entities
+    : (req.body.entityIds || []).map(id => ({ id }));
+
+  console.log(`📅 [SCHEDULE] Bulk scheduling ${entities.length} ${entityType}(s)`);
+
+  try {
+    if (!ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({
+        success: false,
+        error: `entityType must be one of: ${ENTITY_TYPES.join(', ')}`
+      });
+    }
+
+    if (entities.length === 0 || entities.some(entity => !entity?.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'entities (or entityIds) must be a non-empty list of ids'
+      });
+    }
+
+    if (entities.length > MAX_BULK_ENTITIES) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BULK_ENTITIES} entities can be scheduled at once`
+      });
+    }
+
+    // Get user's active Facebook auth
+    const facebookAuth = await db.FacebookAuth.findOne({
+      where: { userId, isActive: true }
+    });
+
+    if (!facebookAuth) {
+      return res.status(401).json({
+        success: false,
+        error: 'Please connect your Facebook account first'
+      });
+    }
+
+    // Same windows for every entity; the account timezone comes from the first one
+    let config;
+    try {
+      config = await buildScheduleConfig(req.body, entityType, String(entities[0].id), facebookAuth.accessToken);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+    logConfig(config);
+
+    const results = [];
+    for (const entity of entities) {
+      const entityId = String(entity.id);
+      try {
+        const schedule = await saveSchedule(userId, facebookAuth, {
+          entityType,
+          entityId,
+          entityName: entity.name,
+          campaignId: entity.campaignId,
+          campaignName: entity.campaignName || (entityType === 'campaign' ? entity.name : undefined)
+        }, config, isEnabled);
+        results.push({ entityId, success: true, schedule: formatSchedule(schedule) });
+      } catch (entityError) {
+        console.error(`   ❌ Failed to schedule ${entityType} ${entityId}:`, entityError.message);
+        results.push({ entityId, success: false, error: entityError.message });
       }
     }
 
-    // Sort by scheduled time
-    upcomingActions.sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+    const failed = results.filter(result => !result.success).length;
+    console.log(`   ✅ Bulk schedule: ${results.length - failed} saved, ${failed} failed`);
 
-    console.log(`   ✅ Found ${upcomingActions.length} upcoming actions`);
+    res.json({
+      success: failed < results.length,
+      message: `Scheduled ${results.length - failed} of ${results.length} ${entityType}(s)`,
+      results,
+      totals: { requested: results.length, saved: results.length - failed, failed }
+    });
+
+  } catch (error) {
+    console.error('❌ [SCHEDULE] Error bulk scheduling:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to bulk schedule'
+    });
+  }
+});
+
+// Campaign schedules
+router.post('/:campaignId/schedule', authenticate, handleSaveSchedule);
+router.get('/:campaignId/schedule', authenticate, handleGetSchedule);
+router.patch('/:campaignId/schedule/toggle', authenticate, handleToggleSchedule);
+router.delete('/:campaignId/schedule', authenticate, handleDeleteSchedule);
+router.get('/:campaignId/schedule/logs', authenticate, handleScheduleLogs);
+
+// Campaign, ad set and ad schedules
+router.post('/schedule/:entityType/:entityId', authenticate, validateEntityType, handleSaveSchedule);
+router.get('/schedule/:entityType/:entityId', authenticate, validateEntityType, handleGetSchedule);
+router.patch('/schedule/:entityType/:entityId/toggle', authenticate, validateEntityType, handleToggleSchedule);
+router.delete('/schedule/:entityType/:entityId', authenticate, validateEntityType, handleDeleteSchedule);
+router.get('/schedule/:entityType/:entityId/logs', authenticate, validateEntityType, handleScheduleLogs);
+
+/**
+ * GET /api/campaigns/:campaignId/schedules
+ * All schedules inside a campaign (the campaign's own plus its ad sets and ads)
+ */
+router.get('/:campaignId/schedules', authenticate, async (req, res) => {
+  const { campaignId } = req.params;
+  const userId = req.user.id;
+
+  console.log(`📋 [SCHEDULE] Fetching all schedules in campaign: ${campaignId}`);
+
+  try {
+    const schedules = await db.CampaignSchedule.findAll({
+      where: { campaign_id: campaignId, user_id: userId },
+      order: [['entity_type', 'ASC'], ['created_at', 'DESC']]
+    });
 
     res.json({
       success: true,
-      upcomingActions
+      schedules: schedules.map(formatSchedule)
     });
 
   } catch (error) {
-    console.error('❌ [SCHEDULE] Error fetching upcoming schedules:', error);
+    console.error('❌ [SCHEDULE] Error fetching campaign schedules:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to fetch upcoming schedules'
+      error: error.message || 'Failed to fetch schedules'
     });
   }
 });
 
 /**
- * GET /api/campaigns/:campaignId/schedule/logs
- * Get execution history for a campaign schedule
+ * GET /api/campaigns/schedule/upcoming
+ * Get all upcoming scheduled actions for user
  */
-router.get('/:campaignId/schedule/logs', authenticate, async (req, res) => {
-  const { campaignId } = req.params;
+router.get('/schedule/upcoming', authenticate, async (req, res) => {
   const userId = req.user.id;
-  const limit = parseInt(req.query.limit) || 50;
 
-  console.log(`📜 [SCHEDULE] Fetching logs for campaign: ${campaignId}`);
+  console.log(`📅 [SCHEDULE] Fetching upcoming schedules for user: ${userId}`);
 
   try {
-    const schedule = await db.CampaignSchedule.findOne({
-      where: { campaign_id: campaignId, user_id: userId }
+    const schedules = await db.CampaignSchedule.findAll({
+      where: { user_id: userId, is_enabled: true },
+      order: [['next_scheduled_start', 'ASC']]
     });
 
-    if (!schedule) {
-      return res.status(404).json({
-        success: false,
-        error: 'Schedule not found'
-      });
+    const upcomingActions = [];
+
+    for (const schedule of schedules) {
+      const entity = {
+        entityType: schedule.entity_type,
+        entityId: schedule.entity_id,
+        entityName: schedule.entity_name,
+        campaignId: schedule.campaign_id,
+        campaignName: schedule.campaign_name,
+        timezone: schedule.timezone
+      };
+
+      if (schedule.next_scheduled_start) {
+        upcomingActions.push({ ...entity, action: 'start', scheduledAt: schedule.next_scheduled_start });
+      }
+
+      if (schedule.next_scheduled_pause) {
+        upcomingActions.push({ ...entity, action: 'pause', scheduledAt: schedule.next_scheduled_pause });
+      }
+
+      if (schedule.next_budget_action_at) {
+        upcomingActions.push({ ...entity, action: 'budget', scheduledAt: schedule.next_budget_action_at });
+      }
     }
 
-    const logs = await db.CampaignScheduleLog.findAll({
-      where: { campaign_schedule_id: schedule.id },
-      order: [['executed_at', 'DESC']],
-      limit
-    });
+    // Sort by scheduled time
+    upcomingActions.sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
 
-    console.log(`   ✅ Found ${logs.length} log entries`);
+    console.log(`   ✅ Found ${upcomingActions.length} upcoming actions`);
 
     res.json({
       success: true,
-      logs: logs.map(log => ({
-        id: log.id,
-        action: log.action,
-        status: log.status,
-        executedAt: log.executed_at,
-        errorMessage: log.error_message,
-        fbResponse: log.fb_response
-      }))
+      upcomingActions
     });
 
   } catch (error) {
-    console.error('❌ [SCHEDULE] Error fetching logs:', error);
+    console.error('❌ [SCHEDULE] Error fetching upcoming schedules:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to fetch logs'
+      error: error.message || 'Failed to fetch upcoming schedules'
     });
   }
 });
 
 /**
- * GET /api/campaigns/schedule/all
+ * GET /api/campaigns/schedule/all?entity_type=adset&campaign_id=123
  * Get all schedules for user (for management dashboard)
  */
 router.get('/schedule/all', authenticate, async (req, res) => {
@@ -413,8 +633,12 @@ router.get('/schedule/all', authenticate, async (req, res) => {
   console.log(`📋 [SCHEDULE] Fetching all schedules for user: ${userId}`);
 
   try {
+    const where = { user_id: userId };
+    if (ENTITY_TYPES.includes(req.query.entity_type)) where.entity_type = req.query.entity_type;
+    if (req.query.campaign_id) where.campaign_id = req.query.campaign_id;
+
     const schedules = await db.CampaignSchedule.findAll({
-      where: { user_id: userId },
+      where,
       order: [['created_at', 'DESC']]
     });
 
@@ -422,24 +646,7 @@ router.get('/schedule/all', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      schedules: schedules.map(schedule => ({
-        id: schedule.id,
-        campaignId: schedule.campaign_id,
-        campaignName: schedule.campaign_name,
-        timezone: schedule.timezone,
-        startTime: schedule.start_time.substring(0, 5),
-        endTime: schedule.end_time.substring(0, 5),
-        daysOfWeek: schedule.days_of_week,
-        isEnabled: schedule.is_enabled,
-        nextScheduledStart: schedule.next_scheduled_start,
-        nextScheduledPause: schedule.next_scheduled_pause,
-        lastStartedAt: schedule.last_started_at,
-        lastPausedAt: schedule.last_paused_at,
-        consecutiveFailures: schedule.consecutive_failures,
-        lastError: schedule.last_error,
-        createdAt: schedule.created_at,
-        updatedAt: schedule.updated_at
-      }))
+      schedules: schedules.map(formatSchedule)
     });
 
   } catch (error) {
@@ -7,6 +7,7 @@ const { authenticate, requirePermission, requireResourceAccess } = require('../m
 const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
 const AuditService = require('../services/AuditService');
 const PermissionService = require('../services/PermissionService');
+const LandingPageService = require('../services/LandingPageService');
 const { Resource } = require('../models');
 const db = require('../models');
 const { decryptToken } = require('./facebookSDKAuth');
@@ -18,6 +19,7 @@ const metascraper = require('metascraper')([
   require('metascraper-publisher')()
 ]);
 const got = require('got').default;
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 const validateCampaign = [
   body('campaignName').notEmpty().withMessage('Campaign name is required'),
@@ -104,7 +106,7 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
       try {
         const axios = require('axios');
         const pixelsResponse = await axios.get(
-          `https://graph.facebook.com/v18.0/${facebookAuth.selectedAdAccount.id}/adspixels`,
+          `${getGraphBaseUrl('v18.0')}/${facebookAuth.selectedAdAccount.id}/adspixels`,
           {
             params: {
               access_token: decryptedToken,
@@ -436,7 +438,7 @@ router.get('/validate-token', async (req, res) => {
   try {
     const axios = require('axios');
     const response = await axios.get(
-      `https://graph.facebook.com/${process.env.FB_API_VERSION}/me`,
+      `${getGraphBaseUrl()}/me`,
       { params: { access_token: process.env.FB_ACCESS_TOKEN } }
     );
     
@@ -486,6 +488,35 @@ router.post('/link-preview', authenticate, async (req, res) => {
   }
 });
 
+// Landing page preflight endpoint
+// Body: { urls: [...] } or { url }, optional pixelId and displayLink
+router.post('/preflight', authenticate, async (req, res) => {
+  try {
+    const { url, pixelId, displayLink } = req.body;
+    const urls = Array.isArray(req.body.urls) ? req.body.urls : [url].filter(Boolean);
+
+    if (urls.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one URL is required'
+      });
+    }
+
+    const preflight = await LandingPageService.preflight(urls, { pixelId, displayLink });
+
+    res.json({
+      success: true,
+      data: preflight
+    });
+  } catch (error) {
+    console.error('Landing page preflight error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run landing page preflight'
+    });
+  }
+});
+
 // ============= CAMPAIGN MANAGEMENT ENDPOINTS =============
 
 // Edit campaign (name, status, budget)
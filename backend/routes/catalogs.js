@@ -7,6 +7,7 @@ const multer = require('multer');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '..', 'uploads');
@@ -35,7 +36,7 @@ const upload = multer({
 });
 
 const FACEBOOK_API_VERSION = 'v18.0';
-const FACEBOOK_BASE_URL = `https://graph.facebook.com/${FACEBOOK_API_VERSION}`;
+const FACEBOOK_BASE_URL = getGraphBaseUrl(FACEBOOK_API_VERSION);
 
 /**
  * GET /api/catalogs/list
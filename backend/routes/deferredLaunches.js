@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const DeferredLaunchService = require('../services/DeferredLaunchService');
+const AuditService = require('../services/AuditService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Deferred launches are created by the strategy create routes (launchAt in the
+ * request body); these endpoints list, move and cancel them.
+ */
+
+/**
+ * List the user's deferred launches
+ * GET /api/campaigns/deferred-launches?status=scheduled
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const launches = await DeferredLaunchService.list(req.user.id, { status: req.query.status });
+    res.json({ success: true, data: launches });
+  } catch (error) {
+    console.error('Error listing deferred launches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list deferred launches',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Deferred launch with its stored campaign data and result
+ * GET /api/campaigns/deferred-launches/:id
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const deferred = await DeferredLaunchService.get(req.params.id, req.user.id);
+    if (!deferred) {
+      return res.status(404).json({ success: false, error: 'Deferred launch not found' });
+    }
+
+    res.json({ success: true, data: deferred });
+  } catch (error) {
+    console.error('Error fetching deferred launch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deferred launch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Move a scheduled launch
+ * PATCH /api/campaigns/deferred-launches/:id
+ * Body: { launchAt, launchTimezone? } - timezone defaults to the one it was scheduled in
+ */
+router.patch('/:id', authenticate, async (req, res) => {
+  if (!req.body.launchAt) {
+    return res.status(400).json({ success: false, error: 'launchAt is required' });
+  }
+
+  try {
+    const deferred = await DeferredLaunchService.get(req.params.id, req.user.id);
+    if (!deferred) {
+      return res.status(404).json({ success: false, error: 'Deferred launch not found' });
+    }
+
+    try {
+      await DeferredLaunchService.reschedule(deferred, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    await AuditService.logRequest(req, 'deferred_launch.reschedule', 'deferred_launch', deferred.id);
+
+    res.json({
+      success: true,
+      message: `Launch moved to ${deferred.launchAt.toISOString()} (${deferred.timezone})`,
+      data: deferred
+    });
+  } catch (error) {
+    console.error('Error rescheduling deferred launch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reschedule deferred launch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Cancel a scheduled launch (its stored media is removed)
+ * DELETE /api/campaigns/deferred-launches/:id
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const deferred = await DeferredLaunchService.get(req.params.id, req.user.id);
+    if (!deferred) {
+      return res.status(404).json({ success: false, error: 'Deferred launch not found' });
+    }
+
+    try {
+      await DeferredLaunchService.cancel(deferred);
+    } catch (stateError) {
+      return res.status(400).json({ success: false, error: stateError.message });
+    }
+
+    await AuditService.logRequest(req, 'deferred_launch.cancel', 'deferred_launch', deferred.id);
+
+    res.json({ success: true, message: 'Deferred launch cancelled', data: deferred });
+  } catch (error) {
+    console.error('Error cancelling deferred launch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel deferred launch',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
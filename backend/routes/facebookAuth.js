@@ -7,6 +7,7 @@ const { decryptToken } = require('./facebookSDKAuth');
 const { AuthAuditLog, User, FacebookAuth, EligibilityCheck } = require('../models');
 const { authenticate, requireFacebookAuth, refreshFacebookToken } = require('../middleware/auth');
 const rateLimit = require('express-rate-limit');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 // Rate limiting for auth endpoints
 const authLimiter = rateLimit({
@@ -897,7 +898,7 @@ router.get('/pixels', authenticate, async (req, res) => {
         try {
           // Fetch ALL pixels from Facebook Graph API with pagination
           let allPixels = [];
-          let url = `https://graph.facebook.com/v18.0/${adAccountId}/adspixels`;
+          let url = `${getGraphBaseUrl('v18.0')}/${adAccountId}/adspixels`;
           let params = {
             access_token: accessToken,
             fields: 'id,name,code,last_fired_time,is_unavailable',
@@ -988,7 +989,7 @@ router.get('/audiences', authenticate, async (req, res) => {
     try {
       // Fetch custom audiences
       const customAudiencesResponse = await axios.get(
-        `https://graph.facebook.com/v18.0/${adAccountId}/customaudiences`,
+        `${getGraphBaseUrl('v18.0')}/${adAccountId}/customaudiences`,
         {
           params: {
             access_token: accessToken,
@@ -5,6 +5,7 @@ const { authenticate } = require('../middleware/auth');
 const db = require('../models');
 const crypto = require('crypto');
 const { exchangeForLongLivedToken } = require('../utils/exchangeToken');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 // Encryption functions
 const algorithm = 'aes-256-gcm';
@@ -92,7 +93,7 @@ router.post('/sdk-callback', authenticate, async (req, res) => {
     }
 
     // Verify the token with Facebook
-    const verifyUrl = `https://graph.facebook.com/v18.0/me?access_token=${accessToken}&fields=id,name,email`;
+    const verifyUrl = `${getGraphBaseUrl('v18.0')}/me?access_token=${accessToken}&fields=id,name,email`;
     const verifyResponse = await axios.get(verifyUrl);
     
     if (verifyResponse.data.id !== userID) {
@@ -103,7 +104,7 @@ router.post('/sdk-callback', authenticate, async (req, res) => {
     }
 
     // Get user info and permissions
-    const permissionsUrl = `https://graph.facebook.com/v18.0/me/permissions?access_token=${accessToken}`;
+    const permissionsUrl = `${getGraphBaseUrl('v18.0')}/me/permissions?access_token=${accessToken}`;
     const permissionsResponse = await axios.get(permissionsUrl);
     const permissions = permissionsResponse.data.data
       .filter(p => p.status === 'granted')
@@ -111,7 +112,7 @@ router.post('/sdk-callback', authenticate, async (req, res) => {
 
     // Get ad accounts with pagination to fetch ALL accounts
     let allAdAccounts = [];
-    let adAccountsUrl = `https://graph.facebook.com/v18.0/me/adaccounts?fields=id,name,account_status,currency&limit=100&access_token=${accessToken}`;
+    let adAccountsUrl = `${getGraphBaseUrl('v18.0')}/me/adaccounts?fields=id,name,account_status,currency&limit=100&access_token=${accessToken}`;
 
     console.log('Fetching ad accounts with pagination...');
 
@@ -136,7 +137,7 @@ router.post('/sdk-callback', authenticate, async (req, res) => {
 
     // Get pages with pagination to fetch ALL pages
     let allPages = [];
-    let pagesUrl = `https://graph.facebook.com/v18.0/me/accounts?fields=id,name,access_token,category,picture{url}&limit=100&access_token=${accessToken}`;
+    let pagesUrl = `${getGraphBaseUrl('v18.0')}/me/accounts?fields=id,name,access_token,category,picture{url}&limit=100&access_token=${accessToken}`;
 
     console.log('Fetching pages with pagination...');
 
@@ -405,7 +406,7 @@ router.get('/ad-limits/:adAccountId', authenticate, async (req, res) => {
     const accountId = adAccountId.startsWith('act_') ? adAccountId : `act_${adAccountId}`;
 
     const response = await axios.get(
-      `https://graph.facebook.com/v18.0/${accountId}`,
+      `${getGraphBaseUrl('v18.0')}/${accountId}`,
       {
         params: {
           fields: 'name,account_id,ad_count,ad_limit,currency,account_status',
@@ -492,7 +493,7 @@ router.get('/ad-limits', authenticate, async (req, res) => {
         const accountId = account.id.startsWith('act_') ? account.id : `act_${account.id}`;
 
         const response = await axios.get(
-          `https://graph.facebook.com/v18.0/${accountId}`,
+          `${getGraphBaseUrl('v18.0')}/${accountId}`,
           {
             params: {
               fields: 'name,account_id,ad_count,ad_limit',
@@ -594,7 +595,7 @@ router.get('/pixels/:adAccountId', authenticate, async (req, res) => {
 
     // Fetch pixels from Facebook Graph API
     const response = await axios.get(
-      `https://graph.facebook.com/v18.0/${accountId}/adspixels`,
+      `${getGraphBaseUrl('v18.0')}/${accountId}/adspixels`,
       {
         params: {
           fields: 'id,name,code,creation_time,last_fired_time,owner_business,owner_ad_account',
@@ -8,6 +8,7 @@ const { decryptToken } = require('./facebookSDKAuth');
 const ResourceHelper = require('../services/ResourceHelper');
 const LocationMapper = require('../services/LocationMapper');
 const { FacebookAuth } = require('../models');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 // Configure multer for file uploads (in-memory storage)
 const upload = multer({
@@ -75,7 +76,7 @@ router.get('/saved-audiences', authenticate, async (req, res) => {
 
     // Fetch saved audiences from Facebook
     const response = await axios.get(
-      `https://graph.facebook.com/v18.0/${formattedAdAccountId}/saved_audiences`,
+      `${getGraphBaseUrl('v18.0')}/${formattedAdAccountId}/saved_audiences`,
       {
         params: {
           access_token: decryptedToken,
@@ -286,7 +287,7 @@ router.get('/search-locations', authenticate, async (req, res) => {
 
     // Search Facebook locations
     const response = await axios.get(
-      'https://graph.facebook.com/v18.0/search',
+      `${getGraphBaseUrl('v18.0')}/search`,
       { params }
     );
 
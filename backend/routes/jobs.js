@@ -0,0 +1,414 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { User } = require('../models');
+const JobEvents = require('../services/JobEvents');
+const JobStore = require('../services/JobStore');
+const RollbackManager = require('../services/RollbackManager');
+const { LEGACY_ROUTES } = require('../config/strategies');
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const STREAM_TOKEN_PURPOSE = 'job_events';
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+/**
+ * Owner of a job: in-memory owner first, then the persisted job row
+ *
+ * @returns {Promise<Object>} { owner, persisted }
+ */
+async function resolveJobOwner(jobId) {
+  const owner = JobEvents.getOwner(jobId);
+  if (owner) {
+    return { owner, persisted: null };
+  }
+
+  const persisted = await JobStore.findPersistedJob(jobId);
+  return { owner: persisted?.userId || null, persisted };
+}
+
+/**
+ * EventSource can't send an Authorization header, so the stream endpoint also
+ * accepts ?token=... - but only a short-lived stream token for this job
+ * (POST /:jobId/stream-token), never the session JWT.
+ */
+const authenticateEventStream = async (req, res, next) => {
+  if (req.headers.authorization || !req.query.token) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
+    if (decoded.purpose !== STREAM_TOKEN_PURPOSE || decoded.jobId !== req.params.jobId) {
+      return res.status(401).json({ error: 'Invalid stream token' });
+    }
+
+    const user = await User.findByPk(decoded.userId, {
+      attributes: ['id', 'email', 'firstName', 'lastName', 'isActive']
+    });
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    req.user = user;
+    req.userId = user.id;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Stream token expired' });
+    }
+    return res.status(401).json({ error: 'Invalid stream token' });
+  }
+};
+
+/**
+ * POST /api/jobs/:jobId/stream-token
+ * Short-lived token for GET /:jobId/events?token=... (EventSource can't set headers)
+ */
+router.post('/:jobId/stream-token', authenticate, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { owner } = await resolveJobOwner(jobId);
+
+    if (owner !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized access to job'
+      });
+    }
+
+    const token = jwt.sign(
+      { userId: req.user.id, jobId, purpose: STREAM_TOKEN_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+    );
+
+    res.json({
+      success: true,
+      data: { token, expiresIn: STREAM_TOKEN_TTL_SECONDS }
+    });
+  } catch (error) {
+    console.error('Stream token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create stream token',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Turn a persisted job row into a single event for clients that connect after a restart
+ */
+function snapshotEvent(jobId, record) {
+  const state = record.jobState || {};
+  const { EVENT_TYPES } = JobEvents;
+  let type = EVENT_TYPES.PROGRESS;
+  if (record.status === 'completed') {
+    type = EVENT_TYPES.COMPLETED;
+  } else if (['failed', 'rolled_back'].includes(record.status)) {
+    type = EVENT_TYPES.FAILED;
+  }
+
+  return {
+    id: 0,
+    jobId,
+    type,
+    data: {
+      jobType: record.jobType,
+      status: state.status || record.status,
+      completed: state.completed ?? state.progress ?? state.adsCreated ?? 0,
+      total: state.total ?? state.totalAdsToCreate ?? null,
+      currentOperation: state.currentOperation || null,
+      error: state.error || record.lastError || null,
+      snapshot: true
+    },
+    timestamp: (record.updatedAt || new Date()).toISOString()
+  };
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events stream for a long-running job
+ *
+ * jobId is whatever the starting endpoint returned: multiply jobId, the campaign ID
+ * for ad set duplication, ad duplication jobId, `deployment_<id>`, `backfill_<id>`,
+ * or the jobId sent with a /create request.
+ *
+ * Events: progress, entity_created, entity_failed, retry, rate_limited, completed, failed.
+ * Reconnecting clients get everything after Last-Event-ID replayed.
+ *
+ * Auth: Authorization header, or ?token= from POST /:jobId/stream-token.
+ * Only the job's owner can connect, so connect once the job has been registered.
+ */
+router.get('/:jobId/events', authenticateEventStream, async (req, res) => {
+  const { jobId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    // Only the job's owner may stream it - unowned and unknown jobs included
+    const { owner, persisted } = await resolveJobOwner(jobId);
+
+    if (owner !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized access to job'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+    const history = JobEvents.getHistory(jobId, lastEventId);
+
+    if (history.length > 0) {
+      history.forEach(event => writeEvent(res, event));
+    } else if (persisted && lastEventId === 0) {
+      // Nothing in memory (e.g. after a restart) - send the last persisted state
+      writeEvent(res, snapshotEvent(jobId, persisted));
+    }
+
+    const finishedEvents = [JobEvents.EVENT_TYPES.COMPLETED, JobEvents.EVENT_TYPES.FAILED];
+    const alreadyFinished = JobEvents.isFinished(jobId) ||
+      (history.length === 0 && persisted && ['completed', 'failed', 'rolled_back'].includes(persisted.status));
+
+    if (alreadyFinished) {
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    unsubscribe = JobEvents.subscribe(jobId, (event) => {
+      // The job may be re-registered while the client is connected (e.g. a resumed job)
+      const currentOwner = JobEvents.getOwner(jobId);
+      if (currentOwner && currentOwner !== userId) {
+        return close();
+      }
+
+      writeEvent(res, event);
+
+      if (finishedEvents.includes(event.type)) {
+        close();
+      }
+    });
+
+    req.on('close', close);
+  } catch (error) {
+    console.error('Job event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to open job event stream',
+        message: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Job types that can be cancelled mid-run (multiply, ad set duplication, deployment)
+const CANCELLABLE_JOB_TYPES = [
+  ...Object.values(LEGACY_ROUTES).flatMap(route => Object.values(route.jobTypes)),
+  'deployment'
+];
+
+// Statuses after which a job no longer creates anything
+const STOPPED_STATUSES = ['completed', 'failed', 'error', 'cancelled'];
+
+/**
+ * Load a job for the current user, or send the error response
+ *
+ * @returns {Promise<Object|null>} { collection, job, record }
+ */
+async function findUserJob(req, res) {
+  const found = await JobStore.findJob(req.params.jobId);
+
+  if (!found || !found.record) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return null;
+  }
+
+  if (found.record.userId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized access to job'
+    });
+    return null;
+  }
+
+  return found;
+}
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Stop a running multiply, duplicate or deployment job after its current Graph batch.
+ *
+ * Entities created so far are kept until the user decides: the response carries a
+ * rollback preview, and POST /:jobId/rollback deletes them once the job has stopped.
+ */
+router.post('/:jobId/cancel', authenticate, async (req, res) => {
+  try {
+    const found = await findUserJob(req, res);
+    if (!found) return;
+
+    const { collection, record } = found;
+    const { jobId } = req.params;
+
+    if (!CANCELLABLE_JOB_TYPES.includes(record.jobType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Jobs of type ${record.jobType || 'unknown'} cannot be cancelled`
+      });
+    }
+
+    const job = collection ? collection.cancel(jobId) : null;
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is not running',
+        data: { status: found.job?.status || record.status }
+      });
+    }
+
+    console.log(`🛑 Cancel requested for ${record.jobType} job ${jobId} by user ${req.user.id}`);
+
+    const preview = await RollbackManager.getRollbackPreview(record);
+
+    res.json({
+      success: true,
+      message: 'Job will stop after the current batch. Keep the created entities or roll them back once it has stopped.',
+      data: {
+        jobId,
+        status: job.status,
+        cancelRequested: true,
+        rollbackPreview: preview
+      }
+    });
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/rollback-preview
+ * Entities a rollback would delete (everything the job recorded as created)
+ */
+router.get('/:jobId/rollback-preview', authenticate, async (req, res) => {
+  try {
+    const found = await findUserJob(req, res);
+    if (!found) return;
+
+    const preview = await RollbackManager.getRollbackPreview(found.record);
+
+    res.json({
+      success: true,
+      data: {
+        jobId: req.params.jobId,
+        status: found.job?.status || found.record.status,
+        rollbackPreview: preview
+      }
+    });
+  } catch (error) {
+    console.error('Rollback preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get rollback preview',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:jobId/rollback
+ * Delete the entities a stopped job created. Keeping them needs no call.
+ */
+router.post('/:jobId/rollback', authenticate, async (req, res) => {
+  try {
+    const found = await findUserJob(req, res);
+    if (!found) return;
+
+    const { collection, record } = found;
+    const { jobId } = req.params;
+    const job = collection?.get(jobId) || null;
+    const status = found.job?.status || record.status;
+
+    if (status === 'rolled_back' || record.status === 'rolled_back') {
+      return res.status(409).json({
+        success: false,
+        error: 'Job has already been rolled back'
+      });
+    }
+
+    if (!STOPPED_STATUSES.includes(status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is still running - cancel it and wait for it to stop first',
+        data: { status }
+      });
+    }
+
+    const { facebookApi } = await JobStore.buildFacebookApi(record);
+    const result = await RollbackManager.executeRollback(record, facebookApi, {
+      userConfirmed: true,
+      reason: req.body.reason || 'Rolled back by user after cancel'
+    });
+
+    // Keep the in-memory job in step so the next flush doesn't overwrite the status
+    if (job) {
+      Object.assign(job, {
+        status: 'rolled_back',
+        currentOperation: `Rolled back: ${result.entitiesDeleted} deleted, ${result.entitiesFailed} failed`
+      });
+    }
+
+    res.json({
+      success: result.success,
+      message: result.success
+        ? `Rolled back ${result.entitiesDeleted} entities`
+        : `Rolled back ${result.entitiesDeleted} entities, ${result.entitiesFailed} could not be deleted`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Job rollback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back job',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,361 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const db = require('../models');
+const ResourceHelper = require('../services/ResourceHelper');
+const AuditService = require('../services/AuditService');
+const LeadFormService = require('../services/LeadFormService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireFacebookAuth } = require('../middleware/facebookAuth');
+
+const getAccessToken = async (userId) => {
+  const facebookAuth = await db.FacebookAuth.findOne({
+    where: { userId, isActive: true }
+  });
+  // The model getter already decrypts the token
+  return facebookAuth?.accessToken || null;
+};
+
+const missingTokenResponse = (res) => res.status(401).json({
+  success: false,
+  error: 'Invalid or missing access token. Please reconnect your Facebook account.',
+  requiresReauth: true
+});
+
+/**
+ * Lead filters shared by the list and the CSV export
+ * Query: leadFormId (includes every version of the form), campaignId, since, until
+ */
+const buildLeadWhere = async (req) => {
+  const where = { userId: req.user.id };
+
+  if (req.query.leadFormId) {
+    const leadForm = await db.LeadForm.findOne({
+      where: { id: req.query.leadFormId, userId: req.user.id }
+    });
+    const versions = leadForm
+      ? await db.LeadForm.findAll({ where: { rootFormId: leadForm.rootFormId || leadForm.id }, attributes: ['id'] })
+      : [];
+    where.leadFormId = { [Op.in]: versions.map(version => version.id) };
+  }
+  if (req.query.campaignId) {
+    where.campaignId = req.query.campaignId;
+  }
+  if (req.query.since || req.query.until) {
+    where.submittedAt = {};
+    if (req.query.since) where.submittedAt[Op.gte] = new Date(req.query.since);
+    if (req.query.until) where.submittedAt[Op.lte] = new Date(req.query.until);
+  }
+
+  return where;
+};
+
+/**
+ * List the user's lead forms (latest versions unless ?includeArchived=true)
+ * GET /api/lead-forms?pageId=
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.pageId) where.pageId = req.query.pageId;
+    if (req.query.includeArchived !== 'true') where.status = 'active';
+
+    const leadForms = await db.LeadForm.findAll({
+      where,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({ success: true, data: leadForms });
+  } catch (error) {
+    console.error('Error listing lead forms:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list lead forms',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Create an Instant Form on a page
+ * POST /api/lead-forms
+ *
+ * Body:
+ * - name
+ * - pageId:                optional, defaults to the selected page
+ * - questions:             [{ type: 'EMAIL' | 'FULL_NAME' | ... | 'CUSTOM', key, label, options }]
+ * - privacyPolicyUrl, privacyPolicyLinkText
+ * - thankYouPage:          { title, body, buttonText, websiteUrl } (optional)
+ * - locale:                e.g. en_US
+ */
+router.post('/', authenticate, requireFacebookAuth, requirePermission('campaign', 'create'), async (req, res) => {
+  const errors = LeadFormService.validate(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid lead form', errors });
+  }
+
+  try {
+    const accessToken = await getAccessToken(req.user.id);
+    if (!accessToken) {
+      return missingTokenResponse(res);
+    }
+
+    const activeResources = await ResourceHelper.getActiveResourcesWithFallback(req.user.id);
+    const pageId = req.body.pageId || activeResources.selectedPageId;
+    if (!pageId) {
+      return res.status(400).json({ success: false, error: 'Please select a Facebook page for the lead form' });
+    }
+
+    const leadForm = await LeadFormService.createForm(req.user.id, accessToken, pageId, req.body);
+
+    await AuditService.logRequest(req, 'leadForm.create', 'lead_form', String(leadForm.id));
+
+    res.status(201).json({
+      success: true,
+      message: `Lead form "${leadForm.name}" created`,
+      data: leadForm
+    });
+  } catch (error) {
+    console.error('❌ Lead form creation failed:', error);
+
+    await AuditService.logRequest(req, 'leadForm.create', 'lead_form', null, 'failure', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create lead form',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Leads, newest first
+ * GET /api/lead-forms/leads?leadFormId=&campaignId=&since=&until=&limit=&offset=
+ */
+router.get('/leads', authenticate, async (req, res) => {
+  try {
+    const { rows, count } = await db.Lead.findAndCountAll({
+      where: await buildLeadWhere(req),
+      include: [{ model: db.LeadForm, as: 'leadForm', attributes: ['id', 'name', 'version'] }],
+      order: [['submitted_at', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+
+    res.json({ success: true, data: rows, total: count });
+  } catch (error) {
+    console.error('Error listing leads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list leads',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Leads as a CSV download (same filters as /leads)
+ * GET /api/lead-forms/leads/export
+ */
+router.get('/leads/export', authenticate, async (req, res) => {
+  try {
+    const leads = await db.Lead.findAll({
+      where: await buildLeadWhere(req),
+      include: [{ model: db.LeadForm, as: 'leadForm', attributes: ['id', 'name', 'version'] }],
+      order: [['submitted_at', 'DESC']]
+    });
+
+    await AuditService.logRequest(req, 'leadForm.export', 'lead_form', req.query.leadFormId || null);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="leads-${date}.csv"`);
+    res.send(LeadFormService.toCsv(leads));
+  } catch (error) {
+    console.error('Error exporting leads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leads',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Lead counts per campaign
+ * GET /api/lead-forms/leads/counts?campaignIds=123,456
+ */
+router.get('/leads/counts', authenticate, async (req, res) => {
+  try {
+    const campaignIds = req.query.campaignIds
+      ? String(req.query.campaignIds).split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+
+    const counts = await LeadFormService.getLeadCounts(req.user.id, campaignIds);
+    res.json({ success: true, data: counts });
+  } catch (error) {
+    console.error('Error counting leads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to count leads',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Lead form details
+ * GET /api/lead-forms/:id
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const leadForm = await db.LeadForm.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!leadForm) {
+      return res.status(404).json({ success: false, error: 'Lead form not found' });
+    }
+
+    res.json({ success: true, data: leadForm });
+  } catch (error) {
+    console.error('Error fetching lead form:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lead form',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Every version of a form, newest first
+ * GET /api/lead-forms/:id/versions
+ */
+router.get('/:id/versions', authenticate, async (req, res) => {
+  try {
+    const leadForm = await db.LeadForm.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!leadForm) {
+      return res.status(404).json({ success: false, error: 'Lead form not found' });
+    }
+
+    const versions = await db.LeadForm.findAll({
+      where: { userId: req.user.id, rootFormId: leadForm.rootFormId || leadForm.id },
+      order: [['version', 'DESC']]
+    });
+
+    res.json({ success: true, data: versions });
+  } catch (error) {
+    console.error('Error fetching lead form versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lead form versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Publish a new version of a form (Facebook forms can't be edited)
+ * POST /api/lead-forms/:id/versions
+ *
+ * Body: any of the create fields; the rest are copied from the current version.
+ * The current version is archived - ad sets using it keep running until their
+ * ads are updated with the new form.
+ */
+router.post('/:id/versions', authenticate, requireFacebookAuth, requirePermission('campaign', 'create'), async (req, res) => {
+  try {
+    const leadForm = await db.LeadForm.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!leadForm) {
+      return res.status(404).json({ success: false, error: 'Lead form not found' });
+    }
+    if (leadForm.status !== 'active') {
+      return res.status(409).json({ success: false, error: 'Only the current version of a form can be changed' });
+    }
+
+    const changes = {};
+    ['name', 'questions', 'privacyPolicyUrl', 'privacyPolicyLinkText', 'thankYouPage', 'locale'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    const errors = LeadFormService.validate({
+      name: leadForm.name,
+      questions: leadForm.questions,
+      privacyPolicyUrl: leadForm.privacyPolicyUrl,
+      thankYouPage: leadForm.thankYouPage,
+      ...changes
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid lead form', errors });
+    }
+
+    const accessToken = await getAccessToken(req.user.id);
+    if (!accessToken) {
+      return missingTokenResponse(res);
+    }
+
+    const next = await LeadFormService.createVersion(leadForm, accessToken, changes);
+
+    await AuditService.logRequest(req, 'leadForm.version', 'lead_form', String(next.id));
+
+    res.status(201).json({
+      success: true,
+      message: `Lead form "${next.name}" is now at version ${next.version}`,
+      data: next
+    });
+  } catch (error) {
+    console.error('❌ Lead form versioning failed:', error);
+
+    await AuditService.logRequest(req, 'leadForm.version', 'lead_form', req.params.id, 'failure', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create lead form version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Pull new leads now instead of waiting for the schedule
+ * POST /api/lead-forms/:id/sync
+ */
+router.post('/:id/sync', authenticate, requireFacebookAuth, async (req, res) => {
+  try {
+    const leadForm = await db.LeadForm.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!leadForm) {
+      return res.status(404).json({ success: false, error: 'Lead form not found' });
+    }
+
+    const accessToken = await getAccessToken(req.user.id);
+    if (!accessToken) {
+      return missingTokenResponse(res);
+    }
+
+    const synced = await LeadFormService.syncLeads(leadForm, accessToken);
+
+    res.json({
+      success: true,
+      message: `${synced} lead(s) synced`,
+      data: { synced, lastSyncedAt: leadForm.lastSyncedAt }
+    });
+  } catch (error) {
+    console.error('Error syncing leads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync leads',
+      message: error.response?.data?.error?.message || error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models');
+const AuditService = require('../services/AuditService');
+const NamingService = require('../services/NamingService');
+const PermissionService = require('../services/PermissionService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const CONVENTION_FIELDS = ['name', 'team', 'campaignTemplate', 'adSetTemplate', 'adTemplate', 'emptyValue', 'isDefault'];
+
+const pickConventionFields = (body) => CONVENTION_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field] === '' ? null : body[field];
+  return fields;
+}, {});
+
+/**
+ * Team conventions can only be saved by members of the team (a team is a role)
+ * @returns {Promise<String|null>} Error message, null when allowed
+ */
+const checkTeamMembership = async (userId, team) => {
+  if (!team) return null;
+  const teams = await PermissionService.getUserTeams(userId);
+  return teams.includes(team) ? null : `You are not a member of team "${team}"`;
+};
+
+/**
+ * Only one default per team (or per user for personal conventions).
+ * Callers check team membership first.
+ */
+const clearOtherDefaults = async (convention) => {
+  const where = convention.team
+    ? { team: convention.team, isDefault: true }
+    : { userId: convention.userId, team: null, isDefault: true };
+
+  const others = await db.NamingConvention.findAll({ where });
+  for (const other of others.filter(c => c.id !== convention.id)) {
+    await other.update({ isDefault: false });
+  }
+};
+
+/**
+ * List the conventions the user can use (own + their teams' conventions)
+ * GET /api/naming-conventions?team=
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    let conventions = await NamingService.getVisibleConventions(req.user.id);
+    if (req.query.team) {
+      conventions = conventions.filter(convention => convention.team === req.query.team);
+    }
+
+    res.json({
+      success: true,
+      data: conventions,
+      tokens: NamingService.getTokens()
+    });
+  } catch (error) {
+    console.error('Error listing naming conventions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list naming conventions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Create a convention
+ * POST /api/naming-conventions
+ *
+ * Body: { name, team, campaignTemplate, adSetTemplate, adTemplate, emptyValue, isDefault }
+ */
+router.post('/', authenticate, requirePermission('campaign', 'create'), async (req, res) => {
+  const fields = pickConventionFields(req.body);
+  const errors = NamingService.validateConvention(fields);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid naming convention', errors });
+  }
+
+  try {
+    const teamError = await checkTeamMembership(req.user.id, fields.team);
+    if (teamError) {
+      return res.status(403).json({ success: false, error: teamError });
+    }
+
+    const convention = await db.NamingConvention.create({ ...fields, userId: req.user.id });
+    if (convention.isDefault) {
+      await clearOtherDefaults(convention);
+    }
+
+    await AuditService.logRequest(req, 'namingConvention.create', 'naming_convention', String(convention.id));
+
+    res.status(201).json({ success: true, data: convention });
+  } catch (error) {
+    console.error('Error creating naming convention:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create naming convention',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Render names from templates without saving (form preview)
+ * POST /api/naming-conventions/preview
+ *
+ * Body: { campaignTemplate, adSetTemplate, adTemplate, emptyValue, values: { vertical, state, ... } }
+ */
+router.post('/preview', authenticate, (req, res) => {
+  const fields = pickConventionFields(req.body);
+  const errors = NamingService.validateConvention({ name: 'preview', ...fields });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid naming convention', errors });
+  }
+
+  const values = req.body.values || {};
+  const render = template => (template ? NamingService.render(template, values, fields) : null);
+
+  res.json({
+    success: true,
+    data: {
+      campaign: render(fields.campaignTemplate),
+      adSet: render(fields.adSetTemplate),
+      ad: render(fields.adTemplate)
+    }
+  });
+});
+
+/**
+ * Parse names back into token values with the user's conventions
+ * POST /api/naming-conventions/parse
+ *
+ * Body: { names: ['...'], level: 'campaign' | 'adSet' | 'ad' (optional) }
+ */
+router.post('/parse', authenticate, async (req, res) => {
+  const names = Array.isArray(req.body.names) ? req.body.names : [req.body.name].filter(Boolean);
+  if (names.length === 0) {
+    return res.status(400).json({ success: false, error: 'names must be a non-empty array' });
+  }
+
+  try {
+    const conventions = await NamingService.getVisibleConventions(req.user.id);
+    const data = names.map(name => ({
+      name,
+      ...NamingService.parse(name, conventions, { level: req.body.level })
+    }));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error parsing names:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to parse names',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Update a convention (owner only)
+ * PUT /api/naming-conventions/:id
+ */
+router.put('/:id', authenticate, requirePermission('campaign', 'create'), async (req, res) => {
+  try {
+    const convention = await db.NamingConvention.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!convention) {
+      return res.status(404).json({ success: false, error: 'Naming convention not found' });
+    }
+
+    const fields = pickConventionFields(req.body);
+    const errors = NamingService.validateConvention({ ...convention.toJSON(), ...fields });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid naming convention', errors });
+    }
+
+    // The owner may have left the team since creating it
+    const teamError = await checkTeamMembership(req.user.id, fields.team !== undefined ? fields.team : convention.team);
+    if (teamError) {
+      return res.status(403).json({ success: false, error: teamError });
+    }
+
+    await convention.update(fields);
+    if (convention.isDefault) {
+      await clearOtherDefaults(convention);
+    }
+
+    await AuditService.logRequest(req, 'namingConvention.update', 'naming_convention', String(convention.id));
+
+    res.json({ success: true, data: convention });
+  } catch (error) {
+    console.error('Error updating naming convention:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update naming convention',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete a convention (owner only). Names already created are untouched.
+ * DELETE /api/naming-conventions/:id
+ */
+router.delete('/:id', authenticate, requirePermission('campaign', 'create'), async (req, res) => {
+  try {
+    const deleted = await db.NamingConvention.destroy({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Naming convention not found' });
+    }
+
+    await AuditService.logRequest(req, 'namingConvention.delete', 'naming_convention', req.params.id);
+
+    res.json({ success: true, message: 'Naming convention deleted' });
+  } catch (error) {
+    console.error('Error deleting naming convention:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete naming convention',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
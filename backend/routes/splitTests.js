@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models');
+const FacebookAPI = require('../services/facebookApi');
+const ResourceHelper = require('../services/ResourceHelper');
+const AuditService = require('../services/AuditService');
+const SplitTestService = require('../services/SplitTestService');
+const SafetyChecks = require('../services/SafetyChecks');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
+const { uploadSingle } = require('../middleware/upload');
+const { parseFormDataJson, buildCampaignData, validateLeadForm } = require('../utils/campaignRequest');
+
+// Per-cell media for creative tests is uploaded as cellMedia_0, cellMedia_1, ...
+const CELL_MEDIA_FIELD = /^cellMedia_(\d+)$/;
+
+const getAccessToken = async (userId) => {
+  const facebookAuth = await db.FacebookAuth.findOne({
+    where: { userId, isActive: true }
+  });
+  // The model getter already decrypts the token
+  return facebookAuth?.accessToken || null;
+};
+
+/**
+ * Launch a split test
+ * POST /api/campaigns/split-tests
+ *
+ * Body (JSON or multipart/form-data):
+ * - name, description
+ * - variable:        creative | audience | placement | optimization
+ * - cells:           [{ name, overrides: { ...campaign fields for that variable } }] (2-5)
+ * - durationDays:    1-30
+ * - confidenceLevel: 80 | 90 | 95
+ * - startTime:       ISO date (optional, defaults to now)
+ * - Every other field is the shared campaign setup, same as the strategy create forms
+ */
+router.post('/', authenticate, requireFacebookAuth, refreshFacebookToken, requirePermission('campaign', 'create'), uploadSingle, parseFormDataJson, async (req, res) => {
+  const files = req.files || [];
+  const baseFiles = files.filter(file => !CELL_MEDIA_FIELD.test(file.fieldname));
+  const cells = (Array.isArray(req.body.cells) ? req.body.cells : []).map((cell, index) => {
+    const mediaFile = files.find(file => file.fieldname === `cellMedia_${index}`);
+    return { ...cell, hasMedia: !!mediaFile, mediaPath: mediaFile?.path || null };
+  });
+
+  const params = {
+    name: req.body.name,
+    description: req.body.description,
+    variable: req.body.variable,
+    cells,
+    durationDays: req.body.durationDays ?? 7,
+    confidenceLevel: req.body.confidenceLevel ?? 90,
+    startTime: req.body.startTime
+  };
+
+  const errors = SplitTestService.validate(params);
+  if (cells.some(cell => cell.hasMedia) && params.variable !== 'creative') {
+    errors.push('Per-cell media is only allowed in a creative test');
+  }
+  if (!req.body.campaignName) {
+    errors.push('Campaign name is required');
+  }
+  errors.push(...validateLeadForm(req.body));
+  // Optimization cells may switch the conversion location themselves
+  cells.filter(cell => cell.overrides?.conversionLocation).forEach(cell => {
+    validateLeadForm({ ...req.body, ...cell.overrides })
+      .forEach(error => errors.push(`Cell "${cell.name}": ${error}`));
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid split test', errors });
+  }
+
+  try {
+    const accessToken = await getAccessToken(req.user.id);
+    if (!accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing access token. Please reconnect your Facebook account.',
+        requiresReauth: true
+      });
+    }
+
+    const activeResources = await ResourceHelper.getActiveResourcesWithFallback(req.user.id);
+    const adAccountId = activeResources.selectedAdAccountId?.replace('act_', '');
+    const pageId = req.body.selectedPageId || activeResources.selectedPageId;
+    const pixelId = req.body.pixel || activeResources.selectedPixelId;
+
+    if (!adAccountId || !pageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please select an ad account and a Facebook page before creating a split test'
+      });
+    }
+
+    const facebookApi = new FacebookAPI({ accessToken, adAccountId, pageId, pixelId });
+    const campaignData = buildCampaignData(req.body, baseFiles, { adAccountId, pageId, pixelId });
+
+    const verification = await SafetyChecks.verifyPreCreationState(
+      req.user.id,
+      facebookApi,
+      campaignData.campaignName,
+      adAccountId
+    );
+    await SafetyChecks.logVerification(req.user.id, adAccountId, campaignData.campaignName, verification, null);
+
+    if (!verification.canProceed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pre-creation verification failed',
+        reasons: verification.reasons,
+        details: verification.details,
+        verificationId: verification.id
+      });
+    }
+
+    const splitTest = await SplitTestService.createSplitTest(facebookApi, {
+      ...params,
+      userId: req.user.id,
+      campaignData
+    });
+
+    await AuditService.logRequest(req, 'splitTest.create', 'split_test', String(splitTest.id));
+
+    res.status(201).json({
+      success: true,
+      message: `Split test "${splitTest.name}" is running with ${splitTest.cells.length} cells`,
+      data: splitTest
+    });
+  } catch (error) {
+    console.error('❌ Split test launch failed:', error);
+
+    await AuditService.logRequest(req, 'splitTest.create', 'split_test',
+      error.splitTestId ? String(error.splitTestId) : null, 'failure', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to launch split test',
+      message: error.message,
+      splitTestId: error.splitTestId
+    });
+  }
+});
+
+/**
+ * List the user's split tests
+ * GET /api/campaigns/split-tests
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const splitTests = await db.SplitTest.findAll({
+      where: { userId: req.user.id },
+      order: [['created_at', 'DESC']],
+      limit: 50
+    });
+
+    res.json({ success: true, data: splitTests });
+  } catch (error) {
+    console.error('Error listing split tests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list split tests',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Split test details
+ * GET /api/campaigns/split-tests/:id
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const splitTest = await db.SplitTest.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!splitTest) {
+      return res.status(404).json({ success: false, error: 'Split test not found' });
+    }
+
+    res.json({ success: true, data: splitTest });
+  } catch (error) {
+    console.error('Error fetching split test:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch split test',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Per-cell results and the winning cell
+ * GET /api/campaigns/split-tests/:id/results?refresh=true
+ */
+router.get('/:id/results', authenticate, requireFacebookAuth, async (req, res) => {
+  try {
+    const splitTest = await db.SplitTest.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!splitTest) {
+      return res.status(404).json({ success: false, error: 'Split test not found' });
+    }
+
+    if (!['active', 'completed'].includes(splitTest.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Split test is ${splitTest.status} - no results to show`
+      });
+    }
+
+    const accessToken = await getAccessToken(req.user.id);
+    if (!accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing access token. Please reconnect your Facebook account.',
+        requiresReauth: true
+      });
+    }
+
+    const results = await SplitTestService.getResults(splitTest, accessToken, {
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: splitTest.id,
+        name: splitTest.name,
+        variable: splitTest.variable,
+        status: splitTest.status,
+        confidenceLevel: splitTest.confidenceLevel,
+        startTime: splitTest.startTime,
+        endTime: splitTest.endTime,
+        ...results
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching split test results:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch split test results',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
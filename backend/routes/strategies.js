@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models');
+const FacebookAPI = require('../services/facebookApi');
+const ResourceHelper = require('../services/ResourceHelper');
+const AuditService = require('../services/AuditService');
+const JobEvents = require('../services/JobEvents');
+const SafetyChecks = require('../services/SafetyChecks');
+const StrategyEngine = require('../services/StrategyEngine');
+const { listStrategies, resolveStrategy } = require('../config/strategies');
+const { resolveBidLadder } = require('../utils/bidLadder');
+const { resolveUrlParams, validateUrlParams } = require('../utils/urlParams');
+const NamingService = require('../services/NamingService');
+const LandingPageService = require('../services/LandingPageService');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
+const { uploadSingle } = require('../middleware/upload');
+const { parseFormDataJson, buildCampaignData, validateLeadForm } = require('../utils/campaignRequest');
+
+/**
+ * List every strategy structure the engine can launch
+ * GET /api/campaigns/strategies
+ */
+router.get('/', authenticate, (req, res) => {
+  res.json({ success: true, data: listStrategies() });
+});
+
+/**
+ * Launch a strategy structure
+ * POST /api/campaigns/strategies/:key/create
+ *
+ * Accepts the same fields as the strategy-150/for-all create forms, plus the
+ * overrides the definition allows: adSetCount, adsPerAdSet, postReuse, and an
+ * optional bidLadder ({ type: 'cost_cap' | 'bid_cap', from, to } or { type, values })
+ * applied across each campaign's ad sets, and optional urlParams (see utils/urlParams).
+ * Destination URLs are preflighted first (see LandingPageService).
+ */
+router.post('/:key/create', authenticate, requireFacebookAuth, refreshFacebookToken, requirePermission('campaign', 'create'), uploadSingle, parseFormDataJson, async (req, res) => {
+  let structure;
+  let bidLadder;
+  let urlParams;
+  try {
+    structure = resolveStrategy(req.params.key, {
+      adSets: req.body.adSetCount ?? req.body.duplicationSettings?.adSetCount,
+      adsPerAdSet: req.body.adsPerAdSet,
+      postReuse: req.body.postReuse
+    });
+    bidLadder = resolveBidLadder(req.body.bidLadder, structure.adSets);
+    urlParams = resolveUrlParams(req.body.urlParams, {
+      editor: req.body.editorName,
+      state: req.body.state,
+      vertical: req.body.vertical
+    });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!req.body.campaignName) {
+    return res.status(400).json({ success: false, error: 'Campaign name is required' });
+  }
+
+  const leadFormErrors = validateLeadForm(req.body);
+  if (leadFormErrors.length > 0) {
+    return res.status(400).json({ success: false, error: leadFormErrors[0], errors: leadFormErrors });
+  }
+
+  try {
+    const facebookAuth = await db.FacebookAuth.findOne({
+      where: { userId: req.user.id, isActive: true }
+    });
+
+    // The model getter already decrypts the token
+    const accessToken = facebookAuth?.accessToken;
+    if (!accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing access token. Please reconnect your Facebook account.',
+        requiresReauth: true
+      });
+    }
+
+    const activeResources = await ResourceHelper.getActiveResourcesWithFallback(req.user.id);
+    const adAccountId = activeResources.selectedAdAccountId?.replace('act_', '');
+    const pageId = req.body.selectedPageId || activeResources.selectedPageId;
+    const pixelId = req.body.pixel || activeResources.selectedPixelId;
+
+    if (!adAccountId || !pageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please select an ad account and a Facebook page before creating campaigns'
+      });
+    }
+
+    const facebookApi = new FacebookAPI({ accessToken, adAccountId, pageId, pixelId });
+    let campaignData = buildCampaignData(req.body, req.files || [], { adAccountId, pageId, pixelId });
+    if (bidLadder) {
+      campaignData.bidLadder = bidLadder;
+      campaignData.bidStrategy = bidLadder.bidStrategy;
+    }
+
+    // Naming convention (namingConventionId, or the team/personal default)
+    try {
+      campaignData = await NamingService.applyToCampaignData(req.user.id, campaignData, req.body, structure.key);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (urlParams) {
+      const urlErrors = validateUrlParams(campaignData.url, urlParams);
+      if (urlErrors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid ad URL', errors: urlErrors });
+      }
+      campaignData.urlParams = urlParams;
+    }
+
+    const preflight = await LandingPageService.preflightLaunch(campaignData);
+    if (preflight?.blocked) {
+      return res.status(400).json({ success: false, error: 'Landing page preflight failed', errors: preflight.errors, preflight });
+    }
+
+    const verification = await SafetyChecks.verifyPreCreationState(
+      req.user.id,
+      facebookApi,
+      campaignData.campaignName,
+      adAccountId
+    );
+    await SafetyChecks.logVerification(req.user.id, adAccountId, campaignData.campaignName, verification, null);
+
+    if (!verification.canProceed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pre-creation verification failed',
+        reasons: verification.reasons,
+        details: verification.details,
+        verificationId: verification.id
+      });
+    }
+
+    const result = await StrategyEngine.launch(facebookApi, structure, campaignData, {
+      userId: req.user.id,
+      jobKey: JobEvents.parseClientJobId(req.body.jobId)
+    });
+
+    await AuditService.logRequest(req, 'strategy.create', 'campaign', result.campaigns[0]?.campaignId);
+
+    res.json({
+      success: true,
+      message: `${structure.label} launched: ${result.totals.campaigns} campaign(s), ${result.totals.adSets} ad sets, ${result.totals.ads} ads`,
+      data: { ...result, preflightWarnings: preflight?.warnings || [], preflightErrors: preflight?.errors || [] }
+    });
+  } catch (error) {
+    console.error(`❌ Strategy ${req.params.key} launch failed:`, error);
+
+    await AuditService.logRequest(req, 'strategy.create', null, null, 'failure', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to launch strategy',
+      message: error.message,
+      jobId: error.jobId
+    });
+  }
+});
+
+module.exports = router;
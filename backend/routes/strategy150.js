@@ -7,9 +7,18 @@ const FailureTracker = require('../services/FailureTracker');
 const { authenticate, requirePermission } = require('../middleware/auth');
 const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
 const AuditService = require('../services/AuditService');
+const LaunchPlanner = require('../services/LaunchPlanner');
 const { uploadSingle } = require('../middleware/upload');
+const { createStrategyJobRouter } = require('./strategyJobs');
 const db = require('../models');
 const { decryptToken } = require('./facebookSDKAuth');
+const { getGraphBaseUrl } = require('../config/graphApi');
+const { getStrategy } = require('../config/strategies');
+const { resolveBidLadder } = require('../utils/bidLadder');
+const { resolveUrlParams, validateUrlParams } = require('../utils/urlParams');
+const LandingPageService = require('../services/LandingPageService');
+const DeferredLaunchService = require('../services/DeferredLaunchService');
+const NamingService = require('../services/NamingService');
 const {
   processImageAspectRatio,
   extractVideoThumbnail,
@@ -154,6 +163,10 @@ const validateStrategy150 = [
 
   // Ad set level validations
   body('performanceGoal').optional(),
+  body('leadFormId')
+    .if(body('conversionLocation').equals('instant_forms'))
+    .notEmpty()
+    .withMessage('leadFormId is required when conversionLocation is instant_forms'),
   body('pixel').optional(),
   body('conversionEvent').optional(),
   body('attributionSetting').optional(),
@@ -242,6 +255,22 @@ const validateStrategy150 = [
     .isLength({ max: 255 })
     .withMessage('Editor name must be 255 characters or less'),
 
+  // Optional UTM/tracker parameter rules (static values, {{fb.macros}}, {editor}/{copy}/{state} tokens)
+  body('urlParams')
+    .optional({ nullable: true })
+    .custom((value) => {
+      resolveUrlParams(value);
+      return true;
+    }),
+
+  // Optional cost cap / bid cap ladder across the 50 ad sets
+  body('bidLadder')
+    .optional({ nullable: true })
+    .custom((value) => {
+      resolveBidLadder(value, getStrategy('1-50-1').adSets);
+      return true;
+    }),
+
   // Duplication settings for 49 ad sets
   body('duplicationSettings.defaultBudgetPerAdSet')
     .optional()
@@ -287,6 +316,12 @@ const parseFormDataJson = (req, res, next) => {
   if (req.body.duplicationSettings && typeof req.body.duplicationSettings === 'string') {
     req.body.duplicationSettings = parseJsonField(req.body.duplicationSettings);
   }
+  if (req.body.urlParams && typeof req.body.urlParams === 'string') {
+    req.body.urlParams = parseJsonField(req.body.urlParams);
+  }
+  if (req.body.bidLadder && typeof req.body.bidLadder === 'string') {
+    req.body.bidLadder = parseJsonField(req.body.bidLadder);
+  }
   if (req.body.campaignBudget && typeof req.body.campaignBudget === 'string') {
     req.body.campaignBudget = parseJsonField(req.body.campaignBudget);
   }
@@ -592,8 +627,11 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
     const numberOfCampaigns = req.body.numberOfCampaigns ? parseInt(req.body.numberOfCampaigns) : 1;
     console.log(`📊 Number of campaigns to create: ${numberOfCampaigns}`);
 
+    // Validated above - one cap per ad set, the campaign/ad sets switch to the ladder's bid strategy
+    const bidLadder = resolveBidLadder(req.body.bidLadder, getStrategy('1-50-1').adSets);
+
     // Prepare campaign data with all Meta-compliant Strategy 150 fields
-    const campaignData = {
+    let campaignData = {
       // Campaign level fields
       campaignName: req.body.campaignName,
       buyingType: req.body.buyingType || 'AUCTION',
@@ -604,7 +642,8 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
         ? req.body.specialAdCategories.filter(cat => cat !== 'NONE' && cat !== '')
         : [],
       campaignBudgetOptimization: req.body.budgetLevel === 'campaign' ? true : (req.body.campaignBudgetOptimization || false),
-      bidStrategy: req.body.bidStrategy || 'LOWEST_COST_WITHOUT_CAP',
+      bidStrategy: bidLadder?.bidStrategy || req.body.bidStrategy || 'LOWEST_COST_WITHOUT_CAP',
+      bidLadder,
 
       // Bid strategy related values
       bidAmount: parseBudget(req.body.bidAmount),
@@ -720,6 +759,13 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
       costCap: req.body.costCap,
       minRoas: req.body.minRoas,
       conversionLocation: req.body.conversionLocation || 'website',
+      leadFormId: req.body.leadFormId, // Instant Form when conversionLocation is instant_forms
+      // UTM/tracker parameters, rebuilt for every ad and copy
+      urlParams: resolveUrlParams(req.body.urlParams, {
+        editor: req.body.editorName,
+        state: req.body.state,
+        vertical: req.body.vertical
+      }),
 
       // ============================================================================
       // FEATURE: CAMPAIGN NAME PREFIX CUSTOMIZATION (for ad sets and ads)
@@ -729,6 +775,24 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
       // ============================================================================
     };
 
+    // Naming convention (namingConventionId, or the team/personal default)
+    try {
+      campaignData = await NamingService.applyToCampaignData(req.user.id, campaignData, req.body, '1-50-1');
+    } catch (namingError) {
+      return res.status(400).json({ success: false, error: namingError.message });
+    }
+
+    const urlErrors = validateUrlParams(campaignData.url, campaignData.urlParams);
+    if (urlErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid ad URL', errors: urlErrors });
+    }
+
+    // Landing page preflight: refuse on broken pages (LANDING_PREFLIGHT_MODE=block), otherwise report its findings in the response
+    const preflight = await LandingPageService.preflightLaunch(campaignData);
+    if (preflight?.blocked) {
+      return res.status(400).json({ success: false, error: 'Landing page preflight failed', errors: preflight.errors, preflight });
+    }
+
     console.log('🟢 Creating Strategy 1-50-1 campaign with data:', {
       campaignName: campaignData.campaignName,
       buyingType: campaignData.buyingType,
@@ -759,6 +823,77 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
     console.log('  Media Type:', campaignData.mediaType);
     console.log('  Has Image:', !!campaignData.imagePath);
 
+    // Dry run: return the planned Graph calls instead of creating anything
+    if (LaunchPlanner.isDryRunRequest(req.body)) {
+      try {
+        const plan = await LaunchPlanner.planLaunch(userFacebookApi, campaignData, {
+          additionalAdSets: 49, // Same as the hybrid batch mode: 1 + 49 = 50 ad sets
+          numberOfCampaigns
+        });
+        return res.json({
+          success: true,
+          dryRun: true,
+          message: `Dry run: ${plan.summary.apiCalls} API calls for ${plan.summary.campaigns} campaign(s), nothing was sent to Facebook`,
+          data: {
+            ...plan,
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
+          }
+        });
+      } catch (planError) {
+        console.error('❌ [Dry Run] Planning failed:', planError.message);
+        return res.status(500).json({
+          success: false,
+          dryRun: true,
+          error: 'Failed to build launch plan',
+          message: planError.message
+        });
+      }
+    }
+
+    // Deferred launch: store the built request and create it at launchAt (see DeferredLaunchService)
+    if (DeferredLaunchService.isDeferredRequest(req.body)) {
+      if (req.body._multiAccountDeployment) {
+        return res.status(400).json({ success: false, error: 'Multi-account deployments can\'t be deferred' });
+      }
+
+      try {
+        DeferredLaunchService.assertDeferrable(req.body);
+
+        const deferred = await DeferredLaunchService.createDeferredLaunch({
+          userId: req.user.id,
+          strategy: 'strategy-150',
+          adAccountId: userFacebookApi.adAccountId,
+          pageId: userFacebookApi.pageId,
+          pixelId: userFacebookApi.pixelId,
+          accessToken: userFacebookApi.accessToken,
+          campaignData,
+          adSetCount: 50,
+          numberOfCampaigns: numberOfCampaigns,
+          launchAt: req.body.launchAt,
+          launchTimezone: req.body.launchTimezone
+        });
+
+        await AuditService.logRequest(req, 'deferred_launch.create', 'deferred_launch', deferred.id);
+
+        return res.status(202).json({
+          success: true,
+          deferred: true,
+          message: `Launch scheduled for ${deferred.launchAt.toISOString()} (${deferred.timezone})`,
+          data: {
+            deferredLaunchId: deferred.id,
+            campaignName: deferred.campaignName,
+            launchAt: deferred.launchAt,
+            timezone: deferred.timezone,
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
+          }
+        });
+      } catch (deferError) {
+        return res.status(400).json({ success: false, error: deferError.message });
+      }
+    }
+
     // Handle multi-account deployment if requested
     if (req.body._multiAccountDeployment) {
       const { targets, mode } = req.body._multiAccountDeployment;
@@ -948,7 +1083,9 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
               successful: deploymentResult.successful,
               failed: deploymentResult.failed,
               results: deploymentResult.results
-            }
+            },
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
           }
         });
 
@@ -969,7 +1106,8 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
     for (let campaignIndex = 0; campaignIndex < numberOfCampaigns; campaignIndex++) {
       // Modify campaign name for multiple campaigns
       const currentCampaignName = numberOfCampaigns > 1
-        ? `${campaignData.campaignName} - Copy ${campaignIndex + 1}`
+        ? NamingService.nameFor(campaignData.naming, 'campaign', { copy: campaignIndex + 1 }) ||
+          `${campaignData.campaignName} - Copy ${campaignIndex + 1}`
         : campaignData.campaignName;
 
       // Update campaign data with current name
@@ -1242,7 +1380,8 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
           strategy_type: '1-50-1',
           post_id: result.postId || null,
           ad_set_count: adSetCount, // 50 if batch, 1 if sequential (will be 50 after duplication)
-          status: 'ACTIVE'
+          status: 'ACTIVE',
+          url_params: campaignData.urlParams || null
         });
         console.log(`📊 Campaign ${result.campaign.id} added to tracking (${adSetCount} ad sets)`);
       } catch (trackingError) {
@@ -1339,7 +1478,9 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
           batchStats: singleResult.batchStats || null,
           // NEW: Include all created entities for reference
           allAdSets: singleResult.allAdSets || null,
-          allAds: singleResult.allAds || null
+          allAds: singleResult.allAds || null,
+          preflightWarnings: preflight?.warnings || [],
+          preflightErrors: preflight?.errors || []
         }
       });
     } else {
@@ -1354,7 +1495,9 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
           totalCreated: createdCampaigns.length,
           adAccount: facebookAuth.selectedAdAccount, // Add ad account info
           page: facebookAuth.selectedPage || { id: selectedPageId, name: 'Page' }, // Add page info
-          pixel: pixelId ? { id: pixelId, name: facebookAuth.selectedPixel?.name || 'Pixel' } : null // Add pixel info if used
+          pixel: pixelId ? { id: pixelId, name: facebookAuth.selectedPixel?.name || 'Pixel' } : null, // Add pixel info if used
+          preflightWarnings: preflight?.warnings || [],
+          preflightErrors: preflight?.errors || []
         }
       });
     }
@@ -1565,7 +1708,7 @@ router.get('/verify-post/:postId', authenticate, requireFacebookAuth, async (req
     const axios = require('axios');
     // Use the post ID as-is with the underscore format
     try {
-      await axios.get(`https://graph.facebook.com/v18.0/${postId}`, {
+      await axios.get(`${getGraphBaseUrl('v18.0')}/${postId}`, {
         params: {
           access_token: decryptedToken,
           fields: 'id,message,created_time'
@@ -1588,625 +1731,7 @@ router.get('/verify-post/:postId', authenticate, requireFacebookAuth, async (req
   }
 });
 
-// Duplicate ad sets (1-49-1)
-router.post('/duplicate', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
-  try {
-    const {
-      campaignId,
-      originalAdSetId,
-      postId,
-      formData,
-      count = 49,
-      duplicateBudgets = [] // Array of custom budgets for each duplicate
-    } = req.body;
-
-    if (!campaignId || !originalAdSetId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Campaign ID and Ad Set ID are required'
-      });
-    }
-
-    // Use token from middleware (already validated and decrypted)
-    const decryptedToken = req.facebookAuth.accessToken;
-    const facebookAuth = req.facebookAuth.authRecord;
-
-    // Use universal ResourceHelper to get active resources
-    const activeResources = await ResourceHelper.getActiveResourcesWithFallback(req.user.id);
-
-    if (!activeResources.selectedAdAccountId || !activeResources.selectedPageId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please select an ad account and page before duplicating ad sets'
-      });
-    }
-
-    console.log('📋 Using active resources for duplication:');
-    console.log('  ✓ Ad Account:', activeResources.selectedAdAccount?.name || activeResources.selectedAdAccountId);
-    console.log('  ✓ Page:', activeResources.selectedPage?.name || activeResources.selectedPageId);
-
-    // Initialize Batch Duplication Service for optimized API calls
-    const BatchDuplicationService = require('../services/batchDuplication');
-    const pixelId = activeResources.selectedPixelId || facebookAuth.selectedPixel?.id || null;
-
-    const batchService = new BatchDuplicationService(
-      decryptedToken,
-      activeResources.selectedAdAccountId.replace('act_', ''),
-      activeResources.selectedPageId,
-      pixelId
-    );
-
-    console.log('🚀 Starting BATCH duplication (optimized API calls)...');
-    console.log(`  ✓ Mode: Batch API (${Math.ceil((count * 2) / 20)} API calls instead of ${count * 2})`);
-    console.log(`  ✓ Count: ${count} ad sets`);
-
-    // Note: Custom budgets will be supported in future enhancement
-    // Currently batch service copies budget from original ad set
-    if (duplicateBudgets && duplicateBudgets.length > 0) {
-      console.log(`  ℹ️  Custom budgets provided but not yet supported in batch mode`);
-      console.log(`  ℹ️  Using original ad set budget for all duplicates`);
-    }
-
-    // Execute batch duplication
-    const result = await batchService.duplicateAdSetsBatch(
-      originalAdSetId,
-      campaignId,
-      postId,
-      count,
-      formData
-    );
-
-    console.log('✅ Batch duplication completed successfully');
-    console.log(`  ✓ Created: ${result.adSets?.length || 0} ad sets`);
-    console.log(`  ✓ Success Rate: ${result.summary?.successRate || 0}%`);
-    console.log(`  ✓ API Calls Used: ${result.batchesExecuted || 0}`);
-    console.log(`  ✓ API Calls Saved: ${result.apiCallsSaved || 0}`);
-
-    res.json({
-      success: true,
-      message: 'Duplication completed successfully using Batch API',
-      data: {
-        campaignId,
-        count,
-        status: 'completed',
-        adAccount: activeResources.selectedAdAccount,
-        postId: postId,
-        adSets: result.adSets || [],
-        summary: result.summary || {},
-        apiCallsUsed: result.batchesExecuted || Math.ceil((count * 2) / 20),
-        apiCallsSaved: result.apiCallsSaved || 0
-      }
-    });
-  } catch (error) {
-    console.error('Duplication start error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Get duplication progress
-router.get('/progress/:campaignId', authenticate, async (req, res) => {
-  try {
-    const { campaignId } = req.params;
-
-    // This would typically fetch progress from a database or cache
-    // For now, return mock progress data
-    const progress = {
-      completed: Math.floor(Math.random() * 50),
-      total: 49,
-      currentOperation: 'Creating ad set copy 23...',
-      adSets: [
-        { id: 'adset_1', name: 'Test AdSet - Copy 1' },
-        { id: 'adset_2', name: 'Test AdSet - Copy 2' },
-        // ... more ad sets
-      ],
-      errors: []
-    };
-
-    res.json(progress);
-  } catch (error) {
-    console.error('Progress fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// In-memory job storage (use Redis in production)
-const multiplicationJobs = new Map();
-
-// Helper to generate unique job ID
-function generateJobId() {
-  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
-
-// Helper to update job status
-function updateJobStatus(jobId, updates) {
-  const job = multiplicationJobs.get(jobId);
-  if (job) {
-    Object.assign(job, updates);
-    job.lastUpdated = Date.now();
-  }
-}
-
-// Multiply Campaign endpoint - Clone entire 1-50-1 structure multiple times
-router.post('/multiply', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
-  try {
-    const {
-      sourceCampaignId,
-      multiplyCount = 1,
-      sourceAdSetIds = [],
-      sourcePostId,
-      manualInput = false
-    } = req.body;
-
-    // Validation
-    if (!sourceCampaignId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Source campaign ID is required'
-      });
-    }
-
-    if (multiplyCount < 1 || multiplyCount > 9) {
-      return res.status(400).json({
-        success: false,
-        error: 'Multiply count must be between 1 and 9'
-      });
-    }
-
-    // Get user's Facebook credentials
-    const facebookAuth = await db.FacebookAuth.findOne({
-      where: { userId: req.user.id, isActive: true }
-    });
-
-    if (!facebookAuth || !facebookAuth.selectedAdAccount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please select an ad account before multiplying campaigns'
-      });
-    }
-
-    // Decrypt access token
-    // Model getter already decrypts the token
-    const decryptedToken = facebookAuth.accessToken;
-
-    if (!decryptedToken || !decryptedToken.startsWith('EAA')) {
-      return res.status(401).json({
-        error: 'Invalid or missing access token',
-        requiresReauth: true
-      });
-    }
-
-    // Get userId safely
-    const userId = req.user?.id || req.userId || req.user;
-
-    // Check for switched resources with proper error handling
-    let selectedAdAccountId, selectedPageId;
-
-    try {
-      const { UserResourceConfig } = db;
-
-      if (UserResourceConfig && typeof UserResourceConfig.getActiveConfig === 'function' && userId) {
-        const activeConfig = await UserResourceConfig.getActiveConfig(userId).catch(err => {
-          console.log('⚠️ Could not fetch active config for multiply:', err.message);
-          return null;
-        });
-
-        if (activeConfig && (activeConfig.adAccountId || activeConfig.pageId)) {
-          console.log('📋 Using switched resource configuration for multiply');
-          selectedAdAccountId = activeConfig.adAccountId || facebookAuth.selectedAdAccount?.id;
-          selectedPageId = activeConfig.pageId || facebookAuth.selectedPage?.id;
-        }
-      }
-    } catch (error) {
-      console.log('⚠️ UserResourceConfig not available for multiply, using defaults');
-    }
-
-    // Fallback to original resources if not set
-    if (!selectedAdAccountId) {
-      selectedAdAccountId = facebookAuth.selectedAdAccount?.id;
-    }
-    if (!selectedPageId) {
-      selectedPageId = facebookAuth.selectedPage?.id;
-    }
-
-    // Create FacebookAPI instance with selected resources
-    const userFacebookApi = new FacebookAPI({
-      accessToken: decryptedToken,
-      adAccountId: (selectedAdAccountId || facebookAuth.selectedAdAccount.id).replace('act_', ''),
-      pageId: selectedPageId || facebookAuth.selectedPage?.id
-    });
-
-    // If not manual input, fetch campaign structure automatically
-    let campaignStructure = {
-      campaignId: sourceCampaignId,
-      adSetIds: sourceAdSetIds,
-      postId: sourcePostId
-    };
-
-    // OPTIMIZATION: Skip fetching for batch multiplication with deep_copy
-    // The batch API with deep_copy=true automatically copies everything
-    const useDeepCopy = true; // We're using batch method as primary
-
-    if (!useDeepCopy && (!manualInput || sourceAdSetIds.length === 0)) {
-      // Only fetch if NOT using deep_copy (fallback method needs this data)
-      console.log('📊 Fetching campaign structure for multiplication...');
-
-      // Get campaign details
-      const campaignDetails = await userFacebookApi.getCampaignFullDetails(sourceCampaignId);
-
-      if (!campaignDetails) {
-        return res.status(404).json({
-          success: false,
-          error: 'Source campaign not found'
-        });
-      }
-
-      // Get all adsets for the campaign
-      const adSets = await userFacebookApi.getAdSetsForCampaign(sourceCampaignId);
-
-      if (!adSets || adSets.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'No ad sets found in source campaign'
-        });
-      }
-
-      // Verify it's a Strategy 150 campaign (should have ~50 adsets)
-      if (adSets.length < 45 || adSets.length > 55) {
-        console.warn(`⚠️ Campaign has ${adSets.length} ad sets, expected ~50 for Strategy 150`);
-      }
-
-      campaignStructure.adSetIds = adSets.map(adSet => adSet.id);
-      campaignStructure.campaignDetails = campaignDetails;
-
-      // Get post ID from the first ad if not provided
-      if (!sourcePostId && adSets.length > 0) {
-        const firstAdSetId = adSets[0].id;
-        const postId = await userFacebookApi.getPostIdFromAdSet(firstAdSetId);
-        campaignStructure.postId = postId;
-      }
-    } else if (useDeepCopy) {
-      // For deep_copy, we only need the campaign ID - it copies everything automatically
-      console.log('🚀 Using batch multiplication with deep_copy - skipping pre-fetch');
-      console.log('  Deep copy will automatically duplicate all 50 ad sets and ads');
-      campaignStructure.campaignDetails = null; // Not needed for deep_copy
-      campaignStructure.adSetIds = []; // Not needed for deep_copy
-      campaignStructure.postId = null; // Not needed for deep_copy
-    }
-
-    console.log('🔄 Starting campaign multiplication process...');
-    console.log(`  Source Campaign: ${sourceCampaignId}`);
-    console.log(`  Ad Sets to clone: ${campaignStructure.adSetIds.length}`);
-    console.log(`  Post ID: ${campaignStructure.postId}`);
-    console.log(`  Multiply count: ${multiplyCount}`);
-
-    // Create job and return immediately
-    const jobId = generateJobId();
-    const estimatedSeconds = multiplyCount * 132; // ~2.2 minutes per campaign
-
-    // Initialize job
-    multiplicationJobs.set(jobId, {
-      id: jobId,
-      status: 'started',
-      progress: 0,
-      total: multiplyCount,
-      currentOperation: 'Initializing...',
-      campaigns: [],
-      errors: [],
-      startTime: Date.now(),
-      estimatedSeconds,
-      userId: req.user.id
-    });
-
-    // Start async processing
-    processMultiplicationAsync(jobId, campaignStructure, multiplyCount, userFacebookApi, req.user.id);
-
-    // Return immediately with job ID
-    res.json({
-      success: true,
-      jobId,
-      estimatedSeconds,
-      message: `Multiplication started. Estimated time: ${Math.ceil(estimatedSeconds / 60)} minutes`
-    });
-
-  } catch (error) {
-    console.error('❌ Campaign multiplication error:', error);
-
-    // Track failure in FailureTracker for the Failures box
-    const userId = req.user?.id || req.userId;
-    if (userId) {
-      await FailureTracker.safeTrackFailedEntity({
-        userId,
-        campaignId: req.body?.sourceCampaignId,
-        campaignName: `Multiply of ${req.body?.sourceCampaignId}`,
-        entityType: 'campaign',
-        error: error,
-        strategyType: 'strategy150_multiply',
-        metadata: {
-          adAccountId: selectedAdAccountId,
-          multiplyCount: req.body?.multiplyCount,
-          stage: 'campaign_multiplication'
-        }
-      });
-    }
-
-    await AuditService.logRequest(
-      req,
-      'strategy150.multiply',
-      'campaign',
-      req.body.sourceCampaignId,
-      'failure',
-      error.message,
-      {
-        adAccountId: selectedAdAccountId,
-        strategyType: '1-50-1',
-        targetCopies: multiplyCount
-      }
-    );
-
-    res.status(error.status || 500).json({
-      success: false,
-      error: error.message || 'Failed to multiply campaign'
-    });
-  }
-});
-
-// Async function to process multiplication in background
-async function processMultiplicationAsync(jobId, campaignStructure, multiplyCount, userFacebookApi, userId) {
-  const job = multiplicationJobs.get(jobId);
-  if (!job) return;
-
-  console.log(`🚀 Starting async multiplication job ${jobId} - Using BATCH method`);
-
-  try {
-    // Update job status
-    updateJobStatus(jobId, {
-      status: 'processing',
-      progress: 0,
-      currentOperation: `Preparing batch request for ${multiplyCount} campaign copies...`
-    });
-
-    // Create progress callback
-    const updateProgress = (message) => {
-      updateJobStatus(jobId, {
-        currentOperation: message
-      });
-    };
-
-    // Use the new BATCH method for all copies at once!
-    console.log(`\n📋 Job ${jobId}: Creating ${multiplyCount} copies using batch API...`);
-
-    const batchResult = await userFacebookApi.batchMultiplyCampaigns(
-      campaignStructure.campaignId,
-      multiplyCount,
-      updateProgress
-    );
-
-    // Process batch results
-    if (batchResult.success) {
-      // Update job with results
-      updateJobStatus(jobId, {
-        status: 'completed',
-        progress: multiplyCount,
-        currentOperation: `Successfully created ${batchResult.summary.successful} campaigns`,
-        campaigns: batchResult.results,
-        errors: batchResult.errors,
-        completedAt: Date.now()
-      });
-
-      console.log(`✅ Job ${jobId} completed using batch method:`);
-      console.log(`  - Successful: ${batchResult.summary.successful}`);
-      console.log(`  - Failed: ${batchResult.summary.failed}`);
-      console.log(`  - API calls used: ${batchResult.summary.apiCallsUsed}`);
-
-      // Audit log for successful multiplication
-      await AuditService.log({
-        userId,
-        action: 'strategy150.multiply',
-        resource: 'campaign',
-        resourceId: campaignStructure.campaign.id,
-        details: {
-          campaignId: campaignStructure.campaign.id,
-          campaignName: campaignStructure.campaign.name,
-          adAccountId: userFacebookApi.config.adAccountId,
-          strategyType: '1-50-1',
-          targetCopies: multiplyCount,
-          successfulCopies: batchResult.summary.successful,
-          failedCopies: batchResult.summary.failed,
-          method: 'batch'
-        },
-        status: 'success'
-      });
-    } else {
-      throw new Error('Batch multiplication failed');
-    }
-
-  } catch (error) {
-    console.error(`❌ Job ${jobId} failed:`, error);
-
-    // Fallback to original method if batch fails
-    console.log('⚠️ Batch method failed, falling back to sequential method...');
-
-    updateJobStatus(jobId, {
-      currentOperation: 'Batch failed, using sequential method...'
-    });
-
-    // Try the original sequential approach as fallback
-    try {
-      const results = [];
-      const errors = [];
-
-      for (let i = 0; i < multiplyCount; i++) {
-        try {
-          updateJobStatus(jobId, {
-            status: 'processing',
-            progress: i,
-            currentOperation: `Creating campaign ${i + 1} of ${multiplyCount} (sequential)...`
-          });
-
-          const updateProgress = (message) => {
-            updateJobStatus(jobId, {
-              currentOperation: `Campaign ${i + 1}: ${message}`
-            });
-          };
-
-          // Use original method as fallback
-          const multipliedCampaign = await userFacebookApi.multiplyStrategy150Campaign({
-            sourceCampaignId: campaignStructure.campaignId,
-            sourceAdSetIds: campaignStructure.adSetIds,
-          postId: campaignStructure.postId,
-          campaignDetails: campaignStructure.campaignDetails,
-          copyNumber: i + 1,
-          timestamp: Date.now(),
-          updateProgress
-        });
-
-        results.push({
-          copyNumber: i + 1,
-          campaign: multipliedCampaign.campaign,
-          adSetsCreated: multipliedCampaign.adSetsCreated,
-          adsCreated: multipliedCampaign.adsCreated,
-          status: 'success'
-        });
-
-        // Update job with successful result
-        job.campaigns.push(multipliedCampaign);
-        console.log(`✅ Job ${jobId}: Successfully created copy ${i + 1}`);
-
-        // Store multiplied campaign in tracking table
-        try {
-          const { CampaignTracking } = require('../models');
-          const facebookAuth = await FacebookAuth.findOne({
-            where: { user_id: req.user?.id || req.userId },
-            order: [['created_at', 'DESC']]
-          });
-
-          await CampaignTracking.create({
-            campaign_id: multipliedCampaign.campaign.id,
-            campaign_name: multipliedCampaign.campaign.name,
-            user_id: req.user?.id || req.userId,
-            ad_account_id: facebookAuth?.selectedAdAccount?.id || 'unknown',
-            strategy_type: 'multiplication',
-            post_id: postId || null,
-            ad_set_count: multipliedCampaign.adSetsCreated || 50,
-            status: 'ACTIVE'
-          });
-          console.log(`📊 Multiplied campaign ${multipliedCampaign.campaign.id} added to tracking`);
-        } catch (trackingError) {
-          console.error('Warning: Could not add multiplied campaign to tracking:', trackingError.message);
-        }
-
-      } catch (error) {
-        console.error(`❌ Job ${jobId}: Failed to create copy ${i + 1}:`, error.message);
-
-        // Check if it's a rate limit error
-        if (error.message?.includes('Rate limited')) {
-          // The delay has already been applied in multiplyStrategy150Campaign
-          // Retry this campaign
-          i--; // Decrement to retry this campaign
-          updateJobStatus(jobId, {
-            currentOperation: `Rate limited - will retry campaign ${i + 2} after delay...`
-          });
-        } else {
-          // Non-rate limit error, record and continue
-          errors.push({
-            copyNumber: i + 1,
-            error: error.message,
-            status: 'failed'
-          });
-          job.errors.push({
-            copyNumber: i + 1,
-            error: error.message
-          });
-        }
-      }
-    }
-
-    // Mark job as completed
-    updateJobStatus(jobId, {
-      status: 'completed',
-      progress: multiplyCount,
-      currentOperation: 'Multiplication completed',
-      completedAt: Date.now()
-    });
-
-    console.log(`✅ Job ${jobId} completed: ${results.length} successful, ${errors.length} failed`);
-
-    // Audit log for successful multiplication (sequential fallback)
-    await AuditService.log({
-      userId,
-      action: 'strategy150.multiply',
-      resource: 'campaign',
-      resourceId: campaignStructure.campaign.id,
-      details: {
-        campaignId: campaignStructure.campaign.id,
-        campaignName: campaignStructure.campaign.name,
-        adAccountId: userFacebookApi.config.adAccountId,
-        strategyType: '1-50-1',
-        targetCopies: multiplyCount,
-        successfulCopies: results.length,
-        failedCopies: errors.length,
-        method: 'sequential-fallback'
-      },
-      status: 'success'
-    });
-
-    } catch (fallbackError) {
-      console.error(`❌ Job ${jobId} fallback also failed:`, fallbackError);
-      updateJobStatus(jobId, {
-        status: 'failed',
-        error: fallbackError.message,
-        completedAt: Date.now()
-      });
-    }
-  }
-}
-
-// Get multiplication progress (for async operations)
-router.get('/multiply/status/:jobId', authenticate, async (req, res) => {
-  try {
-    const { jobId } = req.params;
-
-    // Get job from memory
-    const job = multiplicationJobs.get(jobId);
-
-    if (!job) {
-      return res.status(404).json({
-        error: 'Job not found'
-      });
-    }
-
-    // Calculate elapsed and remaining time
-    const elapsed = Date.now() - job.startTime;
-    const estimatedRemaining = Math.max(0, (job.estimatedSeconds * 1000) - elapsed);
-    const percentComplete = job.total > 0 ? Math.floor((job.progress / job.total) * 100) : 0;
-
-    res.json({
-      id: job.id,
-      status: job.status,
-      progress: job.progress,
-      total: job.total,
-      currentOperation: job.currentOperation,
-      campaigns: job.campaigns,
-      errors: job.errors,
-      elapsedSeconds: Math.floor(elapsed / 1000),
-      remainingSeconds: Math.floor(estimatedRemaining / 1000),
-      percentComplete,
-      startTime: job.startTime,
-      completedAt: job.completedAt
-    });
-  } catch (error) {
-    console.error('Progress fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// Duplicate / multiply endpoints, run by StrategyEngine with this route's registry entry
+router.use(createStrategyJobRouter('strategy-150'));
 
 module.exports = router;
\ No newline at end of file
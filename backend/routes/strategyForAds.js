@@ -8,9 +8,16 @@ const ResourceHelper = require('../services/ResourceHelper');
 const { authenticate, requirePermission } = require('../middleware/auth');
 const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
 const AuditService = require('../services/AuditService');
+const LaunchPlanner = require('../services/LaunchPlanner');
+const NamingService = require('../services/NamingService');
+const { resolveUrlParams, validateUrlParams } = require('../utils/urlParams');
+const LandingPageService = require('../services/LandingPageService');
+const DeferredLaunchService = require('../services/DeferredLaunchService');
 const { uploadSingle } = require('../middleware/upload');
+const { createStrategyJobRouter } = require('./strategyJobs');
 const db = require('../models');
 const { decryptToken } = require('./facebookSDKAuth');
+const { getGraphBaseUrl } = require('../config/graphApi');
 const FailureTracker = require('../services/FailureTracker');
 const {
   processImageAspectRatio,
@@ -156,6 +163,10 @@ const validateStrategyForAll = [
 
   // Ad set level validations
   body('performanceGoal').optional(),
+  body('leadFormId')
+    .if(body('conversionLocation').equals('instant_forms'))
+    .notEmpty()
+    .withMessage('leadFormId is required when conversionLocation is instant_forms'),
   body('pixel').optional(),
   body('conversionEvent').optional(),
   body('attributionSetting').optional(),
@@ -244,6 +255,14 @@ const validateStrategyForAll = [
     .isLength({ max: 255 })
     .withMessage('Editor name must be 255 characters or less'),
 
+  // Optional UTM/tracker parameter rules (static values, {{fb.macros}}, {editor}/{copy}/{state} tokens)
+  body('urlParams')
+    .optional({ nullable: true })
+    .custom((value) => {
+      resolveUrlParams(value);
+      return true;
+    }),
+
   // Dynamic Creative Library integration - editor name for dynamic creative ads
   body('dynamicEditorName')
     .optional()
@@ -310,6 +329,9 @@ const parseFormDataJson = (req, res, next) => {
   if (req.body.duplicationSettings && typeof req.body.duplicationSettings === 'string') {
     req.body.duplicationSettings = parseJsonField(req.body.duplicationSettings);
   }
+  if (req.body.urlParams && typeof req.body.urlParams === 'string') {
+    req.body.urlParams = parseJsonField(req.body.urlParams);
+  }
   if (req.body.campaignBudget && typeof req.body.campaignBudget === 'string') {
     req.body.campaignBudget = parseJsonField(req.body.campaignBudget);
   }
@@ -652,7 +674,7 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
 
     // Prepare campaign data with all Meta-compliant Strategy For All fields
     // NOTE: NO DEFAULT VALUES - All fields must be provided by user or validation will fail
-    const campaignData = {
+    let campaignData = {
       // Campaign level fields
       campaignName: req.body.campaignName,
       buyingType: req.body.buyingType,  // Required - user must select
@@ -791,6 +813,13 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
       costCap: req.body.costCap,
       minRoas: req.body.minRoas,
       conversionLocation: req.body.conversionLocation,  // Required - user must select
+      leadFormId: req.body.leadFormId, // Instant Form when conversionLocation is instant_forms
+      // UTM/tracker parameters, rebuilt for every ad and copy
+      urlParams: resolveUrlParams(req.body.urlParams, {
+        editor: req.body.editorName,
+        state: req.body.state,
+        vertical: req.body.vertical
+      }),
 
       // Budget fields for createCampaignStructure (pass through both formats for compatibility)
       dailyBudget: req.body.budgetLevel === 'campaign'
@@ -801,6 +830,24 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
         : (req.body.adSetBudget?.lifetimeBudget || req.body.lifetimeBudget)
     };
 
+    // Naming convention (namingConventionId, or the team/personal default)
+    try {
+      campaignData = await NamingService.applyToCampaignData(req.user.id, campaignData, req.body, 'for-ads');
+    } catch (namingError) {
+      return res.status(400).json({ success: false, error: namingError.message });
+    }
+
+    const urlErrors = validateUrlParams(campaignData.url, campaignData.urlParams);
+    if (urlErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid ad URL', errors: urlErrors });
+    }
+
+    // Landing page preflight: refuse on broken pages (LANDING_PREFLIGHT_MODE=block), otherwise report its findings in the response
+    const preflight = await LandingPageService.preflightLaunch(campaignData);
+    if (preflight?.blocked) {
+      return res.status(400).json({ success: false, error: 'Landing page preflight failed', errors: preflight.errors, preflight });
+    }
+
     console.log('🟢 Creating Strategy for Ads campaign with data:', {
       campaignName: campaignData.campaignName,
       buyingType: campaignData.buyingType,
@@ -854,6 +901,77 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
     console.log('  Conversion Event:', campaignData.conversionEvent);
     console.log('  Ad Set Count:', campaignData.duplicationSettings?.adSetCount || 'Not set');
 
+    // Dry run: return the planned Graph calls instead of creating anything
+    if (LaunchPlanner.isDryRunRequest(req.body)) {
+      try {
+        const plan = await LaunchPlanner.planLaunch(userFacebookApi, campaignData, {
+          additionalAdSets: Math.max(0, (parseInt(campaignData.duplicationSettings?.adSetCount) || 1) - 1),
+          numberOfCampaigns
+        });
+        return res.json({
+          success: true,
+          dryRun: true,
+          message: `Dry run: ${plan.summary.apiCalls} API calls for ${plan.summary.campaigns} campaign(s), nothing was sent to Facebook`,
+          data: {
+            ...plan,
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
+          }
+        });
+      } catch (planError) {
+        console.error('❌ [Dry Run] Planning failed:', planError.message);
+        return res.status(500).json({
+          success: false,
+          dryRun: true,
+          error: 'Failed to build launch plan',
+          message: planError.message
+        });
+      }
+    }
+
+    // Deferred launch: store the built request and create it at launchAt (see DeferredLaunchService)
+    if (DeferredLaunchService.isDeferredRequest(req.body)) {
+      if (req.body._multiAccountDeployment) {
+        return res.status(400).json({ success: false, error: 'Multi-account deployments can\'t be deferred' });
+      }
+
+      try {
+        DeferredLaunchService.assertDeferrable(req.body);
+
+        const deferred = await DeferredLaunchService.createDeferredLaunch({
+          userId: req.user.id,
+          strategy: 'strategy-for-ads',
+          adAccountId: userFacebookApi.adAccountId,
+          pageId: userFacebookApi.pageId,
+          pixelId: userFacebookApi.pixelId,
+          accessToken: userFacebookApi.accessToken,
+          campaignData,
+          adSetCount: parseInt(campaignData.duplicationSettings?.adSetCount) || 1,
+          numberOfCampaigns: numberOfCampaigns,
+          launchAt: req.body.launchAt,
+          launchTimezone: req.body.launchTimezone
+        });
+
+        await AuditService.logRequest(req, 'deferred_launch.create', 'deferred_launch', deferred.id);
+
+        return res.status(202).json({
+          success: true,
+          deferred: true,
+          message: `Launch scheduled for ${deferred.launchAt.toISOString()} (${deferred.timezone})`,
+          data: {
+            deferredLaunchId: deferred.id,
+            campaignName: deferred.campaignName,
+            launchAt: deferred.launchAt,
+            timezone: deferred.timezone,
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
+          }
+        });
+      } catch (deferError) {
+        return res.status(400).json({ success: false, error: deferError.message });
+      }
+    }
+
     // Handle multi-account deployment if requested
     console.log('🔍 Checking for multi-account deployment:', {
       hasDeploymentFlag: !!req.body._multiAccountDeployment,
@@ -950,7 +1068,9 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
               results: deploymentResult.results,
               strategyType: 'for-ads',
               adSetsPerAccount: adSetCount + 1
-            }
+            },
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
           }
         });
 
@@ -992,7 +1112,8 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
       // campaignIndex 0 = Original campaign (no "Copy" suffix)
       // campaignIndex 1+ = Copy 2, Copy 3, Copy 4, etc.
       const currentCampaignName = numberOfCampaigns > 1 && campaignIndex > 0
-        ? `${campaignData.campaignName} - Copy ${campaignIndex + 1}`
+        ? NamingService.nameFor(campaignData.naming, 'campaign', { copy: campaignIndex + 1 }) ||
+          `${campaignData.campaignName} - Copy ${campaignIndex + 1}`
         : campaignData.campaignName;
 
       // Update campaign data with current name
@@ -1356,7 +1477,7 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
         try {
           const axios = require('axios');
           const actualAdSetsResponse = await axios.get(
-            `https://graph.facebook.com/v18.0/${result.campaign.id}/adsets`,
+            `${getGraphBaseUrl('v18.0')}/${result.campaign.id}/adsets`,
             {
               params: {
                 access_token: decryptedToken,
@@ -1550,7 +1671,8 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
           strategy_type: 'for-all',
           post_id: result.postId || null,
           ad_set_count: finalAdSetCount, // Use the actual final count
-          status: 'ACTIVE'
+          status: 'ACTIVE',
+          url_params: campaignData.urlParams || null
         });
         console.log(`📊 Campaign ${result.campaign.id} added to tracking with ${finalAdSetCount} ad sets`);
       } catch (trackingError) {
@@ -1633,7 +1755,9 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
           pixel: pixelId ? { id: pixelId, name: facebookAuth.selectedPixel?.name || 'Pixel' } : null, // Add pixel info if used
           postId: singleResult.postId, // Include postId from result
           duplicationSettings: campaignData.duplicationSettings, // Include duplication settings for frontend
-          facebookPayload // Include what was sent to Facebook for verification
+          facebookPayload, // Include what was sent to Facebook for verification
+          preflightWarnings: preflight?.warnings || [],
+          preflightErrors: preflight?.errors || []
         }
       });
     } else {
@@ -1650,7 +1774,9 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
           page: facebookAuth.selectedPage || { id: selectedPageId, name: 'Page' }, // Add page info
           pixel: pixelId ? { id: pixelId, name: facebookAuth.selectedPixel?.name || 'Pixel' } : null, // Add pixel info if used
           duplicationSettings: campaignData.duplicationSettings, // Include duplication settings for frontend
-          facebookPayload // Include what was sent to Facebook for verification
+          facebookPayload, // Include what was sent to Facebook for verification
+          preflightWarnings: preflight?.warnings || [],
+          preflightErrors: preflight?.errors || []
         }
       });
     }
@@ -1861,7 +1987,7 @@ router.get('/verify-post/:postId', authenticate, requireFacebookAuth, async (req
     const axios = require('axios');
     // Use the post ID as-is with the underscore format
     try {
-      await axios.get(`https://graph.facebook.com/v18.0/${postId}`, {
+      await axios.get(`${getGraphBaseUrl('v18.0')}/${postId}`, {
         params: {
           access_token: decryptedToken,
           fields: 'id,message,created_time'
@@ -1884,653 +2010,7 @@ router.get('/verify-post/:postId', authenticate, requireFacebookAuth, async (req
   }
 });
 
-// Duplicate ad sets (1-49-1)
-router.post('/duplicate', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
-  try {
-    const {
-      campaignId,
-      originalAdSetId,
-      postId,
-      formData,
-      count = 50, // Total ad sets desired (including 1 initial)
-      duplicateBudgets = [] // Array of custom budgets for each duplicate
-    } = req.body;
-
-    // ✅ FIX: count represents TOTAL ad sets (e.g., 50 = 1 initial + 49 copies)
-    // So we need to create (count - 1) copies to reach the total
-    const copiesToCreate = count > 1 ? count - 1 : 0;
-    console.log(`📊 User requested ${count} total ad sets → Creating ${copiesToCreate} copies (1 initial + ${copiesToCreate} duplicates = ${count} total)`);
-
-    if (!campaignId || !originalAdSetId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Campaign ID and Ad Set ID are required'
-      });
-    }
-
-    // Use token from middleware (already validated and decrypted)
-    const decryptedToken = req.facebookAuth.accessToken;
-    const facebookAuth = req.facebookAuth.authRecord;
-
-    // Use universal ResourceHelper to get active resources
-    const activeResources = await ResourceHelper.getActiveResourcesWithFallback(req.user.id);
-
-    if (!activeResources.selectedAdAccountId || !activeResources.selectedPageId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please select an ad account and page before duplicating ad sets'
-      });
-    }
-
-    console.log('📋 Using active resources for duplication:');
-    console.log('  ✓ Ad Account:', activeResources.selectedAdAccount?.name || activeResources.selectedAdAccountId);
-    console.log('  ✓ Page:', activeResources.selectedPage?.name || activeResources.selectedPageId);
-
-    const userFacebookApi = new FacebookAPI({
-      accessToken: decryptedToken,
-      adAccountId: activeResources.selectedAdAccountId.replace('act_', ''),
-      pageId: activeResources.selectedPageId
-    });
-
-    // Start the duplication process with custom budgets
-    // Keep the post ID in original Facebook format with underscore
-    const duplicateData = {
-      campaignId,
-      originalAdSetId,
-      postId: postId,
-      count: copiesToCreate, // ✅ FIX: Pass number of COPIES to create
-      formData: {
-        ...formData,
-        // Ensure attribution setting is explicitly passed from user's initial setup
-        attributionSetting: formData.attributionSetting || '1_day_click_1_day_view',
-        attributionWindow: formData.attributionWindow
-      },
-      userId: req.user.id
-    };
-
-    // If custom budgets provided, use them; otherwise default to $1 for each
-    if (duplicateBudgets && duplicateBudgets.length > 0) {
-      duplicateData.customBudgets = duplicateBudgets;
-    } else {
-      // Default to $1 for each duplicated ad set
-      duplicateData.customBudgets = Array(copiesToCreate).fill(1.00);
-    }
-
-    // Store job info for progress tracking
-    duplicationJobs.set(campaignId, {
-      campaignId,
-      count: copiesToCreate, // ✅ FIX: Track number of COPIES
-      completed: 0,
-      total: copiesToCreate, // ✅ FIX: Total COPIES to create
-      status: 'in_progress',
-      currentOperation: 'Starting duplication...',
-      adSets: [],
-      errors: [],
-      startedAt: Date.now()
-    });
-
-    // Pass progress update callback to duplication function
-    duplicateData.progressCallback = (update) => {
-      const job = duplicationJobs.get(campaignId);
-      if (job) {
-        Object.assign(job, update);
-      }
-    };
-
-    userFacebookApi.duplicateAdSetsWithExistingPost(duplicateData);
-
-    res.json({
-      success: true,
-      message: 'Duplication process started',
-      data: {
-        campaignId,
-        count: copiesToCreate, // ✅ FIX: Return number of COPIES
-        totalAdSets: count, // Total ad sets including initial
-        status: 'in_progress',
-        adAccount: activeResources.selectedAdAccount, // Add ad account info from active resources
-        postId: postId || 'Will be fetched from original ad' // Include postId status
-      }
-    });
-  } catch (error) {
-    console.error('Duplication start error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Get duplication progress
-router.get('/progress/:campaignId', authenticate, async (req, res) => {
-  try {
-    const { campaignId } = req.params;
-
-    // Get actual progress from duplication jobs storage
-    const progress = duplicationJobs.get(campaignId);
-
-    if (progress) {
-      // Return actual progress from stored job
-      res.json(progress);
-    } else {
-      // No job found - either completed long ago or never started
-      // Return completed status with unknown count
-      res.json({
-        completed: 0,
-        total: 0,
-        status: 'not_found',
-        currentOperation: 'No active duplication found',
-        adSets: [],
-        errors: []
-      });
-    }
-  } catch (error) {
-    console.error('Progress fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// In-memory job storage (use Redis in production)
-const multiplicationJobs = new Map();
-const duplicationJobs = new Map(); // Store duplication progress by campaignId
-
-// Helper to generate unique job ID
-function generateJobId() {
-  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
-
-// Helper to update job status
-function updateJobStatus(jobId, updates) {
-  const job = multiplicationJobs.get(jobId);
-  if (job) {
-    Object.assign(job, updates);
-    job.lastUpdated = Date.now();
-  }
-}
-
-// Multiply Campaign endpoint - Clone entire for-all structure multiple times
-router.post('/multiply', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
-  try {
-    const {
-      sourceCampaignId,
-      multiplyCount = 1,
-      sourceAdSetIds = [],
-      sourcePostId,
-      manualInput = false
-    } = req.body;
-
-    // Validation
-    if (!sourceCampaignId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Source campaign ID is required'
-      });
-    }
-
-    if (multiplyCount < 1 || multiplyCount > 9) {
-      return res.status(400).json({
-        success: false,
-        error: 'Multiply count must be between 1 and 9'
-      });
-    }
-
-    // Get user's Facebook credentials
-    const facebookAuth = await db.FacebookAuth.findOne({
-      where: { userId: req.user.id, isActive: true }
-    });
-
-    if (!facebookAuth || !facebookAuth.selectedAdAccount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please select an ad account before multiplying campaigns'
-      });
-    }
-
-    // Model getter already decrypts the token
-    const decryptedToken = facebookAuth.accessToken;
-
-    if (!decryptedToken || !decryptedToken.startsWith('EAA')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or missing access token',
-        requiresReauth: true
-      });
-    }
-
-    // Get userId safely
-    const userId = req.user?.id || req.userId || req.user;
-
-    // Check for switched resources with proper error handling
-    let selectedAdAccountId, selectedPageId;
-
-    try {
-      const { UserResourceConfig } = db;
-
-      if (UserResourceConfig && typeof UserResourceConfig.getActiveConfig === 'function' && userId) {
-        const activeConfig = await UserResourceConfig.getActiveConfig(userId).catch(err => {
-          console.log('⚠️ Could not fetch active config for multiply:', err.message);
-          return null;
-        });
-
-        if (activeConfig && (activeConfig.adAccountId || activeConfig.pageId)) {
-          console.log('📋 Using switched resource configuration for multiply');
-          selectedAdAccountId = activeConfig.adAccountId || facebookAuth.selectedAdAccount?.id;
-          selectedPageId = activeConfig.pageId || facebookAuth.selectedPage?.id;
-        }
-      }
-    } catch (error) {
-      console.log('⚠️ UserResourceConfig not available for multiply, using defaults');
-    }
-
-    // Fallback to original resources if not set
-    if (!selectedAdAccountId) {
-      selectedAdAccountId = facebookAuth.selectedAdAccount?.id;
-    }
-    if (!selectedPageId) {
-      selectedPageId = facebookAuth.selectedPage?.id;
-    }
-
-    // Create FacebookAPI instance with selected resources
-    const userFacebookApi = new FacebookAPI({
-      accessToken: decryptedToken,
-      adAccountId: (selectedAdAccountId || facebookAuth.selectedAdAccount.id).replace('act_', ''),
-      pageId: selectedPageId || facebookAuth.selectedPage?.id
-    });
-
-    // If not manual input, fetch campaign structure automatically
-    let campaignStructure = {
-      campaignId: sourceCampaignId,
-      adSetIds: sourceAdSetIds,
-      postId: sourcePostId
-    };
-
-    // OPTIMIZATION: Skip fetching for batch multiplication with deep_copy
-    // The batch API with deep_copy=true automatically copies everything
-    const useDeepCopy = true; // We're using batch method as primary
-
-    if (!useDeepCopy && (!manualInput || sourceAdSetIds.length === 0)) {
-      // Only fetch if NOT using deep_copy (fallback method needs this data)
-      console.log('📊 Fetching campaign structure for multiplication...');
-
-      // Get campaign details
-      const campaignDetails = await userFacebookApi.getCampaignFullDetails(sourceCampaignId);
-
-      if (!campaignDetails) {
-        return res.status(404).json({
-          success: false,
-          error: 'Source campaign not found'
-        });
-      }
-
-      // Get all adsets for the campaign
-      const adSets = await userFacebookApi.getAdSetsForCampaign(sourceCampaignId);
-
-      if (!adSets || adSets.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'No ad sets found in source campaign'
-        });
-      }
-
-      // Verify it's a Strategy For All campaign (should have ~50 adsets)
-      if (adSets.length < 45 || adSets.length > 55) {
-        console.warn(`⚠️ Campaign has ${adSets.length} ad sets, expected ~50 for Strategy For All`);
-      }
-
-      campaignStructure.adSetIds = adSets.map(adSet => adSet.id);
-      campaignStructure.campaignDetails = campaignDetails;
-
-      // Get post ID from the first ad if not provided
-      if (!sourcePostId && adSets.length > 0) {
-        const firstAdSetId = adSets[0].id;
-        const postId = await userFacebookApi.getPostIdFromAdSet(firstAdSetId);
-        campaignStructure.postId = postId;
-      }
-    } else if (useDeepCopy) {
-      // For deep_copy, we only need the campaign ID - it copies everything automatically
-      console.log('🚀 Using batch multiplication with deep_copy - skipping pre-fetch');
-      console.log('  Deep copy will automatically duplicate all 50 ad sets and ads');
-      campaignStructure.campaignDetails = null; // Not needed for deep_copy
-      campaignStructure.adSetIds = []; // Not needed for deep_copy
-      campaignStructure.postId = null; // Not needed for deep_copy
-    }
-
-    console.log('🔄 Starting campaign multiplication process...');
-    console.log(`  Source Campaign: ${sourceCampaignId}`);
-    console.log(`  Ad Sets to clone: ${campaignStructure.adSetIds.length}`);
-    console.log(`  Post ID: ${campaignStructure.postId}`);
-    console.log(`  Multiply count: ${multiplyCount}`);
-
-    // Create job and return immediately
-    const jobId = generateJobId();
-    const estimatedSeconds = multiplyCount * 132; // ~2.2 minutes per campaign
-
-    // Initialize job
-    multiplicationJobs.set(jobId, {
-      id: jobId,
-      status: 'started',
-      progress: 0,
-      total: multiplyCount,
-      currentOperation: 'Initializing...',
-      campaigns: [],
-      errors: [],
-      startTime: Date.now(),
-      estimatedSeconds,
-      userId: req.user.id
-    });
-
-    // Start async processing
-    processMultiplicationAsync(jobId, campaignStructure, multiplyCount, userFacebookApi, req.user.id);
-
-    // Return immediately with job ID
-    res.json({
-      success: true,
-      jobId,
-      estimatedSeconds,
-      message: `Multiplication started. Estimated time: ${Math.ceil(estimatedSeconds / 60)} minutes`
-    });
-
-  } catch (error) {
-    console.error('❌ Campaign multiplication error:', error);
-    await AuditService.logRequest(
-      req,
-      'strategyForAll.multiply',
-      'campaign',
-      req.body.sourceCampaignId,
-      'failure',
-      error.message,
-      {
-        adAccountId: selectedAdAccountId,
-        strategyType: 'for-all',
-        targetCopies: multiplyCount
-      }
-    );
-
-    res.status(error.status || 500).json({
-      success: false,
-      error: error.message || 'Failed to multiply campaign'
-    });
-  }
-});
-
-// Async function to process multiplication in background
-async function processMultiplicationAsync(jobId, campaignStructure, multiplyCount, userFacebookApi, userId) {
-  const job = multiplicationJobs.get(jobId);
-  if (!job) return;
-
-  console.log(`🚀 Starting async multiplication job ${jobId} - Using BATCH method`);
-
-  try {
-    // Update job status
-    updateJobStatus(jobId, {
-      status: 'processing',
-      progress: 0,
-      currentOperation: `Preparing batch request for ${multiplyCount} campaign copies...`
-    });
-
-    // Create progress callback
-    const updateProgress = (message) => {
-      updateJobStatus(jobId, {
-        currentOperation: message
-      });
-    };
-
-    // Use the new BATCH method for all copies at once!
-    console.log(`\n📋 Job ${jobId}: Creating ${multiplyCount} copies using batch API...`);
-
-    const batchResult = await userFacebookApi.batchMultiplyCampaigns(
-      campaignStructure.campaignId,
-      multiplyCount,
-      updateProgress
-    );
-
-    // Process batch results
-    if (batchResult.success) {
-      // Update job with results
-      updateJobStatus(jobId, {
-        status: 'completed',
-        progress: multiplyCount,
-        currentOperation: `Successfully created ${batchResult.summary.successful} campaigns`,
-        campaigns: batchResult.results,
-        errors: batchResult.errors,
-        completedAt: Date.now()
-      });
-
-      console.log(`✅ Job ${jobId} completed using batch method:`);
-      console.log(`  - Successful: ${batchResult.summary.successful}`);
-      console.log(`  - Failed: ${batchResult.summary.failed}`);
-      console.log(`  - API calls used: ${batchResult.summary.apiCallsUsed}`);
-
-      // Audit log for successful multiplication
-      await AuditService.log({
-        userId,
-        action: 'strategyForAll.multiply',
-        resource: 'campaign',
-        resourceId: campaignStructure.campaign.id,
-        details: {
-          campaignId: campaignStructure.campaign.id,
-          campaignName: campaignStructure.campaign.name,
-          adAccountId: userFacebookApi.config.adAccountId,
-          strategyType: 'for-all',
-          targetCopies: multiplyCount,
-          successfulCopies: batchResult.summary.successful,
-          failedCopies: batchResult.summary.failed,
-          method: 'batch'
-        },
-        status: 'success'
-      });
-    } else {
-      throw new Error('Batch multiplication failed');
-    }
-
-  } catch (error) {
-    console.error(`❌ Job ${jobId} failed:`, error);
-
-    // Fallback to original method if batch fails
-    console.log('⚠️ Batch method failed, falling back to sequential method...');
-
-    updateJobStatus(jobId, {
-      currentOperation: 'Batch failed, using sequential method...'
-    });
-
-    // Try the original sequential approach as fallback
-    try {
-      const results = [];
-      const errors = [];
-
-      for (let i = 0; i < multiplyCount; i++) {
-        try {
-          updateJobStatus(jobId, {
-            status: 'processing',
-            progress: i,
-            currentOperation: `Creating campaign ${i + 1} of ${multiplyCount} (sequential)...`
-          });
-
-          const updateProgress = (message) => {
-            updateJobStatus(jobId, {
-              currentOperation: `Campaign ${i + 1}: ${message}`
-            });
-          };
-
-          // Use original method as fallback - for StrategyForAds, we use manual duplication
-          const duplicatedCampaignId = await userFacebookApi.duplicateCampaignDeepCopy(
-            campaignStructure.campaignId,
-            `Copy ${i + 1} - ${new Date().toISOString().split('T')[0]}`
-          );
-
-          // Fetch the duplicated campaign details
-          const duplicatedCampaign = await userFacebookApi.getCampaignFullDetails(duplicatedCampaignId);
-
-          // Count ad sets and ads
-          const adSets = await userFacebookApi.getAdSetsForCampaign(duplicatedCampaignId);
-          let totalAds = 0;
-          for (const adSet of adSets) {
-            try {
-              const adsResponse = await axios.get(
-                `${userFacebookApi.baseURL}/${adSet.id}/ads`,
-                {
-                  params: {
-                    fields: 'id',
-                    limit: 100,
-                    access_token: userFacebookApi.accessToken
-                  }
-                }
-              );
-              totalAds += (adsResponse.data.data || []).length;
-            } catch (e) {
-              console.log(`Warning: Could not count ads for ad set ${adSet.id}`);
-            }
-          }
-
-          const multipliedCampaign = {
-            campaign: duplicatedCampaign,
-            adSetsCreated: adSets.length,
-            adsCreated: totalAds
-          };
-
-        results.push({
-          copyNumber: i + 1,
-          campaign: multipliedCampaign.campaign,
-          adSetsCreated: multipliedCampaign.adSetsCreated,
-          adsCreated: multipliedCampaign.adsCreated,
-          status: 'success'
-        });
-
-        // Update job with successful result
-        job.campaigns.push(multipliedCampaign);
-        console.log(`✅ Job ${jobId}: Successfully created copy ${i + 1}`);
-
-        // Store multiplied campaign in tracking table
-        try {
-          const { CampaignTracking } = require('../models');
-          const facebookAuth = await FacebookAuth.findOne({
-            where: { user_id: req.user?.id || req.userId },
-            order: [['created_at', 'DESC']]
-          });
-
-          await CampaignTracking.create({
-            campaign_id: multipliedCampaign.campaign.id,
-            campaign_name: multipliedCampaign.campaign.name,
-            user_id: req.user?.id || req.userId,
-            ad_account_id: facebookAuth?.selectedAdAccount?.id || 'unknown',
-            strategy_type: 'multiplication',
-            post_id: postId || null,
-            ad_set_count: multipliedCampaign.adSetsCreated || 50,
-            status: 'ACTIVE'
-          });
-          console.log(`📊 Multiplied campaign ${multipliedCampaign.campaign.id} added to tracking`);
-        } catch (trackingError) {
-          console.error('Warning: Could not add multiplied campaign to tracking:', trackingError.message);
-        }
-
-      } catch (error) {
-        console.error(`❌ Job ${jobId}: Failed to create copy ${i + 1}:`, error.message);
-
-        // Check if it's a rate limit error
-        if (error.message?.includes('Rate limited')) {
-          // The delay has already been applied in multiplyStrategyForAllCampaign
-          // Retry this campaign
-          i--; // Decrement to retry this campaign
-          updateJobStatus(jobId, {
-            currentOperation: `Rate limited - will retry campaign ${i + 2} after delay...`
-          });
-        } else {
-          // Non-rate limit error, record and continue
-          errors.push({
-            copyNumber: i + 1,
-            error: error.message,
-            status: 'failed'
-          });
-          job.errors.push({
-            copyNumber: i + 1,
-            error: error.message
-          });
-        }
-      }
-    }
-
-    // Mark job as completed
-    updateJobStatus(jobId, {
-      status: 'completed',
-      progress: multiplyCount,
-      currentOperation: 'Multiplication completed',
-      completedAt: Date.now()
-    });
-
-    console.log(`✅ Job ${jobId} completed: ${results.length} successful, ${errors.length} failed`);
-
-    // Audit log for successful multiplication (sequential fallback)
-    await AuditService.log({
-      userId,
-      action: 'strategyForAll.multiply',
-      resource: 'campaign',
-      resourceId: campaignStructure.campaign.id,
-      details: {
-        campaignId: campaignStructure.campaign.id,
-        campaignName: campaignStructure.campaign.name,
-        adAccountId: userFacebookApi.config.adAccountId,
-        strategyType: 'for-all',
-        targetCopies: multiplyCount,
-        successfulCopies: results.length,
-        failedCopies: errors.length,
-        method: 'sequential-fallback'
-      },
-      status: 'success'
-    });
-
-    } catch (fallbackError) {
-      console.error(`❌ Job ${jobId} fallback also failed:`, fallbackError);
-      updateJobStatus(jobId, {
-        status: 'failed',
-        error: fallbackError.message,
-        completedAt: Date.now()
-      });
-    }
-  }
-}
-
-// Get multiplication progress (for async operations)
-router.get('/multiply/status/:jobId', authenticate, async (req, res) => {
-  try {
-    const { jobId } = req.params;
-
-    // Get job from memory
-    const job = multiplicationJobs.get(jobId);
-
-    if (!job) {
-      return res.status(404).json({
-        error: 'Job not found'
-      });
-    }
-
-    // Calculate elapsed and remaining time
-    const elapsed = Date.now() - job.startTime;
-    const estimatedRemaining = Math.max(0, (job.estimatedSeconds * 1000) - elapsed);
-    const percentComplete = job.total > 0 ? Math.floor((job.progress / job.total) * 100) : 0;
-
-    res.json({
-      id: job.id,
-      status: job.status,
-      progress: job.progress,
-      total: job.total,
-      currentOperation: job.currentOperation,
-      campaigns: job.campaigns,
-      errors: job.errors,
-      elapsedSeconds: Math.floor(elapsed / 1000),
-      remainingSeconds: Math.floor(estimatedRemaining / 1000),
-      percentComplete,
-      startTime: job.startTime,
-      completedAt: job.completedAt
-    });
-  } catch (error) {
-    console.error('Progress fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// Duplicate / multiply endpoints, run by StrategyEngine with this route's registry entry
+router.use(createStrategyJobRouter('strategy-for-ads'));
 
 module.exports = router;
@@ -6,9 +6,18 @@ const ResourceHelper = require('../services/ResourceHelper');
 const { authenticate, requirePermission } = require('../middleware/auth');
 const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
 const AuditService = require('../services/AuditService');
+const JobEvents = require('../services/JobEvents');
+const LaunchPlanner = require('../services/LaunchPlanner');
+const NamingService = require('../services/NamingService');
 const { uploadSingle } = require('../middleware/upload');
+const { createStrategyJobRouter } = require('./strategyJobs');
 const db = require('../models');
 const { decryptToken } = require('./facebookSDKAuth');
+const { getGraphBaseUrl } = require('../config/graphApi');
+const { resolveBidLadder } = require('../utils/bidLadder');
+const { resolveUrlParams, validateUrlParams } = require('../utils/urlParams');
+const LandingPageService = require('../services/LandingPageService');
+const DeferredLaunchService = require('../services/DeferredLaunchService');
 const FailureTracker = require('../services/FailureTracker');
 const {
   processImageAspectRatio,
@@ -113,6 +122,9 @@ router.get('/resources', authenticate, async (req, res) => {
 });
 
 // Strategy For All validation rules - Meta compliant
+// Initial ad set + duplicates (adSetCount defaults to 49 like campaignData below)
+const getLaunchAdSetCount = (reqBody) => (parseInt(reqBody.duplicationSettings?.adSetCount ?? 49) || 0) + 1;
+
 const validateStrategyForAll = [
   // Campaign level validations
   body('campaignName').notEmpty().withMessage('Campaign name is required'),
@@ -154,6 +166,10 @@ const validateStrategyForAll = [
 
   // Ad set level validations
   body('performanceGoal').optional(),
+  body('leadFormId')
+    .if(body('conversionLocation').equals('instant_forms'))
+    .notEmpty()
+    .withMessage('leadFormId is required when conversionLocation is instant_forms'),
   body('pixel').optional(),
   body('conversionEvent').optional(),
   body('attributionSetting').optional(),
@@ -242,6 +258,14 @@ const validateStrategyForAll = [
     .isLength({ max: 255 })
     .withMessage('Editor name must be 255 characters or less'),
 
+  // Optional UTM/tracker parameter rules (static values, {{fb.macros}}, {editor}/{copy}/{state} tokens)
+  body('urlParams')
+    .optional({ nullable: true })
+    .custom((value) => {
+      resolveUrlParams(value);
+      return true;
+    }),
+
   // Duplication settings for dynamic ad set count (0-49)
   // 0 = Create only initial 1-1-1 structure (no duplication)
   // 1-50 = Create 1-1-1 + duplicate ad sets
@@ -250,6 +274,14 @@ const validateStrategyForAll = [
     .isInt({ min: 0, max: 50 })
     .withMessage('Ad set count must be between 0 and 50'),
 
+  // Optional cost cap / bid cap ladder across the initial + duplicated ad sets
+  body('bidLadder')
+    .optional({ nullable: true })
+    .custom((value, { req }) => {
+      resolveBidLadder(value, getLaunchAdSetCount(req.body));
+      return true;
+    }),
+
   // totalBudget is now optional for both ABO and CBO (backward compatibility)
   body('duplicationSettings.totalBudget')
     .optional()
@@ -301,6 +333,12 @@ const parseFormDataJson = (req, res, next) => {
   if (req.body.duplicationSettings && typeof req.body.duplicationSettings === 'string') {
     req.body.duplicationSettings = parseJsonField(req.body.duplicationSettings);
   }
+  if (req.body.urlParams && typeof req.body.urlParams === 'string') {
+    req.body.urlParams = parseJsonField(req.body.urlParams);
+  }
+  if (req.body.bidLadder && typeof req.body.bidLadder === 'string') {
+    req.body.bidLadder = parseJsonField(req.body.bidLadder);
+  }
   if (req.body.campaignBudget && typeof req.body.campaignBudget === 'string') {
     req.body.campaignBudget = parseJsonField(req.body.campaignBudget);
   }
@@ -497,44 +535,51 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
     // ============================================================================
     const SafetyChecks = require('../services/SafetyChecks');
 
-    console.log('\n🔒 [Week 1 Safety] Running pre-creation verification...');
+    // Dry runs never touch Facebook, so the live-state verification is skipped;
+    // deferred launches run it when they are created (DeferredLaunchService)
+    const dryRun = LaunchPlanner.isDryRunRequest(req.body);
+    const deferLaunch = !dryRun && DeferredLaunchService.isDeferredRequest(req.body);
 
-    const verification = await SafetyChecks.verifyPreCreationState(
-      req.user.id,
-      userFacebookApi,
-      req.body.campaignName,
-      selectedAdAccountId
-    );
+    if (!dryRun && !deferLaunch) {
+      console.log('\n🔒 [Week 1 Safety] Running pre-creation verification...');
 
-    // Log verification result to database for audit trail
-    await SafetyChecks.logVerification(
-      req.user.id,
-      selectedAdAccountId,
-      req.body.campaignName,
-      verification,
-      null // jobId will be set in Week 2 when job tracking is implemented
-    );
+      const verification = await SafetyChecks.verifyPreCreationState(
+        req.user.id,
+        userFacebookApi,
+        req.body.campaignName,
+        selectedAdAccountId
+      );
 
-    // Block request if verification failed
-    if (!verification.canProceed) {
-      console.log('❌ [Week 1 Safety] Pre-creation verification FAILED - blocking request');
+      // Log verification result to database for audit trail
+      await SafetyChecks.logVerification(
+        req.user.id,
+        selectedAdAccountId,
+        req.body.campaignName,
+        verification,
+        null // jobId will be set in Week 2 when job tracking is implemented
+      );
 
-      return res.status(400).json({
-        success: false,
-        error: 'Pre-creation verification failed',
-        reasons: verification.reasons,
-        details: verification.details,
-        verificationId: verification.id
-      });
-    }
+      // Block request if verification failed
+      if (!verification.canProceed) {
+        console.log('❌ [Week 1 Safety] Pre-creation verification FAILED - blocking request');
 
-    // Show warnings if any (non-blocking)
-    if (verification.warnings && verification.warnings.length > 0) {
-      console.log('⚠️  [Week 1 Safety] Proceeding with warnings:');
-      verification.warnings.forEach(w => console.log(`   - ${w}`));
-    }
+        return res.status(400).json({
+          success: false,
+          error: 'Pre-creation verification failed',
+          reasons: verification.reasons,
+          details: verification.details,
+          verificationId: verification.id
+        });
+      }
+
+      // Show warnings if any (non-blocking)
+      if (verification.warnings && verification.warnings.length > 0) {
+        console.log('⚠️  [Week 1 Safety] Proceeding with warnings:');
+        verification.warnings.forEach(w => console.log(`   - ${w}`));
+      }
 
-    console.log('✅ [Week 1 Safety] Pre-creation verification PASSED - proceeding with creation\n');
+      console.log('✅ [Week 1 Safety] Pre-creation verification PASSED - proceeding with creation\n');
+    }
     // ============================================================================
     // END WEEK 1 ENHANCEMENT
     // ============================================================================
@@ -554,24 +599,32 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
     console.log(`\n📋 [Week 2 Safety] Creating job for tracking...`);
     console.log(`   Requested: ${requestedAdSets} ad sets, ${requestedAds} ads`);
 
-    // Create job and initialize slots
-    const job = await JobTracker.createJob({
-      userId: req.user.id,
-      adAccountId: selectedAdAccountId.replace('act_', ''),
-      campaignName: req.body.campaignName,
-      requestedAdSets,
-      requestedAds
-    });
+    // Optional client-generated job ID so the frontend can open GET /api/jobs/:jobId/events
+    // before the launch request returns
+    const streamJobId = JobEvents.parseClientJobId(req.body.jobId);
+
+    // Create job and initialize slots (dry runs and deferred launches don't create a job)
+    let job = null;
+    if (!dryRun && !deferLaunch) {
+      job = await JobTracker.createJob({
+        userId: req.user.id,
+        adAccountId: selectedAdAccountId.replace('act_', ''),
+        campaignName: req.body.campaignName,
+        requestedAdSets,
+        requestedAds,
+        jobKey: streamJobId
+      });
 
-    console.log(`✅ [Week 2 Safety] Job created: ID ${job.id}`);
+      console.log(`✅ [Week 2 Safety] Job created: ID ${job.id}`);
 
-    // Initialize slots (pre-allocate for idempotency protection)
-    await JobTracker.initializeSlots(job);
-    console.log(`✅ [Week 2 Safety] Slots initialized`);
+      // Initialize slots (pre-allocate for idempotency protection)
+      await JobTracker.initializeSlots(job);
+      console.log(`✅ [Week 2 Safety] Slots initialized`);
 
-    // Mark job as started
-    await JobTracker.markJobStarted(job);
-    console.log(`✅ [Week 2 Safety] Job started\n`);
+      // Mark job as started
+      await JobTracker.markJobStarted(job);
+      console.log(`✅ [Week 2 Safety] Job started\n`);
+    }
 
     // Wrap entire creation in try-catch for comprehensive error handling
     let safetySystemResult = null;
@@ -696,9 +749,12 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
       return isNaN(parsed) ? undefined : parsed;
     };
 
+    // Validated above - one cap per ad set, the campaign/ad sets switch to the ladder's bid strategy
+    const bidLadder = resolveBidLadder(req.body.bidLadder, getLaunchAdSetCount(req.body));
+
     // Prepare campaign data with all Meta-compliant Strategy For All fields
     // NOTE: NO DEFAULT VALUES - All fields must be provided by user or validation will fail
-    const campaignData = {
+    let campaignData = {
       // Campaign level fields
       campaignName: req.body.campaignName,
       buyingType: req.body.buyingType,  // Required - user must select
@@ -709,7 +765,8 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
         ? req.body.specialAdCategories.filter(cat => cat !== 'NONE' && cat !== '')
         : [],
       campaignBudgetOptimization: req.body.budgetLevel === 'campaign' ? true : (req.body.campaignBudgetOptimization || false),
-      bidStrategy: req.body.bidStrategy,  // Required - user must select
+      bidStrategy: bidLadder?.bidStrategy || req.body.bidStrategy,  // Required - user must select
+      bidLadder,
 
       // Bid strategy related values
       bidAmount: parseBudget(req.body.bidAmount),
@@ -816,6 +873,13 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
       costCap: req.body.costCap,
       minRoas: req.body.minRoas,
       conversionLocation: req.body.conversionLocation,  // Required - user must select
+      leadFormId: req.body.leadFormId, // Instant Form when conversionLocation is instant_forms
+      // UTM/tracker parameters, rebuilt for every ad and copy
+      urlParams: resolveUrlParams(req.body.urlParams, {
+        editor: req.body.editorName,
+        state: req.body.state,
+        vertical: req.body.vertical
+      }),
 
       // ============================================================================
       // FEATURE: PRODUCT CATALOG SUPPORT
@@ -857,6 +921,24 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
       // ============================================================================
     };
 
+    // Naming convention (namingConventionId, or the team/personal default)
+    try {
+      campaignData = await NamingService.applyToCampaignData(req.user.id, campaignData, req.body, 'for-all');
+    } catch (namingError) {
+      return res.status(400).json({ success: false, error: namingError.message });
+    }
+
+    const urlErrors = validateUrlParams(campaignData.url, campaignData.urlParams);
+    if (urlErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid ad URL', errors: urlErrors });
+    }
+
+    // Landing page preflight: refuse on broken pages (LANDING_PREFLIGHT_MODE=block), otherwise report its findings in the response
+    const preflight = await LandingPageService.preflightLaunch(campaignData);
+    if (preflight?.blocked) {
+      return res.status(400).json({ success: false, error: 'Landing page preflight failed', errors: preflight.errors, preflight });
+    }
+
     console.log('🟢 Creating Strategy for-all campaign with data:', {
       campaignName: campaignData.campaignName,
       buyingType: campaignData.buyingType,
@@ -894,6 +976,78 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
     console.log('  Conversion Event:', campaignData.conversionEvent);
     console.log('  Ad Set Count:', campaignData.duplicationSettings?.adSetCount || 'Not set');
 
+    // Dry run: return the planned Graph calls instead of creating anything
+    if (dryRun) {
+      try {
+        const plan = await LaunchPlanner.planLaunch(userFacebookApi, campaignData, {
+          createMethod: 'createStrategy150Campaign',
+          initialOverrides: { displayLink: undefined }, // Initial ad is created without display link
+          additionalAdSets: parseInt(campaignData.duplicationSettings?.adSetCount) || 0
+        });
+        return res.json({
+          success: true,
+          dryRun: true,
+          message: `Dry run: ${plan.summary.apiCalls} API calls for ${plan.summary.campaigns} campaign(s), nothing was sent to Facebook`,
+          data: {
+            ...plan,
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
+          }
+        });
+      } catch (planError) {
+        console.error('❌ [Dry Run] Planning failed:', planError.message);
+        return res.status(500).json({
+          success: false,
+          dryRun: true,
+          error: 'Failed to build launch plan',
+          message: planError.message
+        });
+      }
+    }
+
+    // Deferred launch: store the built request and create it at launchAt (see DeferredLaunchService)
+    if (deferLaunch) {
+      if (req.body._multiAccountDeployment) {
+        return res.status(400).json({ success: false, error: 'Multi-account deployments can\'t be deferred' });
+      }
+
+      try {
+        DeferredLaunchService.assertDeferrable(req.body);
+
+        const deferred = await DeferredLaunchService.createDeferredLaunch({
+          userId: req.user.id,
+          strategy: 'strategy-for-all',
+          adAccountId: userFacebookApi.adAccountId,
+          pageId: userFacebookApi.pageId,
+          pixelId: userFacebookApi.pixelId,
+          accessToken: userFacebookApi.accessToken,
+          campaignData,
+          adSetCount: (parseInt(campaignData.duplicationSettings?.adSetCount) || 0) + 1,
+          numberOfCampaigns: 1,
+          launchAt: req.body.launchAt,
+          launchTimezone: req.body.launchTimezone
+        });
+
+        await AuditService.logRequest(req, 'deferred_launch.create', 'deferred_launch', deferred.id);
+
+        return res.status(202).json({
+          success: true,
+          deferred: true,
+          message: `Launch scheduled for ${deferred.launchAt.toISOString()} (${deferred.timezone})`,
+          data: {
+            deferredLaunchId: deferred.id,
+            campaignName: deferred.campaignName,
+            launchAt: deferred.launchAt,
+            timezone: deferred.timezone,
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
+          }
+        });
+      } catch (deferError) {
+        return res.status(400).json({ success: false, error: deferError.message });
+      }
+    }
+
     // Handle multi-account deployment if requested
     console.log('🔍 Checking for multi-account deployment:', {
       hasDeploymentFlag: !!req.body._multiAccountDeployment,
@@ -1021,7 +1175,9 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
               successful: deploymentResult.successful,
               failed: deploymentResult.failed,
               results: deploymentResult.results
-            }
+            },
+            preflightWarnings: preflight?.warnings || [],
+            preflightErrors: preflight?.errors || []
           }
         });
 
@@ -1088,7 +1244,9 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
         decryptedToken,
         selectedAdAccountId.replace('act_', ''),
         selectedPageId,
-        selectedPixelId
+        selectedPixelId,
+        null,
+        { jobId: streamJobId }
       );
       console.log('✅ Batch service initialized');
 
@@ -1232,7 +1390,7 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
         try {
           const axios = require('axios');
           const adSetsResponse = await axios.get(
-            `https://graph.facebook.com/v18.0/${campaignId}/adsets`,
+            `${getGraphBaseUrl('v18.0')}/${campaignId}/adsets`,
             {
               params: {
                 access_token: decryptedToken,
@@ -1261,7 +1419,7 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
             if (adSetId) {
               // Fetch ads for this ad set
               const adsResponse = await axios.get(
-                `https://graph.facebook.com/v18.0/${adSetId}/ads`,
+                `${getGraphBaseUrl('v18.0')}/${adSetId}/ads`,
                 {
                   params: {
                     access_token: decryptedToken,
@@ -1468,7 +1626,8 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
         strategy_type: 'for-all',
         post_id: result.postId || null,
         ad_set_count: result.totalAdSets || 1, // Accurate count including duplication
-        status: 'ACTIVE'
+        status: 'ACTIVE',
+        url_params: campaignData.urlParams || null
       });
       console.log(`📊 Campaign ${result.campaign.id} added to tracking with ${result.totalAdSets || 1} ad sets`);
     } catch (trackingError) {
@@ -1535,6 +1694,8 @@ router.post('/create', authenticate, requireFacebookAuth, refreshFacebookToken,
         totalAdSets: result.totalAdSets || 1,              // Total count for verification
         duplicationSettings: campaignData.duplicationSettings,
         facebookPayload, // What was sent to Facebook for verification
+        preflightWarnings: preflight?.warnings || [],
+        preflightErrors: preflight?.errors || [],
         // Add safety system info
         safetySystem: {
           jobId: job.id,
@@ -1842,7 +2003,7 @@ router.get('/verify-post/:postId', authenticate, requireFacebookAuth, async (req
     const axios = require('axios');
     // Use the post ID as-is with the underscore format
     try {
-      await axios.get(`https://graph.facebook.com/v18.0/${postId}`, {
+      await axios.get(`${getGraphBaseUrl('v18.0')}/${postId}`, {
         params: {
           access_token: decryptedToken,
           fields: 'id,message,created_time'
@@ -1865,684 +2026,7 @@ router.get('/verify-post/:postId', authenticate, requireFacebookAuth, async (req
   }
 });
 
-// Duplicate ad sets (1-49-1)
-router.post('/duplicate', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
-  try {
-    const {
-      campaignId,
-      originalAdSetId,
-      postId,
-      formData,
-      count = 49,
-      duplicateBudgets = [], // Array of custom budgets for each duplicate
-      adVariationConfig = null, // Ad variation config for Strategy for Ads
-      editorName = null // Editor name from Creative Library for ad naming
-    } = req.body;
-
-    if (!campaignId || !originalAdSetId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Campaign ID and Ad Set ID are required'
-      });
-    }
-
-    // Validate count - must be at least 1
-    if (count < 1) {
-      return res.status(400).json({
-        success: false,
-        error: 'Count must be at least 1. You cannot duplicate 0 ad sets.'
-      });
-    }
-
-    // Use token from middleware (already validated and decrypted)
-    const decryptedToken = req.facebookAuth.accessToken;
-    const facebookAuth = req.facebookAuth.authRecord;
-
-    // Use universal ResourceHelper to get active resources
-    const activeResources = await ResourceHelper.getActiveResourcesWithFallback(req.user.id);
-
-    if (!activeResources.selectedAdAccountId || !activeResources.selectedPageId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please select an ad account and page before duplicating ad sets'
-      });
-    }
-
-    console.log('📋 Using active resources for duplication:');
-    console.log('  ✓ Ad Account:', activeResources.selectedAdAccount?.name || activeResources.selectedAdAccountId);
-    console.log('  ✓ Page:', activeResources.selectedPage?.name || activeResources.selectedPageId);
-
-    const userFacebookApi = new FacebookAPI({
-      accessToken: decryptedToken,
-      adAccountId: activeResources.selectedAdAccountId.replace('act_', ''),
-      pageId: activeResources.selectedPageId
-    });
-
-    // Start the duplication process with custom budgets
-    // Keep the post ID in original Facebook format with underscore
-    const duplicateData = {
-      campaignId,
-      originalAdSetId,
-      postId: postId,
-      count,
-      formData,
-      userId: req.user.id,
-      adVariationConfig, // Pass ad variation config for Strategy for Ads
-      editorName // Pass editor name for ad naming convention
-    };
-
-    // If custom budgets provided, use them; otherwise default to $1 for each
-    if (duplicateBudgets && duplicateBudgets.length > 0) {
-      duplicateData.customBudgets = duplicateBudgets;
-    } else {
-      // Default to $1 for each duplicated ad set
-      duplicateData.customBudgets = Array(count).fill(1.00);
-    }
-
-    // Store job info for progress tracking
-    duplicationJobs.set(campaignId, {
-      campaignId,
-      count,
-      completed: 0,
-      total: count,
-      status: 'in_progress',
-      currentOperation: 'Starting duplication...',
-      adSets: [],
-      errors: [],
-      startedAt: Date.now()
-    });
-
-    // Pass progress update callback to duplication function
-    duplicateData.progressCallback = (update) => {
-      const job = duplicationJobs.get(campaignId);
-      if (job) {
-        Object.assign(job, update);
-      }
-    };
-
-    // ============================================================================
-    // USE BATCH SERVICE instead of old sequential method
-    // ============================================================================
-    // Create batch service instance
-    const BatchDuplicationService = require('../services/batchDuplication');
-    const batchService = new BatchDuplicationService(
-      decryptedToken,
-      activeResources.selectedAdAccountId.replace('act_', ''),
-      activeResources.selectedPageId,
-      activeResources.selectedPixelId
-    );
-
-    // Use batch duplication (same as campaign creation)
-    (async () => {
-      try {
-        console.log(`\n🚀 Starting BATCH duplication for ${count} ad sets...`);
-        const batchResult = await batchService.duplicateAdSetsBatch(
-          originalAdSetId,
-          campaignId,
-          postId,
-          count,
-          {
-            ...formData,
-            customBudgets: duplicateData.customBudgets,
-            adVariationConfig,
-            editorName
-          }
-        );
-
-        // Update job with final results
-        const job = duplicationJobs.get(campaignId);
-        if (job) {
-          Object.assign(job, {
-            status: 'completed',
-            completed: count,
-            total: count,
-            currentOperation: 'Duplication complete',
-            adSets: batchResult.adSets || [],
-            ads: batchResult.ads || []
-          });
-        }
-
-        console.log(`✅ Batch duplication complete: ${batchResult.adSets?.length || 0}/${count} ad sets created`);
-      } catch (error) {
-        console.error('❌ Batch duplication error:', error.message);
-        const job = duplicationJobs.get(campaignId);
-        if (job) {
-          Object.assign(job, {
-            status: 'error',
-            currentOperation: `Error: ${error.message}`,
-            errors: [{ message: error.message }]
-          });
-        }
-      }
-    })();
-
-    res.json({
-      success: true,
-      message: 'Duplication process started (using batch API)',
-      data: {
-        campaignId,
-        count,
-        status: 'in_progress',
-        method: 'BATCH_API',
-        adAccount: activeResources.selectedAdAccount, // Add ad account info from active resources
-        postId: postId || 'Will be fetched from original ad' // Include postId status
-      }
-    });
-  } catch (error) {
-    console.error('Duplication start error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Get duplication progress
-router.get('/progress/:campaignId', authenticate, async (req, res) => {
-  try {
-    const { campaignId } = req.params;
-
-    // Get actual progress from duplication jobs storage
-    const progress = duplicationJobs.get(campaignId);
-
-    if (progress) {
-      // Return actual progress from stored job
-      res.json(progress);
-    } else {
-      // No job found - either completed long ago or never started
-      // Return completed status with unknown count
-      res.json({
-        completed: 0,
-        total: 0,
-        status: 'not_found',
-        currentOperation: 'No active duplication found',
-        adSets: [],
-        errors: []
-      });
-    }
-  } catch (error) {
-    console.error('Progress fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// In-memory job storage (use Redis in production)
-const multiplicationJobs = new Map();
-const duplicationJobs = new Map(); // Store duplication progress by campaignId
-
-// Helper to generate unique job ID
-function generateJobId() {
-  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
-
-// Helper to update job status
-function updateJobStatus(jobId, updates) {
-  const job = multiplicationJobs.get(jobId);
-  if (job) {
-    Object.assign(job, updates);
-    job.lastUpdated = Date.now();
-  }
-}
-
-// Multiply Campaign endpoint - Clone entire for-all structure multiple times
-router.post('/multiply', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
-  try {
-    const {
-      sourceCampaignId,
-      multiplyCount = 1,
-      sourceAdSetIds = [],
-      sourcePostId,
-      manualInput = false
-    } = req.body;
-
-    // Validation
-    if (!sourceCampaignId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Source campaign ID is required'
-      });
-    }
-
-    if (multiplyCount < 1 || multiplyCount > 9) {
-      return res.status(400).json({
-        success: false,
-        error: 'Multiply count must be between 1 and 9'
-      });
-    }
-
-    // Get user's Facebook credentials
-    const facebookAuth = await db.FacebookAuth.findOne({
-      where: { userId: req.user.id, isActive: true }
-    });
-
-    if (!facebookAuth || !facebookAuth.selectedAdAccount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please select an ad account before multiplying campaigns'
-      });
-    }
-
-    // Decrypt access token
-    // Model getter already decrypts the token
-    const decryptedToken = facebookAuth.accessToken;
-
-    if (!decryptedToken || !decryptedToken.startsWith('EAA')) {
-      return res.status(401).json({
-        error: 'Invalid or missing access token',
-        requiresReauth: true
-      });
-    }
-
-    // Get userId safely
-    const userId = req.user?.id || req.userId || req.user;
-
-    // Check for switched resources with proper error handling
-    let selectedAdAccountId, selectedPageId;
-
-    try {
-      const { UserResourceConfig } = db;
-
-      if (UserResourceConfig && typeof UserResourceConfig.getActiveConfig === 'function' && userId) {
-        const activeConfig = await UserResourceConfig.getActiveConfig(userId).catch(err => {
-          console.log('⚠️ Could not fetch active config for multiply:', err.message);
-          return null;
-        });
-
-        if (activeConfig && (activeConfig.adAccountId || activeConfig.pageId)) {
-          console.log('📋 Using switched resource configuration for multiply');
-          selectedAdAccountId = activeConfig.adAccountId || facebookAuth.selectedAdAccount?.id;
-          selectedPageId = activeConfig.pageId || facebookAuth.selectedPage?.id;
-        }
-      }
-    } catch (error) {
-      console.log('⚠️ UserResourceConfig not available for multiply, using defaults');
-    }
-
-    // Fallback to original resources if not set
-    if (!selectedAdAccountId) {
-      selectedAdAccountId = facebookAuth.selectedAdAccount?.id;
-    }
-    if (!selectedPageId) {
-      selectedPageId = facebookAuth.selectedPage?.id;
-    }
-
-    // Create FacebookAPI instance with selected resources
-    const userFacebookApi = new FacebookAPI({
-      accessToken: decryptedToken,
-      adAccountId: (selectedAdAccountId || facebookAuth.selectedAdAccount.id).replace('act_', ''),
-      pageId: selectedPageId || facebookAuth.selectedPage?.id
-    });
-
-    // If not manual input, fetch campaign structure automatically
-    let campaignStructure = {
-      campaignId: sourceCampaignId,
-      adSetIds: sourceAdSetIds,
-      postId: sourcePostId
-    };
-
-    // OPTIMIZATION: Skip fetching for batch multiplication with deep_copy
-    // The batch API with deep_copy=true automatically copies everything
-    const useDeepCopy = true; // We're using batch method as primary
-
-    if (!useDeepCopy && (!manualInput || sourceAdSetIds.length === 0)) {
-      // Only fetch if NOT using deep_copy (fallback method needs this data)
-      console.log('📊 Fetching campaign structure for multiplication...');
-
-      // Get campaign details
-      const campaignDetails = await userFacebookApi.getCampaignFullDetails(sourceCampaignId);
-
-      if (!campaignDetails) {
-        return res.status(404).json({
-          success: false,
-          error: 'Source campaign not found'
-        });
-      }
-
-      // Get all adsets for the campaign
-      const adSets = await userFacebookApi.getAdSetsForCampaign(sourceCampaignId);
-
-      if (!adSets || adSets.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'No ad sets found in source campaign'
-        });
-      }
-
-      // Verify it's a Strategy For All campaign (should have ~50 adsets)
-      if (adSets.length < 45 || adSets.length > 55) {
-        console.warn(`⚠️ Campaign has ${adSets.length} ad sets, expected ~50 for Strategy For All`);
-      }
-
-      campaignStructure.adSetIds = adSets.map(adSet => adSet.id);
-      campaignStructure.campaignDetails = campaignDetails;
-
-      // Get post ID from the first ad if not provided
-      if (!sourcePostId && adSets.length > 0) {
-        const firstAdSetId = adSets[0].id;
-        const postId = await userFacebookApi.getPostIdFromAdSet(firstAdSetId);
-        campaignStructure.postId = postId;
-      }
-    } else if (useDeepCopy) {
-      // For deep_copy, we only need the campaign ID - it copies everything automatically
-      console.log('🚀 Using batch multiplication with deep_copy - skipping pre-fetch');
-      console.log('  Deep copy will automatically duplicate all 50 ad sets and ads');
-      campaignStructure.campaignDetails = null; // Not needed for deep_copy
-      campaignStructure.adSetIds = []; // Not needed for deep_copy
-      campaignStructure.postId = null; // Not needed for deep_copy
-    }
-
-    console.log('🔄 Starting campaign multiplication process...');
-    console.log(`  Source Campaign: ${sourceCampaignId}`);
-    console.log(`  Ad Sets to clone: ${campaignStructure.adSetIds.length}`);
-    console.log(`  Post ID: ${campaignStructure.postId}`);
-    console.log(`  Multiply count: ${multiplyCount}`);
-
-    // Create job and return immediately
-    const jobId = generateJobId();
-    const estimatedSeconds = multiplyCount * 132; // ~2.2 minutes per campaign
-
-    // Initialize job
-    multiplicationJobs.set(jobId, {
-      id: jobId,
-      status: 'started',
-      progress: 0,
-      total: multiplyCount,
-      currentOperation: 'Initializing...',
-      campaigns: [],
-      errors: [],
-      startTime: Date.now(),
-      estimatedSeconds,
-      userId: req.user.id
-    });
-
-    // Start async processing
-    processMultiplicationAsync(jobId, campaignStructure, multiplyCount, userFacebookApi, req.user.id);
-
-    // Return immediately with job ID
-    res.json({
-      success: true,
-      jobId,
-      estimatedSeconds,
-      message: `Multiplication started. Estimated time: ${Math.ceil(estimatedSeconds / 60)} minutes`
-    });
-
-  } catch (error) {
-    console.error('❌ Campaign multiplication error:', error);
-    await AuditService.logRequest(
-      req,
-      'strategyForAll.multiply',
-      'campaign',
-      req.body.sourceCampaignId,
-      'failure',
-      error.message,
-      {
-        adAccountId: selectedAdAccountId,
-        strategyType: 'for-all',
-        targetCopies: multiplyCount
-      }
-    );
-
-    res.status(error.status || 500).json({
-      success: false,
-      error: error.message || 'Failed to multiply campaign'
-    });
-  }
-});
-
-// Async function to process multiplication in background
-async function processMultiplicationAsync(jobId, campaignStructure, multiplyCount, userFacebookApi, userId) {
-  const job = multiplicationJobs.get(jobId);
-  if (!job) return;
-
-  console.log(`🚀 Starting async multiplication job ${jobId} - Using BATCH method`);
-
-  try {
-    // Update job status
-    updateJobStatus(jobId, {
-      status: 'processing',
-      progress: 0,
-      currentOperation: `Preparing batch request for ${multiplyCount} campaign copies...`
-    });
-
-    // Create progress callback
-    const updateProgress = (message) => {
-      updateJobStatus(jobId, {
-        currentOperation: message
-      });
-    };
-
-    // Use the new BATCH method for all copies at once!
-    console.log(`\n📋 Job ${jobId}: Creating ${multiplyCount} copies using batch API...`);
-
-    const batchResult = await userFacebookApi.batchMultiplyCampaigns(
-      campaignStructure.campaignId,
-      multiplyCount,
-      updateProgress
-    );
-
-    // Process batch results
-    if (batchResult.success) {
-      // Update job with results
-      updateJobStatus(jobId, {
-        status: 'completed',
-        progress: multiplyCount,
-        currentOperation: `Successfully created ${batchResult.summary.successful} campaigns`,
-        campaigns: batchResult.results,
-        errors: batchResult.errors,
-        completedAt: Date.now()
-      });
-
-      console.log(`✅ Job ${jobId} completed using batch method:`);
-      console.log(`  - Successful: ${batchResult.summary.successful}`);
-      console.log(`  - Failed: ${batchResult.summary.failed}`);
-      console.log(`  - API calls used: ${batchResult.summary.apiCallsUsed}`);
-
-      // Audit log for successful multiplication
-      await AuditService.log({
-        userId,
-        action: 'strategyForAll.multiply',
-        resource: 'campaign',
-        resourceId: campaignStructure.campaign.id,
-        details: {
-          campaignId: campaignStructure.campaign.id,
-          campaignName: campaignStructure.campaign.name,
-          adAccountId: userFacebookApi.config.adAccountId,
-          strategyType: 'for-all',
-          targetCopies: multiplyCount,
-          successfulCopies: batchResult.summary.successful,
-          failedCopies: batchResult.summary.failed,
-          method: 'batch'
-        },
-        status: 'success'
-      });
-    } else {
-      throw new Error('Batch multiplication failed');
-    }
-
-  } catch (error) {
-    console.error(`❌ Job ${jobId} failed:`, error);
-
-    // Fallback to original method if batch fails
-    console.log('⚠️ Batch method failed, falling back to sequential method...');
-
-    updateJobStatus(jobId, {
-      currentOperation: 'Batch failed, using sequential method...'
-    });
-
-    // Try the original sequential approach as fallback
-    try {
-      const results = [];
-      const errors = [];
-
-      for (let i = 0; i < multiplyCount; i++) {
-        try {
-          updateJobStatus(jobId, {
-            status: 'processing',
-            progress: i,
-            currentOperation: `Creating campaign ${i + 1} of ${multiplyCount} (sequential)...`
-          });
-
-          const updateProgress = (message) => {
-            updateJobStatus(jobId, {
-              currentOperation: `Campaign ${i + 1}: ${message}`
-            });
-          };
-
-          // Use original method as fallback
-          const multipliedCampaign = await userFacebookApi.multiplyStrategyForAllCampaign({
-            sourceCampaignId: campaignStructure.campaignId,
-            sourceAdSetIds: campaignStructure.adSetIds,
-          postId: campaignStructure.postId,
-          campaignDetails: campaignStructure.campaignDetails,
-          copyNumber: i + 1,
-          timestamp: Date.now(),
-          updateProgress
-        });
-
-        results.push({
-          copyNumber: i + 1,
-          campaign: multipliedCampaign.campaign,
-          adSetsCreated: multipliedCampaign.adSetsCreated,
-          adsCreated: multipliedCampaign.adsCreated,
-          status: 'success'
-        });
-
-        // Update job with successful result
-        job.campaigns.push(multipliedCampaign);
-        console.log(`✅ Job ${jobId}: Successfully created copy ${i + 1}`);
-
-        // Store multiplied campaign in tracking table
-        try {
-          const { CampaignTracking } = require('../models');
-          const facebookAuth = await FacebookAuth.findOne({
-            where: { user_id: req.user?.id || req.userId },
-            order: [['created_at', 'DESC']]
-          });
-
-          await CampaignTracking.create({
-            campaign_id: multipliedCampaign.campaign.id,
-            campaign_name: multipliedCampaign.campaign.name,
-            user_id: req.user?.id || req.userId,
-            ad_account_id: facebookAuth?.selectedAdAccount?.id || 'unknown',
-            strategy_type: 'multiplication',
-            post_id: postId || null,
-            ad_set_count: multipliedCampaign.adSetsCreated || 50,
-            status: 'ACTIVE'
-          });
-          console.log(`📊 Multiplied campaign ${multipliedCampaign.campaign.id} added to tracking`);
-        } catch (trackingError) {
-          console.error('Warning: Could not add multiplied campaign to tracking:', trackingError.message);
-        }
-
-      } catch (error) {
-        console.error(`❌ Job ${jobId}: Failed to create copy ${i + 1}:`, error.message);
-
-        // Check if it's a rate limit error
-        if (error.message?.includes('Rate limited')) {
-          // The delay has already been applied in multiplyStrategyForAllCampaign
-          // Retry this campaign
-          i--; // Decrement to retry this campaign
-          updateJobStatus(jobId, {
-            currentOperation: `Rate limited - will retry campaign ${i + 2} after delay...`
-          });
-        } else {
-          // Non-rate limit error, record and continue
-          errors.push({
-            copyNumber: i + 1,
-            error: error.message,
-            status: 'failed'
-          });
-          job.errors.push({
-            copyNumber: i + 1,
-            error: error.message
-          });
-        }
-      }
-    }
-
-    // Mark job as completed
-    updateJobStatus(jobId, {
-      status: 'completed',
-      progress: multiplyCount,
-      currentOperation: 'Multiplication completed',
-      completedAt: Date.now()
-    });
-
-    console.log(`✅ Job ${jobId} completed: ${results.length} successful, ${errors.length} failed`);
-
-    // Audit log for successful multiplication (sequential fallback)
-    await AuditService.log({
-      userId,
-      action: 'strategyForAll.multiply',
-      resource: 'campaign',
-      resourceId: campaignStructure.campaign.id,
-      details: {
-        campaignId: campaignStructure.campaign.id,
-        campaignName: campaignStructure.campaign.name,
-        adAccountId: userFacebookApi.config.adAccountId,
-        strategyType: 'for-all',
-        targetCopies: multiplyCount,
-        successfulCopies: results.length,
-        failedCopies: errors.length,
-        method: 'sequential-fallback'
-      },
-      status: 'success'
-    });
-
-    } catch (fallbackError) {
-      console.error(`❌ Job ${jobId} fallback also failed:`, fallbackError);
-      updateJobStatus(jobId, {
-        status: 'failed',
-        error: fallbackError.message,
-        completedAt: Date.now()
-      });
-    }
-  }
-}
-
-// Get multiplication progress (for async operations)
-router.get('/multiply/status/:jobId', authenticate, async (req, res) => {
-  try {
-    const { jobId } = req.params;
-
-    // Get job from memory
-    const job = multiplicationJobs.get(jobId);
-
-    if (!job) {
-      return res.status(404).json({
-        error: 'Job not found'
-      });
-    }
-
-    // Calculate elapsed and remaining time
-    const elapsed = Date.now() - job.startTime;
-    const estimatedRemaining = Math.max(0, (job.estimatedSeconds * 1000) - elapsed);
-    const percentComplete = job.total > 0 ? Math.floor((job.progress / job.total) * 100) : 0;
-
-    res.json({
-      id: job.id,
-      status: job.status,
-      progress: job.progress,
-      total: job.total,
-      currentOperation: job.currentOperation,
-      campaigns: job.campaigns,
-      errors: job.errors,
-      elapsedSeconds: Math.floor(elapsed / 1000),
-      remainingSeconds: Math.floor(estimatedRemaining / 1000),
-      percentComplete,
-      startTime: job.startTime,
-      completedAt: job.completedAt
-    });
-  } catch (error) {
-    console.error('Progress fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// Duplicate / multiply endpoints, run by StrategyEngine with this route's registry entry
+router.use(createStrategyJobRouter('strategy-for-all'));
 
 module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const FacebookAPI = require('../services/facebookApi');
+const ResourceHelper = require('../services/ResourceHelper');
+const AuditService = require('../services/AuditService');
+const FailureTracker = require('../services/FailureTracker');
+const StrategyEngine = require('../services/StrategyEngine');
+const { authenticate } = require('../middleware/auth');
+const { requireFacebookAuth, refreshFacebookToken } = require('../middleware/facebookAuth');
+const { getLegacyRoute } = require('../config/strategies');
+
+/**
+ * Duplicate / multiply endpoints of the legacy strategy routes
+ *
+ * strategy150.js, strategyForAll.js and strategyForAds.js mount this router with
+ * their config/strategies LEGACY_ROUTES key; the work itself is done by
+ * StrategyEngine.duplicateAdSets() and StrategyEngine.multiplyCampaign().
+ *
+ * - POST /duplicate               Copy an ad set of a campaign
+ * - GET  /progress/:campaignId    Progress of the latest duplication in a campaign
+ * - POST /multiply                Copy a whole campaign up to 9 times (background job)
+ * - GET  /multiply/status/:jobId  Progress of a multiply job
+ *
+ * @param {String} routeKey - e.g. 'strategy-150'
+ * @returns {express.Router}
+ */
+function createStrategyJobRouter(routeKey) {
+  const route = getLegacyRoute(routeKey);
+  const router = express.Router();
+
+  /**
+   * FacebookAPI for the user's active ad account, page and pixel,
+   * or null once the error response has been sent
+   */
+  async function buildFacebookApi(req, res, action) {
+    const activeResources = await ResourceHelper.getActiveResourcesWithFallback(req.user.id);
+
+    if (!activeResources.selectedAdAccountId || !activeResources.selectedPageId) {
+      res.status(400).json({
+        success: false,
+        error: `Please select an ad account and page before ${action}`
+      });
+      return null;
+    }
+
+    console.log(`📋 [${route.label}] Using active resources:`);
+    console.log('  ✓ Ad Account:', activeResources.selectedAdAccount?.name || activeResources.selectedAdAccountId);
+    console.log('  ✓ Page:', activeResources.selectedPage?.name || activeResources.selectedPageId);
+
+    return {
+      activeResources,
+      facebookApi: new FacebookAPI({
+        // Token from middleware (already validated and decrypted)
+        accessToken: req.facebookAuth.accessToken,
+        adAccountId: activeResources.selectedAdAccountId.replace('act_', ''),
+        pageId: activeResources.selectedPageId,
+        pixelId: activeResources.selectedPixelId || req.facebookAuth.authRecord?.selectedPixel?.id || null
+      })
+    };
+  }
+
+  router.post('/duplicate', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
+    try {
+      const resources = await buildFacebookApi(req, res, 'duplicating ad sets');
+      if (!resources) return;
+
+      const data = await StrategyEngine.duplicateAdSets(routeKey, resources.facebookApi, req.body, {
+        userId: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: data.status === 'in_progress'
+          ? 'Duplication process started'
+          : 'Duplication completed successfully using Batch API',
+        data: {
+          ...data,
+          adAccount: resources.activeResources.selectedAdAccount
+        }
+      });
+    } catch (error) {
+      console.error('Duplication start error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  router.get('/progress/:campaignId', authenticate, async (req, res) => {
+    try {
+      const progress = await StrategyEngine.getDuplicationProgress(routeKey, req.params.campaignId);
+
+      // No job found - either finished long ago or never started
+      res.json(progress || {
+        completed: 0,
+        total: 0,
+        status: 'not_found',
+        currentOperation: 'No active duplication found',
+        adSets: [],
+        errors: []
+      });
+    } catch (error) {
+      console.error('Progress fetch error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  router.post('/multiply', authenticate, requireFacebookAuth, refreshFacebookToken, async (req, res) => {
+    let adAccountId = null;
+    try {
+      const resources = await buildFacebookApi(req, res, 'multiplying campaigns');
+      if (!resources) return;
+      adAccountId = resources.facebookApi.adAccountId;
+
+      const { jobId, estimatedSeconds } = await StrategyEngine.multiplyCampaign(routeKey, resources.facebookApi, req.body, {
+        userId: req.user.id
+      });
+
+      res.json({
+        success: true,
+        jobId,
+        estimatedSeconds,
+        message: `Multiplication started. Estimated time: ${Math.ceil(estimatedSeconds / 60)} minutes`
+      });
+    } catch (error) {
+      console.error('❌ Campaign multiplication error:', error);
+
+      if (!error.status) {
+        // Track failure in FailureTracker for the Failures box
+        await FailureTracker.safeTrackFailedEntity({
+          userId: req.user.id,
+          campaignId: req.body?.sourceCampaignId,
+          campaignName: `Multiply of ${req.body?.sourceCampaignId}`,
+          entityType: 'campaign',
+          error,
+          strategyType: route.jobTypes.multiply,
+          metadata: {
+            adAccountId,
+            multiplyCount: req.body?.multiplyCount,
+            stage: 'campaign_multiplication'
+          }
+        });
+
+        await AuditService.logRequest(
+          req,
+          `${route.auditAction}.multiply`,
+          'campaign',
+          req.body?.sourceCampaignId,
+          'failure',
+          error.message
+        );
+      }
+
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to multiply campaign'
+      });
+    }
+  });
+
+  router.get('/multiply/status/:jobId', authenticate, async (req, res) => {
+    try {
+      const status = await StrategyEngine.getMultiplyStatus(routeKey, req.params.jobId);
+
+      if (!status) {
+        return res.status(404).json({
+          error: 'Job not found'
+        });
+      }
+
+      res.json(status);
+    } catch (error) {
+      console.error('Progress fetch error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStrategyJobRouter };
@@ -0,0 +1,29 @@
+/**
+ * Offline Graph API Stand-in
+ *
+ * Starts the in-memory fake Marketing API so full strategy launches can run
+ * without touching Facebook. In another terminal start the backend with:
+ *
+ *   FB_GRAPH_BASE_URL=http://localhost:5055 npm run dev
+ *
+ * Options (env):
+ *   FAKE_GRAPH_PORT        Port to listen on (default 5055)
+ *   FAKE_GRAPH_LATENCY_MS  Artificial latency per request (default 0)
+ */
+
+require('dotenv').config();
+
+const FakeGraphApi = require('../services/FakeGraphApi');
+
+const port = parseInt(process.env.FAKE_GRAPH_PORT, 10) || 5055;
+const latencyMs = parseInt(process.env.FAKE_GRAPH_LATENCY_MS, 10) || 0;
+
+const fakeGraph = new FakeGraphApi({ latencyMs });
+
+fakeGraph.listen(port).then(() => {
+  console.log(`🧪 Fake Graph API listening on http://localhost:${port}`);
+  console.log(`   Point the backend at it with FB_GRAPH_BASE_URL=http://localhost:${port}`);
+  console.log(`   Inspect state:   GET  http://localhost:${port}/__fake/state`);
+  console.log(`   Inject faults:   POST http://localhost:${port}/__fake/faults`);
+  console.log(`   Reset:           POST http://localhost:${port}/__fake/reset`);
+});
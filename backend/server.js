@@ -141,6 +141,18 @@ app.use('/api/campaigns/strategy-for-ads', require('./routes/strategyForAds'));
 // Ad duplication routes (sub-route of strategy-for-all)
 app.use('/api/campaigns/strategy-for-all/ads', require('./routes/adDuplication'));
 
+// Declarative strategy routes - any structure from config/strategies.js (must be before general campaigns route)
+app.use('/api/campaigns/strategies', require('./routes/strategies'));
+
+// Split test (ad study) routes (must be before general campaigns route)
+app.use('/api/campaigns/split-tests', require('./routes/splitTests'));
+
+// Spreadsheet bulk launch routes (must be before general campaigns route)
+app.use('/api/campaigns/bulk-launch', require('./routes/bulkLaunch'));
+
+// Deferred (scheduled) strategy launches (must be before general campaigns route)
+app.use('/api/campaigns/deferred-launches', require('./routes/deferredLaunches'));
+
 // Campaign management routes (must be before general campaigns route)
 app.use('/api/campaigns/manage', require('./routes/campaignManagement'));
 
@@ -171,12 +183,21 @@ app.use('/api/data-deletion', dataDeletionRoutes);
 // Campaign templates routes
 app.use('/api/templates', require('./routes/templates'));
 
+// Instant Forms (lead forms) and retrieved leads
+app.use('/api/lead-forms', require('./routes/leadForms'));
+
+// Naming conventions (name templates + name parsing)
+app.use('/api/naming-conventions', require('./routes/namingConventions'));
+
 // Campaign scheduling routes (for automated start/pause)
 app.use('/api/campaigns', require('./routes/campaignSchedule'));
 
 // Failed entities routes (for campaign creation failure tracking and recovery)
 app.use('/api/failures', require('./routes/failures'));
 
+// Live job progress over Server-Sent Events (launch, duplicate, multiply, deploy, backfill)
+app.use('/api/jobs', require('./routes/jobs'));
+
 // AI routes (for ChatGPT-powered ad copy variations)
 app.use('/api/ai', aiRoutes);
 
@@ -424,6 +445,34 @@ async function startServer() {
       // Don't fail server startup if queue processor fails
     }
 
+    // Resume multiply/duplicate/deployment jobs interrupted by the last restart
+    try {
+      const jobStore = require('./services/JobStore');
+      const resumeSummary = await jobStore.resumeInterruptedJobs();
+      console.log(`Interrupted jobs: ${resumeSummary.resumed} resumed, ${resumeSummary.failed} marked failed.`);
+    } catch (jobStoreError) {
+      console.error('Failed to resume interrupted jobs:', jobStoreError.message);
+      // Don't fail server startup if jobs can't be resumed
+    }
+
+    // Pull Instant Form leads on a schedule (one request per active form)
+    try {
+      const leadFormService = require('./services/LeadFormService');
+      leadFormService.initialize();
+    } catch (leadSyncError) {
+      console.error('Failed to start lead sync:', leadSyncError.message);
+      // Don't fail server startup if lead sync fails
+    }
+
+    // Create deferred strategy launches when their launch time comes
+    try {
+      const deferredLaunchService = require('./services/DeferredLaunchService');
+      await deferredLaunchService.initialize();
+    } catch (deferredError) {
+      console.error('Failed to start deferred launches:', deferredError.message);
+      // Don't fail server startup if deferred launches can't be checked
+    }
+
     // ============================================================================
     // TEMPORARILY DISABLED: Campaign Intelligence Engine & Scheduler
     // Reason: Reduce Facebook API calls to prevent rate limiting during testing
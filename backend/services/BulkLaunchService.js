@@ -0,0 +1,699 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const XLSX = require('xlsx');
+const db = require('../models');
+const RateLimitService = require('./RateLimitService');
+const LocationMapper = require('./LocationMapper');
+const StrategyEngine = require('./StrategyEngine');
+const SafetyChecks = require('./SafetyChecks');
+const { getStrategy, listStrategies, resolveStrategy } = require('../config/strategies');
+const { assertPublicUrl, publicLookup } = require('../utils/outboundUrl');
+
+/**
+ * Bulk Launch Service - one campaign per spreadsheet row
+ *
+ * Flow:
+ * 1. parseSpreadsheet(): CSV/XLSX -> row objects keyed by canonical column names
+ * 2. validateRows(): every row is checked up front; if any row is invalid nothing
+ *    is launched and the per-row errors are returned
+ * 3. createBulkLaunch(): stores a BulkLaunch and queues each row as a
+ *    'launch_campaign' RequestQueue entry (processed by QueueProcessor)
+ * 4. launchRow(): called by QueueProcessor - runs SafetyChecks like an immediate
+ *    launch, then launches the row's structure from config/strategies.js through
+ *    StrategyEngine. Uploaded media is deleted once no queued row needs it.
+ * 5. getBulkLaunch(): per-row status read back from the queue entries
+ */
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const MAX_ROWS = 200;
+
+// Media URLs: same size limit as direct uploads (Facebook's video limit), few redirects
+const MAX_MEDIA_BYTES = 4 * 1024 * 1024 * 1024;
+const MAX_MEDIA_REDIRECTS = 5;
+
+// Accepted header spellings for each column (compared after normalizeHeader)
+const COLUMN_ALIASES = {
+  campaignName: ['campaign name', 'name', 'campaign'],
+  budget: ['budget', 'daily budget'],
+  states: ['states', 'state', 'regions'],
+  primaryText: ['primary text', 'text', 'body'],
+  headline: ['headline', 'title'],
+  description: ['description'],
+  url: ['url', 'landing page', 'landing page url', 'link'],
+  media: ['media', 'media file', 'media url', 'image', 'video', 'creative'],
+  adSetCount: ['ad set count', 'ad sets', 'adsets', 'adset count'],
+  startDate: ['start date', 'start', 'schedule start', 'start time'],
+  endDate: ['end date', 'end', 'schedule end', 'end time'],
+  callToAction: ['call to action', 'cta']
+};
+
+const DATE_COLUMNS = ['startDate', 'endDate'];
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff', '.tif'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mpeg', '.mpg', '.mov', '.avi', '.wmv', '.webm', '.ogv', '.3gp', '.3g2'];
+
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Cell value as a trimmed string; date cells (spreadsheet serials) become
+ * YYYY-MM-DDTHH:mm, the format the strategy forms send for schedule dates.
+ * The serial is decoded as the wall-clock time typed in the sheet - never through
+ * the server's time zone - and is read in the ad account's time zone at launch.
+ */
+function formatCell(value, isDate = false) {
+  if (isDate && typeof value === 'number') {
+    const date = XLSX.SSF.parse_date_code(value);
+    if (date) {
+      const pad = n => String(n).padStart(2, '0');
+      return `${date.y}-${pad(date.m)}-${pad(date.d)}T${pad(date.H)}:${pad(date.M)}`;
+    }
+  }
+  return String(value ?? '').trim();
+}
+
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = parseFloat(String(value).replace(/[$,]/g, ''));
+  return isNaN(parsed) ? NaN : parsed;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function mediaTypeFromName(name) {
+  const ext = path.extname(String(name).split('?')[0]).toLowerCase();
+  if (VIDEO_EXTENSIONS.includes(ext)) return 'single_video';
+  if (IMAGE_EXTENSIONS.includes(ext)) return 'single_image';
+  return null;
+}
+
+class BulkLaunchService {
+  /**
+   * Strategy keys a spreadsheet can be launched with (registry keys and their aliases)
+   */
+  getStrategies() {
+    return listStrategies().flatMap(strategy => [strategy.key, ...(strategy.aliases || [])]);
+  }
+
+  /**
+   * Parse a CSV/XLSX buffer into row objects keyed by canonical column names
+   * @param {Buffer} buffer - Spreadsheet contents
+   * @returns {Object} { rows: [{ rowNumber, values }], unknownColumns }
+   */
+  parseSpreadsheet(buffer) {
+    // Dates stay serial numbers so they are not shifted by the server's time zone (see formatCell)
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!worksheet) {
+      throw new Error('Spreadsheet has no sheets');
+    }
+
+    const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: true });
+    if (data.length < 2) {
+      throw new Error('Spreadsheet needs a header row and at least one campaign row');
+    }
+
+    const headers = data[0].map(normalizeHeader);
+    const columnMap = {};
+    const unknownColumns = [];
+
+    headers.forEach((header, index) => {
+      const column = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(header));
+      if (column && columnMap[column] === undefined) {
+        columnMap[column] = index;
+      } else if (header && !column) {
+        unknownColumns.push(data[0][index]);
+      }
+    });
+
+    const rows = [];
+    data.slice(1).forEach((cells, index) => {
+      if (cells.every(cell => String(cell).trim() === '')) return;
+
+      const values = {};
+      Object.entries(columnMap).forEach(([column, cellIndex]) => {
+        values[column] = formatCell(cells[cellIndex], DATE_COLUMNS.includes(column));
+      });
+      rows.push({ rowNumber: index + 2, values }); // Row 1 is the header
+    });
+
+    return { rows, unknownColumns };
+  }
+
+  /**
+   * Validate every row and build the campaignData each one will launch with
+   *
+   * @param {Array} rows - From parseSpreadsheet
+   * @param {Object} context - { strategy, defaults, mediaFiles, adAccountId, pageId, pixelId }
+   * @returns {Object} { valid, rows: [{ rowNumber, campaignName, errors, campaignData }] }
+   */
+  validateRows(rows, context) {
+    const { strategy, defaults = {}, mediaFiles = [] } = context;
+    const seenNames = new Map();
+
+    const results = rows.map(({ rowNumber, values }) => {
+      const errors = [];
+      const campaignName = values.campaignName;
+
+      if (!campaignName) {
+        errors.push('Campaign name is required');
+      } else if (campaignName.length > 400) {
+        errors.push('Campaign name must be 400 characters or less');
+      } else if (seenNames.has(campaignName.toLowerCase())) {
+        errors.push(`Duplicate campaign name (also on row ${seenNames.get(campaignName.toLowerCase())})`);
+      } else {
+        seenNames.set(campaignName.toLowerCase(), rowNumber);
+      }
+
+      const rawBudget = values.budget || defaults.dailyBudget;
+      const budget = parseAmount(rawBudget);
+      if (budget === undefined) {
+        errors.push('Budget is required');
+      } else if (isNaN(budget) || budget <= 0) {
+        errors.push(`Invalid budget: ${rawBudget}`);
+      }
+
+      const stateNames = (values.states || '').split(/[,;|]/).map(s => s.trim()).filter(Boolean);
+      const stateCodes = [];
+      stateNames.forEach(name => {
+        const code = LocationMapper.getStateCode(name);
+        if (code) {
+          stateCodes.push(code);
+        } else {
+          errors.push(`Unknown state: ${name}`);
+        }
+      });
+
+      const primaryText = values.primaryText || defaults.primaryText;
+      const headline = values.headline || defaults.headline;
+      if (!primaryText) errors.push('Primary text is required');
+      if (!headline) errors.push('Headline is required');
+
+      const url = values.url || defaults.url;
+      if (!url) {
+        errors.push('URL is required');
+      } else if (!isHttpUrl(url)) {
+        errors.push(`Invalid URL: ${url}`);
+      }
+
+      // Media: an uploaded file name or an http(s) URL downloaded at launch time
+      let mediaPath = null;
+      let mediaUrl = null;
+      let mediaType = null;
+      if (!values.media) {
+        errors.push('Media file name or URL is required');
+      } else if (isHttpUrl(values.media)) {
+        mediaUrl = values.media;
+        mediaType = mediaTypeFromName(values.media) || 'single_image';
+      } else {
+        const file = mediaFiles.find(f => f.originalname.toLowerCase() === values.media.toLowerCase());
+        if (!file) {
+          errors.push(`Media file "${values.media}" was not uploaded with the spreadsheet`);
+        } else {
+          mediaPath = file.path;
+          mediaType = mediaTypeFromName(file.originalname);
+          if (!mediaType) {
+            errors.push(`Unsupported media type: ${values.media}`);
+          }
+        }
+      }
+
+      let adSetCount = getStrategy(strategy).adSets;
+      if (values.adSetCount) {
+        try {
+          adSetCount = resolveStrategy(strategy, { adSets: values.adSetCount }).adSets;
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+
+      let startDate;
+      let endDate;
+      if (values.startDate) {
+        startDate = new Date(values.startDate);
+        if (isNaN(startDate.getTime())) errors.push(`Invalid start date: ${values.startDate}`);
+      }
+      if (values.endDate) {
+        endDate = new Date(values.endDate);
+        if (isNaN(endDate.getTime())) {
+          errors.push(`Invalid end date: ${values.endDate}`);
+        } else if (endDate <= new Date()) {
+          errors.push('End date must be in the future');
+        } else if (startDate && !isNaN(startDate.getTime()) && endDate <= startDate) {
+          errors.push('End date must be after start date');
+        }
+      }
+
+      if (errors.length > 0) {
+        return { rowNumber, campaignName, errors };
+      }
+
+      return {
+        rowNumber,
+        campaignName,
+        errors,
+        campaignData: this.buildCampaignData({
+          campaignName,
+          budget,
+          stateCodes,
+          primaryText,
+          headline,
+          description: values.description || defaults.description,
+          url,
+          callToAction: values.callToAction || defaults.callToAction,
+          mediaType,
+          mediaPath,
+          mediaUrl,
+          adSetCount,
+          startDate: values.startDate || undefined,
+          endDate: values.endDate || undefined
+        }, context)
+      };
+    });
+
+    return {
+      valid: results.every(row => row.errors.length === 0),
+      rows: results
+    };
+  }
+
+  /**
+   * Build campaignData in the same shape the strategy create routes pass to FacebookAPI
+   */
+  buildCampaignData(row, context) {
+    const { defaults = {}, adAccountId, pageId, pixelId } = context;
+    const budgetLevel = defaults.budgetLevel || 'adset';
+    const pixel = defaults.pixel || pixelId;
+
+    return {
+      campaignName: row.campaignName,
+      buyingType: defaults.buyingType || 'AUCTION',
+      objective: defaults.objective || 'OUTCOME_LEADS',
+      budgetLevel,
+      specialAdCategories: Array.isArray(defaults.specialAdCategories)
+        ? defaults.specialAdCategories.filter(cat => cat !== 'NONE' && cat !== '')
+        : [],
+      campaignBudgetOptimization: budgetLevel === 'campaign',
+      bidStrategy: defaults.bidStrategy || 'LOWEST_COST_WITHOUT_CAP',
+      bidAmount: parseAmount(defaults.bidAmount),
+      costCap: parseAmount(defaults.costCap),
+      campaignBudget: budgetLevel === 'campaign' ? { dailyBudget: row.budget } : {},
+
+      performanceGoal: defaults.performanceGoal,
+      pixel,
+      conversionLocation: defaults.conversionLocation || 'website',
+      leadFormId: defaults.leadFormId,
+      conversionEvent: defaults.conversionEvent || 'Lead',
+      attributionSetting: defaults.attributionSetting || '1_day_click_1_day_view',
+
+      adSetBudget: {
+        dailyBudget: row.budget,
+        scheduleType: row.endDate ? 'scheduled' : 'run_continuously',
+        startDate: row.startDate,
+        endDate: row.endDate
+      },
+      budgetType: 'daily',
+      dailyBudget: row.budget,
+
+      targeting: {
+        ...(defaults.targeting || {}),
+        locations: row.stateCodes.length > 0
+          ? { states: row.stateCodes }
+          : (defaults.targeting?.locations || { countries: ['US'] })
+      },
+      placementType: defaults.placementType || 'automatic',
+      placements: defaults.placements,
+
+      facebookPage: pageId,
+      url: row.url,
+      primaryText: row.primaryText,
+      headline: row.headline,
+      description: row.description,
+      callToAction: row.callToAction || 'LEARN_MORE',
+      displayLink: defaults.displayLink,
+      editorName: defaults.editorName,
+
+      mediaType: row.mediaType,
+      imagePath: row.mediaType === 'single_image' ? row.mediaPath : null,
+      videoPath: row.mediaType === 'single_video' ? row.mediaPath : null,
+      mediaUrl: row.mediaUrl,
+
+      duplicationSettings: {
+        adSetCount: row.adSetCount
+      },
+
+      publishDirectly: true,
+      selectedPageId: pageId,
+      selectedAdAccountId: adAccountId,
+      selectedPixelId: pixel
+    };
+  }
+
+  /**
+   * Validate a spreadsheet and queue one launch per row
+   *
+   * @param {Object} params - { userId, accessToken, adAccountId, pageId, pixelId, strategy,
+   *                            fileName, buffer, mediaFiles, defaults, validateOnly }
+   * @returns {Promise<Object>} { valid, rows, bulkLaunch? }
+   */
+  async createBulkLaunch(params) {
+    const { userId, accessToken, adAccountId, pageId, pixelId, strategy, fileName, buffer, validateOnly } = params;
+
+    if (!getStrategy(strategy)) {
+      throw new Error(`Unknown strategy "${strategy}". Use one of: ${this.getStrategies().join(', ')}`);
+    }
+
+    const { rows, unknownColumns } = this.parseSpreadsheet(buffer);
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`A spreadsheet can launch at most ${MAX_ROWS} campaigns (got ${rows.length})`);
+    }
+
+    const validation = this.validateRows(rows, params);
+    const rowSummaries = validation.rows.map(({ rowNumber, campaignName, errors }) => ({ rowNumber, campaignName, errors }));
+
+    console.log(`📊 Bulk launch: ${rows.length} rows, ${rowSummaries.filter(r => r.errors.length > 0).length} invalid`);
+
+    if (!validation.valid || validateOnly) {
+      return { valid: validation.valid, rows: rowSummaries, unknownColumns };
+    }
+
+    const bulkLaunch = await db.BulkLaunch.create({
+      userId,
+      adAccountId,
+      strategy,
+      fileName,
+      status: 'queued',
+      totalRows: validation.rows.length,
+      rows: [],
+      settings: params.defaults || null
+    });
+
+    const queuedRows = [];
+    for (const row of validation.rows) {
+      const queued = await RateLimitService.queueRequest({
+        userId,
+        adAccountId,
+        actionType: 'launch_campaign',
+        requestData: {
+          body: {
+            bulkLaunchId: bulkLaunch.id,
+            rowNumber: row.rowNumber,
+            strategy,
+            pageId,
+            pixelId,
+            campaignData: row.campaignData
+          }
+        },
+        accessToken,
+        processAfter: new Date(),
+        // A failed launch may have created part of the campaign - never retry blindly
+        maxAttempts: 1
+      });
+
+      queuedRows.push({ rowNumber: row.rowNumber, campaignName: row.campaignName, queueId: queued.queueId });
+    }
+
+    await bulkLaunch.update({ rows: queuedRows });
+    console.log(`✅ Bulk launch ${bulkLaunch.id}: ${queuedRows.length} campaigns queued`);
+
+    return { valid: true, rows: rowSummaries, unknownColumns, bulkLaunch: await this.getBulkLaunch(bulkLaunch.id, userId) };
+  }
+
+  /**
+   * Launch one queued row (called by QueueProcessor for 'launch_campaign').
+   * Whether it launches or fails, media no waiting row needs is deleted afterwards.
+   *
+   * @param {FacebookAPI} facebookApi - Instance for the row's ad account/page/pixel
+   * @param {Object} request - RequestQueue entry
+   * @returns {Promise<Object>} Stored as the queue entry's result
+   */
+  async launchRow(facebookApi, request) {
+    try {
+      return await this.launchQueuedRow(facebookApi, request);
+    } finally {
+      await this.releaseMedia(request.requestData.body.bulkLaunchId, request.id).catch(error => {
+        console.warn(`⚠️  [Bulk Launch] Could not clean up media:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Pre-creation checks, media download and launch for one row
+   */
+  async launchQueuedRow(facebookApi, request) {
+    const { bulkLaunchId, rowNumber, strategy, campaignData: storedData } = request.requestData.body;
+    const campaignData = { ...storedData };
+
+    console.log(`\n🚀 [Bulk Launch ${bulkLaunchId}] Row ${rowNumber}: ${campaignData.campaignName}`);
+
+    // Same pre-creation checks as an immediate launch (account state, duplicate name, ...)
+    const verification = await SafetyChecks.verifyPreCreationState(
+      request.userId,
+      facebookApi,
+      campaignData.campaignName,
+      facebookApi.adAccountId
+    );
+    await SafetyChecks.logVerification(request.userId, facebookApi.adAccountId, campaignData.campaignName, verification, null);
+
+    if (!verification.canProceed) {
+      throw new Error(`Pre-creation verification failed: ${verification.reasons.join('; ')}`);
+    }
+
+    let downloaded = null;
+    let result;
+    try {
+      if (campaignData.mediaUrl) {
+        downloaded = await this.downloadMedia(campaignData.mediaUrl);
+        campaignData.mediaType = downloaded.mediaType;
+        campaignData.imagePath = downloaded.mediaType === 'single_image' ? downloaded.path : null;
+        campaignData.videoPath = downloaded.mediaType === 'single_video' ? downloaded.path : null;
+      }
+
+      const structure = resolveStrategy(strategy, { adSets: campaignData.duplicationSettings?.adSetCount });
+      result = await StrategyEngine.launch(facebookApi, structure, campaignData, { userId: request.userId });
+    } finally {
+      if (downloaded) {
+        fs.promises.unlink(downloaded.path).catch(() => {});
+      }
+    }
+
+    const [firstCampaign] = result.campaigns;
+    const warnings = [
+      ...(verification.warnings || []),
+      ...result.campaigns.flatMap(campaign => campaign.warnings)
+    ];
+
+    console.log(`✅ [Bulk Launch ${bulkLaunchId}] Row ${rowNumber}: ${result.totals.campaigns} campaign(s) with ${result.totals.adSets} ad sets`);
+
+    return {
+      bulkLaunchId,
+      rowNumber,
+      campaignId: firstCampaign.campaignId,
+      campaignIds: result.campaigns.map(campaign => campaign.campaignId),
+      campaignName: campaignData.campaignName,
+      postId: firstCampaign.postId,
+      adSetsCreated: result.totals.adSets,
+      adsCreated: result.totals.ads,
+      jobId: result.jobId,
+      warning: warnings.length > 0 ? warnings.join('; ') : null
+    };
+  }
+
+  /**
+   * Delete the uploaded media of finished rows. One upload can be named on many
+   * rows, so a file is kept while any row still waiting in the queue uses it.
+   *
+   * @param {Number} bulkLaunchId
+   * @param {Number} finishedQueueId - Queue entry that just finished (still 'processing' in the table)
+   */
+  async releaseMedia(bulkLaunchId, finishedQueueId) {
+    const bulkLaunch = await db.BulkLaunch.findByPk(bulkLaunchId);
+    // Rows are still being queued - a row not queued yet may use the same file
+    if (!bulkLaunch || (bulkLaunch.rows || []).length < bulkLaunch.totalRows) return;
+
+    const entries = await db.RequestQueue.findAll({
+      where: { id: bulkLaunch.rows.map(row => row.queueId) },
+      attributes: ['id', 'status', 'requestData']
+    });
+
+    const mediaPaths = entry => {
+      const data = entry.requestData?.body?.campaignData || {};
+      return [data.imagePath, data.videoPath].filter(Boolean);
+    };
+    const isWaiting = entry => entry.id !== finishedQueueId && ['queued', 'processing'].includes(entry.status);
+
+    const inUse = new Set(entries.filter(isWaiting).flatMap(mediaPaths));
+    const finished = new Set(entries.filter(entry => !isWaiting(entry)).flatMap(mediaPaths));
+
+    await Promise.all([...finished]
+      .filter(filePath => !inUse.has(filePath) && path.dirname(filePath) === UPLOADS_DIR)
+      .map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+  }
+
+  /**
+   * Download a media URL into the uploads directory
+   *
+   * Only public http(s) hosts are fetched (utils/outboundUrl), redirects are
+   * followed by hand so every hop is checked, and the body is capped at
+   * MAX_MEDIA_BYTES. A partial file is removed when the download fails.
+   *
+   * @returns {Promise<Object>} { path, mediaType }
+   */
+  async downloadMedia(url) {
+    let currentUrl = url;
+    let response = null;
+
+    for (let hop = 0; hop <= MAX_MEDIA_REDIRECTS; hop++) {
+      assertPublicUrl(currentUrl);
+      response = await axios.get(currentUrl, {
+        responseType: 'stream',
+        timeout: 120000,
+        maxRedirects: 0,
+        maxContentLength: MAX_MEDIA_BYTES,
+        maxBodyLength: MAX_MEDIA_BYTES,
+        lookup: publicLookup,
+        validateStatus: status => status >= 200 && status < 400
+      });
+
+      const location = response.headers.location;
+      if (response.status < 300 || !location) break;
+
+      response.data.destroy();
+      response = null;
+      currentUrl = new URL(location, currentUrl).toString();
+    }
+
+    if (!response) {
+      throw new Error(`Media URL redirected more than ${MAX_MEDIA_REDIRECTS} times`);
+    }
+
+    const declaredLength = parseInt(response.headers['content-length'], 10);
+    if (declaredLength > MAX_MEDIA_BYTES) {
+      response.data.destroy();
+      throw new Error(`Media file is larger than ${MAX_MEDIA_BYTES / (1024 * 1024 * 1024)}GB`);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    const mediaType = contentType.startsWith('video/')
+      ? 'single_video'
+      : (contentType.startsWith('image/') ? 'single_image' : (mediaTypeFromName(currentUrl) || 'single_image'));
+
+    const ext = path.extname(new URL(currentUrl).pathname) || (mediaType === 'single_video' ? '.mp4' : '.jpg');
+    const filePath = path.join(UPLOADS_DIR, `bulk-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`);
+
+    // Stream responses aren't limited by maxContentLength, so count the bytes here
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        callback(received > MAX_MEDIA_BYTES ? new Error('Media file exceeds the size limit') : null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(response.data, limit, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+    console.log(`  📥 Downloaded media ${url} -> ${path.basename(filePath)}`);
+
+    return { path: filePath, mediaType };
+  }
+
+  /**
+   * Bulk launch with per-row status from the queue
+   */
+  async getBulkLaunch(id, userId) {
+    const bulkLaunch = await db.BulkLaunch.findOne({ where: { id, userId } });
+    if (!bulkLaunch) return null;
+
+    const queueIds = (bulkLaunch.rows || []).map(row => row.queueId);
+    const queued = queueIds.length > 0
+      ? await db.RequestQueue.findAll({
+          where: { id: queueIds },
+          attributes: ['id', 'status', 'result', 'error', 'processedAt']
+        })
+      : [];
+    const byId = new Map(queued.map(entry => [entry.id, entry]));
+
+    const rows = (bulkLaunch.rows || []).map(row => {
+      const entry = byId.get(row.queueId);
+      return {
+        rowNumber: row.rowNumber,
+        campaignName: row.campaignName,
+        queueId: row.queueId,
+        status: entry?.status || 'failed',
+        campaignId: entry?.result?.campaignId || null,
+        adSetsCreated: entry?.result?.adSetsCreated || 0,
+        warning: entry?.result?.warning || null,
+        error: entry?.error || (entry ? null : 'Queue entry not found'),
+        processedAt: entry?.processedAt || null
+      };
+    });
+
+    const counts = rows.reduce((acc, row) => {
+      acc[row.status] = (acc[row.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    const pending = (counts.queued || 0) + (counts.processing || 0);
+    let status;
+    if (pending > 0) {
+      status = pending === rows.length && !counts.processing ? 'queued' : 'processing';
+    } else if (counts.completed === rows.length) {
+      status = 'completed';
+    } else {
+      status = counts.completed ? 'partial' : 'failed';
+    }
+
+    if (status !== bulkLaunch.status) {
+      await bulkLaunch.update({
+        status,
+        completedAt: pending === 0 ? new Date() : null
+      });
+    }
+
+    return {
+      id: bulkLaunch.id,
+      strategy: bulkLaunch.strategy,
+      fileName: bulkLaunch.fileName,
+      adAccountId: bulkLaunch.adAccountId,
+      status,
+      totalRows: bulkLaunch.totalRows,
+      counts: {
+        queued: counts.queued || 0,
+        processing: counts.processing || 0,
+        completed: counts.completed || 0,
+        failed: (counts.failed || 0) + (counts.cancelled || 0)
+      },
+      rows,
+      createdAt: bulkLaunch.createdAt,
+      completedAt: bulkLaunch.completedAt
+    };
+  }
+
+  /**
+   * Spreadsheet template with every supported column
+   */
+  getTemplateCsv(strategy = 'strategy-150') {
+    const adSetCount = getStrategy(strategy)?.adSets || 1;
+    const header = ['Campaign Name', 'Budget', 'States', 'Primary Text', 'Headline', 'Description', 'URL', 'Media', 'Ad Set Count', 'Start Date', 'End Date', 'Call To Action'];
+    const example = ['Solar - Texas', '100', 'TX', 'See if you qualify', 'Save on solar', '', 'https://example.com/solar', 'solar.jpg', String(adSetCount), '', '', 'LEARN_MORE'];
+    return `${header.join(',')}\n${example.join(',')}\n`;
+  }
+}
+
+module.exports = new BulkLaunchService();
@@ -1,15 +1,24 @@
+const axios = require('axios');
 const cron = require('node-cron');
 const { DateTime } = require('luxon');
 const db = require('../models');
 const FacebookAPI = require('./facebookApi');
+const { getGraphBaseUrl } = require('../config/graphApi');
+const {
+  isActiveAt,
+  getNextTransitions,
+  listBudgetOccurrences,
+  getNextBudgetActionAt,
+  applyBudgetAction
+} = require('../utils/scheduleWindows');
 
 class CampaignSchedulerService {
   constructor() {
     this.cronJob = null;
     this.isRunning = false;
     this.isInitialized = false;
-    // ⚡ OPTIMIZATION: Campaign status cache to reduce redundant API calls
-    // Cache structure: { campaignId: { status: 'ACTIVE'|'PAUSED', timestamp: Date } }
+    // ⚡ OPTIMIZATION: Status cache to reduce redundant API calls
+    // Cache structure: { 'campaign:123' | 'adset:456' | 'ad:789': { status: 'ACTIVE'|'PAUSED', timestamp: Date } }
     this.statusCache = new Map();
     this.cacheTTL = 5 * 60 * 1000; // 5 minutes cache TTL
   }
@@ -29,11 +38,11 @@ class CampaignSchedulerService {
     try {
       // Debug: Check database state at startup
       const allSchedules = await db.CampaignSchedule.findAll({
-        attributes: ['id', 'campaign_id', 'campaign_name', 'is_enabled', 'user_id', 'facebook_auth_id']
+        attributes: ['id', 'campaign_id', 'campaign_name', 'entity_type', 'entity_id', 'is_enabled', 'user_id', 'facebook_auth_id']
       });
       console.log(`   🔍 STARTUP DEBUG: Found ${allSchedules.length} schedules in database (enabled + disabled)`);
       allSchedules.forEach(s => {
-        console.log(`      - ID:${s.id}, Campaign:${s.campaign_name}, Enabled:${s.is_enabled}, User:${s.user_id}, FBAuth:${s.facebook_auth_id}`);
+        console.log(`      - ID:${s.id}, Campaign:${s.campaign_name}, Entity:${s.entity_type}/${s.entity_id}, Enabled:${s.is_enabled}, User:${s.user_id}, FBAuth:${s.facebook_auth_id}`);
       });
 
       // Recover any missed schedules from server downtime
@@ -82,6 +91,10 @@ class CampaignSchedulerService {
       const schedulesToPause = await this.findDueSchedules('pause');
       console.log(`   📊 Found ${schedulesToPause.length} campaigns to PAUSE`);
 
+      // Find schedules due for BUDGET actions
+      const schedulesForBudget = await this.findDueSchedules('budget');
+      console.log(`   📊 Found ${schedulesForBudget.length} campaigns with BUDGET changes`);
+
       // Execute start actions
       for (const schedule of schedulesToStart) {
         await this.executeScheduledAction(schedule, 'start');
@@ -92,6 +105,11 @@ class CampaignSchedulerService {
         await this.executeScheduledAction(schedule, 'pause');
       }
 
+      // Execute budget actions
+      for (const schedule of schedulesForBudget) {
+        await this.executeBudgetActions(schedule);
+      }
+
       console.log(`✅ [SCHEDULER] Check complete`);
     } catch (error) {
       console.error('❌ [SCHEDULER] Error during schedule check:', error);
@@ -135,6 +153,14 @@ class CampaignSchedulerService {
           { [Op.ne]: null }
         ]
       };
+    } else if (action === 'budget') {
+      whereClause.next_budget_action_at = {
+        [Op.and]: [
+          { [Op.gte]: windowStart },
+          { [Op.lte]: windowEnd },
+          { [Op.ne]: null }
+        ]
+      };
     }
 
     const results = await db.CampaignSchedule.findAll({
@@ -151,7 +177,42 @@ class CampaignSchedulerService {
       console.log(`   ✅ Found ${results.length} schedules due for ${action} (window: ${windowStart.toISOString()} to ${windowEnd.toISOString()})`);
     }
 
-    return results;
+    if (action === 'budget') {
+      return results;
+    }
+
+    // A stored time can be stale (windows, date ranges or blackouts changed since it
+    // was calculated): only act when the schedule still wants that state now.
+    // Times up to 1 min ahead are checked at their due time.
+    const due = [];
+    for (const schedule of results) {
+      const dueAt = action === 'start' ? schedule.next_scheduled_start : schedule.next_scheduled_pause;
+      const checkAt = new Date(Math.max(now.getTime(), new Date(dueAt).getTime()));
+      const wantsActive = isActiveAt(schedule, checkAt);
+
+      if (wantsActive === (action === 'start')) {
+        due.push(schedule);
+      } else {
+        console.log(`   ⏭️  ${schedule.getLabel()}: ${action} no longer due (schedule changed), recalculating`);
+        await this.updateNextExecutionTimes(schedule);
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Status cache key; campaign, ad set and ad schedules are cached separately
+   */
+  getCacheKey(entityType, entityId) {
+    return `${entityType || 'campaign'}:${entityId}`;
+  }
+
+  /**
+   * Forget a cached status (schedule saved or status changed outside the scheduler)
+   */
+  clearStatusCache(entityType, entityId) {
+    this.statusCache.delete(this.getCacheKey(entityType, entityId));
   }
 
   /**
@@ -161,25 +222,28 @@ class CampaignSchedulerService {
    * OPTIMIZATION: Uses status cache to skip API calls if campaign is already in target state
    */
   async executeScheduledAction(schedule, action) {
-    console.log(`🎬 [SCHEDULER] Executing ${action.toUpperCase()} for campaign: ${schedule.campaign_name} (${schedule.campaign_id})`);
+    const entityType = schedule.entity_type || 'campaign';
+    const entityId = schedule.entity_id || schedule.campaign_id;
+    const cacheKey = this.getCacheKey(entityType, entityId);
+    console.log(`🎬 [SCHEDULER] Executing ${action.toUpperCase()} for ${entityType}: ${schedule.getLabel()} (${entityId})`);
 
     try {
       const accessToken = schedule.facebookAuth.accessToken;
       const targetStatus = action === 'start' ? 'ACTIVE' : 'PAUSED';
 
       // ⚡ OPTIMIZATION: Check cache first to avoid unnecessary API calls
-      const cached = this.statusCache.get(schedule.campaign_id);
+      const cached = this.statusCache.get(cacheKey);
       const now = Date.now();
 
       if (cached && (now - cached.timestamp) < this.cacheTTL) {
         // Cache is valid
         if (cached.status === targetStatus) {
-          console.log(`   ⚡ CACHE HIT: Campaign already ${targetStatus} (cached ${Math.floor((now - cached.timestamp) / 1000)}s ago) - skipping API call`);
+          console.log(`   ⚡ CACHE HIT: ${entityType} already ${targetStatus} (cached ${Math.floor((now - cached.timestamp) / 1000)}s ago) - skipping API call`);
           await db.CampaignScheduleLog.createLog(
             schedule.id,
             action,
             'skipped',
-            `Campaign already ${targetStatus} (cached)`,
+            `Already ${targetStatus} (cached)`,
             null
           );
           await this.updateNextExecutionTimes(schedule);
@@ -197,9 +261,10 @@ class CampaignSchedulerService {
       // Execute the action via Facebook API
       console.log(`   📤 API CALL: Calling facebookApi.updateCampaignStatus with status=${targetStatus}`);
       const result = await facebookApi.updateCampaignStatus(
-        schedule.campaign_id,
+        entityId,
         targetStatus,
-        accessToken
+        accessToken,
+        entityType
       );
       console.log(`   📥 API RESPONSE: Result received:`, JSON.stringify(result));
 
@@ -214,13 +279,13 @@ class CampaignSchedulerService {
           null
         );
         // Update cache with current status
-        this.statusCache.set(schedule.campaign_id, {
+        this.statusCache.set(cacheKey, {
           status: targetStatus,
           timestamp: Date.now()
         });
       } else {
         // Success
-        console.log(`   ✅ Successfully ${action === 'start' ? 'started' : 'paused'} campaign`);
+        console.log(`   ✅ Successfully ${action === 'start' ? 'started' : 'paused'} ${entityType}`);
         await schedule.recordSuccess(action);
         await db.CampaignScheduleLog.createLog(
           schedule.id,
@@ -230,18 +295,21 @@ class CampaignSchedulerService {
           result.data
         );
         // Update cache with new status
-        this.statusCache.set(schedule.campaign_id, {
+        this.statusCache.set(cacheKey, {
           status: targetStatus,
           timestamp: Date.now()
         });
-        console.log(`   💾 Cache updated: ${schedule.campaign_id} → ${targetStatus}`);
+        console.log(`   💾 Cache updated: ${cacheKey} → ${targetStatus}`);
       }
 
       // Calculate and update next execution times
       await this.updateNextExecutionTimes(schedule);
 
     } catch (error) {
-      console.error(`   ❌ Failed to ${action} campaign:`, error.message);
+      console.error(`   ❌ Failed to ${action} ${entityType}:`, error.message);
+
+      // Status is unknown after a failed update
+      this.statusCache.delete(cacheKey);
 
       // Record failure
       await schedule.recordFailure(error);
@@ -263,73 +331,218 @@ class CampaignSchedulerService {
   }
 
   /**
-   * Calculate next execution times based on schedule configuration
+   * Execute the budget actions due at schedule.next_budget_action_at
+   *
+   * CBO campaigns (budget on the campaign) go through updateCampaign; ABO
+   * campaigns get every ad set's budget changed through updateAdSet, so a
+   * 'set' amount applies to each ad set. Ad set schedules change only their
+   * ad set. Actions due at the same time are applied in order (e.g. set $300, then +20%).
    */
-  async updateNextExecutionTimes(schedule) {
+  async executeBudgetActions(schedule, actions = null) {
+    const dueAt = new Date(schedule.next_budget_action_at);
+    const due = actions || listBudgetOccurrences(schedule, new Date(dueAt.getTime() - 1), dueAt)[0]?.actions || [];
+
+    console.log(`💰 [SCHEDULER] Executing ${due.length} BUDGET action(s) for ${schedule.entity_type || 'campaign'}: ${schedule.getLabel()} (${schedule.entity_id || schedule.campaign_id})`);
+
+    if (due.length === 0) {
+      await this.updateNextBudgetAction(schedule, dueAt);
+      return;
+    }
+
+    const changes = [];
+    const budgetField = (entity) => {
+      if (Number(entity.daily_budget) > 0) return 'daily_budget';
+      if (Number(entity.lifetime_budget) > 0) return 'lifetime_budget';
+      return null;
+    };
+
     try {
-      const nextStart = this.calculateNextOccurrence(
-        schedule.start_time,
-        schedule.timezone,
-        schedule.days_of_week
-      );
+      const facebookApi = new FacebookAPI({ accessToken: schedule.facebookAuth.accessToken });
+      const campaign = schedule.entity_type === 'adset'
+        ? {}
+        : await facebookApi.getCampaignFullDetails(schedule.campaign_id);
+      const campaignField = budgetField(campaign);
+
+      if (schedule.entity_type === 'adset') {
+        // Ad set schedule: only this ad set's budget
+        const adSet = await this.getAdSetBudget(schedule.entity_id, schedule.facebookAuth.accessToken);
+        const field = budgetField(adSet);
+        if (field) {
+          const from = Number(adSet[field]);
+          const to = due.reduce((cents, action) => applyBudgetAction(cents, action), from);
+          if (to !== from) {
+            console.log(`   📤 API CALL: updateAdSet ${adSet.id} ${field} ${from} → ${to}`);
+            await facebookApi.updateAdSet(adSet.id, { [field]: to });
+          }
+          changes.push({ level: 'adset', id: adSet.id, name: adSet.name, field, from, to });
+        }
+      } else if (campaignField) {
+        // CBO: one budget on the campaign
+        const from = Number(campaign[campaignField]);
+        const to = due.reduce((cents, action) => applyBudgetAction(cents, action), from);
+        if (to !== from) {
+          console.log(`   📤 API CALL: updateCampaign ${campaignField} ${from} → ${to}`);
+          await facebookApi.updateCampaign(schedule.campaign_id, { [campaignField]: to });
+        }
+        changes.push({ level: 'campaign', id: schedule.campaign_id, field: campaignField, from, to });
+      } else {
+        // ABO: each ad set has its own budget
+        const adSets = await facebookApi.getAdSetsForCampaign(schedule.campaign_id) || [];
+        for (const adSet of adSets) {
+          const field = budgetField(adSet);
+          if (!field || ['DELETED', 'ARCHIVED'].includes(adSet.status)) continue;
+
+          const from = Number(adSet[field]);
+          const to = due.reduce((cents, action) => applyBudgetAction(cents, action), from);
+          const change = { level: 'adset', id: adSet.id, name: adSet.name, field, from, to };
+          try {
+            if (to !== from) {
+              console.log(`   📤 API CALL: updateAdSet ${adSet.id} ${field} ${from} → ${to}`);
+              await facebookApi.updateAdSet(adSet.id, { [field]: to });
+            }
+          } catch (adSetError) {
+            change.error = adSetError.message;
+          }
+          changes.push(change);
+        }
+      }
 
-      const nextPause = this.calculateNextOccurrence(
-        schedule.end_time,
-        schedule.timezone,
-        schedule.days_of_week
-      );
+      const failed = changes.filter(change => change.error);
+      const changed = changes.filter(change => !change.error && change.from !== change.to);
+      const details = { actions: due, scheduledFor: dueAt, changes };
 
-      await schedule.updateNextExecutionTimes(nextStart, nextPause);
+      if (failed.length > 0) {
+        throw Object.assign(
+          new Error(`Budget update failed for ${failed.length} of ${changes.length} ad set(s): ${failed[0].error}`),
+          { details }
+        );
+      }
 
-      console.log(`   📅 Next start: ${nextStart ? DateTime.fromJSDate(nextStart).toISO() : 'N/A'}`);
-      console.log(`   📅 Next pause: ${nextPause ? DateTime.fromJSDate(nextPause).toISO() : 'N/A'}`);
+      if (changed.length === 0) {
+        const reason = changes.length === 0 ? 'No campaign or ad set budget to change' : 'Budget already at target';
+        console.log(`   ⏭️  Skipped: ${reason}`);
+        await db.CampaignScheduleLog.createLog(schedule.id, 'budget', 'skipped', reason, details);
+      } else {
+        console.log(`   ✅ Budget changed on ${changed.length} ${changes[0].level === 'campaign' ? 'campaign' : 'ad set(s)'}`);
+        await schedule.recordSuccess('budget');
+        await db.CampaignScheduleLog.createLog(schedule.id, 'budget', 'success', null, details);
+      }
     } catch (error) {
-      console.error(`   ❌ Failed to calculate next execution times:`, error.message);
+      console.error(`   ❌ Failed to change budget:`, error.message);
+
+      await schedule.recordFailure(error);
+      await db.CampaignScheduleLog.createLog(
+        schedule.id,
+        'budget',
+        'failed',
+        error.message,
+        error.details || { actions: due, scheduledFor: dueAt, changes, response: error.response?.data || null }
+      );
+
+      await schedule.reload();
+      if (!schedule.is_enabled) {
+        console.log(`   🚨 Schedule auto-disabled after 3 consecutive failures`);
+      }
     }
+
+    await this.updateNextBudgetAction(schedule, dueAt);
   }
 
   /**
-   * Calculate next occurrence of a time in the schedule
+   * Budget fields of a single ad set (ad set level schedules; budget lives on
+   * the ad set only when the campaign is ABO)
    */
-  calculateNextOccurrence(timeString, timezone, daysOfWeek) {
-    try {
-      // Parse time (HH:MM:SS format from database)
-      const [hours, minutes, seconds] = timeString.split(':').map(Number);
+  async getAdSetBudget(adSetId, accessToken) {
+    const response = await axios.get(`${getGraphBaseUrl()}/${adSetId}`, {
+      params: { fields: 'id,name,status,daily_budget,lifetime_budget', access_token: accessToken }
+    });
+    return response.data;
+  }
 
-      // Start from current time in user's timezone
-      let next = DateTime.now().setZone(timezone);
+  /**
+   * Calculate and store the next budget action time after an instant
+   */
+  async updateNextBudgetAction(schedule, after = new Date()) {
+    try {
+      const nextBudgetAction = getNextBudgetActionAt(schedule, after);
+      await schedule.update({ next_budget_action_at: nextBudgetAction });
 
-      // Set to the target time today
-      next = next.set({ hour: hours, minute: minutes, second: seconds || 0, millisecond: 0 });
+      console.log(`   📅 Next budget action: ${nextBudgetAction ? DateTime.fromJSDate(nextBudgetAction).toISO() : 'N/A'}`);
+    } catch (error) {
+      console.error(`   ❌ Failed to calculate next budget action:`, error.message);
+    }
+  }
 
-      // If this time has already passed today, start from tomorrow
-      if (next < DateTime.now().setZone(timezone)) {
-        next = next.plus({ days: 1 });
+  /**
+   * Name and parent campaign of an ad set or ad (when a schedule request doesn't include them)
+   * @returns {Promise<Object>} { name, campaignId, campaignName }
+   */
+  async getEntityInfo(entityType, entityId, accessToken) {
+    const response = await axios.get(`${getGraphBaseUrl()}/${entityId}`, {
+      params: {
+        fields: entityType === 'campaign' ? 'id,name' : 'id,name,campaign{id,name}',
+        access_token: accessToken
       }
+    });
 
-      // Find next valid day of week
-      let attempts = 0;
-      const maxAttempts = 14; // Search up to 2 weeks ahead
+    return {
+      name: response.data.name,
+      campaignId: entityType === 'campaign' ? response.data.id : response.data.campaign?.id,
+      campaignName: entityType === 'campaign' ? response.data.name : response.data.campaign?.name
+    };
+  }
 
-      while (attempts < maxAttempts) {
-        const dayName = next.weekdayLong.toLowerCase();
+  /**
+   * Timezone of a campaign's (or ad set's / ad's) ad account, for schedules set in account time
+   * @returns {Promise<String|null>} IANA timezone name, null when it can't be read
+   */
+  async getAccountTimezone(entityId, accessToken) {
+    try {
+      const baseUrl = getGraphBaseUrl();
+      const entity = await axios.get(`${baseUrl}/${entityId}`, {
+        params: { fields: 'account_id', access_token: accessToken }
+      });
+      const account = await axios.get(`${baseUrl}/act_${entity.data.account_id}`, {
+        params: { fields: 'timezone_name', access_token: accessToken }
+      });
+      return account.data.timezone_name || null;
+    } catch (error) {
+      console.warn(`⚠️  [SCHEDULER] Could not fetch ad account timezone for ${entityId}:`, error.response?.data?.error?.message || error.message);
+      return null;
+    }
+  }
 
-        if (daysOfWeek.includes(dayName)) {
-          // Found a valid day, return as UTC Date object
-          return next.toUTC().toJSDate();
-        }
+  /**
+   * Calculate next execution times based on schedule configuration
+   */
+  async updateNextExecutionTimes(schedule) {
+    try {
+      const { nextStart, nextPause } = this.calculateNextTransitions(schedule);
 
-        // Move to next day
-        next = next.plus({ days: 1 });
-        attempts++;
-      }
+      await schedule.updateNextExecutionTimes(nextStart, nextPause);
 
-      // No valid day found (shouldn't happen unless daysOfWeek is empty)
-      console.warn(`⚠️  [SCHEDULER] No valid day found for schedule in next ${maxAttempts} days`);
-      return null;
+      console.log(`   📅 Next start: ${nextStart ? DateTime.fromJSDate(nextStart).toISO() : 'N/A'}`);
+      console.log(`   📅 Next pause: ${nextPause ? DateTime.fromJSDate(nextPause).toISO() : 'N/A'}`);
     } catch (error) {
-      console.error('❌ [SCHEDULER] Error calculating next occurrence:', error);
-      return null;
+      console.error(`   ❌ Failed to calculate next execution times:`, error.message);
+    }
+  }
+
+  /**
+   * Calculate the next start and pause across all of the schedule's windows,
+   * date ranges and blackout dates (see utils/scheduleWindows)
+   */
+  calculateNextTransitions(schedule, from = new Date()) {
+    try {
+      const next = getNextTransitions(schedule, from);
+
+      if (!next.nextStart && !next.nextPause) {
+        console.warn(`⚠️  [SCHEDULER] No upcoming run window for schedule ${schedule.id}`);
+      }
+      return next;
+    } catch (error) {
+      console.error('❌ [SCHEDULER] Error calculating next transitions:', error);
+      return { nextStart: null, nextPause: null };
     }
   }
 
@@ -363,6 +576,14 @@ class CampaignSchedulerService {
                   { [Op.ne]: null }
                 ]
               }
+            },
+            {
+              next_budget_action_at: {
+                [Op.and]: [
+                  { [Op.lt]: now },
+                  { [Op.ne]: null }
+                ]
+              }
             }
           ]
         },
@@ -381,18 +602,25 @@ class CampaignSchedulerService {
       console.log(`   📊 Found ${missedSchedules.length} missed schedules, recovering...`);
 
       for (const schedule of missedSchedules) {
-        // Determine which action was missed
-        const missedStart = schedule.next_scheduled_start && schedule.next_scheduled_start < now;
-        const missedPause = schedule.next_scheduled_pause && schedule.next_scheduled_pause < now;
-
-        if (missedStart) {
-          console.log(`   🔄 Recovering missed START for: ${schedule.campaign_name}`);
-          await this.executeScheduledAction(schedule, 'start');
+        if (schedule.next_budget_action_at && schedule.next_budget_action_at < now) {
+          await this.recoverMissedBudgetActions(schedule, now);
         }
 
-        if (missedPause) {
-          console.log(`   🔄 Recovering missed PAUSE for: ${schedule.campaign_name}`);
-          await this.executeScheduledAction(schedule, 'pause');
+        const missedStatus = (schedule.next_scheduled_start && schedule.next_scheduled_start < now) ||
+          (schedule.next_scheduled_pause && schedule.next_scheduled_pause < now);
+        if (!missedStatus) continue;
+
+        // Several starts/pauses may have been missed; only the state the
+        // schedule wants right now matters
+        const action = isActiveAt(schedule, now) ? 'start' : 'pause';
+        console.log(`   🔄 Recovering missed schedule for: ${schedule.getLabel()} (should be ${action === 'start' ? 'running' : 'paused'} now)`);
+        await this.executeScheduledAction(schedule, action);
+
+        // executeScheduledAction only recalculates on success; don't leave past times behind
+        await schedule.reload();
+        if ((schedule.next_scheduled_start && schedule.next_scheduled_start < now) ||
+            (schedule.next_scheduled_pause && schedule.next_scheduled_pause < now)) {
+          await this.updateNextExecutionTimes(schedule);
         }
       }
 
@@ -402,6 +630,39 @@ class CampaignSchedulerService {
     }
   }
 
+  /**
+   * Catch up on budget actions missed during downtime
+   * Only the latest missed 'set' actions are applied (they define the budget
+   * the campaign should have now); missed percentage/amount steps are logged
+   * as skipped rather than stacked.
+   */
+  async recoverMissedBudgetActions(schedule, now = new Date()) {
+    const missedFrom = new Date(new Date(schedule.next_budget_action_at).getTime() - 1);
+    const missed = listBudgetOccurrences(schedule, missedFrom, now);
+    const latestSet = [...missed].reverse().find(occurrence => occurrence.actions.some(action => action.type === 'set'));
+    const skippedSteps = missed.reduce((count, occurrence) =>
+      count + occurrence.actions.filter(action => action.type !== 'set').length, 0);
+
+    console.log(`   🔄 Recovering ${missed.length} missed budget time(s) for: ${schedule.getLabel()}`);
+
+    if (skippedSteps > 0) {
+      await db.CampaignScheduleLog.createLog(
+        schedule.id,
+        'budget',
+        'skipped',
+        `${skippedSteps} budget step(s) missed during downtime were not applied`,
+        { missedFrom: schedule.next_budget_action_at, recoveredAt: now }
+      );
+    }
+
+    if (latestSet) {
+      await schedule.update({ next_budget_action_at: latestSet.at });
+      await this.executeBudgetActions(schedule, latestSet.actions.filter(action => action.type === 'set'));
+    }
+
+    await this.updateNextBudgetAction(schedule, now);
+  }
+
   /**
    * Cleanup old logs (keeps last 90 days)
    */
@@ -429,21 +690,13 @@ class CampaignSchedulerService {
    * Used when creating or updating a schedule
    */
   async setInitialExecutionTimes(schedule) {
-    const nextStart = this.calculateNextOccurrence(
-      schedule.start_time,
-      schedule.timezone,
-      schedule.days_of_week
-    );
-
-    const nextPause = this.calculateNextOccurrence(
-      schedule.end_time,
-      schedule.timezone,
-      schedule.days_of_week
-    );
+    const { nextStart, nextPause } = this.calculateNextTransitions(schedule);
+    const nextBudgetAction = getNextBudgetActionAt(schedule);
 
     await schedule.updateNextExecutionTimes(nextStart, nextPause);
+    await schedule.update({ next_budget_action_at: nextBudgetAction });
 
-    return { nextStart, nextPause };
+    return { nextStart, nextPause, nextBudgetAction };
   }
 }
 
@@ -9,11 +9,12 @@
  */
 
 const axios = require('axios');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 class CampaignVerificationService {
   constructor(accessToken) {
     this.accessToken = accessToken;
-    this.baseURL = `https://graph.facebook.com/${process.env.FB_API_VERSION || 'v18.0'}`;
+    this.baseURL = getGraphBaseUrl(process.env.FB_API_VERSION || 'v18.0');
   }
 
   /**
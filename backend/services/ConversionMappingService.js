@@ -0,0 +1,215 @@
+const FacebookAPI = require('./facebookApi');
+const CrossAccountDeploymentService = require('./CrossAccountDeploymentService');
+const {
+  mapPixel,
+  mapPromotedObject,
+  expectedPixelEvent
+} = require('../utils/conversionMapping');
+
+/**
+ * Conversion Mapping Service - pre-launch check of a deployment's conversion setup
+ *
+ * For every target, the source ad sets' promoted_objects are mapped the way
+ * the deployment will map them (target pixel, conversionMapping rules - see
+ * utils/conversionMapping) and checked against the target pixel's recent
+ * activity:
+ * - the pixel is available and has fired within the lookback window
+ * - the optimization event was received in that window
+ * - a custom conversion belongs to the target pixel and isn't archived
+ *
+ * An ad set optimizing for an event the pixel never receives can't leave
+ * learning, so these are errors and block the deployment.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ConversionMappingService {
+  // Window for "recent" pixel activity
+  get lookbackDays() {
+    return parseInt(process.env.DEPLOYMENT_EVENT_LOOKBACK_DAYS, 10) || 7;
+  }
+
+  /**
+   * Distinct promoted_objects of the source campaign's ad sets
+   * @returns {Promise<Array>} [{ promotedObject, adSets: [names] }]
+   */
+  async readSourceConversions(facebookApi, campaignId) {
+    const groups = new Map();
+    let url = `${facebookApi.baseURL}/${campaignId}/adsets`;
+    let params = { fields: 'name,promoted_object', limit: 100, access_token: facebookApi.accessToken };
+
+    while (url) {
+      const response = await facebookApi.makeApiCallWithRotation('GET', url, { params });
+      (response.data.data || []).forEach(adSet => {
+        if (!adSet.promoted_object) return;
+        const key = JSON.stringify(adSet.promoted_object);
+        const group = groups.get(key) || { promotedObject: adSet.promoted_object, adSets: [] };
+        group.adSets.push(adSet.name);
+        groups.set(key, group);
+      });
+      url = response.data.paging?.next || null;
+      params = undefined; // The next URL carries its own query
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Pixel status and event counts over the lookback window
+   * @returns {Promise<Object>} { pixel, events: { Lead: 12, ... }, error }
+   */
+  async getPixelActivity(facebookApi, pixelId) {
+    const { baseURL, accessToken } = facebookApi;
+    try {
+      const [pixel, stats] = await Promise.all([
+        facebookApi.makeApiCallWithRotation('GET', `${baseURL}/${pixelId}`, {
+          params: { fields: 'id,name,last_fired_time,is_unavailable', access_token: accessToken }
+        }),
+        facebookApi.makeApiCallWithRotation('GET', `${baseURL}/${pixelId}/stats`, {
+          params: {
+            aggregation: 'event',
+            start_time: Math.floor((Date.now() - this.lookbackDays * DAY_MS) / 1000),
+            access_token: accessToken
+          }
+        })
+      ]);
+
+      const events = {};
+      (stats.data.data || []).forEach(bucket => {
+        (bucket.data || []).forEach(({ value, count }) => {
+          events[value] = (events[value] || 0) + (Number(count) || 0);
+        });
+      });
+
+      return { pixel: pixel.data, events, error: null };
+    } catch (error) {
+      return { pixel: null, events: {}, error: error.response?.data?.error?.message || error.message };
+    }
+  }
+
+  async getCustomConversion(facebookApi, customConversionId) {
+    try {
+      const response = await facebookApi.makeApiCallWithRotation('GET', `${facebookApi.baseURL}/${customConversionId}`, {
+        params: { fields: 'id,name,pixel,last_fired_time,is_archived', access_token: facebookApi.accessToken }
+      });
+      return { customConversion: response.data, error: null };
+    } catch (error) {
+      return { customConversion: null, error: error.response?.data?.error?.message || error.message };
+    }
+  }
+
+  /**
+   * Validate every target's conversion setup before a deployment starts
+   *
+   * @param {Number} userId
+   * @param {String} sourceCampaignId
+   * @param {Object} sourceAccount - { adAccountId, pixelId }
+   * @param {Array} targets - Normalized deployment targets
+   * @returns {Promise<Object>} { valid, lookbackDays, targets: [{ index, adAccountId, pixelId, checks, errors }] }
+   */
+  async validateDeployment(userId, sourceCampaignId, sourceAccount, targets) {
+    const accessToken = await CrossAccountDeploymentService.getUserAccessToken(userId);
+    const sourceApi = new FacebookAPI({ accessToken, adAccountId: String(sourceAccount.adAccountId).replace('act_', '') });
+    const conversions = await this.readSourceConversions(sourceApi, sourceCampaignId);
+
+    // Pixels and custom conversions are shared by targets; read each once
+    const cache = { pixels: new Map(), conversions: new Map() };
+
+    const results = [];
+    for (const [index, target] of targets.entries()) {
+      const adAccountId = String(target.adAccountId).replace('act_', '');
+      const api = new FacebookAPI({ accessToken, adAccountId });
+      const pixelId = this.getEffectivePixelId(sourceAccount, target);
+      const result = { index, adAccountId: target.adAccountId, pixelId, checks: [], errors: [] };
+      results.push(result);
+
+      for (const { promotedObject: sourceObject, adSets } of conversions) {
+        const { promotedObject, changes } = mapPromotedObject(sourceObject, target.conversionMapping, pixelId);
+        const expected = expectedPixelEvent(promotedObject);
+        const label = `Target ${index + 1} (${target.adAccountId})`;
+
+        if (sourceObject.pixel_id && !promotedObject.pixel_id) {
+          result.errors.push(`${label}: ad sets optimize for pixel ${sourceObject.pixel_id} but the target has no pixel - set pixelId or conversionMapping.pixels`);
+          continue;
+        }
+        if (!expected) continue;
+
+        const check = { adSets, pixelId: expected.pixelId, event: expected.eventName, customConversionId: expected.customConversionId, mapped: changes, count: null, ok: false };
+        result.checks.push(check);
+
+        const activity = await this.readOnce(cache.pixels, expected.pixelId, () => this.getPixelActivity(api, expected.pixelId));
+        const problem = await this.checkActivity(api, expected, activity, cache);
+        if (activity.events && expected.eventName) check.count = activity.events[expected.eventName] || 0;
+
+        if (problem) {
+          result.errors.push(`${label}: ${problem}`);
+        } else {
+          check.ok = true;
+        }
+      }
+    }
+
+    return {
+      valid: results.every(result => result.errors.length === 0),
+      lookbackDays: this.lookbackDays,
+      targets: results
+    };
+  }
+
+  readOnce(cache, id, read) {
+    if (!cache.has(id)) cache.set(id, read());
+    return cache.get(id);
+  }
+
+  /**
+   * Pixel a target's ad sets fall back to - the same rule as cloneCampaignToTarget
+   */
+  getEffectivePixelId(sourceAccount, target) {
+    const isSameAccount = String(sourceAccount.adAccountId).replace('act_', '') === String(target.adAccountId).replace('act_', '');
+    if (isSameAccount) return sourceAccount.pixelId || null;
+    return target.pixelId || mapPixel(sourceAccount.pixelId, target.conversionMapping) || null;
+  }
+
+  /**
+   * @returns {Promise<String|null>} What's wrong with the pixel / event, null when it's receiving it
+   */
+  async checkActivity(facebookApi, expected, activity, cache) {
+    const { pixelId, eventName, customConversionId } = expected;
+    const since = Date.now() - this.lookbackDays * DAY_MS;
+    const firedRecently = (time) => !!time && new Date(time).getTime() >= since;
+
+    if (activity.error) return `can't read pixel ${pixelId}: ${activity.error}`;
+    if (activity.pixel.is_unavailable) return `pixel ${pixelId} is unavailable`;
+    if (!firedRecently(activity.pixel.last_fired_time)) {
+      return `pixel ${pixelId} hasn't fired in the last ${this.lookbackDays} days`;
+    }
+
+    if (customConversionId) {
+      const { customConversion, error } = await this.readOnce(cache.conversions, customConversionId, () =>
+        this.getCustomConversion(facebookApi, customConversionId)
+      );
+      if (error) return `custom conversion ${customConversionId} isn't accessible (${error}) - map it with conversionMapping.events`;
+      if (customConversion.pixel?.id && String(customConversion.pixel.id) !== pixelId) {
+        return `custom conversion ${customConversionId} belongs to pixel ${customConversion.pixel.id}, not ${pixelId} - map it with conversionMapping.events`;
+      }
+      if (customConversion.is_archived) return `custom conversion ${customConversionId} is archived`;
+      if (!firedRecently(customConversion.last_fired_time)) {
+        return `custom conversion ${customConversion.name || customConversionId} hasn't fired in the last ${this.lookbackDays} days`;
+      }
+      return null;
+    }
+
+    if (!activity.events[eventName]) {
+      const fired = Object.entries(activity.events)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, count]) => `${name} (${count})`)
+        .join(', ');
+      return `pixel ${pixelId} received no ${eventName} events in the last ${this.lookbackDays} days` +
+        (fired ? ` (it received: ${fired}) - map the event with conversionMapping.events` : '');
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ConversionMappingService();
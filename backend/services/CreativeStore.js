@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { Op } = require('sequelize');
+const db = require('../models');
+
+/**
+ * Creative Store - content-addressed media shared by deployments and strategies
+ *
+ * Every media file is keyed by the SHA-256 of its bytes (CreativeAsset) and
+ * remembers the image hash / video ID it has in each ad account
+ * (CreativeAssetAccount). Before uploading, callers ask the store whether the
+ * account already has the same bytes; before downloading a deployment's
+ * source media, whether the store already has the file - or the target
+ * already has the media, in which case no file is needed at all.
+ *
+ * Files live under uploads/creative-store/<2 hex>/<hash>.<ext> and are
+ * pruned after CREATIVE_STORE_MAX_AGE_DAYS (default 30) without use; the
+ * per-account IDs are kept, so a pruned asset can still be reused in accounts
+ * that have it.
+ *
+ * The store is an optimisation: callers treat its errors as a cache miss.
+ */
+
+const STORE_DIR = path.join(__dirname, '../uploads/creative-store');
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class CreativeStore {
+  constructor() {
+    this.hashes = new Map(); // `${path}:${size}:${mtime}` → file hash
+    this.lastPrunedAt = 0;
+  }
+
+  get maxAgeDays() {
+    return parseInt(process.env.CREATIVE_STORE_MAX_AGE_DAYS, 10) || 30;
+  }
+
+  normalizeAccountId(adAccountId) {
+    return String(adAccountId).replace('act_', '');
+  }
+
+  /**
+   * SHA-256 of a file, streamed (videos can be several hundred MB)
+   */
+  async hashFile(filePath) {
+    const stats = await fsp.stat(filePath);
+    const key = `${path.resolve(filePath)}:${stats.size}:${stats.mtimeMs}`;
+    if (this.hashes.has(key)) return this.hashes.get(key);
+
+    const fileHash = await new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+
+    if (this.hashes.size > 500) this.hashes.clear();
+    this.hashes.set(key, fileHash);
+    return fileHash;
+  }
+
+  /**
+   * Absolute path of the asset's stored file, null when it isn't on disk
+   */
+  async localPath(asset) {
+    if (!asset?.storagePath) return null;
+    const absolute = path.join(STORE_DIR, asset.storagePath);
+    return fsp.access(absolute).then(() => absolute).catch(() => null);
+  }
+
+  /**
+   * Add a file to the store (a copy is kept, the original can be deleted)
+   *
+   * @param {String} filePath
+   * @param {String} mediaType - 'image' or 'video'
+   * @returns {Promise<CreativeAsset>}
+   */
+  async put(filePath, mediaType) {
+    const fileHash = await this.hashFile(filePath);
+    let asset = await db.CreativeAsset.findOne({ where: { fileHash } });
+
+    if (asset && await this.localPath(asset)) {
+      await asset.update({ lastUsedAt: new Date() });
+      return asset;
+    }
+
+    const storagePath = path.join(fileHash.slice(0, 2), `${fileHash}${path.extname(filePath).toLowerCase()}`);
+    await fsp.mkdir(path.join(STORE_DIR, fileHash.slice(0, 2)), { recursive: true });
+    await fsp.copyFile(filePath, path.join(STORE_DIR, storagePath));
+    const { size } = await fsp.stat(filePath);
+
+    if (asset) {
+      await asset.update({ storagePath, lastUsedAt: new Date() });
+    } else {
+      [asset] = await db.CreativeAsset.findOrCreate({
+        where: { fileHash },
+        defaults: { mediaType, fileSize: size, storagePath, lastUsedAt: new Date() }
+      });
+    }
+
+    console.log(`  💾 [CreativeStore] Stored ${mediaType} ${fileHash.slice(0, 12)}… (${(size / 1024 / 1024).toFixed(2)}MB)`);
+    return asset;
+  }
+
+  /**
+   * Asset an account's image hash / video ID was made from
+   * @returns {Promise<CreativeAsset|null>}
+   */
+  async findByAccountMedia(adAccountId, mediaId) {
+    const row = await db.CreativeAssetAccount.findOne({
+      where: { adAccountId: this.normalizeAccountId(adAccountId), mediaId: String(mediaId) },
+      include: [{ model: db.CreativeAsset, as: 'asset' }]
+    });
+    return row?.asset || null;
+  }
+
+  /**
+   * The asset's image hash / video ID in an account, null when it hasn't been uploaded there
+   */
+  async getAccountMediaId(asset, adAccountId) {
+    const row = await db.CreativeAssetAccount.findOne({
+      where: { assetId: asset.id, adAccountId: this.normalizeAccountId(adAccountId) }
+    });
+    if (!row) return null;
+
+    await Promise.all([
+      row.update({ lastUsedAt: new Date() }),
+      asset.update({ lastUsedAt: new Date() })
+    ]);
+    return row.mediaId;
+  }
+
+  /**
+   * Record the image hash / video ID an asset has in an account
+   */
+  async remember(asset, adAccountId, mediaId) {
+    const accountId = this.normalizeAccountId(adAccountId);
+    const [row, created] = await db.CreativeAssetAccount.findOrCreate({
+      where: { assetId: asset.id, adAccountId: accountId },
+      defaults: { mediaId: String(mediaId), lastUsedAt: new Date() }
+    });
+    if (!created) {
+      await row.update({ mediaId: String(mediaId), lastUsedAt: new Date() });
+    }
+    return row;
+  }
+
+  /**
+   * Drop an account's media ID (e.g. the video was deleted on Facebook)
+   */
+  async forget(asset, adAccountId) {
+    await db.CreativeAssetAccount.destroy({
+      where: { assetId: asset.id, adAccountId: this.normalizeAccountId(adAccountId) }
+    });
+  }
+
+  /**
+   * Media ID a local file already has in the API's ad account
+   *
+   * The ID is checked on Facebook first - videos and images can both be
+   * deleted from the account - and forgotten when it's gone.
+   *
+   * @returns {Promise<String|null>}
+   */
+  async findInAccount(filePath, mediaType, facebookApi) {
+    const fileHash = await this.hashFile(filePath);
+    const asset = await db.CreativeAsset.findOne({ where: { fileHash } });
+    if (!asset) return null;
+
+    const mediaId = await this.getAccountMediaId(asset, facebookApi.adAccountId);
+    if (!mediaId) return null;
+
+    if (!await this.mediaExists(facebookApi, mediaType, mediaId)) {
+      console.log(`  ♻️  [CreativeStore] ${mediaType === 'video' ? 'Video' : 'Image'} ${mediaId} no longer exists in act_${this.normalizeAccountId(facebookApi.adAccountId)}`);
+      await this.forget(asset, facebookApi.adAccountId);
+      return null;
+    }
+
+    console.log(`  ⚡ [CreativeStore] act_${this.normalizeAccountId(facebookApi.adAccountId)} already has this ${mediaType}: ${mediaId}`);
+    return mediaId;
+  }
+
+  /**
+   * Store a file that was just uploaded and record its media ID in the account
+   */
+  async rememberFile(filePath, mediaType, adAccountId, mediaId) {
+    const asset = await this.put(filePath, mediaType);
+    await this.remember(asset, adAccountId, mediaId);
+    return asset;
+  }
+
+  /**
+   * Whether a video ID / image hash still exists in the API's ad account
+   */
+  async mediaExists(facebookApi, mediaType, mediaId) {
+    return mediaType === 'video'
+      ? this.videoExists(facebookApi, mediaId)
+      : this.imageExists(facebookApi, mediaId);
+  }
+
+  async imageExists(facebookApi, imageHash) {
+    try {
+      const response = await facebookApi.makeApiCallWithRotation('GET', `${facebookApi.baseURL}/act_${this.normalizeAccountId(facebookApi.adAccountId)}/adimages`, {
+        params: { hashes: JSON.stringify([imageHash]), fields: 'hash', access_token: facebookApi.accessToken },
+        timeout: 5000
+      });
+      return (response.data?.data || []).some(image => image.hash === imageHash);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async videoExists(facebookApi, videoId) {
+    try {
+      const response = await facebookApi.makeApiCallWithRotation('GET', `${facebookApi.baseURL}/${videoId}`, {
+        params: { fields: 'id', access_token: facebookApi.accessToken },
+        timeout: 5000
+      });
+      return !!response.data?.id;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete stored files unused for maxAgeDays (at most once an hour)
+   */
+  async prune() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL_MS) return 0;
+    this.lastPrunedAt = Date.now();
+
+    const cutoff = new Date(Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000);
+    const stale = await db.CreativeAsset.findAll({
+      where: { storagePath: { [Op.ne]: null }, lastUsedAt: { [Op.lt]: cutoff } }
+    });
+
+    for (const asset of stale) {
+      await fsp.unlink(path.join(STORE_DIR, asset.storagePath)).catch(() => {});
+      await asset.update({ storagePath: null });
+    }
+
+    if (stale.length > 0) {
+      console.log(`  🧹 [CreativeStore] Pruned ${stale.length} file(s) unused for ${this.maxAgeDays} days`);
+    }
+    return stale.length;
+  }
+}
+
+module.exports = new CreativeStore();
@@ -5,6 +5,11 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const JobStore = require('./JobStore');
+const NamingService = require('./NamingService');
+const CreativeStore = require('./CreativeStore');
+const { applyUrlParams } = require('../utils/urlParams');
+const { mapPixel, mapPromotedObject } = require('../utils/conversionMapping');
 
 /**
  * Cross-Account Campaign Deployment Service
@@ -20,11 +25,23 @@ const crypto = require('crypto');
  */
 class CrossAccountDeploymentService {
   constructor() {
-    this.deploymentJobs = new Map(); // Track active deployment jobs
+    // Track active deployment jobs; each target is a campaign slot so a restart resumes the rest
+    this.deploymentJobs = JobStore.collection('deployment');
+    JobStore.registerResumeHandler('deployment', (record, jobs, jobKey) => this.resumeDeployment(record, jobKey));
     this.mediaCache = new Map(); // Cache for downloaded media files
     this.tempDir = path.join(__dirname, '../temp/deployments'); // Temp directory for cached media
   }
 
+  // Parallel deployments run this many targets at once (see deployToMultipleTargets)
+  get chunkSize() {
+    return parseInt(process.env.DEPLOYMENT_CHUNK_SIZE, 10) || 10;
+  }
+
+  get chunkDelayMs() {
+    const delay = parseInt(process.env.DEPLOYMENT_CHUNK_DELAY_MS, 10);
+    return Number.isNaN(delay) ? 60000 : delay;
+  }
+
   /**
    * Download media from Facebook and cache it locally
    */
@@ -126,8 +143,12 @@ class CrossAccountDeploymentService {
 
   /**
    * Extract media from creative spec and download (or use cached upload)
+   *
+   * Media the creative store already has is not downloaded: entries carry the
+   * target's own media ID when the target already has it (targetMediaId), or
+   * the store's copy of the file otherwise.
    */
-  async extractAndCacheMediaFromCreative(creative, sourceApi, deploymentId) {
+  async extractAndCacheMediaFromCreative(creative, sourceApi, deploymentId, targetApi = null) {
     const mediaCache = {
       images: [],
       videos: [],
@@ -136,8 +157,10 @@ class CrossAccountDeploymentService {
     };
 
     try {
+      const stored = await this.findStoredMedia(creative, sourceApi, targetApi);
+
       // Check for video in object_story_spec
-      if (creative.object_story_spec?.video_data?.video_id) {
+      if (creative.object_story_spec?.video_data?.video_id && !stored.ids.has(creative.object_story_spec.video_data.video_id)) {
         const videoId = creative.object_story_spec.video_data.video_id;
         console.log(`  🎬 Found video in creative: ${videoId}`);
 
@@ -208,7 +231,7 @@ class CrossAccountDeploymentService {
 
       // CRITICAL: Check for video thumbnail in video_data (separate from main image!)
       // Video thumbnails are custom thumbnails uploaded as videoThumbnail-*.jpg
-      if (creative.object_story_spec?.video_data?.image_hash) {
+      if (creative.object_story_spec?.video_data?.image_hash && !stored.ids.has(creative.object_story_spec.video_data.image_hash)) {
         const thumbnailHash = creative.object_story_spec.video_data.image_hash;
         console.log(`  🖼️  Found video thumbnail hash: ${thumbnailHash}`);
 
@@ -278,7 +301,7 @@ class CrossAccountDeploymentService {
       }
 
       // Check for image in object_story_spec (main creative image, NOT video thumbnail)
-      if (creative.object_story_spec?.link_data?.image_hash) {
+      if (creative.object_story_spec?.link_data?.image_hash && !stored.ids.has(creative.object_story_spec.link_data.image_hash)) {
         const imageHash = creative.object_story_spec.link_data.image_hash;
         console.log(`  🖼️  Found image hash in creative: ${imageHash}`);
 
@@ -347,6 +370,12 @@ class CrossAccountDeploymentService {
         }
       }
 
+      // Keep downloaded files in the creative store for later deployments and relaunches
+      await this.storeSourceMedia(mediaCache, sourceApi);
+      mediaCache.videos.push(...stored.videos);
+      mediaCache.videoThumbnails.push(...stored.videoThumbnails);
+      mediaCache.images.push(...stored.images);
+
       // Store creative metadata
       mediaCache.metadata = {
         primaryText: creative.object_story_spec?.link_data?.message || creative.object_story_spec?.video_data?.message,
@@ -363,6 +392,67 @@ class CrossAccountDeploymentService {
     }
   }
 
+  /**
+   * Source media the creative store already has, for one target
+   *
+   * @returns {Promise<Object>} { videos, videoThumbnails, images, ids } - entries with targetMediaId or localPath
+   */
+  async findStoredMedia(creative, sourceApi, targetApi) {
+    const stored = { videos: [], videoThumbnails: [], images: [], ids: new Set() };
+    if (!targetApi) return stored;
+
+    const spec = creative.object_story_spec || {};
+    const wanted = [
+      ['videos', 'originalId', spec.video_data?.video_id, 'video'],
+      ['videoThumbnails', 'originalHash', spec.video_data?.image_hash, 'image'],
+      ['images', 'originalHash', spec.link_data?.image_hash, 'image']
+    ];
+
+    for (const [list, key, mediaId, mediaType] of wanted) {
+      if (!mediaId) continue;
+      try {
+        const asset = await CreativeStore.findByAccountMedia(sourceApi.adAccountId, mediaId);
+        if (!asset) continue;
+
+        let targetMediaId = await CreativeStore.getAccountMediaId(asset, targetApi.adAccountId);
+        if (targetMediaId && !await CreativeStore.mediaExists(targetApi, mediaType, targetMediaId)) {
+          await CreativeStore.forget(asset, targetApi.adAccountId);
+          targetMediaId = null;
+        }
+        const localPath = targetMediaId ? null : await CreativeStore.localPath(asset);
+        if (!targetMediaId && !localPath) continue;
+
+        console.log(targetMediaId
+          ? `    ⚡ Target already has ${mediaType} ${mediaId} as ${targetMediaId} (no download or upload needed)`
+          : `    💾 ${mediaType} ${mediaId} found in creative store (no download needed)`);
+
+        stored[list].push({ [key]: mediaId, asset, targetMediaId, localPath, size: Number(asset.fileSize) });
+        stored.ids.add(mediaId);
+      } catch (error) {
+        console.warn(`    ⚠️  Creative store lookup failed for ${mediaId}:`, error.message);
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * Add downloaded source media to the creative store under the source account's media IDs
+   */
+  async storeSourceMedia(mediaCache, sourceApi) {
+    const lists = [['videos', 'originalId', 'video'], ['videoThumbnails', 'originalHash', 'image'], ['images', 'originalHash', 'image']];
+
+    for (const [list, key, mediaType] of lists) {
+      for (const entry of mediaCache[list]) {
+        try {
+          entry.asset = await CreativeStore.rememberFile(entry.localPath, mediaType, sourceApi.adAccountId, entry[key]);
+        } catch (error) {
+          console.warn(`    ⚠️  Could not add ${mediaType} ${entry[key]} to creative store:`, error.message);
+        }
+      }
+    }
+  }
+
   /**
    * Upload cached media to target account
    */
@@ -378,7 +468,7 @@ class CrossAccountDeploymentService {
       for (const image of cachedMedia.images) {
         console.log(`    📤 Uploading main image to target account...`);
         try {
-          const newHash = await targetApi.uploadImage(image.localPath);
+          const newHash = image.targetMediaId || await targetApi.uploadImage(image.localPath);
           if (newHash) {
             uploadedMedia.images[image.originalHash] = newHash;
             console.log(`      ✅ Main image uploaded: ${image.originalHash} → ${newHash}`);
@@ -392,7 +482,7 @@ class CrossAccountDeploymentService {
       for (const thumbnail of cachedMedia.videoThumbnails) {
         console.log(`    📤 Uploading video thumbnail to target account...`);
         try {
-          const newHash = await targetApi.uploadImage(thumbnail.localPath);
+          const newHash = thumbnail.targetMediaId || await targetApi.uploadImage(thumbnail.localPath);
           if (newHash) {
             uploadedMedia.videoThumbnails[thumbnail.originalHash] = newHash;
             console.log(`      ✅ Video thumbnail uploaded: ${thumbnail.originalHash} → ${newHash}`);
@@ -404,12 +494,19 @@ class CrossAccountDeploymentService {
 
       // Upload videos
       for (const video of cachedMedia.videos) {
+        if (video.targetMediaId) {
+          uploadedMedia.videos[video.originalId] = video.targetMediaId;
+          console.log(`      ✅ Video reused: ${video.originalId} → ${video.targetMediaId}`);
+          continue;
+        }
+
         console.log(`    📤 Uploading video to target account...`);
         try {
           const newVideoId = await targetApi.uploadVideo(video.localPath);
           if (newVideoId) {
             uploadedMedia.videos[video.originalId] = newVideoId;
             console.log(`      ✅ Video uploaded: ${video.originalId} → ${newVideoId}`);
+            await targetApi.saveToMediaCache(video.localPath, newVideoId, 'video');
 
             // Wait for video processing
             console.log(`      ⏳ Waiting for video to be processed...`);
@@ -537,6 +634,8 @@ class CrossAccountDeploymentService {
       if (cleanedCount > 0) {
         console.log(`  🧹 Cleaned up ${cleanedCount} old uploaded files`);
       }
+
+      await CreativeStore.prune();
     } catch (error) {
       console.warn(`  ⚠️  Failed to cleanup uploaded files:`, error.message);
     }
@@ -669,9 +768,9 @@ class CrossAccountDeploymentService {
       effectivePixelId = sourceAccount.pixelId;
       console.log(`  ℹ️  Same account deployment - using source pixel: ${effectivePixelId || 'none'}`);
     } else {
-      // Different account: use target pixel if provided, otherwise null
+      // Different account: use target pixel if provided, then the target's mapping of the source pixel, otherwise null
       // NOTE: Pixel is set at ad set level via promoted_object, not required at ad level
-      effectivePixelId = target.pixelId || null;
+      effectivePixelId = target.pixelId || mapPixel(sourceAccount.pixelId, target.conversionMapping) || null;
 
       if (effectivePixelId) {
         console.log(`  🔄 Cross-account deployment - using target pixel: ${effectivePixelId}`);
@@ -1022,7 +1121,7 @@ class CrossAccountDeploymentService {
           adsUrl,
           {
             params: {
-              fields: 'name,adset_id,creative{id,object_story_spec,asset_feed_spec,image_hash,video_id},status',  // FIXED: Expand creative to get full spec
+              fields: 'name,adset_id,creative{id,object_story_spec,asset_feed_spec,image_hash,video_id},status,url_tags',  // FIXED: Expand creative to get full spec
               limit: templateOnly ? 1 : 100, // Only fetch 1 if template mode
               access_token: facebookApi.accessToken
             }
@@ -1043,10 +1142,14 @@ class CrossAccountDeploymentService {
 
     console.log(`  ✅ Ads fetched: ${ads.length}`);
 
+    // URL parameter rules the source was launched with (rebuilt for each target's ads)
+    const urlParams = await db.CampaignTracking.getUrlParams(campaignId).catch(() => null);
+
     return {
       campaign,
       adSets,
-      ads
+      ads,
+      urlParams
     };
   }
 
@@ -1076,7 +1179,7 @@ class CrossAccountDeploymentService {
       selectedAdAccountId: target.adAccountId,
       selectedPixelId: targetPixelId || campaignData.selectedPixelId,
       // Use custom campaign name if provided, otherwise make it unique for this page
-      campaignName: target.customCampaignName || `${campaignData.campaignName} - Page ${target.pageId.toString().slice(-6)}`
+      campaignName: await this.getTargetCampaignName(campaignData.campaignName, target)
     };
 
     // Log custom campaign name usage
@@ -1237,7 +1340,7 @@ class CrossAccountDeploymentService {
       selectedAdAccountId: target.adAccountId,
       selectedPixelId: targetPixelId || campaignData.selectedPixelId,
       // Use custom campaign name if provided, otherwise make it unique for this page
-      campaignName: target.customCampaignName || `${campaignData.campaignName} - Page ${target.pageId.toString().slice(-6)}`
+      campaignName: await this.getTargetCampaignName(campaignData.campaignName, target)
     };
 
     // Log custom campaign name usage
@@ -1780,6 +1883,32 @@ class CrossAccountDeploymentService {
     };
   }
 
+  /**
+   * Campaign name in a target: the custom name, else the source name
+   * re-rendered with the target's copy number (and its namingValues overrides)
+   * when it follows a naming convention, else the source name with the page suffix
+   */
+  async getTargetCampaignName(sourceName, target) {
+    if (target.customCampaignName) {
+      return target.customCampaignName;
+    }
+
+    try {
+      const conventionName = await NamingService.renameFromSource(
+        target.userId,
+        sourceName,
+        { ...target.namingValues, copy: target.copyNumber },
+        'campaign'
+      );
+      if (conventionName) return conventionName;
+    } catch (error) {
+      console.warn(`  ⚠️  Naming convention lookup failed: ${error.message}`);
+    }
+
+    // Last 6 digits of the page ID keep copies in the same account apart
+    return `${sourceName} - Page ${target.pageId.toString().slice(-6)}`;
+  }
+
   /**
    * Create campaign from structure in target account
    */
@@ -1791,8 +1920,7 @@ class CrossAccountDeploymentService {
 
     // CRITICAL: Make campaign name unique to avoid conflicts when deploying to same account with different pages
     // Use custom campaign name if provided, otherwise use page ID in name to ensure uniqueness
-    const pageIdLast6 = target.pageId.toString().slice(-6); // Last 6 digits of page ID
-    const newCampaignName = target.customCampaignName || `${structure.campaign.name} - Page ${pageIdLast6}`;
+    const newCampaignName = await this.getTargetCampaignName(structure.campaign.name, target);
 
     if (target.customCampaignName) {
       console.log(`  ✏️  Using custom campaign name: "${target.customCampaignName}"`);
@@ -1821,7 +1949,8 @@ class CrossAccountDeploymentService {
           cachedMedia = await this.extractAndCacheMediaFromCreative(
             firstAdWithCreative.creative,
             sourceApi,
-            deploymentId
+            deploymentId,
+            facebookApi
           );
 
           console.log(`  ✅ Media extracted:`, {
@@ -1919,6 +2048,7 @@ class CrossAccountDeploymentService {
     }
 
     const adSetMapping = new Map(); // Map old ID to new ID
+    const adMapping = new Map();
     const createdAdSetIds = []; // Store created ad set IDs for ad creation
     const failedAdSets = []; // Track failed ad sets for error reporting
     let successfulAdSets = 0;
@@ -1956,17 +2086,10 @@ class CrossAccountDeploymentService {
 
       // CRITICAL: Copy promoted_object but replace pixel_id and page_id with target's
       if (adSet.promoted_object) {
-        const promotedObject = { ...adSet.promoted_object };
-
-        // Replace with target's pixel (use targetPixelId parameter, not target.pixelId which might be null)
-        if (targetPixelId) {
-          promotedObject.pixel_id = targetPixelId;
-          console.log(`      🎯 Replacing promoted_object pixel: ${adSet.promoted_object.pixel_id || 'none'} → ${targetPixelId}`);
-        } else if (adSet.promoted_object.pixel_id) {
-          // Source had pixel but target doesn't - remove it
-          delete promotedObject.pixel_id;
-          console.log(`      ⚠️  Removing pixel from promoted_object (source had ${adSet.promoted_object.pixel_id}, target has none)`);
-        }
+        // Target's mapping rules first (pixel and conversion event), then the target pixel parameter
+        // (not target.pixelId which might be null); a source pixel with neither is removed
+        const { promotedObject, changes } = mapPromotedObject(adSet.promoted_object, target.conversionMapping, targetPixelId);
+        changes.forEach(change => console.log(`      🎯 Mapping promoted_object ${change}`));
 
         // Replace page_id
         if (target.pageId) {
@@ -1974,13 +2097,6 @@ class CrossAccountDeploymentService {
           console.log(`      📄 Replacing promoted_object page: ${adSet.promoted_object.page_id || 'none'} → ${target.pageId}`);
         }
 
-        // CRITICAL FIX: Final enforcement - ensure target pixel is used if provided
-        // This catches any edge cases where pixel wasn't replaced correctly
-        if (targetPixelId && promotedObject.pixel_id !== targetPixelId) {
-          console.log(`      🔒 ENFORCING target pixel: ${promotedObject.pixel_id} → ${targetPixelId}`);
-          promotedObject.pixel_id = targetPixelId;
-        }
-
         adSetData.promoted_object = JSON.stringify(promotedObject);
       }
 
@@ -2149,15 +2265,24 @@ class CrossAccountDeploymentService {
         access_token: facebookApi.accessToken
       };
 
+      // Keep the source ad's tracking parameters; launch rules are rebuilt with this target's copy number
+      if (ad.url_tags) {
+        adData.url_tags = ad.url_tags;
+      }
+      if (structure.urlParams) {
+        applyUrlParams(adData, structure.urlParams, { n: adNumber, copy: target.copyNumber });
+      }
+
       console.log(`      📤 Creating ad with creative spec...`);
 
       // ERROR RESILIENCE: Wrap in try-catch to continue on failure
       try {
-        await facebookApi.makeApiCallWithRotation(
+        const adResponse = await facebookApi.makeApiCallWithRotation(
           'POST',
           `${facebookApi.baseURL}/act_${facebookApi.adAccountId}/ads`,
           { params: adData }  // Facebook Graph API accepts POST params as query string (same as facebookApi.js)
         );
+        adMapping.set(ad.id, adResponse.data.id);
         successfulAds++;
         console.log(`      ✅ Ad ${adNumber} created successfully`);
       } catch (adError) {
@@ -2211,6 +2336,11 @@ class CrossAccountDeploymentService {
       adsCount: successfulAds,
       adsRequested: numberOfAds,
       pixelUsed: targetPixelId,
+      // Source -> copy IDs for deployment syncs; strategy mode replicates one template, so there is no 1:1 map
+      entityMap: strategyInfo ? null : {
+        adSets: Object.fromEntries(adSetMapping),
+        ads: Object.fromEntries(adMapping)
+      },
       failures: {
         adSets: failedAdSets,
         ads: failedAds
@@ -2221,8 +2351,59 @@ class CrossAccountDeploymentService {
 
   /**
    * Deploy campaign to multiple targets
+   *
+   * Parallel deployments larger than DEPLOYMENT_CHUNK_SIZE (default 10) targets
+   * run in chunks of that size with DEPLOYMENT_CHUNK_DELAY_MS (default 60s)
+   * between them; sequential deployments already go one target at a time.
+   *
+   * @param {Object} options
+   * @param {String} options.jobId - Client-generated job ID for the live event stream
+   *                                 (defaults to `deployment_<id>`)
+   * @param {String} options.deploymentName - Name for the deployment record
+   * @param {Number} options.targetGroupId - Saved target group the targets came from
+   */
+  async deployToMultipleTargets(userId, sourceCampaignId, sourceAccount, targets, processingMode = 'parallel', strategyInfo = null, options = {}) {
+    const { deployment, jobKey } = await this.createDeployment(userId, sourceCampaignId, sourceAccount, targets, processingMode, strategyInfo, options);
+    return this.processDeployment(deployment, jobKey, strategyInfo);
+  }
+
+  /**
+   * Same as deployToMultipleTargets, but returns once the deployment record and
+   * job exist; targets are deployed in the background. Progress is on the job
+   * (GET /api/jobs/:jobId/events) and the deployment record.
+   *
+   * @returns {Promise<Object>} { deploymentId, jobId, status, totalTargets }
    */
-  async deployToMultipleTargets(userId, sourceCampaignId, sourceAccount, targets, processingMode = 'parallel', strategyInfo = null) {
+  async startDeployment(userId, sourceCampaignId, sourceAccount, targets, processingMode = 'parallel', strategyInfo = null, options = {}) {
+    const { deployment, jobKey } = await this.createDeployment(userId, sourceCampaignId, sourceAccount, targets, processingMode, strategyInfo, options);
+
+    this.processDeployment(deployment, jobKey, strategyInfo).catch(async (error) => {
+      console.error(`❌ Deployment ${deployment.id} failed:`, error);
+
+      const job = this.deploymentJobs.get(jobKey);
+      if (job) {
+        Object.assign(job, { status: 'failed', error: error.message, currentOperation: 'Deployment failed', completedAt: Date.now() });
+      }
+      try {
+        await deployment.update({ status: 'failed', completedAt: new Date() });
+      } catch (updateError) {
+        console.error(`❌ Could not mark deployment ${deployment.id} as failed:`, updateError.message);
+      }
+    });
+
+    return {
+      deploymentId: deployment.id,
+      jobId: jobKey,
+      status: 'processing',
+      totalTargets: targets.length
+    };
+  }
+
+  /**
+   * Validate the targets, then create the deployment record and its job
+   * @returns {Promise<Object>} { deployment, jobKey }
+   */
+  async createDeployment(userId, sourceCampaignId, sourceAccount, targets, processingMode, strategyInfo, options = {}) {
     console.log(`\n🚀 MULTI-ACCOUNT DEPLOYMENT INITIATED`);
     console.log(`  User ID: ${userId}`);
     console.log(`  Source Campaign: ${sourceCampaignId}`);
@@ -2247,8 +2428,9 @@ class CrossAccountDeploymentService {
       sourceCampaignId,
       sourceAdAccountId: sourceAccount.adAccountId,
       sourcePageId: sourceAccount.pageId,
-      deploymentName: `Deployment ${new Date().toLocaleString()}`,
+      deploymentName: options.deploymentName || `Deployment ${new Date().toLocaleString()}`,
       targets,
+      targetGroupId: options.targetGroupId || null,
       status: 'processing',
       totalTargets: targets.length,
       processingMode
@@ -2256,7 +2438,99 @@ class CrossAccountDeploymentService {
 
     console.log(`📊 Deployment record created: ID ${deployment.id}`);
 
-    // Get user's access token
+    const jobKey = options.jobId || `deployment_${deployment.id}`;
+    this.deploymentJobs.set(jobKey, {
+      deploymentId: deployment.id,
+      status: 'processing',
+      total: targets.length,
+      completed: 0,
+      currentOperation: 'Starting deployment...',
+      startedAt: Date.now(),
+      userId
+    }, {
+      userId,
+      adAccountId: sourceAccount.adAccountId,
+      campaignName: deployment.deploymentName,
+      requestedCampaigns: targets.length,
+      params: { deploymentId: deployment.id, sourceAccount, strategyInfo, processingMode }
+    });
+
+    return { deployment, jobKey };
+  }
+
+  /**
+   * Deploy every target of a new deployment (chunked when parallel) and finalize it
+   * @returns {Promise<Object>} finalizeDeployment() result, plus chunks when there were several
+   */
+  async processDeployment(deployment, jobKey, strategyInfo) {
+    const { targets, processingMode } = deployment;
+    const userAccessToken = await this.getUserAccessToken(deployment.userId);
+
+    // Process deployments
+    const results = [];
+    const errors = [];
+
+    const chunks = [];
+
+    if (processingMode === 'parallel') {
+      // Parallel processing - each chunk at once, chunks one after another
+      const chunkSize = this.chunkSize;
+      const chunkCount = Math.ceil(targets.length / chunkSize);
+      console.log(`\n⚡ Processing targets in parallel${chunkCount > 1 ? ` (${chunkCount} chunks of up to ${chunkSize})` : ''}...`);
+
+      for (let c = 0; c < chunkCount; c++) {
+        const start = c * chunkSize;
+        const chunkTargets = targets.slice(start, start + chunkSize);
+
+        // Throttle between chunks; cancelled jobs skip the wait (deployTarget skips their targets)
+        if (c > 0 && !this.deploymentJobs.isCancelled(jobKey)) {
+          console.log(`  ⏱️  Waiting ${Math.round(this.chunkDelayMs / 1000)}s before chunk ${c + 1}/${chunkCount}...`);
+          await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+        }
+        if (chunkCount > 1) {
+          console.log(`\n📦 Chunk ${c + 1}/${chunkCount}: targets ${start + 1}-${start + chunkTargets.length}`);
+        }
+
+        const settled = await Promise.allSettled(chunkTargets.map((target, i) =>
+          this.deployTarget(deployment, jobKey, target, start + i, userAccessToken, strategyInfo)
+        ));
+
+        const chunkReport = { chunk: c + 1, targets: chunkTargets.length, successful: 0, failed: 0 };
+        settled.forEach((result) => {
+          if (result.status === 'fulfilled' && result.value.success) {
+            results.push(result.value);
+            chunkReport.successful++;
+          } else {
+            errors.push(result.status === 'fulfilled' ? result.value : { error: result.reason.message });
+            chunkReport.failed++;
+          }
+        });
+        chunks.push(chunkReport);
+      }
+    } else {
+      // Sequential processing - one at a time
+      console.log(`\n⏭️  Processing targets sequentially...`);
+
+      for (let i = 0; i < targets.length; i++) {
+        const outcome = await this.deployTarget(deployment, jobKey, targets[i], i, userAccessToken, strategyInfo);
+        (outcome.success ? results : errors).push(outcome);
+
+        // Wait 30 seconds between sequential deployments
+        if (i < targets.length - 1 && !this.deploymentJobs.isCancelled(jobKey)) {
+          console.log(`  ⏱️  Waiting 30s before next deployment...`);
+          await new Promise(resolve => setTimeout(resolve, 30000));
+        }
+      }
+    }
+
+    const outcome = await this.finalizeDeployment(deployment, jobKey, results, errors);
+    return chunks.length > 1 ? { ...outcome, chunks } : outcome;
+  }
+
+  /**
+   * Get the user's decrypted Facebook access token
+   */
+  async getUserAccessToken(userId) {
     const facebookAuth = await db.FacebookAuth.findOne({
       where: { userId, isActive: true }
     });
@@ -2286,136 +2560,98 @@ class CrossAccountDeploymentService {
     console.log(`  - Token length: ${userAccessToken?.length || 0}`);
     console.log(`  - Token preview: ${userAccessToken?.substring(0, 20)}...`);
 
-    // Process deployments
-    const results = [];
-    const errors = [];
-
-    if (processingMode === 'parallel') {
-      // Parallel processing - all at once
-      console.log(`\n⚡ Processing targets in parallel...`);
+    return userAccessToken;
+  }
 
-      const promises = targets.map(async (target, index) => {
-        try {
-          console.log(`\n[Target ${index + 1}/${targets.length}] Starting deployment...`);
-          const result = await this.cloneCampaignToTarget(
-            sourceCampaignId,
-            sourceAccount,
-            target,
-            userAccessToken,
-            strategyInfo
-          );
+  /**
+   * Deploy the source campaign to one target and record the outcome
+   * (DeployedCampaign row + job slot `index + 1`)
+   *
+   * @returns {Promise<Object>} { success, target, result } or { success: false, target, error }
+   */
+  async deployTarget(deployment, jobKey, target, index, userAccessToken, strategyInfo) {
+    const { userId, sourceCampaignId } = deployment;
+    const sourceAccount = { adAccountId: deployment.sourceAdAccountId, pageId: deployment.sourcePageId };
+    const totalTargets = deployment.totalTargets;
+    const job = this.deploymentJobs.get(jobKey);
+
+    // Cancelled jobs finish the target in progress but start no new ones
+    if (this.deploymentJobs.isCancelled(jobKey)) {
+      console.log(`\n[Target ${index + 1}/${totalTargets}] 🛑 Skipped - deployment cancelled`);
+      return { success: false, cancelled: true, target, error: 'Deployment cancelled before this target started' };
+    }
 
-          // Create deployed campaign record
-          await db.DeployedCampaign.create({
-            deploymentId: deployment.id,
-            userId,
-            sourceCampaignId,
-            targetCampaignId: result.campaignId,
-            targetCampaignName: result.campaignName,
-            targetAdAccountId: target.adAccountId,
-            targetPageId: target.pageId,
-            targetPixelId: target.pixelId,
-            status: 'completed',
-            adSetsCount: result.adSetsCount,
-            adsCount: result.adsCount,
-            deployedAt: new Date()
-          });
+    try {
+      console.log(`\n[Target ${index + 1}/${totalTargets}] Starting deployment...`);
+      if (job) {
+        job.currentOperation = `Deploying to ${target.adAccountId} (${index + 1}/${totalTargets})`;
+      }
 
-          return { success: true, target, result };
-        } catch (error) {
-          console.error(`\n[Target ${index + 1}/${targets.length}] ❌ Deployment failed:`, error.message);
-
-          await db.DeployedCampaign.create({
-            deploymentId: deployment.id,
-            userId,
-            sourceCampaignId,
-            targetCampaignId: null,
-            targetAdAccountId: target.adAccountId,
-            targetPageId: target.pageId,
-            targetPixelId: target.pixelId,
-            status: 'failed',
-            errorMessage: error.message,
-            errorDetails: {
-              code: error.code,
-              stack: error.stack
-            }
-          });
+      const result = await this.cloneCampaignToTarget(
+        sourceCampaignId,
+        sourceAccount,
+        { ...target, userId, copyNumber: index + 1 }, // Naming convention {copy} for this target
+        userAccessToken,
+        strategyInfo
+      );
 
-          return { success: false, target, error: error.message };
-        }
+      // Create deployed campaign record
+      await db.DeployedCampaign.create({
+        deploymentId: deployment.id,
+        userId,
+        sourceCampaignId,
+        targetCampaignId: result.campaignId,
+        targetCampaignName: result.campaignName,
+        targetAdAccountId: target.adAccountId,
+        targetPageId: target.pageId,
+        targetPixelId: target.pixelId,
+        status: 'completed',
+        adSetsCount: result.adSetsCount,
+        adsCount: result.adsCount,
+        entityMap: result.entityMap || null,
+        deployedAt: new Date()
       });
 
-      const settled = await Promise.allSettled(promises);
+      await this.deploymentJobs.recordEntity(jobKey, 'campaign', index + 1, {
+        id: result.campaignId,
+        name: result.campaignName
+      });
 
-      settled.forEach((result) => {
-        if (result.status === 'fulfilled') {
-          if (result.value.success) {
-            results.push(result.value);
-          } else {
-            errors.push(result.value);
-          }
-        } else {
-          errors.push({ error: result.reason.message });
+      return { success: true, target, result };
+    } catch (error) {
+      console.error(`\n[Target ${index + 1}/${totalTargets}] ❌ Deployment failed:`, error.message);
+
+      await db.DeployedCampaign.create({
+        deploymentId: deployment.id,
+        userId,
+        sourceCampaignId,
+        targetCampaignId: null,
+        targetAdAccountId: target.adAccountId,
+        targetPageId: target.pageId,
+        targetPixelId: target.pixelId,
+        status: 'failed',
+        errorMessage: error.message,
+        errorDetails: {
+          code: error.code,
+          stack: error.stack
         }
       });
-    } else {
-      // Sequential processing - one at a time
-      console.log(`\n⏭️  Processing targets sequentially...`);
-
-      for (let i = 0; i < targets.length; i++) {
-        const target = targets[i];
-
-        try {
-          console.log(`\n[Target ${i + 1}/${targets.length}] Starting deployment...`);
-          const result = await this.cloneCampaignToTarget(
-            sourceCampaignId,
-            sourceAccount,
-            target,
-            userAccessToken,
-            strategyInfo
-          );
 
-          await db.DeployedCampaign.create({
-            deploymentId: deployment.id,
-            userId,
-            sourceCampaignId,
-            targetCampaignId: result.campaignId,
-            targetCampaignName: result.campaignName,
-            targetAdAccountId: target.adAccountId,
-            targetPageId: target.pageId,
-            targetPixelId: target.pixelId,
-            status: 'completed',
-            adSetsCount: result.adSetsCount,
-            adsCount: result.adsCount,
-            deployedAt: new Date()
-          });
-
-          results.push({ success: true, target, result });
-        } catch (error) {
-          console.error(`\n[Target ${i + 1}/${targets.length}] ❌ Deployment failed:`, error.message);
-
-          await db.DeployedCampaign.create({
-            deploymentId: deployment.id,
-            userId,
-            sourceCampaignId,
-            targetCampaignId: null,
-            targetAdAccountId: target.adAccountId,
-            targetPageId: target.pageId,
-            targetPixelId: target.pixelId,
-            status: 'failed',
-            errorMessage: error.message
-          });
+      await this.deploymentJobs.recordFailure(jobKey, 'campaign', index + 1, error.message);
 
-          errors.push({ target, error: error.message });
-        }
-
-        // Wait 30 seconds between sequential deployments
-        if (i < targets.length - 1) {
-          console.log(`  ⏱️  Waiting 30s before next deployment...`);
-          await new Promise(resolve => setTimeout(resolve, 30000));
-        }
+      return { success: false, target, error: error.message };
+    } finally {
+      if (job) {
+        job.completed += 1;
       }
     }
+  }
+
+  /**
+   * Write the final deployment status
+   */
+  async finalizeDeployment(deployment, jobKey, results, errors) {
+    const totalTargets = deployment.totalTargets;
 
     // Update deployment status
     const finalStatus = errors.length === 0 ? 'completed' :
@@ -2429,21 +2665,200 @@ class CrossAccountDeploymentService {
       completedAt: new Date()
     });
 
+    const job = this.deploymentJobs.get(jobKey);
+    if (job) {
+      const cancelled = this.deploymentJobs.isCancelled(jobKey);
+      Object.assign(job, {
+        status: cancelled ? 'cancelled' : (finalStatus === 'failed' ? 'failed' : 'completed'),
+        deploymentStatus: finalStatus,
+        currentOperation: cancelled
+          ? `Deployment cancelled after ${results.length} of ${totalTargets} targets`
+          : `Deployment ${finalStatus}`,
+        completedAt: Date.now()
+      });
+    }
+
     console.log(`\n✅ DEPLOYMENT COMPLETE`);
     console.log(`  Status: ${finalStatus}`);
-    console.log(`  Successful: ${results.length}/${targets.length}`);
-    console.log(`  Failed: ${errors.length}/${targets.length}`);
+    console.log(`  Successful: ${results.length}/${totalTargets}`);
+    console.log(`  Failed: ${errors.length}/${totalTargets}`);
 
     return {
       deploymentId: deployment.id,
+      jobId: jobKey,
       status: finalStatus,
       results,
       errors,
-      totalTargets: targets.length,
+      totalTargets,
       successful: results.length,
       failed: errors.length
     };
   }
+
+  /**
+   * Resume a deployment interrupted by a restart: targets whose slot is still
+   * pending are deployed (unless the target account already has the campaign),
+   * finished targets are taken from DeployedCampaign.
+   *
+   * @param {Object} record - CampaignCreationJob instance
+   * @param {String} jobKey
+   */
+  async resumeDeployment(record, jobKey) {
+    const { deploymentId, strategyInfo } = record.jobParams || {};
+    const deployment = await db.CampaignDeployment.findByPk(deploymentId);
+
+    if (!deployment) {
+      throw new Error(`Deployment ${deploymentId} no longer exists`);
+    }
+
+    const slots = await db.EntityCreationSlot.findAll({
+      where: { jobId: record.id, entityType: 'campaign' },
+      order: [['slotNumber', 'ASC']]
+    });
+    const pendingIndexes = slots
+      .filter(slot => slot.status === 'pending')
+      .map(slot => slot.slotNumber - 1);
+
+    console.log(`▶️  Resuming deployment ${deployment.id}: ${pendingIndexes.length}/${deployment.totalTargets} targets left`);
+
+    const results = [];
+    const errors = [];
+
+    // Targets finished before the restart
+    const deployed = await db.DeployedCampaign.findAll({ where: { deploymentId: deployment.id } });
+    for (const row of deployed) {
+      const target = {
+        adAccountId: row.targetAdAccountId,
+        pageId: row.targetPageId,
+        pixelId: row.targetPixelId
+      };
+      if (row.status === 'completed') {
+        results.push({
+          success: true,
+          target,
+          result: {
+            campaignId: row.targetCampaignId,
+            campaignName: row.targetCampaignName,
+            adSetsCount: row.adSetsCount,
+            adsCount: row.adsCount
+          }
+        });
+      } else {
+        errors.push({ success: false, target, error: row.errorMessage });
+      }
+    }
+
+    const userAccessToken = await this.getUserAccessToken(deployment.userId);
+    const since = new Date(record.startedAt || record.createdAt).getTime();
+
+    // Resume sequentially regardless of the original mode to keep the restart gentle
+    for (const index of pendingIndexes) {
+      const target = deployment.targets[index];
+      if (!target) continue;
+
+      // The target may have been created just before the restart, without its slot being recorded
+      const existing = await this.findExistingTargetCampaign(deployment, target, index, userAccessToken, since);
+      const outcome = existing
+        ? await this.recordExistingTarget(deployment, jobKey, target, index, existing)
+        : await this.deployTarget(deployment, jobKey, target, index, userAccessToken, strategyInfo);
+      (outcome.success ? results : errors).push(outcome);
+    }
+
+    await this.finalizeDeployment(deployment, jobKey, results, errors);
+  }
+
+  /**
+   * Find a campaign a deployment already created in a target account: same name as
+   * deployTarget() would give it, created after the job started
+   *
+   * @returns {Promise<Object|null>} { id, name, adSetsCount, adsCount }
+   */
+  async findExistingTargetCampaign(deployment, target, index, userAccessToken, since) {
+    try {
+      const targetApi = new FacebookAPI({
+        accessToken: userAccessToken,
+        adAccountId: String(target.adAccountId).replace('act_', '')
+      });
+
+      const source = await axios.get(`${targetApi.baseURL}/${deployment.sourceCampaignId}`, {
+        params: { fields: 'name', access_token: userAccessToken }
+      });
+      const expectedName = await this.getTargetCampaignName(source.data.name, {
+        ...target,
+        userId: deployment.userId,
+        copyNumber: index + 1
+      });
+
+      const response = await axios.get(`${targetApi.baseURL}/act_${targetApi.adAccountId}/campaigns`, {
+        params: {
+          fields: 'id,name,created_time,adsets.limit(0).summary(true),ads.limit(0).summary(true)',
+          filtering: JSON.stringify([{ field: 'name', operator: 'EQUAL', value: expectedName }]),
+          limit: 25,
+          access_token: userAccessToken
+        }
+      });
+
+      const campaign = (response.data?.data || [])
+        .filter(item => new Date(item.created_time).getTime() >= since)
+        .sort((a, b) => new Date(a.created_time) - new Date(b.created_time))[0];
+      if (!campaign) return null;
+
+      return {
+        id: campaign.id,
+        name: campaign.name,
+        adSetsCount: campaign.adsets?.summary?.total_count || 0,
+        adsCount: campaign.ads?.summary?.total_count || 0
+      };
+    } catch (error) {
+      // Deploying again is the old behaviour; only the duplicate check is lost
+      console.warn(`  ⚠️  Could not look for an existing campaign in ${target.adAccountId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record a target whose campaign was created before the restart instead of deploying it again
+   */
+  async recordExistingTarget(deployment, jobKey, target, index, campaign) {
+    console.log(`  ♻️  [Target ${index + 1}] Campaign ${campaign.id} was created before the restart - not deploying again`);
+
+    await db.DeployedCampaign.create({
+      deploymentId: deployment.id,
+      userId: deployment.userId,
+      sourceCampaignId: deployment.sourceCampaignId,
+      targetCampaignId: campaign.id,
+      targetCampaignName: campaign.name,
+      targetAdAccountId: target.adAccountId,
+      targetPageId: target.pageId,
+      targetPixelId: target.pixelId,
+      status: 'completed',
+      adSetsCount: campaign.adSetsCount,
+      adsCount: campaign.adsCount,
+      deployedAt: new Date()
+    });
+
+    await this.deploymentJobs.recordEntity(jobKey, 'campaign', index + 1, {
+      id: campaign.id,
+      name: campaign.name
+    });
+
+    const job = this.deploymentJobs.get(jobKey);
+    if (job) {
+      job.completed += 1;
+    }
+
+    return {
+      success: true,
+      target,
+      result: {
+        campaignId: campaign.id,
+        campaignName: campaign.name,
+        adSetsCount: campaign.adSetsCount,
+        adsCount: campaign.adsCount,
+        foundAfterRestart: true
+      }
+    };
+  }
 }
 
 module.exports = new CrossAccountDeploymentService();
@@ -0,0 +1,508 @@
+const axios = require('axios');
+const cron = require('node-cron');
+const fs = require('fs').promises;
+const path = require('path');
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const db = require('../models');
+const FacebookAPI = require('./facebookApi');
+const SafetyChecks = require('./SafetyChecks');
+const StrategyEngine = require('./StrategyEngine');
+const AuditService = require('./AuditService');
+const { getGraphBaseUrl } = require('../config/graphApi');
+const { resolveStrategy, MAX_CAMPAIGNS } = require('../config/strategies');
+
+/**
+ * Deferred Launch Service - strategy launches created at a later time
+ *
+ * The strategy create routes (1-50-1, For All, For Ads) accept launchAt: instead
+ * of creating anything they store the built campaign data here and answer 202.
+ * Uploaded media is moved to uploads/deferred/<id>/ so the upload cleanup
+ * doesn't remove it while the launch waits.
+ *
+ * Every minute the due launches are claimed (scheduled -> launching), checked
+ * with SafetyChecks.verifyPreCreationState like an immediate launch, and built
+ * through StrategyEngine with the stored structure. A launch the server missed
+ * by more than DEFERRED_LAUNCH_MAX_DELAY_MINUTES (default 120) is marked failed
+ * instead of launching hours late. The same check marks launches failed that are
+ * still 'launching' STALE_LAUNCH_MINUTES after they started - the process running
+ * them restarted or crashed.
+ *
+ * launchAt is a local time ("2026-02-01T00:01") in launchTimezone: an IANA name,
+ * or 'account' (default) for the ad account's timezone.
+ *
+ * StrategyEngine builds ad sets with the shared budget and one creative, so
+ * requests using per-ad-set custom budgets or ad variations (For Ads) can't be
+ * deferred - assertDeferrable() refuses them instead of launching something else.
+ */
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const DEFERRED_DIR = path.join(UPLOADS_DIR, 'deferred');
+const MIN_LEAD_MINUTES = 1;
+const MAX_LEAD_DAYS = 60;
+// A launch still 'launching' this long after it started was cut off by a restart
+const STALE_LAUNCH_MINUTES = 30;
+
+// campaignData fields holding uploaded file paths
+const MEDIA_FIELDS = ['imagePath', 'videoPath', 'videoThumbnailPath'];
+const MEDIA_LIST_FIELDS = ['imagePaths', 'dynamicCreativeMediaPaths'];
+
+class DeferredLaunchService {
+  constructor() {
+    this.cronJob = null;
+    this.isRunning = false;
+    this.isInitialized = false;
+  }
+
+  get maxDelayMinutes() {
+    return parseInt(process.env.DEFERRED_LAUNCH_MAX_DELAY_MINUTES, 10) || 120;
+  }
+
+  /**
+   * Start the per-minute check for due launches
+   * Called once when server starts
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      console.log('⚠️  [DEFERRED] Already initialized, skipping');
+      return;
+    }
+
+    await this.recoverInterrupted();
+
+    this.cronJob = cron.schedule('* * * * *', async () => {
+      await this.launchDue();
+    });
+
+    this.isInitialized = true;
+    console.log('✅ [DEFERRED] Deferred launches checked every minute');
+  }
+
+  /**
+   * Whether a create request asks to launch later
+   */
+  isDeferredRequest(body) {
+    return !!body?.launchAt;
+  }
+
+  /**
+   * Throw when a create request uses options a deferred launch would drop
+   * @param {Object} body - Create request body
+   */
+  assertDeferrable(body) {
+    const settings = body?.duplicationSettings || {};
+    const unsupported = [];
+
+    if (settings.budgetDistributionType === 'custom' ||
+      (Array.isArray(settings.customBudgets) && settings.customBudgets.length > 0) ||
+      (Array.isArray(body?.customBudgets) && body.customBudgets.length > 0)) {
+      unsupported.push('custom ad set budgets');
+    }
+
+    const variations = body?.adVariationConfig;
+    if (variations && ((variations.variations || []).length > 0 || (variations.selectedAdSetIndices || []).length > 0)) {
+      unsupported.push('ad variations');
+    }
+
+    if (unsupported.length > 0) {
+      throw new Error(`Launches with ${unsupported.join(' or ')} can't be deferred - launch now or remove them`);
+    }
+  }
+
+  /**
+   * Timezone of an ad account
+   * @returns {Promise<String|null>} IANA timezone name, null when it can't be read
+   */
+  async getAccountTimezone(adAccountId, accessToken) {
+    try {
+      const response = await axios.get(`${getGraphBaseUrl()}/act_${String(adAccountId).replace('act_', '')}`, {
+        params: { fields: 'timezone_name', access_token: accessToken }
+      });
+      return response.data.timezone_name || null;
+    } catch (error) {
+      console.warn(`⚠️  [DEFERRED] Could not fetch ad account timezone for ${adAccountId}:`, error.response?.data?.error?.message || error.message);
+      return null;
+    }
+  }
+
+  /**
+   * User's current Facebook token (the model getter already decrypts it)
+   */
+  async getAccessToken(userId) {
+    const facebookAuth = await db.FacebookAuth.findOne({ where: { userId, isActive: true } });
+    return facebookAuth?.accessToken || null;
+  }
+
+  /**
+   * Resolve the launch time of a request
+   *
+   * @param {String} launchAt - Local date/time ("2026-02-01T00:01"); an ISO string with an offset is taken as-is
+   * @param {String} timezone - IANA timezone the local time is in
+   * @returns {Date} Launch time
+   * @throws {Error} Invalid time, or outside the allowed window
+   */
+  resolveLaunchAt(launchAt, timezone) {
+    if (!DateTime.local().setZone(timezone).isValid) {
+      throw new Error(`Unknown timezone "${timezone}"`);
+    }
+
+    const launchTime = DateTime.fromISO(String(launchAt), { zone: timezone });
+    if (!launchTime.isValid) {
+      throw new Error('launchAt must be a date and time like 2026-02-01T00:01');
+    }
+
+    const now = DateTime.utc();
+    if (launchTime < now.plus({ minutes: MIN_LEAD_MINUTES })) {
+      throw new Error('launchAt must be at least 1 minute in the future');
+    }
+    if (launchTime > now.plus({ days: MAX_LEAD_DAYS })) {
+      throw new Error(`launchAt can't be more than ${MAX_LEAD_DAYS} days ahead`);
+    }
+
+    return launchTime.toJSDate();
+  }
+
+  /**
+   * Timezone a request's launchAt is in ('account' or missing = the ad account's)
+   */
+  async resolveTimezone(launchTimezone, adAccountId, accessToken) {
+    if (launchTimezone && launchTimezone !== 'account') return launchTimezone;
+
+    const timezone = await this.getAccountTimezone(adAccountId, accessToken);
+    if (!timezone) {
+      throw new Error('Could not read the ad account timezone - send launchTimezone explicitly');
+    }
+    return timezone;
+  }
+
+  /**
+   * Store a launch to run later
+   *
+   * @param {Object} params - { userId, strategy, adAccountId, pageId, pixelId, accessToken,
+   *   campaignData, adSetCount, numberOfCampaigns, launchAt, launchTimezone }
+   * @returns {Promise<DeferredLaunch>}
+   * @throws {Error} Invalid launch time or structure (message is safe to show)
+   */
+  async createDeferredLaunch(params) {
+    const {
+      userId,
+      strategy,
+      pageId,
+      pixelId,
+      accessToken,
+      campaignData,
+      adSetCount,
+      numberOfCampaigns = 1,
+      launchAt,
+      launchTimezone
+    } = params;
+    const adAccountId = String(params.adAccountId).replace('act_', '');
+
+    // Same checks the engine runs at launch time, so a bad structure fails now
+    this.buildStructure(strategy, adSetCount, numberOfCampaigns);
+
+    const timezone = await this.resolveTimezone(launchTimezone, adAccountId, accessToken);
+    const launchTime = this.resolveLaunchAt(launchAt, timezone);
+
+    const deferred = await db.DeferredLaunch.create({
+      userId,
+      strategy,
+      adAccountId,
+      pageId,
+      pixelId,
+      campaignName: campaignData.campaignName,
+      campaignData,
+      adSetCount,
+      numberOfCampaigns,
+      launchAt: launchTime,
+      timezone
+    });
+
+    const { campaignData: storedData, mediaFiles } = await this.storeMedia(deferred.id, campaignData);
+    await deferred.update({ campaignData: storedData, mediaFiles });
+
+    console.log(`🕐 [DEFERRED] Launch ${deferred.id} "${deferred.campaignName}" scheduled for ${DateTime.fromJSDate(launchTime).setZone(timezone).toFormat('yyyy-MM-dd HH:mm ZZZZ')}`);
+
+    return deferred;
+  }
+
+  /**
+   * Structure the engine launches for a stored request
+   *
+   * The routes create numberOfCampaigns copies of one campaign; here they become
+   * campaigns of one structure named "<name> - Copy <n>".
+   */
+  buildStructure(strategy, adSetCount, numberOfCampaigns = 1) {
+    const copies = parseInt(numberOfCampaigns, 10);
+    if (!Number.isInteger(copies) || copies < 1 || copies > MAX_CAMPAIGNS) {
+      throw new Error(`numberOfCampaigns must be between 1 and ${MAX_CAMPAIGNS}`);
+    }
+
+    const structure = resolveStrategy(strategy, { adSets: adSetCount });
+    if (copies === 1) return structure;
+
+    return {
+      ...structure,
+      campaigns: copies,
+      naming: { ...structure.naming, campaign: '{name} - Copy {n}' }
+    };
+  }
+
+  /**
+   * Move the launch's uploads to uploads/deferred/<id>/ and point campaignData at them
+   * @returns {Promise<Object>} { campaignData, mediaFiles }
+   */
+  async storeMedia(id, campaignData) {
+    const dir = path.join(DEFERRED_DIR, String(id));
+    const data = { ...campaignData };
+    const moved = new Map();
+
+    const move = async (filePath) => {
+      if (!filePath) return filePath;
+      if (moved.has(filePath)) return moved.get(filePath);
+
+      await fs.mkdir(dir, { recursive: true });
+      const target = path.join(dir, path.basename(filePath));
+      try {
+        await fs.rename(filePath, target);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.copyFile(filePath, target);
+        await fs.unlink(filePath);
+      }
+      moved.set(filePath, target);
+      return target;
+    };
+
+    for (const field of MEDIA_FIELDS) {
+      data[field] = await move(data[field]);
+    }
+    for (const field of MEDIA_LIST_FIELDS) {
+      if (Array.isArray(data[field])) {
+        const paths = [];
+        for (const filePath of data[field]) {
+          paths.push(await move(filePath));
+        }
+        data[field] = paths;
+      }
+    }
+
+    return { campaignData: data, mediaFiles: [...moved.values()] };
+  }
+
+  /**
+   * Remove a launch's stored media
+   */
+  async removeMedia(deferred) {
+    try {
+      await fs.rm(path.join(DEFERRED_DIR, String(deferred.id)), { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`⚠️  [DEFERRED] Could not remove media for launch ${deferred.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Claim and run every launch that is due
+   */
+  async launchDue() {
+    if (this.isRunning) {
+      console.log('⏭️  [DEFERRED] Previous run still launching, skipping');
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      // A crashed process can leave launches claimed without a restart of this one
+      await this.recoverInterrupted();
+
+      const due = await db.DeferredLaunch.findAll({
+        where: { status: 'scheduled', launchAt: { [Op.lte]: new Date() } },
+        order: [['launchAt', 'ASC']]
+      });
+
+      for (const deferred of due) {
+        // Claim the row so another instance doesn't launch it too
+        const [claimed] = await db.DeferredLaunch.update(
+          { status: 'launching', startedAt: new Date() },
+          { where: { id: deferred.id, status: 'scheduled' } }
+        );
+        if (claimed === 0) continue;
+
+        const lateMinutes = (Date.now() - new Date(deferred.launchAt).getTime()) / 60000;
+        if (lateMinutes > this.maxDelayMinutes) {
+          await this.finish(deferred, 'failed', {
+            error: `Missed launch time by ${Math.round(lateMinutes)} minutes (limit ${this.maxDelayMinutes}) - not launched`
+          });
+          continue;
+        }
+
+        await this.launch(deferred);
+      }
+    } catch (error) {
+      console.error('❌ [DEFERRED] Error while checking due launches:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Run one claimed launch
+   */
+  async launch(deferred) {
+    console.log(`\n🚀 [DEFERRED] Launch ${deferred.id}: ${deferred.campaignName} (${deferred.strategy})`);
+
+    try {
+      const accessToken = await this.getAccessToken(deferred.userId);
+      if (!accessToken) {
+        return await this.finish(deferred, 'failed', { error: 'No active Facebook connection for this user' });
+      }
+
+      const facebookApi = new FacebookAPI({
+        accessToken,
+        adAccountId: deferred.adAccountId,
+        pageId: deferred.pageId,
+        pixelId: deferred.pixelId
+      });
+
+      const verification = await SafetyChecks.verifyPreCreationState(
+        deferred.userId,
+        facebookApi,
+        deferred.campaignName,
+        deferred.adAccountId
+      );
+      await SafetyChecks.logVerification(deferred.userId, deferred.adAccountId, deferred.campaignName, verification, null);
+
+      if (!verification.canProceed) {
+        return await this.finish(deferred, 'blocked', {
+          error: `Pre-creation verification failed: ${verification.reasons.join('; ')}`,
+          result: { verificationId: verification.id, reasons: verification.reasons, details: verification.details }
+        });
+      }
+
+      const structure = this.buildStructure(deferred.strategy, deferred.adSetCount, deferred.numberOfCampaigns);
+      const result = await StrategyEngine.launch(facebookApi, structure, deferred.campaignData, { userId: deferred.userId });
+
+      await this.finish(deferred, 'launched', {
+        result: {
+          jobId: result.jobId,
+          campaignIds: result.campaigns.map(campaign => campaign.campaignId),
+          totals: result.totals,
+          warnings: [...(verification.warnings || []), ...result.campaigns.flatMap(campaign => campaign.warnings)]
+        }
+      });
+    } catch (error) {
+      console.error(`❌ [DEFERRED] Launch ${deferred.id} failed:`, error.message);
+      await this.finish(deferred, 'failed', { error: error.message, result: error.jobId ? { jobId: error.jobId } : null });
+    }
+  }
+
+  /**
+   * Record a launch's outcome, audit it and drop its media
+   */
+  async finish(deferred, status, { result = null, error = null } = {}) {
+    await deferred.update({
+      status,
+      result,
+      error,
+      launchedAt: status === 'launched' ? new Date() : null
+    });
+
+    await AuditService.log({
+      userId: deferred.userId,
+      action: 'deferred_launch.run',
+      resourceType: 'campaign',
+      resourceId: result?.campaignIds?.[0] || null,
+      details: { deferredLaunchId: deferred.id, strategy: deferred.strategy, status, error }
+    });
+
+    await this.removeMedia(deferred);
+
+    const icon = status === 'launched' ? '✅' : '❌';
+    console.log(`${icon} [DEFERRED] Launch ${deferred.id} ${status}${error ? `: ${error}` : ''}`);
+  }
+
+  /**
+   * Launches cut off by a restart or crash can't be resumed safely (entities may exist) - mark them failed
+   * Runs at startup and before every per-minute check; this process's own launches
+   * never match, launchDue() doesn't run while they are in progress.
+   */
+  async recoverInterrupted() {
+    const where = {
+      status: 'launching',
+      startedAt: { [Op.lt]: new Date(Date.now() - STALE_LAUNCH_MINUTES * 60 * 1000) }
+    };
+    const stale = await db.DeferredLaunch.findAll({ where });
+    let recovered = 0;
+
+    for (const deferred of stale) {
+      // Claim the row so another instance doesn't report it too
+      const [claimed] = await db.DeferredLaunch.update({ status: 'failed' }, { where: { ...where, id: deferred.id } });
+      if (claimed === 0) continue;
+
+      await this.finish(deferred, 'failed', {
+        error: 'Interrupted by a server restart or crash - check the ad account before launching again'
+      });
+      recovered++;
+    }
+
+    if (recovered > 0) {
+      console.log(`🔄 [DEFERRED] Marked ${recovered} interrupted launch(es) failed`);
+    }
+  }
+
+  /**
+   * A user's deferred launches, soonest first
+   */
+  async list(userId, { status } = {}) {
+    const where = { userId };
+    if (status) where.status = status;
+
+    return db.DeferredLaunch.findAll({
+      where,
+      attributes: { exclude: ['campaignData'] },
+      order: [['launchAt', 'ASC']]
+    });
+  }
+
+  async get(id, userId) {
+    return db.DeferredLaunch.findOne({ where: { id, userId } });
+  }
+
+  /**
+   * Move a scheduled launch to another time
+   * @throws {Error} Not scheduled anymore, or invalid time
+   */
+  async reschedule(deferred, { launchAt, launchTimezone }) {
+    if (deferred.status !== 'scheduled') {
+      throw new Error(`Launch is ${deferred.status} and can't be rescheduled`);
+    }
+
+    const timezone = launchTimezone
+      ? await this.resolveTimezone(launchTimezone, deferred.adAccountId, await this.getAccessToken(deferred.userId))
+      : deferred.timezone;
+    const launchTime = this.resolveLaunchAt(launchAt, timezone);
+
+    await deferred.update({ launchAt: launchTime, timezone });
+    return deferred;
+  }
+
+  /**
+   * Cancel a scheduled launch and drop its media
+   * @throws {Error} Not scheduled anymore
+   */
+  async cancel(deferred) {
+    const [cancelled] = await db.DeferredLaunch.update(
+      { status: 'cancelled' },
+      { where: { id: deferred.id, status: 'scheduled' } }
+    );
+    if (cancelled === 0) {
+      throw new Error(`Launch is ${deferred.status} and can't be cancelled`);
+    }
+
+    await this.removeMedia(deferred);
+    return deferred.reload();
+  }
+}
+
+module.exports = new DeferredLaunchService();
@@ -0,0 +1,348 @@
+const db = require('../models');
+const FacebookAPI = require('./facebookApi');
+const CrossAccountDeploymentService = require('./CrossAccountDeploymentService');
+const {
+  applyCopy,
+  snapshotStructure,
+  diffSnapshots
+} = require('../utils/deploymentDiff');
+
+/**
+ * Deployment Sync Service - keeps deployed copies in line with their source
+ *
+ * diffDeployment() reads the source campaign and every completed copy of a
+ * CampaignDeployment and reports the differences per target (see
+ * utils/deploymentDiff for what is compared and how entities are matched).
+ *
+ * pushChanges() re-reads both sides and applies the selected categories to
+ * the selected copies:
+ * - status, budget, schedule: written on the campaign / ad set / ad
+ * - copy, url: a new creative is built from the copy's own creative spec with
+ *   the source's text and link, then swapped onto the ad (creatives are immutable)
+ * Every push is a DeploymentSync row on the deployment (results per target and change).
+ * The sync route uses startSync(), which returns the 'processing' row and pushes
+ * in the background; the row is updated when the push finishes.
+ */
+
+const PAGE_LIMIT = 100;
+
+class DeploymentSyncService {
+  /**
+   * Read every page of a Graph edge
+   */
+  async fetchAll(facebookApi, url, fields) {
+    const items = [];
+    let next = url;
+    let params = { fields, limit: PAGE_LIMIT, access_token: facebookApi.accessToken };
+
+    while (next) {
+      const response = await facebookApi.makeApiCallWithRotation('GET', next, { params });
+      items.push(...(response.data.data || []));
+      next = response.data.paging?.next || null;
+      params = undefined; // The next URL carries its own query
+    }
+
+    return items;
+  }
+
+  /**
+   * Read a campaign's syncable fields
+   * @returns {Promise<Object>} snapshotStructure() result
+   */
+  async readSnapshot(facebookApi, campaignId) {
+    const { baseURL, accessToken } = facebookApi;
+
+    const campaign = (await facebookApi.makeApiCallWithRotation('GET', `${baseURL}/${campaignId}`, {
+      params: { fields: 'name,status,daily_budget,lifetime_budget,account_id', access_token: accessToken }
+    })).data;
+
+    const [adSets, ads, account] = await Promise.all([
+      this.fetchAll(facebookApi, `${baseURL}/${campaignId}/adsets`,
+        'name,status,daily_budget,lifetime_budget,start_time,end_time,created_time'),
+      this.fetchAll(facebookApi, `${baseURL}/${campaignId}/ads`,
+        'name,adset_id,status,created_time,creative{id,object_story_spec,asset_feed_spec,url_tags}'),
+      facebookApi.makeApiCallWithRotation('GET', `${baseURL}/act_${campaign.account_id}`, {
+        params: { fields: 'currency', access_token: accessToken }
+      }).then(response => response.data).catch(() => null)
+    ]);
+
+    return snapshotStructure({ campaign, adSets, ads, currency: account?.currency || null });
+  }
+
+  /**
+   * Deployment with its deployed copies, scoped to the user
+   */
+  async getDeployment(deploymentId, userId) {
+    return db.CampaignDeployment.findOne({
+      where: { id: deploymentId, userId },
+      include: [{ model: db.DeployedCampaign, as: 'deployedCampaigns' }]
+    });
+  }
+
+  /**
+   * Copies that can be synced (created successfully), optionally narrowed to some DeployedCampaign IDs
+   */
+  getSyncableCopies(deployment, deployedCampaignIds = null) {
+    const ids = Array.isArray(deployedCampaignIds) && deployedCampaignIds.length > 0
+      ? new Set(deployedCampaignIds.map(Number))
+      : null;
+
+    return deployment.deployedCampaigns.filter(copy =>
+      copy.status === 'completed' && copy.targetCampaignId && (!ids || ids.has(copy.id))
+    );
+  }
+
+  apiFor(accessToken, adAccountId) {
+    return new FacebookAPI({ accessToken, adAccountId: String(adAccountId).replace('act_', '') });
+  }
+
+  /**
+   * Differences between the source campaign and each of its copies
+   *
+   * @param {CampaignDeployment} deployment - With deployedCampaigns
+   * @param {Object} options - { deployedCampaignIds }
+   * @returns {Promise<Object>} { deploymentId, source, targets: [{ deployedCampaignId, ..., changes, warnings, error }] }
+   */
+  async diffDeployment(deployment, options = {}) {
+    const { source, targets } = await this.readDeployment(deployment, options.deployedCampaignIds);
+
+    return {
+      deploymentId: deployment.id,
+      source: {
+        campaignId: source.campaign.id,
+        name: source.campaign.name,
+        adSets: source.adSets.length,
+        ads: source.ads.length
+      },
+      targets: targets.map(({ copy, snapshot, error }) => {
+        const diff = snapshot ? diffSnapshots(source, snapshot, copy.entityMap) : { changes: [], warnings: [] };
+        return {
+          deployedCampaignId: copy.id,
+          targetCampaignId: copy.targetCampaignId,
+          targetCampaignName: snapshot?.campaign.name || copy.targetCampaignName,
+          targetAdAccountId: copy.targetAdAccountId,
+          lastSyncedAt: copy.lastSyncedAt,
+          inSync: !error && diff.changes.length === 0,
+          changes: diff.changes,
+          warnings: diff.warnings,
+          error
+        };
+      })
+    };
+  }
+
+  /**
+   * Snapshots of the source and the selected copies
+   */
+  async readDeployment(deployment, deployedCampaignIds = null) {
+    if (!deployment.sourceCampaignId) {
+      throw new Error('This deployment was created from a new campaign, not a source campaign - there is nothing to sync from');
+    }
+
+    const accessToken = await CrossAccountDeploymentService.getUserAccessToken(deployment.userId);
+    const source = await this.readSnapshot(this.apiFor(accessToken, deployment.sourceAdAccountId), deployment.sourceCampaignId);
+
+    const targets = [];
+    for (const copy of this.getSyncableCopies(deployment, deployedCampaignIds)) {
+      const api = this.apiFor(accessToken, copy.targetAdAccountId);
+      try {
+        targets.push({ copy, api, snapshot: await this.readSnapshot(api, copy.targetCampaignId), error: null });
+      } catch (error) {
+        targets.push({ copy, api, snapshot: null, error: error.response?.data?.error?.message || error.message });
+      }
+    }
+
+    return { source, targets };
+  }
+
+  /**
+   * Push the selected categories of changes from the source to the copies
+   *
+   * @param {CampaignDeployment} deployment - With deployedCampaigns
+   * @param {Object} options - { fields: ['status', 'budget', ...], deployedCampaignIds }
+   * @returns {Promise<DeploymentSync>}
+   */
+  async pushChanges(deployment, { fields, deployedCampaignIds = null }) {
+    const sync = await this.createSync(deployment, fields, deployedCampaignIds);
+    return this.runSync(sync, deployment, { fields, deployedCampaignIds });
+  }
+
+  /**
+   * Same as pushChanges, but returns the 'processing' DeploymentSync row right away
+   * and pushes in the background (progress: GET .../syncs)
+   *
+   * @returns {Promise<DeploymentSync>}
+   */
+  async startSync(deployment, { fields, deployedCampaignIds = null }) {
+    const sync = await this.createSync(deployment, fields, deployedCampaignIds);
+
+    this.runSync(sync, deployment, { fields, deployedCampaignIds }).catch(async (error) => {
+      console.error(`❌ [Deployment Sync ${sync.id}] Failed:`, error.message);
+      try {
+        await sync.update({ status: 'failed', results: { error: error.message }, completedAt: new Date() });
+      } catch (updateError) {
+        console.error(`❌ Could not mark sync ${sync.id} as failed:`, updateError.message);
+      }
+    });
+
+    return sync;
+  }
+
+  async createSync(deployment, fields, deployedCampaignIds) {
+    return db.DeploymentSync.create({
+      deploymentId: deployment.id,
+      userId: deployment.userId,
+      fields,
+      totalTargets: this.getSyncableCopies(deployment, deployedCampaignIds).length
+    });
+  }
+
+  /**
+   * Read both sides and apply the selected categories, then finish the sync row
+   */
+  async runSync(sync, deployment, { fields, deployedCampaignIds = null }) {
+    const { source, targets } = await this.readDeployment(deployment, deployedCampaignIds);
+
+    console.log(`\n🔄 [Deployment Sync ${sync.id}] Pushing ${fields.join(', ')} to ${targets.length} copies of ${deployment.sourceCampaignId}`);
+
+    const results = [];
+    const totals = { applied: 0, failed: 0, skipped: 0 };
+
+    for (const { copy, api, snapshot, error } of targets) {
+      const result = {
+        deployedCampaignId: copy.id,
+        targetCampaignId: copy.targetCampaignId,
+        targetAdAccountId: copy.targetAdAccountId,
+        changes: [],
+        error
+      };
+      results.push(result);
+
+      if (error) {
+        totals.failed++;
+        continue;
+      }
+
+      const { changes } = diffSnapshots(source, snapshot, copy.entityMap);
+      const selected = changes.filter(change => fields.includes(change.category));
+
+      selected.filter(change => !change.supported).forEach(change => {
+        result.changes.push({ keys: [change.key], entityId: change.entityId, success: false, skipped: true, error: change.reason });
+        totals.skipped++;
+      });
+
+      const outcomes = await this.applyChanges(api, copy.targetAdAccountId, snapshot, selected.filter(change => change.supported));
+      outcomes.forEach(outcome => {
+        result.changes.push(outcome);
+        totals[outcome.success ? 'applied' : 'failed'] += outcome.keys.length;
+      });
+
+      if (outcomes.length > 0 && outcomes.every(outcome => outcome.success)) {
+        await copy.update({ lastSyncedAt: new Date() });
+      }
+
+      console.log(`  ${result.changes.every(change => change.success || change.skipped) ? '✅' : '⚠️ '} ${copy.targetCampaignId}: ${result.changes.length} change(s)`);
+    }
+
+    const status = totals.failed === 0 ? 'completed' : (totals.applied === 0 ? 'failed' : 'partial');
+    await sync.update({
+      status,
+      appliedChanges: totals.applied,
+      failedChanges: totals.failed,
+      skippedChanges: totals.skipped,
+      results,
+      completedAt: new Date()
+    });
+
+    console.log(`✅ [Deployment Sync ${sync.id}] ${status}: ${totals.applied} applied, ${totals.failed} failed, ${totals.skipped} skipped`);
+
+    return sync;
+  }
+
+  /**
+   * Write a copy's changes: one update per entity, one new creative per ad with copy/URL changes
+   * @returns {Promise<Array>} [{ keys, entityId, success, error }]
+   */
+  async applyChanges(facebookApi, adAccountId, snapshot, changes) {
+    const byEntity = new Map();
+    changes.forEach(change => {
+      const group = byEntity.get(change.entityId) || [];
+      group.push(change);
+      byEntity.set(change.entityId, group);
+    });
+
+    const outcomes = [];
+    for (const [entityId, entityChanges] of byEntity) {
+      const fieldChanges = entityChanges.filter(change => !['copy', 'url'].includes(change.category));
+      const creativeChanges = entityChanges.filter(change => ['copy', 'url'].includes(change.category));
+
+      if (fieldChanges.length > 0) {
+        const params = Object.fromEntries(fieldChanges.map(change => [change.field, change.source ?? '']));
+        outcomes.push(await this.runUpdate(fieldChanges, entityId, () =>
+          this.updateEntity(facebookApi, entityId, params)
+        ));
+      }
+
+      if (creativeChanges.length > 0) {
+        const ad = snapshot.ads.find(item => item.id === entityId);
+        const values = Object.fromEntries(creativeChanges.map(change => [change.field, change.source]));
+        outcomes.push(await this.runUpdate(creativeChanges, entityId, () =>
+          this.replaceCreative(facebookApi, adAccountId, ad, values)
+        ));
+      }
+    }
+
+    return outcomes;
+  }
+
+  async runUpdate(changes, entityId, update) {
+    const keys = changes.map(change => change.key);
+    try {
+      await update();
+      return { keys, entityId, success: true, error: null };
+    } catch (error) {
+      const message = error.response?.data?.error?.error_user_msg || error.response?.data?.error?.message || error.message;
+      console.error(`    ❌ ${entityId}: ${message}`);
+      return { keys, entityId, success: false, error: message };
+    }
+  }
+
+  async updateEntity(facebookApi, entityId, params) {
+    return facebookApi.makeApiCallWithRotation('POST', `${facebookApi.baseURL}/${entityId}`, {
+      params: { ...params, access_token: facebookApi.accessToken }
+    });
+  }
+
+  /**
+   * Build a new creative from the ad's spec with the source's copy and point the ad at it
+   */
+  async replaceCreative(facebookApi, adAccountId, ad, values) {
+    const { baseURL, accessToken } = facebookApi;
+    const objectStorySpec = applyCopy(ad.creative.object_story_spec, values);
+
+    const creative = await facebookApi.makeApiCallWithRotation('POST', `${baseURL}/act_${String(adAccountId).replace('act_', '')}/adcreatives`, {
+      params: {
+        name: `${ad.name} - synced ${new Date().toISOString().slice(0, 10)}`,
+        object_story_spec: JSON.stringify(objectStorySpec),
+        ...(ad.creative.url_tags ? { url_tags: ad.creative.url_tags } : {}),
+        access_token: accessToken
+      }
+    });
+
+    await this.updateEntity(facebookApi, ad.id, {
+      creative: JSON.stringify({ creative_id: creative.data.id })
+    });
+  }
+
+  /**
+   * Past pushes for a deployment, newest first
+   */
+  async listSyncs(deploymentId) {
+    return db.DeploymentSync.findAll({
+      where: { deploymentId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+}
+
+module.exports = new DeploymentSyncService();
@@ -0,0 +1,153 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const { normalizeConversionMapping } = require('../utils/conversionMapping');
+
+/**
+ * Deployment Target Group Service - saved, named lists of deployment targets
+ *
+ * A target is { adAccountId, pageId, pixelId } plus optional overrides used
+ * when the campaign is cloned into it:
+ * - customCampaignName: exact campaign name in that target
+ * - namingValues:       naming convention token values for that target
+ *                       (e.g. { state: 'TX' }) when the source name follows a convention
+ * - conversionMapping:  source → target pixel and conversion event rules
+ *                       (see utils/conversionMapping)
+ * Display names (adAccountName, pageName, pixelName) are kept for the UI.
+ *
+ * POST /api/campaigns/deployment/:campaignId/deploy accepts targetGroupId;
+ * groups larger than the per-chunk limit are deployed in throttled chunks
+ * (see CrossAccountDeploymentService.deployToMultipleTargets).
+ */
+
+const MAX_GROUP_TARGETS = 100;
+const TARGET_FIELDS = ['adAccountId', 'adAccountName', 'pageId', 'pageName', 'pixelId', 'pixelName', 'customCampaignName'];
+
+class DeploymentTargetGroupService {
+  get maxTargets() {
+    return MAX_GROUP_TARGETS;
+  }
+
+  /**
+   * Clean a list of targets down to the known fields
+   *
+   * @param {Array} targets - Submitted targets
+   * @returns {Object} { targets, errors }
+   */
+  normalizeTargets(targets) {
+    const errors = [];
+
+    if (!Array.isArray(targets) || targets.length === 0) {
+      return { targets: [], errors: ['At least one target is required'] };
+    }
+    if (targets.length > MAX_GROUP_TARGETS) {
+      errors.push(`Maximum ${MAX_GROUP_TARGETS} targets allowed`);
+    }
+
+    const seen = new Set();
+    const normalized = targets.map((target, index) => {
+      const label = `Target ${index + 1}`;
+      const clean = {};
+
+      TARGET_FIELDS.forEach(field => {
+        const value = target?.[field];
+        if (value !== undefined && value !== null && value !== '') clean[field] = String(value).trim();
+      });
+
+      if (!clean.adAccountId || !clean.pageId) {
+        errors.push(`${label}: adAccountId and pageId are required`);
+        return clean;
+      }
+      const key = `${clean.adAccountId.replace('act_', '')}:${clean.pageId}`;
+      if (seen.has(key)) {
+        errors.push(`${label}: ${clean.adAccountId} with page ${clean.pageId} is listed twice`);
+      }
+      seen.add(key);
+
+      if (target.namingValues !== undefined && target.namingValues !== null) {
+        if (typeof target.namingValues !== 'object' || Array.isArray(target.namingValues)) {
+          errors.push(`${label}: namingValues must be an object of token values`);
+        } else if ('copy' in target.namingValues || 'n' in target.namingValues) {
+          errors.push(`${label}: namingValues can't set {copy} or {n} - they are numbered per deployment`);
+        } else {
+          clean.namingValues = Object.fromEntries(
+            Object.entries(target.namingValues).map(([token, value]) => [token, String(value)])
+          );
+        }
+      }
+
+      const { mapping, errors: mappingErrors } = normalizeConversionMapping(target.conversionMapping, label);
+      errors.push(...mappingErrors);
+      if (mapping) clean.conversionMapping = mapping;
+
+      return clean;
+    });
+
+    return { targets: normalized, errors };
+  }
+
+  /**
+   * Validate a group definition
+   * @returns {Promise<Object>} { values, errors }
+   */
+  async validate(userId, definition, groupId = null) {
+    const errors = [];
+    const name = String(definition.name || '').trim();
+
+    if (!name) {
+      errors.push('Group name is required');
+    } else {
+      const where = { userId, name };
+      if (groupId) where.id = { [Op.ne]: groupId };
+      if (await db.DeploymentTargetGroup.count({ where })) {
+        errors.push(`A target group named "${name}" already exists`);
+      }
+    }
+
+    const { targets, errors: targetErrors } = this.normalizeTargets(definition.targets);
+    errors.push(...targetErrors);
+
+    return {
+      values: { name, description: definition.description || null, targets },
+      errors
+    };
+  }
+
+  async list(userId) {
+    return db.DeploymentTargetGroup.findAll({
+      where: { userId },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  async get(id, userId) {
+    return db.DeploymentTargetGroup.findOne({ where: { id, userId } });
+  }
+
+  /**
+   * Targets of a deploy request: the saved group's, then any inline targets
+   *
+   * @param {Number} userId
+   * @param {Object} request - { targetGroupId, targets }
+   * @returns {Promise<Object>} { group, targets, errors }
+   */
+  async resolveTargets(userId, { targetGroupId, targets }) {
+    let group = null;
+    const combined = [];
+
+    if (targetGroupId) {
+      group = await this.get(targetGroupId, userId);
+      if (!group) {
+        return { group: null, targets: [], errors: [`Target group ${targetGroupId} not found`] };
+      }
+      combined.push(...group.targets);
+    }
+    if (Array.isArray(targets)) {
+      combined.push(...targets);
+    }
+
+    const normalized = this.normalizeTargets(combined);
+    return { group, ...normalized };
+  }
+}
+
+module.exports = new DeploymentTargetGroupService();
@@ -20,6 +20,7 @@
 const axios = require('axios');
 const appRotationService = require('./AppRotationService');
 const { decryptToken } = require('../utils/encryption');
+const { getGraphBaseUrl } = require('../config/graphApi');
 const {
   AllAppsExhaustedError,
   FacebookApiError,
@@ -29,7 +30,7 @@ const {
   parseFacebookError
 } = require('../utils/customErrors');
 
-const FACEBOOK_API_BASE = 'https://graph.facebook.com/v19.0';
+const FACEBOOK_API_BASE = getGraphBaseUrl('v19.0');
 const MAX_RETRY_ATTEMPTS = 3; // Try up to 3 apps before giving up
 const REQUEST_TIMEOUT = 30000; // 30 seconds
 
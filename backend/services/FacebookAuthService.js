@@ -1,6 +1,7 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const { FacebookAuth, EligibilityCheck, AuthAuditLog, User } = require('../models');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 // Encryption functions for token storage
 const algorithm = 'aes-256-gcm';
@@ -73,7 +74,7 @@ class FacebookAuthService {
     this.appSecret = process.env.FB_APP_SECRET;
     this.redirectUri = process.env.FB_REDIRECT_URI || 'http://localhost:5002/api/auth/facebook/callback';
     this.graphApiVersion = process.env.FB_API_VERSION || 'v18.0';
-    this.baseGraphUrl = `https://graph.facebook.com/${this.graphApiVersion}`;
+    this.baseGraphUrl = getGraphBaseUrl(this.graphApiVersion);
     
     // Log configuration for debugging
     console.log('FacebookAuthService initialized with:');
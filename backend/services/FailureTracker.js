@@ -5,10 +5,12 @@
 
 const db = require('../models');
 const ErrorTranslator = require('./ErrorTranslator');
+const JobEvents = require('./JobEvents');
 
 class FailureTracker {
   /**
    * Track a failed entity
+   * Failures with metadata.jobId are also pushed to that job's event stream.
    * @param {Object} params - Failure tracking parameters
    * @returns {Promise<Object>} - Created FailedEntity record
    */
@@ -53,6 +55,16 @@ class FailureTracker {
       console.log(`📝 Tracked failed ${entityType}: ${adsetName || adName || campaignName}`);
       console.log(`   Error: ${translated.userFriendlyMessage}`);
 
+      if (metadata?.jobId) {
+        JobEvents.publish(metadata.jobId, JobEvents.EVENT_TYPES.ENTITY_FAILED, {
+          failedEntityId: failedEntity.id,
+          entityType,
+          name: adsetName || adName || campaignName,
+          error: translated.userFriendlyMessage,
+          errorCode: translated.errorCode
+        });
+      }
+
       return failedEntity;
     } catch (trackingError) {
       console.error('❌ Error tracking failure:', trackingError);
@@ -0,0 +1,670 @@
+/**
+ * FakeGraphApi.js
+ *
+ * Offline stand-in for the Facebook Marketing API used for end-to-end launches
+ * on a laptop. Point the backend at it with FB_GRAPH_BASE_URL (see
+ * config/graphApi.js) and run `npm run fake-graph`.
+ *
+ * Supported surface (enough for Strategy 1-50-1, For All, For Ads, /multiply
+ * and cross-account deploy):
+ * - Node reads/updates/deletes:      GET|POST|DELETE /:version/:id
+ * - Edge reads:                      GET /:version/:id/(campaigns|adsets|ads|adcreatives|adimages|insights)
+ * - Entity creation:                 POST /:version/act_:id/(campaigns|adsets|ads|adcreatives|adimages|advideos)
+ * - Page posts:                      POST /:version/:pageId/(feed|videos)
+ * - Deep copies:                     POST /:version/:id/copies
+ * - Batch API (with {result=...} references): POST /:version and POST /
+ *
+ * Fault injection (all under /__fake):
+ * - POST /__fake/faults   { rateLimit: { code, every, count, pathPattern }, batchFailureRate, batchFailureCode }
+ * - GET  /__fake/state    Dump of the in-memory entity tree
+ * - POST /__fake/reset    Clear entities and faults
+ *
+ * Nothing here talks to Facebook. Besides the standalone script, the only
+ * production use is LaunchPlanner, which answers dry-run launches from a
+ * private in-memory instance instead of the network.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+
+// Rate limit error shapes as returned by the real Graph API
+const RATE_LIMIT_ERRORS = {
+  4: {
+    message: 'Application request limit reached',
+    type: 'OAuthException',
+    code: 4,
+    is_transient: true
+  },
+  17: {
+    message: 'User request limit reached',
+    type: 'OAuthException',
+    code: 17,
+    error_subcode: 2446079,
+    is_transient: true
+  },
+  613: {
+    message: 'Calls to this api have exceeded the rate limit.',
+    type: 'OAuthException',
+    code: 613,
+    is_transient: true
+  },
+  80004: {
+    message: 'There have been too many calls to this ad-account. Wait a bit and try again.',
+    type: 'OAuthException',
+    code: 80004,
+    error_subcode: 2446079,
+    is_transient: true
+  }
+};
+
+// Which collection an edge name on an ad account maps to
+const EDGE_TYPES = {
+  campaigns: 'campaign',
+  adsets: 'adset',
+  ads: 'ad',
+  adcreatives: 'creative',
+  adimages: 'image',
+  advideos: 'video'
+};
+
+/**
+ * Storage engine that consumes uploaded files without buffering them in memory.
+ * Only the size and a content hash are kept, which is all the fake needs.
+ */
+const hashingStorage = {
+  _handleFile(req, file, cb) {
+    const hash = crypto.createHash('md5');
+    let size = 0;
+    file.stream.on('data', chunk => {
+      size += chunk.length;
+      hash.update(chunk);
+    });
+    file.stream.on('error', cb);
+    file.stream.on('end', () => cb(null, { size, hash: hash.digest('hex') }));
+  },
+  _removeFile(req, file, cb) {
+    cb(null);
+  }
+};
+
+class FakeGraphApi {
+  constructor(options = {}) {
+    this.latencyMs = options.latencyMs || 0;
+    this.reset();
+  }
+
+  /**
+   * Clear all entities, counters and injected faults
+   */
+  reset() {
+    this.entities = new Map();
+    this.nextId = 120200000000000000n;
+    this.requestCount = 0;
+    this.faults = {
+      rateLimit: null,
+      batchFailureRate: 0,
+      batchFailureCode: 100
+    };
+    this.injectedErrors = 0;
+  }
+
+  /**
+   * Configure fault injection
+   *
+   * @param {Object} faults
+   * @param {Object} faults.rateLimit - { code: 4|17|613|80004, every: N, count: N, pathPattern: regex string }
+   * @param {Number} faults.batchFailureRate - 0..1 probability that a single batch item fails
+   * @param {Number} faults.batchFailureCode - Graph error code used for failed batch items
+   */
+  setFaults(faults = {}) {
+    if (faults.rateLimit !== undefined) {
+      const rl = faults.rateLimit;
+      if (rl && !RATE_LIMIT_ERRORS[rl.code]) {
+        throw new Error(`Unsupported rate limit code: ${rl.code}. Use one of ${Object.keys(RATE_LIMIT_ERRORS).join(', ')}`);
+      }
+      this.faults.rateLimit = rl ? {
+        code: Number(rl.code),
+        every: Math.max(1, parseInt(rl.every, 10) || 1),
+        count: rl.count === undefined ? Infinity : parseInt(rl.count, 10),
+        pathPattern: rl.pathPattern ? new RegExp(rl.pathPattern) : null,
+        seen: 0
+      } : null;
+    }
+    if (faults.batchFailureRate !== undefined) {
+      this.faults.batchFailureRate = Math.min(1, Math.max(0, Number(faults.batchFailureRate) || 0));
+    }
+    if (faults.batchFailureCode !== undefined) {
+      this.faults.batchFailureCode = Number(faults.batchFailureCode) || 100;
+    }
+    return this.getFaults();
+  }
+
+  getFaults() {
+    const rl = this.faults.rateLimit;
+    return {
+      rateLimit: rl ? {
+        code: rl.code,
+        every: rl.every,
+        remaining: rl.count === Infinity ? 'unlimited' : rl.count,
+        pathPattern: rl.pathPattern ? rl.pathPattern.source : null
+      } : null,
+      batchFailureRate: this.faults.batchFailureRate,
+      batchFailureCode: this.faults.batchFailureCode,
+      injectedErrors: this.injectedErrors
+    };
+  }
+
+  generateId() {
+    this.nextId += BigInt(1 + Math.floor(Math.random() * 50));
+    return this.nextId.toString();
+  }
+
+  /**
+   * Decide whether the next request should be answered with a rate limit error
+   */
+  shouldRateLimit(path) {
+    const rl = this.faults.rateLimit;
+    if (!rl || rl.count <= 0) return null;
+    if (rl.pathPattern && !rl.pathPattern.test(path)) return null;
+
+    rl.seen++;
+    if (rl.seen % rl.every !== 0) return null;
+
+    rl.count--;
+    this.injectedErrors++;
+    return { ...RATE_LIMIT_ERRORS[rl.code], fbtrace_id: crypto.randomBytes(8).toString('hex') };
+  }
+
+  // ========== Entity tree ==========
+
+  createEntity(type, accountId, fields) {
+    const id = this.generateId();
+    const now = new Date().toISOString();
+    const entity = {
+      ...this.normalizeFields(fields),
+      id,
+      _type: type,
+      account_id: accountId ? accountId.replace('act_', '') : undefined,
+      created_time: now,
+      updated_time: now
+    };
+
+    ['campaign_id', 'adset_id'].forEach(field => {
+      if (entity[field] !== undefined && entity[field] !== null) entity[field] = String(entity[field]);
+    });
+
+    if (['campaign', 'adset', 'ad'].includes(type)) {
+      entity.status = entity.status || 'PAUSED';
+      entity.effective_status = entity.status;
+      entity.configured_status = entity.status;
+    }
+
+    // Ads resolve their campaign through the ad set, and inline creatives become real creatives
+    if (type === 'ad') {
+      const adSet = this.entities.get(String(entity.adset_id));
+      if (!adSet) {
+        throw this.graphError(100, `Invalid parameter: adset_id ${entity.adset_id} does not exist`, 1487056);
+      }
+      entity.campaign_id = adSet.campaign_id;
+      if (entity.creative && !entity.creative.creative_id && !entity.creative.id) {
+        const creative = this.createEntity('creative', accountId, entity.creative);
+        entity.creative = { id: creative.id };
+      } else if (entity.creative) {
+        entity.creative = { id: String(entity.creative.creative_id || entity.creative.id) };
+      }
+    }
+
+    if (type === 'adset' && !this.entities.has(String(entity.campaign_id))) {
+      throw this.graphError(100, `Invalid parameter: campaign_id ${entity.campaign_id} does not exist`, 1885014);
+    }
+
+    this.entities.set(id, entity);
+    return entity;
+  }
+
+  /**
+   * Graph accepts JSON-encoded strings for object params - decode them so reads look real
+   */
+  normalizeFields(fields = {}) {
+    const normalized = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      if (key === 'access_token' || key === 'appsecret_proof') return;
+      if (typeof value === 'string' && /^[[{]/.test(value.trim())) {
+        try {
+          normalized[key] = JSON.parse(value);
+          return;
+        } catch (e) {
+          // Not JSON - keep raw string
+        }
+      }
+      normalized[key] = value;
+    });
+    return normalized;
+  }
+
+  getEntity(id) {
+    const entity = this.entities.get(String(id).replace(/^act_/, ''));
+    if (!entity) {
+      throw this.graphError(100, `Unsupported get request. Object with ID '${id}' does not exist`, 33);
+    }
+    return entity;
+  }
+
+  updateEntity(id, fields) {
+    const entity = this.getEntity(id);
+    const updates = this.normalizeFields(fields);
+    Object.assign(entity, updates, { updated_time: new Date().toISOString() });
+    if (updates.status) {
+      entity.effective_status = updates.status;
+      entity.configured_status = updates.status;
+    }
+    return { success: true };
+  }
+
+  /**
+   * Deleting a parent removes its children, matching Facebook's cascade
+   */
+  deleteEntity(id) {
+    const entity = this.getEntity(id);
+    const children = this.childrenOf(entity);
+    this.entities.delete(entity.id);
+    children.forEach(child => this.deleteEntity(child.id));
+    return { success: true };
+  }
+
+  childrenOf(entity) {
+    if (entity._type === 'campaign') return this.listEdge(entity.id, 'adsets');
+    if (entity._type === 'adset') return this.listEdge(entity.id, 'ads');
+    return [];
+  }
+
+  listEdge(parentId, edge) {
+    const type = EDGE_TYPES[edge];
+    const cleanId = String(parentId).replace(/^act_/, '');
+
+    if (String(parentId).startsWith('act_')) {
+      return [...this.entities.values()].filter(e => e._type === type && e.account_id === cleanId);
+    }
+
+    const parent = this.getEntity(parentId);
+    return [...this.entities.values()].filter(e => {
+      if (e._type !== type) return false;
+      if (parent._type === 'campaign') return e.campaign_id === parent.id;
+      if (parent._type === 'adset') return e.adset_id === parent.id;
+      return false;
+    });
+  }
+
+  /**
+   * Deep copy a campaign or ad set, as POST /{id}/copies does
+   */
+  copyEntity(id, params = {}) {
+    const source = this.getEntity(id);
+    const options = this.normalizeFields(params);
+    const statusOption = options.status_option === 'ACTIVE' ? 'ACTIVE' : 'PAUSED';
+    const renameSuffix = options.rename_options?.rename_suffix || ' - Copy';
+
+    const cloneFields = (entity, overrides) => {
+      const { id: _id, _type, created_time, updated_time, ...rest } = entity;
+      return { ...rest, ...overrides, status: statusOption };
+    };
+
+    if (source._type === 'campaign') {
+      const campaign = this.createEntity('campaign', source.account_id, cloneFields(source, {
+        name: `${source.name}${renameSuffix}`
+      }));
+      const copiedAdSetIds = [];
+      if (options.deep_copy === true || options.deep_copy === 'true') {
+        this.listEdge(source.id, 'adsets').forEach(adSet => {
+          copiedAdSetIds.push(this.copyAdSetInto(adSet, campaign.id, statusOption, true));
+        });
+      }
+      return { copied_campaign_id: campaign.id, copied_adset_ids: copiedAdSetIds };
+    }
+
+    if (source._type === 'adset') {
+      const targetCampaign = options.campaign_id || source.campaign_id;
+      const deep = options.deep_copy === true || options.deep_copy === 'true';
+      return { copied_adset_id: this.copyAdSetInto(source, targetCampaign, statusOption, deep) };
+    }
+
+    throw this.graphError(100, `Copies are not supported for ${source._type} objects`);
+  }
+
+  copyAdSetInto(adSet, campaignId, status, deep) {
+    const { id, _type, created_time, updated_time, ...rest } = adSet;
+    const copy = this.createEntity('adset', adSet.account_id, { ...rest, campaign_id: campaignId, status });
+    if (deep) {
+      this.listEdge(adSet.id, 'ads').forEach(ad => {
+        const { id: adId, _type: adType, created_time: c, updated_time: u, ...adRest } = ad;
+        this.createEntity('ad', ad.account_id, { ...adRest, adset_id: copy.id, status });
+      });
+    }
+    return copy.id;
+  }
+
+  /**
+   * Synthesised insights so intelligence collection has something to chew on
+   */
+  buildInsights(entity) {
+    const seed = parseInt(crypto.createHash('md5').update(entity.id).digest('hex').slice(0, 8), 16);
+    const impressions = 1000 + (seed % 50000);
+    const clicks = Math.floor(impressions * (0.005 + (seed % 30) / 1000));
+    const spend = (clicks * (0.4 + (seed % 200) / 100)).toFixed(2);
+    const conversions = Math.floor(clicks * ((seed % 10) / 100));
+    return [{
+      date_start: new Date(Date.now() - 86400000).toISOString().split('T')[0],
+      date_stop: new Date().toISOString().split('T')[0],
+      impressions: String(impressions),
+      reach: String(Math.floor(impressions * 0.8)),
+      clicks: String(clicks),
+      spend,
+      ctr: ((clicks / impressions) * 100).toFixed(4),
+      cpm: ((spend / impressions) * 1000).toFixed(4),
+      actions: conversions > 0 ? [{ action_type: 'lead', value: String(conversions) }] : []
+    }];
+  }
+
+  pickFields(entity, fieldsParam) {
+    const { _type, ...publicFields } = entity;
+    if (!fieldsParam) return { id: entity.id, name: entity.name };
+    const picked = { id: entity.id };
+    String(fieldsParam).split(',').map(f => f.trim().split('{')[0].split('.')[0]).forEach(field => {
+      if (publicFields[field] !== undefined) picked[field] = publicFields[field];
+    });
+    return picked;
+  }
+
+  graphError(code, message, subcode) {
+    const error = new Error(message);
+    error.graph = {
+      message,
+      type: code === 190 ? 'OAuthException' : 'GraphMethodException',
+      code,
+      error_subcode: subcode,
+      fbtrace_id: crypto.randomBytes(8).toString('hex')
+    };
+    return error;
+  }
+
+  // ========== Request dispatch ==========
+
+  /**
+   * Route a single Graph call. Used by both the HTTP handlers and the batch endpoint.
+   *
+   * @returns {Object} { status, body }
+   */
+  dispatch(method, path, params = {}, files = []) {
+    const segments = path.split('?')[0].split('/').filter(Boolean);
+    if (/^v\d+\.\d+$/.test(segments[0])) segments.shift();
+    const [nodeId, edge] = segments;
+    const verb = method.toUpperCase();
+
+    try {
+      if (!nodeId) {
+        throw this.graphError(100, 'Unknown path components');
+      }
+
+      if (nodeId === 'me' && !edge) {
+        return { status: 200, body: { id: '100000000000001', name: 'Fake Graph User' } };
+      }
+
+      if (verb === 'GET' && !edge) {
+        if (nodeId.startsWith('act_')) {
+          const accountId = nodeId.replace('act_', '');
+          return {
+            status: 200,
+            body: this.pickFields({
+              id: nodeId,
+              account_id: accountId,
+              name: `Fake Ad Account ${accountId}`,
+              account_status: 1,
+              currency: 'USD',
+              timezone_name: 'America/New_York',
+              capabilities: [],
+              _type: 'account'
+            }, params.fields || 'id,name,account_status,currency,timezone_name')
+          };
+        }
+        const entity = this.getEntity(nodeId);
+        if (entity._type === 'video') {
+          return { status: 200, body: { ...this.pickFields(entity, params.fields), status: { video_status: 'ready', processing_phase: { status: 'complete' } }, thumbnails: { data: [{ uri: `https://fake-graph.local/thumb/${entity.id}.jpg`, is_preferred: true }] }, picture: `https://fake-graph.local/thumb/${entity.id}.jpg` } };
+        }
+        return { status: 200, body: this.pickFields(entity, params.fields) };
+      }
+
+      if (verb === 'GET' && edge === 'insights') {
+        const entity = nodeId.startsWith('act_') ? { id: nodeId } : this.getEntity(nodeId);
+        return { status: 200, body: { data: this.buildInsights(entity), paging: {} } };
+      }
+
+      if (verb === 'GET' && EDGE_TYPES[edge]) {
+        const limit = parseInt(params.limit, 10) || 25;
+        const offset = parseInt(params.after, 10) || 0;
+        const all = this.listEdge(nodeId, edge);
+        const page = all.slice(offset, offset + limit).map(e => this.pickFields(e, params.fields));
+        const paging = offset + limit < all.length
+          ? { cursors: { after: String(offset + limit) }, next: `${path.split('?')[0]}?after=${offset + limit}&limit=${limit}` }
+          : { cursors: {} };
+        return { status: 200, body: { data: page, paging, summary: { total_count: all.length } } };
+      }
+
+      if (verb === 'POST' && edge === 'copies') {
+        return { status: 200, body: this.copyEntity(nodeId, params) };
+      }
+
+      if (verb === 'POST' && edge === 'adimages') {
+        const images = {};
+        const uploads = files.length > 0 ? files : (params.bytes ? [{ originalname: params.name || 'image.jpg', hash: crypto.createHash('md5').update(params.bytes).digest('hex') }] : []);
+        uploads.forEach(file => {
+          const entity = this.createEntity('image', nodeId, { name: file.originalname, hash: file.hash });
+          entity.url = `https://fake-graph.local/images/${file.hash}.jpg`;
+          images[file.originalname] = { hash: file.hash, url: entity.url };
+        });
+        return { status: 200, body: { images } };
+      }
+
+      if (verb === 'POST' && edge === 'advideos') {
+        if (params.upload_phase === 'start') {
+          return { status: 200, body: { upload_session_id: this.generateId(), video_id: this.generateId(), start_offset: '0', end_offset: String(params.file_size || 0) } };
+        }
+        if (params.upload_phase === 'transfer') {
+          return { status: 200, body: { start_offset: String(params.file_size || 0), end_offset: String(params.file_size || 0) } };
+        }
+        const video = this.createEntity('video', nodeId, { title: params.title || files[0]?.originalname || 'video.mp4', size: files[0]?.size });
+        return { status: 200, body: params.upload_phase === 'finish' ? { success: true, id: video.id } : { id: video.id } };
+      }
+
+      if (verb === 'POST' && (edge === 'feed' || edge === 'videos')) {
+        const post = this.createEntity('post', null, { ...params, page_id: nodeId });
+        return { status: 200, body: { id: `${nodeId}_${post.id}`, post_id: `${nodeId}_${post.id}` } };
+      }
+
+      if (verb === 'POST' && EDGE_TYPES[edge]) {
+        const entity = this.createEntity(EDGE_TYPES[edge], nodeId, params);
+        return { status: 200, body: { id: entity.id } };
+      }
+
+      if (verb === 'POST' && !edge) {
+        return { status: 200, body: this.updateEntity(nodeId, params) };
+      }
+
+      if (verb === 'DELETE' && !edge) {
+        return { status: 200, body: this.deleteEntity(nodeId) };
+      }
+
+      throw this.graphError(100, `Unsupported ${verb} request on /${segments.join('/')}`);
+    } catch (error) {
+      if (error.graph) {
+        return { status: 400, body: { error: error.graph } };
+      }
+      return { status: 500, body: { error: { message: error.message, type: 'FakeGraphInternalError', code: 1 } } };
+    }
+  }
+
+  /**
+   * Execute a Batch API request, resolving {result=name:$.path} references
+   */
+  dispatchBatch(operations) {
+    const responses = [];
+    const namedResults = {};
+
+    operations.forEach((op, index) => {
+      const resolve = (value) => {
+        if (typeof value !== 'string') return value;
+        return value.replace(/\{result=([^:}]+):\$\.([^}]+)\}/g, (match, ref, jsonPath) => {
+          const result = /^\d+$/.test(ref) ? responses[parseInt(ref, 10)]?._parsed : namedResults[ref];
+          if (!result) return match;
+          return jsonPath.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), result) ?? match;
+        });
+      };
+
+      // Partial failure injection for individual batch items
+      if (this.faults.batchFailureRate > 0 && Math.random() < this.faults.batchFailureRate) {
+        this.injectedErrors++;
+        responses.push({
+          code: 400,
+          headers: [],
+          body: JSON.stringify({ error: { message: 'Injected batch item failure', type: 'OAuthException', code: this.faults.batchFailureCode, is_transient: true } })
+        });
+        return;
+      }
+
+      // References are usually URL-encoded in the body, so resolve them after decoding
+      const decode = (encoded) => Object.fromEntries(
+        [...new URLSearchParams(encoded)].map(([key, value]) => [key, resolve(value)])
+      );
+
+      const [pathPart, queryPart] = resolve(op.relative_url || '').split('?');
+      const params = decode(queryPart || '');
+      if (op.body) {
+        const bodyParams = typeof op.body === 'string' ? decode(op.body) : op.body;
+        Object.assign(params, bodyParams);
+      }
+
+      const rateLimited = this.shouldRateLimit(pathPart);
+      const result = rateLimited
+        ? { status: 400, body: { error: rateLimited } }
+        : this.dispatch(op.method || 'GET', pathPart, params);
+
+      if (op.name && result.status === 200) {
+        namedResults[op.name] = result.body;
+      }
+      responses.push({
+        code: result.status,
+        headers: [{ name: 'Content-Type', value: 'application/json; charset=UTF-8' }],
+        body: JSON.stringify(result.body),
+        _parsed: result.status === 200 ? result.body : null
+      });
+    });
+
+    return responses.map(({ _parsed, ...response }) => response);
+  }
+
+  getState() {
+    const tree = { campaigns: [], orphans: { creatives: 0, images: 0, videos: 0, posts: 0 } };
+    const all = [...this.entities.values()];
+    all.filter(e => e._type === 'campaign').forEach(campaign => {
+      tree.campaigns.push({
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        account_id: campaign.account_id,
+        adsets: all.filter(a => a._type === 'adset' && a.campaign_id === campaign.id).map(adSet => ({
+          id: adSet.id,
+          name: adSet.name,
+          status: adSet.status,
+          ads: all.filter(ad => ad._type === 'ad' && ad.adset_id === adSet.id).map(ad => ({ id: ad.id, name: ad.name, status: ad.status }))
+        }))
+      });
+    });
+    tree.orphans.creatives = all.filter(e => e._type === 'creative').length;
+    tree.orphans.images = all.filter(e => e._type === 'image').length;
+    tree.orphans.videos = all.filter(e => e._type === 'video').length;
+    tree.orphans.posts = all.filter(e => e._type === 'post').length;
+    return {
+      requestCount: this.requestCount,
+      entityCount: this.entities.size,
+      faults: this.getFaults(),
+      tree
+    };
+  }
+
+  // ========== HTTP ==========
+
+  /**
+   * Build the express app that serves the fake Graph API
+   */
+  createApp() {
+    const app = express();
+    const upload = multer({ storage: hashingStorage });
+
+    app.use(express.json({ limit: '50mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+    app.get('/__fake/state', (req, res) => res.json(this.getState()));
+    app.get('/__fake/faults', (req, res) => res.json(this.getFaults()));
+    app.post('/__fake/faults', (req, res) => {
+      try {
+        res.json(this.setFaults(req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    app.post('/__fake/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+
+    app.use(upload.any(), async (req, res) => {
+      this.requestCount++;
+      if (this.latencyMs) {
+        await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+      }
+
+      const params = { ...req.query, ...req.body };
+      const isBatchRoot = req.method === 'POST' && params.batch && /^\/(v\d+\.\d+\/?)?$/.test(req.path);
+
+      const rateLimited = this.shouldRateLimit(req.path);
+      if (rateLimited) {
+        return res.status(400).json({ error: rateLimited });
+      }
+
+      if (isBatchRoot) {
+        let operations;
+        try {
+          operations = typeof params.batch === 'string' ? JSON.parse(params.batch) : params.batch;
+        } catch (e) {
+          return res.status(400).json({ error: { message: 'Invalid batch JSON', type: 'GraphMethodException', code: 100 } });
+        }
+        if (!Array.isArray(operations) || operations.length > 50) {
+          return res.status(400).json({ error: { message: 'Batch requests must be an array of at most 50 operations', type: 'GraphMethodException', code: 100 } });
+        }
+        return res.json(this.dispatchBatch(operations));
+      }
+
+      const method = req.method === 'POST' && params.method ? params.method : req.method;
+      const result = this.dispatch(method, req.path, params, req.files || []);
+      res.status(result.status).json(result.body);
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening
+   *
+   * @param {Number} port
+   * @returns {Promise<http.Server>}
+   */
+  listen(port) {
+    return new Promise(resolve => {
+      const server = this.createApp().listen(port, () => resolve(server));
+    });
+  }
+}
+
+FakeGraphApi.RATE_LIMIT_ERRORS = RATE_LIMIT_ERRORS;
+
+module.exports = FakeGraphApi;
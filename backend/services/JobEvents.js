@@ -0,0 +1,164 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Job Events - in-process event bus for long-running jobs
+ *
+ * Launch, duplicate, multiply, deploy, ad duplication and backfill jobs publish
+ * typed events here as work happens; GET /api/jobs/:jobId/events streams them
+ * to the browser over Server-Sent Events.
+ *
+ * Producers:
+ * - JobTracker:   entity_created / entity_failed when a slot is filled or fails
+ * - FailureTracker: entity_failed for tracked failures carrying metadata.jobId
+ * - BatchDuplicationService: entity_created, retry, rate_limited, entity_failed
+ *   through its `onEvent` option
+ * - JobStore:     progress snapshots plus completed / failed when a job finishes
+ *
+ * The last MAX_HISTORY events per job are kept so a client that connects late
+ * (or reconnects with Last-Event-ID) can catch up.
+ */
+
+const EVENT_TYPES = {
+  PROGRESS: 'progress',
+  ENTITY_CREATED: 'entity_created',
+  ENTITY_FAILED: 'entity_failed',
+  RETRY: 'retry',
+  RATE_LIMITED: 'rate_limited',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const TERMINAL_EVENTS = [EVENT_TYPES.COMPLETED, EVENT_TYPES.FAILED];
+
+const MAX_HISTORY = 200;
+const HISTORY_TTL_MS = 60 * 60 * 1000; // Keep finished streams for 1 hour
+
+class JobEvents extends EventEmitter {
+  constructor() {
+    super();
+    // Every SSE connection adds a listener
+    this.setMaxListeners(0);
+    this.streams = new Map(); // jobId -> { userId, events, nextId, finishedAt }
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), 10 * 60 * 1000);
+    if (this.cleanupInterval.unref) {
+      this.cleanupInterval.unref();
+    }
+  }
+
+  getStream(jobId) {
+    const key = String(jobId);
+    if (!this.streams.has(key)) {
+      this.streams.set(key, { userId: null, events: [], nextId: 1, finishedAt: null });
+    }
+    return this.streams.get(key);
+  }
+
+  /**
+   * Record which user owns a job so other users can't subscribe to it.
+   * A stream keeps its first owner - another user can't take it over.
+   *
+   * @returns {Boolean} False when the stream already belongs to a different user
+   */
+  register(jobId, userId) {
+    if (!jobId) return false;
+    const stream = this.getStream(jobId);
+    if (!userId) return true;
+    if (!stream.userId) {
+      stream.userId = userId;
+    }
+    return String(stream.userId) === String(userId);
+  }
+
+  /**
+   * Publish an event for a job
+   *
+   * @param {String} jobId - Public job ID (job key, campaign ID for duplication, ...)
+   * @param {String} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @returns {Object|null} The stored event
+   */
+  publish(jobId, type, data = {}) {
+    if (!jobId) return null;
+
+    const stream = this.getStream(jobId);
+    const event = {
+      id: stream.nextId++,
+      jobId: String(jobId),
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    stream.events.push(event);
+    if (stream.events.length > MAX_HISTORY) {
+      stream.events.shift();
+    }
+
+    if (TERMINAL_EVENTS.includes(type)) {
+      stream.finishedAt = Date.now();
+    } else {
+      stream.finishedAt = null;
+    }
+
+    this.emit(`job:${event.jobId}`, event);
+    return event;
+  }
+
+  /**
+   * Subscribe to a job's events
+   *
+   * @param {String} jobId
+   * @param {Function} listener - (event) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(jobId, listener) {
+    const channel = `job:${jobId}`;
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  /**
+   * Events published after `afterId` (all buffered events when omitted)
+   */
+  getHistory(jobId, afterId = 0) {
+    const stream = this.streams.get(String(jobId));
+    if (!stream) return [];
+    return stream.events.filter(event => event.id > afterId);
+  }
+
+  /**
+   * Validate a client-generated job ID (sent with synchronous requests such as /create
+   * so the client can subscribe before the request returns)
+   *
+   * @returns {String|null} The ID, or null if missing/invalid
+   */
+  parseClientJobId(value) {
+    return typeof value === 'string' && /^[\w-]{8,100}$/.test(value) ? value : null;
+  }
+
+  getOwner(jobId) {
+    return this.streams.get(String(jobId))?.userId || null;
+  }
+
+  isFinished(jobId) {
+    return !!this.streams.get(String(jobId))?.finishedAt;
+  }
+
+  /**
+   * Drop history for streams that finished more than HISTORY_TTL_MS ago
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [jobId, stream] of this.streams.entries()) {
+      if (stream.finishedAt && now - stream.finishedAt > HISTORY_TTL_MS && this.listenerCount(`job:${jobId}`) === 0) {
+        this.streams.delete(jobId);
+      }
+    }
+  }
+}
+
+const jobEvents = new JobEvents();
+jobEvents.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = jobEvents;
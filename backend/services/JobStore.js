@@ -0,0 +1,744 @@
+const axios = require('axios');
+const db = require('../models');
+const JobTracker = require('./JobTracker');
+const JobEvents = require('./JobEvents');
+const { getGraphBaseUrl } = require('../config/graphApi');
+
+/**
+ * Job Store - durable backing for background job progress
+ *
+ * Multiply, duplicate, ad duplication and deployment jobs used to live in plain
+ * in-memory Maps, so a deploy or restart lost all progress and the status
+ * endpoints returned 404 mid-job. Each route now gets a `PersistentJobMap`
+ * from `JobStore.collection(jobType)`, which:
+ *
+ * - Behaves like the Map it replaces (get/set/has/delete/entries), so existing
+ *   progress callbacks that mutate the job object keep working unchanged.
+ * - Writes each job to campaign_creation_jobs (via JobTracker) when it is set,
+ *   and flushes changed job objects to `job_state` every few seconds.
+ * - Can `load()` a job from the database after a restart.
+ * - Publishes a `progress` event to JobEvents whenever a job changes, and
+ *   `completed` / `failed` once it finishes, so every job type can be streamed
+ *   with the same payload shape.
+ *
+ * On boot `resumeInterruptedJobs()` hands every job that was still running to
+ * the resume handler registered for its type. Handlers use
+ * `JobTracker.getIdempotencyStatus` to continue from the last created entity.
+ * Jobs without a handler are marked failed so they stop showing as running.
+ *
+ * `cancel()` asks a running job to stop. Producers poll `isCancelled()` between
+ * Graph batches and set status 'cancelled' once they have stopped; the entities
+ * recorded on the job's slots can then be kept or rolled back (RollbackManager).
+ */
+
+const PROGRESS_INTERVAL_MS = 1000; // How often changed jobs are published to JobEvents
+const FLUSH_INTERVAL_MS = 3000; // How often changed jobs are written to the database
+const MEMORY_TTL_MS = 60 * 60 * 1000; // Finished jobs stay in memory for 1 hour
+const MAX_RESUME_ATTEMPTS = 3;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'error', 'cancelled', 'rolled_back'];
+
+/**
+ * Map the free-form status strings used by the routes onto the job table ENUM
+ */
+function toJobStatus(status) {
+  if (status === 'completed') return 'completed';
+  if (status === 'rolled_back') return 'rolled_back';
+  if (['failed', 'error', 'cancelled'].includes(status)) return 'failed';
+  if (status === 'pending') return 'pending';
+  return 'in_progress';
+}
+
+class PersistentJobMap {
+  /**
+   * @param {JobStore} store
+   * @param {String} jobType
+   * @param {Object} options
+   * @param {Boolean} options.reusableKeys - Keys are reused across runs (e.g. duplication keyed by campaignId),
+   *                                        so each run gets its own row: `<key>#<timestamp>`
+   */
+  constructor(store, jobType, options = {}) {
+    this.store = store;
+    this.jobType = jobType;
+    this.reusableKeys = !!options.reusableKeys;
+    this.jobs = new Map();
+    this.records = new Map(); // jobKey -> Promise<CampaignCreationJob>
+    this.snapshots = new Map(); // jobKey -> last persisted JSON
+    this.published = new Map(); // jobKey -> last JSON published to JobEvents
+    this.persistedAt = new Map(); // jobKey -> timestamp of last database write
+  }
+
+  get size() {
+    return this.jobs.size;
+  }
+
+  /**
+   * Key stored in campaign_creation_jobs.job_key for a public job key
+   */
+  toRecordKey(jobKey) {
+    return this.reusableKeys ? `${jobKey}#${Date.now()}` : jobKey;
+  }
+
+  /**
+   * Public job key for a campaign_creation_jobs.job_key value
+   */
+  toPublicKey(recordKey) {
+    return this.reusableKeys ? String(recordKey).split('#')[0] : recordKey;
+  }
+
+  findLatestRecord(jobKey) {
+    const { Op } = db.Sequelize;
+    return db.CampaignCreationJob.findOne({
+      where: {
+        jobType: this.jobType,
+        jobKey: this.reusableKeys ? { [Op.like]: `${jobKey}#%` } : jobKey
+      },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  get(jobKey) {
+    return this.jobs.get(jobKey);
+  }
+
+  has(jobKey) {
+    return this.jobs.has(jobKey);
+  }
+
+  entries() {
+    return this.jobs.entries();
+  }
+
+  values() {
+    return this.jobs.values();
+  }
+
+  keys() {
+    return this.jobs.keys();
+  }
+
+  /**
+   * Store a job in memory and persist it
+   *
+   * @param {String} jobKey - Public job ID
+   * @param {Object} job - Progress object (mutated in place by the route)
+   * @param {Object} meta - Persistence metadata
+   * @param {Number} meta.userId - Owner of the job (defaults to job.userId)
+   * @param {String} meta.adAccountId - Ad account the job writes to
+   * @param {String} meta.campaignName - Display name
+   * @param {Number} meta.requestedCampaigns - Campaigns the job should produce
+   * @param {Number} meta.requestedAdSets - Ad sets the job should produce
+   * @param {Number} meta.requestedAds - Ads the job should produce
+   * @param {String} meta.facebookCampaignId - Campaign the job works inside (duplicate jobs)
+   * @param {Object} meta.params - Everything a resume handler needs
+   */
+  set(jobKey, job, meta = {}) {
+    const isNewRun = this.jobs.get(jobKey) !== job;
+    this.jobs.set(jobKey, job);
+    JobEvents.register(jobKey, meta.userId || job.userId);
+
+    if (!this.records.has(jobKey) || (this.reusableKeys && isNewRun)) {
+      const recordPromise = this.store.createRecord(this.jobType, this.toRecordKey(jobKey), job, meta);
+      // Keep the promise even if it fails so we don't retry on every flush
+      recordPromise.catch(error => {
+        console.error(`⚠️ [JobStore] Could not persist ${this.jobType} job ${jobKey}:`, error.message);
+      });
+      this.records.set(jobKey, recordPromise);
+      this.snapshots.set(jobKey, JSON.stringify(job));
+    }
+
+    return this;
+  }
+
+  /**
+   * Ask a running job to stop after the Graph batch it is currently sending
+   *
+   * @param {String} jobKey
+   * @returns {Object|null} The job, or null if it is not running in this process
+   */
+  cancel(jobKey) {
+    const job = this.jobs.get(jobKey);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return null;
+    }
+
+    Object.assign(job, {
+      cancelRequested: true,
+      cancelRequestedAt: Date.now(),
+      currentOperation: 'Cancelling after the current batch...'
+    });
+    return job;
+  }
+
+  /**
+   * Whether the user asked this job to stop
+   */
+  isCancelled(jobKey) {
+    return !!this.jobs.get(jobKey)?.cancelRequested;
+  }
+
+  /**
+   * Remove a job from memory. The database row is kept as history.
+   */
+  delete(jobKey) {
+    this.records.delete(jobKey);
+    this.snapshots.delete(jobKey);
+    this.published.delete(jobKey);
+    this.persistedAt.delete(jobKey);
+    return this.jobs.delete(jobKey);
+  }
+
+  /**
+   * Get the CampaignCreationJob row for a job
+   *
+   * @returns {Promise<Object|null>}
+   */
+  async getRecord(jobKey) {
+    if (this.records.has(jobKey)) {
+      try {
+        return await this.records.get(jobKey);
+      } catch (error) {
+        return null;
+      }
+    }
+    return this.findLatestRecord(jobKey);
+  }
+
+  /**
+   * Get a job from memory, falling back to the last state persisted in the database
+   *
+   * @returns {Promise<Object|null>} Job progress object
+   */
+  async load(jobKey) {
+    if (this.jobs.has(jobKey)) {
+      return this.jobs.get(jobKey);
+    }
+
+    const record = await this.findLatestRecord(jobKey);
+    if (!record) {
+      return null;
+    }
+
+    return {
+      ...(record.jobState || {}),
+      userId: record.userId,
+      persisted: true,
+      resumeCount: record.resumeCount
+    };
+  }
+
+  /**
+   * Record a created entity against the job's slots (used by resume to skip finished work)
+   *
+   * @param {String} jobKey
+   * @param {String} entityType - 'campaign', 'ad_set' or 'ad'
+   * @param {Number|null} slotNumber - Slot to fill, or null for the next pending slot
+   * @param {Object} entityData - { id, name }
+   */
+  async recordEntity(jobKey, entityType, slotNumber, entityData) {
+    const record = await this.getRecord(jobKey);
+    if (!record) return null;
+    try {
+      let slot = slotNumber;
+      if (slot === null || slot === undefined) {
+        const nextSlot = await db.EntityCreationSlot.findOne({
+          where: { jobId: record.id, entityType, status: 'pending' },
+          order: [['slotNumber', 'ASC']]
+        });
+        if (!nextSlot) return null;
+        slot = nextSlot.slotNumber;
+      }
+      return await JobTracker.markEntityCreated(record, entityType, slot, entityData);
+    } catch (error) {
+      console.error(`⚠️ [JobStore] Could not record ${entityType} ${slotNumber} for ${jobKey}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a failed entity against the job's slots
+   */
+  async recordFailure(jobKey, entityType, slotNumber, errorMessage) {
+    const record = await this.getRecord(jobKey);
+    if (!record) return null;
+    return JobTracker.markEntityFailed(record, entityType, slotNumber, errorMessage);
+  }
+
+  /**
+   * Publish a job's progress in the common stream shape
+   * (routes use progress/completed/adsCreated and total/totalAdsToCreate interchangeably)
+   */
+  publishProgress(jobKey, job) {
+    const { EVENT_TYPES } = JobEvents;
+    let type = EVENT_TYPES.PROGRESS;
+    if (job.status === 'completed') {
+      type = EVENT_TYPES.COMPLETED;
+    } else if (FINISHED_STATUSES.includes(job.status)) {
+      type = EVENT_TYPES.FAILED;
+    }
+
+    JobEvents.publish(jobKey, type, {
+      jobType: this.jobType,
+      status: job.status,
+      completed: job.completed ?? job.progress ?? job.adsCreated ?? 0,
+      total: job.total ?? job.totalAdsToCreate ?? null,
+      currentOperation: job.currentOperation || null,
+      errors: Array.isArray(job.errors) ? job.errors.length : 0,
+      error: job.error || null
+    });
+  }
+
+  /**
+   * Publish and persist every job whose progress object changed since the last flush
+   *
+   * @param {Boolean} force - Write to the database even if FLUSH_INTERVAL_MS has not passed
+   */
+  async flush(force = false) {
+    const now = Date.now();
+
+    for (const [jobKey, job] of this.jobs.entries()) {
+      let serialized;
+      try {
+        serialized = JSON.stringify(job);
+      } catch (error) {
+        continue;
+      }
+
+      if (serialized !== this.published.get(jobKey)) {
+        this.published.set(jobKey, serialized);
+        this.publishProgress(jobKey, job);
+      }
+
+      const finished = FINISHED_STATUSES.includes(job.status);
+      const persistDue = force || finished || now - (this.persistedAt.get(jobKey) || 0) >= FLUSH_INTERVAL_MS;
+      if (serialized !== this.snapshots.get(jobKey) && persistDue) {
+        this.snapshots.set(jobKey, serialized);
+        this.persistedAt.set(jobKey, now);
+        await this.store.saveState(this, jobKey, job);
+      }
+
+      // Drop long-finished jobs from memory; status endpoints fall back to load()
+      const finishedAt = job.completedAt || job.lastUpdated || job.startTime || job.startedAt;
+      if (FINISHED_STATUSES.includes(job.status) && finishedAt && now - finishedAt > MEMORY_TTL_MS) {
+        this.delete(jobKey);
+      }
+    }
+  }
+}
+
+class JobStore {
+  constructor() {
+    this.collections = new Map();
+    this.resumeHandlers = new Map();
+    this.flushTimer = null;
+  }
+
+  /**
+   * Get (or create) the persistent Map for a job type
+   *
+   * @param {String} jobType - e.g. 'strategy150_multiply'
+   * @returns {PersistentJobMap}
+   */
+  collection(jobType, options = {}) {
+    if (!this.collections.has(jobType)) {
+      this.collections.set(jobType, new PersistentJobMap(this, jobType, options));
+    }
+    this.startFlushing();
+    return this.collections.get(jobType);
+  }
+
+  startFlushing() {
+    if (this.flushTimer) return;
+    this.flushTimer = setInterval(() => {
+      this.flushAll().catch(error => {
+        console.error('⚠️ [JobStore] Flush failed:', error.message);
+      });
+    }, PROGRESS_INTERVAL_MS);
+    // Never keep the process alive just for flushing
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  async flushAll(force = false) {
+    for (const collection of this.collections.values()) {
+      await collection.flush(force);
+    }
+  }
+
+  /**
+   * Find the latest CampaignCreationJob row for a public job key
+   * (reusable keys are stored as `<key>#<timestamp>`)
+   *
+   * @param {String} jobKey
+   * @returns {Promise<Object|null>}
+   */
+  findPersistedJob(jobKey) {
+    const { Op } = db.Sequelize;
+    return db.CampaignCreationJob.findOne({
+      where: {
+        [Op.or]: [
+          { jobKey },
+          { jobKey: { [Op.like]: `${jobKey}#%` } }
+        ]
+      },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Find a job of any type by its public key - running jobs first, then the database
+   *
+   * @param {String} jobKey
+   * @returns {Promise<Object|null>} { collection, job, record }
+   */
+  async findJob(jobKey) {
+    for (const collection of this.collections.values()) {
+      if (collection.has(jobKey)) {
+        return {
+          collection,
+          job: collection.get(jobKey),
+          record: await collection.getRecord(jobKey)
+        };
+      }
+    }
+
+    const record = await this.findPersistedJob(jobKey);
+    if (!record) {
+      return null;
+    }
+
+    const collection = this.collections.get(record.jobType) || null;
+    return {
+      collection,
+      job: collection ? await collection.load(jobKey) : { ...(record.jobState || {}), userId: record.userId },
+      record
+    };
+  }
+
+  async createRecord(jobType, jobKey, job, meta) {
+    const record = await JobTracker.createJob({
+      userId: meta.userId || job.userId,
+      adAccountId: meta.adAccountId || job.adAccountId || 'unknown',
+      campaignName: meta.campaignName || job.campaignName || null,
+      requestedCampaigns: meta.requestedCampaigns ?? 1,
+      requestedAdSets: meta.requestedAdSets || 0,
+      requestedAds: meta.requestedAds || 0,
+      facebookCampaignId: meta.facebookCampaignId || null,
+      jobKey,
+      jobType,
+      jobParams: meta.params || null,
+      jobState: job
+    });
+
+    await JobTracker.initializeSlots(record);
+    await JobTracker.markJobStarted(record);
+    return record;
+  }
+
+  async saveState(collection, jobKey, job) {
+    const record = await collection.getRecord(jobKey);
+    if (!record) return;
+
+    const status = toJobStatus(job.status);
+    const updates = { jobState: job, status };
+
+    if (status !== record.status && ['completed', 'failed'].includes(status)) {
+      updates.completedAt = new Date();
+      if (status === 'failed') {
+        updates.lastError = job.error || job.currentOperation || null;
+      }
+    }
+
+    try {
+      await record.update(updates);
+    } catch (error) {
+      console.error(`⚠️ [JobStore] Could not save state for ${jobKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Register how a job type is resumed after a restart
+   *
+   * @param {String} jobType
+   * @param {Function} handler - async (record, collection, jobKey) => void
+   */
+  registerResumeHandler(jobType, handler) {
+    this.resumeHandlers.set(jobType, handler);
+  }
+
+  /**
+   * Build a FacebookAPI instance for a persisted job from its owner's active auth
+   *
+   * @param {Object} record - CampaignCreationJob instance
+   * @returns {Promise<Object>} { facebookApi, accessToken }
+   */
+  async buildFacebookApi(record) {
+    const FacebookAPI = require('./facebookApi');
+    const params = record.jobParams || {};
+
+    const facebookAuth = await db.FacebookAuth.findOne({
+      where: { userId: record.userId, isActive: true }
+    });
+
+    if (!facebookAuth || !facebookAuth.accessToken) {
+      throw new Error('No active Facebook authentication for job owner');
+    }
+
+    // Tokens are stored encrypted (JSON payload starting with '{')
+    let accessToken = facebookAuth.accessToken;
+    if (accessToken.startsWith('{')) {
+      const { decryptToken } = require('../routes/facebookSDKAuth');
+      accessToken = decryptToken(accessToken);
+      if (!accessToken) {
+        throw new Error('Failed to decrypt access token for job owner');
+      }
+    }
+
+    const facebookApi = new FacebookAPI({
+      accessToken,
+      adAccountId: String(params.adAccountId || record.adAccountId).replace('act_', ''),
+      pageId: params.pageId,
+      pixelId: params.pixelId
+    });
+
+    return { facebookApi, accessToken };
+  }
+
+  /**
+   * Resume (or close out) every job that was running when the process stopped
+   */
+  async resumeInterruptedJobs() {
+    const interrupted = await JobTracker.findInterruptedJobs();
+
+    if (interrupted.length === 0) {
+      console.log('✅ [JobStore] No interrupted jobs to resume');
+      return { resumed: 0, failed: 0 };
+    }
+
+    console.log(`🔁 [JobStore] Found ${interrupted.length} interrupted job(s)`);
+    let resumed = 0;
+    let failed = 0;
+
+    for (const record of interrupted) {
+      const collection = this.collection(record.jobType);
+      const handler = this.resumeHandlers.get(record.jobType);
+      const jobKey = collection.toPublicKey(record.jobKey);
+
+      // Already running in this process (e.g. resumed twice)
+      if (collection.has(jobKey)) continue;
+
+      if (!handler) {
+        await this.markInterrupted(record, 'Interrupted by server restart - this job type cannot be resumed automatically');
+        failed++;
+        continue;
+      }
+
+      if (record.jobState?.cancelRequested) {
+        await this.markInterrupted(record, 'Cancelled by user before the server restarted');
+        failed++;
+        continue;
+      }
+
+      if (record.resumeCount >= MAX_RESUME_ATTEMPTS) {
+        await this.markInterrupted(record, `Interrupted ${record.resumeCount} times - giving up to avoid a restart loop`);
+        failed++;
+        continue;
+      }
+
+      try {
+        await record.increment('resumeCount', { by: 1 });
+        // Rehydrate the progress object so status endpoints keep serving it
+        const job = {
+          ...(record.jobState || {}),
+          status: 'processing',
+          resumed: true,
+          currentOperation: 'Resuming after server restart...'
+        };
+        collection.jobs.set(jobKey, job);
+        JobEvents.register(jobKey, record.userId);
+        collection.records.set(jobKey, Promise.resolve(record));
+        collection.snapshots.set(jobKey, JSON.stringify(record.jobState || {}));
+
+        console.log(`▶️  [JobStore] Resuming ${record.jobType} job ${jobKey}`);
+        // Handlers run in the background; they own their own error handling
+        handler(record, collection, jobKey).catch(async error => {
+          console.error(`❌ [JobStore] Resume of ${record.jobKey} failed:`, error.message);
+          Object.assign(job, { status: 'failed', error: error.message, completedAt: Date.now() });
+          await collection.flush();
+        });
+        resumed++;
+      } catch (error) {
+        console.error(`❌ [JobStore] Could not resume ${record.jobKey}:`, error.message);
+        await this.markInterrupted(record, error.message);
+        failed++;
+      }
+    }
+
+    return { resumed, failed };
+  }
+
+  /**
+   * Record entities Facebook created for a job before it was interrupted.
+   * Anything on the edge created after the job started (and accepted by `match`)
+   * that is not yet on a slot gets the next pending slot.
+   *
+   * @param {Object} record - CampaignCreationJob instance
+   * @param {PersistentJobMap} collection
+   * @param {String} jobKey - Public job key
+   * @param {Object} options
+   * @param {String} options.accessToken
+   * @param {String} options.edge - Graph edge, e.g. 'act_123/campaigns' or '<campaignId>/adsets'
+   * @param {String} options.entityType - Slot entity type
+   * @param {Function} options.match - Optional filter (entity) => Boolean
+   * @returns {Promise<Number>} Number of newly recorded entities
+   */
+  async reconcileCreatedEntities(record, collection, jobKey, { accessToken, edge, entityType, match }) {
+    const since = new Date(record.startedAt || record.createdAt).getTime();
+    const entities = [];
+    let url = `${getGraphBaseUrl()}/${edge}`;
+    let params = { fields: 'id,name,created_time', limit: 200, access_token: accessToken };
+
+    while (url) {
+      const response = await axios.get(url, { params });
+      entities.push(...(response.data?.data || []));
+      url = response.data?.paging?.next || null;
+      params = undefined; // next already carries the query string
+    }
+
+    const tracked = await db.EntityCreationSlot.findAll({
+      where: { jobId: record.id, entityType, status: 'created' },
+      attributes: ['facebookId'],
+      raw: true
+    });
+    const trackedIds = new Set(tracked.map(slot => slot.facebookId));
+
+    let recorded = 0;
+    for (const entity of entities) {
+      if (trackedIds.has(entity.id)) continue;
+      if (new Date(entity.created_time).getTime() < since) continue;
+      if (match && !match(entity)) continue;
+      const slot = await collection.recordEntity(jobKey, entityType, null, entity);
+      if (slot) recorded++;
+    }
+
+    if (recorded > 0) {
+      console.log(`🔎 [JobStore] Reconciled ${recorded} ${entityType}(s) created before the restart for ${jobKey}`);
+    }
+    return recorded;
+  }
+
+  /**
+   * Shared resume logic for the /multiply endpoints
+   *
+   * @param {Object} record - CampaignCreationJob instance
+   * @param {PersistentJobMap} collection
+   * @param {String} jobKey
+   * @param {Function} processMultiplication - The route's processMultiplicationAsync
+   */
+  async resumeMultiplyJob(record, collection, jobKey, processMultiplication) {
+    const params = record.jobParams || {};
+    const { facebookApi, accessToken } = await this.buildFacebookApi(record);
+
+    const source = await axios.get(`${getGraphBaseUrl()}/${params.sourceCampaignId}`, {
+      params: { fields: 'name', access_token: accessToken }
+    });
+    const sourceName = source.data?.name || '';
+
+    // Only copies this job reported are claimed - a name match could pick up
+    // another job's or a manual copy of the same source
+    const reportedIds = new Set((record.jobState?.campaigns || [])
+      .map(copy => String(copy.campaignId || copy.campaign?.id || copy.id || ''))
+      .filter(Boolean));
+
+    if (reportedIds.size > 0) {
+      await this.reconcileCreatedEntities(record, collection, jobKey, {
+        accessToken,
+        edge: `act_${String(params.adAccountId || record.adAccountId).replace('act_', '')}/campaigns`,
+        entityType: 'campaign',
+        match: campaign => reportedIds.has(campaign.id)
+      });
+    }
+
+    const idempotency = await JobTracker.getIdempotencyStatus(record, null);
+    const job = collection.get(jobKey);
+    const remaining = idempotency.remaining.campaigns;
+
+    if (remaining === 0) {
+      Object.assign(job, {
+        status: 'completed',
+        progress: job.total,
+        currentOperation: 'All copies were created before the restart',
+        completedAt: Date.now()
+      });
+      return;
+    }
+
+    Object.assign(job, {
+      currentOperation: `Resuming: ${remaining} of ${idempotency.requested.campaigns} copies still to create`
+    });
+
+    await processMultiplication(jobKey, {
+      campaignId: params.sourceCampaignId,
+      campaign: { id: params.sourceCampaignId, name: sourceName },
+      adSetIds: [],
+      postId: null,
+      campaignDetails: null
+    }, remaining, facebookApi, record.userId);
+  }
+
+  /**
+   * Shared resume logic for ad set duplication jobs
+   *
+   * @param {Object} record - CampaignCreationJob instance
+   * @param {PersistentJobMap} collection
+   * @param {String} jobKey - Campaign ID the duplication runs in
+   * @param {Function} runDuplication - async (campaignId, params, count, { facebookApi, accessToken }) => void
+   */
+  async resumeDuplicateJob(record, collection, jobKey, runDuplication) {
+    const params = record.jobParams || {};
+    const { facebookApi, accessToken } = await this.buildFacebookApi(record);
+
+    await this.reconcileCreatedEntities(record, collection, jobKey, {
+      accessToken,
+      edge: `${params.campaignId}/adsets`,
+      entityType: 'ad_set',
+      match: adSet => adSet.id !== params.originalAdSetId
+    });
+
+    const idempotency = await JobTracker.getIdempotencyStatus(record, null);
+    const job = collection.get(jobKey);
+    const remaining = idempotency.remaining.adSets;
+
+    if (remaining === 0) {
+      Object.assign(job, {
+        status: 'completed',
+        completed: job.total,
+        currentOperation: 'All ad sets were duplicated before the restart'
+      });
+      return;
+    }
+
+    Object.assign(job, {
+      completed: idempotency.tracked.adSets,
+      currentOperation: `Resuming: ${remaining} of ${idempotency.requested.adSets} ad sets still to duplicate`
+    });
+
+    // Budgets already used by the created ad sets are skipped
+    const customBudgets = (params.customBudgets || []).slice(idempotency.tracked.adSets);
+    await runDuplication(params.campaignId, { ...params, customBudgets }, remaining, { facebookApi, accessToken });
+  }
+
+  async markInterrupted(record, reason) {
+    const state = {
+      ...(record.jobState || {}),
+      status: 'failed',
+      interrupted: true,
+      error: reason,
+      currentOperation: reason,
+      completedAt: Date.now()
+    };
+    await record.update({ jobState: state });
+    await JobTracker.markJobFailed(record, reason);
+  }
+}
+
+module.exports = new JobStore();
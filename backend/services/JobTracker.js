@@ -2,6 +2,7 @@ const db = require('../models');
 const RetryManager = require('./RetryManager');
 const PostCreationVerification = require('./PostCreationVerification');
 const RollbackManager = require('./RollbackManager');
+const JobEvents = require('./JobEvents');
 
 /**
  * Job Tracker - Week 6 Enhancement (Master Coordinator)
@@ -17,6 +18,17 @@ const RollbackManager = require('./RollbackManager');
  * This service is the BRAIN of the safety system.
  */
 class JobTracker {
+  /**
+   * Event stream ID for a job (its public job key), or null for untracked launches
+   *
+   * @param {Object} job - CampaignCreationJob instance
+   * @returns {String|null}
+   */
+  getStreamId(job) {
+    // Reusable keys are stored as `<key>#<timestamp>`
+    return job.jobKey ? String(job.jobKey).split('#')[0] : null;
+  }
+
   /**
    * Create a new campaign creation job
    *
@@ -26,6 +38,12 @@ class JobTracker {
    * @param {String} params.campaignName - Campaign name
    * @param {Number} params.requestedAdSets - Number of ad sets requested
    * @param {Number} params.requestedAds - Number of ads requested
+   * @param {Number} params.requestedCampaigns - Number of campaigns requested (default 1)
+   * @param {String} params.jobKey - Public job ID for background jobs (optional)
+   * @param {String} params.jobType - Job type (default 'campaign_creation')
+   * @param {Object} params.jobParams - Parameters needed to resume the job (optional)
+   * @param {Object} params.jobState - Initial progress payload (optional)
+   * @param {String} params.facebookCampaignId - Existing campaign the job works on (optional)
    * @returns {Promise<Object>} Created job
    */
   async createJob(params) {
@@ -34,7 +52,13 @@ class JobTracker {
       adAccountId,
       campaignName,
       requestedAdSets,
-      requestedAds
+      requestedAds,
+      requestedCampaigns = 1,
+      jobKey = null,
+      jobType = 'campaign_creation',
+      jobParams = null,
+      jobState = null,
+      facebookCampaignId = null
     } = params;
 
     console.log(`📝 [JobTracker] Creating new job...`);
@@ -42,6 +66,9 @@ class JobTracker {
     console.log(`   Ad Account: ${adAccountId}`);
     console.log(`   Campaign: ${campaignName}`);
     console.log(`   Requested: ${requestedAdSets} ad sets, ${requestedAds} ads`);
+    if (jobType !== 'campaign_creation') {
+      console.log(`   Type: ${jobType} (${jobKey}), ${requestedCampaigns} campaign(s)`);
+    }
 
     const { CampaignCreationJob } = db;
 
@@ -51,6 +78,12 @@ class JobTracker {
       campaignName,
       requestedAdSets,
       requestedAds,
+      requestedCampaigns,
+      jobKey,
+      jobType,
+      jobParams,
+      jobState,
+      facebookCampaignId,
       status: 'pending',
       retryBudget: 5,
       adSetsCreated: 0,
@@ -60,6 +93,8 @@ class JobTracker {
 
     console.log(`✅ [JobTracker] Job created: ID ${job.id}`);
 
+    JobEvents.register(this.getStreamId(job), userId);
+
     return job;
   }
 
@@ -75,13 +110,16 @@ class JobTracker {
     const { EntityCreationSlot } = db;
     const slotsToCreate = [];
 
-    // Create campaign slot (always 1)
-    slotsToCreate.push({
-      jobId: job.id,
-      slotNumber: 1,
-      entityType: 'campaign',
-      status: 'pending'
-    });
+    // Create campaign slots (1 for a normal launch, N for multiply copies / deploy targets)
+    const requestedCampaigns = job.requestedCampaigns ?? 1;
+    for (let i = 1; i <= requestedCampaigns; i++) {
+      slotsToCreate.push({
+        jobId: job.id,
+        slotNumber: i,
+        entityType: 'campaign',
+        status: 'pending'
+      });
+    }
 
     // Create ad set slots (1 to N)
     for (let i = 1; i <= job.requestedAdSets; i++) {
@@ -106,7 +144,7 @@ class JobTracker {
     await EntityCreationSlot.bulkCreate(slotsToCreate);
 
     console.log(`✅ [JobTracker] Created ${slotsToCreate.length} slots`);
-    console.log(`   - 1 campaign slot`);
+    console.log(`   - ${requestedCampaigns} campaign slot(s)`);
     console.log(`   - ${job.requestedAdSets} ad set slots`);
     console.log(`   - ${job.requestedAds} ad slots`);
   }
@@ -160,7 +198,8 @@ class JobTracker {
     });
 
     // Update job progress counters
-    if (entityType === 'campaign') {
+    // Multi-campaign jobs (multiply, deploy) keep each campaign ID on its own slot
+    if (entityType === 'campaign' && (job.requestedCampaigns ?? 1) === 1) {
       await job.update({
         facebookCampaignId: entityData.id
       });
@@ -170,6 +209,52 @@ class JobTracker {
       await job.increment('adsCreated', { by: 1 });
     }
 
+    JobEvents.publish(this.getStreamId(job), JobEvents.EVENT_TYPES.ENTITY_CREATED, {
+      entityType,
+      slotNumber,
+      id: entityData.id,
+      name: slot.entityName
+    });
+
+    return slot;
+  }
+
+  /**
+   * Mark entity slot as failed
+   *
+   * @param {Object} job - CampaignCreationJob instance
+   * @param {String} entityType - 'campaign', 'ad_set', or 'ad'
+   * @param {Number} slotNumber - Slot number
+   * @param {String} errorMessage - Failure reason
+   * @returns {Promise<Object|null>} Updated slot
+   */
+  async markEntityFailed(job, entityType, slotNumber, errorMessage) {
+    const { EntityCreationSlot } = db;
+
+    const slot = await EntityCreationSlot.findOne({
+      where: {
+        jobId: job.id,
+        entityType,
+        slotNumber
+      }
+    });
+
+    if (!slot) {
+      return null;
+    }
+
+    await slot.update({
+      status: 'failed',
+      errorMessage,
+      retryCount: slot.retryCount + 1
+    });
+
+    JobEvents.publish(this.getStreamId(job), JobEvents.EVENT_TYPES.ENTITY_FAILED, {
+      entityType,
+      slotNumber,
+      error: errorMessage
+    });
+
     return slot;
   }
 
@@ -187,6 +272,14 @@ class JobTracker {
     const { EntityCreationSlot } = db;
 
     // Get slots marked as created
+    const createdCampaignSlots = await EntityCreationSlot.count({
+      where: {
+        jobId: job.id,
+        entityType: 'campaign',
+        status: 'created'
+      }
+    });
+
     const createdAdSetSlots = await EntityCreationSlot.count({
       where: {
         jobId: job.id,
@@ -235,13 +328,18 @@ class JobTracker {
     const adSetsRemaining = Math.max(0, job.requestedAdSets - actualAdSets);
     const adsRemaining = Math.max(0, job.requestedAds - actualAds);
 
+    const requestedCampaigns = job.requestedCampaigns ?? 1;
+    const campaignsRemaining = Math.max(0, requestedCampaigns - createdCampaignSlots);
+
     const status = {
       jobId: job.id,
       requested: {
+        campaigns: requestedCampaigns,
         adSets: job.requestedAdSets,
         ads: job.requestedAds
       },
       tracked: {
+        campaigns: createdCampaignSlots,
         adSets: createdAdSetSlots,
         ads: createdAdSlots
       },
@@ -254,12 +352,13 @@ class JobTracker {
         ads: actualAds
       },
       remaining: {
+        campaigns: campaignsRemaining,
         adSets: adSetsRemaining,
         ads: adsRemaining
       },
-      canCreateMore: adSetsRemaining > 0 || adsRemaining > 0,
-      atLimit: adSetsRemaining === 0 && adsRemaining === 0,
-      exceededLimit: actualAdSets > job.requestedAdSets || actualAds > job.requestedAds
+      canCreateMore: campaignsRemaining > 0 || adSetsRemaining > 0 || adsRemaining > 0,
+      atLimit: campaignsRemaining === 0 && adSetsRemaining === 0 && adsRemaining === 0,
+      exceededLimit: createdCampaignSlots > requestedCampaigns || actualAdSets > job.requestedAdSets || actualAds > job.requestedAds
     };
 
     if (status.exceededLimit) {
@@ -307,36 +406,43 @@ class JobTracker {
 
     // Check if rollback should be triggered
     const rollbackDecision = await RollbackManager.shouldTriggerRollback(job, error);
+    let failureAction;
 
     if (rollbackDecision.shouldRollback) {
       console.log(`🔄 [JobTracker] Rollback triggered: ${rollbackDecision.reason}`);
 
-      return {
+      failureAction = {
         action: 'rollback',
         reason: rollbackDecision.reason,
         severity: rollbackDecision.severity
       };
-    }
-
-    // Check if we can retry
-    if (job.retryCount < job.retryBudget) {
+    } else if (job.retryCount < job.retryBudget) {
+      // We can retry
       console.log(`🔄 [JobTracker] Will retry (attempt ${job.retryCount + 1}/${job.retryBudget})`);
 
-      return {
+      failureAction = {
         action: 'retry',
         attempt: job.retryCount + 1,
         remaining: job.retryBudget - job.retryCount
       };
+    } else {
+      // Retry budget exhausted
+      console.log(`🚫 [JobTracker] Retry budget exhausted - will rollback`);
+
+      failureAction = {
+        action: 'rollback',
+        reason: 'Retry budget exhausted',
+        severity: 'HIGH'
+      };
     }
 
-    // Retry budget exhausted
-    console.log(`🚫 [JobTracker] Retry budget exhausted - will rollback`);
+    // The launch request ends here either way, so the stream ends too
+    JobEvents.publish(this.getStreamId(job), JobEvents.EVENT_TYPES.FAILED, {
+      error: error.message,
+      ...failureAction
+    });
 
-    return {
-      action: 'rollback',
-      reason: 'Retry budget exhausted',
-      severity: 'HIGH'
-    };
+    return failureAction;
   }
 
   /**
@@ -352,6 +458,12 @@ class JobTracker {
     });
 
     console.log(`✅ [JobTracker] Job ${job.id} completed successfully`);
+
+    JobEvents.publish(this.getStreamId(job), JobEvents.EVENT_TYPES.COMPLETED, {
+      adSetsCreated: job.adSetsCreated,
+      adsCreated: job.adsCreated,
+      facebookCampaignId: job.facebookCampaignId
+    });
   }
 
   /**
@@ -369,6 +481,27 @@ class JobTracker {
     });
 
     console.log(`❌ [JobTracker] Job ${job.id} marked as failed: ${reason}`);
+
+    JobEvents.publish(this.getStreamId(job), JobEvents.EVENT_TYPES.FAILED, { error: reason });
+  }
+
+  /**
+   * Find background jobs that were still running when the process stopped
+   *
+   * @returns {Promise<Array>} CampaignCreationJob instances (oldest first)
+   */
+  async findInterruptedJobs() {
+    const { CampaignCreationJob } = db;
+    const { Op } = db.Sequelize;
+
+    return CampaignCreationJob.findAll({
+      where: {
+        jobKey: { [Op.ne]: null },
+        jobType: { [Op.ne]: 'campaign_creation' },
+        status: { [Op.in]: ['pending', 'in_progress'] }
+      },
+      order: [['createdAt', 'ASC']]
+    });
   }
 
   /**
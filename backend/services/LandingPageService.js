@@ -0,0 +1,333 @@
+const axios = require('axios');
+const tls = require('tls');
+const { assertPublicUrl, publicLookup } = require('../utils/outboundUrl');
+
+/**
+ * Landing Page Service - preflight checks for the URLs a launch sends people to
+ *
+ * For each destination URL: HTTP status, redirect chain, final domain,
+ * response time, TLS certificate validity and whether the pixel is on the page.
+ * The display link (caption) is compared with the domain people end up on.
+ *
+ * Problems that would waste spend (unreachable page, 4xx/5xx, redirect loop,
+ * invalid certificate) are errors; everything else is a warning. 401/403 are
+ * warnings too - bot protection often turns the checker away from a working page.
+ * LANDING_PREFLIGHT_MODE decides what the create routes do with errors:
+ * 'warn' (default) launches anyway, 'block' refuses the launch, 'off' skips the check.
+ *
+ * Only public hosts are fetched, on every redirect hop (see utils/outboundUrl),
+ * and at most MAX_PAGE_BYTES of a page is read.
+ */
+
+const MAX_REDIRECTS = 10;
+const REQUEST_TIMEOUT_MS = 10000;
+const SLOW_RESPONSE_MS = 3000;
+const CERT_EXPIRY_WARNING_DAYS = 14;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_URLS = 20;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+// Statuses bot protection answers with - reported, but not treated as a broken page
+const BOT_BLOCK_STATUSES = [401, 403];
+const USER_AGENT = 'Mozilla/5.0 (compatible; LandingPagePreflight/1.0)';
+
+const stripWww = (hostname) => String(hostname || '').toLowerCase().replace(/^www\./, '');
+
+/**
+ * Domain of a display link - accepts "example.com", "www.example.com/offer" or a full URL
+ */
+function displayLinkDomain(displayLink) {
+  const value = String(displayLink || '').trim();
+  if (!value) return null;
+  try {
+    return stripWww(new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`).hostname);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Display link matches when it is the final domain or one of its parents
+ * (e.g. "example.com" for "offers.example.com")
+ */
+function domainsMatch(displayDomain, finalDomain) {
+  return displayDomain === finalDomain || finalDomain.endsWith(`.${displayDomain}`);
+}
+
+class LandingPageService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  get mode() {
+    const mode = (process.env.LANDING_PREFLIGHT_MODE || 'warn').toLowerCase();
+    return ['block', 'warn', 'off'].includes(mode) ? mode : 'warn';
+  }
+
+  /**
+   * Check a host's TLS certificate
+   * @returns {Promise<Object>} { valid, error, issuer, validTo, daysRemaining }
+   */
+  checkTls(hostname, port = 443) {
+    return new Promise((resolve) => {
+      const socket = tls.connect({
+        host: hostname,
+        port,
+        servername: hostname,
+        lookup: publicLookup,
+        rejectUnauthorized: false,
+        timeout: REQUEST_TIMEOUT_MS
+      }, () => {
+        const cert = socket.getPeerCertificate();
+        const validTo = cert?.valid_to ? new Date(cert.valid_to) : null;
+        resolve({
+          valid: socket.authorized,
+          error: socket.authorized ? null : String(socket.authorizationError || 'Certificate not trusted'),
+          issuer: cert?.issuer?.O || cert?.issuer?.CN || null,
+          validTo: validTo ? validTo.toISOString() : null,
+          daysRemaining: validTo ? Math.floor((validTo - Date.now()) / 86400000) : null
+        });
+        socket.end();
+      });
+
+      socket.on('timeout', () => {
+        socket.destroy();
+        resolve({ valid: false, error: 'TLS handshake timed out' });
+      });
+      socket.on('error', (error) => {
+        resolve({ valid: false, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Follow a URL's redirects by hand so every hop is recorded
+   * @returns {Promise<Object>} { status, redirects: [{ url, status }], finalUrl, html, responseTimeMs }
+   */
+  async fetchWithRedirects(url) {
+    const redirects = [];
+    const started = Date.now();
+    let currentUrl = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      try {
+        assertPublicUrl(currentUrl);
+      } catch (error) {
+        error.redirects = redirects;
+        throw error;
+      }
+
+      const response = await axios.get(currentUrl, {
+        maxRedirects: 0,
+        timeout: REQUEST_TIMEOUT_MS,
+        lookup: publicLookup,
+        maxContentLength: MAX_PAGE_BYTES,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,*/*' }
+      });
+
+      const location = response.headers?.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        redirects.push({ url: currentUrl, status: response.status });
+        currentUrl = new URL(location, currentUrl).toString();
+        continue;
+      }
+
+      return {
+        status: response.status,
+        redirects,
+        finalUrl: currentUrl,
+        html: typeof response.data === 'string' ? response.data : '',
+        responseTimeMs: Date.now() - started
+      };
+    }
+
+    const error = new Error(`More than ${MAX_REDIRECTS} redirects`);
+    error.redirects = redirects;
+    throw error;
+  }
+
+  /**
+   * Look for the Meta pixel on the page
+   */
+  detectPixel(html, pixelId) {
+    const hasPixelCode = /fbq\(\s*['"]init['"]/.test(html) || html.includes('facebook.com/tr?id=');
+    return {
+      expected: pixelId || null,
+      hasPixelCode,
+      found: pixelId ? html.includes(String(pixelId)) : hasPixelCode
+    };
+  }
+
+  /**
+   * Preflight a single destination URL
+   *
+   * @param {String} url - Ad link
+   * @param {Object} options - { pixelId, displayLink }
+   * @returns {Promise<Object>} { url, ok, status, redirects, finalUrl, finalDomain, responseTimeMs, tls, pixel, displayLink, errors, warnings }
+   */
+  async checkUrl(url, options = {}) {
+    const { pixelId, displayLink } = options;
+    const result = {
+      url,
+      ok: false,
+      status: null,
+      redirects: [],
+      finalUrl: null,
+      finalDomain: null,
+      responseTimeMs: null,
+      tls: null,
+      pixel: null,
+      displayLink: null,
+      errors: [],
+      warnings: []
+    };
+
+    let parsed;
+    try {
+      parsed = assertPublicUrl(url);
+    } catch (error) {
+      result.errors.push(error.message);
+      return result;
+    }
+
+    let page;
+    try {
+      page = await this.fetchWithRedirects(url);
+    } catch (error) {
+      result.redirects = error.redirects || [];
+      if (error.code === 'UNSAFE_URL' || error.cause?.code === 'UNSAFE_URL') {
+        result.errors.push(error.cause?.message || error.message);
+      } else if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+        result.errors.push(`Page is larger than ${MAX_PAGE_BYTES / 1024 / 1024} MB`);
+      } else {
+        result.errors.push(error.redirects ? error.message : `Could not reach page: ${error.code || error.message}`);
+      }
+      return result;
+    }
+
+    const finalUrl = new URL(page.finalUrl);
+    Object.assign(result, {
+      status: page.status,
+      redirects: page.redirects,
+      finalUrl: page.finalUrl,
+      finalDomain: stripWww(finalUrl.hostname),
+      responseTimeMs: page.responseTimeMs
+    });
+
+    if (BOT_BLOCK_STATUSES.includes(page.status)) {
+      result.warnings.push(`Page returned HTTP ${page.status} to the preflight check - make sure it loads for visitors`);
+    } else if (page.status >= 400) {
+      result.errors.push(`Page returned HTTP ${page.status}`);
+    }
+    if (page.responseTimeMs > SLOW_RESPONSE_MS) {
+      result.warnings.push(`Page took ${(page.responseTimeMs / 1000).toFixed(1)}s to respond`);
+    }
+    if (stripWww(parsed.hostname) !== result.finalDomain) {
+      result.warnings.push(`Redirects from ${stripWww(parsed.hostname)} to ${result.finalDomain}`);
+    }
+
+    if (finalUrl.protocol === 'https:') {
+      result.tls = await this.checkTls(finalUrl.hostname, Number(finalUrl.port) || 443);
+      if (!result.tls.valid) {
+        result.errors.push(`Invalid TLS certificate: ${result.tls.error}`);
+      } else if (result.tls.daysRemaining !== null && result.tls.daysRemaining < CERT_EXPIRY_WARNING_DAYS) {
+        result.warnings.push(`TLS certificate expires in ${result.tls.daysRemaining} day(s)`);
+      }
+    } else {
+      result.warnings.push('Final page is not served over HTTPS');
+    }
+
+    if (page.status < 400) {
+      result.pixel = this.detectPixel(page.html, pixelId);
+      if (!result.pixel.found) {
+        result.warnings.push(pixelId
+          ? `Pixel ${pixelId} not found on the page`
+          : 'No Meta pixel found on the page');
+      }
+    }
+
+    const displayDomain = displayLinkDomain(displayLink);
+    if (displayDomain) {
+      const matches = domainsMatch(displayDomain, result.finalDomain);
+      result.displayLink = { value: displayLink, domain: displayDomain, matches };
+      if (!matches) {
+        result.warnings.push(`Display link ${displayDomain} does not match final domain ${result.finalDomain}`);
+      }
+    }
+
+    result.ok = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Preflight several URLs (deduplicated, results cached for a few minutes)
+   *
+   * @param {Array} urls - Destination URLs
+   * @param {Object} options - { pixelId, displayLink }
+   * @returns {Promise<Object>} { ok, mode, results, errors, warnings }
+   */
+  async preflight(urls, options = {}) {
+    const unique = [...new Set((urls || []).filter(Boolean).map(url => String(url).trim()))].slice(0, MAX_URLS);
+    const results = [];
+
+    // One at a time so a launch with many links doesn't hammer the same site
+    for (const url of unique) {
+      const cacheKey = `${url}|${options.pixelId || ''}|${options.displayLink || ''}`;
+      const cached = this.cache.get(cacheKey);
+      if (cached && Date.now() - cached.checkedAt < CACHE_TTL_MS) {
+        results.push(cached.result);
+        continue;
+      }
+
+      const result = await this.checkUrl(url, options);
+      this.cache.set(cacheKey, { result, checkedAt: Date.now() });
+      results.push(result);
+    }
+
+    const prefix = (result) => (results.length > 1 ? `${result.url}: ` : '');
+    const errors = results.flatMap(result => result.errors.map(message => `${prefix(result)}${message}`));
+    const warnings = results.flatMap(result => result.warnings.map(message => `${prefix(result)}${message}`));
+
+    return { ok: errors.length === 0, mode: this.mode, results, errors, warnings };
+  }
+
+  /**
+   * Destination URLs of a launch (main link plus per-variation links)
+   */
+  getLaunchUrls(campaignData) {
+    if (campaignData.conversionLocation === 'instant_forms') return [];
+
+    return [
+      campaignData.url,
+      ...(campaignData.variations || []).map(variation => variation.url),
+      ...(campaignData.adVariationConfig?.variations || []).map(variation => variation.websiteUrl)
+    ].filter(Boolean);
+  }
+
+  /**
+   * Preflight a launch's URLs before anything is created
+   *
+   * @param {Object} campaignData - Built campaign data (url, pixel, displayLink, variations)
+   * @returns {Promise<Object|null>} preflight() result plus `blocked`, or null when the check is off
+   */
+  async preflightLaunch(campaignData) {
+    if (this.mode === 'off') return null;
+
+    const urls = this.getLaunchUrls(campaignData);
+    if (urls.length === 0) return null;
+
+    const preflight = await this.preflight(urls, {
+      pixelId: campaignData.pixel || campaignData.manualPixelId,
+      displayLink: campaignData.displayLink
+    });
+
+    if (preflight.errors.length > 0 || preflight.warnings.length > 0) {
+      console.log(`🔎 [PREFLIGHT] ${urls.length} URL(s): ${preflight.errors.length} error(s), ${preflight.warnings.length} warning(s)`);
+    }
+
+    return { ...preflight, blocked: !preflight.ok && this.mode === 'block' };
+  }
+}
+
+module.exports = new LandingPageService();
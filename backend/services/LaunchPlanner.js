@@ -0,0 +1,375 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const axios = require('axios');
+const BatchDuplicationService = require('./batchDuplication');
+const FakeGraphApi = require('./FakeGraphApi');
+
+/**
+ * Launch Planner - dry-run mode for the strategy create endpoints
+ *
+ * Returns the Graph API calls a launch would send, without touching Facebook:
+ *
+ * - Phase 1 (create): the route's own FacebookAPI method (createCampaignStructure or
+ *   createStrategy150Campaign) runs inside a planning context. Every axios request it
+ *   makes is recorded and answered by a private in-memory FakeGraphApi, so the campaign,
+ *   ad set, ad and media upload payloads are exactly what the real code builds.
+ * - Phase 2 (duplicate): the remaining ad set + ad pairs go through
+ *   batchDuplication.duplicateAdSetsBatch - the method the routes call after the
+ *   1-1-1 structure - answered by the same stand-in, so its reads, Batch API chunks
+ *   and verification calls are all in the plan. Waits between batches are skipped.
+ *
+ * IDs in the plan (campaign_id, post ID, image hashes, video IDs) are placeholders issued
+ * by the stand-in. access_token is never included in the output.
+ *
+ * The axios interceptor that routes requests to the recorder is only installed while
+ * at least one plan is being recorded (see setup / teardown).
+ */
+
+const planningContext = new AsyncLocalStorage();
+
+/**
+ * Parse an axios request body into Graph params and uploaded files
+ *
+ * Handles URL-encoded strings, JSON strings, URLSearchParams, plain objects and
+ * form-data instances (fields are read from the pending multipart parts).
+ */
+function parseRequestBody(data) {
+  const params = {};
+  const files = [];
+
+  if (!data) {
+    return { params, files };
+  }
+
+  if (typeof data === 'string') {
+    const trimmed = data.trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        Object.assign(params, JSON.parse(trimmed));
+        return { params, files };
+      } catch (e) {
+        // Not JSON - fall through to URL-encoded parsing
+      }
+    }
+    Object.assign(params, Object.fromEntries(new URLSearchParams(trimmed)));
+    return { params, files };
+  }
+
+  if (data instanceof URLSearchParams) {
+    Object.assign(params, Object.fromEntries(data));
+    return { params, files };
+  }
+
+  if (Array.isArray(data._streams)) {
+    let current = null;
+    data._streams.forEach(part => {
+      if (typeof part === 'string' && part.includes('Content-Disposition')) {
+        current = {
+          name: (part.match(/name="([^"]*)"/) || [])[1],
+          filename: (part.match(/filename="([^"]*)"/) || [])[1]
+        };
+        return;
+      }
+      if (!current || typeof part === 'function') {
+        return;
+      }
+
+      if (current.filename) {
+        const isBuffer = Buffer.isBuffer(part);
+        files.push({
+          fieldname: current.name,
+          originalname: current.filename,
+          size: isBuffer ? part.length : undefined,
+          hash: isBuffer
+            ? crypto.createHash('md5').update(part).digest('hex')
+            : crypto.createHash('md5').update(String(part.path || current.filename)).digest('hex')
+        });
+      } else {
+        params[current.name] = Buffer.isBuffer(part) ? part.toString() : String(part);
+      }
+      current = null;
+    });
+    return { params, files };
+  }
+
+  if (Buffer.isBuffer(data)) {
+    return { params, files };
+  }
+
+  if (typeof data === 'object') {
+    Object.assign(params, data);
+  }
+
+  return { params, files };
+}
+
+/**
+ * Strip credentials and raw bytes from params before they go into a plan
+ */
+function sanitizeParams(params) {
+  const { access_token, appsecret_proof, ...rest } = params;
+  if (rest.bytes) {
+    rest.bytes = `<${String(rest.bytes).length} base64 characters>`;
+  }
+  return rest;
+}
+
+/**
+ * Axios adapter used while planning: record the request, answer it from the stand-in
+ */
+async function recordingAdapter(config) {
+  const session = planningContext.getStore();
+  const url = new URL(config.url, 'http://graph.local');
+  const method = (config.method || 'get').toUpperCase();
+
+  const { params: bodyParams, files } = parseRequestBody(config.data);
+  const params = {
+    ...Object.fromEntries(url.searchParams),
+    ...(config.params || {}),
+    ...bodyParams
+  };
+  const graphMethod = method === 'POST' && params.method ? String(params.method).toUpperCase() : method;
+  const path = url.pathname;
+
+  const isBatchRoot = graphMethod === 'POST' && params.batch && /^\/(v\d+\.\d+\/?)?$/.test(path);
+  const operations = isBatchRoot
+    ? (typeof params.batch === 'string' ? JSON.parse(params.batch) : params.batch)
+    : null;
+
+  const call = {
+    step: session.calls.length + 1,
+    phase: session.phase,
+    method: graphMethod,
+    path: path.replace(/^\/v\d+\.\d+/, '') || '/'
+  };
+  if (operations) {
+    call.batch = operations.map(op => ({
+      method: op.method,
+      relative_url: op.relative_url,
+      ...(op.name ? { name: op.name } : {}),
+      ...(op.body ? { body: sanitizeParams(parseRequestBody(op.body).params) } : {})
+    }));
+  } else {
+    call.params = sanitizeParams(params);
+  }
+  if (files.length > 0) {
+    call.files = files.map(file => ({ field: file.fieldname, filename: file.originalname, size: file.size }));
+  }
+  session.calls.push(call);
+
+  let result;
+  if (operations) {
+    result = { status: 200, body: session.graph.dispatchBatch(operations) };
+  } else {
+    result = session.graph.dispatch(graphMethod, path, params, files);
+  }
+
+  const response = {
+    data: result.body,
+    status: result.status,
+    statusText: result.status === 200 ? 'OK' : 'Bad Request',
+    headers: {},
+    config,
+    request: {}
+  };
+
+  const validateStatus = config.validateStatus;
+  if (validateStatus && !validateStatus(result.status)) {
+    throw new axios.AxiosError(
+      `Request failed with status code ${result.status}`,
+      axios.AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+  return response;
+}
+
+/**
+ * Route axios requests made inside a planning context to the recorder
+ */
+function routeToRecorder(config) {
+  if (planningContext.getStore()) {
+    config.adapter = recordingAdapter;
+  }
+  return config;
+}
+
+class LaunchPlanner {
+  constructor() {
+    this.interceptorId = null;
+    this.activeSessions = 0;
+  }
+
+  /**
+   * Install the axios interceptor for the first active plan
+   */
+  setup() {
+    this.activeSessions++;
+    if (this.interceptorId === null) {
+      this.interceptorId = axios.interceptors.request.use(routeToRecorder);
+    }
+  }
+
+  /**
+   * Remove the axios interceptor once no plan is being recorded
+   */
+  teardown() {
+    this.activeSessions = Math.max(0, this.activeSessions - 1);
+    if (this.activeSessions === 0 && this.interceptorId !== null) {
+      axios.interceptors.request.eject(this.interceptorId);
+      this.interceptorId = null;
+    }
+  }
+
+  /**
+   * Whether the request asked for a dry run (multipart forms send 'true' as a string)
+   */
+  isDryRunRequest(body = {}) {
+    return body.dryRun === true || body.dryRun === 'true';
+  }
+
+  /**
+   * Whether the current async context is building a plan
+   * FacebookAPI uses this to skip waits that only matter for live entities
+   * (post ID capture, video processing).
+   */
+  isPlanning() {
+    return !!planningContext.getStore();
+  }
+
+  /**
+   * Run fn with all Graph requests recorded into the session instead of sent
+   *
+   * @param {Object} session - { calls, graph, phase } from createSession()
+   * @param {String} phase - Label for the recorded calls ('create' or 'duplicate')
+   * @returns {Promise<*>} What fn returned
+   */
+  async record(session, phase, fn) {
+    this.setup();
+    try {
+      return await planningContext.run(session, () => {
+        session.phase = phase;
+        return fn();
+      });
+    } finally {
+      this.teardown();
+    }
+  }
+
+  createSession() {
+    return { calls: [], graph: new FakeGraphApi(), phase: null };
+  }
+
+  /**
+   * Build the full launch plan for a strategy create request
+   *
+   * @param {FacebookAPI} facebookApi - The user's FacebookAPI instance (never sends anything)
+   * @param {Object} campaignData - campaignData exactly as the route would pass it
+   * @param {Object} options
+   * @param {String} options.createMethod - FacebookAPI method used for phase 1
+   * @param {Object} options.initialOverrides - Fields overridden for the phase 1 call only
+   * @param {Number} options.additionalAdSets - Ad sets duplicated after phase 1 (per campaign)
+   * @param {Number} options.numberOfCampaigns - Identical campaigns to create
+   * @returns {Promise<Object>} Plan with per-campaign calls and totals
+   */
+  async planLaunch(facebookApi, campaignData, options = {}) {
+    const {
+      createMethod = 'createCampaignStructure',
+      initialOverrides = {},
+      additionalAdSets = 0,
+      numberOfCampaigns = 1
+    } = options;
+
+    const accountId = String(facebookApi.adAccountId || '').replace('act_', '');
+    const batchService = new BatchDuplicationService(
+      facebookApi.accessToken,
+      accountId,
+      facebookApi.pageId,
+      facebookApi.pixelId
+    );
+
+    const campaigns = [];
+    let mediaHashes = null;
+
+    console.log(`\n🧪 [Dry Run] Planning ${numberOfCampaigns} campaign(s) with ${additionalAdSets} duplicated ad set(s) each`);
+
+    for (let campaignIndex = 0; campaignIndex < numberOfCampaigns; campaignIndex++) {
+      const currentCampaignData = {
+        ...campaignData,
+        campaignName: numberOfCampaigns > 1
+          ? `${campaignData.campaignName} - Copy ${campaignIndex + 1}`
+          : campaignData.campaignName
+      };
+
+      // Same media reuse as the routes: later copies never re-upload
+      if (campaignIndex > 0 && mediaHashes) {
+        currentCampaignData.reusedMediaHashes = mediaHashes;
+        currentCampaignData.skipMediaUpload = true;
+      }
+
+      // ===== PHASE 1: 1-1-1 structure through the real FacebookAPI code =====
+      const session = this.createSession();
+      const initialResult = await this.record(session, 'create', () =>
+        facebookApi[createMethod]({ ...currentCampaignData, ...initialOverrides })
+      );
+
+      if (campaignIndex === 0) {
+        mediaHashes = initialResult?.mediaHashes || null;
+      }
+
+      // ===== PHASE 2: the routes' batch duplication for the remaining pairs =====
+      if (additionalAdSets > 0 && initialResult?.adSet?.id) {
+        // No real ad exists, so the post ID capture was skipped - use a placeholder
+        const postId = initialResult.postId || `${facebookApi.pageId}_${session.graph.generateId()}`;
+        await this.record(session, 'duplicate', () =>
+          batchService.duplicateAdSetsBatch(
+            initialResult.adSet.id,
+            initialResult.campaign.id,
+            postId,
+            additionalAdSets,
+            { ...currentCampaignData, mediaHashes: initialResult.mediaHashes }
+          )
+        );
+      }
+
+      const { calls } = session;
+      const createCalls = calls.filter(call => call.phase === 'create').length;
+      const batchOperations = calls.reduce((sum, call) => sum + (call.batch ? call.batch.length : 0), 0);
+      campaigns.push({
+        campaignName: currentCampaignData.campaignName,
+        calls,
+        summary: {
+          adSets: 1 + additionalAdSets,
+          ads: 1 + additionalAdSets,
+          apiCalls: calls.length,
+          createCalls,
+          duplicateCalls: calls.length - createCalls,
+          batchOperations
+        }
+      });
+    }
+
+    const totals = campaigns.reduce((sum, campaign) => ({
+      adSets: sum.adSets + campaign.summary.adSets,
+      ads: sum.ads + campaign.summary.ads,
+      apiCalls: sum.apiCalls + campaign.summary.apiCalls,
+      batchOperations: sum.batchOperations + campaign.summary.batchOperations
+    }), { adSets: 0, ads: 0, apiCalls: 0, batchOperations: 0 });
+
+    console.log(`✅ [Dry Run] Plan ready: ${totals.apiCalls} API calls for ${campaigns.length} campaign(s)`);
+
+    return {
+      dryRun: true,
+      adAccountId: `act_${accountId}`,
+      campaigns,
+      summary: {
+        campaigns: campaigns.length,
+        ...totals
+      }
+    };
+  }
+}
+
+module.exports = new LaunchPlanner();
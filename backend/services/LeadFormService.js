@@ -0,0 +1,476 @@
+const axios = require('axios');
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { getGraphBaseUrl } = require('../config/graphApi');
+
+/**
+ * Lead Form Service - Facebook Instant Forms and their leads
+ *
+ * - Forms are created on the page (/{pageId}/leadgen_forms) with the page token.
+ *   Facebook forms can't be edited once published, so createVersion() publishes
+ *   a new form and archives the previous one; versions share rootFormId.
+ * - Ad sets with conversionLocation 'instant_forms' get the form attached to
+ *   their ad creatives through applyToCreative() (FacebookAPI and batch flows).
+ * - Leads are pulled into the leads table every LEAD_SYNC_CRON
+ *   (default every 15 minutes), only those newer than the form's lastSyncedAt.
+ *   A sync stops after MAX_LEAD_PAGES pages and saves the paging cursor; the
+ *   next runs continue from it until the older leads are read too.
+ */
+
+const QUESTION_TYPES = [
+  'EMAIL', 'FULL_NAME', 'FIRST_NAME', 'LAST_NAME', 'PHONE', 'CITY', 'STATE',
+  'ZIP', 'COUNTRY', 'STREET_ADDRESS', 'DOB', 'GENDER', 'JOB_TITLE', 'COMPANY_NAME', 'CUSTOM'
+];
+// Ads with a lead form still need a link; Facebook's placeholder is accepted
+const LEAD_AD_PLACEHOLDER_LINK = 'https://fb.me/';
+const LEADS_PAGE_SIZE = 100;
+const MAX_LEAD_PAGES = 50;
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Lead answers are user input - keep spreadsheets from running them as formulas
+  // (a leading tab or carriage return is also read as the start of a formula)
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class LeadFormService {
+  constructor() {
+    this.cronJob = null;
+    this.isRunning = false;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start the scheduled lead pull
+   * Called once when server starts
+   */
+  initialize() {
+    if (this.isInitialized) {
+      console.log('⚠️  [LEADS] Already initialized, skipping');
+      return;
+    }
+
+    const schedule = process.env.LEAD_SYNC_CRON || '*/15 * * * *';
+    this.cronJob = cron.schedule(schedule, async () => {
+      await this.syncAll();
+    });
+
+    this.isInitialized = true;
+    console.log(`✅ [LEADS] Lead sync scheduled (${schedule})`);
+  }
+
+  /**
+   * Validate a form definition
+   *
+   * @param {Object} definition - { name, questions, privacyPolicyUrl, thankYouPage }
+   * @returns {Array} Error messages (empty when valid)
+   */
+  validate(definition) {
+    const errors = [];
+
+    if (!definition.name) {
+      errors.push('Form name is required');
+    }
+
+    if (!definition.privacyPolicyUrl || !/^https?:\/\//i.test(definition.privacyPolicyUrl)) {
+      errors.push('privacyPolicyUrl must be an http(s) URL');
+    }
+
+    const questions = definition.questions;
+    if (!Array.isArray(questions) || questions.length === 0) {
+      errors.push('At least one question is required');
+      return errors;
+    }
+
+    const keys = new Set();
+    questions.forEach((question, index) => {
+      const label = `Question ${index + 1}`;
+      if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push(`${label}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+        return;
+      }
+
+      if (question.type === 'CUSTOM') {
+        if (!question.key || !question.label) {
+          errors.push(`${label}: custom questions need a key and a label`);
+        } else if (keys.has(question.key)) {
+          errors.push(`${label}: duplicate key "${question.key}"`);
+        }
+        keys.add(question.key);
+      }
+    });
+
+    const thankYouPage = definition.thankYouPage;
+    if (thankYouPage && thankYouPage.websiteUrl && !/^https?:\/\//i.test(thankYouPage.websiteUrl)) {
+      errors.push('thankYouPage.websiteUrl must be an http(s) URL');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Page access token - lead forms and leads are page resources
+   */
+  async getPageAccessToken(pageId, userAccessToken) {
+    const response = await axios.get(`${getGraphBaseUrl()}/${pageId}`, {
+      params: { fields: 'access_token', access_token: userAccessToken }
+    });
+
+    if (!response.data.access_token) {
+      throw new Error(`No page access token for page ${pageId} - the user must manage the page`);
+    }
+    return response.data.access_token;
+  }
+
+  /**
+   * Publish a form on Facebook and store it
+   *
+   * @param {Number} userId - Owner
+   * @param {String} userAccessToken - User token (exchanged for the page token)
+   * @param {String} pageId - Page the form belongs to
+   * @param {Object} definition - { name, questions, privacyPolicyUrl, privacyPolicyLinkText, thankYouPage, locale }
+   * @param {Object} previous - LeadForm this one replaces (versioning), optional
+   * @returns {Promise<Object>} LeadForm record
+   */
+  async createForm(userId, userAccessToken, pageId, definition, previous = null) {
+    const pageAccessToken = await this.getPageAccessToken(pageId, userAccessToken);
+    const version = previous ? previous.version + 1 : 1;
+    const fbName = version > 1 ? `${definition.name} (v${version})` : definition.name;
+
+    const params = {
+      name: fbName,
+      questions: JSON.stringify(definition.questions.map(question => this.toFacebookQuestion(question))),
+      privacy_policy: JSON.stringify({
+        url: definition.privacyPolicyUrl,
+        link_text: definition.privacyPolicyLinkText || 'Privacy Policy'
+      }),
+      locale: definition.locale || 'en_US',
+      access_token: pageAccessToken
+    };
+
+    if (definition.thankYouPage) {
+      params.thank_you_page = JSON.stringify(this.toFacebookThankYouPage(definition.thankYouPage));
+    }
+
+    console.log(`📝 [LEADS] Creating lead form "${fbName}" on page ${pageId}`);
+
+    let response;
+    try {
+      response = await axios.post(`${getGraphBaseUrl()}/${pageId}/leadgen_forms`, null, { params });
+    } catch (error) {
+      const fbError = error.response?.data?.error;
+      throw new Error(fbError ? `Facebook rejected the lead form: ${fbError.error_user_msg || fbError.message}` : error.message);
+    }
+
+    const leadForm = await db.LeadForm.create({
+      userId,
+      pageId,
+      facebookFormId: response.data.id,
+      rootFormId: previous ? (previous.rootFormId || previous.id) : null,
+      version,
+      name: definition.name,
+      locale: params.locale,
+      questions: definition.questions,
+      privacyPolicyUrl: definition.privacyPolicyUrl,
+      privacyPolicyLinkText: definition.privacyPolicyLinkText || null,
+      thankYouPage: definition.thankYouPage || null,
+      lastSyncedAt: new Date()
+    });
+
+    if (!previous) {
+      await leadForm.update({ rootFormId: leadForm.id });
+    }
+
+    console.log(`✅ [LEADS] Lead form ${response.data.id} stored as #${leadForm.id} (v${version})`);
+    return leadForm;
+  }
+
+  /**
+   * New version of a form: publish the changed definition, archive the old form
+   * Leads already submitted to the old version stay attached to it.
+   *
+   * @param {Object} leadForm - Current LeadForm
+   * @param {String} userAccessToken - User token
+   * @param {Object} changes - Definition fields to change
+   * @returns {Promise<Object>} New LeadForm record
+   */
+  async createVersion(leadForm, userAccessToken, changes) {
+    const definition = {
+      name: leadForm.name,
+      questions: leadForm.questions,
+      privacyPolicyUrl: leadForm.privacyPolicyUrl,
+      privacyPolicyLinkText: leadForm.privacyPolicyLinkText,
+      thankYouPage: leadForm.thankYouPage,
+      locale: leadForm.locale,
+      ...changes
+    };
+
+    const next = await this.createForm(leadForm.userId, userAccessToken, leadForm.pageId, definition, leadForm);
+
+    // Pull the old version's last leads before it stops being synced
+    try {
+      await this.syncLeads(leadForm, userAccessToken);
+    } catch (error) {
+      console.error(`⚠️  [LEADS] Final sync of form #${leadForm.id} failed:`, error.message);
+    }
+
+    try {
+      const pageAccessToken = await this.getPageAccessToken(leadForm.pageId, userAccessToken);
+      await axios.post(`${getGraphBaseUrl()}/${leadForm.facebookFormId}`, null, {
+        params: { status: 'ARCHIVED', access_token: pageAccessToken }
+      });
+    } catch (error) {
+      // The new version exists either way - an unarchived old form only clutters the page
+      console.error(`⚠️  [LEADS] Could not archive form ${leadForm.facebookFormId}:`, error.response?.data?.error?.message || error.message);
+    }
+
+    await leadForm.update({ status: 'archived' });
+    return next;
+  }
+
+  toFacebookQuestion(question) {
+    if (question.type !== 'CUSTOM') {
+      return { type: question.type };
+    }
+
+    const fbQuestion = { type: 'CUSTOM', key: question.key, label: question.label };
+    if (Array.isArray(question.options) && question.options.length > 0) {
+      fbQuestion.options = question.options.map((option, index) => (
+        typeof option === 'string' ? { value: option, key: `${question.key}_${index + 1}` } : option
+      ));
+    }
+    return fbQuestion;
+  }
+
+  toFacebookThankYouPage(thankYouPage) {
+    return {
+      title: thankYouPage.title || 'Thanks, you\'re all set.',
+      body: thankYouPage.body || 'We\'ll be in touch soon.',
+      button_type: thankYouPage.websiteUrl ? 'VIEW_WEBSITE' : 'NONE',
+      button_text: thankYouPage.buttonText || 'Visit website',
+      website_url: thankYouPage.websiteUrl || undefined
+    };
+  }
+
+  /**
+   * Attach a lead form to an ad creative (mutates and returns it)
+   * Covers link_data, video_data and carousel child_attachments.
+   *
+   * @param {Object} creative - Creative with object_story_spec
+   * @param {String} leadFormId - Facebook form ID
+   * @returns {Object} creative
+   */
+  applyToCreative(creative, leadFormId) {
+    const storySpec = creative?.object_story_spec;
+    if (!leadFormId || !storySpec) return creative;
+
+    const attach = (container, linkField) => {
+      container.call_to_action = container.call_to_action || { type: 'SIGN_UP' };
+      container.call_to_action.value = {
+        ...(container.call_to_action.value || {}),
+        lead_gen_form_id: leadFormId
+      };
+      if (linkField) {
+        container[linkField] = container[linkField] || LEAD_AD_PLACEHOLDER_LINK;
+        container.call_to_action.value.link = container.call_to_action.value.link || container[linkField];
+      }
+    };
+
+    if (storySpec.link_data) {
+      attach(storySpec.link_data, 'link');
+      (storySpec.link_data.child_attachments || []).forEach(child => attach(child, 'link'));
+    }
+    if (storySpec.video_data) {
+      attach(storySpec.video_data, null);
+      storySpec.video_data.call_to_action.value.link =
+        storySpec.video_data.call_to_action.value.link || LEAD_AD_PLACEHOLDER_LINK;
+    }
+
+    return creative;
+  }
+
+  /**
+   * Pull new leads for one form
+   *
+   * @param {Object} leadForm - LeadForm record
+   * @param {String} userAccessToken - Owner's user token
+   * @returns {Promise<Number>} Leads stored
+   */
+  async syncLeads(leadForm, userAccessToken) {
+    const pageAccessToken = await this.getPageAccessToken(leadForm.pageId, userAccessToken);
+    const syncStartedAt = new Date();
+    const params = {
+      fields: 'id,created_time,ad_id,adset_id,campaign_id,form_id,field_data,is_organic',
+      limit: LEADS_PAGE_SIZE,
+      access_token: pageAccessToken
+    };
+
+    if (leadForm.lastSyncedAt) {
+      // Overlap by a minute - leads are upserted, so re-reading is harmless
+      const since = Math.floor(new Date(leadForm.lastSyncedAt).getTime() / 1000) - 60;
+      params.filtering = JSON.stringify([{ field: 'time_created', operator: 'GREATER_THAN', value: since }]);
+    }
+
+    // Continue a capped sync where it stopped; its window started when that sync did
+    const windowStartedAt = leadForm.syncCursor ? leadForm.syncWindowStartedAt || syncStartedAt : syncStartedAt;
+    if (leadForm.syncCursor) {
+      params.after = leadForm.syncCursor;
+    }
+
+    let url = `${getGraphBaseUrl()}/${leadForm.facebookFormId}/leads`;
+    let nextCursor = null;
+    let stored = 0;
+
+    for (let page = 0; url && page < MAX_LEAD_PAGES; page++) {
+      const response = await axios.get(url, page === 0 ? { params } : undefined);
+
+      for (const lead of response.data.data || []) {
+        await db.Lead.upsert({
+          userId: leadForm.userId,
+          leadFormId: leadForm.id,
+          facebookLeadId: lead.id,
+          campaignId: lead.campaign_id || null,
+          adSetId: lead.adset_id || null,
+          adId: lead.ad_id || null,
+          isOrganic: !!lead.is_organic,
+          fieldData: this.flattenFieldData(lead.field_data),
+          submittedAt: new Date(lead.created_time)
+        });
+        stored++;
+      }
+
+      // paging.next already carries the token and filters
+      url = response.data.paging?.next || null;
+      nextCursor = url ? response.data.paging?.cursors?.after || null : null;
+    }
+
+    if (url && nextCursor) {
+      // Stopped at the page cap with older leads left - keep lastSyncedAt and
+      // continue from the cursor next run instead of re-reading the newest pages
+      console.warn(`⚠️  [LEADS] Form #${leadForm.id}: stopped after ${MAX_LEAD_PAGES} pages, continuing from the cursor next run`);
+      await leadForm.update({ syncCursor: nextCursor, syncWindowStartedAt: windowStartedAt });
+    } else if (url) {
+      // No cursor to continue from - read the same window again next run
+      console.warn(`⚠️  [LEADS] Form #${leadForm.id}: stopped after ${MAX_LEAD_PAGES} pages without a paging cursor, window is read again next run`);
+    } else {
+      await leadForm.update({ lastSyncedAt: windowStartedAt, syncCursor: null, syncWindowStartedAt: null });
+    }
+
+    if (stored > 0) {
+      console.log(`📥 [LEADS] Form #${leadForm.id}: ${stored} lead(s) synced`);
+    }
+    return stored;
+  }
+
+  /**
+   * field_data [{ name, values: [...] }] -> { name: 'value1, value2' }
+   */
+  flattenFieldData(fieldData) {
+    return (fieldData || []).reduce((answers, field) => {
+      answers[field.name] = (field.values || []).join(', ');
+      return answers;
+    }, {});
+  }
+
+  /**
+   * Cron callback - sync every active form, one owner token lookup per user
+   */
+  async syncAll() {
+    if (this.isRunning) {
+      console.log('⏭️  [LEADS] Previous sync still running, skipping');
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const leadForms = await db.LeadForm.findAll({ where: { status: 'active' } });
+      const tokens = new Map();
+
+      for (const leadForm of leadForms) {
+        try {
+          if (!tokens.has(leadForm.userId)) {
+            const facebookAuth = await db.FacebookAuth.findOne({
+              where: { userId: leadForm.userId, isActive: true }
+            });
+            tokens.set(leadForm.userId, facebookAuth?.accessToken || null);
+          }
+
+          const accessToken = tokens.get(leadForm.userId);
+          if (!accessToken) continue;
+
+          await this.syncLeads(leadForm, accessToken);
+        } catch (error) {
+          console.error(`❌ [LEADS] Sync failed for form #${leadForm.id}:`, error.response?.data?.error?.message || error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ [LEADS] Lead sync failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Lead counts per campaign
+   *
+   * @param {Number} userId - Owner
+   * @param {Array} campaignIds - Limit to these campaigns (optional)
+   * @returns {Promise<Object>} { campaignId: count }
+   */
+  async getLeadCounts(userId, campaignIds = null) {
+    const where = { userId, campaignId: { [Op.ne]: null } };
+    if (campaignIds && campaignIds.length > 0) {
+      where.campaignId = { [Op.in]: campaignIds };
+    }
+
+    const rows = await db.Lead.findAll({
+      where,
+      attributes: ['campaignId', [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count']],
+      group: ['campaign_id'],
+      raw: true
+    });
+
+    return rows.reduce((counts, row) => {
+      counts[row.campaignId] = Number(row.count);
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Leads as CSV - fixed columns followed by one column per answer key
+   *
+   * @param {Array} leads - Lead records (with leadForm included)
+   * @returns {String} CSV
+   */
+  toCsv(leads) {
+    const answerKeys = [];
+    leads.forEach(lead => {
+      Object.keys(lead.fieldData || {}).forEach(key => {
+        if (!answerKeys.includes(key)) answerKeys.push(key);
+      });
+    });
+
+    const header = ['submitted_at', 'lead_id', 'form', 'form_version', 'campaign_id', 'ad_set_id', 'ad_id', 'is_organic', ...answerKeys];
+    const rows = leads.map(lead => [
+      lead.submittedAt,
+      lead.facebookLeadId,
+      lead.leadForm?.name,
+      lead.leadForm?.version,
+      lead.campaignId,
+      lead.adSetId,
+      lead.adId,
+      lead.isOrganic ? 'true' : 'false',
+      ...answerKeys.map(key => lead.fieldData?.[key])
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\n');
+  }
+}
+
+module.exports = new LeadFormService();
@@ -166,6 +166,28 @@ class LocationMapper {
     };
   }
 
+  /**
+   * Get the two-letter state code for a state name or abbreviation
+   * Campaign targeting (locations.states) expects codes like "CA"
+   * @param {string} stateName - State name or abbreviation
+   * @returns {string|null} - State code or null if not found
+   */
+  getStateCode(stateName) {
+    const result = this.mapStateToFacebookKey(stateName);
+
+    if (!result) {
+      return null;
+    }
+
+    if (result.name.length === 2) {
+      return result.name;
+    }
+
+    return Object.keys(US_STATES_MAP).find(
+      name => name.length === 2 && US_STATES_MAP[name] === result.key
+    ) || null;
+  }
+
   /**
    * Map multiple state names to Facebook region keys
    * @param {string[]} stateNames - Array of state names
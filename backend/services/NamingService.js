@@ -0,0 +1,460 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const PermissionService = require('./PermissionService');
+
+/**
+ * Naming Service - naming conventions for campaigns, ad sets and ads
+ *
+ * A convention is a template per level built from tokens, e.g.
+ *   campaign: '{date} | {vertical} | {state} | {editor} | {strategy}'
+ *   adSet:    '{vertical} | {state} | AS {n} | {bid}'
+ *   ad:       '{editor} | Ad {n} | C{copy}'
+ *
+ * - Launch routes attach the chosen convention to campaignData (applyToCampaignData);
+ *   FacebookAPI, StrategyEngine and the batch duplication builders render ad set
+ *   and ad names from it (nameFor)
+ * - Multiply and deployment re-render a copied name with a new {copy} when the
+ *   source name matches a convention (renameFromSource)
+ * - parse() turns existing names back into token values so campaign lists and
+ *   intelligence reports can group by editor, vertical, state, ...
+ *
+ * Tokens without a value are written as the convention's emptyValue ('NA')
+ * so every name keeps the same shape and stays parseable.
+ */
+
+// Token -> regex used when parsing (generic tokens match lazily between literals)
+const TOKENS = {
+  name: '.+?',
+  date: '\\d{2}\\/\\d{2}\\/\\d{4}',
+  vertical: '.+?',
+  state: '.+?',
+  editor: '.+?',
+  strategy: '.+?',
+  copy: '\\d+',
+  n: '\\d+',
+  bid: '\\$\\d+(?:\\.\\d{2})?'
+};
+
+const LEVEL_FIELDS = {
+  campaign: 'campaignTemplate',
+  adSet: 'adSetTemplate',
+  ad: 'adTemplate'
+};
+
+const MAX_TEMPLATE_LENGTH = 500;
+const TOKEN_PATTERN = /\{(\w+)\}/g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Split a template into literal and token parts
+ * '{date} | {state}' -> [{ token: 'date' }, { literal: ' | ' }, { token: 'state' }]
+ */
+function splitTemplate(template) {
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push({ literal: template.slice(lastIndex, match.index) });
+    }
+    parts.push({ token: match[1] });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < template.length) {
+    parts.push({ literal: template.slice(lastIndex) });
+  }
+
+  return parts;
+}
+
+function formatDate(date) {
+  const d = date ? new Date(date) : new Date();
+  return `${(d.getMonth() + 1).toString().padStart(2, '0')}/${d.getDate().toString().padStart(2, '0')}/${d.getFullYear()}`;
+}
+
+function formatBid(amount) {
+  const value = Number(amount);
+  return Number.isInteger(value) ? `$${value}` : `$${value.toFixed(2)}`;
+}
+
+class NamingService {
+  constructor() {
+    this.compiled = new Map();
+  }
+
+  /**
+   * Tokens a template may use
+   */
+  getTokens() {
+    return Object.keys(TOKENS);
+  }
+
+  /**
+   * Validate a convention before saving
+   *
+   * @param {Object} data - { name, campaignTemplate, adSetTemplate, adTemplate, emptyValue }
+   * @returns {Array} Error messages (empty when valid)
+   */
+  validateConvention(data) {
+    const errors = [];
+
+    if (!data.name) {
+      errors.push('Convention name is required');
+    }
+    if (!data.campaignTemplate) {
+      errors.push('campaignTemplate is required');
+    }
+
+    Object.entries(LEVEL_FIELDS).forEach(([level, field]) => {
+      const template = data[field];
+      if (!template) return;
+
+      if (template.length > MAX_TEMPLATE_LENGTH) {
+        errors.push(`${field} must be ${MAX_TEMPLATE_LENGTH} characters or less`);
+      }
+
+      const parts = splitTemplate(template);
+      if (!parts.some(part => part.token)) {
+        errors.push(`${field} needs at least one token`);
+      }
+
+      parts.forEach((part, index) => {
+        if (part.token && !TOKENS[part.token]) {
+          errors.push(`${field}: unknown token {${part.token}}. Use: ${Object.keys(TOKENS).map(t => `{${t}}`).join(', ')}`);
+        }
+        // Two tokens back to back can't be told apart when parsing
+        if (part.token && parts[index + 1]?.token) {
+          errors.push(`${field}: {${part.token}} and {${parts[index + 1].token}} need a separator between them`);
+        }
+      });
+    });
+
+    if (data.emptyValue !== undefined && !String(data.emptyValue).trim()) {
+      errors.push('emptyValue cannot be blank');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill a template
+   *
+   * @param {String} template - e.g. '{date} | {vertical} | {state}'
+   * @param {Object} values - Token values; date defaults to today
+   * @param {Object} options - { emptyValue }
+   * @returns {String} Name
+   */
+  render(template, values = {}, options = {}) {
+    const emptyValue = options.emptyValue || 'NA';
+    const parts = splitTemplate(template);
+    // Separators can't appear inside values or the name stops being parseable
+    const separators = parts
+      .filter(part => part.literal && part.literal.trim())
+      .map(part => part.literal.trim());
+
+    return parts.map(part => {
+      if (part.literal !== undefined) return part.literal;
+
+      const value = values[part.token];
+      if (part.token === 'date') return formatDate(value);
+      if (value === undefined || value === null || value === '') return emptyValue;
+      if (part.token === 'bid') return formatBid(value);
+
+      let text = String(value);
+      separators.forEach(separator => {
+        text = text.split(separator).join(' ');
+      });
+      text = text.replace(/\s+/g, ' ').trim();
+      return text || emptyValue;
+    }).join('');
+  }
+
+  /**
+   * Compile a template into a parsing regex (cached)
+   */
+  compile(template, emptyValue = 'NA') {
+    const cacheKey = `${emptyValue}\u0000${template}`;
+    if (this.compiled.has(cacheKey)) {
+      return this.compiled.get(cacheKey);
+    }
+
+    const seen = new Set();
+    const source = splitTemplate(template).map(part => {
+      if (part.literal !== undefined) return escapeRegex(part.literal);
+      if (seen.has(part.token)) return `\\k<${part.token}>`;
+
+      seen.add(part.token);
+      return `(?<${part.token}>${TOKENS[part.token] || '.+?'}|${escapeRegex(emptyValue)})`;
+    }).join('');
+
+    const regex = new RegExp(`^${source}$`);
+    this.compiled.set(cacheKey, regex);
+    return regex;
+  }
+
+  /**
+   * Parse a name with one level of one convention
+   *
+   * @returns {Object|null} Token values, or null when the name doesn't match
+   */
+  parseWith(name, convention, level) {
+    const template = convention[LEVEL_FIELDS[level]];
+    if (!template || !name) return null;
+
+    const emptyValue = convention.emptyValue || 'NA';
+    const match = this.compile(template, emptyValue).exec(name);
+    if (!match) return null;
+
+    const values = {};
+    Object.entries(match.groups || {}).forEach(([token, raw]) => {
+      if (raw === undefined || raw === emptyValue) {
+        values[token] = null;
+      } else if (token === 'copy' || token === 'n') {
+        values[token] = parseInt(raw, 10);
+      } else if (token === 'bid') {
+        values[token] = parseFloat(raw.slice(1));
+      } else {
+        values[token] = raw;
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Turn a name back into structured metadata
+   * Tries every convention (at the given level, or ad -> ad set -> campaign),
+   * then falls back to the launcher's built-in name shapes.
+   *
+   * @param {String} name - Campaign, ad set or ad name
+   * @param {Array} conventions - NamingConvention records or plain objects
+   * @param {Object} options - { level }
+   * @returns {Object} { matched, conventionId, level, values }
+   */
+  parse(name, conventions = [], options = {}) {
+    const levels = options.level ? [options.level] : ['ad', 'adSet', 'campaign'];
+
+    for (const convention of conventions) {
+      for (const level of levels) {
+        const values = this.parseWith(name, convention, level);
+        if (values) {
+          return { matched: true, conventionId: convention.id || null, level, values };
+        }
+      }
+    }
+
+    return { matched: false, conventionId: null, level: null, values: this.parseLegacy(name) };
+  }
+
+  /**
+   * Best-effort metadata from names built before conventions existed:
+   * "[Prefix] Name - Ad 10/18/2026 - EDITOR", "... - Copy 3", "... - CC $25"
+   */
+  parseLegacy(name) {
+    const values = {};
+    if (!name) return values;
+
+    let rest = name;
+    const prefix = rest.match(/^\[(.+?)\]\s*/);
+    if (prefix) {
+      values.prefix = prefix[1];
+      rest = rest.slice(prefix[0].length);
+    }
+
+    const bid = rest.match(/ - (CC|BC) \$([\d.]+)$/);
+    if (bid) {
+      values.bid = parseFloat(bid[2]);
+      rest = rest.slice(0, bid.index);
+    }
+
+    const copy = rest.match(/ - Copy (\d+)$/);
+    if (copy) {
+      values.copy = parseInt(copy[1], 10);
+      rest = rest.slice(0, copy.index);
+    }
+
+    const date = rest.match(/(\d{2}\/\d{2}\/\d{4})(?: - ([A-Z0-9_]+))?$/);
+    if (date) {
+      values.date = date[1];
+      if (date[2]) values.editor = date[2];
+      rest = rest.slice(0, date.index).replace(/ - (Ad|AdSet|Ad Set)( V\d+)? $/, '').trim();
+    }
+
+    values.name = rest.trim() || null;
+    return values;
+  }
+
+  /**
+   * Conventions a user can use: their own plus those of the teams they belong to
+   * (a team is a role - see PermissionService.getUserTeams)
+   */
+  async getVisibleConventions(userId) {
+    const teams = await PermissionService.getUserTeams(userId);
+    return db.NamingConvention.findAll({
+      where: {
+        [Op.or]: [{ userId }, { team: { [Op.in]: teams } }]
+      },
+      order: [['is_default', 'DESC'], ['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Pick the convention for a launch: the requested one, else the default of
+   * the requested team (if the user is in it), else the user's own default.
+   * Null when none applies.
+   *
+   * @param {Number} userId - Launching user
+   * @param {Object} selection - { namingConventionId, team }
+   * @returns {Promise<Object|null>} NamingConvention
+   */
+  async resolveConvention(userId, selection = {}) {
+    const { namingConventionId, team } = selection;
+    const teams = await PermissionService.getUserTeams(userId);
+
+    if (namingConventionId) {
+      const convention = await db.NamingConvention.findOne({
+        where: {
+          id: namingConventionId,
+          [Op.or]: [{ userId }, { team: { [Op.in]: teams } }]
+        }
+      });
+      if (!convention) {
+        throw new Error(`Naming convention ${namingConventionId} not found`);
+      }
+      return convention;
+    }
+
+    if (team && teams.includes(team)) {
+      const teamDefault = await db.NamingConvention.findOne({ where: { team, isDefault: true } });
+      if (teamDefault) return teamDefault;
+    }
+
+    return db.NamingConvention.findOne({ where: { userId, team: null, isDefault: true } });
+  }
+
+  /**
+   * Attach the launch's convention to campaignData and name the campaign with it
+   * campaignData.naming = { convention, values } travels with the launch, so
+   * ad sets, ads and duplicates are named from the same values.
+   *
+   * @param {Number} userId - Launching user
+   * @param {Object} campaignData - Launch data (campaignName is the {name} token)
+   * @param {Object} body - Request body: namingConventionId, team, vertical, state
+   * @param {String} strategy - Strategy key for the {strategy} token
+   * @returns {Promise<Object>} campaignData (unchanged when no convention applies)
+   */
+  async applyToCampaignData(userId, campaignData, body = {}, strategy = null) {
+    const convention = await this.resolveConvention(userId, {
+      namingConventionId: body.namingConventionId,
+      team: body.team
+    });
+    if (!convention) return campaignData;
+
+    const values = {
+      name: campaignData.campaignName,
+      date: formatDate(),
+      vertical: body.vertical,
+      state: body.state,
+      editor: campaignData.editorName || body.editorName,
+      strategy
+    };
+
+    const naming = {
+      convention: {
+        id: convention.id,
+        campaignTemplate: convention.campaignTemplate,
+        adSetTemplate: convention.adSetTemplate,
+        adTemplate: convention.adTemplate,
+        emptyValue: convention.emptyValue
+      },
+      values
+    };
+
+    const campaignName = this.render(convention.campaignTemplate, { ...values, copy: 0, n: 1 }, naming.convention);
+    console.log(`🏷️  Naming convention "${convention.name}": ${campaignName}`);
+
+    return { ...campaignData, campaignName, naming };
+  }
+
+  /**
+   * Name for an entity of a launch that carries campaignData.naming
+   *
+   * @param {Object} naming - campaignData.naming
+   * @param {String} level - campaign | adSet | ad
+   * @param {Object} extra - Per-entity tokens: { n, copy, bid, editor }
+   * @returns {String|null} Null when there is no convention template for the level
+   */
+  nameFor(naming, level, extra = {}) {
+    const template = naming?.convention?.[LEVEL_FIELDS[level]];
+    if (!template) return null;
+
+    const values = { ...naming.values };
+    Object.entries(extra).forEach(([token, value]) => {
+      if (value !== undefined && value !== null && value !== '') values[token] = value;
+    });
+
+    return this.render(template, values, naming.convention);
+  }
+
+  /**
+   * Whether the level's template uses a token (e.g. skip the ladder suffix when {bid} is in the name)
+   */
+  hasToken(naming, level, token) {
+    const template = naming?.convention?.[LEVEL_FIELDS[level]];
+    return !!template && template.includes(`{${token}}`);
+  }
+
+  /**
+   * Re-render a copied entity's name with new token values
+   * Used by multiply/deployment, which only have the source name.
+   *
+   * @param {Array} conventions - Conventions to try (see getVisibleConventions)
+   * @param {String} sourceName - Name being copied
+   * @param {Object} overrides - e.g. { copy: 3 }
+   * @param {String} level - campaign | adSet | ad (all levels when omitted)
+   * @returns {String|null} Null when the source doesn't follow a convention
+   */
+  renameWith(conventions, sourceName, overrides = {}, level = null) {
+    if (!sourceName) return null;
+
+    const parsed = this.parse(sourceName, conventions, { level });
+    if (!parsed.matched) return null;
+
+    const convention = conventions.find(c => (c.id || null) === parsed.conventionId);
+    return this.render(convention[LEVEL_FIELDS[parsed.level]], { ...parsed.values, ...overrides }, convention);
+  }
+
+  /**
+   * renameWith() using the conventions visible to a user
+   *
+   * @param {Number} userId - Owner (conventions visible to them are tried)
+   * @returns {Promise<String|null>}
+   */
+  async renameFromSource(userId, sourceName, overrides = {}, level = null) {
+    if (!userId || !sourceName) return null;
+
+    const conventions = await this.getVisibleConventions(userId);
+    return this.renameWith(conventions, sourceName, overrides, level);
+  }
+
+  /**
+   * Group items by a parsed token value
+   *
+   * @param {Array} items - Objects with a name
+   * @param {String} token - e.g. editor, vertical, state
+   * @param {Array} conventions - Conventions to parse with
+   * @param {Function} getName - item -> name (default item.name)
+   * @returns {Object} { value: [items] } ('unknown' for names without the token)
+   */
+  groupBy(items, token, conventions = [], getName = item => item.name) {
+    return items.reduce((groups, item) => {
+      const value = this.parse(getName(item), conventions).values[token] || 'unknown';
+      (groups[value] = groups[value] || []).push(item);
+      return groups;
+    }, {});
+  }
+}
+
+module.exports = new NamingService();
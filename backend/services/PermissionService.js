@@ -127,6 +127,17 @@ class PermissionService {
            permissions.includes(superPermission);
   }
 
+  /**
+   * Teams a user belongs to: the names of their roles
+   * (naming conventions are shared per team)
+   */
+  async getUserTeams(userId) {
+    const user = await User.findByPk(userId, {
+      include: [{ model: Role, as: 'roles', attributes: ['name'] }]
+    });
+    return user ? user.roles.map(role => role.name) : [];
+  }
+
   async checkResourceAccess(userId, resourceType, resourceId, requiredPermission = 'read') {
     const resources = await this.getUserResources(userId, resourceType);
     const resource = resources.find(r => r.externalId === resourceId);
@@ -8,6 +8,7 @@
  * This service verifies EXISTENCE, not field accuracy.
  */
 const axios = require('axios');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 class PostCreationVerification {
   /**
@@ -200,7 +201,7 @@ class PostCreationVerification {
 
       // Use direct axios call instead of facebookApi.makeRequest (which doesn't exist)
       const adSetsResponse = await axios.get(
-        `https://graph.facebook.com/v18.0/${campaignId}/adsets`,
+        `${getGraphBaseUrl('v18.0')}/${campaignId}/adsets`,
         {
           params: {
             fields: 'id,name',
@@ -216,7 +217,7 @@ class PostCreationVerification {
       let totalAds = 0;
       for (const adSet of adSets) {
         const adsResponse = await axios.get(
-          `https://graph.facebook.com/v18.0/${adSet.id}/ads`,
+          `${getGraphBaseUrl('v18.0')}/${adSet.id}/ads`,
           {
             params: {
               fields: 'id',
@@ -189,6 +189,9 @@ class QueueProcessor {
       case 'batch_operation':
         return await this.batchOperation(facebookApi, requestData);
 
+      case 'launch_campaign':
+        return await this.launchCampaign(facebookApi, request);
+
       default:
         throw new Error(`Unknown action type: ${actionType}`);
     }
@@ -254,6 +257,14 @@ class QueueProcessor {
     return { success: true, operations: operations.length };
   }
 
+  /**
+   * Launch a full campaign from a bulk launch spreadsheet row
+   */
+  async launchCampaign(facebookApi, request) {
+    const BulkLaunchService = require('./BulkLaunchService');
+    return await BulkLaunchService.launchRow(facebookApi, request);
+  }
+
   /**
    * Notify user of queue processing result
    * @param {Number} userId - User ID
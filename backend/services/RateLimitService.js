@@ -166,7 +166,8 @@ class RateLimitService {
       requestData: data,
       accessToken,
       processAfter,
-      priority = 5
+      priority = 5,
+      maxAttempts = 3
     } = requestData;
 
     try {
@@ -180,7 +181,7 @@ class RateLimitService {
         status: 'queued',
         processAfter: processAfter || new Date(Date.now() + 3600000), // Default: +1 hour
         attempts: 0,
-        maxAttempts: 3
+        maxAttempts
       });
 
       console.log(`Queued request ${queuedRequest.id} for user ${userId}: ${actionType}`);
@@ -1,3 +1,5 @@
+const axios = require('axios');
+
 /**
  * Rollback Manager - Week 5 Enhancement
  *
@@ -8,6 +10,9 @@
  * 2. Permanent errors that cannot be recovered (account suspended, etc.)
  * 3. User explicitly requests rollback
  *
+ * Whole cross-account deployments can also be rolled back after the fact
+ * (rollbackDeployment): every deployed copy is deleted or paused.
+ *
  * Philosophy: "Rollback is admission of failure - use only when truly impossible to proceed"
  */
 class RollbackManager {
@@ -205,22 +210,26 @@ class RollbackManager {
    */
   async deleteEntity(facebookApi, entityId) {
     try {
-      await facebookApi.makeRequest(entityId, 'DELETE');
+      await axios.delete(`${facebookApi.baseURL}/${entityId}`, {
+        params: { access_token: facebookApi.accessToken }
+      });
       return true;
     } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+
       // Check if entity already deleted (not found)
       const alreadyDeleted = [
         'does not exist',
         'not found',
         'invalid id'
-      ].some(msg => error.message?.toLowerCase().includes(msg));
+      ].some(msg => message?.toLowerCase().includes(msg));
 
       if (alreadyDeleted) {
         console.log(`      ℹ️  Entity ${entityId} already deleted or doesn't exist`);
         return true; // Treat as success
       }
 
-      throw error;
+      throw new Error(message);
     }
   }
 
@@ -258,13 +267,208 @@ class RollbackManager {
         name: slot.entityName
       });
 
-      if (slot.entityType === 'campaign') preview.byType.campaign++;
-      if (slot.entityType === 'ad_set') preview.byType.adSet++;
-      if (slot.entityType === 'ad') preview.byType.ad++;
+      if (slot.entityType === 'campaign') preview.byCampaign++;
+      if (slot.entityType === 'ad_set') preview.byAdSet++;
+      if (slot.entityType === 'ad') preview.byAd++;
     }
 
     return preview;
   }
+
+  /**
+   * Preview rolling back a cross-account deployment: every copy recorded in
+   * DeployedCampaign, read live from its target account
+   *
+   * @param {Object} deployment - CampaignDeployment with deployedCampaigns
+   * @param {Object} options - { action: 'delete' | 'pause', deployedCampaignIds }
+   * @returns {Promise<Object>} { deploymentId, action, total, toRollBack, targets: [...] }
+   */
+  async getDeploymentRollbackPreview(deployment, options = {}) {
+    const { action = 'delete', deployedCampaignIds = null } = options;
+    const targets = await this.readDeploymentTargets(deployment, deployedCampaignIds);
+
+    const preview = targets.map(({ copy, campaign, error }) => {
+      const entry = {
+        deployedCampaignId: copy.id,
+        targetCampaignId: copy.targetCampaignId,
+        targetCampaignName: campaign?.name || copy.targetCampaignName,
+        targetAdAccountId: copy.targetAdAccountId,
+        currentStatus: campaign?.status || null,
+        adSetsCount: copy.adSetsCount,
+        adsCount: copy.adsCount,
+        willRollBack: false,
+        reason: error
+      };
+
+      if (!error) {
+        if (campaign.status === 'DELETED' || campaign.status === 'ARCHIVED') {
+          entry.reason = `Campaign is already ${campaign.status.toLowerCase()}`;
+        } else if (action === 'pause' && campaign.status === 'PAUSED') {
+          entry.reason = 'Campaign is already paused';
+        } else {
+          entry.willRollBack = true;
+        }
+      }
+      return entry;
+    });
+
+    return {
+      deploymentId: deployment.id,
+      action,
+      total: preview.length,
+      toRollBack: preview.filter(entry => entry.willRollBack).length,
+      targets: preview
+    };
+  }
+
+  /**
+   * Delete or pause every copy of a cross-account deployment
+   *
+   * Each copy is handled in its own target account context and only after
+   * confirming the campaign still belongs to the recorded target account.
+   * Results are stored on the deployment (rollbackResults) and on each copy.
+   *
+   * @param {Object} deployment - CampaignDeployment with deployedCampaigns
+   * @param {Object} options - { action: 'delete' | 'pause', deployedCampaignIds }
+   * @returns {Promise<Object>} { deploymentId, action, success, rolledBack, skipped, failed, targets: [...] }
+   */
+  async rollbackDeployment(deployment, options = {}) {
+    const { action = 'delete', deployedCampaignIds = null } = options;
+
+    console.log(`\n🔄 [RollbackManager] ===============================================`);
+    console.log(`🔄 [RollbackManager] ROLLING BACK DEPLOYMENT ${deployment.id} (${action})`);
+    console.log(`🔄 [RollbackManager] ===============================================\n`);
+
+    const targets = await this.readDeploymentTargets(deployment, deployedCampaignIds);
+    const result = {
+      deploymentId: deployment.id,
+      action,
+      success: false,
+      rolledBack: 0,
+      skipped: 0,
+      failed: 0,
+      targets: []
+    };
+
+    for (const { copy, api, campaign, error } of targets) {
+      const entry = {
+        deployedCampaignId: copy.id,
+        targetCampaignId: copy.targetCampaignId,
+        targetAdAccountId: copy.targetAdAccountId,
+        status: null,
+        error: null
+      };
+      result.targets.push(entry);
+
+      if (error) {
+        console.error(`   ❌ ${copy.targetCampaignId} (${copy.targetAdAccountId}): ${error}`);
+        Object.assign(entry, { status: 'failed', error });
+        result.failed++;
+        continue;
+      }
+
+      if (campaign.status === 'DELETED' || campaign.status === 'ARCHIVED' ||
+          (action === 'pause' && campaign.status === 'PAUSED')) {
+        console.log(`   ⏭️  ${copy.targetCampaignId} already ${campaign.status}, skipping`);
+        entry.status = 'skipped';
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        if (action === 'pause') {
+          console.log(`   ⏸️  Pausing campaign ${copy.targetCampaignId} in ${copy.targetAdAccountId}...`);
+          await api.updateCampaignStatus(copy.targetCampaignId, 'PAUSED');
+        } else {
+          console.log(`   🗑️  Deleting campaign ${copy.targetCampaignId} in ${copy.targetAdAccountId}...`);
+          await this.deleteEntity(api, copy.targetCampaignId);
+        }
+
+        await copy.update({
+          rollbackAction: action === 'pause' ? 'paused' : 'deleted',
+          rolledBackAt: new Date()
+        });
+
+        entry.status = action === 'pause' ? 'paused' : 'deleted';
+        result.rolledBack++;
+        console.log(`      ✅ Done`);
+      } catch (actionError) {
+        const message = actionError.response?.data?.error?.message || actionError.message;
+        console.error(`      ❌ Failed: ${message}`);
+        Object.assign(entry, { status: 'failed', error: message });
+        result.failed++;
+      }
+    }
+
+    result.success = result.failed === 0;
+
+    await deployment.update({
+      rolledBackAt: new Date(),
+      rollbackResults: result
+    });
+
+    console.log(`\n✅ [RollbackManager] Deployment rollback complete:`);
+    console.log(`   Rolled back: ${result.rolledBack}`);
+    console.log(`   Skipped: ${result.skipped}`);
+    console.log(`   Failed: ${result.failed}`);
+
+    return result;
+  }
+
+  /**
+   * Read each deployed copy's campaign with an API scoped to its target account
+   *
+   * @returns {Promise<Array>} [{ copy, api, campaign, error }]
+   */
+  async readDeploymentTargets(deployment, deployedCampaignIds = null) {
+    const FacebookAPI = require('./facebookApi');
+    const CrossAccountDeploymentService = require('./CrossAccountDeploymentService');
+
+    const ids = Array.isArray(deployedCampaignIds) && deployedCampaignIds.length > 0
+      ? new Set(deployedCampaignIds.map(Number))
+      : null;
+    const copies = deployment.deployedCampaigns.filter(copy =>
+      copy.targetCampaignId && (!ids || ids.has(copy.id))
+    );
+
+    const accessToken = await CrossAccountDeploymentService.getUserAccessToken(deployment.userId);
+    const targets = [];
+
+    for (const copy of copies) {
+      const adAccountId = String(copy.targetAdAccountId).replace('act_', '');
+      const api = new FacebookAPI({
+        accessToken,
+        adAccountId,
+        pageId: copy.targetPageId,
+        pixelId: copy.targetPixelId
+      });
+
+      try {
+        const response = await api.makeApiCallWithRotation('GET', `${api.baseURL}/${copy.targetCampaignId}`, {
+          params: { fields: 'id,name,status,effective_status,account_id', access_token: accessToken }
+        });
+        const campaign = response.data;
+
+        // CRITICAL: never touch a campaign outside the account it was deployed to
+        if (String(campaign.account_id) !== adAccountId) {
+          targets.push({ copy, api, campaign, error: `Campaign belongs to act_${campaign.account_id}, not the recorded target act_${adAccountId}` });
+          continue;
+        }
+        targets.push({ copy, api, campaign, error: null });
+      } catch (error) {
+        const message = error.response?.data?.error?.message || error.message;
+        const missing = ['does not exist', 'not found', 'invalid id'].some(msg => message?.toLowerCase().includes(msg));
+        targets.push({
+          copy,
+          api,
+          campaign: missing ? { id: copy.targetCampaignId, status: 'DELETED' } : null,
+          error: missing ? null : `Can't read campaign in act_${adAccountId}: ${message}`
+        });
+      }
+    }
+
+    return targets;
+  }
 }
 
 module.exports = new RollbackManager();
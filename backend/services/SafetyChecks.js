@@ -1,5 +1,6 @@
 const db = require('../models');
 const axios = require('axios');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 /**
  * Safety Checks Service - Week 1 Enhancement
@@ -48,7 +49,7 @@ class SafetyChecks {
         const accessToken = facebookApi.accessToken;
 
         const response = await axios.get(
-          `https://graph.facebook.com/v18.0/act_${accountId}`,
+          `${getGraphBaseUrl('v18.0')}/act_${accountId}`,
           {
             params: {
               fields: 'id,name,account_status,disable_reason,capabilities',
@@ -120,7 +121,7 @@ class SafetyChecks {
           const accessToken = facebookApi.accessToken;
 
           const response = await axios.get(
-            `https://graph.facebook.com/v18.0/act_${accountId}/campaigns`,
+            `${getGraphBaseUrl('v18.0')}/act_${accountId}/campaigns`,
             {
               params: {
                 fields: 'id,name,status',
@@ -176,7 +177,7 @@ class SafetyChecks {
 
           // Get current campaign count
           const response = await axios.get(
-            `https://graph.facebook.com/v18.0/act_${accountId}/campaigns`,
+            `${getGraphBaseUrl('v18.0')}/act_${accountId}/campaigns`,
             {
               params: {
                 fields: 'id',
@@ -234,7 +235,7 @@ class SafetyChecks {
 
           // Test token with a simple /me call
           const response = await axios.get(
-            'https://graph.facebook.com/v18.0/me',
+            `${getGraphBaseUrl('v18.0')}/me`,
             {
               params: {
                 fields: 'id,name',
@@ -0,0 +1,348 @@
+const db = require('../models');
+const StrategyEngine = require('./StrategyEngine');
+const InsightsCollectorService = require('../intelligence/services/InsightsCollectorService');
+const { resolveStrategy } = require('../config/strategies');
+
+/**
+ * Split Test Service - Facebook A/B tests (ad studies)
+ *
+ * Flow:
+ * 1. createSplitTest(): validates the cells, launches each cell as its own
+ *    PAUSED 1-1-1 campaign through StrategyEngine, then groups the campaigns into a
+ *    SPLIT_TEST ad study so Facebook splits the audience between them
+ *    (no overlap, unlike comparing /multiply copies). The cells are only
+ *    activated once the study exists, and their ad sets start at the study start,
+ *    so no cell delivers outside the study.
+ * 2. getResults(): pulls each cell's insights for the study window through
+ *    InsightsCollectorService and picks the winning cell
+ *
+ * If any cell or the study fails, the cell campaigns already created are
+ * deleted so a half-built test never delivers.
+ */
+
+const MIN_CELLS = 2;
+const MAX_CELLS = 5;
+const MIN_DURATION_DAYS = 1;
+const MAX_DURATION_DAYS = 30;
+const CONFIDENCE_LEVELS = [80, 90, 95];
+// Results are re-pulled at most this often unless a refresh is requested
+const RESULTS_TTL_MS = 15 * 60 * 1000;
+
+// campaignData fields a cell may change, per test variable
+const CELL_VARIABLES = {
+  creative: ['primaryText', 'headline', 'description', 'url', 'displayLink', 'callToAction', 'mediaType'],
+  audience: ['targeting'],
+  placement: ['placementType', 'placements'],
+  optimization: ['performanceGoal', 'conversionEvent', 'conversionLocation', 'bidStrategy', 'bidAmount', 'costCap']
+};
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun erf approximation)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided confidence (0-100) that two rates differ (two-proportion z-test)
+ */
+function rateDifferenceConfidence(successesA, trialsA, successesB, trialsB) {
+  if (!trialsA || !trialsB) return 0;
+
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  if (!standardError) return 0;
+
+  const z = (successesA / trialsA - successesB / trialsB) / standardError;
+  return Math.round((2 * normalCdf(Math.abs(z)) - 1) * 1000) / 10;
+}
+
+function toDateString(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+class SplitTestService {
+  /**
+   * Validate a split test request
+   *
+   * @param {Object} params - { name, variable, cells, durationDays, confidenceLevel }
+   * @returns {Array} Error messages (empty when valid)
+   */
+  validate(params) {
+    const { name, variable, cells, durationDays, confidenceLevel } = params;
+    const errors = [];
+
+    if (!name) {
+      errors.push('Split test name is required');
+    }
+
+    const allowedFields = CELL_VARIABLES[variable];
+    if (!allowedFields) {
+      errors.push(`variable must be one of: ${Object.keys(CELL_VARIABLES).join(', ')}`);
+    }
+
+    if (!Array.isArray(cells) || cells.length < MIN_CELLS || cells.length > MAX_CELLS) {
+      errors.push(`A split test needs between ${MIN_CELLS} and ${MAX_CELLS} cells`);
+      return errors;
+    }
+
+    const cellNames = new Set();
+    const signatures = new Set();
+    cells.forEach((cell, index) => {
+      const label = `Cell ${index + 1}`;
+      if (!cell.name) {
+        errors.push(`${label}: name is required`);
+      } else if (cellNames.has(cell.name)) {
+        errors.push(`${label}: duplicate cell name "${cell.name}"`);
+      }
+      cellNames.add(cell.name);
+
+      const overrides = cell.overrides || {};
+      if (allowedFields) {
+        const invalid = Object.keys(overrides).filter(field => !allowedFields.includes(field));
+        if (invalid.length > 0) {
+          errors.push(`${label}: a ${variable} test can only change ${allowedFields.join(', ')} (got ${invalid.join(', ')})`);
+        }
+      }
+
+      const signature = JSON.stringify(overrides) + (cell.hasMedia ? `#media${index}` : '');
+      if (signatures.has(signature)) {
+        errors.push(`${label}: identical to another cell - every cell must vary the ${variable}`);
+      }
+      signatures.add(signature);
+    });
+
+    const duration = Number(durationDays);
+    if (!Number.isInteger(duration) || duration < MIN_DURATION_DAYS || duration > MAX_DURATION_DAYS) {
+      errors.push(`durationDays must be a whole number between ${MIN_DURATION_DAYS} and ${MAX_DURATION_DAYS}`);
+    }
+
+    if (!CONFIDENCE_LEVELS.includes(Number(confidenceLevel))) {
+      errors.push(`confidenceLevel must be one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Even audience split; the remainder goes to the first cells so it sums to 100
+   */
+  getTreatmentPercentages(cellCount) {
+    const base = Math.floor(100 / cellCount);
+    const remainder = 100 - base * cellCount;
+    return Array.from({ length: cellCount }, (value, index) => base + (index < remainder ? 1 : 0));
+  }
+
+  /**
+   * Launch every cell and group them into a Facebook ad study
+   *
+   * @param {FacebookAPI} facebookApi - Instance for the user's ad account/page/pixel
+   * @param {Object} params - { userId, name, description, variable, cells: [{ name, overrides, mediaPath }],
+   *                            campaignData, durationDays, confidenceLevel, startTime }
+   * @returns {Promise<Object>} SplitTest record
+   */
+  async createSplitTest(facebookApi, params) {
+    const { userId, name, description, variable, campaignData } = params;
+    const durationDays = Number(params.durationDays);
+    const confidenceLevel = Number(params.confidenceLevel);
+    const startTime = params.startTime ? new Date(params.startTime) : new Date();
+    const endTime = new Date(startTime.getTime() + durationDays * 24 * 60 * 60 * 1000);
+    const percentages = this.getTreatmentPercentages(params.cells.length);
+
+    // Ad studies live on the business - fail before creating anything
+    const businessId = await facebookApi.getAdAccountBusinessId();
+    if (!businessId) {
+      throw new Error('Split tests require an ad account owned by a Business Manager');
+    }
+
+    const splitTest = await db.SplitTest.create({
+      userId,
+      adAccountId: facebookApi.adAccountId,
+      name,
+      variable,
+      status: 'creating',
+      businessId,
+      confidenceLevel,
+      startTime,
+      endTime,
+      cells: params.cells.map((cell, index) => ({
+        name: cell.name,
+        treatmentPercentage: percentages[index],
+        overrides: cell.overrides || {}
+      }))
+    });
+
+    console.log(`\n🧪 [SplitTest ${splitTest.id}] ${name}: ${params.cells.length} cells varying ${variable}`);
+
+    const structure = resolveStrategy('1-1-1');
+    const cells = [...splitTest.cells];
+
+    try {
+      for (let i = 0; i < params.cells.length; i++) {
+        const cell = params.cells[i];
+        const cellData = {
+          ...campaignData,
+          ...(cell.overrides || {}),
+          campaignName: `${campaignData.campaignName} - ${cell.name}`,
+          status: 'PAUSED'
+        };
+
+        // A study starting later must not have its cells deliver before it
+        if (startTime.getTime() > Date.now()) {
+          cellData.adSetBudget = { ...(cellData.adSetBudget || {}), startDate: startTime.toISOString() };
+          if (cellData.schedule) {
+            cellData.schedule = { ...cellData.schedule, startTime: startTime.toISOString() };
+          }
+        }
+
+        if (cell.mediaPath) {
+          const isVideo = cellData.mediaType === 'single_video' || cellData.mediaType === 'video';
+          cellData.imagePath = isVideo ? null : cell.mediaPath;
+          cellData.videoPath = isVideo ? cell.mediaPath : null;
+        }
+
+        const result = await StrategyEngine.launch(facebookApi, structure, cellData, { userId });
+        cells[i] = {
+          ...cells[i],
+          campaignId: result.campaigns[0].campaignId,
+          campaignName: result.campaigns[0].campaignName,
+          jobId: result.jobId
+        };
+        await splitTest.update({ cells });
+      }
+
+      const study = await facebookApi.createAdStudy(businessId, {
+        name,
+        description,
+        startTime,
+        endTime,
+        confidenceLevel,
+        cells: cells.map(cell => ({
+          name: cell.name,
+          treatmentPercentage: cell.treatmentPercentage,
+          campaignIds: [cell.campaignId]
+        }))
+      });
+
+      await splitTest.update({ studyId: study.id });
+
+      for (const cell of cells) {
+        await facebookApi.updateCampaignStatus(cell.campaignId, 'ACTIVE');
+      }
+
+      await splitTest.update({ status: 'active' });
+      console.log(`✅ [SplitTest ${splitTest.id}] Ad study ${study.id} running until ${endTime.toISOString()}`);
+    } catch (error) {
+      console.error(`❌ [SplitTest ${splitTest.id}] Launch failed:`, error.message);
+
+      for (const cell of cells.filter(c => c.campaignId)) {
+        try {
+          await facebookApi.deleteCampaign(cell.campaignId);
+          console.log(`   🗑️  Deleted cell campaign ${cell.campaignId}`);
+        } catch (deleteError) {
+          console.error(`   ⚠️  Could not delete cell campaign ${cell.campaignId}:`, deleteError.message);
+        }
+      }
+
+      await splitTest.update({ status: 'failed', errorMessage: error.message });
+      error.splitTestId = splitTest.id;
+      throw error;
+    }
+
+    return splitTest;
+  }
+
+  /**
+   * Per-cell results for the study window and the winning cell
+   *
+   * @param {Object} splitTest - SplitTest record
+   * @param {String} accessToken - User access token
+   * @param {Object} options - { refresh } to bypass the cached results
+   * @returns {Promise<Object>} { cells, winner, primaryMetric, updatedAt }
+   */
+  async getResults(splitTest, accessToken, options = {}) {
+    const cacheFresh = splitTest.resultsUpdatedAt &&
+      Date.now() - new Date(splitTest.resultsUpdatedAt).getTime() < RESULTS_TTL_MS;
+    if (splitTest.results && cacheFresh && !options.refresh) {
+      return splitTest.results;
+    }
+
+    const campaignIds = splitTest.cells.map(cell => cell.campaignId).filter(Boolean);
+    const until = new Date(Math.min(Date.now(), new Date(splitTest.endTime).getTime()));
+    const metrics = await InsightsCollectorService.fetchCampaignResults(
+      campaignIds,
+      accessToken,
+      toDateString(splitTest.startTime),
+      toDateString(until)
+    );
+
+    const cells = splitTest.cells.map(cell => ({
+      name: cell.name,
+      campaignId: cell.campaignId,
+      treatmentPercentage: cell.treatmentPercentage,
+      metrics: metrics[cell.campaignId] || null
+    }));
+
+    const results = {
+      cells,
+      ...this.pickWinner(cells, splitTest.confidenceLevel),
+      updatedAt: new Date()
+    };
+
+    const ended = Date.now() >= new Date(splitTest.endTime).getTime();
+    await splitTest.update({
+      results,
+      resultsUpdatedAt: results.updatedAt,
+      status: ended && splitTest.status === 'active' ? 'completed' : splitTest.status
+    });
+
+    return results;
+  }
+
+  /**
+   * Lowest cost per result wins when any cell has conversions, otherwise highest CTR.
+   * The winner is significant when its rate beats the runner-up at the study's confidence level.
+   */
+  pickWinner(cells, confidenceLevel) {
+    const withData = cells.filter(cell => cell.metrics && cell.metrics.impressions > 0);
+    if (withData.length < 2) {
+      return { primaryMetric: null, winner: null };
+    }
+
+    const useConversions = withData.some(cell => cell.metrics.conversions > 0);
+    const primaryMetric = useConversions ? 'cpa' : 'ctr';
+    const ranked = [...withData].sort((a, b) => {
+      if (useConversions) {
+        // Cells without conversions rank last
+        const cpaA = a.metrics.conversions > 0 ? a.metrics.spend / a.metrics.conversions : Infinity;
+        const cpaB = b.metrics.conversions > 0 ? b.metrics.spend / b.metrics.conversions : Infinity;
+        return cpaA - cpaB;
+      }
+      return b.metrics.ctr - a.metrics.ctr;
+    });
+
+    const [best, runnerUp] = ranked;
+    const successes = cell => (useConversions ? cell.metrics.conversions : cell.metrics.clicks);
+    const confidence = rateDifferenceConfidence(
+      successes(best), best.metrics.impressions,
+      successes(runnerUp), runnerUp.metrics.impressions
+    );
+
+    return {
+      primaryMetric,
+      winner: {
+        name: best.name,
+        campaignId: best.campaignId,
+        value: best.metrics[primaryMetric],
+        runnerUp: runnerUp.name,
+        confidence,
+        significant: confidence >= confidenceLevel
+      }
+    };
+  }
+}
+
+module.exports = new SplitTestService();
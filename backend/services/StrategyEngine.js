@@ -0,0 +1,980 @@
+const axios = require('axios');
+const db = require('../models');
+const BatchDuplicationService = require('./batchDuplication');
+const JobTracker = require('./JobTracker');
+const JobStore = require('./JobStore');
+const JobEvents = require('./JobEvents');
+const RollbackManager = require('./RollbackManager');
+const NamingService = require('./NamingService');
+const AuditService = require('./AuditService');
+const { formatName, getLegacyRoute, LEGACY_ROUTES } = require('../config/strategies');
+const { getGraphBaseUrl } = require('../config/graphApi');
+const { applyBidLadder, getLadderStep, resolveBidLadder } = require('../utils/bidLadder');
+
+const MAX_MULTIPLY_COUNT = 9;
+const SECONDS_PER_COPY = 132; // ~2.2 minutes per campaign copy
+
+/**
+ * Strategy Engine - launches any structure from config/strategies.js
+ *
+ * For every campaign in the structure:
+ * 1. FacebookAPI.createStrategy150Campaign() creates the 1-1-1 structure and
+ *    captures the post ID (uploaded media hashes come back with it)
+ * 2. The remaining ad sets and ads are built from the same campaignData with the
+ *    batchDuplication template builders. With postReuse the ads point at the
+ *    captured post; otherwise each ad gets its own creative from the media hashes
+ * 3. Each ad set is sent in the same batch as its ads (ads reference it by name)
+ *
+ * One JobTracker job covers the whole launch: a campaign slot per campaign and
+ * ad set / ad slots numbered across campaigns, so RollbackManager can undo a
+ * failed launch like any other.
+ *
+ * The older strategy-150 / strategy-for-all / strategy-for-ads routes run their
+ * /duplicate and /multiply endpoints through duplicateAdSets() and
+ * multiplyCampaign() with their LEGACY_ROUTES entry; their /create pipelines are
+ * still their own.
+ *
+ * Callers: routes/strategies.js, routes/strategyJobs.js, BulkLaunchService,
+ * DeferredLaunchService and SplitTestService.
+ */
+class StrategyEngine {
+  /**
+   * Launch a resolved structure
+   *
+   * @param {FacebookAPI} facebookApi - Instance for the target ad account/page/pixel
+   * @param {Object} structure - From config/strategies.resolveStrategy()
+   * @param {Object} campaignData - Same shape the strategy routes pass to FacebookAPI
+   * @param {Object} options - { userId, jobKey }
+   * @returns {Promise<Object>} { strategy, jobId, campaigns: [...], totals }
+   */
+  async launch(facebookApi, structure, campaignData, options = {}) {
+    const { userId, jobKey = null } = options;
+    const adsPerCampaign = structure.adSets * structure.adsPerAdSet;
+
+    console.log(`\n🧩 [StrategyEngine] Launching ${structure.key}: ${structure.campaigns} campaign(s) x ${structure.adSets} ad set(s) x ${structure.adsPerAdSet} ad(s)`);
+
+    const job = await JobTracker.createJob({
+      userId,
+      adAccountId: facebookApi.adAccountId,
+      campaignName: campaignData.campaignName,
+      requestedAdSets: structure.campaigns * structure.adSets,
+      requestedAds: structure.campaigns * adsPerCampaign,
+      requestedCampaigns: structure.campaigns,
+      jobKey
+    });
+    await JobTracker.initializeSlots(job);
+    await JobTracker.markJobStarted(job);
+
+    const campaigns = [];
+
+    try {
+      for (let c = 0; c < structure.campaigns; c++) {
+        campaigns.push(await this.launchCampaign(facebookApi, structure, campaignData, {
+          job,
+          userId,
+          campaignIndex: c
+        }));
+      }
+    } catch (error) {
+      console.error(`❌ [StrategyEngine] ${structure.key} launch failed:`, error.message);
+
+      const failureAction = await JobTracker.handleJobFailure(job, error, facebookApi);
+      if (failureAction.action === 'rollback') {
+        await RollbackManager.executeRollback(job, facebookApi, {
+          userConfirmed: true,
+          reason: failureAction.reason
+        });
+      } else {
+        await JobTracker.markJobFailed(job, error.message);
+      }
+
+      error.jobId = job.id;
+      throw error;
+    }
+
+    await JobTracker.markJobCompleted(job);
+
+    const totals = campaigns.reduce((sum, campaign) => ({
+      campaigns: sum.campaigns + 1,
+      adSets: sum.adSets + campaign.adSetsCreated,
+      ads: sum.ads + campaign.adsCreated
+    }), { campaigns: 0, adSets: 0, ads: 0 });
+
+    console.log(`✅ [StrategyEngine] ${structure.key} complete: ${totals.campaigns} campaign(s), ${totals.adSets} ad sets, ${totals.ads} ads`);
+
+    return {
+      strategy: structure.key,
+      jobId: job.id,
+      requested: {
+        campaigns: structure.campaigns,
+        adSets: structure.campaigns * structure.adSets,
+        ads: structure.campaigns * adsPerCampaign
+      },
+      campaigns,
+      totals
+    };
+  }
+
+  /**
+   * Create one campaign of the structure
+   *
+   * @param {FacebookAPI} facebookApi - Instance for the target ad account
+   * @param {Object} structure - Resolved structure
+   * @param {Object} campaignData - Submitted campaign data
+   * @param {Object} context - { job, userId, campaignIndex }
+   * @returns {Promise<Object>} { campaignId, campaignName, postId, adSetIds, adSetsCreated, adsCreated, warnings }
+   */
+  async launchCampaign(facebookApi, structure, campaignData, context) {
+    const { job, userId, campaignIndex } = context;
+    // A naming convention names every campaign itself when it can tell them apart ({n})
+    const useConvention = structure.campaigns === 1 || NamingService.hasToken(campaignData.naming, 'campaign', 'n');
+    const campaignName = (useConvention && NamingService.nameFor(campaignData.naming, 'campaign', { n: campaignIndex + 1, copy: 0 })) ||
+      formatName(structure.naming.campaign, {
+        name: campaignData.campaignName,
+        n: campaignIndex + 1
+      });
+    const adSetSlotBase = campaignIndex * structure.adSets;
+    const adSlotBase = campaignIndex * structure.adSets * structure.adsPerAdSet;
+    const warnings = [];
+
+    const data = this.applyBudgetLevel({ ...campaignData, campaignName }, structure.budgetLevel);
+
+    console.log(`\n📍 [StrategyEngine] Campaign ${campaignIndex + 1}/${structure.campaigns}: ${campaignName}`);
+
+    // Step 1: 1-1-1 structure (post ID + media hashes for everything after it)
+    const initialResult = await facebookApi.createStrategy150Campaign({
+      ...data,
+      displayLink: undefined // Initial ad is created without display link, duplicates add it
+    });
+
+    const campaignId = initialResult.campaign.id;
+    const postId = initialResult.postId || null;
+
+    await JobTracker.markEntityCreated(job, 'campaign', campaignIndex + 1, { id: campaignId, name: campaignName });
+    await JobTracker.markEntityCreated(job, 'ad_set', adSetSlotBase + 1, initialResult.adSet);
+    if (initialResult.ads?.[0]?.id) {
+      await JobTracker.markEntityCreated(job, 'ad', adSlotBase + 1, initialResult.ads[0]);
+    }
+
+    let usePost = structure.postReuse;
+    if (usePost && !postId) {
+      usePost = false;
+      warnings.push('Post ID not captured - remaining ads were created with their own creative');
+    }
+
+    // Step 2: remaining ad sets and ads
+    const batchService = new BatchDuplicationService(
+      facebookApi.accessToken,
+      facebookApi.adAccountId,
+      facebookApi.pageId,
+      facebookApi.pixelId,
+      userId
+    );
+    const templateData = { ...data, ...(initialResult.mediaHashes || {}) };
+    const groups = this.buildOperationGroups(batchService, structure, templateData, {
+      campaignId,
+      campaignName,
+      firstAdSetId: initialResult.adSet.id,
+      postId: usePost ? postId : null
+    });
+
+    const adSetIds = [initialResult.adSet.id];
+    let adSetsCreated = 1;
+    let adsCreated = initialResult.ads?.[0]?.id ? 1 : 0;
+
+    if (groups.length > 0) {
+      const results = await this.executeGroups(batchService, groups);
+
+      for (let g = 0; g < groups.length; g++) {
+        const group = groups[g];
+        const responses = results[g];
+        let adSetId = group.adSetId;
+        let adResponses = responses;
+
+        if (group.adSetIndex > 0) {
+          adSetId = batchService.extractIdFromBatchResponse(responses[0]);
+          adResponses = responses.slice(1);
+
+          if (adSetId) {
+            adSetIds.push(adSetId);
+            adSetsCreated++;
+            await JobTracker.markEntityCreated(job, 'ad_set', adSetSlotBase + group.adSetIndex + 1, {
+              id: adSetId,
+              name: group.adSetName
+            });
+          } else {
+            await JobTracker.markEntityFailed(job, 'ad_set', adSetSlotBase + group.adSetIndex + 1,
+              this.describeBatchError(responses[0]));
+          }
+        }
+
+        for (let a = 0; a < group.adNumbers.length; a++) {
+          const adNumber = group.adNumbers[a];
+          const adId = batchService.extractIdFromBatchResponse(adResponses[a]);
+          if (adId) {
+            adsCreated++;
+            await JobTracker.markEntityCreated(job, 'ad', adSlotBase + adNumber, {
+              id: adId,
+              name: group.adNames[a]
+            });
+          } else {
+            await JobTracker.markEntityFailed(job, 'ad', adSlotBase + adNumber, this.describeBatchError(adResponses[a]));
+          }
+        }
+      }
+    }
+
+    const expectedAds = structure.adSets * structure.adsPerAdSet;
+    if (adSetsCreated < structure.adSets) {
+      warnings.push(`${structure.adSets - adSetsCreated} ad set(s) failed to create`);
+    }
+    if (adsCreated < expectedAds) {
+      warnings.push(`${expectedAds - adsCreated} ad(s) failed to create`);
+    }
+
+    try {
+      await db.CampaignTracking.create({
+        campaign_id: campaignId,
+        campaign_name: campaignName,
+        user_id: userId,
+        ad_account_id: facebookApi.adAccountId,
+        strategy_type: structure.trackingType,
+        post_id: postId,
+        ad_set_count: adSetsCreated,
+        status: 'ACTIVE',
+        url_params: campaignData.urlParams || null
+      });
+    } catch (trackingError) {
+      console.error('Warning: Could not add campaign to tracking:', trackingError.message);
+    }
+
+    console.log(`✅ [StrategyEngine] ${campaignName}: ${adSetsCreated}/${structure.adSets} ad sets, ${adsCreated}/${expectedAds} ads`);
+
+    return {
+      campaignId,
+      campaignName,
+      postId,
+      adSetIds,
+      adSetsCreated,
+      adsCreated,
+      warnings
+    };
+  }
+
+  /**
+   * Build the batch operations for everything after the 1-1-1 structure,
+   * grouped so an ad set always travels with the ads that reference it
+   *
+   * @returns {Array} [{ adSetIndex, adSetId?, adSetName?, adNumbers, adNames, operations }]
+   */
+  buildOperationGroups(batchService, structure, templateData, refs) {
+    const { campaignId, campaignName, firstAdSetId, postId } = refs;
+    const accountId = batchService.adAccountId;
+    const groups = [];
+
+    for (let i = 0; i < structure.adSets; i++) {
+      const group = { adSetIndex: i, adNumbers: [], adNames: [], operations: [] };
+      let adSetRef = firstAdSetId;
+
+      if (i === 0) {
+        group.adSetId = firstAdSetId;
+      } else {
+        const adSetBody = batchService.decodeBody(batchService.prepareAdSetBodyFromTemplate(templateData, i, campaignId));
+        const bid = templateData.bidLadder ? getLadderStep(templateData.bidLadder, i).amount : templateData.costCap;
+        adSetBody.name = NamingService.nameFor(templateData.naming, 'adSet', { n: i + 1, copy: 0, bid }) ||
+          formatName(structure.naming.adSet, { campaign: campaignName, n: i + 1 });
+        if (templateData.bidLadder) {
+          applyBidLadder(adSetBody, templateData.bidLadder, i, {
+            suffix: !NamingService.hasToken(templateData.naming, 'adSet', 'bid')
+          });
+        }
+
+        group.adSetName = adSetBody.name;
+        adSetRef = `{result=create-adset-${i}:$.id}`;
+        group.operations.push({
+          method: 'POST',
+          relative_url: `act_${accountId}/adsets`,
+          body: batchService.encodeBody(adSetBody),
+          name: `create-adset-${i}`
+        });
+      }
+
+      // The first ad of the first ad set already exists
+      for (let j = i === 0 ? 1 : 0; j < structure.adsPerAdSet; j++) {
+        const adNumber = i * structure.adsPerAdSet + j + 1;
+        const adName = NamingService.nameFor(templateData.naming, 'ad', { n: adNumber, copy: 0, editor: templateData.editorName }) ||
+          formatName(structure.naming.ad, { campaign: campaignName, n: adNumber });
+        const adBody = postId
+          ? batchService.prepareAdBodyForDuplicate(campaignName, postId, adNumber, adSetRef, null, false, null, templateData)
+          : batchService.prepareAdBodyFromTemplate(templateData, adNumber - 1, adSetRef);
+
+        group.adNumbers.push(adNumber);
+        group.adNames.push(adName);
+        group.operations.push({
+          method: 'POST',
+          relative_url: `act_${accountId}/ads`,
+          body: this.renameBody(batchService, adBody, adName)
+        });
+      }
+
+      if (group.operations.length > 0) {
+        groups.push(group);
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Send groups in as few batches as possible without splitting a group
+   *
+   * @returns {Promise<Array>} Batch responses per group, in group order
+   */
+  async executeGroups(batchService, groups) {
+    const batches = [];
+    let current = [];
+    let currentSize = 0;
+
+    for (const group of groups) {
+      if (currentSize + group.operations.length > batchService.maxBatchSize && current.length > 0) {
+        batches.push(current);
+        current = [];
+        currentSize = 0;
+      }
+      current.push(group);
+      currentSize += group.operations.length;
+    }
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    console.log(`🔄 [StrategyEngine] Sending ${groups.length} ad set group(s) in ${batches.length} batch(es)`);
+
+    const results = [];
+    for (let b = 0; b < batches.length; b++) {
+      // executeBatch keeps a batch of <= maxBatchSize operations in one request
+      const responses = await batchService.executeBatch(batches[b].flatMap(group => group.operations));
+
+      let offset = 0;
+      for (const group of batches[b]) {
+        results.push(responses.slice(offset, offset + group.operations.length));
+        offset += group.operations.length;
+      }
+
+      if (b < batches.length - 1) {
+        await batchService.delay(2000);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Persistent job map for a legacy route's duplicate or multiply jobs
+   *
+   * @param {Object} route - From config/strategies.getLegacyRoute()
+   * @param {String} kind - 'duplicate' or 'multiply'
+   * @returns {PersistentJobMap}
+   */
+  jobCollection(route, kind) {
+    // Duplication progress is keyed by campaignId, so each run gets its own row
+    return JobStore.collection(route.jobTypes[kind], { reusableKeys: kind === 'duplicate' });
+  }
+
+  /**
+   * Refuse campaigns outside the ad account the request acts on
+   *
+   * @param {FacebookAPI} facebookApi - Instance for the selected ad account
+   * @param {String} campaignId
+   * @throws {Error} status 403 when the campaign belongs to another account (or can't be read)
+   */
+  async assertCampaignInAccount(facebookApi, campaignId) {
+    const campaign = await axios.get(`${getGraphBaseUrl()}/${campaignId}`, {
+      params: { fields: 'account_id', access_token: facebookApi.accessToken }
+    }).catch(() => null);
+
+    if (!campaign || String(campaign.data?.account_id) !== String(facebookApi.adAccountId).replace('act_', '')) {
+      const error = new Error('Campaign not found in your selected ad account');
+      error.status = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Duplicate an ad set of a legacy route's campaign (POST /duplicate)
+   *
+   * Every run is a JobStore job keyed and streamed by campaign ID, so progress
+   * survives restarts and GET /progress/:campaignId reads it.
+   *
+   * @param {String} routeKey - LEGACY_ROUTES key
+   * @param {FacebookAPI} facebookApi - Instance for the selected ad account/page/pixel
+   * @param {Object} request - { campaignId, originalAdSetId, postId, formData, count,
+   *                           duplicateBudgets, adVariationConfig, editorName }
+   * @param {Object} context - { userId }
+   * @returns {Promise<Object>} Response data; with waitForResult it includes the created ad sets
+   * @throws {Error} With status 400/403/409 for requests that can't run
+   */
+  async duplicateAdSets(routeKey, facebookApi, request, { userId }) {
+    const route = getLegacyRoute(routeKey);
+    const {
+      campaignId,
+      originalAdSetId,
+      postId,
+      formData = {},
+      duplicateBudgets = [],
+      adVariationConfig = null,
+      editorName = null
+    } = request;
+    const count = Number(request.count ?? (route.duplicate.countIncludesOriginal ? 50 : 49));
+
+    if (!campaignId || !originalAdSetId) {
+      throw Object.assign(new Error('Campaign ID and Ad Set ID are required'), { status: 400 });
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw Object.assign(new Error('Count must be at least 1. You cannot duplicate 0 ad sets.'), { status: 400 });
+    }
+
+    // With countIncludesOriginal, 50 means 1 initial + 49 copies
+    const copies = route.duplicate.countIncludesOriginal ? count - 1 : count;
+
+    // The original ad set is step 0 of the ladder, copy N is step N
+    let bidLadder;
+    try {
+      bidLadder = resolveBidLadder(formData.bidLadder, copies + 1);
+    } catch (error) {
+      throw Object.assign(error, { status: 400 });
+    }
+
+    // The campaign must be in the user's ad account before anything is published for it
+    await this.assertCampaignInAccount(facebookApi, campaignId);
+
+    // Live events stream under the campaign ID (GET /api/jobs/:campaignId/events)
+    if (!JobEvents.register(campaignId, userId)) {
+      throw Object.assign(new Error('Another user is already duplicating ad sets in this campaign'), { status: 409 });
+    }
+
+    const params = {
+      campaignId,
+      originalAdSetId,
+      postId,
+      formData: {
+        ...formData,
+        bidLadder,
+        attributionSetting: formData.attributionSetting || route.duplicate.attributionSetting
+      },
+      // Budgets are only used to skip the ones already spent when a job resumes;
+      // copies keep the original ad set's budget
+      customBudgets: duplicateBudgets.length > 0 ? duplicateBudgets : Array(copies).fill(1.00),
+      adVariationConfig,
+      editorName,
+      userId,
+      adAccountId: String(facebookApi.adAccountId).replace('act_', ''),
+      pageId: facebookApi.pageId,
+      pixelId: facebookApi.pixelId
+    };
+
+    this.jobCollection(route, 'duplicate').set(campaignId, {
+      campaignId,
+      count: copies,
+      completed: 0,
+      total: copies,
+      status: 'in_progress',
+      currentOperation: 'Starting duplication...',
+      adSets: [],
+      errors: [],
+      startedAt: Date.now()
+    }, {
+      userId,
+      adAccountId: params.adAccountId,
+      campaignName: `Duplicate ad sets in ${campaignId}`,
+      facebookCampaignId: campaignId,
+      requestedCampaigns: 0,
+      requestedAdSets: copies,
+      params
+    });
+
+    console.log(`🚀 [StrategyEngine] ${route.label}: duplicating ${copies} ad set(s) in ${campaignId}`);
+
+    const data = {
+      campaignId,
+      count: copies,
+      postId: postId || 'Will be fetched from original ad'
+    };
+    if (route.duplicate.countIncludesOriginal) {
+      data.totalAdSets = count;
+    }
+
+    const run = this.runAdSetDuplication(route, campaignId, params, copies, { facebookApi });
+
+    if (!route.duplicate.waitForResult) {
+      run.catch(() => {}); // Failure is recorded on the job
+      return { ...data, status: 'in_progress' };
+    }
+
+    const result = await run;
+    return {
+      ...data,
+      postId,
+      status: result?.cancelled ? 'cancelled' : 'completed',
+      adSets: result?.adSets || [],
+      summary: result?.summary || {},
+      apiCallsUsed: result?.batchesExecuted || Math.ceil((copies * 2) / 20),
+      apiCallsSaved: result?.apiCallsSaved || 0
+    };
+  }
+
+  /**
+   * Create the ad set copies for a duplicate job and keep its progress up to date.
+   * Used by duplicateAdSets() and by the resume handler after a restart.
+   *
+   * @param {Object} route - Legacy route entry
+   * @param {String} campaignId - Campaign the ad sets are created in (the job key)
+   * @param {Object} params - The job's stored params (see duplicateAdSets)
+   * @param {Number} count - Number of ad set copies to create
+   * @param {Object} context - { facebookApi }
+   * @returns {Promise<Object>} The runner's result
+   */
+  async runAdSetDuplication(route, campaignId, params, count, { facebookApi }) {
+    const jobs = this.jobCollection(route, 'duplicate');
+    const shouldCancel = () => jobs.isCancelled(campaignId);
+
+    try {
+      let result;
+      if (route.duplicate.runner === 'existingPost') {
+        result = await facebookApi.duplicateAdSetsWithExistingPost({
+          ...params,
+          campaignId,
+          count,
+          shouldCancel,
+          progressCallback: (update) => {
+            const job = jobs.get(campaignId);
+            if (job) {
+              Object.assign(job, update);
+            }
+          }
+        });
+      } else {
+        const batchService = new BatchDuplicationService(
+          facebookApi.accessToken,
+          params.adAccountId,
+          params.pageId,
+          params.pixelId,
+          null,
+          { jobId: campaignId, shouldCancel }
+        );
+        result = await batchService.duplicateAdSetsBatch(
+          params.originalAdSetId,
+          campaignId,
+          params.postId,
+          count,
+          {
+            ...params.formData,
+            customBudgets: params.customBudgets,
+            adVariationConfig: params.adVariationConfig,
+            editorName: params.editorName
+          }
+        );
+      }
+
+      for (const adSet of result?.adSets || []) {
+        await jobs.recordEntity(campaignId, 'ad_set', null, adSet);
+      }
+
+      // duplicateAdSetsWithExistingPost reports its own progress
+      const job = jobs.get(campaignId);
+      if (job && route.duplicate.runner === 'batch') {
+        const created = result.adSets?.length || 0;
+        Object.assign(job, {
+          status: result.cancelled ? 'cancelled' : 'completed',
+          completed: result.cancelled ? job.total - count + created : job.total,
+          currentOperation: result.cancelled
+            ? `Cancelled after ${created} of ${count} ad sets`
+            : 'Duplication complete',
+          adSets: [...(job.adSets || []), ...(result.adSets || [])],
+          ads: [...(job.ads || []), ...(result.ads || [])],
+          summary: result.summary || {}
+        });
+      }
+
+      console.log(`✅ [StrategyEngine] ${route.label}: ${result?.adSets?.length || 0}/${count} ad sets duplicated in ${campaignId}`);
+      return result;
+    } catch (error) {
+      console.error(`❌ [StrategyEngine] ${route.label} duplication error:`, error.message);
+      const job = jobs.get(campaignId);
+      if (job) {
+        Object.assign(job, {
+          status: 'error',
+          currentOperation: `Error: ${error.message}`,
+          errors: [{ message: error.message }]
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Progress of the latest duplicate job in a campaign (GET /progress/:campaignId)
+   *
+   * @returns {Promise<Object|null>} Job progress, from the database after a restart
+   */
+  async getDuplicationProgress(routeKey, campaignId) {
+    const jobs = this.jobCollection(getLegacyRoute(routeKey), 'duplicate');
+    return jobs.get(campaignId) || jobs.load(campaignId);
+  }
+
+  /**
+   * Start copying a legacy route's campaign (POST /multiply)
+   *
+   * The copies are made in the background with a batch deep copy; the job is
+   * polled with getMultiplyStatus() and resumed after a restart.
+   *
+   * @param {String} routeKey - LEGACY_ROUTES key
+   * @param {FacebookAPI} facebookApi - Instance for the selected ad account/page
+   * @param {Object} request - { sourceCampaignId, multiplyCount }
+   * @param {Object} context - { userId }
+   * @returns {Promise<Object>} { jobId, estimatedSeconds }
+   * @throws {Error} With status 400 for invalid requests
+   */
+  async multiplyCampaign(routeKey, facebookApi, request, { userId }) {
+    const route = getLegacyRoute(routeKey);
+    const { sourceCampaignId } = request;
+    const multiplyCount = Number(request.multiplyCount ?? 1);
+
+    if (!sourceCampaignId) {
+      throw Object.assign(new Error('Source campaign ID is required'), { status: 400 });
+    }
+    if (!Number.isInteger(multiplyCount) || multiplyCount < 1 || multiplyCount > MAX_MULTIPLY_COUNT) {
+      throw Object.assign(new Error(`Multiply count must be between 1 and ${MAX_MULTIPLY_COUNT}`), { status: 400 });
+    }
+
+    const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const estimatedSeconds = multiplyCount * SECONDS_PER_COPY;
+    const adAccountId = String(facebookApi.adAccountId).replace('act_', '');
+
+    this.jobCollection(route, 'multiply').set(jobId, {
+      id: jobId,
+      status: 'started',
+      progress: 0,
+      total: multiplyCount,
+      currentOperation: 'Initializing...',
+      campaigns: [],
+      errors: [],
+      startTime: Date.now(),
+      estimatedSeconds,
+      userId
+    }, {
+      userId,
+      adAccountId,
+      campaignName: `Multiply of ${sourceCampaignId}`,
+      requestedCampaigns: multiplyCount,
+      params: {
+        sourceCampaignId,
+        multiplyCount,
+        adAccountId,
+        pageId: facebookApi.pageId
+      }
+    });
+
+    console.log(`🔄 [StrategyEngine] ${route.label}: multiplying ${sourceCampaignId} x${multiplyCount} (job ${jobId})`);
+
+    // Deep copies carry every ad set and ad, so nothing is fetched up front
+    this.processMultiplication(route, jobId, {
+      campaignId: sourceCampaignId,
+      campaign: { id: sourceCampaignId, name: null }
+    }, multiplyCount, facebookApi, userId);
+
+    return { jobId, estimatedSeconds };
+  }
+
+  /**
+   * Create the copies for a multiply job: one batch deep copy request, falling
+   * back to copying one campaign at a time if the batch fails.
+   * Used by multiplyCampaign() and by the resume handler after a restart.
+   *
+   * @param {Object} route - Legacy route entry
+   * @param {String} jobId
+   * @param {Object} source - { campaignId, campaign: { id, name } }
+   * @param {Number} multiplyCount - Copies still to create
+   * @param {FacebookAPI} facebookApi
+   * @param {Number} userId
+   */
+  async processMultiplication(route, jobId, source, multiplyCount, facebookApi, userId) {
+    const jobs = this.jobCollection(route, 'multiply');
+    const job = jobs.get(jobId);
+    if (!job) return;
+
+    const updateJob = (updates) => Object.assign(job, updates, { lastUpdated: Date.now() });
+    let outcome = null;
+
+    try {
+      updateJob({
+        status: 'processing',
+        progress: 0,
+        currentOperation: `Preparing batch request for ${multiplyCount} campaign copies...`
+      });
+
+      const batchResult = await facebookApi.batchMultiplyCampaigns(
+        source.campaignId,
+        multiplyCount,
+        (message) => updateJob({ currentOperation: message }),
+        { shouldCancel: () => jobs.isCancelled(jobId), userId }
+      );
+
+      if (!batchResult.success) {
+        throw new Error('Batch multiplication failed');
+      }
+
+      // Record created copies first so a restart resumes after them
+      for (const copy of batchResult.results || []) {
+        await jobs.recordEntity(jobId, 'campaign', null, { id: copy.campaignId, name: copy.campaignName });
+      }
+
+      const created = (batchResult.results || []).filter(copy => copy.campaignId).length;
+      updateJob({
+        status: batchResult.cancelled ? 'cancelled' : 'completed',
+        progress: batchResult.cancelled ? created : multiplyCount,
+        currentOperation: batchResult.cancelled
+          ? `Cancelled after ${created} of ${multiplyCount} copies`
+          : `Successfully created ${batchResult.summary.successful} campaigns`,
+        campaigns: batchResult.results,
+        errors: batchResult.errors,
+        completedAt: Date.now()
+      });
+
+      if (!batchResult.cancelled) {
+        outcome = {
+          method: 'batch',
+          successful: batchResult.summary.successful,
+          failed: batchResult.summary.failed
+        };
+      }
+    } catch (error) {
+      console.error(`❌ [StrategyEngine] Multiply job ${jobId} failed:`, error.message);
+
+      // A cancelled job must not start creating copies again
+      if (jobs.isCancelled(jobId)) {
+        updateJob({ status: 'cancelled', currentOperation: 'Cancelled', error: error.message, completedAt: Date.now() });
+        return;
+      }
+
+      console.log('⚠️ Batch method failed, falling back to sequential method...');
+      updateJob({ currentOperation: 'Batch failed, using sequential method...' });
+
+      try {
+        outcome = await this.multiplySequentially(route, jobId, source, multiplyCount, facebookApi, userId);
+      } catch (fallbackError) {
+        console.error(`❌ [StrategyEngine] Multiply job ${jobId} fallback also failed:`, fallbackError.message);
+        updateJob({ status: 'failed', error: fallbackError.message, completedAt: Date.now() });
+        return;
+      }
+    }
+
+    if (!outcome) return;
+
+    console.log(`✅ [StrategyEngine] Multiply job ${jobId} (${outcome.method}): ${outcome.successful} successful, ${outcome.failed} failed`);
+
+    await AuditService.log({
+      userId,
+      action: `${route.auditAction}.multiply`,
+      resourceType: 'campaign',
+      resourceId: source.campaignId,
+      details: {
+        campaignId: source.campaignId,
+        campaignName: source.campaign?.name || null,
+        adAccountId: facebookApi.adAccountId,
+        strategyType: route.trackingType,
+        targetCopies: multiplyCount,
+        successfulCopies: outcome.successful,
+        failedCopies: outcome.failed,
+        method: outcome.method
+      },
+      status: 'success'
+    });
+  }
+
+  /**
+   * Sequential fallback for processMultiplication: deep copy one campaign at a time
+   *
+   * @returns {Promise<Object|null>} { method, successful, failed }, or null once cancelled
+   */
+  async multiplySequentially(route, jobId, source, multiplyCount, facebookApi, userId) {
+    const jobs = this.jobCollection(route, 'multiply');
+    const job = jobs.get(jobId);
+    const updateJob = (updates) => Object.assign(job, updates, { lastUpdated: Date.now() });
+    let successful = 0;
+    let failed = 0;
+
+    for (let i = 0; i < multiplyCount; i++) {
+      if (jobs.isCancelled(jobId)) break;
+
+      try {
+        updateJob({
+          status: 'processing',
+          progress: i,
+          currentOperation: `Creating campaign ${i + 1} of ${multiplyCount} (sequential)...`
+        });
+
+        const copyId = await facebookApi.duplicateCampaignDeepCopy(
+          source.campaignId,
+          `Copy ${i + 1} - ${new Date().toISOString().split('T')[0]}`
+        );
+        const campaign = await facebookApi.getCampaignFullDetails(copyId);
+        const adSets = await facebookApi.getAdSetsForCampaign(copyId);
+
+        let adsCreated = 0;
+        for (const adSet of adSets) {
+          try {
+            const ads = await axios.get(`${facebookApi.baseURL}/${adSet.id}/ads`, {
+              params: { fields: 'id', limit: 100, access_token: facebookApi.accessToken }
+            });
+            adsCreated += (ads.data.data || []).length;
+          } catch (e) {
+            console.log(`Warning: Could not count ads for ad set ${adSet.id}`);
+          }
+        }
+
+        job.campaigns.push({ campaign, adSetsCreated: adSets.length, adsCreated });
+        await jobs.recordEntity(jobId, 'campaign', null, campaign);
+        successful++;
+        console.log(`✅ [StrategyEngine] Multiply job ${jobId}: created copy ${i + 1}`);
+
+        try {
+          await db.CampaignTracking.create({
+            campaign_id: campaign.id,
+            campaign_name: campaign.name,
+            user_id: userId,
+            ad_account_id: facebookApi.adAccountId,
+            strategy_type: 'multiplication',
+            post_id: null,
+            ad_set_count: adSets.length,
+            status: 'ACTIVE',
+            url_params: await db.CampaignTracking.getUrlParams(source.campaignId)
+          });
+        } catch (trackingError) {
+          console.error('Warning: Could not add multiplied campaign to tracking:', trackingError.message);
+        }
+      } catch (error) {
+        console.error(`❌ [StrategyEngine] Multiply job ${jobId}: failed to create copy ${i + 1}:`, error.message);
+
+        if (error.message?.includes('Rate limited')) {
+          // The rate limiter has already waited - retry this copy
+          i--;
+          updateJob({ currentOperation: `Rate limited - will retry campaign ${i + 2} after delay...` });
+        } else {
+          failed++;
+          job.errors.push({ copyNumber: i + 1, error: error.message });
+        }
+      }
+    }
+
+    const cancelled = jobs.isCancelled(jobId);
+    updateJob({
+      status: cancelled ? 'cancelled' : 'completed',
+      progress: cancelled ? successful : multiplyCount,
+      currentOperation: cancelled
+        ? `Cancelled after ${successful} of ${multiplyCount} copies`
+        : 'Multiplication completed',
+      completedAt: Date.now()
+    });
+
+    return cancelled ? null : { method: 'sequential-fallback', successful, failed };
+  }
+
+  /**
+   * Status of a multiply job (GET /multiply/status/:jobId)
+   *
+   * @returns {Promise<Object|null>} Status payload, or null if the job is unknown
+   */
+  async getMultiplyStatus(routeKey, jobId) {
+    const jobs = this.jobCollection(getLegacyRoute(routeKey), 'multiply');
+    // From memory, falling back to the database after a restart
+    const job = jobs.get(jobId) || await jobs.load(jobId);
+    if (!job) return null;
+
+    const elapsed = Date.now() - job.startTime;
+    const estimatedRemaining = Math.max(0, (job.estimatedSeconds * 1000) - elapsed);
+
+    return {
+      id: job.id,
+      status: job.status,
+      progress: job.progress,
+      total: job.total,
+      currentOperation: job.currentOperation,
+      campaigns: job.campaigns,
+      errors: job.errors,
+      elapsedSeconds: Math.floor(elapsed / 1000),
+      remainingSeconds: Math.floor(estimatedRemaining / 1000),
+      percentComplete: job.total > 0 ? Math.floor((job.progress / job.total) * 100) : 0,
+      startTime: job.startTime,
+      completedAt: job.completedAt
+    };
+  }
+
+  /**
+   * Resume the legacy routes' duplicate and multiply jobs interrupted by a restart
+   */
+  registerResumeHandlers() {
+    for (const routeKey of Object.keys(LEGACY_ROUTES)) {
+      const route = getLegacyRoute(routeKey);
+      JobStore.registerResumeHandler(route.jobTypes.duplicate, (record, jobs, campaignId) =>
+        JobStore.resumeDuplicateJob(record, jobs, campaignId, (...args) => this.runAdSetDuplication(route, ...args))
+      );
+      JobStore.registerResumeHandler(route.jobTypes.multiply, (record, jobs, jobId) =>
+        JobStore.resumeMultiplyJob(record, jobs, jobId, (...args) => this.processMultiplication(route, ...args))
+      );
+    }
+  }
+
+  /**
+   * Force the structure's budget level onto the submitted campaign data
+   * (the template builders read CBO from campaignBudget, ABO from adSetBudget)
+   */
+  applyBudgetLevel(campaignData, budgetLevel) {
+    if (!budgetLevel || budgetLevel === campaignData.budgetLevel) {
+      return campaignData;
+    }
+
+    const dailyBudget = campaignData.campaignBudget?.dailyBudget ||
+      campaignData.adSetBudget?.dailyBudget ||
+      campaignData.dailyBudget;
+
+    if (budgetLevel === 'campaign') {
+      return {
+        ...campaignData,
+        budgetLevel,
+        campaignBudgetOptimization: true,
+        campaignBudget: { ...(campaignData.campaignBudget || {}), dailyBudget }
+      };
+    }
+
+    return {
+      ...campaignData,
+      budgetLevel,
+      campaignBudgetOptimization: false,
+      campaignBudget: {},
+      adSetBudget: { ...(campaignData.adSetBudget || {}), dailyBudget },
+      dailyBudget
+    };
+  }
+
+  renameBody(batchService, encodedBody, name) {
+    return batchService.encodeBody({ ...batchService.decodeBody(encodedBody), name });
+  }
+
+  describeBatchError(response) {
+    if (!response) {
+      return 'No response from batch request';
+    }
+    try {
+      const body = JSON.parse(response.body);
+      return body.error?.error_user_msg || body.error?.message || `Batch request failed with code ${response.code}`;
+    } catch (e) {
+      return `Batch request failed with code ${response.code}`;
+    }
+  }
+}
+
+const engine = new StrategyEngine();
+engine.registerResumeHandlers();
+
+module.exports = engine;
@@ -8,6 +8,8 @@
 
 const path = require('path');
 const fs = require('fs');
+const axios = require('axios');
+const { getGraphHost, isGraphOverridden } = require('../config/graphApi');
 
 // Test scenarios configuration
 const TEST_SCENARIOS = [
@@ -437,6 +439,9 @@ class TestRunnerService {
 
     try {
       addLog(`Starting test: ${scenario.name}`);
+      if (isGraphOverridden()) {
+        addLog(`Offline mode: Graph API calls go to ${getGraphHost()}`);
+      }
       if (Object.keys(customOverrides).length > 0) {
         addLog(`Custom overrides: ${scenario.adSetCount} ad sets, ${scenario.campaigns || 1} campaign(s)`);
       }
@@ -790,6 +795,7 @@ class TestRunnerService {
         } : null,
         campaignIds,
         result,
+        offline: isGraphOverridden(),
         logs: this.activeTests.get(testId)?.logs || []
       };
 
@@ -988,6 +994,38 @@ class TestRunnerService {
 
     return results;
   }
+
+  /**
+   * Describe where Graph API calls are going (real Facebook or the offline stand-in)
+   */
+  getGraphMode() {
+    return {
+      offline: isGraphOverridden(),
+      host: getGraphHost()
+    };
+  }
+
+  /**
+   * Call the offline stand-in's control endpoints (/__fake/*)
+   * Refuses to run against real Facebook so fault injection can never leak into production.
+   *
+   * @param {String} method - 'GET' or 'POST'
+   * @param {String} action - 'state', 'faults' or 'reset'
+   * @param {Object} data - Request body for POST
+   */
+  async callFakeGraph(method, action, data = {}) {
+    if (!isGraphOverridden()) {
+      throw new Error('Offline Graph API is not configured. Set FB_GRAPH_BASE_URL to the fake server URL.');
+    }
+
+    const response = await axios({
+      method,
+      url: `${getGraphHost()}/__fake/${action}`,
+      data: method === 'POST' ? data : undefined,
+      timeout: 10000
+    });
+    return response.data;
+  }
 }
 
 module.exports = new TestRunnerService();
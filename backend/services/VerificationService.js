@@ -11,11 +11,12 @@
  */
 
 const axios = require('axios');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 class VerificationService {
   constructor(facebookApi) {
     this.facebookApi = facebookApi;
-    this.baseURL = `https://graph.facebook.com/${process.env.FB_API_VERSION}`;
+    this.baseURL = getGraphBaseUrl(process.env.FB_API_VERSION);
     this.accessToken = facebookApi.accessToken;
   }
 
@@ -1,5 +1,14 @@
 const axios = require('axios');
 const FailureTracker = require('./FailureTracker');
+const JobEvents = require('./JobEvents');
+const LeadFormService = require('./LeadFormService');
+const NamingService = require('./NamingService');
+const { applyBidLadder, getLadderStep } = require('../utils/bidLadder');
+const { applyUrlParams } = require('../utils/urlParams');
+
+// "... - Copy N", optionally followed by a bid ladder suffix ("- CC $25")
+const COPY_NAME_PATTERN = /- Copy (\d+)(?: - (?:CC|BC) \$[\d.]+)?$/;
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 /**
  * Batch API Duplication Service
@@ -10,7 +19,14 @@ const FailureTracker = require('./FailureTracker');
  * 2. Sequential fallback when batch operations fail
  * 3. FailureTracker integration for accurate failure reporting
  * 4. Retry mechanism for failed entities
+ * 5. Live job events (options.jobId / options.onEvent) for the progress stream
+ * 6. Cooperative cancellation (options.shouldCancel) checked between Graph batches
  */
+
+// Graph API throttling codes (app, user, account, ads management)
+const RATE_LIMIT_CODES = [4, 17, 613, 80004];
+const RATE_LIMIT_BACKOFF_MS = 60000;
+
 class BatchDuplicationService {
   constructor(accessToken, adAccountId, pageId, pixelId, userId = null, options = {}) {
     this.accessToken = accessToken;
@@ -18,7 +34,7 @@ class BatchDuplicationService {
     this.userId = userId; // For FailureTracker integration
     this.pageId = pageId; // ADDED: Store pageId to match 1-50-1 pattern
     this.pixelId = pixelId; // ADDED: Store pixelId for tracking
-    this.baseURL = 'https://graph.facebook.com/v18.0';
+    this.baseURL = getGraphBaseUrl('v18.0');
     // Facebook Batch API limit is 50 operations per batch
     // However, large payloads (video ads, complex creatives) cause socket hang up
     // Using 10 operations per batch to avoid timeouts while keeping ad set + ad pairs together
@@ -26,6 +42,11 @@ class BatchDuplicationService {
     this.maxBatchSize = 10; // Reduced to prevent socket hang up with large payloads
     // User preferences for duplication
     this.removeCopySuffix = options.removeCopySuffix || false; // If true, don't add " - Copy" suffix to ad sets and ads
+    // Live progress: events go to JobEvents under jobId and/or to the onEvent callback
+    this.jobId = options.jobId || null;
+    this.onEvent = options.onEvent || null;
+    // Cancellation: () => Boolean, checked before each Graph batch is sent
+    this.shouldCancel = options.shouldCancel || null;
 
     // Facebook region IDs for US states (MUST match facebookApi.js exactly)
     // DC is 3851, which shifts all states after DE forward by 1
@@ -44,6 +65,38 @@ class BatchDuplicationService {
     };
   }
 
+  /**
+   * Publish a live job event (see JobEvents.EVENT_TYPES)
+   * Never throws - progress reporting must not break duplication.
+   */
+  emitJobEvent(type, data = {}) {
+    try {
+      if (this.jobId) {
+        JobEvents.publish(this.jobId, type, data);
+      }
+      if (this.onEvent) {
+        this.onEvent({ type, data });
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to emit job event:', error.message);
+    }
+  }
+
+  /**
+   * Whether the job asked to stop. Never throws - a broken check must not abort duplication.
+   */
+  isCancelRequested() {
+    try {
+      return !!(this.shouldCancel && this.shouldCancel());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isRateLimitError(error) {
+    return RATE_LIMIT_CODES.includes(error.response?.data?.error?.code);
+  }
+
   // ============================================================================
   // SMART VERIFICATION HELPER - Verify and correct ad set/ad counts after batch
   // ============================================================================
@@ -157,12 +210,12 @@ class BatchDuplicationService {
         // Find duplicate "Copy N" ad sets to delete (keep the ones with lowest copy numbers)
         const copyAdSets = adSets
           .filter(adSet =>
-            adSet.name.match(/- Copy \d+$/) &&
+            adSet.name.match(COPY_NAME_PATTERN) &&
             adSetIdsWithAds.has(adSet.id) && // Only consider ad sets with ads
             adSet.id !== originalAdSetId
           )
           .map(adSet => {
-            const match = adSet.name.match(/- Copy (\d+)$/);
+            const match = adSet.name.match(COPY_NAME_PATTERN);
             return {
               id: adSet.id,
               name: adSet.name,
@@ -1099,6 +1152,10 @@ class BatchDuplicationService {
    * Helper delay function
    */
   delay(ms) {
+    // Dry runs are answered by an in-memory stand-in, so there is nothing to wait for
+    if (require('./LaunchPlanner').isPlanning()) {
+      return Promise.resolve();
+    }
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
@@ -1514,7 +1571,7 @@ class BatchDuplicationService {
           const adSetsWithCopyNumbers = actualAdSets
             .filter(adSet => adSetIdsWithAds.has(adSet.id))
             .map(adSet => {
-              const match = adSet.name.match(/- Copy (\d+)$/);
+              const match = adSet.name.match(COPY_NAME_PATTERN);
               return {
                 id: adSet.id,
                 name: adSet.name,
@@ -1974,6 +2031,12 @@ class BatchDuplicationService {
       body.promoted_object = JSON.stringify({
         page_id: this.pageId
       });
+    } else if (templateData.conversionLocation === 'instant_forms') {
+      // Lead ads: the form opens on Facebook, leads are attributed to the page
+      body.promoted_object = JSON.stringify({
+        page_id: this.pageId
+      });
+      body.destination_type = 'ON_AD';
     }
 
     // ===== BUDGET (Only if NOT using CBO) =====
@@ -2306,6 +2369,12 @@ class BatchDuplicationService {
    * Supports BOTH regular ads and dynamic creatives with text variations
    */
   prepareAdBodyFromTemplate(templateData, adIndex, adSetIdRef) {
+    // URL parameters with target 'link' go into the link itself
+    const urlParamTokens = { n: adIndex + 1, copy: 0, editor: templateData.editorName };
+    if (templateData.urlParams?.target === 'link' && templateData.url) {
+      templateData = { ...templateData, url: applyUrlParams({}, templateData.urlParams, urlParamTokens, templateData.url) };
+    }
+
     // DEBUG: Log creative settings on first ad
     if (adIndex === 0) {
       console.log('🔍 DEBUG - prepareAdBodyFromTemplate check:');
@@ -2541,6 +2610,11 @@ class BatchDuplicationService {
         }
       }
 
+      // Lead ads: the CTA opens the Instant Form
+      if (templateData.leadFormId) {
+        LeadFormService.applyToCreative(creative, templateData.leadFormId);
+      }
+
       body.creative = JSON.stringify(creative);
     }
 
@@ -2554,6 +2628,9 @@ class BatchDuplicationService {
     if (templateData.urlTags) {
       body.url_tags = templateData.urlTags;
     }
+    if (templateData.urlParams) {
+      applyUrlParams(body, templateData.urlParams, urlParamTokens);
+    }
 
     return this.encodeBody(body);
   }
@@ -2728,7 +2805,7 @@ class BatchDuplicationService {
         `${this.baseURL}/${originalAdSetId}`,
         {
           params: {
-            fields: 'name,targeting,daily_budget,lifetime_budget,optimization_goal,billing_event,bid_strategy,promoted_object,attribution_spec,daily_min_spend_target,daily_spend_cap,start_time,end_time,pacing_type,destination_type,is_dynamic_creative',
+            fields: 'name,targeting,daily_budget,lifetime_budget,optimization_goal,billing_event,bid_strategy,bid_amount,promoted_object,attribution_spec,daily_min_spend_target,daily_spend_cap,start_time,end_time,pacing_type,destination_type,is_dynamic_creative',
             access_token: this.accessToken
           }
         }
@@ -2784,7 +2861,7 @@ class BatchDuplicationService {
         );
 
         const existingAdSets = existingAdSetsResponse.data?.data || [];
-        const copyAdSets = existingAdSets.filter(adSet => adSet.name.match(/- Copy \d+$/));
+        const copyAdSets = existingAdSets.filter(adSet => adSet.name.match(COPY_NAME_PATTERN));
 
         if (copyAdSets.length > 0) {
           console.log(`     📋 Found ${copyAdSets.length} existing "Copy N" ad sets - checking for orphans...`);
@@ -2848,7 +2925,7 @@ class BatchDuplicationService {
                 await axios.delete(`${this.baseURL}/${adSet.id}`, { params: { access_token: this.accessToken } });
                 console.log(`     🗑️ Deleted orphan: ${adSet.id} (${adSet.name})`);
                 preCleanupOrphansDeleted++;
-                const copyMatch = adSet.name.match(/- Copy (\d+)$/);
+                const copyMatch = adSet.name.match(COPY_NAME_PATTERN);
                 if (copyMatch) {
                   orphanedAdSets.push({ adSetId: adSet.id, pairNumber: parseInt(copyMatch[1]), deleted: true, phase: 'pre-cleanup' });
                 }
@@ -2962,11 +3039,21 @@ class BatchDuplicationService {
       // These will be added to the NEXT batch to avoid extra API calls
       const pendingOrphanFixes = [];
 
+      // Set when a batch request is throttled - the next inter-batch delay backs off
+      let rateLimitBackoffMs = 0;
+      let cancelled = false;
+
       for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
         const batchStartIndex = batchNum * pairsPerBatch;
         const batchEndIndex = Math.min(batchStartIndex + pairsPerBatch, count);
         const pairsInThisBatch = batchEndIndex - batchStartIndex;
 
+        if (this.isCancelRequested()) {
+          console.log(`\n  🛑 Cancel requested - stopping before batch ${batchNum + 1}/${totalBatches}`);
+          cancelled = true;
+          break;
+        }
+
         console.log(`\n  📤 Batch ${batchNum + 1}/${totalBatches}: Creating pairs ${batchStartIndex + 1}-${batchEndIndex}...`);
 
         try {
@@ -3083,6 +3170,15 @@ class BatchDuplicationService {
           } catch (reqError) {
             console.error(`     ❌ Batch ${batchNum + 1} request failed: ${reqError.message}`);
             // Continue to next batch - smart verification will handle missing items
+            if (this.isRateLimitError(reqError)) {
+              rateLimitBackoffMs = RATE_LIMIT_BACKOFF_MS;
+              console.log(`     ⏳ Rate limited - waiting ${RATE_LIMIT_BACKOFF_MS / 1000}s before the next batch`);
+              this.emitJobEvent(JobEvents.EVENT_TYPES.RATE_LIMITED, {
+                batch: batchNum + 1,
+                waitMs: RATE_LIMIT_BACKOFF_MS,
+                error: reqError.response?.data?.error?.message || reqError.message
+              });
+            }
           }
 
           // DEBUG: Log raw results to understand the response format
@@ -3110,6 +3206,12 @@ class BatchDuplicationService {
                   if ((fixResult.code === 200 || body.id) && !body.error) {
                     console.log(`     ✅ ORPHAN FIX SUCCESS: Created ad ${body.id} for orphan ad set ${orphanFix.adSetId} (pair ${orphanFix.pairNumber})`);
                     successfulPairs.push({ adSetId: orphanFix.adSetId, adId: body.id, pairNumber: orphanFix.pairNumber });
+                    this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_CREATED, {
+                      entityType: 'ad',
+                      id: body.id,
+                      adSetId: orphanFix.adSetId,
+                      pairNumber: orphanFix.pairNumber
+                    });
                     // Remove from failed pairs
                     const failedIdx = failedPairs.findIndex(f => f.pairNumber === orphanFix.pairNumber);
                     if (failedIdx !== -1) failedPairs.splice(failedIdx, 1);
@@ -3194,11 +3296,13 @@ class BatchDuplicationService {
               // SUCCESS: Both ad set and ad created (normal case)
               successfulPairs.push({ adSetId, adId, pairNumber });
               console.log(`     ✅ Pair ${pairNumber} SUCCESS (both parsed)`);
+              this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_CREATED, { entityType: 'ad_set', id: adSetId, adId, pairNumber });
             } else if (!adSetSuccess && adSuccess) {
               // INFERRED SUCCESS: Ad created = ad set must exist (Facebook batch quirk)
               // The ad set was created but response was null - mark as success
               console.log(`     ✅ Pair ${pairNumber} SUCCESS (inferred from ad creation - ad set response was null)`);
               successfulPairs.push({ adSetId: `inferred-from-ad-${adId}`, adId, pairNumber });
+              this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_CREATED, { entityType: 'ad_set', id: null, adId, pairNumber });
             } else if (adSetSuccess && !adSuccess) {
               // ORPHAN: Ad set created but ad failed - mark for deletion
               failedAdSetIndices.add(i);
@@ -3208,6 +3312,7 @@ class BatchDuplicationService {
               console.warn(`     ⚠️  Pair ${pairNumber}: Ad set created but ad failed - ${adErrorMsg}`);
               orphanedAdSets.push({ adSetId, pairNumber, deleted: false });
               failedPairs.push({ pairNumber, reason: 'ad_creation_failed', adSetId });
+              this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_FAILED, { entityType: 'ad', adSetId, pairNumber, error: adErrorMsg });
             } else {
               // Both failed - but check if this might be a "hidden orphan"
               // When ad set result is null AND ad got 500 error, the ad set might actually exist
@@ -3228,6 +3333,7 @@ class BatchDuplicationService {
                 })() : 'Unknown error';
                 console.error(`     ❌ Pair ${pairNumber} failed: ${adSetErrorMsg}`);
                 failedPairs.push({ pairNumber, reason: 'ad_set_creation_failed' });
+                this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_FAILED, { entityType: 'ad_set', pairNumber, error: adSetErrorMsg });
               }
             }
           }
@@ -3236,6 +3342,13 @@ class BatchDuplicationService {
           const batchSuccessCount = pairsInThisBatch - failedAdSetIndices.size -
             failedPairs.filter(f => f.pairNumber > batchStartIndex && f.pairNumber <= batchEndIndex && f.reason === 'ad_set_creation_failed').length;
           console.log(`     ✅ Batch ${batchNum + 1} complete: ${batchSuccessCount}/${pairsInThisBatch} pairs succeeded`);
+          this.emitJobEvent(JobEvents.EVENT_TYPES.PROGRESS, {
+            batch: batchNum + 1,
+            totalBatches,
+            completed: successfulPairs.length,
+            failed: failedPairs.length,
+            total: count
+          });
 
           // BATCH 1 ORPHAN DETECTION: After batch 1, detect orphans and queue them for batch 2
           // Batch 1 is where transient errors happen most often - check immediately after
@@ -3291,9 +3404,10 @@ class BatchDuplicationService {
             }
           }
 
-          // Delay between batches
+          // Delay between batches (longer after a throttled batch)
           if (batchNum < totalBatches - 1) {
-            await this.delay(batchDelayMs);
+            await this.delay(rateLimitBackoffMs || batchDelayMs);
+            rateLimitBackoffMs = 0;
           }
 
         } catch (batchError) {
@@ -3308,6 +3422,10 @@ class BatchDuplicationService {
 
           if (isTimeoutError && pairsPerBatch > 1) {
             console.log(`     🔄 Socket timeout detected - falling back to atomic pairs for remaining ${count - batchStartIndex} pairs...`);
+            this.emitJobEvent(JobEvents.EVENT_TYPES.RETRY, {
+              reason: 'batch_timeout',
+              message: `Batch ${batchNum + 1} timed out - creating remaining ${count - batchStartIndex} pairs one at a time`
+            });
 
             // Fall back to atomic pairs for remaining items
             const atomicResult = await this.duplicateAdSetsBatchAtomic(
@@ -3326,6 +3444,7 @@ class BatchDuplicationService {
             successfulPairs.push(...atomicResult.successfulPairs);
             failedPairs.push(...atomicResult.failedPairs);
             orphanedAdSets.push(...atomicResult.orphanedAdSets);
+            cancelled = !!atomicResult.cancelled;
 
             break; // Exit batch loop since atomic method handled the rest
           } else {
@@ -3341,6 +3460,38 @@ class BatchDuplicationService {
         }
       }
 
+      // CANCELLED: Return what exists now. Orphan fixes, retries and verification would
+      // create or delete entities behind the user's back - the user decides between
+      // keeping the partial result and rolling it back.
+      if (cancelled) {
+        console.log(`\n🛑 Duplication cancelled: ${successfulPairs.length}/${count} pairs created`);
+        return {
+          success: true,
+          cancelled: true,
+          // Ad sets inferred from their ad have no real ID to record or roll back
+          adSets: successfulPairs.filter(p => !String(p.adSetId).startsWith('inferred-')).map(p => ({
+            id: p.adSetId,
+            name: `${originalAdSet.name} - Copy ${p.pairNumber}`
+          })),
+          ads: successfulPairs.map(p => ({
+            id: p.adId,
+            name: `Ad Copy ${p.pairNumber}`
+          })),
+          operations: count * 2,
+          orphanedAdSets,
+          summary: {
+            totalExpected: count,
+            totalSuccess: successfulPairs.length,
+            totalAdSetsCreated: successfulPairs.length,
+            totalAdsCreated: successfulPairs.length,
+            totalFailed: failedPairs.length,
+            totalOrphaned: orphanedAdSets.length,
+            hasFailures: failedPairs.length > 0,
+            hasOrphans: orphanedAdSets.length > 0
+          }
+        };
+      }
+
       // IMMEDIATE END-OF-BATCH CHECK: Right after all batches complete, do a quick orphan check
       // This runs immediately before any other processing, while we have the best chance of API quota
       console.log(`\n🔍 IMMEDIATE POST-BATCH CHECK: Verifying all ad sets have ads...`);
@@ -3606,7 +3757,7 @@ class BatchDuplicationService {
 
           for (const adSet of existingAdSets) {
             // Check for "- Copy N" pattern
-            const copyMatch = adSet.name.match(/- Copy (\d+)$/);
+            const copyMatch = adSet.name.match(COPY_NAME_PATTERN);
             if (copyMatch) {
               const pairNum = parseInt(copyMatch[1], 10);
               existingPairNumbers.add(pairNum);
@@ -3665,6 +3816,7 @@ class BatchDuplicationService {
           // Now retry only the pairs that actually need it
           for (const pairNumber of pairsToRetry) {
             console.log(`  📤 Retrying pair ${pairNumber}...`);
+            this.emitJobEvent(JobEvents.EVENT_TYPES.RETRY, { reason: 'failed_pair', pairNumber });
 
             try {
               // Create atomic batch for this single pair
@@ -3715,6 +3867,7 @@ class BatchDuplicationService {
               if (adSetId && adId) {
                 successfulPairs.push({ adSetId, adId, pairNumber });
                 console.log(`     ✅ Pair ${pairNumber} retry succeeded!`);
+                this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_CREATED, { entityType: 'ad_set', id: adSetId, adId, pairNumber, retried: true });
 
                 // Remove from failedPairs
                 const failIndex = failedPairs.findIndex(p => p.pairNumber === pairNumber);
@@ -3799,7 +3952,7 @@ class BatchDuplicationService {
           );
 
           (adSetsCheckResponse.data?.data || []).forEach(adSet => {
-            const match = adSet.name.match(/- Copy (\d+)$/);
+            const match = adSet.name.match(COPY_NAME_PATTERN);
             if (match) {
               existingCopyNumbers.add(parseInt(match[1]));
             }
@@ -4089,6 +4242,12 @@ class BatchDuplicationService {
 
     for (let i = 0; i < count; i++) {
       const pairNumber = startNumber + i;
+
+      if (this.isCancelRequested()) {
+        console.log(`  🛑 Cancel requested - stopping before pair ${pairNumber}`);
+        return { successfulPairs, failedPairs, orphanedAdSets, cancelled: true };
+      }
+
       console.log(`  📤 Creating pair ${pairNumber}...`);
 
       try {
@@ -4162,6 +4321,7 @@ class BatchDuplicationService {
         if (adSetSuccess && adSuccess) {
           successfulPairs.push({ adSetId, adId, pairNumber });
           console.log(`     ✅ Pair ${pairNumber} complete`);
+          this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_CREATED, { entityType: 'ad_set', id: adSetId, adId, pairNumber });
         } else if (adSetSuccess && !adSuccess) {
           // Orphan - delete immediately
           try {
@@ -4171,8 +4331,10 @@ class BatchDuplicationService {
             orphanedAdSets.push({ adSetId, pairNumber, deleted: false });
           }
           failedPairs.push({ pairNumber, reason: 'ad_creation_failed' });
+          this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_FAILED, { entityType: 'ad', adSetId, pairNumber });
         } else {
           failedPairs.push({ pairNumber, reason: 'ad_set_creation_failed' });
+          this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_FAILED, { entityType: 'ad_set', pairNumber });
         }
 
         // Delay between pairs
@@ -4183,6 +4345,7 @@ class BatchDuplicationService {
       } catch (error) {
         console.error(`     ❌ Pair ${pairNumber} failed: ${error.message}`);
         failedPairs.push({ pairNumber, reason: 'batch_request_failed', error: error.message });
+        this.emitJobEvent(JobEvents.EVENT_TYPES.ENTITY_FAILED, { entityType: 'ad_set', pairNumber, error: error.message });
       }
     }
 
@@ -4216,6 +4379,9 @@ class BatchDuplicationService {
     if (originalAdSet.bid_strategy) {
       body.bid_strategy = originalAdSet.bid_strategy;
     }
+    if (originalAdSet.bid_amount) {
+      body.bid_amount = originalAdSet.bid_amount;
+    }
 
     // Promoted object
     if (originalAdSet.promoted_object) {
@@ -4267,6 +4433,27 @@ class BatchDuplicationService {
       body.is_dynamic_creative = originalAdSet.is_dynamic_creative;
     }
 
+    // Bid ladder: Copy N is the (N+1)th ad set of the launch
+    if (formData?.bidLadder) {
+      body.name = `${originalAdSet.name.replace(/ - (CC|BC) \$[\d.]+$/, '')} - Copy ${copyNumber}`;
+    }
+
+    // Naming convention: the copy is named from the launch's template, not "- Copy N"
+    const conventionName = NamingService.nameFor(formData?.naming, 'adSet', {
+      n: copyNumber + 1,
+      copy: copyNumber,
+      bid: formData?.bidLadder ? getLadderStep(formData.bidLadder, copyNumber).amount : formData?.costCap
+    });
+    if (conventionName) {
+      body.name = conventionName;
+    }
+
+    if (formData?.bidLadder) {
+      applyBidLadder(body, formData.bidLadder, copyNumber, {
+        suffix: !NamingService.hasToken(formData.naming, 'adSet', 'bid')
+      });
+    }
+
     return this.encodeBody(body);
   }
 
@@ -4278,7 +4465,8 @@ class BatchDuplicationService {
     // Get status from campaignData if provided, default to ACTIVE
     const adStatus = campaignData?.status || 'ACTIVE';
     const body = {
-      name: `${campaignName} - Ad Copy ${copyNumber}`,
+      name: NamingService.nameFor(campaignData?.naming, 'ad', { n: copyNumber + 1, copy: copyNumber, editor: campaignData?.editorName }) ||
+        `${campaignName} - Ad Copy ${copyNumber}`,
       adset_id: adSetIdRef,
       status: adStatus // Respect passed status (PAUSED for test campaigns)
     };
@@ -4379,6 +4567,11 @@ class BatchDuplicationService {
       });
     }
 
+    // UTM/tracker parameters rebuilt for this copy (shared posts keep their link)
+    if (campaignData?.urlParams) {
+      applyUrlParams(body, campaignData.urlParams, { n: copyNumber + 1, copy: copyNumber, editor: campaignData.editorName });
+    }
+
     return this.encodeBody(body);
   }
 
@@ -4470,13 +4663,28 @@ class BatchDuplicationService {
       console.log(`   API calls saved: ${sequentialApiCalls - totalApiCalls} (${Math.round(((sequentialApiCalls - totalApiCalls) / sequentialApiCalls) * 100)}% reduction vs sequential)`);
 
       const allResults = [];
+      let cancelled = false;
+
+      // Names that follow a naming convention are re-rendered with the copy number
+      const conventions = this.userId ? await NamingService.getVisibleConventions(this.userId) : [];
+      // URL parameter rules the source was launched with (url_tags are rebuilt per copy)
+      const urlParams = await this.getCampaignUrlParams(campaignId);
 
       // Step 2: Create each campaign copy
       for (let copyIndex = 0; copyIndex < multiplier; copyIndex++) {
         const copyNumber = copyIndex + 1;
-        const campaignCopyName = multiplier > 1
+
+        if (this.isCancelRequested()) {
+          console.log(`\n🛑 Cancel requested - stopping before copy ${copyNumber}/${multiplier}`);
+          cancelled = true;
+          break;
+        }
+        const conventionCopyName = multiplier > 1
+          ? NamingService.renameWith(conventions, baseName, { copy: copyNumber }, 'campaign')
+          : null;
+        const campaignCopyName = conventionCopyName || (multiplier > 1
           ? `${baseName} - Copy ${copyNumber}`
-          : baseName;
+          : baseName);
 
         console.log(`\n🔄 ========================================`);
         console.log(`🔄 Creating copy ${copyNumber}/${multiplier}: "${campaignCopyName}"`);
@@ -4536,7 +4744,8 @@ class BatchDuplicationService {
             const adSetBody = this.prepareAdSetBodyForMultiply(
               adSet,
               createdCampaignId, // ← REAL ID, not batch reference
-              campaignHasCBO
+              campaignHasCBO,
+              NamingService.renameWith(conventions, adSet.name, { copy: copyNumber }, 'adSet')
             );
 
             allOperations.push({
@@ -4551,7 +4760,10 @@ class BatchDuplicationService {
               const ad = adSet.ads.data[0]; // Use first ad as template
               const adBody = this.prepareAdBodyForMultiply(
                 ad,
-                `{result=create-adset-${adSetIndex}:$.id}` // ← Still uses batch reference for ad set
+                `{result=create-adset-${adSetIndex}:$.id}`, // ← Still uses batch reference for ad set
+                NamingService.renameWith(conventions, ad.name, { copy: copyNumber }, 'ad'),
+                urlParams,
+                copyNumber
               );
 
               allOperations.push({
@@ -4580,6 +4792,14 @@ class BatchDuplicationService {
 
         for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
           const batch = batches[batchIndex];
+
+          // Finish this copy's results with what was created so far
+          if (this.isCancelRequested()) {
+            console.log(`\n🛑 Cancel requested - skipping remaining ${batches.length - batchIndex} batch(es) of copy ${copyNumber}`);
+            cancelled = true;
+            break;
+          }
+
           console.log(`\n📤 Batch ${batchIndex + 1}/${batches.length}: ${batch.length} operations`);
 
           try {
@@ -4678,6 +4898,8 @@ class BatchDuplicationService {
           failed: failedOperations.length,
           failedDetails: counts.failedDetails
         });
+
+        if (cancelled) break;
       }
 
       // Final summary
@@ -4696,6 +4918,7 @@ class BatchDuplicationService {
 
       return {
         success: true,
+        cancelled,
         campaigns: allResults,
         summary: {
           requested: multiplier,
@@ -4742,12 +4965,26 @@ class BatchDuplicationService {
     return this.encodeBody(body);
   }
 
+  /**
+   * URL parameter rules stored with a launched campaign (null when it had none)
+   */
+  async getCampaignUrlParams(campaignId) {
+    try {
+      const db = require('../models');
+      return await db.CampaignTracking.getUrlParams(campaignId);
+    } catch (error) {
+      console.warn(`⚠️ Could not load URL parameters for ${campaignId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Prepare ad set body for multiplication
+   * conventionName replaces "- Copy" when the source follows a naming convention
    */
-  prepareAdSetBodyForMultiply(adSet, campaignIdRef, campaignHasCBO = false) {
+  prepareAdSetBodyForMultiply(adSet, campaignIdRef, campaignHasCBO = false, conventionName = null) {
     const body = {
-      name: `${adSet.name} - Copy`,
+      name: conventionName || `${adSet.name} - Copy`,
       campaign_id: campaignIdRef,
       status: 'ACTIVE',
       targeting: JSON.stringify(adSet.targeting),
@@ -4807,10 +5044,12 @@ class BatchDuplicationService {
 
   /**
    * Prepare ad body for multiplication
+   * conventionName replaces "- Copy" when the source follows a naming convention;
+   * urlParams (the source's rules) rebuild url_tags with the copy number
    */
-  prepareAdBodyForMultiply(ad, adSetIdRef) {
+  prepareAdBodyForMultiply(ad, adSetIdRef, conventionName = null, urlParams = null, copyNumber = null) {
     const body = {
-      name: `${ad.name} - Copy`,
+      name: conventionName || `${ad.name} - Copy`,
       adset_id: adSetIdRef,
       status: 'ACTIVE'
     };
@@ -4843,6 +5082,10 @@ class BatchDuplicationService {
     if (ad.url_tags) {
       body.url_tags = ad.url_tags;
     }
+    // Source launched with URL parameter rules: rebuild them for this copy
+    if (urlParams) {
+      applyUrlParams(body, urlParams, { copy: copyNumber });
+    }
 
     return this.encodeBody(body);
   }
@@ -5016,7 +5259,8 @@ class BatchDuplicationService {
           strategyType: context.strategyType || 'batch_duplication',
           metadata: {
             originalIndex: item.originalIndex,
-            batchIndex: item.batchIndex
+            batchIndex: item.batchIndex,
+            jobId: this.jobId
           }
         });
       } catch (trackError) {
@@ -5,6 +5,13 @@ const path = require('path');
 const BatchDuplicationService = require('./batchDuplication');
 const Strategy150DuplicationService = require('./strategy150Duplication');
 const ImageConverter = require('./imageConverter');
+const LaunchPlanner = require('./LaunchPlanner');
+const LeadFormService = require('./LeadFormService');
+const NamingService = require('./NamingService');
+const CreativeStore = require('./CreativeStore');
+const { applyBidLadder, getLadderStep } = require('../utils/bidLadder');
+const { applyUrlParams } = require('../utils/urlParams');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 // Import rotation services for automatic backup app switching
 let appRotationInstance = null;
@@ -24,7 +31,7 @@ const getRotationService = () => {
 
 class FacebookAPI {
   constructor(userCredentials = {}) {
-    this.baseURL = `https://graph.facebook.com/${process.env.FB_API_VERSION}`;
+    this.baseURL = getGraphBaseUrl(process.env.FB_API_VERSION);
     // Use user-specific credentials if provided, otherwise fall back to env (for backwards compatibility)
     this.accessToken = userCredentials.accessToken || process.env.FB_ACCESS_TOKEN;
     this.adAccountId = userCredentials.adAccountId || process.env.FB_AD_ACCOUNT_ID;
@@ -472,6 +479,17 @@ class FacebookAPI {
         finalAdSetName = adSetData.adSetName || adSetData.name || `${adSetData.campaignName} - AdSet Main`;
       }
 
+      // Naming convention replaces the built-in name when it has an ad set template
+      const ladderStep = adSetData.bidLadder ? getLadderStep(adSetData.bidLadder, adSetData.bidLadderIndex || 0) : null;
+      const conventionAdSetName = NamingService.nameFor(adSetData.naming, 'adSet', {
+        n: (adSetData.bidLadderIndex || 0) + 1,
+        copy: 0,
+        bid: ladderStep?.amount ?? adSetData.costCap ?? adSetData.bidAmount
+      });
+      if (conventionAdSetName) {
+        finalAdSetName = conventionAdSetName;
+      }
+
       let params = {
         name: finalAdSetName,
         campaign_id: adSetData.campaignId,
@@ -528,6 +546,11 @@ class FacebookAPI {
         console.log('🔄 Will proceed without promoted_object (safe mode)');
       }
 
+      // Lead ads deliver the Instant Form on Facebook instead of sending traffic out
+      if (adSetData.conversionLocation === 'instant_forms') {
+        params.destination_type = 'ON_AD';
+      }
+
       // Add performance goal if provided
       if (adSetData.performanceGoal) {
         params.performance_goal = adSetData.performanceGoal;
@@ -645,6 +668,14 @@ class FacebookAPI {
         if (bidAmountCents) params.bid_amount = bidAmountCents;
       }
 
+      // Bid ladder: this ad set's own cap and name suffix (the first ad set takes step 0)
+      if (adSetData.bidLadder) {
+        applyBidLadder(params, adSetData.bidLadder, adSetData.bidLadderIndex || 0, {
+          suffix: !NamingService.hasToken(adSetData.naming, 'adSet', 'bid')
+        });
+        console.log(`  🪜 Bid ladder: ${adSetData.bidLadder.bidStrategy} $${params.bid_amount / 100}`);
+      }
+
       // DEBUG: Log what createAdSet received
       console.log('🔍 DEBUG - Inside createAdSet:');
       console.log('  📦 adSetData.spendingLimits:', JSON.stringify(adSetData.spendingLimits, null, 2));
@@ -1157,6 +1188,12 @@ class FacebookAPI {
 
   async createAd(adData) {
     try {
+      // URL parameters with target 'link' go into the link the creative is built from
+      const urlParamTokens = { n: adData.adNumber || 1, copy: 0, editor: adData.dynamicEditorName || adData.editorName };
+      if (adData.urlParams?.target === 'link' && adData.url) {
+        adData = { ...adData, url: applyUrlParams({}, adData.urlParams, urlParamTokens, adData.url) };
+      }
+
       console.log('Creating Ad with App ID from env:', process.env.FB_APP_ID);
       console.log('📋 Ad Data Received:', {
         mediaType: adData.mediaType,
@@ -1184,7 +1221,8 @@ class FacebookAPI {
       // Handle different media types
       if ((adData.mediaType === 'video' || adData.mediaType === 'single_video') && adData.videoId) {
         // Video ad with display link - Create page post first, then use post ID
-        if (adData.displayLink) {
+        // (not for lead ads: the form has to be attached to the ad's own creative)
+        if (adData.displayLink && !adData.leadFormId) {
           try {
             console.log('🎬 Video ad with display link - creating page post first...');
 
@@ -1558,6 +1596,22 @@ class FacebookAPI {
         }
       }
 
+      // Naming convention replaces the built-in name when it has an ad template
+      const conventionAdName = NamingService.nameFor(adData.naming, 'ad', {
+        n: adData.adNumber || 1,
+        copy: 0,
+        editor: adData.dynamicEditorName || adData.editorName
+      });
+      if (conventionAdName) {
+        adName = conventionAdName;
+      }
+
+      // Lead ads: the CTA opens the Instant Form
+      if (adData.leadFormId) {
+        LeadFormService.applyToCreative(creative, adData.leadFormId);
+        console.log('📝 Instant Form attached:', adData.leadFormId);
+      }
+
       // NOTE: degrees_of_freedom_spec with image_cropping REMOVED
       // It was causing 400 errors even on image ads. Will implement user-controlled
       // image cropping before upload instead (like Facebook's Ads Manager UI)
@@ -1570,6 +1624,12 @@ class FacebookAPI {
         access_token: this.accessToken
       };
 
+      // UTM/tracker parameters (target 'url_tags')
+      if (adData.urlParams) {
+        applyUrlParams(params, adData.urlParams, urlParamTokens);
+        if (params.url_tags) console.log('🔗 URL tags:', params.url_tags);
+      }
+
       // Only add tracking_specs if pixel is available
       // Tracking is set at ad set level via promoted_object, so this is redundant
       if (this.pixelId) {
@@ -2259,6 +2319,12 @@ class FacebookAPI {
         throw new Error(`Image file not found: ${imagePath}`);
       }
 
+      // Same bytes already uploaded to this account (creative store)
+      const cachedHash = await this.checkMediaCache(imagePath, 'image');
+      if (cachedHash) {
+        return cachedHash;
+      }
+
       // Prepare image for Facebook (resize/convert if needed)
       const preparedImagePath = await ImageConverter.prepareForFacebook(imagePath);
       if (!preparedImagePath) {
@@ -2322,7 +2388,9 @@ class FacebookAPI {
           if (preparedImagePath !== imagePath && fs.existsSync(preparedImagePath)) {
             fs.unlinkSync(preparedImagePath);
           }
-          
+
+          await this.saveToMediaCache(imagePath, hash, 'image');
+
           return hash;
         }
       }
@@ -2491,6 +2559,8 @@ class FacebookAPI {
         lifetimeBudget: isCBO ? undefined : campaignData.lifetimeBudget, // Skip budget for CBO
         conversionLocation: campaignData.conversionLocation || 'website',
         conversionEvent: campaignData.conversionEvent, // Pass conversion event (Lead/Purchase)
+        bidLadder: campaignData.bidLadder, // Per-ad-set cost/bid cap ladder (step 0)
+        naming: campaignData.naming, // Naming convention for the ad set name
         performanceGoal: campaignData.performanceGoal, // Pass performance goal
         bidStrategy: campaignData.bidStrategy, // Pass bid strategy
         attributionSetting: campaignData.attributionSetting, // Pass attribution setting from user
@@ -2869,6 +2939,10 @@ class FacebookAPI {
             displayLink: variation.displayLink || campaignData.displayLink,
             callToAction: variation.callToAction || campaignData.callToAction || 'LEARN_MORE',
             mediaType: variation.mediaType || campaignData.mediaType || 'single_image',
+            leadFormId: campaignData.leadFormId, // Instant Form for lead ads
+            naming: campaignData.naming, // Naming convention for the ad name
+            urlParams: campaignData.urlParams, // UTM/tracker parameter rules
+            adNumber: i + 1,
             editorName: variationEditorName, // Pass editor name for ad naming
             // Dynamic Text Variations (Facebook's Multiple Text Options)
             dynamicTextEnabled: campaignData.dynamicTextEnabled,
@@ -2901,6 +2975,9 @@ class FacebookAPI {
           displayLink: campaignData.displayLink,
           callToAction: campaignData.callToAction || 'LEARN_MORE',
           mediaType: campaignData.mediaType || 'single_image',
+          leadFormId: campaignData.leadFormId, // Instant Form for lead ads
+          naming: campaignData.naming, // Naming convention for the ad name
+          urlParams: campaignData.urlParams, // UTM/tracker parameter rules
           editorName: campaignData.editorName, // Pass editor name for ad naming
           dynamicEditorName: campaignData.dynamicEditorName, // Pass dynamic creative editor name for ad naming
           fromLibrary: campaignData.fromLibrary, // Pass library flag so createAd knows to use editorName
@@ -3050,6 +3127,8 @@ class FacebookAPI {
         bidStrategy: campaignData.bidStrategy,
         costCap: campaignData.costCap,
         minRoas: campaignData.minRoas,
+        bidLadder: campaignData.bidLadder, // Per-ad-set cost/bid cap ladder (step 0)
+        naming: campaignData.naming, // Naming convention for the ad set name
         objective: campaignData.objective,
         specialAdCategories: campaignData.specialAdCategories,
         // Pass spending limits - check both locations for compatibility
@@ -3183,6 +3262,9 @@ class FacebookAPI {
         callToAction: campaignData.callToAction || 'LEARN_MORE',
         mediaType: campaignData.mediaType || 'single_image',
         publishDirectly: campaignData.publishDirectly,
+        leadFormId: campaignData.leadFormId, // Instant Form for lead ads
+        naming: campaignData.naming, // Naming convention for the ad name
+        urlParams: campaignData.urlParams, // UTM/tracker parameter rules
         editorName: campaignData.editorName, // Pass editor name for ad naming
         fromLibrary: campaignData.fromLibrary, // Pass library flag so createAd knows to use editorName
         // Pass dynamic text variations
@@ -3201,6 +3283,9 @@ class FacebookAPI {
 
       if (!ad || !ad.id) {
         console.warn('⚠️ Ad creation failed - continuing with campaign and adset only');
+      } else if (LaunchPlanner.isPlanning()) {
+        // Dry run: no real ad exists, so there is no post ID to wait for
+        console.log('🧪 Dry run - skipping post ID capture');
       } else {
         console.log('✅ Ad created successfully with ID:', ad.id);
 
@@ -3382,7 +3467,8 @@ class FacebookAPI {
     }
   }
 
-  async duplicateAdSetsWithExistingPost({ campaignId, originalAdSetId, postId, count, formData, userId, progressCallback, adVariationConfig, editorName }) {
+  // shouldCancel: () => Boolean - stop creating ad sets; ads are still created for the ones that exist
+  async duplicateAdSetsWithExistingPost({ campaignId, originalAdSetId, postId, count, formData, userId, progressCallback, adVariationConfig, editorName, shouldCancel }) {
     const results = {
       adSets: [],
       errors: []
@@ -3583,6 +3669,12 @@ class FacebookAPI {
       });
 
       for (let i = 0; i < count; i++) {
+        if (shouldCancel && shouldCancel()) {
+          console.log(`🛑 Cancel requested - stopping after ${i} of ${count} ad set copies`);
+          results.cancelled = true;
+          break;
+        }
+
         let newName = `Ad Set Copy ${i + 1}`; // Default fallback - accessible in catch block
         let newAdSetData = {}; // ✅ FIX: Declare outside try block to prevent ReferenceError in catch block
 
@@ -4838,7 +4930,17 @@ class FacebookAPI {
         }))
       };
 
-      // Update progress: Completed
+      // Update progress: Completed (or cancelled by the user)
+      if (results.cancelled) {
+        updateProgress({
+          completed: newAdSetIds.length,
+          total: count,
+          currentOperation: `Cancelled after ${newAdSetIds.length} of ${count} ad sets`,
+          status: 'cancelled'
+        });
+        return results;
+      }
+
       updateProgress({
         completed: count,
         total: count,
@@ -4910,6 +5012,11 @@ class FacebookAPI {
       return 'QUALITY_CALL';
     }
 
+    // Instant Forms collect leads on Facebook - no pixel involved
+    if (adSetData.conversionLocation === 'instant_forms') {
+      return 'LEAD_GENERATION';
+    }
+
     // CRITICAL: Check if pixel is available for conversion tracking
     // OFFSITE_CONVERSIONS requires a pixel - if missing, fall back to LINK_CLICKS
     const hasPixel = this.pixelId && this.pixelId !== 'NONE';
@@ -4951,6 +5058,9 @@ class FacebookAPI {
     if (adSetData.conversionLocation === 'calls') {
       promotedObject.page_id = this.pageId;
       console.log('  ✅ Using page_id for calls:', this.pageId);
+    } else if (adSetData.conversionLocation === 'instant_forms') {
+      promotedObject.page_id = this.pageId;
+      console.log('  ✅ Using page_id for instant forms:', this.pageId);
     } else if (adSetData.conversionLocation === 'website') {
       // Always ensure we have a pixel ID for website conversions
       if (this.pixelId) {
@@ -5659,7 +5769,10 @@ class FacebookAPI {
   }
 
   // NEW OPTIMIZED: Batch multiplication with Strategy 150 detection
-  async batchMultiplyCampaigns(sourceCampaignId, multiplyCount, updateProgress) {
+  // options.shouldCancel: () => Boolean - stop after the current copy/batch, returns cancelled: true
+  async batchMultiplyCampaigns(sourceCampaignId, multiplyCount, updateProgress, options = {}) {
+    const shouldCancel = options.shouldCancel || (() => false);
+
     console.log('\n🚀 OPTIMIZED CAMPAIGN MULTIPLICATION');
     console.log(`  Source Campaign: ${sourceCampaignId}`);
     console.log(`  Copies to create: ${multiplyCount}`);
@@ -5696,7 +5809,9 @@ class FacebookAPI {
           this.accessToken,
           this.adAccountId,
           this.pageId,
-          this.pixelId
+          this.pixelId,
+          options.userId || null, // Copies of convention-named campaigns are renamed from the owner's conventions
+          { shouldCancel }
         );
 
         const batchResult = await batchService.multiplyCampaignsBatch(
@@ -5708,8 +5823,10 @@ class FacebookAPI {
         // Transform batch result to match expected format
         // Note: batchResult.campaigns contains objects with { campaign: { id, name }, adSets, ads, ... }
         // CRITICAL: Use accurate counts from the result, not assumed values
+        const successfulCopies = batchResult.campaigns.filter(result => result.campaign?.id).length;
         return {
           success: batchResult.success,
+          cancelled: !!batchResult.cancelled,
           method: 'batch_multiplication',
           results: batchResult.campaigns.map((result, index) => ({
             copyNumber: result.copyNumber || index + 1,
@@ -5730,6 +5847,13 @@ class FacebookAPI {
             successfulCopies: batchResult.campaigns.length,
             apiCallsSaved: batchResult.summary?.apiCallsSaved || batchResult.apiCallsSaved,
             method: 'batch_multiplication'
+          },
+          // Same shape as the sequential path - the routes read summary.successful
+          summary: {
+            requested: multiplyCount,
+            successful: successfulCopies,
+            failed: multiplyCount - successfulCopies,
+            apiCallsUsed: batchResult.summary?.totalApiCalls
           }
         };
       }
@@ -5749,10 +5873,18 @@ class FacebookAPI {
       console.log(`  ⏱️  Wait time between copies: ${WAIT_BETWEEN_COPIES/1000} seconds`);
       console.log(`  ⏱️  Estimated total time: ${Math.ceil((multiplyCount * 3 + (multiplyCount - 1) * WAIT_BETWEEN_COPIES/60)/60)} minutes\n`);
 
+      let cancelled = false;
+
       // Process copies one by one
       for (let copyIndex = 0; copyIndex < multiplyCount; copyIndex++) {
         const copyNumber = copyIndex + 1;
 
+        if (shouldCancel()) {
+          console.log(`  🛑 Cancel requested - stopping before copy ${copyNumber}`);
+          cancelled = true;
+          break;
+        }
+
         console.log(`\n📦 Processing copy ${copyNumber} of ${multiplyCount}...`);
         console.log(`  🚀 Copy ${copyNumber}: Starting...`);
 
@@ -5809,8 +5941,8 @@ class FacebookAPI {
           });
         }
 
-        // Wait before next copy (except for last one)
-        if (copyIndex < multiplyCount - 1) {
+        // Wait before next copy (except for last one, or when the job is being cancelled)
+        if (copyIndex < multiplyCount - 1 && !shouldCancel()) {
           console.log(`  ⏱️  Waiting ${WAIT_BETWEEN_COPIES/1000} seconds before next copy to avoid rate limits...`);
           await new Promise(resolve => setTimeout(resolve, WAIT_BETWEEN_COPIES));
           console.log(`  ✅ Wait complete, proceeding to next copy...`);
@@ -5827,7 +5959,8 @@ class FacebookAPI {
       console.log(`  📈 Total campaigns created: ${results.length}`);
 
       return {
-        success: results.length > 0,
+        success: results.length > 0 || cancelled,
+        cancelled,
         method: 'direct_duplication',
         results,
         errors,
@@ -7988,75 +8121,18 @@ class FacebookAPI {
   }
 
   /**
-   * Check media cache for existing upload
+   * Check the creative store for this file in this ad account
    * This is OPTIONAL - failures don't affect upload flow
    * @param {string} filePath - Path to the media file
    * @param {string} type - 'video' or 'image'
-   * @returns {Promise<string|null>} - Cached media ID or null
+   * @returns {Promise<string|null>} - Video ID / image hash the account already has, or null
    */
   async checkMediaCache(filePath, type = 'video') {
-    try {
-      const crypto = require('crypto');
-      const cacheDir = path.join(process.cwd(), '.media_cache');
-
-      // Create cache directory if it doesn't exist
-      if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
-      }
-
-      // Calculate file hash
-      const fileBuffer = fs.readFileSync(filePath);
-      const hash = crypto.createHash('md5').update(fileBuffer).digest('hex');
-      const cacheFile = path.join(cacheDir, `${hash}.json`);
-
-      // Check if cache file exists
-      if (!fs.existsSync(cacheFile)) {
-        return null;
-      }
-
-      // Read cache data
-      const cacheData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-
-      // Check if cache is still valid (24 hours)
-      const age = Date.now() - cacheData.timestamp;
-      if (age > 24 * 60 * 60 * 1000) {
-        // Cache too old, delete it
-        fs.unlinkSync(cacheFile);
-        return null;
-      }
-
-      // Verify the media still exists on Facebook
-      const mediaId = cacheData.mediaId;
-      try {
-        if (type === 'video') {
-          // Quick check if video exists
-          const response = await axios.get(
-            `${this.baseURL}/${mediaId}`,
-            {
-              params: {
-                fields: 'id',
-                access_token: this.accessToken
-              },
-              timeout: 5000 // Quick timeout for cache check
-            }
-          );
-          if (response.data?.id) {
-            console.log(`  ✅ Cache hit! Video ${mediaId} verified on Facebook`);
-            return mediaId;
-          }
-        } else {
-          // For images, we can't easily verify, so trust the cache
-          console.log(`  ✅ Cache hit! Using cached image hash`);
-          return mediaId;
-        }
-      } catch (verifyError) {
-        // If verification fails, invalidate cache
-        fs.unlinkSync(cacheFile);
-        return null;
-      }
-
-      return null;
+    // Dry runs must not read (or verify against) the store - planned uploads have no real IDs
+    if (LaunchPlanner.isPlanning()) return null;
 
+    try {
+      return await CreativeStore.findInAccount(filePath, type, this);
     } catch (error) {
       // Any error in cache checking is non-fatal
       console.log(`  ℹ️ Cache check skipped: ${error.message}`);
@@ -8065,53 +8141,21 @@ class FacebookAPI {
   }
 
   /**
-   * Save media ID to cache for future use
+   * Record an upload in the creative store for future use (this and other deployments/launches)
    * This is OPTIONAL - failures are ignored
    * @param {string} filePath - Path to the media file
    * @param {string} mediaId - Facebook media ID or hash
    * @param {string} type - 'video' or 'image'
    */
   async saveToMediaCache(filePath, mediaId, type = 'video') {
-    try {
-      const crypto = require('crypto');
-      const cacheDir = path.join(process.cwd(), '.media_cache');
-
-      // Create cache directory if it doesn't exist
-      if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
-      }
-
-      // Calculate file hash
-      const fileBuffer = fs.readFileSync(filePath);
-      const hash = crypto.createHash('md5').update(fileBuffer).digest('hex');
-      const cacheFile = path.join(cacheDir, `${hash}.json`);
-
-      // Save cache data
-      const cacheData = {
-        mediaId,
-        type,
-        filePath: path.basename(filePath),
-        fileSize: fs.statSync(filePath).size,
-        timestamp: Date.now()
-      };
-
-      fs.writeFileSync(cacheFile, JSON.stringify(cacheData, null, 2));
-      console.log(`  💾 Cached ${type} for future use`);
-
-      // Clean old cache files (older than 7 days)
-      const files = fs.readdirSync(cacheDir);
-      for (const file of files) {
-        const filePath = path.join(cacheDir, file);
-        const stat = fs.statSync(filePath);
-        const age = Date.now() - stat.mtime.getTime();
-        if (age > 7 * 24 * 60 * 60 * 1000) {
-          fs.unlinkSync(filePath);
-        }
-      }
+    // A planned upload's ID is fake - never record it
+    if (LaunchPlanner.isPlanning()) return;
 
+    try {
+      await CreativeStore.rememberFile(filePath, type, this.adAccountId, mediaId);
     } catch (error) {
       // Caching errors are non-fatal
-      // Silently ignore
+      console.log(`  ℹ️ Media not cached: ${error.message}`);
     }
   }
 
@@ -8156,32 +8200,34 @@ class FacebookAPI {
 
   /**
    * Update campaign status (ACTIVE or PAUSED)
-   * Used by scheduler to start/pause campaigns
+   * Used by scheduler to start/pause campaigns, ad sets and ads (same Graph call)
    *
-   * @param {String} campaignId - Facebook Campaign ID
+   * @param {String} campaignId - Facebook Campaign, Ad Set or Ad ID
    * @param {String} status - Target status ('ACTIVE' or 'PAUSED')
    * @param {String} accessToken - User's access token (optional, uses instance token if not provided)
+   * @param {String} entityType - 'campaign' | 'adset' | 'ad' (for messages)
    * @returns {Promise<Object>} Result object with success/skip status
    */
-  async updateCampaignStatus(campaignId, status, accessToken = null) {
+  async updateCampaignStatus(campaignId, status, accessToken = null, entityType = 'campaign') {
     const token = accessToken || this.accessToken;
+    const label = { campaign: 'Campaign', adset: 'Ad set', ad: 'Ad' }[entityType] || 'Campaign';
 
     // Validate status
     if (!['ACTIVE', 'PAUSED'].includes(status)) {
       throw new Error(`Invalid status: ${status}. Must be 'ACTIVE' or 'PAUSED'`);
     }
 
-    console.log(`📝 [FB_API] Updating campaign ${campaignId} to ${status}`);
+    console.log(`📝 [FB_API] Updating ${entityType} ${campaignId} to ${status}`);
 
     try {
       // STEP 1: Get current status to avoid redundant updates
       const current = await this.getCampaignStatus(campaignId, token);
 
       if (current.status === status) {
-        console.log(`   ⏭️  Campaign already ${status}, skipping update`);
+        console.log(`   ⏭️  ${label} already ${status}, skipping update`);
         return {
           skipped: true,
-          reason: `Campaign already ${status}`,
+          reason: `${label} already ${status}`,
           currentStatus: current.status
         };
       }
@@ -8202,7 +8248,7 @@ class FacebookAPI {
         }
       );
 
-      console.log(`   ✅ Successfully updated campaign status to ${status}`);
+      console.log(`   ✅ Successfully updated ${entityType} status to ${status}`);
 
       return {
         success: true,
@@ -8211,7 +8257,7 @@ class FacebookAPI {
         newStatus: status
       };
     } catch (error) {
-      console.error(`   ❌ Failed to update campaign status:`, error.response?.data || error.message);
+      console.error(`   ❌ Failed to update ${entityType} status:`, error.response?.data || error.message);
 
       // Enhance error message for common issues
       if (error.response?.data?.error) {
@@ -8219,12 +8265,12 @@ class FacebookAPI {
 
         // Campaign deleted
         if (fbError.code === 100 || fbError.message?.includes('does not exist')) {
-          throw new Error('Campaign no longer exists on Facebook');
+          throw new Error(`${label} no longer exists on Facebook`);
         }
 
         // Permission error
         if (fbError.code === 200 || fbError.message?.includes('permission')) {
-          throw new Error('Insufficient permissions to update campaign. Please reconnect your Facebook account.');
+          throw new Error(`Insufficient permissions to update ${label.toLowerCase()}. Please reconnect your Facebook account.`);
         }
 
         // Token expired
@@ -8236,6 +8282,86 @@ class FacebookAPI {
       throw error;
     }
   }
+
+  /**
+   * Get the Business Manager that owns the ad account
+   * (ad studies are created on the business, not the ad account)
+   *
+   * @returns {Promise<String|null>} Business ID, or null for personal ad accounts
+   */
+  async getAdAccountBusinessId() {
+    try {
+      const response = await axios.get(`${this.baseURL}/act_${this.adAccountId}`, {
+        params: {
+          access_token: this.accessToken,
+          fields: 'business'
+        }
+      });
+
+      return response.data.business?.id || null;
+    } catch (error) {
+      console.error(`❌ Failed to fetch business for ad account ${this.adAccountId}:`, error.response?.data || error.message);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Create a split test (ad study) across existing campaigns
+   *
+   * @param {String} businessId - Business that owns the ad account
+   * @param {Object} studyData - { name, description, startTime, endTime, confidenceLevel,
+   *                               cells: [{ name, treatmentPercentage, campaignIds }] }
+   * @returns {Promise<Object>} { id }
+   */
+  async createAdStudy(businessId, studyData) {
+    try {
+      const params = {
+        access_token: this.accessToken,
+        name: studyData.name,
+        description: studyData.description || '',
+        type: 'SPLIT_TEST',
+        start_time: Math.floor(new Date(studyData.startTime).getTime() / 1000),
+        end_time: Math.floor(new Date(studyData.endTime).getTime() / 1000),
+        confidence_level: studyData.confidenceLevel,
+        cells: JSON.stringify(studyData.cells.map(cell => ({
+          name: cell.name,
+          treatment_percentage: cell.treatmentPercentage,
+          campaigns: cell.campaignIds
+        })))
+      };
+
+      console.log(`🧪 Creating ad study "${studyData.name}" with ${studyData.cells.length} cells`);
+      const response = await axios.post(`${this.baseURL}/${businessId}/ad_studies`, null, { params });
+      console.log(`✅ Ad study created: ${response.data.id}`);
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to create ad study:', error.response?.data || error.message);
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Get a split test (ad study) with its cells
+   *
+   * @param {String} studyId - Ad study ID
+   * @returns {Promise<Object>} Ad study fields from Facebook
+   */
+  async getAdStudy(studyId) {
+    try {
+      const response = await axios.get(`${this.baseURL}/${studyId}`, {
+        params: {
+          access_token: this.accessToken,
+          fields: 'id,name,type,start_time,end_time,confidence_level,cells{id,name,treatment_percentage}'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Failed to fetch ad study ${studyId}:`, error.response?.data || error.message);
+      this.handleError(error);
+    }
+  }
 }
 
 module.exports = FacebookAPI;
\ No newline at end of file
@@ -6,12 +6,13 @@
  */
 
 const axios = require('axios');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 class StatusEnhancer {
   constructor(accessToken) {
     this.accessToken = accessToken;
     this.apiVersion = 'v18.0';
-    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.baseUrl = getGraphBaseUrl(this.apiVersion);
   }
 
   /**
@@ -1,4 +1,7 @@
 const axios = require('axios');
+const db = require('../models');
+const { getGraphBaseUrl } = require('../config/graphApi');
+const { applyUrlParams } = require('../utils/urlParams');
 
 /**
  * Strategy 1-50-1 Based Duplication Service
@@ -19,7 +22,8 @@ class Strategy150DuplicationService {
     this.adAccountId = adAccountId;
     this.pageId = pageId;
     this.pixelId = pixelId;
-    this.baseURL = 'https://graph.facebook.com/v18.0';
+    this.baseURL = getGraphBaseUrl('v18.0');
+    this.urlParams = null; // Source campaign's URL parameter rules, loaded by duplicateCampaign
   }
 
   /**
@@ -49,6 +53,9 @@ class Strategy150DuplicationService {
 
       console.log(`✅ Found post ID: ${postId}`);
 
+      // URL parameter rules the source was launched with - rebuilt for every copied ad
+      this.urlParams = await db.CampaignTracking.getUrlParams(campaignId).catch(() => null);
+
       // Step 3: Create copies using the exact 1-50-1 pattern
       for (let copyIndex = 0; copyIndex < copies; copyIndex++) {
         const copyName = copies > 1
@@ -57,7 +64,7 @@ class Strategy150DuplicationService {
 
         console.log(`🔄 Creating copy ${copyIndex + 1}/${copies}: "${copyName}"`);
 
-        const copyResult = await this.createCampaignCopy(campaignData, copyName, postId, editorName);
+        const copyResult = await this.createCampaignCopy(campaignData, copyName, postId, editorName, copyIndex + 1);
 
         // Add original campaign info to result for error reporting
         copyResult.originalCampaignId = campaignId;
@@ -182,7 +189,7 @@ class Strategy150DuplicationService {
   /**
    * Create campaign copy using the exact same structure as 1-50-1
    */
-  async createCampaignCopy(originalCampaign, newName, postId, editorName = null) {
+  async createCampaignCopy(originalCampaign, newName, postId, editorName = null, copyNumber = 1) {
     console.log(`📋 Creating campaign copy using 1-50-1 structure...`);
 
     const errors = [];
@@ -209,7 +216,7 @@ class Strategy150DuplicationService {
       }
 
       // Step 5: Create ads in each ad set using 1-50-1 pattern
-      const adsResult = await this.createAdsInAdSets(adSets, postId, newName, editorName);
+      const adsResult = await this.createAdsInAdSets(adSets, postId, newName, editorName, copyNumber);
       ads = adsResult.ads;
       if (adsResult.errors && adsResult.errors.length > 0) {
         errors.push(...adsResult.errors);
@@ -381,7 +388,7 @@ class Strategy150DuplicationService {
   /**
    * Create ads in ad sets using sequential API calls (proven to work)
    */
-  async createAdsInAdSets(adSets, postId, campaignName, editorName = null) {
+  async createAdsInAdSets(adSets, postId, campaignName, editorName = null, copyNumber = 1) {
     console.log(`📋 Creating ads using sequential API calls...`);
     console.log(`📍 Using existing post ID: ${postId}`);
 
@@ -418,6 +425,10 @@ class Strategy150DuplicationService {
         access_token: this.accessToken
       };
 
+      if (this.urlParams) {
+        applyUrlParams(adData, this.urlParams, { n: i + 1, copy: copyNumber, editor: editorName });
+      }
+
       try {
         console.log(`⏳ Creating Ad ${i + 1}/${adSets.length} for AdSet ${adSet.id}...`);
         console.log(`🔍 DEBUG - Ad creative data:`, {
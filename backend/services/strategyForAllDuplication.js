@@ -1,4 +1,7 @@
 const axios = require('axios');
+const db = require('../models');
+const { getGraphBaseUrl } = require('../config/graphApi');
+const { applyUrlParams } = require('../utils/urlParams');
 
 /**
  * Strategy For All Based Duplication Service
@@ -19,7 +22,8 @@ class StrategyForAllDuplicationService {
     this.adAccountId = adAccountId;
     this.pageId = pageId;
     this.pixelId = pixelId;
-    this.baseURL = 'https://graph.facebook.com/v18.0';
+    this.baseURL = getGraphBaseUrl('v18.0');
+    this.urlParams = null; // Source campaign's URL parameter rules, loaded by duplicateCampaign
   }
 
   /**
@@ -62,6 +66,9 @@ class StrategyForAllDuplicationService {
 
       console.log(`✅ Found post ID: ${postId}`);
 
+      // URL parameter rules the source was launched with - rebuilt for every copied ad
+      this.urlParams = await db.CampaignTracking.getUrlParams(campaignId).catch(() => null);
+
       // Calculate budget per ad set
       const budgetPerAdSet = totalBudget ? (totalBudget / finalAdSetCount) : 1;
       console.log(`💵 Budget per ad set: $${budgetPerAdSet.toFixed(2)}`);
@@ -80,7 +87,8 @@ class StrategyForAllDuplicationService {
           postId,
           finalAdSetCount,
           budgetPerAdSet,
-          editorName
+          editorName,
+          copyIndex + 1
         );
 
         // Add original campaign info to result for error reporting
@@ -276,7 +284,7 @@ class StrategyForAllDuplicationService {
    * @param {number} budgetPerAdSet - Budget per ad set in dollars
    * @param {string} editorName - Optional editor name for ad naming convention
    */
-  async createCampaignCopy(originalCampaign, newName, postId, adSetCount = 49, budgetPerAdSet = 1, editorName = null) {
+  async createCampaignCopy(originalCampaign, newName, postId, adSetCount = 49, budgetPerAdSet = 1, editorName = null, copyNumber = 1) {
     console.log(`📋 Creating campaign copy using for-all structure...`);
     console.log(`📊 Creating ${adSetCount} ad sets with $${budgetPerAdSet.toFixed(2)} budget each`);
 
@@ -312,7 +320,7 @@ class StrategyForAllDuplicationService {
       }
 
       // Step 5: Create ads in each ad set using for-all pattern
-      const adsResult = await this.createAdsInAdSets(adSets, postId, newName, editorName);
+      const adsResult = await this.createAdsInAdSets(adSets, postId, newName, editorName, copyNumber);
       ads = adsResult.ads;
       if (adsResult.errors && adsResult.errors.length > 0) {
         errors.push(...adsResult.errors);
@@ -577,7 +585,7 @@ class StrategyForAllDuplicationService {
    * @param {string} campaignName - Campaign name for ad naming convention
    * @param {string} editorName - Optional editor name for ad naming convention
    */
-  async createAdsInAdSets(adSets, postId, campaignName, editorName = null) {
+  async createAdsInAdSets(adSets, postId, campaignName, editorName = null, copyNumber = 1) {
     console.log(`📋 Creating ads using sequential API calls...`);
     console.log(`📍 Using existing post ID: ${postId}`);
     console.log(`📝 Editor name: ${editorName || 'none (local upload)'}`);
@@ -615,6 +623,10 @@ class StrategyForAllDuplicationService {
         access_token: this.accessToken
       };
 
+      if (this.urlParams) {
+        applyUrlParams(adData, this.urlParams, { n: i + 1, copy: copyNumber, editor: editorName });
+      }
+
       let success = false;
       let retryCount = 0;
       const maxRetries = 2;
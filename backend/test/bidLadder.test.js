@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveBidLadder, getLadderStep, applyBidLadder } = require('../utils/bidLadder');
+
+test('a range is split into one amount per ad set', () => {
+  assert.deepEqual(resolveBidLadder({ type: 'cost_cap', from: 10, to: 20 }, 5).amounts, [10, 12.5, 15, 17.5, 20]);
+  assert.deepEqual(resolveBidLadder({ type: 'cost_cap', from: '$7', to: '$7' }, 1).amounts, [7]);
+  assert.equal(resolveBidLadder(null, 5), null);
+  assert.equal(resolveBidLadder({}, 5), null);
+});
+
+test('invalid ladders are rejected', () => {
+  assert.throws(() => resolveBidLadder({ type: 'target_cost', from: 1, to: 2 }, 3), /must be one of/);
+  assert.throws(() => resolveBidLadder({ type: 'cost_cap', values: [] }, 3), /at least one amount/);
+  assert.throws(() => resolveBidLadder({ type: 'cost_cap', values: [1, 2, 3] }, 2), /only has 2 ad sets/);
+  assert.throws(() => resolveBidLadder({ type: 'bid_cap', from: 5 }, 3), /both from and to/);
+  assert.throws(() => resolveBidLadder({ type: 'bid_cap', values: [5, 0] }, 3), /positive dollar values/);
+});
+
+test('explicit values repeat when the launch has more ad sets', () => {
+  const ladder = resolveBidLadder({ type: 'bid_cap', values: ['$5', 7.5] }, 4);
+  assert.deepEqual([0, 1, 2, 3].map(index => getLadderStep(ladder, index).amount), [5, 7.5, 5, 7.5]);
+  assert.equal(getLadderStep(ladder, 1).suffix, ' - BC $7.50');
+});
+
+test('the bid strategy moves to the ad set only when it has its own budget', () => {
+  const ladder = resolveBidLadder({ type: 'cost_cap', values: [25] }, 1);
+
+  const withBudget = applyBidLadder({ name: 'AdSet 1', daily_budget: 5000, bid_cap: 100 }, ladder, 0);
+  assert.deepEqual(withBudget, { name: 'AdSet 1 - CC $25', daily_budget: 5000, bid_amount: 2500, bid_strategy: 'COST_CAP' });
+
+  const campaignBudget = applyBidLadder({ name: 'AdSet 1 - CC $25', bid_strategy: 'LOWEST_COST_WITHOUT_CAP' }, ladder, 0, { suffix: false });
+  assert.deepEqual(campaignBudget, { name: 'AdSet 1 - CC $25', bid_amount: 2500 });
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const bulkLaunches = new Map();
+const queueEntries = new Map();
+
+require.cache[require.resolve('../models')] = {
+  exports: {
+    BulkLaunch: { findByPk: async id => bulkLaunches.get(id) || null },
+    RequestQueue: { findAll: async ({ where }) => where.id.map(id => queueEntries.get(id)).filter(Boolean) }
+  }
+};
+
+const BulkLaunchService = require('../services/BulkLaunchService');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const csv = rows => Buffer.from(rows.map(row => row.join(',')).join('\n'));
+
+test('spreadsheet headers are matched through their aliases', () => {
+  const { rows, unknownColumns } = BulkLaunchService.parseSpreadsheet(csv([
+    ['Campaign Name', 'Daily_Budget', 'Landing Page URL', 'Notes'],
+    ['Solar TX', '"$1,250.50"', 'https://example.com', 'ignored'],
+    ['', '', '', ''],
+    ['Solar CA', '90', 'https://example.com/ca', '']
+  ]));
+
+  assert.deepEqual(unknownColumns, ['Notes']);
+  assert.deepEqual(rows, [
+    { rowNumber: 2, values: { campaignName: 'Solar TX', budget: '1250.5', url: 'https://example.com' } },
+    { rowNumber: 4, values: { campaignName: 'Solar CA', budget: '90', url: 'https://example.com/ca' } }
+  ]);
+});
+
+test('date cells keep the wall-clock time typed in the sheet', () => {
+  const sheet = XLSX.utils.aoa_to_sheet([['Campaign Name', 'Start Date'], ['Dated', 46023.375]]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Sheet1');
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+  const { rows } = BulkLaunchService.parseSpreadsheet(buffer);
+  assert.equal(rows[0].values.startDate, '2026-01-01T09:00');
+});
+
+test('every row is validated before anything is launched', () => {
+  const mediaFiles = [{ originalname: 'Solar.jpg', path: '/uploads/abc.jpg' }];
+  const { valid, rows } = BulkLaunchService.validateRows([
+    { rowNumber: 2, values: { campaignName: 'Solar TX', budget: '100', states: 'Texas', primaryText: 'Text', headline: 'Head', url: 'https://example.com', media: 'solar.jpg' } },
+    { rowNumber: 3, values: { campaignName: 'solar tx', budget: 'ten', states: 'Atlantis', url: 'ftp://example.com', media: 'missing.png' } }
+  ], { strategy: 'strategy-150', mediaFiles, pageId: 'page', adAccountId: '1' });
+
+  assert.equal(valid, false);
+  assert.deepEqual(rows[0].errors, []);
+  assert.equal(rows[0].campaignData.imagePath, '/uploads/abc.jpg');
+  assert.deepEqual(rows[0].campaignData.targeting.locations, { states: ['TX'] });
+  assert.equal(rows[0].campaignData.dailyBudget, 100);
+
+  assert.deepEqual(rows[1].errors, [
+    'Duplicate campaign name (also on row 2)',
+    'Invalid budget: ten',
+    'Unknown state: Atlantis',
+    'Primary text is required',
+    'Headline is required',
+    'Invalid URL: ftp://example.com',
+    'Media file "missing.png" was not uploaded with the spreadsheet'
+  ]);
+});
+
+test('finished rows delete their uploads unless a waiting row uses the same file', async (t) => {
+  const shared = path.join(UPLOADS_DIR, `bulk-test-shared-${process.pid}.jpg`);
+  const own = path.join(UPLOADS_DIR, `bulk-test-own-${process.pid}.jpg`);
+  const outside = path.join(os.tmpdir(), `bulk-test-outside-${process.pid}.jpg`);
+  [shared, own, outside].forEach(file => fs.writeFileSync(file, 'image'));
+  t.after(() => [shared, own, outside].forEach(file => fs.rmSync(file, { force: true })));
+
+  const entry = (id, status, imagePath) => queueEntries.set(id, { id, status, requestData: { body: { campaignData: { imagePath } } } });
+  entry(1, 'processing', own);
+  entry(2, 'processing', shared);
+  entry(3, 'queued', shared);
+  entry(4, 'failed', outside);
+  bulkLaunches.set(10, { totalRows: 4, rows: [1, 2, 3, 4].map(queueId => ({ queueId })) });
+
+  await BulkLaunchService.releaseMedia(10, 1);
+  assert.equal(fs.existsSync(own), false);
+  assert.equal(fs.existsSync(shared), true);
+  // Only files in the uploads directory are ever deleted
+  assert.equal(fs.existsSync(outside), true);
+
+  entry(2, 'completed', shared);
+  await BulkLaunchService.releaseMedia(10, 3);
+  assert.equal(fs.existsSync(shared), false);
+});
+
+test('media is kept while the bulk launch is still queueing rows', async (t) => {
+  const file = path.join(UPLOADS_DIR, `bulk-test-queueing-${process.pid}.jpg`);
+  fs.writeFileSync(file, 'image');
+  t.after(() => fs.rmSync(file, { force: true }));
+
+  queueEntries.set(20, { id: 20, status: 'processing', requestData: { body: { campaignData: { imagePath: file } } } });
+  bulkLaunches.set(11, { totalRows: 3, rows: [{ queueId: 20 }] });
+
+  await BulkLaunchService.releaseMedia(11, 20);
+  assert.equal(fs.existsSync(file), true);
+});
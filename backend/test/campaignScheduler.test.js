@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+// Schedule logs are recorded here - keep the real models (and their DB) out
+const logs = [];
+require.cache[require.resolve('../models')] = {
+  exports: {
+    CampaignScheduleLog: {
+      createLog: async (scheduleId, action, status, message) => logs.push({ scheduleId, action, status, message })
+    }
+  }
+};
+
+const FacebookAPI = require('../services/facebookApi');
+const CampaignSchedulerService = require('../services/CampaignSchedulerService');
+
+function fakeSchedule(fields = {}) {
+  const schedule = {
+    id: 1,
+    campaign_id: 'campaign_1',
+    campaign_name: 'Spring',
+    entity_type: 'campaign',
+    entity_id: 'campaign_1',
+    is_enabled: true,
+    timezone: 'America/New_York',
+    time_windows: [{ start: '09:00', end: '17:00', days: ['monday'] }],
+    budget_actions: [],
+    facebookAuth: { accessToken: 'token' },
+    successes: [],
+    failures: [],
+    ...fields
+  };
+  schedule.getLabel = () => `${schedule.entity_type} ${schedule.entity_id}`;
+  schedule.recordSuccess = async (action) => schedule.successes.push(action);
+  schedule.recordFailure = async (error) => schedule.failures.push(error.message);
+  schedule.reload = async () => schedule;
+  schedule.update = async (changes) => Object.assign(schedule, changes);
+  schedule.updateNextExecutionTimes = async (nextStart, nextPause) =>
+    Object.assign(schedule, { next_scheduled_start: nextStart, next_scheduled_pause: nextPause });
+  return schedule;
+}
+
+test('an ad set schedule pauses only its ad set', async (t) => {
+  CampaignSchedulerService.statusCache.clear();
+  const update = t.mock.method(FacebookAPI.prototype, 'updateCampaignStatus', async () => ({ data: { success: true } }));
+  const schedule = fakeSchedule({ entity_type: 'adset', entity_id: 'adset_ca' });
+
+  await CampaignSchedulerService.executeScheduledAction(schedule, 'pause');
+
+  assert.deepEqual(update.mock.calls[0].arguments, ['adset_ca', 'PAUSED', 'token', 'adset']);
+  assert.deepEqual(schedule.successes, ['pause']);
+  assert.equal(CampaignSchedulerService.statusCache.get('adset:adset_ca').status, 'PAUSED');
+  assert.ok(schedule.next_scheduled_start instanceof Date);
+});
+
+test('cached statuses are kept per entity type', async (t) => {
+  CampaignSchedulerService.statusCache.clear();
+  logs.length = 0;
+  const update = t.mock.method(FacebookAPI.prototype, 'updateCampaignStatus', async () => ({ data: { success: true } }));
+  CampaignSchedulerService.statusCache.set('ad:42', { status: 'PAUSED', timestamp: Date.now() });
+
+  // The ad is cached as paused - an ad set with the same ID still gets its call
+  await CampaignSchedulerService.executeScheduledAction(fakeSchedule({ entity_type: 'ad', entity_id: '42' }), 'pause');
+  await CampaignSchedulerService.executeScheduledAction(fakeSchedule({ entity_type: 'adset', entity_id: '42' }), 'pause');
+
+  assert.equal(update.mock.callCount(), 1);
+  assert.equal(update.mock.calls[0].arguments[3], 'adset');
+  assert.deepEqual(logs.map(log => log.status), ['skipped', 'success']);
+});
+
+test('a failed status change forgets the cached status', async (t) => {
+  CampaignSchedulerService.statusCache.clear();
+  t.mock.method(FacebookAPI.prototype, 'updateCampaignStatus', async () => { throw new Error('Rate limited'); });
+  CampaignSchedulerService.statusCache.set('adset:adset_1', { status: 'ACTIVE', timestamp: Date.now() });
+  const schedule = fakeSchedule({ entity_type: 'adset', entity_id: 'adset_1' });
+
+  await CampaignSchedulerService.executeScheduledAction(schedule, 'pause');
+
+  assert.equal(CampaignSchedulerService.statusCache.has('adset:adset_1'), false);
+  assert.deepEqual(schedule.failures, ['Rate limited']);
+});
+
+test('ad set budget actions change only that ad set', async (t) => {
+  t.mock.method(axios, 'get', async () => ({ data: { id: 'adset_1', name: 'CA', daily_budget: '10000' } }));
+  const updateAdSet = t.mock.method(FacebookAPI.prototype, 'updateAdSet', async () => ({ success: true }));
+  const campaignDetails = t.mock.method(FacebookAPI.prototype, 'getCampaignFullDetails', async () => assert.fail('campaign must not be read'));
+  const schedule = fakeSchedule({
+    entity_type: 'adset',
+    entity_id: 'adset_1',
+    next_budget_action_at: new Date('2026-10-19T10:00:00Z')
+  });
+
+  await CampaignSchedulerService.executeBudgetActions(schedule, [{ type: 'increase', percent: 20 }]);
+
+  assert.equal(campaignDetails.mock.callCount(), 0);
+  assert.deepEqual(updateAdSet.mock.calls[0].arguments, ['adset_1', { daily_budget: 12000 }]);
+  assert.deepEqual(schedule.successes, ['budget']);
+});
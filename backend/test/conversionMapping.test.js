@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require.cache[require.resolve('../models')] = { exports: {} };
+
+const FacebookAPI = require('../services/facebookApi');
+const CrossAccountDeploymentService = require('../services/CrossAccountDeploymentService');
+const ConversionMappingService = require('../services/ConversionMappingService');
+const {
+  normalizeConversionMapping,
+  mapPromotedObject,
+  expectedPixelEvent
+} = require('../utils/conversionMapping');
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+/**
+ * Answer Graph API reads from a table of path → response body
+ */
+function stubGraph(t, responses) {
+  t.mock.method(CrossAccountDeploymentService, 'getUserAccessToken', async () => 'token');
+  return t.mock.method(FacebookAPI.prototype, 'makeApiCallWithRotation', async function (method, url) {
+    const path = url.slice(this.baseURL.length + 1);
+    if (!(path in responses)) {
+      throw Object.assign(new Error('Request failed'), {
+        response: { data: { error: { message: `Unsupported get request. Object with ID '${path}' does not exist` } } }
+      });
+    }
+    return { data: responses[path] };
+  });
+}
+
+test('mappings are trimmed and pixel targets must be IDs', () => {
+  assert.deepEqual(normalizeConversionMapping(undefined, 'Target 1'), { mapping: null, errors: [] });
+  assert.deepEqual(
+    normalizeConversionMapping({ pixels: { ' 111 ': ' 222 ' }, events: { LEAD: 'COMPLETE_REGISTRATION' } }, 'Target 1'),
+    { mapping: { pixels: { 111: '222' }, events: { LEAD: 'COMPLETE_REGISTRATION' } }, errors: [] }
+  );
+
+  const { mapping, errors } = normalizeConversionMapping({ pixels: { 111: 'main pixel' }, events: { LEAD: '' } }, 'Target 2');
+  assert.equal(mapping, null);
+  assert.deepEqual(errors, [
+    'Target 2: main pixel is not a pixel ID',
+    'Target 2: conversionMapping.events has no target for LEAD'
+  ]);
+  assert.match(normalizeConversionMapping(['111'], 'Target 3').errors[0], /must be an object/);
+});
+
+test('promoted objects get the mapped pixel and event, or the fallback pixel', () => {
+  const mapping = { pixels: { 111: '222' }, events: { cc_source: 'cc_target' } };
+
+  const mapped = mapPromotedObject({ pixel_id: '111', custom_conversion_id: 'cc_source' }, mapping, '999');
+  assert.deepEqual(mapped.promotedObject, { pixel_id: '222', custom_conversion_id: 'cc_target' });
+  assert.deepEqual(mapped.changes, ['pixel_id: 111 → 222', 'custom_conversion_id: cc_source → cc_target']);
+
+  const fallback = mapPromotedObject({ pixel_id: '333', custom_event_type: 'LEAD' }, mapping, '999');
+  assert.deepEqual(fallback.promotedObject, { pixel_id: '999', custom_event_type: 'LEAD' });
+
+  const removed = mapPromotedObject({ pixel_id: '333', custom_event_type: 'LEAD' }, mapping);
+  assert.deepEqual(removed.promotedObject, { custom_event_type: 'LEAD' });
+  assert.deepEqual(removed.changes, ['pixel_id: 333 → none']);
+});
+
+test('the expected pixel event follows the optimization type', () => {
+  assert.deepEqual(expectedPixelEvent({ pixel_id: 1, custom_event_type: 'COMPLETE_REGISTRATION' }),
+    { pixelId: '1', eventName: 'CompleteRegistration', customConversionId: null });
+  assert.deepEqual(expectedPixelEvent({ pixel_id: 1, custom_event_type: 'OTHER', custom_event_str: 'QuoteStarted' }),
+    { pixelId: '1', eventName: 'QuoteStarted', customConversionId: null });
+  assert.equal(expectedPixelEvent({ pixel_id: 1, custom_conversion_id: 55 }).customConversionId, '55');
+  assert.equal(expectedPixelEvent({ page_id: 'page_1' }), null);
+});
+
+test('a target whose pixel never receives the optimization event blocks the deployment', async (t) => {
+  const api = stubGraph(t, {
+    'campaign_1/adsets': {
+      data: [
+        { name: 'TX', promoted_object: { pixel_id: '111', custom_event_type: 'LEAD' } },
+        { name: 'CA', promoted_object: { pixel_id: '111', custom_event_type: 'LEAD' } }
+      ]
+    },
+    222: { id: '222', last_fired_time: hoursAgo(2) },
+    '222/stats': { data: [{ data: [{ value: 'PageView', count: 900 }, { value: 'Lead', count: 12 }] }] },
+    333: { id: '333', last_fired_time: hoursAgo(2) },
+    '333/stats': { data: [{ data: [{ value: 'PageView', count: 40 }, { value: 'Contact', count: 3 }] }] }
+  });
+
+  const validation = await ConversionMappingService.validateDeployment(7, 'campaign_1', { adAccountId: 'act_1', pixelId: '111' }, [
+    { adAccountId: 'act_2', conversionMapping: { pixels: { 111: '222' } } },
+    { adAccountId: 'act_3', pixelId: '333' }
+  ]);
+
+  assert.equal(validation.valid, false);
+  assert.deepEqual(validation.targets[0].checks, [{
+    adSets: ['TX', 'CA'],
+    pixelId: '222',
+    event: 'Lead',
+    customConversionId: null,
+    mapped: ['pixel_id: 111 → 222'],
+    count: 12,
+    ok: true
+  }]);
+  assert.deepEqual(validation.targets[0].errors, []);
+  assert.deepEqual(validation.targets[1].errors, [
+    'Target 2 (act_3): pixel 333 received no Lead events in the last 7 days (it received: PageView (40), Contact (3)) - map the event with conversionMapping.events'
+  ]);
+  // One ad set read, then a pixel and its stats per target
+  assert.equal(api.mock.callCount(), 5);
+});
+
+test('custom conversions must belong to the target pixel', async (t) => {
+  stubGraph(t, {
+    'campaign_1/adsets': { data: [{ name: 'TX', promoted_object: { pixel_id: '111', custom_conversion_id: 'cc_1' } }] },
+    222: { id: '222', last_fired_time: hoursAgo(2) },
+    '222/stats': { data: [] },
+    cc_1: { id: 'cc_1', pixel: { id: '111' }, last_fired_time: hoursAgo(2) },
+    cc_2: { id: 'cc_2', pixel: { id: '222' }, last_fired_time: hoursAgo(2) }
+  });
+  const source = { adAccountId: 'act_1', pixelId: '111' };
+
+  const unmapped = await ConversionMappingService.validateDeployment(7, 'campaign_1', source, [{ adAccountId: 'act_2', pixelId: '222' }]);
+  assert.deepEqual(unmapped.targets[0].errors, [
+    'Target 1 (act_2): custom conversion cc_1 belongs to pixel 111, not 222 - map it with conversionMapping.events'
+  ]);
+
+  const mapped = await ConversionMappingService.validateDeployment(7, 'campaign_1', source, [
+    { adAccountId: 'act_2', pixelId: '222', conversionMapping: { events: { cc_1: 'cc_2' } } }
+  ]);
+  assert.equal(mapped.valid, true);
+});
+
+test('ad sets lose their pixel when the target has none', async (t) => {
+  stubGraph(t, {
+    'campaign_1/adsets': { data: [{ name: 'TX', promoted_object: { pixel_id: '111', custom_event_type: 'LEAD' } }] }
+  });
+
+  const validation = await ConversionMappingService.validateDeployment(7, 'campaign_1', { adAccountId: 'act_1', pixelId: '111' }, [
+    { adAccountId: 'act_2' }
+  ]);
+
+  assert.deepEqual(validation.targets[0].errors, [
+    'Target 1 (act_2): ad sets optimize for pixel 111 but the target has no pixel - set pixelId or conversionMapping.pixels'
+  ]);
+});
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Op } = require('sequelize');
+
+// Quiet the store's logs (see deploymentRollback.test.js)
+test.mock.method(console, 'log', () => {});
+
+// Assets and their per-account IDs live in memory here - keep the real models (and their DB) out
+const assets = [];
+const accounts = [];
+const matches = (row, where) => Object.entries(where).every(([field, value]) => {
+  if (value?.[Op.ne] !== undefined) return row[field] !== value[Op.ne];
+  if (value?.[Op.lt] !== undefined) return row[field] < value[Op.lt];
+  return row[field] === value;
+});
+function addRow(table, fields) {
+  const row = { id: table.length + 1, ...fields };
+  row.update = async (changes) => Object.assign(row, changes);
+  table.push(row);
+  return row;
+}
+function fakeModel(table) {
+  return {
+    findOne: async ({ where }) => table.find(row => matches(row, where)) || null,
+    findAll: async ({ where }) => table.filter(row => matches(row, where)),
+    findOrCreate: async ({ where, defaults }) => {
+      const existing = table.find(row => matches(row, where));
+      return existing ? [existing, false] : [addRow(table, { ...where, ...defaults }), true];
+    },
+    destroy: async ({ where }) => {
+      const kept = table.filter(row => !matches(row, where));
+      const removed = table.length - kept.length;
+      table.splice(0, table.length, ...kept);
+      return removed;
+    }
+  };
+}
+const CreativeAssetAccount = fakeModel(accounts);
+require.cache[require.resolve('../models')] = {
+  exports: {
+    CreativeAsset: fakeModel(assets),
+    CreativeAssetAccount: {
+      ...CreativeAssetAccount,
+      // include: [{ model: CreativeAsset, as: 'asset' }]
+      findOne: async (options) => {
+        const row = await CreativeAssetAccount.findOne(options);
+        if (row && options.include) row.asset = assets.find(asset => asset.id === row.assetId) || null;
+        return row;
+      }
+    }
+  }
+};
+
+const CreativeStore = require('../services/CreativeStore');
+
+const STORE_DIR = path.join(__dirname, '../uploads/creative-store');
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+/**
+ * Media files with unique bytes; their stored copies are removed after the test
+ */
+function tempMedia(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'creative-store-'));
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    assets.forEach(asset => {
+      const prefixDir = path.join(STORE_DIR, asset.fileHash.slice(0, 2));
+      fs.readdirSync(prefixDir)
+        .filter(file => file.startsWith(asset.fileHash))
+        .forEach(file => fs.rmSync(path.join(prefixDir, file)));
+      // Drop the hash prefix directory unless other files share it
+      if (fs.readdirSync(prefixDir).length === 0) fs.rmdirSync(prefixDir);
+    });
+  });
+  return (name, bytes = crypto.randomBytes(64)) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, bytes);
+    return file;
+  };
+}
+
+/**
+ * Ad account API whose media reads answer from a set of existing IDs
+ */
+function fakeApi(adAccountId, existing) {
+  const api = {
+    adAccountId,
+    accessToken: 'token',
+    baseURL: 'https://graph.test',
+    reads: 0,
+    makeApiCallWithRotation: async (method, url, { params }) => {
+      api.reads++;
+      if (url.endsWith('/adimages')) {
+        return { data: { data: JSON.parse(params.hashes).filter(hash => existing.has(hash)).map(hash => ({ hash })) } };
+      }
+      const id = url.split('/').pop();
+      if (!existing.has(id)) throw new Error('Unsupported get request');
+      return { data: { id } };
+    }
+  };
+  return api;
+}
+
+function reset() {
+  assets.length = 0;
+  accounts.length = 0;
+}
+
+test('the same bytes are stored once, whatever the file is called', async (t) => {
+  reset();
+  const media = tempMedia(t);
+  const bytes = crypto.randomBytes(64);
+  const original = media('spring.MP4', bytes);
+
+  const asset = await CreativeStore.put(original, 'video');
+  fs.rmSync(original);
+  const again = await CreativeStore.put(media('spring copy.mp4', bytes), 'video');
+
+  assert.equal(again, asset);
+  assert.equal(assets.length, 1);
+  assert.equal(asset.fileHash, crypto.createHash('sha256').update(bytes).digest('hex'));
+  assert.equal(asset.storagePath, path.join(asset.fileHash.slice(0, 2), `${asset.fileHash}.mp4`));
+  assert.deepEqual(fs.readFileSync(await CreativeStore.localPath(asset)), bytes);
+});
+
+test('a pruned asset gets its file back on the next put', async (t) => {
+  reset();
+  const media = tempMedia(t);
+  const file = media('banner.png');
+  const asset = await CreativeStore.put(file, 'image');
+  fs.rmSync(await CreativeStore.localPath(asset));
+  await asset.update({ storagePath: null });
+
+  assert.equal(await CreativeStore.localPath(asset), null);
+  assert.equal(await CreativeStore.put(file, 'image'), asset);
+  assert.ok(await CreativeStore.localPath(asset));
+  assert.equal(assets.length, 1);
+});
+
+test('media IDs are remembered per account and reused while they exist', async (t) => {
+  reset();
+  const media = tempMedia(t);
+  const file = media('spring.mp4');
+  const asset = await CreativeStore.rememberFile(file, 'video', 'act_1', 'video_1');
+  await CreativeStore.remember(asset, '2', 'video_2');
+
+  assert.equal(await CreativeStore.findByAccountMedia('1', 'video_1'), asset);
+  assert.equal(await CreativeStore.findInAccount(file, 'video', fakeApi('act_1', new Set(['video_1']))), 'video_1');
+  assert.equal(await CreativeStore.findInAccount(file, 'video', fakeApi('act_3', new Set(['video_1']))), null);
+
+  // Re-uploading replaces the account's ID instead of adding a second one
+  await CreativeStore.remember(asset, 'act_2', 'video_3');
+  assert.deepEqual(accounts.map(row => [row.adAccountId, row.mediaId]), [['1', 'video_1'], ['2', 'video_3']]);
+});
+
+test('media deleted from the account is forgotten', async (t) => {
+  reset();
+  const media = tempMedia(t);
+  const image = media('banner.jpg');
+  const video = media('spring.mp4');
+  await CreativeStore.rememberFile(image, 'image', 'act_1', 'hash_1');
+  await CreativeStore.rememberFile(video, 'video', 'act_1', 'video_1');
+
+  const api = fakeApi('1', new Set());
+  assert.equal(await CreativeStore.findInAccount(image, 'image', api), null);
+  assert.equal(await CreativeStore.findInAccount(video, 'video', api), null);
+  assert.equal(accounts.length, 0);
+
+  // Nothing left to check on Facebook
+  assert.equal(await CreativeStore.findInAccount(video, 'video', api), null);
+  assert.equal(api.reads, 2);
+});
+
+test('unused files are pruned but their account IDs are kept', async (t) => {
+  reset();
+  const media = tempMedia(t);
+  const fresh = await CreativeStore.put(media('fresh.png'), 'image');
+  const stale = await CreativeStore.rememberFile(media('stale.png'), 'image', 'act_1', 'hash_1');
+  const staleFile = await CreativeStore.localPath(stale);
+  await stale.update({ lastUsedAt: daysAgo(31) });
+  CreativeStore.lastPrunedAt = 0;
+
+  assert.equal(await CreativeStore.prune(), 1);
+  assert.equal(fs.existsSync(staleFile), false);
+  assert.equal(stale.storagePath, null);
+  assert.ok(await CreativeStore.localPath(fresh));
+  assert.equal(await CreativeStore.findByAccountMedia('act_1', 'hash_1'), stale);
+
+  // At most once an hour
+  await fresh.update({ lastUsedAt: daysAgo(31) });
+  assert.equal(await CreativeStore.prune(), 0);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+
+// Deferred launch rows live in memory here - keep the real models (and their DB) out
+const rows = [];
+const matches = (row, where) => Object.entries(where).every(([field, value]) => {
+  if (value?.[Op.lt] !== undefined) return row[field] < value[Op.lt];
+  if (value?.[Op.lte] !== undefined) return row[field] <= value[Op.lte];
+  return row[field] === value;
+});
+require.cache[require.resolve('../models')] = {
+  exports: {
+    DeferredLaunch: {
+      findAll: async ({ where }) => rows.filter(row => matches(row, where)),
+      update: async (changes, { where }) => {
+        const updated = rows.filter(row => matches(row, where));
+        updated.forEach(row => Object.assign(row, changes));
+        return [updated.length];
+      }
+    },
+    FacebookAuth: {
+      findOne: async () => ({ accessToken: 'token' })
+    }
+  }
+};
+
+const AuditService = require('../services/AuditService');
+const SafetyChecks = require('../services/SafetyChecks');
+const StrategyEngine = require('../services/StrategyEngine');
+const DeferredLaunchService = require('../services/DeferredLaunchService');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+function addRow(fields) {
+  const row = {
+    id: rows.length + 1,
+    userId: 7,
+    strategy: '1-50-1',
+    adAccountId: '1',
+    pageId: 'page_1',
+    campaignName: `Launch ${rows.length + 1}`,
+    campaignData: { campaignName: `Launch ${rows.length + 1}` },
+    adSetCount: 50,
+    numberOfCampaigns: 1,
+    ...fields
+  };
+  row.update = async (changes) => Object.assign(row, changes);
+  rows.push(row);
+  return row;
+}
+
+function stubFinish(t) {
+  t.mock.method(AuditService, 'log', async () => null);
+  t.mock.method(DeferredLaunchService, 'removeMedia', async () => {});
+}
+
+test('custom budgets and ad variations are refused up front', () => {
+  assert.doesNotThrow(() => DeferredLaunchService.assertDeferrable({ duplicationSettings: { adSetCount: 49 } }));
+  assert.throws(
+    () => DeferredLaunchService.assertDeferrable({ duplicationSettings: { budgetDistributionType: 'custom' } }),
+    /custom ad set budgets can't be deferred/
+  );
+  assert.throws(
+    () => DeferredLaunchService.assertDeferrable({ customBudgets: [5, 5], adVariationConfig: { variations: [{}] } }),
+    /custom ad set budgets or ad variations/
+  );
+});
+
+test('launch times are local to the timezone and must be within the allowed window', () => {
+  const local = DateTime.now().setZone('Asia/Tokyo').plus({ days: 2 }).set({ hour: 0, minute: 1 });
+  const launchAt = DeferredLaunchService.resolveLaunchAt(local.toFormat("yyyy-MM-dd'T'HH:mm"), 'Asia/Tokyo');
+  assert.equal(launchAt.toISOString(), local.set({ second: 0, millisecond: 0 }).toUTC().toISO());
+
+  const tooLate = DateTime.now().plus({ days: 61 }).toFormat("yyyy-MM-dd'T'HH:mm");
+  assert.throws(() => DeferredLaunchService.resolveLaunchAt(tooLate, 'UTC'), /more than 60 days ahead/);
+  assert.throws(() => DeferredLaunchService.resolveLaunchAt('2020-01-01T00:01', 'UTC'), /at least 1 minute in the future/);
+  assert.throws(() => DeferredLaunchService.resolveLaunchAt('tomorrow', 'UTC'), /date and time/);
+  assert.throws(() => DeferredLaunchService.resolveLaunchAt('2026-12-24T00:01', 'Mars/Base'), /Unknown timezone/);
+});
+
+test('copies of a campaign become campaigns of one structure', () => {
+  const structure = DeferredLaunchService.buildStructure('1-50-1', 50, 3);
+  assert.equal(structure.campaigns, 3);
+  assert.equal(structure.naming.campaign, '{name} - Copy {n}');
+  assert.throws(() => DeferredLaunchService.buildStructure('1-50-1', 50, 0), /numberOfCampaigns/);
+});
+
+test('the per-minute check fails launches left launching by a crashed process', async (t) => {
+  rows.length = 0;
+  stubFinish(t);
+  const launch = t.mock.method(DeferredLaunchService, 'launch', async () => {});
+  const stale = addRow({ status: 'launching', startedAt: minutesAgo(45), launchAt: minutesAgo(46) });
+  const running = addRow({ status: 'launching', startedAt: minutesAgo(5), launchAt: minutesAgo(6) });
+
+  await DeferredLaunchService.launchDue();
+
+  assert.equal(stale.status, 'failed');
+  assert.match(stale.error, /Interrupted/);
+  assert.equal(running.status, 'launching');
+  assert.equal(launch.mock.callCount(), 0);
+  assert.equal(AuditService.log.mock.calls[0].arguments[0].details.deferredLaunchId, stale.id);
+});
+
+test('due launches are claimed once and launches missed by too long are not run', async (t) => {
+  rows.length = 0;
+  stubFinish(t);
+  const launch = t.mock.method(DeferredLaunchService, 'launch', async () => {});
+  const due = addRow({ status: 'scheduled', launchAt: minutesAgo(1) });
+  const missed = addRow({ status: 'scheduled', launchAt: minutesAgo(600) });
+  const later = addRow({ status: 'scheduled', launchAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+  await DeferredLaunchService.launchDue();
+
+  assert.deepEqual(launch.mock.calls.map(call => call.arguments[0].id), [due.id]);
+  assert.equal(due.status, 'launching');
+  assert.equal(missed.status, 'failed');
+  assert.match(missed.error, /Missed launch time by 600 minutes/);
+  assert.equal(later.status, 'scheduled');
+});
+
+test('a launch blocked by the pre-creation checks creates nothing', async (t) => {
+  rows.length = 0;
+  stubFinish(t);
+  t.mock.method(SafetyChecks, 'verifyPreCreationState', async () => ({ canProceed: false, reasons: ['Duplicate campaign name'], id: 3 }));
+  t.mock.method(SafetyChecks, 'logVerification', async () => null);
+  const engine = t.mock.method(StrategyEngine, 'launch', async () => assert.fail('must not launch'));
+  const deferred = addRow({ status: 'launching', startedAt: new Date(), launchAt: new Date() });
+
+  await DeferredLaunchService.launch(deferred);
+
+  assert.equal(engine.mock.callCount(), 0);
+  assert.equal(deferred.status, 'blocked');
+  assert.match(deferred.error, /Duplicate campaign name/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchEntities, snapshotStructure, diffSnapshots } = require('../utils/deploymentDiff');
+
+const snapshot = ({ campaign = {}, adSets = [], ads = [], currency = 'USD' }) => snapshotStructure({
+  campaign: { id: 'campaign', name: 'Campaign', status: 'ACTIVE', ...campaign },
+  adSets: adSets.map((adSet, i) => ({ status: 'ACTIVE', created_time: `2026-01-0${i + 1}`, ...adSet })),
+  ads: ads.map((ad, i) => ({ status: 'ACTIVE', created_time: `2026-01-0${i + 1}`, ...ad })),
+  currency
+});
+
+const linkCreative = (link, message = 'Text') => ({
+  object_story_spec: { link_data: { link, message, name: 'Headline' } }
+});
+
+test('matchEntities prefers the recorded ID map over names', () => {
+  const source = [{ id: 's1', name: 'A' }, { id: 's2', name: 'B' }];
+  const target = [{ id: 't1', name: 'B' }, { id: 't2', name: 'A' }];
+
+  const { pairs, unmatchedSource, unmatchedTarget } = matchEntities(source, target, { s1: 't1', s2: 't2' });
+
+  assert.deepEqual(pairs.map(pair => [pair.source.id, pair.target.id]), [['s1', 't1'], ['s2', 't2']]);
+  assert.equal(unmatchedSource.length, 0);
+  assert.equal(unmatchedTarget.length, 0);
+});
+
+test('matchEntities falls back to unique names', () => {
+  const source = [{ id: 's1', name: 'A' }, { id: 's2', name: 'B' }];
+  const target = [{ id: 't9', name: 'B' }, { id: 't8', name: 'A' }];
+
+  const { pairs } = matchEntities(source, target, {});
+
+  assert.deepEqual(pairs.map(pair => [pair.source.id, pair.target.id]), [['s1', 't8'], ['s2', 't9']]);
+});
+
+test('matchEntities leaves duplicate names and stale map entries unmatched', () => {
+  const source = [{ id: 's1', name: 'Same' }, { id: 's2', name: 'Same' }, { id: 's3', name: 'C' }];
+  const target = [{ id: 't1', name: 'Same' }, { id: 't2', name: 'Same' }];
+
+  const { pairs, unmatchedSource, unmatchedTarget } = matchEntities(source, target, { s3: 'deleted' });
+
+  assert.equal(pairs.length, 0);
+  assert.deepEqual(unmatchedSource.map(entity => entity.id), ['s1', 's2', 's3']);
+  assert.deepEqual(unmatchedTarget.map(entity => entity.id), ['t1', 't2']);
+});
+
+test('diffSnapshots compares mapped ad sets regardless of creation order', () => {
+  const source = snapshot({
+    adSets: [{ id: 's1', name: 'First', status: 'PAUSED' }, { id: 's2', name: 'Second', daily_budget: '1000' }]
+  });
+  // The copy created its ad sets in the opposite order and renamed them
+  const target = snapshot({
+    campaign: { id: 'copy' },
+    adSets: [{ id: 't2', name: 'Copy 2', daily_budget: '1000' }, { id: 't1', name: 'Copy 1', status: 'ACTIVE' }]
+  });
+
+  const { changes, warnings } = diffSnapshots(source, target, { adSets: { s1: 't1', s2: 't2' } });
+
+  assert.deepEqual(changes.map(change => [change.entityId, change.field, change.source]), [['t1', 'status', 'PAUSED']]);
+  assert.deepEqual(warnings, []);
+});
+
+test('diffSnapshots warns about entities without a match instead of diffing them', () => {
+  const source = snapshot({ adSets: [{ id: 's1', name: 'A' }] });
+  const target = snapshot({ adSets: [{ id: 't1', name: 'A' }, { id: 't2', name: 'Extra', status: 'PAUSED' }] });
+
+  const { changes, warnings } = diffSnapshots(source, target);
+
+  assert.equal(changes.length, 0);
+  assert.deepEqual(warnings, ["1 ad set(s) in the copy have no match in the source and aren't compared"]);
+});
+
+test('diffSnapshots ignores the query string of ad links and flags budgets across currencies', () => {
+  const source = snapshot({
+    campaign: { daily_budget: '5000' },
+    ads: [{ id: 'a1', name: 'Ad', creative: linkCreative('https://example.com/offer?utm_source=a', 'New text') }]
+  });
+  const target = snapshot({
+    campaign: { id: 'copy', daily_budget: '4000' },
+    ads: [{ id: 'b1', name: 'Ad', creative: linkCreative('https://example.com/offer?utm_source=b', 'Old text') }],
+    currency: 'EUR'
+  });
+
+  const { changes } = diffSnapshots(source, target);
+  const byField = Object.fromEntries(changes.map(change => [change.field, change]));
+
+  assert.deepEqual(Object.keys(byField).sort(), ['daily_budget', 'message']);
+  assert.equal(byField.daily_budget.supported, false);
+  assert.match(byField.daily_budget.reason, /Currencies differ/);
+  assert.equal(byField.message.supported, true);
+});
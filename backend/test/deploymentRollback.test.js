@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The rollback logs share stdout with the test runner's own messages, and
+// Node 20 sometimes misreads the two when they interleave - keep them quiet
+test.mock.method(console, 'log', () => {});
+
+require.cache[require.resolve('../models')] = { exports: {} };
+
+const FakeGraphApi = require('../services/FakeGraphApi');
+const RollbackManager = require('../services/RollbackManager');
+const CrossAccountDeploymentService = require('../services/CrossAccountDeploymentService');
+
+async function startFakeGraph(t) {
+  const fake = new FakeGraphApi();
+  const server = await fake.listen(0);
+  process.env.FB_GRAPH_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => {
+    delete process.env.FB_GRAPH_BASE_URL;
+    return new Promise(resolve => server.close(resolve));
+  });
+  t.mock.method(CrossAccountDeploymentService, 'getUserAccessToken', async () => 'token');
+  return fake;
+}
+
+/**
+ * CampaignDeployment with one DeployedCampaign per target copy
+ */
+function fakeDeployment(copies) {
+  const deployment = {
+    id: 5,
+    userId: 7,
+    deployedCampaigns: copies.map((copy, index) => {
+      const row = { id: index + 1, targetPageId: 'page', ...copy };
+      row.update = async (changes) => Object.assign(row, changes);
+      return row;
+    })
+  };
+  deployment.update = async (changes) => Object.assign(deployment, changes);
+  return deployment;
+}
+
+test('the preview reads every copy from its own account without changing anything', async (t) => {
+  const fake = await startFakeGraph(t);
+  const live = fake.createEntity('campaign', 'act_1', { name: 'Copy TX', status: 'ACTIVE' });
+  const paused = fake.createEntity('campaign', 'act_2', { name: 'Copy CA', status: 'PAUSED' });
+  const moved = fake.createEntity('campaign', 'act_9', { name: 'Copy NY', status: 'ACTIVE' });
+
+  const deployment = fakeDeployment([
+    { targetCampaignId: live.id, targetAdAccountId: 'act_1' },
+    { targetCampaignId: paused.id, targetAdAccountId: 'act_2' },
+    { targetCampaignId: moved.id, targetAdAccountId: 'act_3' }
+  ]);
+
+  const preview = await RollbackManager.getDeploymentRollbackPreview(deployment, { action: 'pause' });
+
+  assert.equal(preview.total, 3);
+  assert.equal(preview.toRollBack, 1);
+  assert.deepEqual(preview.targets.map(entry => entry.reason), [
+    null,
+    'Campaign is already paused',
+    'Campaign belongs to act_9, not the recorded target act_3'
+  ]);
+  assert.equal(fake.entities.get(live.id).status, 'ACTIVE');
+});
+
+test('rolling back deletes each copy and reports per-target results', async (t) => {
+  const fake = await startFakeGraph(t);
+  const first = fake.createEntity('campaign', 'act_1', { name: 'Copy TX', status: 'ACTIVE' });
+  const second = fake.createEntity('campaign', 'act_2', { name: 'Copy CA', status: 'PAUSED' });
+  const foreign = fake.createEntity('campaign', 'act_9', { name: 'Not ours', status: 'ACTIVE' });
+
+  const deployment = fakeDeployment([
+    { targetCampaignId: first.id, targetAdAccountId: 'act_1' },
+    { targetCampaignId: second.id, targetAdAccountId: '2' },
+    { targetCampaignId: foreign.id, targetAdAccountId: 'act_3' },
+    { targetCampaignId: 'missing_campaign', targetAdAccountId: 'act_4' }
+  ]);
+
+  const result = await RollbackManager.rollbackDeployment(deployment, { action: 'delete' });
+
+  assert.deepEqual(result.targets.map(entry => entry.status), ['deleted', 'deleted', 'failed', 'skipped']);
+  assert.equal(result.rolledBack, 2);
+  assert.equal(result.skipped, 1);
+  assert.equal(result.failed, 1);
+  assert.equal(result.success, false);
+
+  assert.equal(fake.entities.has(first.id), false);
+  assert.equal(fake.entities.has(second.id), false);
+  // A campaign outside the recorded target account is never touched
+  assert.equal(fake.entities.has(foreign.id), true);
+
+  assert.equal(deployment.deployedCampaigns[0].rollbackAction, 'deleted');
+  assert.equal(deployment.rollbackResults, result);
+});
+
+test('a paused rollback can be limited to chosen copies', async (t) => {
+  const fake = await startFakeGraph(t);
+  const first = fake.createEntity('campaign', 'act_1', { name: 'Copy TX', status: 'ACTIVE' });
+  const second = fake.createEntity('campaign', 'act_2', { name: 'Copy CA', status: 'ACTIVE' });
+
+  const deployment = fakeDeployment([
+    { targetCampaignId: first.id, targetAdAccountId: 'act_1' },
+    { targetCampaignId: second.id, targetAdAccountId: 'act_2' }
+  ]);
+
+  const result = await RollbackManager.rollbackDeployment(deployment, { action: 'pause', deployedCampaignIds: ['2'] });
+
+  assert.deepEqual(result.targets.map(entry => [entry.deployedCampaignId, entry.status]), [[2, 'paused']]);
+  assert.equal(fake.entities.get(first.id).status, 'ACTIVE');
+  assert.equal(fake.entities.get(second.id).status, 'PAUSED');
+});
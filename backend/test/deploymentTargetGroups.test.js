@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Saved groups live in memory here - keep the real models (and their DB) out
+const groups = [];
+require.cache[require.resolve('../models')] = {
+  exports: {
+    DeploymentTargetGroup: {
+      count: async ({ where }) => groups.filter(group => group.userId === where.userId && group.name === where.name).length,
+      findOne: async ({ where }) => groups.find(group => group.id === Number(where.id) && group.userId === where.userId) || null
+    }
+  }
+};
+
+const DeploymentTargetGroupService = require('../services/DeploymentTargetGroupService');
+const CrossAccountDeploymentService = require('../services/CrossAccountDeploymentService');
+
+const target = (n, extra = {}) => ({ adAccountId: `act_${n}`, pageId: `page_${n}`, ...extra });
+
+test('targets are trimmed to known fields and checked for duplicates', () => {
+  const { targets, errors } = DeploymentTargetGroupService.normalizeTargets([
+    target(1, { pixelId: 99, pageName: 'Page one', unknownField: 'dropped', namingValues: { state: 'TX' } }),
+    { adAccountId: '1', pageId: 'page_1' },
+    { adAccountId: 'act_3' }
+  ]);
+
+  assert.deepEqual(targets[0], {
+    adAccountId: 'act_1',
+    pageId: 'page_1',
+    pageName: 'Page one',
+    pixelId: '99',
+    namingValues: { state: 'TX' }
+  });
+  assert.deepEqual(errors, [
+    'Target 2: 1 with page page_1 is listed twice',
+    'Target 3: adAccountId and pageId are required'
+  ]);
+});
+
+test('per-target naming values cannot renumber copies', () => {
+  const { errors } = DeploymentTargetGroupService.normalizeTargets([
+    target(1, { namingValues: { copy: 2 } }),
+    target(2, { namingValues: ['TX'] })
+  ]);
+  assert.match(errors[0], /can't set \{copy\} or \{n\}/);
+  assert.match(errors[1], /must be an object/);
+});
+
+test('group names are unique per user and groups hold up to 100 targets', async () => {
+  groups.length = 0;
+  groups.push({ id: 1, userId: 7, name: 'Insurance BM accounts', targets: [target(1)] });
+
+  const duplicate = await DeploymentTargetGroupService.validate(7, { name: 'Insurance BM accounts', targets: [target(2)] });
+  assert.deepEqual(duplicate.errors, ['A target group named "Insurance BM accounts" already exists']);
+
+  const large = await DeploymentTargetGroupService.validate(8, {
+    name: 'Insurance BM accounts',
+    targets: Array.from({ length: 101 }, (value, index) => target(index))
+  });
+  assert.deepEqual(large.errors, ['Maximum 100 targets allowed']);
+});
+
+test('a deploy request combines the saved group with inline targets', async () => {
+  groups.length = 0;
+  groups.push({ id: 1, userId: 7, name: 'Solar', targets: [target(1), target(2)] });
+
+  const { group, targets, errors } = await DeploymentTargetGroupService.resolveTargets(7, {
+    targetGroupId: '1',
+    targets: [target(3)]
+  });
+  assert.equal(group.name, 'Solar');
+  assert.deepEqual(targets.map(t => t.adAccountId), ['act_1', 'act_2', 'act_3']);
+  assert.deepEqual(errors, []);
+
+  const foreign = await DeploymentTargetGroupService.resolveTargets(8, { targetGroupId: 1 });
+  assert.deepEqual(foreign.errors, ['Target group 1 not found']);
+});
+
+test('large parallel deployments run in chunks with one combined report', async (t) => {
+  process.env.DEPLOYMENT_CHUNK_SIZE = '2';
+  process.env.DEPLOYMENT_CHUNK_DELAY_MS = '0';
+  t.after(() => {
+    delete process.env.DEPLOYMENT_CHUNK_SIZE;
+    delete process.env.DEPLOYMENT_CHUNK_DELAY_MS;
+  });
+
+  t.mock.method(CrossAccountDeploymentService, 'getUserAccessToken', async () => 'token');
+  let running = 0;
+  let maxRunning = 0;
+  const deployTarget = t.mock.method(CrossAccountDeploymentService, 'deployTarget', async (deployment, jobKey, deployTo, index) => {
+    maxRunning = Math.max(maxRunning, ++running);
+    await new Promise(resolve => setImmediate(resolve));
+    running--;
+    return index === 3 ? { success: false, error: 'No access' } : { success: true, target: deployTo };
+  });
+  const finalize = t.mock.method(CrossAccountDeploymentService, 'finalizeDeployment', async (deployment, jobKey, results, errors) => ({
+    successful: results.length,
+    failed: errors.length
+  }));
+
+  const targets = Array.from({ length: 5 }, (value, index) => target(index));
+  const outcome = await CrossAccountDeploymentService.processDeployment(
+    { id: 1, userId: 7, targets, processingMode: 'parallel' },
+    'deployment_test',
+    null
+  );
+
+  assert.equal(deployTarget.mock.callCount(), 5);
+  assert.equal(maxRunning, 2);
+  assert.equal(finalize.mock.callCount(), 1);
+  assert.deepEqual(outcome, {
+    successful: 4,
+    failed: 1,
+    chunks: [
+      { chunk: 1, targets: 2, successful: 2, failed: 0 },
+      { chunk: 2, targets: 2, successful: 1, failed: 1 },
+      { chunk: 3, targets: 1, successful: 1, failed: 0 }
+    ]
+  });
+});
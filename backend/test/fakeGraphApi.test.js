@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeGraphApi = require('../services/FakeGraphApi');
+
+const createCampaignTree = (fake) => {
+  const campaign = fake.dispatch('POST', '/v18.0/act_1/campaigns', { name: 'Launch', objective: 'OUTCOME_LEADS' }).body;
+  const adSet = fake.dispatch('POST', '/v18.0/act_1/adsets', { name: 'Ad Set 1', campaign_id: campaign.id, targeting: '{"geo_locations":{"countries":["US"]}}' }).body;
+  const ad = fake.dispatch('POST', '/v18.0/act_1/ads', { name: 'Ad 1', adset_id: adSet.id, creative: { object_story_spec: {} } }).body;
+  return { campaign, adSet, ad };
+};
+
+test('created entities can be read back with their fields decoded', () => {
+  const fake = new FakeGraphApi();
+  const { campaign, adSet, ad } = createCampaignTree(fake);
+
+  const read = fake.dispatch('GET', `/v18.0/${adSet.id}`, { fields: 'name,status,targeting,campaign_id' });
+  assert.equal(read.status, 200);
+  assert.deepEqual(read.body, {
+    id: adSet.id,
+    name: 'Ad Set 1',
+    status: 'PAUSED',
+    targeting: { geo_locations: { countries: ['US'] } },
+    campaign_id: campaign.id
+  });
+
+  // Ads resolve their campaign through the ad set and get a real creative
+  const adRead = fake.dispatch('GET', `/v18.0/${ad.id}`, { fields: 'campaign_id,creative' }).body;
+  assert.equal(adRead.campaign_id, campaign.id);
+  assert.ok(fake.entities.get(adRead.creative.id));
+});
+
+test('missing parents and unknown nodes answer with Graph errors', () => {
+  const fake = new FakeGraphApi();
+
+  const adSet = fake.dispatch('POST', '/v18.0/act_1/adsets', { name: 'Orphan', campaign_id: '42' });
+  assert.equal(adSet.status, 400);
+  assert.equal(adSet.body.error.code, 100);
+  assert.equal(adSet.body.error.error_subcode, 1885014);
+
+  const read = fake.dispatch('GET', '/v18.0/999');
+  assert.equal(read.status, 400);
+  assert.equal(read.body.error.error_subcode, 33);
+});
+
+test('edges page through children with an after cursor', () => {
+  const fake = new FakeGraphApi();
+  const { campaign } = createCampaignTree(fake);
+  fake.dispatch('POST', '/v18.0/act_1/adsets', { name: 'Ad Set 2', campaign_id: campaign.id });
+  fake.dispatch('POST', '/v18.0/act_1/adsets', { name: 'Ad Set 3', campaign_id: campaign.id });
+
+  const first = fake.dispatch('GET', `/v18.0/${campaign.id}/adsets`, { fields: 'name', limit: '2' }).body;
+  assert.deepEqual(first.data.map(a => a.name), ['Ad Set 1', 'Ad Set 2']);
+  assert.equal(first.summary.total_count, 3);
+
+  const second = fake.dispatch('GET', `/v18.0/${campaign.id}/adsets`, { fields: 'name', limit: '2', after: first.paging.cursors.after }).body;
+  assert.deepEqual(second.data.map(a => a.name), ['Ad Set 3']);
+  assert.equal(second.paging.next, undefined);
+});
+
+test('deep copies duplicate the ad sets and ads, and deletes cascade', () => {
+  const fake = new FakeGraphApi();
+  const { campaign } = createCampaignTree(fake);
+
+  const copy = fake.dispatch('POST', `/v18.0/${campaign.id}/copies`, { deep_copy: 'true', status_option: 'ACTIVE' }).body;
+  assert.equal(copy.copied_adset_ids.length, 1);
+
+  const copied = fake.getState().tree.campaigns.find(c => c.id === copy.copied_campaign_id);
+  assert.equal(copied.name, 'Launch - Copy');
+  assert.equal(copied.status, 'ACTIVE');
+  assert.equal(copied.adsets[0].ads.length, 1);
+
+  fake.dispatch('DELETE', `/v18.0/${campaign.id}`);
+  const remaining = fake.getState().tree.campaigns;
+  assert.deepEqual(remaining.map(c => c.id), [copy.copied_campaign_id]);
+  assert.equal(fake.listEdge('act_1', 'adsets').length, 1);
+});
+
+test('batch items can reference earlier results, including URL-encoded bodies', () => {
+  const fake = new FakeGraphApi();
+
+  const responses = fake.dispatchBatch([
+    { method: 'POST', name: 'campaign', relative_url: 'v18.0/act_1/campaigns', body: 'name=Batch&status=PAUSED' },
+    { method: 'POST', name: 'adset', relative_url: 'v18.0/act_1/adsets', body: `name=Set&campaign_id=${encodeURIComponent('{result=campaign:$.id}')}` },
+    { method: 'GET', relative_url: 'v18.0/{result=adset:$.id}?fields=campaign_id' }
+  ]);
+
+  assert.deepEqual(responses.map(r => r.code), [200, 200, 200]);
+  const campaignId = JSON.parse(responses[0].body).id;
+  assert.equal(JSON.parse(responses[2].body).campaign_id, campaignId);
+  assert.equal(responses[0]._parsed, undefined);
+});
+
+test('rate limit faults fire on every Nth matching request until used up', () => {
+  const fake = new FakeGraphApi();
+  fake.setFaults({ rateLimit: { code: 17, every: 2, count: 1, pathPattern: 'adsets' } });
+
+  assert.equal(fake.shouldRateLimit('/v18.0/act_1/campaigns'), null);
+  assert.equal(fake.shouldRateLimit('/v18.0/act_1/adsets'), null);
+  assert.equal(fake.shouldRateLimit('/v18.0/act_1/adsets').code, 17);
+  assert.equal(fake.shouldRateLimit('/v18.0/act_1/adsets'), null);
+  assert.equal(fake.shouldRateLimit('/v18.0/act_1/adsets'), null);
+
+  assert.equal(fake.getFaults().injectedErrors, 1);
+  assert.throws(() => fake.setFaults({ rateLimit: { code: 1 } }), /Unsupported rate limit code/);
+});
+
+test('batch failure injection fails items without stopping the batch', () => {
+  const fake = new FakeGraphApi();
+  fake.setFaults({ batchFailureRate: 1, batchFailureCode: 2 });
+
+  const responses = fake.dispatchBatch([
+    { method: 'POST', relative_url: 'v18.0/act_1/campaigns', body: 'name=One' },
+    { method: 'POST', relative_url: 'v18.0/act_1/campaigns', body: 'name=Two' }
+  ]);
+
+  assert.deepEqual(responses.map(r => JSON.parse(r.body).error.code), [2, 2]);
+  assert.equal(fake.entities.size, 0);
+});
+
+test('the HTTP app serves Graph calls, batches and the /__fake endpoints', async () => {
+  const fake = new FakeGraphApi();
+  const server = await fake.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const created = await fetch(`${base}/v18.0/act_1/campaigns`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'name=Over%20HTTP&access_token=secret'
+    }).then(r => r.json());
+    assert.ok(created.id);
+    assert.equal(fake.entities.get(created.id).access_token, undefined);
+
+    const batch = await fetch(`${base}/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ batch: [{ method: 'GET', relative_url: `v18.0/${created.id}?fields=name` }] })
+    }).then(r => r.json());
+    assert.equal(JSON.parse(batch[0].body).name, 'Over HTTP');
+
+    const state = await fetch(`${base}/__fake/state`).then(r => r.json());
+    assert.equal(state.requestCount, 2);
+
+    await fetch(`${base}/__fake/reset`, { method: 'POST' });
+    assert.equal(fake.entities.size, 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
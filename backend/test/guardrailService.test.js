@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+
+// GuardrailService only talks to intel models - swap them for in-memory fakes
+const settings = { global: null, user: null, account: null };
+let executions = [];
+
+require.cache[require.resolve('../intelligence/models')] = {
+  exports: {
+    Sequelize: { Op },
+    IntelGuardrailSetting: {
+      getForAction: async () => ({ ...settings }),
+      findOne: async ({ where }) => (where.scope === 'global' ? settings.global : null)
+    },
+    IntelAutomationAction: {
+      findAll: async ({ where }) => executions.filter(action => action.action_type === where.action_type)
+    }
+  }
+};
+
+const GuardrailService = require('../intelligence/services/GuardrailService');
+
+const action = (actionType, extra = {}) => ({ action_type: actionType, user_id: 7, ad_account_id: 'act_123', ...extra });
+
+test.beforeEach(() => {
+  settings.global = null;
+  settings.user = null;
+  settings.account = null;
+  executions = [];
+});
+
+test('the kill switch blocks every action', async () => {
+  settings.global = { scope: 'global', kill_switch: true, kill_switch_reason: 'Audit' };
+
+  const { block } = await GuardrailService.checkAction(action('notify'));
+
+  assert.equal(block.guardrail, 'kill_switch');
+  assert.match(block.reason, /frozen by the kill switch: Audit/);
+});
+
+test('any scope in dry run marks the action as a dry run', async () => {
+  settings.account = { scope: 'account', dry_run: true };
+
+  const result = await GuardrailService.checkAction(action('pause'));
+
+  assert.deepEqual(result, { block: null, dryRun: true });
+});
+
+test('learning ad sets are blocked unless the account or user allows them', async () => {
+  const learning = { learning_stage: 'LEARNING' };
+
+  assert.equal((await GuardrailService.checkAction(action('pause'), learning)).block.scope, 'default');
+
+  settings.user = { scope: 'user', allow_learning_phase: true };
+  assert.equal((await GuardrailService.checkAction(action('pause'), learning)).block, null);
+
+  // The account setting wins over the user's
+  settings.account = { scope: 'account', allow_learning_phase: false };
+  assert.equal((await GuardrailService.checkAction(action('pause'), learning)).block.scope, 'account');
+});
+
+test('pauses stop at max_pauses_per_hour, not counting dry runs', async () => {
+  settings.user = { scope: 'user', max_pauses_per_hour: 2 };
+  executions = [
+    { action_type: 'pause', execution_result: {} },
+    { action_type: 'pause', execution_result: { dry_run: true } }
+  ];
+
+  assert.equal((await GuardrailService.checkAction(action('pause'))).block, null);
+
+  executions.push({ action_type: 'pause', execution_result: {} });
+  const { block } = await GuardrailService.checkAction(action('pause'));
+
+  assert.equal(block.guardrail, 'max_pauses_per_hour');
+  assert.equal(block.scope, 'user');
+  assert.equal(block.current, 2);
+});
+
+test('budget increases stop when the day total would pass the limit', async () => {
+  settings.account = { scope: 'account', max_budget_increase_per_day: 100 };
+  executions = [
+    { action_type: 'increase_budget', execution_result: { change: 60 } },
+    { action_type: 'increase_budget', execution_result: { change: -20 } }
+  ];
+
+  assert.equal((await GuardrailService.checkAction(action('increase_budget'), { change: 40 })).block, null);
+
+  const { block } = await GuardrailService.checkAction(action('increase_budget'), { change: 40.01 });
+  assert.equal(block.guardrail, 'max_budget_increase_per_day');
+  assert.equal(block.current, 60);
+  assert.equal(block.requested, 40.01);
+});
+
+test('actions that only record skip the campaign guardrails', async () => {
+  settings.user = { scope: 'user', max_pauses_per_hour: 0 };
+
+  assert.equal((await GuardrailService.checkAction(action('notify'), { learning_stage: 'LEARNING' })).block, null);
+});
+
+test('validateSettings rejects fields and values a scope cannot have', () => {
+  assert.deepEqual(GuardrailService.validateSettings('account', { max_pauses_per_hour: 3, dry_run: false }), []);
+  assert.deepEqual(GuardrailService.validateSettings('global', { kill_switch: true, max_pauses_per_hour: 1.5 }), [
+    "kill_switch can't be set for the global scope (use the kill switch endpoint)",
+    "max_pauses_per_hour can't be set for the global scope",
+    'max_pauses_per_hour must be a non-negative whole number or null'
+  ]);
+});
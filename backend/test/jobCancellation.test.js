@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require.cache[require.resolve('../models')] = { exports: {} };
+
+const FakeGraphApi = require('../services/FakeGraphApi');
+const JobStore = require('../services/JobStore');
+const RollbackManager = require('../services/RollbackManager');
+const BatchDuplicationService = require('../services/batchDuplication');
+
+test('cancel flags a running job and ignores finished or unknown ones', () => {
+  const jobs = JobStore.collection('cancellation_test');
+  jobs.jobs.set('running', { status: 'processing' });
+  jobs.jobs.set('done', { status: 'completed' });
+
+  const cancelled = jobs.cancel('running');
+  assert.equal(cancelled.cancelRequested, true);
+  assert.equal(cancelled.currentOperation, 'Cancelling after the current batch...');
+  assert.equal(jobs.isCancelled('running'), true);
+
+  assert.equal(jobs.cancel('done'), null);
+  assert.equal(jobs.isCancelled('done'), false);
+  assert.equal(jobs.cancel('missing'), null);
+});
+
+test('duplication only stops when the cancel check says so, and never because it threw', () => {
+  const service = new BatchDuplicationService('token', '1', 'page', null);
+  assert.equal(service.isCancelRequested(), false);
+
+  service.shouldCancel = () => true;
+  assert.equal(service.isCancelRequested(), true);
+
+  service.shouldCancel = () => { throw new Error('job store unavailable'); };
+  assert.equal(service.isCancelRequested(), false);
+});
+
+test('rolling back deletes the entity and treats an already deleted one as done', async (t) => {
+  const fake = new FakeGraphApi();
+  const server = await fake.listen(0);
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const campaign = fake.createEntity('campaign', 'act_1', { name: 'Partial copy' });
+  const facebookApi = { baseURL: `http://127.0.0.1:${server.address().port}/v18.0`, accessToken: 'token' };
+
+  assert.equal(await RollbackManager.deleteEntity(facebookApi, campaign.id), true);
+  assert.equal(fake.entities.has(campaign.id), false);
+  assert.equal(await RollbackManager.deleteEntity(facebookApi, campaign.id), true);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobEvents = require('../services/JobEvents');
+
+const { EVENT_TYPES } = JobEvents;
+
+test('a stream keeps its first owner', () => {
+  assert.equal(JobEvents.register('job_owner_test', 7), true);
+  assert.equal(JobEvents.register('job_owner_test', '7'), true);
+  assert.equal(JobEvents.register('job_owner_test', 8), false);
+  assert.equal(JobEvents.getOwner('job_owner_test'), 7);
+
+  // Publishing without a user (e.g. a service) doesn't change the owner
+  assert.equal(JobEvents.register('job_owner_test', null), true);
+  assert.equal(JobEvents.getOwner('job_owner_test'), 7);
+});
+
+test('history replays events after a Last-Event-ID and terminal events finish the stream', () => {
+  const received = [];
+  const unsubscribe = JobEvents.subscribe('job_history_test', event => received.push(event.type));
+
+  JobEvents.publish('job_history_test', EVENT_TYPES.PROGRESS, { completed: 1 });
+  const second = JobEvents.publish('job_history_test', EVENT_TYPES.ENTITY_CREATED, { id: '1' });
+  JobEvents.publish('job_history_test', EVENT_TYPES.COMPLETED, {});
+  unsubscribe();
+  JobEvents.publish('job_history_test', EVENT_TYPES.PROGRESS, {});
+
+  assert.deepEqual(received, ['progress', 'entity_created', 'completed']);
+  assert.deepEqual(JobEvents.getHistory('job_history_test', second.id).map(event => event.type), ['completed', 'progress']);
+  // A progress event after completion reopens the stream
+  assert.equal(JobEvents.isFinished('job_history_test'), false);
+});
+
+test('client job IDs must be short word strings', () => {
+  assert.equal(JobEvents.parseClientJobId('launch_1736-abc'), 'launch_1736-abc');
+  assert.equal(JobEvents.parseClientJobId('short'), null);
+  assert.equal(JobEvents.parseClientJobId('../../etc/passwd'), null);
+  assert.equal(JobEvents.parseClientJobId(12345678), null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// JobStore only needs the slot table here - keep the real models (and their DB) out
+require.cache[require.resolve('../models')] = {
+  exports: {
+    EntityCreationSlot: { findAll: async () => [] }
+  }
+};
+
+const FakeGraphApi = require('../services/FakeGraphApi');
+const JobStore = require('../services/JobStore');
+const JobTracker = require('../services/JobTracker');
+
+test('resuming a multiply job only claims the copies the job reported', async (t) => {
+  const fake = new FakeGraphApi();
+  const server = await fake.listen(0);
+  process.env.FB_GRAPH_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => {
+    delete process.env.FB_GRAPH_BASE_URL;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const source = fake.createEntity('campaign', 'act_1', { name: 'Launch' });
+  const reported = fake.createEntity('campaign', 'act_1', { name: 'Launch - Copy' });
+  // Another job's (or a manual) copy of the same source, created while this job ran
+  fake.createEntity('campaign', 'act_1', { name: 'Launch - Copy' });
+
+  const recorded = [];
+  const job = { status: 'processing', total: 3 };
+  const collection = {
+    get: () => job,
+    recordEntity: async (jobKey, entityType, slot, entity) => {
+      recorded.push(entity.id);
+      return { slotNumber: recorded.length };
+    }
+  };
+
+  t.mock.method(JobStore, 'buildFacebookApi', async () => ({ facebookApi: {}, accessToken: 'token' }));
+  t.mock.method(JobTracker, 'getIdempotencyStatus', async () => ({
+    requested: { campaigns: 3 },
+    remaining: { campaigns: 3 - recorded.length }
+  }));
+
+  const runs = [];
+  await JobStore.resumeMultiplyJob({
+    id: 1,
+    userId: 7,
+    adAccountId: '1',
+    startedAt: new Date(Date.now() - 60000),
+    jobParams: { sourceCampaignId: source.id, adAccountId: '1' },
+    jobState: { campaigns: [{ campaignId: reported.id, campaignName: reported.name }] }
+  }, collection, 'job_1', async (jobKey, structure, remaining) => runs.push({ jobKey, structure, remaining }));
+
+  assert.deepEqual(recorded, [reported.id]);
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].remaining, 2);
+  assert.deepEqual(runs[0].structure.campaign, { id: source.id, name: 'Launch' });
+});
+
+test('a multiply job that reported no copies reconciles nothing', async (t) => {
+  const recorded = [];
+  t.mock.method(JobStore, 'buildFacebookApi', async () => ({ facebookApi: {}, accessToken: 'token' }));
+  t.mock.method(JobStore, 'reconcileCreatedEntities', async () => recorded.push('called'));
+  t.mock.method(JobTracker, 'getIdempotencyStatus', async () => ({ requested: { campaigns: 2 }, remaining: { campaigns: 0 } }));
+
+  const fake = new FakeGraphApi();
+  const server = await fake.listen(0);
+  process.env.FB_GRAPH_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => {
+    delete process.env.FB_GRAPH_BASE_URL;
+    return new Promise(resolve => server.close(resolve));
+  });
+  const source = fake.createEntity('campaign', 'act_1', { name: 'Launch' });
+
+  const job = { status: 'processing', total: 2 };
+  await JobStore.resumeMultiplyJob({
+    id: 2,
+    userId: 7,
+    jobParams: { sourceCampaignId: source.id, adAccountId: '1' },
+    jobState: {}
+  }, { get: () => job }, 'job_2', async () => assert.fail('nothing is left to create'));
+
+  assert.deepEqual(recorded, []);
+  assert.equal(job.status, 'completed');
+});
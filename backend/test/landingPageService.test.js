@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const LandingPageService = require('../services/LandingPageService');
+
+const PIXEL_PAGE = '<script>fbq("init", "123456");</script>';
+
+function stubPage(t, page) {
+  t.mock.method(LandingPageService, 'fetchWithRedirects', async (url) => ({
+    status: 200,
+    redirects: [],
+    finalUrl: url,
+    html: PIXEL_PAGE,
+    responseTimeMs: 100,
+    ...page
+  }));
+  t.mock.method(LandingPageService, 'checkTls', async () => ({ valid: true, error: null, daysRemaining: 90 }));
+}
+
+test('a healthy page with the pixel passes without warnings', async (t) => {
+  stubPage(t);
+  const result = await LandingPageService.checkUrl('https://example.com/offer', {
+    pixelId: '123456',
+    displayLink: 'www.example.com'
+  });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(result.pixel.found, true);
+  assert.equal(result.displayLink.matches, true);
+});
+
+test('broken pages are errors, bot protection and cosmetic problems are warnings', async (t) => {
+  stubPage(t, { status: 404 });
+  const missing = await LandingPageService.checkUrl('https://example.com/gone');
+  assert.equal(missing.ok, false);
+  assert.deepEqual(missing.errors, ['Page returned HTTP 404']);
+
+  t.mock.restoreAll();
+  stubPage(t, { status: 403, finalUrl: 'http://offers.other.com/', responseTimeMs: 4500 });
+  const blocked = await LandingPageService.checkUrl('https://example.com/offer', { displayLink: 'example.com' });
+  assert.equal(blocked.ok, true);
+  assert.deepEqual(blocked.warnings, [
+    'Page returned HTTP 403 to the preflight check - make sure it loads for visitors',
+    'Page took 4.5s to respond',
+    'Redirects from example.com to offers.other.com',
+    'Final page is not served over HTTPS',
+    'Display link example.com does not match final domain offers.other.com'
+  ]);
+});
+
+test('private addresses are refused before anything is fetched', async (t) => {
+  const get = t.mock.method(axios, 'get', async () => assert.fail('must not fetch'));
+  const result = await LandingPageService.checkUrl('http://127.0.0.1:8080/admin');
+  assert.equal(result.ok, false);
+  assert.match(result.errors[0], /not a public address/);
+  assert.equal(get.mock.callCount(), 0);
+});
+
+test('every redirect hop is recorded and checked', async (t) => {
+  t.mock.method(axios, 'get', async (url) => (url === 'https://example.com/'
+    ? { status: 301, headers: { location: '/landing' } }
+    : { status: 302, headers: { location: 'http://10.0.0.5/internal' } }));
+
+  await assert.rejects(
+    LandingPageService.fetchWithRedirects('https://example.com/'),
+    error => error.code === 'UNSAFE_URL' && error.redirects.map(hop => hop.url).join(' ') === 'https://example.com/ https://example.com/landing'
+  );
+
+  t.mock.restoreAll();
+  t.mock.method(axios, 'get', async () => ({ status: 302, headers: { location: '/loop' } }));
+  await assert.rejects(LandingPageService.fetchWithRedirects('https://example.com/loop'), /More than 10 redirects/);
+});
+
+test('a launch preflight collects errors per URL and blocks only in block mode', async (t) => {
+  t.mock.method(LandingPageService, 'checkUrl', async (url) => ({
+    url,
+    errors: url.includes('broken') ? ['Page returned HTTP 500'] : [],
+    warnings: ['No Meta pixel found on the page']
+  }));
+  const campaignData = {
+    url: 'https://example.com/a',
+    variations: [{ url: 'https://example.com/broken' }, { url: 'https://example.com/a' }]
+  };
+
+  process.env.LANDING_PREFLIGHT_MODE = 'warn';
+  t.after(() => { delete process.env.LANDING_PREFLIGHT_MODE; });
+  const warned = await LandingPageService.preflightLaunch(campaignData);
+  assert.equal(warned.blocked, false);
+  assert.deepEqual(warned.errors, ['https://example.com/broken: Page returned HTTP 500']);
+  assert.equal(warned.warnings.length, 2);
+
+  process.env.LANDING_PREFLIGHT_MODE = 'block';
+  LandingPageService.cache.clear();
+  assert.equal((await LandingPageService.preflightLaunch(campaignData)).blocked, true);
+
+  process.env.LANDING_PREFLIGHT_MODE = 'off';
+  assert.equal(await LandingPageService.preflightLaunch(campaignData), null);
+  assert.equal(await LandingPageService.preflightLaunch({ conversionLocation: 'instant_forms', url: 'https://example.com' }), null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+require.cache[require.resolve('../models')] = { exports: {} };
+
+const LaunchPlanner = require('../services/LaunchPlanner');
+
+test('requests made while recording are answered by the stand-in and never carry the token', async () => {
+  const session = LaunchPlanner.createSession();
+
+  const result = await LaunchPlanner.record(session, 'create', async () => {
+    assert.equal(LaunchPlanner.isPlanning(), true);
+    const campaign = await axios.post('https://graph.facebook.com/v18.0/act_1/campaigns', null, {
+      params: { name: 'Planned', access_token: 'secret' }
+    });
+    const batch = await axios.post('https://graph.facebook.com/v18.0/', {
+      access_token: 'secret',
+      batch: [{ method: 'POST', relative_url: 'act_1/adsets', body: `name=Set&campaign_id=${campaign.data.id}&access_token=secret` }]
+    });
+    return { campaignId: campaign.data.id, batch: batch.data };
+  });
+
+  assert.ok(session.graph.entities.has(result.campaignId));
+  assert.equal(result.batch[0].code, 200);
+  assert.deepEqual(session.calls.map(call => [call.step, call.phase, call.method, call.path]), [
+    [1, 'create', 'POST', '/act_1/campaigns'],
+    [2, 'create', 'POST', '/']
+  ]);
+  assert.deepEqual(session.calls[0].params, { name: 'Planned' });
+  assert.deepEqual(session.calls[1].batch[0].body, { name: 'Set', campaign_id: result.campaignId });
+  assert.equal(JSON.stringify(session.calls).includes('secret'), false);
+});
+
+test('the axios interceptor is only installed while a plan is recording', async () => {
+  assert.equal(LaunchPlanner.isPlanning(), false);
+  assert.equal(LaunchPlanner.interceptorId, null);
+
+  await LaunchPlanner.record(LaunchPlanner.createSession(), 'create', async () => {
+    assert.notEqual(LaunchPlanner.interceptorId, null);
+  });
+
+  assert.equal(LaunchPlanner.interceptorId, null);
+  assert.equal(LaunchPlanner.activeSessions, 0);
+});
+
+test('Graph errors from the stand-in reject like real axios errors', async () => {
+  await assert.rejects(
+    LaunchPlanner.record(LaunchPlanner.createSession(), 'create', () =>
+      axios.post('https://graph.facebook.com/v18.0/act_1/adsets', null, { params: { campaign_id: '404' } })
+    ),
+    error => error.response?.status === 400 && error.response.data.error.code === 100
+  );
+  assert.equal(LaunchPlanner.interceptorId, null);
+});
+
+test('planLaunch plans every campaign copy and reuses the first copy\'s media', async () => {
+  const received = [];
+  const facebookApi = {
+    adAccountId: 'act_1',
+    accessToken: 'secret',
+    pageId: 'page',
+    async createCampaignStructure(campaignData) {
+      received.push(campaignData);
+      const campaign = await axios.post('https://graph.facebook.com/v18.0/act_1/campaigns', null, { params: { name: campaignData.campaignName } });
+      return { campaign: campaign.data, adSet: null, mediaHashes: { image: 'abc' } };
+    }
+  };
+
+  const plan = await LaunchPlanner.planLaunch(facebookApi, { campaignName: 'Spring' }, { numberOfCampaigns: 2 });
+
+  assert.equal(plan.dryRun, true);
+  assert.equal(plan.adAccountId, 'act_1');
+  assert.deepEqual(plan.campaigns.map(campaign => campaign.campaignName), ['Spring - Copy 1', 'Spring - Copy 2']);
+  assert.deepEqual(plan.summary, { campaigns: 2, adSets: 2, ads: 2, apiCalls: 2, batchOperations: 0 });
+  assert.equal(received[0].skipMediaUpload, undefined);
+  assert.deepEqual(received[1].reusedMediaHashes, { image: 'abc' });
+  assert.equal(received[1].skipMediaUpload, true);
+});
+
+test('dry runs are requested with true or the multipart string "true"', () => {
+  assert.equal(LaunchPlanner.isDryRunRequest({ dryRun: true }), true);
+  assert.equal(LaunchPlanner.isDryRunRequest({ dryRun: 'true' }), true);
+  assert.equal(LaunchPlanner.isDryRunRequest({ dryRun: 'false' }), false);
+  assert.equal(LaunchPlanner.isDryRunRequest(), false);
+});
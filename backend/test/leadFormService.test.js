@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+// Leads are stored in memory here - keep the real models (and their DB) out
+const storedLeads = new Map();
+require.cache[require.resolve('../models')] = {
+  exports: {
+    Lead: {
+      upsert: async (lead) => storedLeads.set(lead.facebookLeadId, lead)
+    }
+  }
+};
+
+const LeadFormService = require('../services/LeadFormService');
+
+function fakeLeadForm(fields = {}) {
+  const leadForm = {
+    id: 1,
+    userId: 7,
+    pageId: 'page_1',
+    facebookFormId: 'form_1',
+    lastSyncedAt: new Date('2026-10-01T00:00:00Z'),
+    syncCursor: null,
+    syncWindowStartedAt: null,
+    ...fields
+  };
+  leadForm.update = async (changes) => Object.assign(leadForm, changes);
+  return leadForm;
+}
+
+/**
+ * Graph /leads stand-in with an endless lead backlog, one lead per page
+ */
+function stubLeadPages(t) {
+  return t.mock.method(axios, 'get', async (url, options) => {
+    const after = options ? Number(options.params.after || 0) : Number(new URL(url).searchParams.get('after'));
+    const next = `https://graph.test/form_1/leads?after=${after + 1}`;
+    return {
+      data: {
+        data: [{ id: `lead_${after}`, created_time: '2026-10-02T00:00:00Z', field_data: [] }],
+        paging: { cursors: { after: String(after + 1) }, next }
+      }
+    };
+  });
+}
+
+test('a sync stopped at the page cap continues from its cursor next run', async (t) => {
+  storedLeads.clear();
+  t.mock.method(LeadFormService, 'getPageAccessToken', async () => 'page_token');
+  const get = stubLeadPages(t);
+  const leadForm = fakeLeadForm();
+
+  const first = await LeadFormService.syncLeads(leadForm, 'user_token');
+  assert.equal(first, 50);
+  assert.equal(leadForm.syncCursor, '50');
+  assert.ok(leadForm.syncWindowStartedAt instanceof Date);
+  // The window isn't read completely yet, so lastSyncedAt stays where it was
+  assert.equal(leadForm.lastSyncedAt.toISOString(), '2026-10-01T00:00:00.000Z');
+
+  const windowStartedAt = leadForm.syncWindowStartedAt;
+  await LeadFormService.syncLeads(leadForm, 'user_token');
+  const secondRun = get.mock.calls[50].arguments[1].params;
+  assert.equal(secondRun.after, '50');
+  assert.ok(secondRun.filtering.includes('GREATER_THAN'));
+  assert.ok(storedLeads.has('lead_99'));
+  assert.equal(leadForm.syncCursor, '100');
+  assert.equal(leadForm.syncWindowStartedAt, windowStartedAt);
+});
+
+test('finishing the backlog advances lastSyncedAt to when the capped sync started', async (t) => {
+  t.mock.method(LeadFormService, 'getPageAccessToken', async () => 'page_token');
+  t.mock.method(axios, 'get', async () => ({
+    data: { data: [{ id: 'lead_last', created_time: '2026-10-02T00:00:00Z', field_data: [] }], paging: {} }
+  }));
+  const windowStartedAt = new Date('2026-10-03T00:00:00Z');
+  const leadForm = fakeLeadForm({ syncCursor: '100', syncWindowStartedAt: windowStartedAt });
+
+  assert.equal(await LeadFormService.syncLeads(leadForm, 'user_token'), 1);
+  assert.equal(axios.get.mock.calls[0].arguments[1].params.after, '100');
+  assert.equal(leadForm.lastSyncedAt, windowStartedAt);
+  assert.equal(leadForm.syncCursor, null);
+  assert.equal(leadForm.syncWindowStartedAt, null);
+});
+
+test('a form without a saved cursor syncs from lastSyncedAt as before', async (t) => {
+  t.mock.method(LeadFormService, 'getPageAccessToken', async () => 'page_token');
+  t.mock.method(axios, 'get', async () => ({ data: { data: [], paging: {} } }));
+  const leadForm = fakeLeadForm();
+  const before = Date.now();
+
+  await LeadFormService.syncLeads(leadForm, 'user_token');
+  const { params } = axios.get.mock.calls[0].arguments[1];
+  assert.equal(params.after, undefined);
+  assert.ok(leadForm.lastSyncedAt.getTime() >= before);
+});
+
+test('CSV export neutralises answers that spreadsheets would run as formulas', () => {
+  const csv = LeadFormService.toCsv([{
+    submittedAt: new Date('2026-10-02T00:00:00Z'),
+    facebookLeadId: 'lead_1',
+    leadForm: { name: 'Quote', version: 1 },
+    isOrganic: false,
+    fieldData: { a: '=1+1', b: '@SUM(A1)', c: '\t=cmd', d: '\r=cmd', e: 'plain, text' }
+  }]);
+
+  const row = csv.split('\n').slice(1).join('\n');
+  assert.ok(row.includes(",'=1+1,'@SUM(A1),'\t=cmd,\"'\r=cmd\",\"plain, text\""));
+});
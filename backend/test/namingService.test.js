@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Conventions live in memory here - keep the real models (and their DB) out
+const conventions = [];
+const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+require.cache[require.resolve('../models')] = {
+  exports: {
+    NamingConvention: {
+      findOne: async ({ where }) => conventions.find(row => matches(row, where)) || null
+    }
+  }
+};
+
+const PermissionService = require('../services/PermissionService');
+const NamingService = require('../services/NamingService');
+
+const convention = {
+  id: 1,
+  name: 'Team default',
+  campaignTemplate: '{date} | {vertical} | {state} | {editor} | {strategy}',
+  adSetTemplate: '{vertical} | {state} | AS {n} | {bid}',
+  adTemplate: '{editor} | Ad {n} | C{copy}',
+  emptyValue: 'NA'
+};
+
+test('validateConvention rejects unknown and back-to-back tokens', () => {
+  assert.deepEqual(NamingService.validateConvention(convention), []);
+
+  const errors = NamingService.validateConvention({
+    name: 'Bad',
+    campaignTemplate: '{date}{state}',
+    adTemplate: 'Ad {colour}',
+    emptyValue: ' '
+  });
+  assert.ok(errors.some(error => /need a separator/.test(error)));
+  assert.ok(errors.some(error => /unknown token \{colour\}/.test(error)));
+  assert.ok(errors.some(error => /emptyValue/.test(error)));
+});
+
+test('rendered names parse back into the same values', () => {
+  const name = NamingService.render(convention.adSetTemplate, { vertical: 'Solar', state: 'TX', n: 3, bid: 25.5 });
+  assert.equal(name, 'Solar | TX | AS 3 | $25.50');
+
+  const parsed = NamingService.parse(name, [convention], { level: 'adSet' });
+  assert.equal(parsed.matched, true);
+  assert.equal(parsed.conventionId, 1);
+  assert.deepEqual(parsed.values, { vertical: 'Solar', state: 'TX', n: 3, bid: 25.5 });
+});
+
+test('missing values and separators inside values keep names parseable', () => {
+  const name = NamingService.render(convention.campaignTemplate, {
+    date: new Date(2026, 9, 18),
+    vertical: 'Home | Garden',
+    editor: 'JD'
+  });
+  assert.equal(name, '10/18/2026 | Home Garden | NA | JD | NA');
+
+  const { values } = NamingService.parse(name, [convention], { level: 'campaign' });
+  assert.equal(values.vertical, 'Home Garden');
+  assert.equal(values.state, null);
+  assert.equal(values.strategy, null);
+});
+
+test('copies are renamed with a new copy number only when the source follows a convention', () => {
+  assert.equal(NamingService.renameWith([convention], 'JD | Ad 2 | C0', { copy: 3 }), 'JD | Ad 2 | C3');
+  assert.equal(NamingService.renameWith([convention], 'Hand typed name', { copy: 3 }), null);
+});
+
+test('names from before conventions are parsed on a best-effort basis', () => {
+  assert.deepEqual(NamingService.parseLegacy('[REVIEW] Roofing TX - Ad 10/18/2026 - JD - Copy 2 - CC $25'), {
+    prefix: 'REVIEW',
+    bid: 25,
+    copy: 2,
+    date: '10/18/2026',
+    editor: 'JD',
+    name: 'Roofing TX'
+  });
+});
+
+test('groupBy buckets names by a parsed token', () => {
+  const groups = NamingService.groupBy(
+    [{ name: 'JD | Ad 1 | C0' }, { name: 'AB | Ad 1 | C0' }, { name: 'JD | Ad 2 | C1' }, { name: 'Other' }],
+    'editor',
+    [convention]
+  );
+  assert.deepEqual(Object.fromEntries(Object.entries(groups).map(([key, items]) => [key, items.length])), {
+    JD: 2,
+    AB: 1,
+    unknown: 1
+  });
+});
+
+test('a launch uses the requested team default only for members of that team', async (t) => {
+  conventions.length = 0;
+  conventions.push(
+    { ...convention, id: 10, userId: 7, team: null, isDefault: true, campaignTemplate: 'Mine | {name}' },
+    { ...convention, id: 11, userId: 9, team: 'Solar', isDefault: true, campaignTemplate: 'Solar | {name}' }
+  );
+  t.mock.method(PermissionService, 'getUserTeams', async (userId) => (userId === 7 ? ['Solar'] : []));
+
+  assert.equal((await NamingService.resolveConvention(7, { team: 'Solar' })).id, 11);
+  assert.equal((await NamingService.resolveConvention(8, { team: 'Solar' })), null);
+
+  const campaignData = await NamingService.applyToCampaignData(7, { campaignName: 'Spring' }, {}, '1-50-1');
+  assert.equal(campaignData.campaignName, 'Mine | Spring');
+  assert.equal(campaignData.naming.convention.id, 10);
+  assert.equal(campaignData.naming.values.strategy, '1-50-1');
+});
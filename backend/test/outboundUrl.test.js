@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPublicAddress, assertPublicUrl } = require('../utils/outboundUrl');
+
+test('isPublicAddress refuses private, loopback, link-local and mapped addresses', () => {
+  ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.20.0.1', '192.168.1.1', '100.64.0.1', '::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip']
+    .forEach(address => assert.equal(isPublicAddress(address), false, address));
+  ['8.8.8.8', '2606:4700:4700::1111'].forEach(address => assert.equal(isPublicAddress(address), true, address));
+});
+
+test('assertPublicUrl only passes public http(s) URLs', () => {
+  assert.equal(assertPublicUrl('https://example.com/page?x=1').hostname, 'example.com');
+  assert.equal(assertPublicUrl('http://8.8.8.8/').hostname, '8.8.8.8');
+
+  ['ftp://example.com/file', 'http://127.0.0.1:3000/', 'http://[::1]/', 'http://169.254.169.254/latest', 'not a url']
+    .forEach(url => assert.throws(() => assertPublicUrl(url), { code: 'UNSAFE_URL' }, url));
+});
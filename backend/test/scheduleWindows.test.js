@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseScheduleConfig,
+  isActiveAt,
+  getNextTransitions,
+  getNextBudgetActionAt,
+  listBudgetOccurrences,
+  applyBudgetAction
+} = require('../utils/scheduleWindows');
+
+const schedule = (body) => parseScheduleConfig({ timezone: 'America/New_York', ...body });
+const at = (iso) => new Date(iso);
+
+test('overnight windows run across midnight and merge with touching windows', () => {
+  const overnight = schedule({
+    timeWindows: [
+      { start: '22:00', end: '02:00', days: ['friday'] },
+      { start: '02:00', end: '06:00', days: ['saturday'] }
+    ]
+  });
+
+  // Friday 2026-10-16 23:00 and Saturday 05:00 New York time
+  assert.equal(isActiveAt(overnight, at('2026-10-17T03:00:00Z')), true);
+  assert.equal(isActiveAt(overnight, at('2026-10-17T09:00:00Z')), true);
+  assert.equal(isActiveAt(overnight, at('2026-10-17T11:00:00Z')), false);
+
+  const { nextPause } = getNextTransitions(overnight, at('2026-10-17T03:00:00Z'));
+  assert.equal(nextPause.toISOString(), '2026-10-17T10:00:00.000Z');
+});
+
+test('a one-off date range replaces the weekly windows on its dates', () => {
+  const holiday = schedule({
+    timeWindows: [{ start: '09:00', end: '17:00' }],
+    dateRanges: [{ start_date: '2026-11-27', end_date: '2026-11-27', windows: [{ start: '06:00', end: '08:00' }] }]
+  });
+
+  assert.equal(isActiveAt(holiday, at('2026-11-27T12:00:00Z')), true);
+  assert.equal(isActiveAt(holiday, at('2026-11-27T15:00:00Z')), false);
+});
+
+test('a blackout longer than two weeks still has a next start after it', () => {
+  const daily = schedule({
+    timeWindows: [{ start: '09:00', end: '17:00' }],
+    blackoutDates: [{ start_date: '2026-12-15', end_date: '2027-01-05', reason: 'Holidays' }]
+  });
+
+  // Evening of 2026-12-14 in New York, after the last window before the blackout
+  const { nextStart, nextPause } = getNextTransitions(daily, at('2026-12-14T23:00:00Z'));
+  assert.equal(nextStart.toISOString(), '2027-01-06T14:00:00.000Z');
+  assert.equal(nextPause.toISOString(), '2027-01-06T22:00:00.000Z');
+});
+
+test('back-to-back blackouts are skipped together', () => {
+  const weekly = schedule({
+    timeWindows: [{ start: '09:00', end: '17:00', days: ['monday'] }],
+    blackoutDates: [
+      { start_date: '2027-01-04', end_date: '2027-01-20' },
+      '2026-12-28',
+      { start_date: '2026-12-15', end_date: '2027-01-03' }
+    ]
+  });
+
+  const { nextStart } = getNextTransitions(weekly, at('2026-12-14T23:00:00Z'));
+  assert.equal(nextStart.toISOString(), '2027-01-25T14:00:00.000Z');
+});
+
+test('budget actions skip blackout dates', () => {
+  const budgets = schedule({
+    budgetActions: [{ time: '06:00', type: 'increase', percent: 20, max_budget: 500 }],
+    blackoutDates: ['2026-10-20']
+  });
+
+  const occurrences = listBudgetOccurrences(budgets, at('2026-10-19T00:00:00Z'), at('2026-10-22T00:00:00Z'));
+  assert.deepEqual(occurrences.map(occurrence => occurrence.at.toISOString()), [
+    '2026-10-19T10:00:00.000Z',
+    '2026-10-21T10:00:00.000Z'
+  ]);
+});
+
+test('the next budget action is found after a blackout longer than a week', () => {
+  const budgets = schedule({
+    budgetActions: [{ time: '06:00', days: ['monday'], type: 'set', amount: 300 }],
+    blackoutDates: [{ start_date: '2026-12-15', end_date: '2027-01-05' }]
+  });
+
+  assert.equal(getNextBudgetActionAt(budgets, at('2026-12-14T23:00:00Z')).toISOString(), '2027-01-11T11:00:00.000Z');
+  assert.equal(getNextBudgetActionAt(schedule({ budgetActions: [], timeWindows: [{ start: '09:00', end: '17:00' }] })), null);
+});
+
+test('budget changes are clamped and never drop below a dollar', () => {
+  assert.equal(applyBudgetAction(40000, { type: 'increase', percent: 50, max_budget: 500 }), 50000);
+  assert.equal(applyBudgetAction(10000, { type: 'decrease', amount: 30, min_budget: 80 }), 8000);
+  assert.equal(applyBudgetAction(500, { type: 'decrease', amount: 10 }), 100);
+  assert.equal(applyBudgetAction(500, { type: 'set', amount: 25 }), 2500);
+});
+
+test('invalid schedules are rejected', () => {
+  assert.throws(() => schedule({ timezone: 'Mars/Base' }), /valid IANA timezone/);
+  assert.throws(() => schedule({ timeWindows: [{ start: '09:00', end: '09:00' }] }), /can't be the same time/);
+  assert.throws(() => schedule({ blackoutDates: [{ start_date: '2027-01-05', end_date: '2026-12-15' }] }), /end date is before start date/);
+  assert.throws(() => schedule({}), /at least one time window/);
+  assert.throws(() => schedule({ budgetActions: [{ time: '06:00', type: 'increase', percent: 10, amount: 5 }] }), /either a percent or an amount/);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Split test rows live in memory here - keep the real models (and their DB) out
+require.cache[require.resolve('../models')] = {
+  exports: {
+    SplitTest: {
+      create: async (fields) => {
+        const row = { id: 1, ...fields };
+        row.update = async (changes) => Object.assign(row, changes);
+        return row;
+      }
+    }
+  }
+};
+
+const StrategyEngine = require('../services/StrategyEngine');
+const SplitTestService = require('../services/SplitTestService');
+
+const validRequest = () => ({
+  name: 'Hook test',
+  variable: 'creative',
+  cells: [
+    { name: 'A', overrides: { headline: 'Save today' } },
+    { name: 'B', overrides: { headline: 'Free quote' } }
+  ],
+  durationDays: 7,
+  confidenceLevel: 90
+});
+
+/**
+ * FacebookAPI stand-in that records what the service asked for, in order
+ */
+function fakeFacebookApi(options = {}) {
+  const calls = [];
+  return {
+    calls,
+    adAccountId: '1',
+    getAdAccountBusinessId: async () => 'business_1',
+    createAdStudy: async (businessId, study) => {
+      calls.push(['study', study.cells.map(cell => cell.campaignIds[0])]);
+      if (options.studyError) throw new Error(options.studyError);
+      return { id: 'study_1' };
+    },
+    updateCampaignStatus: async (campaignId, status) => calls.push(['status', campaignId, status]),
+    deleteCampaign: async (campaignId) => calls.push(['delete', campaignId])
+  };
+}
+
+function stubLaunch(t) {
+  let launched = 0;
+  return t.mock.method(StrategyEngine, 'launch', async (facebookApi, structure, cellData) => {
+    launched++;
+    return {
+      jobId: launched,
+      campaigns: [{ campaignId: `campaign_${launched}`, campaignName: cellData.campaignName }]
+    };
+  });
+}
+
+test('validate accepts a creative test and rejects cells outside the variable', () => {
+  assert.deepEqual(SplitTestService.validate(validRequest()), []);
+
+  const request = validRequest();
+  request.cells[1].overrides = { targeting: { ageMin: 30 } };
+  request.durationDays = 45;
+  const errors = SplitTestService.validate(request);
+  assert.ok(errors.some(error => /can only change/.test(error)));
+  assert.ok(errors.some(error => /durationDays/.test(error)));
+});
+
+test('validate rejects identical cells and duplicate names', () => {
+  const request = validRequest();
+  request.cells[1] = { name: 'A', overrides: { headline: 'Save today' } };
+  const errors = SplitTestService.validate(request);
+  assert.ok(errors.some(error => /duplicate cell name/.test(error)));
+  assert.ok(errors.some(error => /identical to another cell/.test(error)));
+});
+
+test('treatment percentages always add up to 100', () => {
+  assert.deepEqual(SplitTestService.getTreatmentPercentages(3), [34, 33, 33]);
+  assert.deepEqual(SplitTestService.getTreatmentPercentages(2), [50, 50]);
+});
+
+test('cells launch paused and are only activated once the ad study exists', async (t) => {
+  const launch = stubLaunch(t);
+  const facebookApi = fakeFacebookApi();
+  const startTime = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+  const splitTest = await SplitTestService.createSplitTest(facebookApi, {
+    ...validRequest(),
+    userId: 7,
+    campaignData: { campaignName: 'Spring', adSetBudget: { dailyBudget: 20 } },
+    startTime
+  });
+
+  const cellData = launch.mock.calls.map(call => call.arguments[2]);
+  assert.deepEqual(cellData.map(data => data.status), ['PAUSED', 'PAUSED']);
+  assert.deepEqual(cellData.map(data => data.headline), ['Save today', 'Free quote']);
+  // A study starting later holds its cells' ad sets until the start
+  assert.equal(cellData[0].adSetBudget.startDate, startTime.toISOString());
+  assert.equal(cellData[0].adSetBudget.dailyBudget, 20);
+
+  assert.deepEqual(facebookApi.calls, [
+    ['study', ['campaign_1', 'campaign_2']],
+    ['status', 'campaign_1', 'ACTIVE'],
+    ['status', 'campaign_2', 'ACTIVE']
+  ]);
+  assert.equal(splitTest.status, 'active');
+  assert.equal(splitTest.studyId, 'study_1');
+});
+
+test('a failed ad study deletes the cell campaigns and never activates them', async (t) => {
+  stubLaunch(t);
+  const facebookApi = fakeFacebookApi({ studyError: 'Not allowed' });
+
+  await assert.rejects(
+    SplitTestService.createSplitTest(facebookApi, {
+      ...validRequest(),
+      userId: 7,
+      campaignData: { campaignName: 'Spring' }
+    }),
+    error => error.message === 'Not allowed' && error.splitTestId === 1
+  );
+
+  assert.deepEqual(facebookApi.calls.filter(call => call[0] !== 'study'), [
+    ['delete', 'campaign_1'],
+    ['delete', 'campaign_2']
+  ]);
+});
+
+test('pickWinner ranks by cost per result and reports significance', () => {
+  const cells = [
+    { name: 'A', campaignId: '1', metrics: { impressions: 10000, clicks: 200, conversions: 100, spend: 500, cpa: 5, ctr: 2 } },
+    { name: 'B', campaignId: '2', metrics: { impressions: 10000, clicks: 200, conversions: 40, spend: 500, cpa: 12.5, ctr: 2 } }
+  ];
+
+  const { primaryMetric, winner } = SplitTestService.pickWinner(cells, 95);
+  assert.equal(primaryMetric, 'cpa');
+  assert.equal(winner.name, 'A');
+  assert.equal(winner.runnerUp, 'B');
+  assert.ok(winner.significant);
+
+  assert.deepEqual(SplitTestService.pickWinner(cells.slice(0, 1), 95), { primaryMetric: null, winner: null });
+});
@@ -0,0 +1,248 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Quiet the launch logs (see deploymentRollback.test.js)
+test.mock.method(console, 'log', () => {});
+
+// Keep the real models (and their DB) out - tracking writes are recorded here instead
+const trackedCampaigns = [];
+require.cache[require.resolve('../models')] = {
+  exports: {
+    CampaignTracking: {
+      create: async (row) => trackedCampaigns.push(row),
+      getUrlParams: async () => null
+    }
+  }
+};
+
+const FakeGraphApi = require('../services/FakeGraphApi');
+const JobStore = require('../services/JobStore');
+const JobEvents = require('../services/JobEvents');
+const AuditService = require('../services/AuditService');
+const StrategyEngine = require('../services/StrategyEngine');
+const { getLegacyRoute, LEGACY_ROUTES } = require('../config/strategies');
+
+async function startFakeGraph(t) {
+  const fake = new FakeGraphApi();
+  const server = await fake.listen(0);
+  process.env.FB_GRAPH_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => {
+    delete process.env.FB_GRAPH_BASE_URL;
+    return new Promise(resolve => server.close(resolve));
+  });
+  return fake;
+}
+
+function stubJobStore(t) {
+  t.mock.method(JobStore, 'createRecord', async () => ({ id: 1 }));
+  for (const routeKey of Object.keys(LEGACY_ROUTES)) {
+    for (const kind of ['duplicate', 'multiply']) {
+      t.mock.method(StrategyEngine.jobCollection(getLegacyRoute(routeKey), kind), 'recordEntity', async () => null);
+    }
+  }
+}
+
+const facebookApi = { accessToken: 'token', adAccountId: '1', pageId: 'page_1', pixelId: null };
+
+test('every legacy route entry points at a strategy and its own job types', () => {
+  const jobTypes = new Set();
+  for (const routeKey of Object.keys(LEGACY_ROUTES)) {
+    const route = getLegacyRoute(routeKey);
+    assert.ok(route.definition, `${routeKey} has no strategy definition`);
+    for (const jobType of Object.values(route.jobTypes)) {
+      assert.ok(!jobTypes.has(jobType), `${jobType} is used twice`);
+      jobTypes.add(jobType);
+      assert.ok(JobStore.resumeHandlers.has(jobType), `${jobType} has no resume handler`);
+    }
+  }
+  assert.throws(() => getLegacyRoute('strategy-999'), /Unknown strategy route/);
+});
+
+test('duplicating refuses a campaign from another ad account', async (t) => {
+  const fake = await startFakeGraph(t);
+  stubJobStore(t);
+  const campaign = fake.createEntity('campaign', 'act_2', { name: 'Not yours' });
+  const run = t.mock.method(StrategyEngine, 'runAdSetDuplication', async () => ({}));
+
+  await assert.rejects(
+    StrategyEngine.duplicateAdSets('strategy-for-all', facebookApi, {
+      campaignId: campaign.id,
+      originalAdSetId: 'adset_1',
+      count: 3
+    }, { userId: 7 }),
+    error => error.status === 403
+  );
+  assert.equal(run.mock.callCount(), 0);
+});
+
+test('duplicating checks the request before touching Facebook', async () => {
+  await assert.rejects(
+    StrategyEngine.duplicateAdSets('strategy-150', facebookApi, { campaignId: '1' }, { userId: 7 }),
+    error => error.status === 400 && /Ad Set ID/.test(error.message)
+  );
+  await assert.rejects(
+    StrategyEngine.duplicateAdSets('strategy-150', facebookApi, { campaignId: '1', originalAdSetId: '2', count: 0 }, { userId: 7 }),
+    error => error.status === 400 && /at least 1/.test(error.message)
+  );
+});
+
+test('duplicating rejects an invalid bid ladder and resolves a valid one per ad set', async (t) => {
+  const fake = await startFakeGraph(t);
+  stubJobStore(t);
+  const campaign = fake.createEntity('campaign', 'act_1', { name: 'Ladder' });
+  const run = t.mock.method(StrategyEngine, 'runAdSetDuplication', () => new Promise(() => {}));
+
+  await assert.rejects(
+    StrategyEngine.duplicateAdSets('strategy-for-all', facebookApi, {
+      campaignId: campaign.id,
+      originalAdSetId: 'adset_1',
+      formData: { bidLadder: { type: 'cost_cap', values: [10, 20, 30, 40] } },
+      count: 2
+    }, { userId: 7 }),
+    error => error.status === 400 && /only has 3 ad sets/.test(error.message)
+  );
+  assert.equal(run.mock.callCount(), 0);
+
+  await StrategyEngine.duplicateAdSets('strategy-for-all', facebookApi, {
+    campaignId: campaign.id,
+    originalAdSetId: 'adset_1',
+    formData: { bidLadder: { type: 'bid_cap', from: '$10', to: 20 } },
+    count: 2
+  }, { userId: 7 });
+
+  const { formData } = run.mock.calls[0].arguments[2];
+  assert.deepEqual(formData.bidLadder, { type: 'bid_cap', bidStrategy: 'LOWEST_COST_WITH_BID_CAP', amounts: [10, 15, 20] });
+});
+
+test('strategy-for-ads counts the original ad set and starts in the background', async (t) => {
+  const fake = await startFakeGraph(t);
+  stubJobStore(t);
+  const campaign = fake.createEntity('campaign', 'act_1', { name: 'Launch' });
+  const run = t.mock.method(StrategyEngine, 'runAdSetDuplication', () => new Promise(() => {}));
+
+  const data = await StrategyEngine.duplicateAdSets('strategy-for-ads', facebookApi, {
+    campaignId: campaign.id,
+    originalAdSetId: 'adset_1',
+    postId: 'page_1_post',
+    formData: { headline: 'Hi' },
+    count: '5'
+  }, { userId: 7 });
+
+  assert.equal(data.status, 'in_progress');
+  assert.equal(data.count, 4);
+  assert.equal(data.totalAdSets, 5);
+
+  const [route, campaignId, params, copies] = run.mock.calls[0].arguments;
+  assert.equal(route.routeKey, 'strategy-for-ads');
+  assert.equal(campaignId, campaign.id);
+  assert.equal(copies, 4);
+  assert.equal(params.formData.attributionSetting, '1_day_click_1_day_view');
+  assert.deepEqual(params.customBudgets, [1, 1, 1, 1]);
+
+  const job = StrategyEngine.jobCollection(route, 'duplicate').get(campaign.id);
+  assert.equal(job.total, 4);
+  assert.equal(JobEvents.getOwner(campaign.id), 7);
+});
+
+test('strategy-150 waits for the copies and rejects a second user on the same campaign', async (t) => {
+  const fake = await startFakeGraph(t);
+  stubJobStore(t);
+  const campaign = fake.createEntity('campaign', 'act_1', { name: 'Launch' });
+  t.mock.method(StrategyEngine, 'runAdSetDuplication', async () => ({
+    adSets: [{ id: 'a' }, { id: 'b' }],
+    summary: { successRate: 100 },
+    batchesExecuted: 1
+  }));
+
+  const data = await StrategyEngine.duplicateAdSets('strategy-150', facebookApi, {
+    campaignId: campaign.id,
+    originalAdSetId: 'adset_1',
+    count: 2
+  }, { userId: 7 });
+
+  assert.equal(data.status, 'completed');
+  assert.equal(data.adSets.length, 2);
+  assert.equal(data.apiCallsUsed, 1);
+
+  await assert.rejects(
+    StrategyEngine.duplicateAdSets('strategy-150', facebookApi, {
+      campaignId: campaign.id,
+      originalAdSetId: 'adset_1',
+      count: 2
+    }, { userId: 8 }),
+    error => error.status === 409
+  );
+});
+
+test('multiplying stores the job for the selected ad account', async (t) => {
+  stubJobStore(t);
+  const processRun = t.mock.method(StrategyEngine, 'processMultiplication', async () => {});
+
+  await assert.rejects(
+    StrategyEngine.multiplyCampaign('strategy-for-all', facebookApi, { sourceCampaignId: 'c1', multiplyCount: 10 }, { userId: 7 }),
+    error => error.status === 400
+  );
+
+  const { jobId, estimatedSeconds } = await StrategyEngine.multiplyCampaign('strategy-for-all', facebookApi, {
+    sourceCampaignId: 'c1',
+    multiplyCount: '2'
+  }, { userId: 7 });
+
+  assert.equal(estimatedSeconds, 264);
+  const [meta] = JobStore.createRecord.mock.calls.at(-1).arguments.slice(3);
+  assert.equal(meta.adAccountId, '1');
+  assert.deepEqual(meta.params, { sourceCampaignId: 'c1', multiplyCount: 2, adAccountId: '1', pageId: 'page_1' });
+  assert.equal(processRun.mock.calls[0].arguments[1], jobId);
+});
+
+test('a successful batch multiply is audited once and never falls back', async (t) => {
+  stubJobStore(t);
+  const audit = t.mock.method(AuditService, 'log', async () => null);
+  const route = getLegacyRoute('strategy-150');
+  const jobs = StrategyEngine.jobCollection(route, 'multiply');
+  jobs.set('job_batch', { id: 'job_batch', status: 'started', campaigns: [], errors: [] }, { userId: 7 });
+
+  const api = {
+    ...facebookApi,
+    batchMultiplyCampaigns: async () => ({
+      success: true,
+      results: [{ campaignId: 'copy_1', campaignName: 'Copy 1' }],
+      errors: [],
+      summary: { successful: 1, failed: 0 }
+    }),
+    duplicateCampaignDeepCopy: async () => assert.fail('sequential fallback must not run')
+  };
+
+  await StrategyEngine.processMultiplication(route, 'job_batch', { campaignId: 'c1', campaign: { id: 'c1', name: null } }, 1, api, 7);
+
+  assert.equal(jobs.get('job_batch').status, 'completed');
+  assert.equal(audit.mock.callCount(), 1);
+  assert.equal(audit.mock.calls[0].arguments[0].action, 'strategy150.multiply');
+  assert.equal(audit.mock.calls[0].arguments[0].details.method, 'batch');
+});
+
+test('a failed batch multiply copies one campaign at a time', async (t) => {
+  stubJobStore(t);
+  const audit = t.mock.method(AuditService, 'log', async () => null);
+  const route = getLegacyRoute('strategy-for-all');
+  const jobs = StrategyEngine.jobCollection(route, 'multiply');
+  jobs.set('job_seq', { id: 'job_seq', status: 'started', campaigns: [], errors: [] }, { userId: 7 });
+
+  let copies = 0;
+  const api = {
+    ...facebookApi,
+    batchMultiplyCampaigns: async () => { throw new Error('batch down'); },
+    duplicateCampaignDeepCopy: async () => `copy_${++copies}`,
+    getCampaignFullDetails: async (id) => ({ id, name: `Copy ${id}` }),
+    getAdSetsForCampaign: async () => []
+  };
+
+  await StrategyEngine.processMultiplication(route, 'job_seq', { campaignId: 'c1', campaign: { id: 'c1', name: null } }, 2, api, 7);
+
+  const job = jobs.get('job_seq');
+  assert.equal(job.status, 'completed');
+  assert.equal(job.campaigns.length, 2);
+  assert.deepEqual(trackedCampaigns.map(row => [row.campaign_id, row.user_id]), [['copy_1', 7], ['copy_2', 7]]);
+  assert.equal(audit.mock.calls[0].arguments[0].details.method, 'sequential-fallback');
+  assert.equal(audit.mock.calls[0].arguments[0].details.successfulCopies, 2);
+});
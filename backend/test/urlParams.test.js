@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveUrlParams,
+  buildQuery,
+  mergeQuery,
+  appendToLink,
+  validateFinalUrl,
+  validateUrlParams,
+  applyUrlParams
+} = require('../utils/urlParams');
+
+const rules = (params, extra = {}) => ({ target: 'url_tags', params, ...extra });
+
+test('rules accept static values, Facebook macros and our tokens', () => {
+  const urlParams = resolveUrlParams(rules([
+    { key: 'utm_source', value: 'facebook' },
+    { key: 'utm_campaign', value: '{{campaign.name}}' },
+    { key: 'utm_content', value: '{editor}-{copy}' }
+  ]), { editor: 'JD' });
+
+  assert.equal(urlParams.target, 'url_tags');
+  assert.deepEqual(urlParams.values, { editor: 'JD' });
+  assert.equal(buildQuery(urlParams, { copy: 3 }), 'utm_source=facebook&utm_campaign={{campaign.name}}&utm_content=JD-3');
+
+  // A plain { key: value } object is a url_tags rule list
+  assert.deepEqual(resolveUrlParams({ utm_medium: 'paid' }, {}).params, [{ key: 'utm_medium', value: 'paid' }]);
+  assert.equal(resolveUrlParams(null), null);
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => resolveUrlParams(rules([{ key: 'utm source', value: 'x' }])), /may only contain/);
+  assert.throws(() => resolveUrlParams(rules([{ key: 'a', value: '1' }, { key: 'A', value: '2' }])), /more than once/);
+  assert.throws(() => resolveUrlParams(rules([{ key: 'a', value: '' }])), /needs a value/);
+  assert.throws(() => resolveUrlParams(rules([{ key: 'a', value: '{{account.id}}' }])), /unknown Facebook macro/);
+  assert.throws(() => resolveUrlParams(rules([{ key: 'a', value: '{team}' }])), /unknown token \{team\}/);
+  assert.throws(() => resolveUrlParams(rules([{ key: 'a', value: '1' }], { target: 'header' })), /target must be one of/);
+});
+
+test('values are encoded but macros are left for Facebook to expand', () => {
+  const urlParams = resolveUrlParams(rules([{ key: 'q', value: 'a b&{{adset.name}}' }]));
+  assert.equal(buildQuery(urlParams), 'q=a%20b%26{{adset.name}}');
+});
+
+test('copied ads replace existing keys instead of repeating them', () => {
+  assert.equal(mergeQuery('utm_source=old&ref=1', 'UTM_SOURCE=facebook&copy=2'), 'ref=1&UTM_SOURCE=facebook&copy=2');
+
+  const urlParams = resolveUrlParams(rules([{ key: 'copy', value: '{copy}' }]));
+  const body = { url_tags: 'utm_source=facebook&copy=0' };
+  applyUrlParams(body, urlParams, { copy: 4 });
+  assert.equal(body.url_tags, 'utm_source=facebook&copy=4');
+});
+
+test('target link appends to the ad link and keeps the fragment', () => {
+  assert.equal(appendToLink('https://example.com/p?ref=1#form', 'ref=2&utm_source=fb'), 'https://example.com/p?ref=2&utm_source=fb#form');
+
+  const urlParams = resolveUrlParams(rules([{ key: 'utm_source', value: 'fb' }], { target: 'link' }));
+  const body = {};
+  assert.equal(applyUrlParams(body, urlParams, {}, 'https://example.com'), 'https://example.com?utm_source=fb');
+  assert.equal(body.url_tags, undefined);
+});
+
+test('the final URL is checked for scheme, repeated keys and length', () => {
+  assert.deepEqual(validateFinalUrl('https://example.com?a=1', 'b=2'), []);
+  assert.deepEqual(validateFinalUrl('not a url'), ['"not a url" is not a valid URL']);
+  assert.ok(validateFinalUrl('ftp://example.com')[0].includes('http://'));
+  assert.deepEqual(validateFinalUrl('https://example.com?utm_source=x', 'utm_source=fb'), ['URL parameters already in the link: utm_source']);
+  assert.match(validateFinalUrl(`https://example.com/${'a'.repeat(2000)}`)[0], /max 2000/);
+
+  const urlParams = resolveUrlParams(rules([{ key: 'ref', value: 'fb' }]));
+  assert.equal(validateUrlParams('https://example.com?ref=1', urlParams).length, 1);
+  assert.deepEqual(validateUrlParams('https://example.com?ref=1', null), []);
+});
@@ -0,0 +1,133 @@
+/**
+ * Bid Ladder
+ *
+ * Gives every ad set of a launch its own cost cap or bid cap so a single
+ * 1-50-1 / For All launch tests a range of bid levels. The ladder is either
+ * a range split into even steps or an explicit list of amounts (repeated
+ * when the launch has more ad sets than amounts). Each ad set's name gets
+ * the amount as a suffix, e.g. "... - AdSet 3 - CC $25".
+ *
+ * Request shape: { type: 'cost_cap' | 'bid_cap', from, to } or { type, values: [...] }
+ * Amounts are in dollars; ad set bodies get bid_amount in cents.
+ */
+
+const LADDER_TYPES = {
+  cost_cap: { bidStrategy: 'COST_CAP', label: 'CC' },
+  bid_cap: { bidStrategy: 'LOWEST_COST_WITH_BID_CAP', label: 'BC' }
+};
+
+const MIN_AMOUNT = 0.01;
+
+const toAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const parsed = parseFloat(String(value ?? '').replace(/[$,]/g, ''));
+  return isNaN(parsed) ? NaN : parsed;
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const formatAmount = (amount) => (Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`);
+
+/**
+ * Turn a request's ladder into one amount per ad set
+ *
+ * @param {Object} input - { type, from, to } or { type, values }
+ * @param {Number} adSetCount - Ad sets in the launch (including the first one)
+ * @returns {Object|null} { type, bidStrategy, amounts } or null when no ladder was requested
+ * @throws {Error} Unknown type or invalid amounts
+ */
+function resolveBidLadder(input, adSetCount) {
+  if (!input || (typeof input === 'object' && Object.keys(input).length === 0)) {
+    return null;
+  }
+
+  const ladderType = LADDER_TYPES[input.type];
+  if (!ladderType) {
+    throw new Error(`Bid ladder type must be one of: ${Object.keys(LADDER_TYPES).join(', ')}`);
+  }
+
+  let amounts;
+  if (Array.isArray(input.values)) {
+    amounts = input.values.map(toAmount);
+    if (amounts.length === 0) {
+      throw new Error('Bid ladder values must contain at least one amount');
+    }
+    if (amounts.length > adSetCount) {
+      throw new Error(`Bid ladder has ${amounts.length} values but the launch only has ${adSetCount} ad sets`);
+    }
+  } else {
+    const from = toAmount(input.from);
+    const to = toAmount(input.to);
+    if (isNaN(from) || isNaN(to)) {
+      throw new Error('Bid ladder needs either values or both from and to');
+    }
+
+    const step = adSetCount > 1 ? (to - from) / (adSetCount - 1) : 0;
+    amounts = Array.from({ length: adSetCount }, (value, index) => from + step * index);
+  }
+
+  amounts = amounts.map(roundCents);
+  if (amounts.some(amount => isNaN(amount) || amount < MIN_AMOUNT)) {
+    throw new Error('Bid ladder amounts must be positive dollar values');
+  }
+
+  return {
+    type: input.type,
+    bidStrategy: ladderType.bidStrategy,
+    amounts
+  };
+}
+
+/**
+ * Amount and name suffix for the ad set at a position in the launch
+ *
+ * @param {Object} ladder - From resolveBidLadder()
+ * @param {Number} index - 0-based ad set position (0 = the first ad set)
+ * @returns {Object} { amount, bidAmount (cents), suffix }
+ */
+function getLadderStep(ladder, index) {
+  const amount = ladder.amounts[index % ladder.amounts.length];
+  return {
+    amount,
+    bidAmount: Math.round(amount * 100),
+    suffix: ` - ${LADDER_TYPES[ladder.type].label} ${formatAmount(amount)}`
+  };
+}
+
+/**
+ * Apply a ladder step to an ad set body (Graph API field names)
+ * With campaign budget (no ad set budget) the bid strategy lives on the
+ * campaign, so only bid_amount is set on the ad set.
+ *
+ * @param {Object} body - Ad set params/body; mutated and returned
+ * @param {Object} ladder - From resolveBidLadder()
+ * @param {Number} index - 0-based ad set position
+ * @param {Object} options - { suffix: false } when the name already shows the bid
+ *                           (a naming convention with {bid})
+ * @returns {Object} body
+ */
+function applyBidLadder(body, ladder, index, options = {}) {
+  const step = getLadderStep(ladder, index);
+  const hasAdSetBudget = !!(body.daily_budget || body.lifetime_budget);
+
+  body.bid_amount = step.bidAmount;
+  delete body.bid_cap;
+  if (hasAdSetBudget) {
+    body.bid_strategy = ladder.bidStrategy;
+  } else {
+    delete body.bid_strategy;
+  }
+
+  if (options.suffix !== false && body.name && !body.name.endsWith(step.suffix)) {
+    body.name = `${body.name}${step.suffix}`;
+  }
+
+  return body;
+}
+
+module.exports = {
+  LADDER_TYPES,
+  resolveBidLadder,
+  getLadderStep,
+  applyBidLadder
+};
@@ -0,0 +1,151 @@
+/**
+ * Campaign Request Helpers
+ *
+ * Turns a strategy create form (JSON or multipart FormData) into the
+ * campaignData object FacebookAPI and StrategyEngine expect. Shared by the
+ * registry-driven launch routes (strategies, split tests).
+ */
+
+// Fields the strategy forms send as JSON strings inside FormData
+const JSON_FIELDS = [
+  'specialAdCategories',
+  'adSetBudget',
+  'campaignBudget',
+  'targeting',
+  'placements',
+  'duplicationSettings',
+  'primaryTextVariations',
+  'headlineVariations',
+  'bidLadder',
+  'urlParams',
+  'cells'
+];
+
+const parseFormDataJson = (req, res, next) => {
+  JSON_FIELDS.forEach(field => {
+    if (typeof req.body[field] === 'string') {
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (e) {
+        // Leave as-is if not valid JSON
+      }
+    }
+  });
+  next();
+};
+
+// Keep in dollars, FacebookAPI converts to cents
+const parseBudget = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return value;
+  const parsed = parseFloat(String(value).replace(/[$,]/g, ''));
+  return isNaN(parsed) ? undefined : parsed;
+};
+
+/**
+ * Same campaignData shape the strategy-150/for-all routes build
+ */
+function buildCampaignData(body, files, resources) {
+  const { adAccountId, pageId, pixelId } = resources;
+  const budgetLevel = body.budgetLevel || 'adset';
+  const isVideo = body.mediaType === 'single_video' || body.mediaType === 'video';
+  const mediaPath = files[0]?.path || null;
+
+  let campaignName = body.campaignName;
+  if ((body.prefixOption || 'launcher') === 'launcher') {
+    campaignName = `[Launcher] ${campaignName}`;
+  } else if (body.prefixOption === 'custom' && body.customPrefix?.trim()) {
+    campaignName = `[${body.customPrefix.trim()}] ${campaignName}`;
+  }
+
+  const adSetDailyBudget = parseBudget(body.adSetBudget?.dailyBudget) ?? parseBudget(body.dailyBudget);
+  const adSetLifetimeBudget = parseBudget(body.adSetBudget?.lifetimeBudget) ?? parseBudget(body.lifetimeBudget);
+  const endDate = body.adSetBudget?.endDate || body.endDate;
+
+  return {
+    campaignName,
+    buyingType: body.buyingType || 'AUCTION',
+    objective: body.objective,
+    budgetLevel,
+    specialAdCategories: Array.isArray(body.specialAdCategories)
+      ? body.specialAdCategories.filter(cat => cat !== 'NONE' && cat !== '')
+      : [],
+    campaignBudgetOptimization: budgetLevel === 'campaign',
+    bidStrategy: body.bidStrategy,
+    bidAmount: parseBudget(body.bidAmount),
+    costCap: parseBudget(body.costCap),
+    minRoas: body.minRoas ? parseFloat(body.minRoas) : undefined,
+    campaignBudget: budgetLevel === 'campaign' ? {
+      dailyBudget: parseBudget(body.campaignBudget?.dailyBudget),
+      lifetimeBudget: parseBudget(body.campaignBudget?.lifetimeBudget)
+    } : {},
+    campaignSpendingLimit: body.campaignSpendingLimit,
+
+    performanceGoal: body.performanceGoal,
+    pixel: body.pixel || pixelId,
+    conversionLocation: body.conversionLocation,
+    leadFormId: body.leadFormId,
+    conversionEvent: body.conversionEvent,
+    attributionSetting: body.attributionSetting,
+    attributionWindow: body.attributionWindow,
+
+    adSetBudget: {
+      ...(body.adSetBudget || {}),
+      dailyBudget: adSetDailyBudget,
+      lifetimeBudget: budgetLevel === 'adset' ? adSetLifetimeBudget : undefined,
+      scheduleType: body.adSetBudget?.scheduleType || (endDate ? 'scheduled' : 'run_continuously'),
+      startDate: body.adSetBudget?.startDate || body.startDate,
+      endDate
+    },
+    budgetType: body.budgetType || 'daily',
+    dailyBudget: budgetLevel === 'campaign' ? parseBudget(body.campaignBudget?.dailyBudget) : adSetDailyBudget,
+    lifetimeBudget: budgetLevel === 'campaign' ? parseBudget(body.campaignBudget?.lifetimeBudget) : adSetLifetimeBudget,
+
+    targeting: body.targeting,
+    placementType: body.placementType || 'automatic',
+    placements: body.placements,
+
+    facebookPage: body.facebookPage || pageId,
+    url: body.url,
+    primaryText: body.primaryText,
+    headline: body.headline,
+    description: body.description,
+    callToAction: body.callToAction || 'LEARN_MORE',
+    displayLink: body.displayLink,
+    editorName: body.editorName,
+
+    mediaType: body.mediaType || 'single_image',
+    imagePath: !isVideo && body.mediaType !== 'carousel' ? mediaPath : null,
+    videoPath: isVideo ? mediaPath : null,
+    videoThumbnailPath: isVideo ? files[1]?.path || null : null,
+    imagePaths: body.mediaType === 'carousel' ? files.map(file => file.path) : null,
+
+    dynamicTextEnabled: body.dynamicTextEnabled === true || body.dynamicTextEnabled === 'true',
+    primaryTextVariations: body.primaryTextVariations || [],
+    headlineVariations: body.headlineVariations || [],
+
+    publishDirectly: true,
+    selectedPageId: pageId,
+    selectedAdAccountId: adAccountId,
+    selectedPixelId: body.pixel || pixelId
+  };
+}
+
+/**
+ * Instant Form ads can't be created without a form to attach
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateLeadForm(fields) {
+  if (fields?.conversionLocation === 'instant_forms' && !fields.leadFormId) {
+    return ['leadFormId is required when conversionLocation is instant_forms'];
+  }
+  return [];
+}
+
+module.exports = {
+  JSON_FIELDS,
+  parseFormDataJson,
+  parseBudget,
+  buildCampaignData,
+  validateLeadForm
+};
@@ -0,0 +1,148 @@
+/**
+ * Conversion Mapping
+ *
+ * Per-target rules for carrying an ad set's conversion setup into another
+ * account, set on a deployment target as:
+ *
+ *   conversionMapping: {
+ *     pixels: { '<source pixel ID>': '<target pixel ID>' },
+ *     events: { '<source event>': '<target event>' }
+ *   }
+ *
+ * Event keys and values are promoted_object values of the same kind:
+ * a standard event type (LEAD, COMPLETE_REGISTRATION), a custom event name
+ * (custom_event_str) or a custom conversion ID. A custom conversion belongs
+ * to one pixel, so it has to be mapped to the target account's equivalent.
+ */
+
+// promoted_object.custom_event_type → event name the pixel reports
+const STANDARD_EVENTS = {
+  LEAD: 'Lead',
+  COMPLETE_REGISTRATION: 'CompleteRegistration',
+  PURCHASE: 'Purchase',
+  CONTACT: 'Contact',
+  SUBMIT_APPLICATION: 'SubmitApplication',
+  SCHEDULE: 'Schedule',
+  START_TRIAL: 'StartTrial',
+  SUBSCRIBE: 'Subscribe',
+  ADD_TO_CART: 'AddToCart',
+  ADD_TO_WISHLIST: 'AddToWishlist',
+  INITIATED_CHECKOUT: 'InitiateCheckout',
+  ADD_PAYMENT_INFO: 'AddPaymentInfo',
+  CONTENT_VIEW: 'ViewContent',
+  SEARCH: 'Search',
+  FIND_LOCATION: 'FindLocation',
+  DONATE: 'Donate',
+  CUSTOMIZE_PRODUCT: 'CustomizeProduct'
+};
+
+/**
+ * Validate a target's conversionMapping
+ *
+ * @param {Object} value - Submitted conversionMapping
+ * @param {String} label - Prefix for error messages (e.g. "Target 2")
+ * @returns {Object} { mapping, errors } (mapping is null when nothing is mapped)
+ */
+function normalizeConversionMapping(value, label) {
+  if (value === undefined || value === null) return { mapping: null, errors: [] };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { mapping: null, errors: [`${label}: conversionMapping must be an object with pixels and/or events`] };
+  }
+
+  const errors = [];
+  const mapping = {};
+
+  ['pixels', 'events'].forEach(kind => {
+    const rules = value[kind];
+    if (rules === undefined || rules === null) return;
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      errors.push(`${label}: conversionMapping.${kind} must map source to target values`);
+      return;
+    }
+
+    const clean = {};
+    Object.entries(rules).forEach(([from, to]) => {
+      const target = to === undefined || to === null ? '' : String(to).trim();
+      if (!target) {
+        errors.push(`${label}: conversionMapping.${kind} has no target for ${from}`);
+      } else if (kind === 'pixels' && !/^\d+$/.test(target)) {
+        errors.push(`${label}: ${target} is not a pixel ID`);
+      } else {
+        clean[String(from).trim()] = target;
+      }
+    });
+    if (Object.keys(clean).length > 0) mapping[kind] = clean;
+  });
+
+  return { mapping: Object.keys(mapping).length > 0 ? mapping : null, errors };
+}
+
+/**
+ * Target pixel for a source pixel, null when the target has no rule for it
+ */
+function mapPixel(sourcePixelId, mapping) {
+  if (!sourcePixelId || !mapping?.pixels) return null;
+  return mapping.pixels[String(sourcePixelId)] || null;
+}
+
+/**
+ * A source ad set's promoted_object rewritten for the target
+ *
+ * @param {Object} promotedObject - Source promoted_object
+ * @param {Object} mapping - Target's conversionMapping
+ * @param {String} fallbackPixelId - Pixel to use when the source pixel isn't mapped (none: the pixel is removed)
+ * @returns {Object} { promotedObject, changes: ['pixel_id: 1 → 2', ...] }
+ */
+function mapPromotedObject(promotedObject, mapping, fallbackPixelId = null) {
+  const next = { ...promotedObject };
+  const changes = [];
+  const events = mapping?.events || {};
+
+  const pixelId = mapPixel(promotedObject.pixel_id, mapping) || fallbackPixelId;
+  if (pixelId) {
+    next.pixel_id = pixelId;
+  } else {
+    delete next.pixel_id;
+  }
+  if ((next.pixel_id || null) !== (promotedObject.pixel_id || null)) {
+    changes.push(`pixel_id: ${promotedObject.pixel_id || 'none'} → ${next.pixel_id || 'none'}`);
+  }
+
+  ['custom_conversion_id', 'custom_event_str', 'custom_event_type'].forEach(field => {
+    const value = promotedObject[field];
+    if (value && events[value]) {
+      next[field] = events[value];
+      changes.push(`${field}: ${value} → ${events[value]}`);
+    }
+  });
+
+  return { promotedObject: next, changes };
+}
+
+/**
+ * What a promoted_object needs the pixel to be firing
+ *
+ * @returns {Object|null} { pixelId, eventName, customConversionId }, null when it doesn't optimize for a pixel event
+ */
+function expectedPixelEvent(promotedObject) {
+  if (!promotedObject?.pixel_id) return null;
+
+  if (promotedObject.custom_conversion_id) {
+    return { pixelId: String(promotedObject.pixel_id), eventName: null, customConversionId: String(promotedObject.custom_conversion_id) };
+  }
+
+  const type = promotedObject.custom_event_type;
+  const eventName = type === 'OTHER' || !type
+    ? promotedObject.custom_event_str || null
+    : STANDARD_EVENTS[type] || type;
+
+  return eventName ? { pixelId: String(promotedObject.pixel_id), eventName, customConversionId: null } : null;
+}
+
+module.exports = {
+  STANDARD_EVENTS,
+  normalizeConversionMapping,
+  mapPixel,
+  mapPromotedObject,
+  expectedPixelEvent
+};
@@ -0,0 +1,307 @@
+/**
+ * Deployment Diff
+ *
+ * Compares a deployed copy with its source campaign. Both sides are first
+ * reduced to a snapshot (snapshotStructure) of the fields a sync can push:
+ *
+ * - status:   campaign, ad set and ad status
+ * - budget:   campaign and ad set daily/lifetime budget (only between accounts
+ *             with the same currency - budgets are in the account's minor unit)
+ * - schedule: ad set start/end time
+ * - copy:     ad primary text, headline and description
+ * - url:      ad link (compared without its query string, so per-copy
+ *             tracking parameters are not reported as drift)
+ *
+ * Ad sets and ads are matched through the source -> copy ID map the deployment
+ * recorded (DeployedCampaign.entityMap), falling back to the name for entities
+ * the map doesn't cover (older deployments, strategy copies). Entities without
+ * a match on the other side are reported as warnings, never diffed.
+ * Ads built on an existing post (object_story_id) or a dynamic creative
+ * (asset_feed_spec) can't have their copy rewritten.
+ */
+
+const CATEGORIES = {
+  status: ['status'],
+  budget: ['daily_budget', 'lifetime_budget'],
+  schedule: ['start_time', 'end_time'],
+  copy: ['message', 'headline', 'description'],
+  url: ['url']
+};
+
+const LEVEL_CATEGORIES = {
+  campaign: ['status', 'budget'],
+  adSet: ['status', 'budget', 'schedule'],
+  ad: ['status', 'copy', 'url']
+};
+
+const byCreatedTime = (a, b) => String(a.created_time || '').localeCompare(String(b.created_time || ''));
+
+const emptyToNull = (value) => (value === undefined || value === null || value === '' || value === '0' ? null : value);
+
+function normalizeTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toISOString();
+}
+
+function baseUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Editable copy of an ad creative
+ * @returns {Object|null} { message, headline, description, url }, null when the creative can't be rewritten
+ */
+function extractCopy(creative) {
+  const spec = creative?.object_story_spec;
+  if (!spec || creative.asset_feed_spec) return null;
+
+  if (spec.link_data) {
+    return {
+      message: spec.link_data.message || null,
+      headline: spec.link_data.name || null,
+      description: spec.link_data.description || null,
+      url: spec.link_data.link || null
+    };
+  }
+  if (spec.video_data) {
+    return {
+      message: spec.video_data.message || null,
+      headline: spec.video_data.title || null,
+      description: spec.video_data.link_description || null,
+      url: spec.video_data.call_to_action?.value?.link || null
+    };
+  }
+  return null;
+}
+
+/**
+ * object_story_spec with new copy/URL values; the link keeps the copy's own query string
+ *
+ * @param {Object} spec - The copy's current object_story_spec
+ * @param {Object} values - { message, headline, description, url } (only the keys to change)
+ * @returns {Object} New spec
+ */
+function applyCopy(spec, values) {
+  const next = JSON.parse(JSON.stringify(spec));
+  const withQuery = (sourceUrl, currentUrl) => {
+    try {
+      const current = new URL(currentUrl);
+      const updated = new URL(sourceUrl);
+      return `${updated.origin}${updated.pathname}${current.search || updated.search}`;
+    } catch (e) {
+      return sourceUrl;
+    }
+  };
+
+  if (next.link_data) {
+    const data = next.link_data;
+    if ('message' in values) data.message = values.message;
+    if ('headline' in values) data.name = values.headline;
+    if ('description' in values) data.description = values.description;
+    if ('url' in values) {
+      data.link = withQuery(values.url, data.link);
+      if (data.call_to_action?.value?.link) data.call_to_action.value.link = data.link;
+    }
+  } else if (next.video_data) {
+    const data = next.video_data;
+    if ('message' in values) data.message = values.message;
+    if ('headline' in values) data.title = values.headline;
+    if ('description' in values) data.link_description = values.description;
+    if ('url' in values && data.call_to_action?.value) {
+      data.call_to_action.value.link = withQuery(values.url, data.call_to_action.value.link);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Reduce a campaign read from the Graph API to the syncable fields
+ *
+ * @param {Object} structure - { campaign, adSets, ads, currency } (ad sets/ads with created_time)
+ * @returns {Object} { currency, campaign, adSets, ads }
+ */
+function snapshotStructure({ campaign, adSets = [], ads = [], currency = null }) {
+  const sortedAdSets = [...adSets].sort(byCreatedTime);
+  const adSetIndex = new Map(sortedAdSets.map((adSet, index) => [adSet.id, index]));
+
+  return {
+    currency,
+    campaign: {
+      id: campaign.id,
+      name: campaign.name,
+      status: campaign.status,
+      daily_budget: emptyToNull(campaign.daily_budget),
+      lifetime_budget: emptyToNull(campaign.lifetime_budget)
+    },
+    adSets: sortedAdSets.map(adSet => ({
+      id: adSet.id,
+      name: adSet.name,
+      status: adSet.status,
+      daily_budget: emptyToNull(adSet.daily_budget),
+      lifetime_budget: emptyToNull(adSet.lifetime_budget),
+      start_time: normalizeTime(adSet.start_time),
+      end_time: normalizeTime(adSet.end_time)
+    })),
+    ads: [...ads].sort(byCreatedTime).map(ad => {
+      const copy = extractCopy(ad.creative);
+      return {
+        id: ad.id,
+        name: ad.name,
+        adSetIndex: adSetIndex.get(ad.adset_id) ?? null,
+        status: ad.status,
+        creative: ad.creative || null,
+        editable: !!copy,
+        ...(copy || { message: null, headline: null, description: null, url: null })
+      };
+    })
+  };
+}
+
+/**
+ * Pair source entities with the copy's: mapped ID first, then a name only one
+ * unmatched entity on each side has
+ *
+ * @param {Array} sourceEntities
+ * @param {Array} targetEntities
+ * @param {Object} idMap - { sourceId: copyId } (may be empty)
+ * @returns {Object} { pairs: [{ index, source, target }], unmatchedSource, unmatchedTarget }
+ */
+function matchEntities(sourceEntities, targetEntities, idMap = {}) {
+  const targetsById = new Map(targetEntities.map(entity => [entity.id, entity]));
+  const used = new Set();
+  const matches = new Map();
+
+  sourceEntities.forEach((entity, index) => {
+    const mapped = targetsById.get(idMap?.[entity.id]);
+    if (mapped && !used.has(mapped.id)) {
+      matches.set(index, mapped);
+      used.add(mapped.id);
+    }
+  });
+
+  const countNames = (entities) => entities.reduce((counts, entity) => counts.set(entity.name, (counts.get(entity.name) || 0) + 1), new Map());
+  const openSources = sourceEntities.filter((entity, index) => !matches.has(index));
+  const openTargets = targetEntities.filter(entity => !used.has(entity.id));
+  const sourceNames = countNames(openSources);
+  const targetNames = countNames(openTargets);
+
+  sourceEntities.forEach((entity, index) => {
+    if (matches.has(index) || sourceNames.get(entity.name) !== 1 || targetNames.get(entity.name) !== 1) return;
+    const named = openTargets.find(candidate => candidate.name === entity.name);
+    matches.set(index, named);
+    used.add(named.id);
+  });
+
+  return {
+    pairs: [...matches].sort(([a], [b]) => a - b).map(([index, target]) => ({ index, source: sourceEntities[index], target })),
+    unmatchedSource: sourceEntities.filter((entity, index) => !matches.has(index)),
+    unmatchedTarget: targetEntities.filter(entity => !used.has(entity.id))
+  };
+}
+
+/**
+ * Differences between a source snapshot and a copy's snapshot
+ *
+ * @param {Object} source - snapshotStructure() of the source campaign
+ * @param {Object} target - snapshotStructure() of the deployed copy
+ * @param {Object} entityMap - DeployedCampaign.entityMap ({ adSets, ads } of source -> copy IDs), optional
+ * @returns {Object} { changes: [{ key, level, index, entityId, entityName, field, category, source, target, supported, reason }], warnings }
+ */
+function diffSnapshots(source, target, entityMap = null) {
+  const changes = [];
+  const warnings = [];
+  const sameCurrency = !source.currency || !target.currency || source.currency === target.currency;
+
+  const compare = (level, index, sourceEntity, targetEntity) => {
+    for (const category of LEVEL_CATEGORIES[level]) {
+      // Copy of post-based/dynamic ads can't be read or rewritten (see the warning below)
+      if ((category === 'copy' || category === 'url') && !(sourceEntity.editable && targetEntity.editable)) continue;
+
+      for (const field of CATEGORIES[category]) {
+        const sourceValue = field === 'url' ? baseUrl(sourceEntity[field]) : sourceEntity[field];
+        const targetValue = field === 'url' ? baseUrl(targetEntity[field]) : targetEntity[field];
+        if ((sourceValue ?? null) === (targetValue ?? null)) continue;
+
+        const change = {
+          key: `${level}${index === null ? '' : `.${index}`}.${field}`,
+          level,
+          index,
+          entityId: targetEntity.id,
+          entityName: targetEntity.name,
+          field,
+          category,
+          source: sourceEntity[field] ?? null,
+          target: targetEntity[field] ?? null,
+          supported: true,
+          reason: null
+        };
+
+        if (category === 'budget' && !sameCurrency) {
+          change.supported = false;
+          change.reason = `Currencies differ (${source.currency} vs ${target.currency})`;
+        } else if (category === 'budget' && (sourceValue === null || targetValue === null)) {
+          change.supported = false;
+          change.reason = 'Budget is set at a different level (CBO vs ABO) in the copy';
+        }
+
+        changes.push(change);
+      }
+    }
+  };
+
+  compare('campaign', null, source.campaign, target.campaign);
+
+  const levels = [
+    { level: 'adSet', label: 'ad set', matched: matchEntities(source.adSets, target.adSets, entityMap?.adSets) },
+    { level: 'ad', label: 'ad', matched: matchEntities(source.ads, target.ads, entityMap?.ads) }
+  ];
+  for (const { level, label, matched } of levels) {
+    matched.pairs.forEach(pair => compare(level, pair.index, pair.source, pair.target));
+
+    if (matched.unmatchedSource.length > 0) {
+      warnings.push(`${matched.unmatchedSource.length} source ${label}(s) have no match in the copy and aren't compared`);
+    }
+    if (matched.unmatchedTarget.length > 0) {
+      warnings.push(`${matched.unmatchedTarget.length} ${label}(s) in the copy have no match in the source and aren't compared`);
+    }
+  }
+
+  const lockedAds = levels[1].matched.pairs.filter(pair => !pair.source.editable || !pair.target.editable).length;
+  if (lockedAds > 0) {
+    warnings.push(`${lockedAds} ad(s) use an existing post or dynamic creative; their copy and URL aren't compared`);
+  }
+
+  return { changes, warnings };
+}
+
+/**
+ * Validate the categories a sync should push
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateCategories(categories) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return [`fields must list at least one of: ${Object.keys(CATEGORIES).join(', ')}`];
+  }
+  const unknown = categories.filter(category => !CATEGORIES[category]);
+  return unknown.length > 0
+    ? [`Unknown field(s): ${unknown.join(', ')}. Use: ${Object.keys(CATEGORIES).join(', ')}`]
+    : [];
+}
+
+module.exports = {
+  CATEGORIES,
+  matchEntities,
+  extractCopy,
+  applyCopy,
+  snapshotStructure,
+  diffSnapshots,
+  validateCategories
+};
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { getGraphBaseUrl } = require('../config/graphApi');
 
 /**
  * Exchange a short-lived Facebook token for a long-lived token
@@ -12,7 +13,7 @@ async function exchangeForLongLivedToken(shortLivedToken) {
     
     console.log('Exchanging short-lived token for long-lived token...');
     
-    const response = await axios.get('https://graph.facebook.com/v18.0/oauth/access_token', {
+    const response = await axios.get(`${getGraphBaseUrl('v18.0')}/oauth/access_token`, {
       params: {
         grant_type: 'fb_exchange_token',
         client_id: appId,
@@ -13,6 +13,7 @@
 const axios = require('axios');
 const fbApiWithRotation = require('../services/FacebookApiWithRotation');
 const { AllAppsExhaustedError } = require('../utils/customErrors');
+const { getGraphHost } = require('../config/graphApi');
 
 // Global rotation flag - can be enabled/disabled without code changes
 const USE_ROTATION = process.env.ENABLE_FB_APP_ROTATION === 'true' || false;
@@ -34,9 +35,10 @@ async function makeFacebookApiCall(url, options = {}, userAccessToken = null, en
 
   // Extract endpoint from URL
   let endpoint = url;
-  if (url.includes('graph.facebook.com')) {
+  const graphHost = getGraphHost();
+  if (url.includes('graph.facebook.com') || url.startsWith(graphHost)) {
     // Extract endpoint from full URL
-    const match = url.match(/graph\.facebook\.com\/v[\d.]+\/(.*)/);
+    const match = url.match(/^https?:\/\/[^/]+\/v[\d.]+\/(.*)/);
     if (match) {
       endpoint = match[1];
     }
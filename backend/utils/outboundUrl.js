@@ -0,0 +1,118 @@
+/**
+ * Outbound URL Safety
+ *
+ * Checks for URLs the server fetches on a user's behalf (bulk launch media,
+ * landing page preflight), so they can't be used to reach internal services:
+ * - only http:// and https://
+ * - hosts that are IP literals must be public addresses
+ * - hostnames are resolved through publicLookup (pass it to axios or tls as
+ *   `lookup`), which refuses private, loopback, link-local, CGNAT, multicast and
+ *   reserved addresses. The address checked is the one connected to, so DNS
+ *   rebinding between check and connect doesn't help.
+ *
+ * Redirects must be followed by hand (maxRedirects: 0) with assertPublicUrl on
+ * every hop - Node skips the lookup for IP literals.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+function unsafeUrlError(message) {
+  const error = new Error(message);
+  error.code = 'UNSAFE_URL';
+  return error;
+}
+
+/**
+ * Whether an IP address is publicly routable
+ * (BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges)
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Throw unless a URL is http(s) and, for IP literals, points at a public address
+ * @returns {URL} Parsed URL
+ */
+function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw unsafeUrlError(`"${url}" is not a valid URL`);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw unsafeUrlError('URL must start with http:// or https://');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw unsafeUrlError(`${host} is not a public address`);
+  }
+  return parsed;
+}
+
+/**
+ * dns.lookup replacement that fails when a hostname resolves to a non-public address
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(unsafeUrlError(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  publicLookup
+};
@@ -0,0 +1,448 @@
+const { DateTime } = require('luxon');
+
+/**
+ * Schedule Windows
+ *
+ * Turns a campaign schedule into the concrete periods the campaign should run,
+ * in the schedule's timezone:
+ * - time_windows:   [{ start: '06:00', end: '10:00', days: ['monday', ...] }]
+ *                   several per day, each with its own weekdays (days defaults to
+ *                   days_of_week). end <= start runs overnight; '24:00' is midnight.
+ *                   Empty = the legacy single start_time/end_time window.
+ * - date_ranges:    [{ start_date: '2026-11-27', end_date: '2026-11-30', windows: [{ start, end }] }]
+ *                   one-off periods; on those dates their windows (default all day)
+ *                   replace the weekly windows.
+ * - blackout_dates: ['2026-12-25', { start_date, end_date, reason }]
+ *                   nothing runs; an overnight window is cut at the blackout's midnight.
+ *
+ * Touching or overlapping periods are merged, so back-to-back windows don't
+ * pause and restart the campaign.
+ *
+ * budget_actions run at a time of day on their weekdays (skipped on blackout dates):
+ *   [{ time: '06:00', days, type: 'set', amount: 300 }]
+ *   [{ time: '06:00', type: 'increase', percent: 20, max_budget: 500 }]
+ * type is set | increase | decrease; increase/decrease take percent or amount (dollars);
+ * min_budget/max_budget (dollars) clamp the result.
+ */
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MAX_WINDOWS = 20;
+const MAX_DATE_ENTRIES = 100;
+const MIN_HORIZON_DAYS = 14;
+const MAX_HORIZON_DAYS = 400;
+const TIME_PATTERN = /^(?:([01]?\d|2[0-3]):([0-5]\d)|24:00)(?::00)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BUDGET_ACTION_TYPES = ['set', 'increase', 'decrease'];
+const MAX_BUDGET_ACTIONS = 20;
+const MIN_BUDGET_CENTS = 100;
+// A weekly action comes round within 8 days (7 days plus the rest of today)
+const BUDGET_LOOKAHEAD_DAYS = 8;
+
+/**
+ * "HH:MM" (or "HH:MM:SS" from the TIME column) to minutes since midnight
+ */
+function toMinutes(time) {
+  const match = String(time || '').trim().match(TIME_PATTERN);
+  if (!match) return null;
+  return match[1] === undefined ? 1440 : Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseWindow(window, label, defaultDays = null) {
+  const start = toMinutes(window?.start);
+  const end = toMinutes(window?.end);
+
+  if (start === null || start === 1440 || end === null) {
+    throw new Error(`${label}: start and end must be HH:MM (e.g. 06:00, 22:30)`);
+  }
+  if (start === end) {
+    throw new Error(`${label}: start and end can't be the same time`);
+  }
+
+  const parsed = { start: formatMinutes(start), end: formatMinutes(end) };
+  if (defaultDays !== null) {
+    const days = (window.days || defaultDays).map(day => String(day).toLowerCase());
+    const unknown = days.filter(day => !DAYS.includes(day));
+    if (days.length === 0 || unknown.length > 0) {
+      throw new Error(`${label}: days must be a non-empty list of ${DAYS.join(', ')}`);
+    }
+    parsed.days = [...new Set(days)];
+  }
+  return parsed;
+}
+
+function parseDateRange(entry, label) {
+  const range = typeof entry === 'string' ? { start_date: entry } : entry || {};
+  const startDate = range.start_date || range.startDate || range.date;
+  const endDate = range.end_date || range.endDate || startDate;
+
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') ||
+      !DateTime.fromISO(startDate).isValid || !DateTime.fromISO(endDate).isValid) {
+    throw new Error(`${label}: dates must be YYYY-MM-DD`);
+  }
+  if (endDate < startDate) {
+    throw new Error(`${label}: end date is before start date`);
+  }
+
+  return { start_date: startDate, end_date: endDate, ...(range.reason ? { reason: String(range.reason) } : {}) };
+}
+
+const toAmount = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+function parseBudgetAction(action, label) {
+  const time = toMinutes(action?.time);
+  if (time === null || time === 1440) {
+    throw new Error(`${label}: time must be HH:MM (e.g. 06:00)`);
+  }
+
+  const type = String(action.type || '').toLowerCase();
+  if (!BUDGET_ACTION_TYPES.includes(type)) {
+    throw new Error(`${label}: type must be one of ${BUDGET_ACTION_TYPES.join(', ')}`);
+  }
+
+  const amount = toAmount(action.amount);
+  const percent = toAmount(action.percent);
+  const minBudget = toAmount(action.min_budget ?? action.minBudget);
+  const maxBudget = toAmount(action.max_budget ?? action.maxBudget);
+
+  if (type === 'set' && !(amount > 0)) {
+    throw new Error(`${label}: set needs an amount greater than 0`);
+  }
+  if (type !== 'set' && !(amount > 0) === !(percent > 0)) {
+    throw new Error(`${label}: ${type} needs either a percent or an amount greater than 0`);
+  }
+  if ([minBudget, maxBudget].some(value => value !== null && !(value > 0))) {
+    throw new Error(`${label}: min_budget and max_budget must be greater than 0`);
+  }
+  if (minBudget !== null && maxBudget !== null && minBudget > maxBudget) {
+    throw new Error(`${label}: min_budget is above max_budget`);
+  }
+
+  const days = (action.days || DAYS).map(day => String(day).toLowerCase());
+  if (days.length === 0 || days.some(day => !DAYS.includes(day))) {
+    throw new Error(`${label}: days must be a non-empty list of ${DAYS.join(', ')}`);
+  }
+
+  return {
+    time: formatMinutes(time),
+    days: [...new Set(days)],
+    type,
+    ...(type === 'set' || amount > 0 ? { amount } : { percent }),
+    ...(minBudget !== null ? { min_budget: minBudget } : {}),
+    ...(maxBudget !== null ? { max_budget: maxBudget } : {})
+  };
+}
+
+/**
+ * Validate a schedule request and map it to the model's columns
+ *
+ * Accepts the legacy { startTime, endTime, daysOfWeek } and/or
+ * { timeWindows, dateRanges, blackoutDates, budgetActions }. A schedule with
+ * only budget actions never starts or pauses the campaign.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} { timezone, start_time, end_time, days_of_week, time_windows, date_ranges, blackout_dates, budget_actions }
+ * @throws {Error} Invalid timezone, window, date, budget action or an empty schedule
+ */
+function parseScheduleConfig(body) {
+  const {
+    timezone, startTime, endTime, daysOfWeek,
+    timeWindows = [], dateRanges = [], blackoutDates = [], budgetActions = []
+  } = body;
+
+  if (!timezone || !DateTime.now().setZone(timezone).isValid) {
+    throw new Error('A valid IANA timezone is required (e.g. America/New_York)');
+  }
+  if (![timeWindows, dateRanges, blackoutDates, budgetActions].every(Array.isArray)) {
+    throw new Error('timeWindows, dateRanges, blackoutDates and budgetActions must be arrays');
+  }
+  if (budgetActions.length > MAX_BUDGET_ACTIONS) {
+    throw new Error(`At most ${MAX_BUDGET_ACTIONS} budget actions are allowed`);
+  }
+  if (timeWindows.length > MAX_WINDOWS) {
+    throw new Error(`At most ${MAX_WINDOWS} time windows are allowed`);
+  }
+  if (dateRanges.length > MAX_DATE_ENTRIES || blackoutDates.length > MAX_DATE_ENTRIES) {
+    throw new Error(`At most ${MAX_DATE_ENTRIES} date ranges and ${MAX_DATE_ENTRIES} blackout dates are allowed`);
+  }
+
+  const defaultDays = Array.isArray(daysOfWeek) && daysOfWeek.length > 0 ? daysOfWeek : DAYS;
+  const windows = timeWindows.map((window, index) => parseWindow(window, `Time window ${index + 1}`, defaultDays));
+  const ranges = dateRanges.map((range, index) => ({
+    ...parseDateRange(range, `Date range ${index + 1}`),
+    windows: (range.windows || []).map((window, i) => parseWindow(window, `Date range ${index + 1} window ${i + 1}`))
+  }));
+  const blackouts = blackoutDates.map((entry, index) => parseDateRange(entry, `Blackout ${index + 1}`));
+  const budget = budgetActions.map((action, index) => parseBudgetAction(action, `Budget action ${index + 1}`));
+
+  // Legacy single window stays in start_time/end_time/days_of_week only
+  const isLegacy = windows.length === 0 && Boolean(startTime || endTime);
+  if (isLegacy) {
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0) {
+      throw new Error('daysOfWeek must be a non-empty array');
+    }
+    windows.push(parseWindow({ start: startTime, end: endTime }, 'Schedule', daysOfWeek));
+  }
+
+  if (windows.length === 0 && ranges.length === 0 && budget.length === 0) {
+    throw new Error('Add at least one time window, date range or budget action');
+  }
+
+  // start_time/end_time/days_of_week are required columns; mirror the first window
+  const first = windows[0] || { start: '00:00', end: '24:00', days: [] };
+  return {
+    timezone,
+    start_time: `${first.start}:00`,
+    end_time: `${first.end === '24:00' ? '23:59' : first.end}:00`,
+    days_of_week: [...new Set(windows.flatMap(window => window.days))],
+    time_windows: isLegacy ? [] : windows,
+    date_ranges: ranges,
+    blackout_dates: blackouts,
+    budget_actions: budget
+  };
+}
+
+/**
+ * Weekly windows of a schedule (legacy start_time/end_time when time_windows is empty)
+ */
+function getWeeklyWindows(schedule) {
+  if (Array.isArray(schedule.time_windows) && schedule.time_windows.length > 0) {
+    return schedule.time_windows;
+  }
+  if (!schedule.start_time || !schedule.end_time) return [];
+  return [{
+    start: schedule.start_time.substring(0, 5),
+    end: schedule.end_time.substring(0, 5),
+    days: schedule.days_of_week || []
+  }];
+}
+
+const inRange = (isoDate, range) => isoDate >= range.start_date && isoDate <= range.end_date;
+
+function isBlackout(schedule, isoDate) {
+  return (schedule.blackout_dates || []).some(entry =>
+    typeof entry === 'string' ? entry === isoDate : inRange(isoDate, entry)
+  );
+}
+
+/**
+ * Windows that start on a given local date
+ */
+function windowsForDate(schedule, day) {
+  const isoDate = day.toISODate();
+  if (isBlackout(schedule, isoDate)) return [];
+
+  const ranges = (schedule.date_ranges || []).filter(range => inRange(isoDate, range));
+  if (ranges.length > 0) {
+    return ranges.flatMap(range =>
+      range.windows?.length ? range.windows : [{ start: '00:00', end: '24:00' }]
+    );
+  }
+
+  const dayName = DAYS[day.weekday - 1];
+  return getWeeklyWindows(schedule).filter(window => (window.days || []).includes(dayName));
+}
+
+function atMinutes(day, minutes) {
+  return minutes >= 1440
+    ? day.plus({ days: 1 }).startOf('day')
+    : day.set({ hour: Math.floor(minutes / 60), minute: minutes % 60, second: 0, millisecond: 0 });
+}
+
+/**
+ * Concrete run periods between two instants, merged and sorted
+ *
+ * @param {Object} schedule - CampaignSchedule (or plain object with the same fields)
+ * @param {Date} from - Start of the period to expand
+ * @param {Number} days - How many days ahead to expand
+ * @returns {Array} [{ start: DateTime, end: DateTime }] in the schedule's timezone
+ */
+function buildIntervals(schedule, from, days) {
+  const zone = schedule.timezone || 'America/New_York';
+  // Start a day early so an overnight window that began yesterday is included
+  let day = DateTime.fromJSDate(from).setZone(zone).startOf('day').minus({ days: 1 });
+  const intervals = [];
+
+  for (let i = 0; i <= days + 1; i++, day = day.plus({ days: 1 })) {
+    for (const window of windowsForDate(schedule, day)) {
+      const startMinutes = toMinutes(window.start);
+      const endMinutes = toMinutes(window.end);
+      const start = atMinutes(day, startMinutes);
+      let end = endMinutes > startMinutes ? atMinutes(day, endMinutes) : atMinutes(day.plus({ days: 1 }), endMinutes);
+
+      // An overnight window stops at the start of a blackout day
+      const nextDay = day.plus({ days: 1 });
+      if (end > nextDay.startOf('day') && isBlackout(schedule, nextDay.toISODate())) {
+        end = nextDay.startOf('day');
+      }
+      intervals.push({ start, end });
+    }
+  }
+
+  intervals.sort((a, b) => a.start - b.start);
+  return intervals.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ ...interval });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Blackouts as { start_date, end_date }, sorted by start
+ */
+function getBlackoutRanges(schedule) {
+  return (schedule.blackout_dates || [])
+    .map(entry => (typeof entry === 'string' ? { start_date: entry, end_date: entry } : entry))
+    .sort((a, b) => (a.start_date < b.start_date ? -1 : a.start_date > b.start_date ? 1 : 0));
+}
+
+/**
+ * End of a lookahead of `days` days, pushed to `days` past the end of every
+ * blackout it reaches - nothing happens during a blackout, so a long one would
+ * otherwise hide everything after it (capped at MAX_HORIZON_DAYS)
+ *
+ * @returns {DateTime} In the schedule's timezone
+ */
+function lookaheadEnd(schedule, from, days) {
+  const zone = schedule.timezone || 'America/New_York';
+  const start = DateTime.fromJSDate(from).setZone(zone);
+  let end = start.plus({ days });
+
+  for (const blackout of getBlackoutRanges(schedule)) {
+    if (blackout.start_date > end.toISODate()) break;
+    // The blackout's last day ends at the following midnight
+    const afterBlackout = DateTime.fromISO(blackout.end_date, { zone }).plus({ days: days + 1 });
+    if (afterBlackout > end) end = afterBlackout;
+  }
+
+  const max = start.plus({ days: MAX_HORIZON_DAYS });
+  return end > max ? max : end;
+}
+
+/**
+ * How far ahead to look: two weeks (past any blackout), or up to the last one-off date range
+ */
+function horizonDays(schedule, from) {
+  const daysUntil = (end) => Math.ceil(end.diff(DateTime.fromJSDate(from), 'days').days);
+  let days = daysUntil(lookaheadEnd(schedule, from, MIN_HORIZON_DAYS));
+
+  const lastRangeEnd = (schedule.date_ranges || [])
+    .map(range => range.end_date)
+    .sort()
+    .pop();
+  if (lastRangeEnd) {
+    days = Math.max(days, daysUntil(DateTime.fromISO(lastRangeEnd)) + 1);
+  }
+
+  return Math.min(Math.max(days, MIN_HORIZON_DAYS), MAX_HORIZON_DAYS);
+}
+
+/**
+ * Whether the campaign should be running at a given instant
+ */
+function isActiveAt(schedule, at = new Date()) {
+  const instant = DateTime.fromJSDate(at);
+  return buildIntervals(schedule, at, 1).some(interval => interval.start <= instant && instant < interval.end);
+}
+
+/**
+ * Next start and pause after an instant
+ * While inside a run period, nextPause is its end and nextStart the following period's start.
+ *
+ * @returns {Object} { nextStart: Date|null, nextPause: Date|null }
+ */
+function getNextTransitions(schedule, from = new Date()) {
+  const instant = DateTime.fromJSDate(from);
+  const intervals = buildIntervals(schedule, from, horizonDays(schedule, from));
+
+  const nextStart = intervals.find(interval => interval.start > instant);
+  const nextPause = intervals.find(interval => interval.end > instant);
+
+  return {
+    nextStart: nextStart ? nextStart.start.toUTC().toJSDate() : null,
+    nextPause: nextPause ? nextPause.end.toUTC().toJSDate() : null
+  };
+}
+
+/**
+ * Budget actions due in (from, to], grouped by time
+ *
+ * @returns {Array} [{ at: Date, actions: [budget action] }] sorted by time
+ */
+function listBudgetOccurrences(schedule, from, to) {
+  const actions = schedule.budget_actions || [];
+  if (actions.length === 0) return [];
+
+  const zone = schedule.timezone || 'America/New_York';
+  const fromInstant = DateTime.fromJSDate(from);
+  const toInstant = DateTime.fromJSDate(to);
+  const byTime = new Map();
+
+  for (let day = fromInstant.setZone(zone).startOf('day'); day <= toInstant; day = day.plus({ days: 1 })) {
+    if (isBlackout(schedule, day.toISODate())) continue;
+    const dayName = DAYS[day.weekday - 1];
+
+    for (const action of actions) {
+      if (!(action.days || DAYS).includes(dayName)) continue;
+      const at = atMinutes(day, toMinutes(action.time));
+      if (at > fromInstant && at <= toInstant) {
+        const key = at.toMillis();
+        if (!byTime.has(key)) byTime.set(key, { at: at.toUTC().toJSDate(), actions: [] });
+        byTime.get(key).actions.push(action);
+      }
+    }
+  }
+
+  return [...byTime.values()].sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Next budget action time after an instant (looks 8 days ahead, past any blackouts)
+ */
+function getNextBudgetActionAt(schedule, from = new Date()) {
+  const [next] = listBudgetOccurrences(schedule, from, lookaheadEnd(schedule, from, BUDGET_LOOKAHEAD_DAYS).toJSDate());
+  return next ? next.at : null;
+}
+
+/**
+ * New budget (cents) after a budget action
+ *
+ * @param {Number} currentCents - Current daily/lifetime budget in cents
+ * @param {Object} action - Budget action (amounts in dollars)
+ * @returns {Number} New budget in cents
+ */
+function applyBudgetAction(currentCents, action) {
+  let next;
+  if (action.type === 'set') {
+    next = action.amount * 100;
+  } else {
+    const change = action.percent !== undefined
+      ? currentCents * action.percent / 100
+      : action.amount * 100;
+    next = action.type === 'increase' ? currentCents + change : currentCents - change;
+  }
+
+  if (action.max_budget !== undefined) next = Math.min(next, action.max_budget * 100);
+  if (action.min_budget !== undefined) next = Math.max(next, action.min_budget * 100);
+
+  return Math.max(Math.round(next), MIN_BUDGET_CENTS);
+}
+
+module.exports = {
+  DAYS,
+  parseScheduleConfig,
+  getWeeklyWindows,
+  buildIntervals,
+  isActiveAt,
+  getNextTransitions,
+  listBudgetOccurrences,
+  getNextBudgetActionAt,
+  applyBudgetAction
+};
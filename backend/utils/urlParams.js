@@ -0,0 +1,263 @@
+/**
+ * URL Parameters
+ *
+ * Builds the UTM/tracker query string for a launch's ads from rules instead
+ * of hand-typed url_tags. A rule value can be:
+ * - static text:             facebook
+ * - a Facebook macro:        {{campaign.id}}, {{adset.name}} (expanded by Facebook per ad)
+ * - one of our tokens:       {editor}, {copy}, {state}, {vertical}, {n}, {date}
+ *   (filled in when the ad is created, re-filled when the ad is copied)
+ *
+ * Request shape: { target: 'url_tags' | 'link', params: [{ key, value }], values: { editor, state, vertical } }
+ * or a plain { key: value } object.
+ *
+ * With target 'link' the parameters are appended to the ad's link; copies
+ * that reuse the post keep that link as-is. With 'url_tags' (default) they
+ * are written to the ad's url_tags and rebuilt for every copy, replacing any
+ * keys the copied ad already had so nothing is duplicated.
+ */
+
+const TARGETS = ['url_tags', 'link'];
+
+const FB_MACROS = [
+  'campaign.id',
+  'campaign.name',
+  'adset.id',
+  'adset.name',
+  'ad.id',
+  'ad.name',
+  'placement',
+  'site_source_name'
+];
+
+const TOKENS = ['editor', 'copy', 'state', 'vertical', 'n', 'date'];
+
+const MAX_PARAMS = 20;
+const MAX_URL_LENGTH = 2000;
+const KEY_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const MACRO_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const TOKEN_PATTERN = /(?<!\{)\{(\w+)\}(?!\})/g;
+
+const formatDate = (date = new Date()) =>
+  `${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}`;
+
+/**
+ * Split "a=1&b=2" into [[key, value]] (values stay encoded)
+ */
+function splitQuery(query) {
+  return String(query || '')
+    .replace(/^[?&]+/, '')
+    .split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return index === -1 ? [pair, ''] : [pair.slice(0, index), pair.slice(index + 1)];
+    });
+}
+
+/**
+ * Validate and normalize a request's URL parameter rules
+ *
+ * @param {Object} input - { target, params: [{ key, value }], values } or { key: value }
+ * @param {Object} values - Launch-wide token values ({ editor, state, vertical }); input.values wins
+ * @returns {Object|null} { target, params, values } or null when no parameters were requested
+ * @throws {Error} Invalid key, unknown macro/token or duplicate key
+ */
+function resolveUrlParams(input, values = {}) {
+  if (!input || (typeof input === 'object' && Object.keys(input).length === 0)) {
+    return null;
+  }
+
+  const isRuleList = Array.isArray(input.params);
+  const rules = isRuleList
+    ? input.params
+    : Object.entries(input).map(([key, value]) => ({ key, value }));
+  const target = (isRuleList && input.target) || 'url_tags';
+
+  if (!TARGETS.includes(target)) {
+    throw new Error(`URL parameter target must be one of: ${TARGETS.join(', ')}`);
+  }
+  if (rules.length === 0) {
+    return null;
+  }
+  if (rules.length > MAX_PARAMS) {
+    throw new Error(`At most ${MAX_PARAMS} URL parameters are allowed`);
+  }
+
+  const keys = new Set();
+  const params = rules.map(rule => {
+    const key = String(rule.key ?? '').trim();
+    const value = String(rule.value ?? '').trim();
+
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`URL parameter key "${key}" may only contain letters, numbers, _ . and -`);
+    }
+    if (keys.has(key.toLowerCase())) {
+      throw new Error(`URL parameter "${key}" is set more than once`);
+    }
+    keys.add(key.toLowerCase());
+
+    if (!value) {
+      throw new Error(`URL parameter "${key}" needs a value`);
+    }
+    for (const [, macro] of value.matchAll(MACRO_PATTERN)) {
+      if (!FB_MACROS.includes(macro)) {
+        throw new Error(`URL parameter "${key}": unknown Facebook macro {{${macro}}}. Use: ${FB_MACROS.map(m => `{{${m}}}`).join(', ')}`);
+      }
+    }
+    for (const [, token] of value.matchAll(TOKEN_PATTERN)) {
+      if (!TOKENS.includes(token)) {
+        throw new Error(`URL parameter "${key}": unknown token {${token}}. Use: ${TOKENS.map(t => `{${t}}`).join(', ')}`);
+      }
+    }
+
+    return { key, value };
+  });
+
+  return {
+    target,
+    params,
+    values: { ...values, ...(isRuleList ? input.values || {} : {}) }
+  };
+}
+
+/**
+ * Render the query string for one ad
+ * Facebook macros are left unencoded so Facebook can expand them.
+ *
+ * @param {Object} urlParams - From resolveUrlParams()
+ * @param {Object} extra - Per-ad tokens: { copy, n, editor }
+ * @returns {String} e.g. "utm_source=facebook&utm_campaign={{campaign.name}}&copy=2"
+ */
+function buildQuery(urlParams, extra = {}) {
+  const values = { date: formatDate(), copy: 0, n: 1, ...urlParams.values };
+  Object.entries(extra).forEach(([token, value]) => {
+    if (value !== undefined && value !== null && value !== '') values[token] = value;
+  });
+
+  return urlParams.params.map(({ key, value }) => {
+    const rendered = value
+      .split(MACRO_PATTERN)
+      .map((part, index) => {
+        // Odd indexes are the captured macro names
+        if (index % 2 === 1) return `{{${part}}}`;
+        const filled = part.replace(TOKEN_PATTERN, (match, token) => String(values[token] ?? ''));
+        return encodeURIComponent(filled);
+      })
+      .join('');
+    return `${encodeURIComponent(key)}=${rendered}`;
+  }).join('&');
+}
+
+/**
+ * Merge a rendered query into existing url_tags / link query
+ * Keys from the new query replace the existing ones instead of repeating them.
+ */
+function mergeQuery(existing, query) {
+  const added = splitQuery(query);
+  const addedKeys = new Set(added.map(([key]) => key.toLowerCase()));
+  const kept = splitQuery(existing).filter(([key]) => !addedKeys.has(key.toLowerCase()));
+
+  return [...kept, ...added]
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * Append a rendered query to a link, replacing keys the link already has
+ */
+function appendToLink(link, query) {
+  const [withoutHash, hash] = String(link).split('#');
+  const [base, existing] = withoutHash.split('?');
+  const merged = mergeQuery(existing, query);
+
+  return `${base}${merged ? `?${merged}` : ''}${hash !== undefined ? `#${hash}` : ''}`;
+}
+
+/**
+ * Check the URL an ad will send people to
+ *
+ * @param {String} link - Ad link (may already have a query)
+ * @param {String} urlTags - url_tags the ad will carry
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateFinalUrl(link, urlTags = '') {
+  const errors = [];
+  if (!link) return errors;
+
+  let parsed;
+  try {
+    parsed = new URL(link);
+  } catch (e) {
+    return [`"${link}" is not a valid URL`];
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    errors.push('Ad URL must start with http:// or https://');
+  }
+
+  const linkKeys = new Set([...parsed.searchParams.keys()].map(key => key.toLowerCase()));
+  const duplicated = splitQuery(urlTags)
+    .map(([key]) => decodeURIComponent(key))
+    .filter(key => linkKeys.has(key.toLowerCase()));
+  if (duplicated.length > 0) {
+    errors.push(`URL parameters already in the link: ${duplicated.join(', ')}`);
+  }
+
+  const finalLength = link.length + (urlTags ? urlTags.length + 1 : 0);
+  if (finalLength > MAX_URL_LENGTH) {
+    errors.push(`Final URL is ${finalLength} characters (max ${MAX_URL_LENGTH})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a launch's link with its rules applied (as the first ad would get them)
+ *
+ * @param {String} link - Ad link from the form
+ * @param {Object} urlParams - From resolveUrlParams()
+ * @returns {Array} Error messages (empty when valid or there are no rules)
+ */
+function validateUrlParams(link, urlParams) {
+  if (!urlParams) return [];
+
+  const query = buildQuery(urlParams);
+  return urlParams.target === 'link'
+    ? validateFinalUrl(appendToLink(link, query))
+    : validateFinalUrl(link, query);
+}
+
+/**
+ * Apply the rules to an ad body (Graph API field names)
+ * For target 'url_tags' sets body.url_tags; for 'link' returns the new link
+ * for the caller to put in the creative.
+ *
+ * @param {Object} body - Ad params/body; mutated
+ * @param {Object} urlParams - From resolveUrlParams()
+ * @param {Object} extra - Per-ad tokens: { copy, n, editor }
+ * @param {String} link - Ad link, used for target 'link'
+ * @returns {String|undefined} Link with the parameters (target 'link' only)
+ */
+function applyUrlParams(body, urlParams, extra = {}, link = null) {
+  const query = buildQuery(urlParams, extra);
+
+  if (urlParams.target === 'link') {
+    return link ? appendToLink(link, query) : undefined;
+  }
+
+  body.url_tags = mergeQuery(body.url_tags, query);
+  return undefined;
+}
+
+module.exports = {
+  FB_MACROS,
+  TOKENS,
+  resolveUrlParams,
+  buildQuery,
+  mergeQuery,
+  appendToLink,
+  validateFinalUrl,
+  validateUrlParams,
+  applyUrlParams
+};